@@ -40,6 +40,9 @@ contract IC is ERC20, ERC20Burnable, AccessControl, Pausable, ReentrancyGuard {
     /// @notice Minting frozen state
     bool public mintingFrozen = false;
 
+    /// @notice Last nonce accepted by validNonce for emergency operations
+    uint256 public emergencyNonce;
+
     /// @notice Emitted when ICController address is updated
     event ICControllerUpdated(address indexed oldController, address indexed newController);
     
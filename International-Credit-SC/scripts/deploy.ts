@@ -1,4 +1,4 @@
-import { ethers } from "hardhat";
+import { ethers, network } from "hardhat";
 import * as fs from "fs";
 import * as path from "path";
 
@@ -54,7 +54,7 @@ async function main() {
     VaultAndYield: "",
     deploymentBlock: 0,
     timestamp: Date.now(),
-    network: "hedera"
+    network: network.name
   };
 
   try {
@@ -266,7 +266,9 @@ async function main() {
       fs.mkdirSync(deploymentsDir, { recursive: true });
     }
 
-    const deploymentFile = path.join(deploymentsDir, "hedera-testnet.json");
+    // Local runs (e.g. `npm run deploy:local`) must not overwrite the testnet addresses
+    const deploymentName = network.name === "hedera" ? "hedera-testnet" : network.name;
+    const deploymentFile = path.join(deploymentsDir, `${deploymentName}.json`);
     fs.writeFileSync(deploymentFile, JSON.stringify(deployedContracts, null, 2));
 
     console.log("💾 Deployment addresses saved to:", deploymentFile);
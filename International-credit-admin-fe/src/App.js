@@ -13,6 +13,7 @@ import CustodianOnboarding from "./components/CustodianOnboarding";
 import Governance from "./components/Governance";
 import MultiSigQueue from "./components/MultiSigQueue";
 import ComplianceAudit from "./components/ComplianceAudit";
+import ChainReconciliation from "./components/ChainReconciliation";
 import TransactionManagement from "./components/TransactionManagement";
 import Settings from "./components/Settings";
 import LoginScreen from "./components/LoginScreen";
@@ -45,6 +46,7 @@ function MainLayout() {
           <Route path="/governance" element={<Governance />} />
           <Route path="/multisig" element={<MultiSigQueue />} />
           <Route path="/compliance" element={<ComplianceAudit />} />
+          <Route path="/reconciliation" element={<ChainReconciliation />} />
           <Route path="/transactions" element={<TransactionManagement />} />
           <Route path="/settings" element={<Settings />} />
           <Route path="*" element={<Navigate to="/dashboard" replace />} />
@@ -0,0 +1,332 @@
+import React, { useState } from "react";
+import { useSelector } from "react-redux";
+import {
+  AlertTriangle,
+  CheckCircle,
+  Eye,
+  Filter,
+  Loader2,
+  Play,
+  RefreshCw,
+  Scale,
+} from "lucide-react";
+import { toast } from "sonner";
+
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Badge } from "./ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import Layout from "./Layout/Layout";
+import ReconciliationReportDetails, {
+  formatAmount,
+} from "./ChainReconciliation/ReconciliationReportDetails";
+import {
+  useGetReconciliationSummaryQuery,
+  useGetReconciliationReportsQuery,
+  useRunReconciliationMutation,
+} from "../store/api/reconciliationApiSlice";
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case "MATCHED":
+      return <Badge className="bg-green-100 text-green-800">Matched</Badge>;
+    case "DISCREPANCY":
+      return <Badge className="bg-red-100 text-red-800">Discrepancy</Badge>;
+    case "ERROR":
+      return <Badge className="bg-yellow-100 text-yellow-800">Error</Badge>;
+    default:
+      return <Badge variant="outline">{status}</Badge>;
+  }
+};
+
+const ChainReconciliation = () => {
+  const { role } = useSelector((state) => state.auth);
+  const [filters, setFilters] = useState({
+    page: 1,
+    limit: 10,
+    status: "",
+    acknowledged: "",
+  });
+  const [selectedReportId, setSelectedReportId] = useState(null);
+
+  const { data: summary } = useGetReconciliationSummaryQuery(undefined, {
+    pollingInterval: 60000,
+  });
+  const {
+    data: reportsData,
+    isLoading,
+    isFetching,
+    refetch,
+  } = useGetReconciliationReportsQuery(filters);
+  const [runReconciliation, { isLoading: isRunning }] =
+    useRunReconciliationMutation();
+
+  const reports = reportsData?.reports || [];
+  const pagination = reportsData?.pagination || {};
+  const latest = summary?.latest;
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value, page: 1 }));
+  };
+
+  const handleRun = async () => {
+    try {
+      const result = await runReconciliation().unwrap();
+      toast.success(result?.message || "Reconciliation completed");
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  return (
+    <Layout
+      title="Chain Reconciliation"
+      ButtonComponent={
+        <div className="flex space-x-2">
+          {role === "super_admin" && (
+            <Button onClick={handleRun} disabled={isRunning}>
+              {isRunning ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Play className="h-4 w-4 mr-2" />
+              )}
+              Run Now
+            </Button>
+          )}
+          <Button variant="outline" onClick={refetch} disabled={isFetching}>
+            {isFetching ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="h-4 w-4 mr-2" />
+            )}
+            Refresh
+          </Button>
+        </div>
+      }
+    >
+      {/* Stats Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card>
+          <CardContent className="p-4">
+            <div className="flex items-center space-x-2">
+              <Scale className="h-5 w-5 text-blue-600" />
+              <div>
+                <div className="text-2xl font-bold">
+                  {latest ? getStatusBadge(latest.status) : "N/A"}
+                </div>
+                <p className="text-sm text-gray-600 dark:text-gray-200">
+                  Latest Run
+                  {latest &&
+                    ` · ${new Date(latest.createdAt).toLocaleString()}`}
+                </p>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="p-4">
+            <div className="flex items-center space-x-2">
+              <CheckCircle className="h-5 w-5 text-green-600" />
+              <div>
+                <p className="text-2xl font-bold">
+                  {formatAmount(latest?.totals?.onChainSupply)}
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-200">
+                  IC Supply (off-chain UC:{" "}
+                  {formatAmount(latest?.totals?.offChainUc)})
+                </p>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="p-4">
+            <div className="flex items-center space-x-2">
+              <AlertTriangle className="h-5 w-5 text-red-600" />
+              <div>
+                <p className="text-2xl font-bold">
+                  {summary?.unacknowledged ?? 0}
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-200">
+                  Awaiting Acknowledgement
+                </p>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Filters */}
+      <Card>
+        <CardContent className="p-4">
+          <div className="flex flex-col md:flex-row gap-4">
+            <Select
+              value={filters.status || "all"}
+              onValueChange={(value) =>
+                handleFilterChange("status", value === "all" ? "" : value)
+              }
+            >
+              <SelectTrigger className="w-48 grow">
+                <Filter className="h-4 w-4 mr-2" />
+                <SelectValue placeholder="Filter by status" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All Statuses</SelectItem>
+                <SelectItem value="MATCHED">Matched</SelectItem>
+                <SelectItem value="DISCREPANCY">Discrepancy</SelectItem>
+                <SelectItem value="ERROR">Error</SelectItem>
+              </SelectContent>
+            </Select>
+
+            <Select
+              value={filters.acknowledged === "" ? "all" : filters.acknowledged}
+              onValueChange={(value) =>
+                handleFilterChange("acknowledged", value === "all" ? "" : value)
+              }
+            >
+              <SelectTrigger className="w-48 grow">
+                <SelectValue placeholder="Acknowledgement" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All Reports</SelectItem>
+                <SelectItem value="false">Unacknowledged</SelectItem>
+                <SelectItem value="true">Acknowledged</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Reports Table */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Reports ({pagination.total || 0})</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-8 w-8 animate-spin text-ic-blue" />
+              <span className="ml-2 text-gray-600">Loading reports...</span>
+            </div>
+          ) : reports.length === 0 ? (
+            <div className="text-center py-8">
+              <Scale className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-gray-600 dark:text-gray-200 mb-2">
+                No Reports Found
+              </h3>
+              <p className="text-gray-500">
+                The reconciliation job has not produced any matching reports.
+              </p>
+            </div>
+          ) : (
+            <>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Run At</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Block</TableHead>
+                    <TableHead>Discrepancies</TableHead>
+                    <TableHead>Acknowledged</TableHead>
+                    <TableHead></TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {reports.map((report) => (
+                    <TableRow key={report._id}>
+                      <TableCell className="text-sm">
+                        {new Date(report.createdAt).toLocaleString()}
+                      </TableCell>
+                      <TableCell>{getStatusBadge(report.status)}</TableCell>
+                      <TableCell className="text-sm font-mono">
+                        {report.blockNumber ?? "N/A"}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {report.summary?.discrepancyCount || 0}
+                        {report.summary?.criticalCount > 0 && (
+                          <span className="text-red-600">
+                            {" "}
+                            ({report.summary.criticalCount} critical)
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {report.acknowledged
+                          ? report.acknowledgedBy?.fullName ||
+                            report.acknowledgedBy?.email ||
+                            "Yes"
+                          : report.status === "MATCHED"
+                          ? "-"
+                          : "Pending"}
+                      </TableCell>
+                      <TableCell>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setSelectedReportId(report._id)}
+                        >
+                          <Eye className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+
+              {/* Pagination */}
+              {pagination.pages > 1 && (
+                <div className="flex items-center justify-end mt-4 space-x-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() =>
+                      setFilters((prev) => ({ ...prev, page: prev.page - 1 }))
+                    }
+                    disabled={filters.page <= 1 || isFetching}
+                  >
+                    Previous
+                  </Button>
+                  <span className="flex items-center px-3 text-sm">
+                    Page {filters.page} of {pagination.pages}
+                  </span>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() =>
+                      setFilters((prev) => ({ ...prev, page: prev.page + 1 }))
+                    }
+                    disabled={filters.page >= pagination.pages || isFetching}
+                  >
+                    Next
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <ReconciliationReportDetails
+        reportId={selectedReportId}
+        open={!!selectedReportId}
+        onOpenChange={(open) => !open && setSelectedReportId(null)}
+      />
+    </Layout>
+  );
+};
+
+export default ChainReconciliation;
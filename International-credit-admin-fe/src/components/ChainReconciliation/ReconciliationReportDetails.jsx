@@ -0,0 +1,214 @@
+import React, { useState } from "react";
+import { CheckCircle, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+import { Badge } from "../ui/badge";
+import { Button } from "../ui/button";
+import { Textarea } from "../ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "../ui/table";
+import {
+  useGetReconciliationReportQuery,
+  useAcknowledgeReconciliationReportMutation,
+} from "@/store/api/reconciliationApiSlice";
+
+const CHECK_LABELS = {
+  SUPPLY: "IC supply vs ICController minted",
+  LEDGER: "IC supply vs off-chain UC",
+  WALLET: "Linked wallets vs off-chain UC",
+};
+
+export const formatAmount = (value) =>
+  value === undefined || value === null
+    ? "N/A"
+    : Number(value).toLocaleString(undefined, { maximumFractionDigits: 6 });
+
+export const getSeverityBadge = (severity) =>
+  severity === "CRITICAL" ? (
+    <Badge className="bg-red-600">Critical</Badge>
+  ) : (
+    <Badge className="bg-orange-600">High</Badge>
+  );
+
+const ReconciliationReportDetails = ({ reportId, open, onOpenChange }) => {
+  const [note, setNote] = useState("");
+  const { data: report, isLoading } = useGetReconciliationReportQuery(
+    reportId,
+    { skip: !reportId }
+  );
+  const [acknowledgeReport, { isLoading: isAcknowledging }] =
+    useAcknowledgeReconciliationReportMutation();
+
+  const handleAcknowledge = async () => {
+    try {
+      await acknowledgeReport({ id: reportId, note: note.trim() }).unwrap();
+      toast.success("Report acknowledged");
+      setNote("");
+      onOpenChange(false);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Reconciliation Report</DialogTitle>
+        </DialogHeader>
+
+        {isLoading || !report ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-ic-blue" />
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500">IC totalSupply</p>
+                <p className="font-semibold">
+                  {formatAmount(report.totals?.onChainSupply)}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">ICController minted</p>
+                <p className="font-semibold">
+                  {formatAmount(report.totals?.controllerMinted)}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Off-chain UC</p>
+                <p className="font-semibold">
+                  {formatAmount(report.totals?.offChainUc)}
+                </p>
+              </div>
+            </div>
+
+            <p className="text-sm text-gray-600 dark:text-gray-200">
+              Block {report.blockNumber ?? "N/A"} ·{" "}
+              {report.summary?.usersChecked || 0} users ·{" "}
+              {report.summary?.walletsChecked || 0} wallets checked
+              {report.summary?.walletsSkipped
+                ? ` (${report.summary.walletsSkipped} non-EVM skipped)`
+                : ""}
+            </p>
+
+            {report.error && (
+              <div className="bg-red-50 text-red-800 p-3 rounded text-sm">
+                {report.error}
+              </div>
+            )}
+
+            {report.discrepancies?.length > 0 && (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Check</TableHead>
+                    <TableHead>Severity</TableHead>
+                    <TableHead>User / Addresses</TableHead>
+                    <TableHead>Expected</TableHead>
+                    <TableHead>Actual</TableHead>
+                    <TableHead>Difference</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.discrepancies.map((d, index) => (
+                    <TableRow key={`${d.check}-${index}`}>
+                      <TableCell className="text-sm">
+                        {CHECK_LABELS[d.check] || d.check}
+                      </TableCell>
+                      <TableCell>{getSeverityBadge(d.severity)}</TableCell>
+                      <TableCell>
+                        {d.userId && (
+                          <div className="text-sm font-medium">
+                            {d.userId.fullName || d.userId.email || d.userId}
+                          </div>
+                        )}
+                        {d.addresses?.map((a) => (
+                          <div
+                            key={a.address}
+                            className="text-xs font-mono text-gray-500"
+                          >
+                            {a.address}: {formatAmount(a.onChainBalance)}
+                          </div>
+                        ))}
+                        {!d.userId && !d.addresses?.length && "System totals"}
+                      </TableCell>
+                      <TableCell>{formatAmount(d.expected)}</TableCell>
+                      <TableCell>{formatAmount(d.actual)}</TableCell>
+                      <TableCell
+                        className={
+                          d.difference < 0 ? "text-red-600" : "text-orange-600"
+                        }
+                      >
+                        {formatAmount(d.difference)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+
+            <div className="border-t pt-4">
+              {report.acknowledged ? (
+                <div className="flex items-start gap-2 text-sm">
+                  <CheckCircle className="h-4 w-4 text-green-600 mt-0.5" />
+                  <div>
+                    Acknowledged by{" "}
+                    {report.acknowledgedBy?.fullName ||
+                      report.acknowledgedBy?.email ||
+                      "an admin"}{" "}
+                    on {new Date(report.acknowledgedAt).toLocaleString()}
+                    {report.acknowledgementNote && (
+                      <p className="text-gray-500 mt-1">
+                        {report.acknowledgementNote}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              ) : report.status !== "MATCHED" ? (
+                <div className="space-y-2">
+                  <h4 className="font-semibold">Acknowledge</h4>
+                  <Textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Investigation notes (optional)"
+                    maxLength={1000}
+                  />
+                  <Button
+                    size="sm"
+                    onClick={handleAcknowledge}
+                    disabled={isAcknowledging}
+                  >
+                    {isAcknowledging && (
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    )}
+                    Acknowledge Report
+                  </Button>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  All sources matched; nothing to acknowledge.
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReconciliationReportDetails;
@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { AlertTriangle, Zap, XCircle, Eye, ClipboardList, Shield } from "lucide-react";
 import { toast } from "sonner";
+import { useSelector } from "react-redux";
 import { useAccount, useReadContract, useWriteContract } from "wagmi";
 
 import { Badge } from "../ui/badge";
@@ -13,9 +14,19 @@ import {
   DialogTitle,
   DialogTrigger,
 } from "../ui/dialog";
-import { mockMultiSigQueue } from "@/mockData";
+import {
+  useGetMsigActionsQuery,
+  useApproveMsigActionMutation,
+  useRejectMsigActionMutation,
+} from "@/store/api/msigApiSlice";
 import ICAbi from "../../utils/Abi/IC.json";
 
+const ACTION_LABELS = {
+  CONFIG_UPDATE: "Configuration update",
+  LEDGER_REVERSAL: "Ledger reversal",
+  WALLET_STATUS_UPDATE: "Wallet status update",
+};
+
 const MultiSigQueueList = () => {
   const [isApproving, setIsApproving] = useState(false);
   const [isMintingApproving, setIsMintingApproving] = useState(false);
@@ -34,7 +45,37 @@ const MultiSigQueueList = () => {
       functionName: "mintingFrozen",
     });
 
-  const [queue, setQueue] = useState(mockMultiSigQueue);
+  const { user } = useSelector((state) => state.auth);
+  const currentAdminId = user?.id || user?._id;
+
+  const { data: queueData, isLoading: isQueueLoading } = useGetMsigActionsQuery(
+    { status: "PENDING" },
+    { pollingInterval: 30000 }
+  );
+  const [approveMsigAction, { isLoading: isSigningApproval }] =
+    useApproveMsigActionMutation();
+  const [rejectMsigAction, { isLoading: isSigningRejection }] =
+    useRejectMsigActionMutation();
+  const queue = queueData?.actions || [];
+
+  const hasSigned = (action) =>
+    [...(action.approvals || []), ...(action.rejections || [])].some(
+      (s) => (s.adminId?._id || s.adminId) === currentAdminId
+    );
+
+  /**
+   * Signs a queued backend action; the server executes it once the
+   * approval threshold is met and returns the resulting status
+   */
+  const handleSignAction = async (action, decision) => {
+    try {
+      const sign = decision === "approve" ? approveMsigAction : rejectMsigAction;
+      const result = await sign({ id: action._id || action.id }).unwrap();
+      toast.success(result?.message || "Signature recorded");
+    } catch (error) {
+      console.error(error);
+    }
+  };
 
   /**
    * Handles emergency pause/unpause of the IC token contract
@@ -355,6 +396,114 @@ const MultiSigQueueList = () => {
           </div>
         </CardContent>
       </Card>
+
+      <div className="pt-2">
+        <h3 className="text-lg font-semibold mb-3">Pending Admin Actions</h3>
+        {isQueueLoading ? (
+          <p className="text-sm text-gray-600 dark:text-gray-200">
+            Loading queue...
+          </p>
+        ) : queue.length === 0 ? (
+          <p className="text-sm text-gray-600 dark:text-gray-200">
+            No actions awaiting approval.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {queue.map((action) => (
+              <Card key={action._id || action.id}>
+                <CardContent className="p-6">
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3 mb-3">
+                        {getActionTypeIcon(action.type)}
+                        <h3 className="text-lg font-semibold">
+                          {ACTION_LABELS[action.type] || action.type}
+                        </h3>
+                        <Badge variant="outline">
+                          {action.approvals?.length || 0}/
+                          {action.requiredApprovals} approvals
+                        </Badge>
+                        {action.rejections?.length > 0 && (
+                          <Badge className="bg-red-600">
+                            {action.rejections.length} rejected
+                          </Badge>
+                        )}
+                      </div>
+                      {action.description && (
+                        <p className="text-sm mb-2">{action.description}</p>
+                      )}
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm text-gray-600 dark:text-gray-200">
+                        <p>Created by: {action.createdBy?.email || "-"}</p>
+                        <p>
+                          Expires:{" "}
+                          {new Date(action.expiresAt).toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+
+                    {/* Actions */}
+                    <div className="flex space-x-2 ml-4">
+                      <Dialog>
+                        <DialogTrigger asChild>
+                          <Button size="sm" variant="outline">
+                            <Eye className="h-4 w-4" />
+                          </Button>
+                        </DialogTrigger>
+                        <DialogContent className="max-w-2xl">
+                          <DialogHeader>
+                            <DialogTitle>
+                              Multi-Signature Action Details
+                            </DialogTitle>
+                          </DialogHeader>
+                          <div className="space-y-4">
+                            <div>
+                              <h4 className="font-semibold mb-2">Payload</h4>
+                              <pre className="bg-gray-50 p-3 rounded text-sm font-mono text-black overflow-auto">
+                                {JSON.stringify(action.payload, null, 2)}
+                              </pre>
+                            </div>
+                            <div>
+                              <h4 className="font-semibold mb-2">Signers</h4>
+                              <div className="bg-gray-50 p-3 rounded text-sm font-mono text-black">
+                                {(action.approvals || []).map((s, i) => (
+                                  <p key={`a-${i}`}>
+                                    Approved: {s.adminId?.email || s.adminId}
+                                  </p>
+                                ))}
+                                {(action.rejections || []).map((s, i) => (
+                                  <p key={`r-${i}`}>
+                                    Rejected: {s.adminId?.email || s.adminId}
+                                  </p>
+                                ))}
+                              </div>
+                            </div>
+                          </div>
+                        </DialogContent>
+                      </Dialog>
+
+                      <Button
+                        size="sm"
+                        disabled={hasSigned(action) || isSigningApproval}
+                        onClick={() => handleSignAction(action, "approve")}
+                      >
+                        Approve
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="destructive"
+                        disabled={hasSigned(action) || isSigningRejection}
+                        onClick={() => handleSignAction(action, "reject")}
+                      >
+                        Reject
+                      </Button>
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   );
 };
@@ -1,11 +1,11 @@
-import React, { useState } from "react";
-import { ClipboardList, AlertTriangle, CheckCircle, Zap } from "lucide-react";
+import React from "react";
+import { ClipboardList, AlertTriangle, CheckCircle, XCircle } from "lucide-react";
 
 import { Card, CardContent } from "../ui/card";
-import { mockMultiSigQueue } from "@/mockData";
+import { useGetMsigStatsQuery } from "@/store/api/msigApiSlice";
 
 const MultiSigQueueStats = () => {
-  const [queue, setQueue] = useState(mockMultiSigQueue);
+  const { data: stats } = useGetMsigStatsQuery();
 
   return (
     <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -14,7 +14,7 @@ const MultiSigQueueStats = () => {
           <div className="flex items-center space-x-2">
             <ClipboardList className="h-5 w-5 text-blue-600" />
             <div>
-              <p className="text-2xl font-bold">{queue.length}</p>
+              <p className="text-2xl font-bold">{stats?.pending ?? 0}</p>
               <p className="text-sm text-gray-600 dark:text-gray-200">
                 Pending Actions
               </p>
@@ -25,13 +25,11 @@ const MultiSigQueueStats = () => {
       <Card>
         <CardContent className="p-4">
           <div className="flex items-center space-x-2">
-            <AlertTriangle className="h-5 w-5 text-red-600" />
+            <CheckCircle className="h-5 w-5 text-green-600" />
             <div>
-              <p className="text-2xl font-bold">
-                {queue.filter((q) => q.priority === "critical").length}
-              </p>
+              <p className="text-2xl font-bold">{stats?.executed ?? 0}</p>
               <p className="text-sm text-gray-600 dark:text-gray-200">
-                Critical Priority
+                Executed
               </p>
             </div>
           </div>
@@ -40,13 +38,11 @@ const MultiSigQueueStats = () => {
       <Card>
         <CardContent className="p-4">
           <div className="flex items-center space-x-2">
-            <Zap className="h-5 w-5 text-orange-600" />
+            <AlertTriangle className="h-5 w-5 text-orange-600" />
             <div>
-              <p className="text-2xl font-bold">
-                {queue.filter((q) => q.priority === "high").length}
-              </p>
+              <p className="text-2xl font-bold">{stats?.failed ?? 0}</p>
               <p className="text-sm text-gray-600 dark:text-gray-200">
-                High Priority
+                Failed
               </p>
             </div>
           </div>
@@ -55,13 +51,13 @@ const MultiSigQueueStats = () => {
       <Card>
         <CardContent className="p-4">
           <div className="flex items-center space-x-2">
-            <CheckCircle className="h-5 w-5 text-green-600" />
+            <XCircle className="h-5 w-5 text-red-600" />
             <div>
               <p className="text-2xl font-bold">
-                {queue.reduce((sum, q) => sum + q.currentApprovals, 0)}
+                {(stats?.rejected ?? 0) + (stats?.expired ?? 0)}
               </p>
               <p className="text-sm text-gray-600 dark:text-gray-200">
-                Total Approvals
+                Rejected / Expired
               </p>
             </div>
           </div>
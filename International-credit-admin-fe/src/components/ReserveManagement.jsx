@@ -1,6 +1,7 @@
 import React from "react";
 import Layout from "./Layout/Layout";
 import ReserveCards from "./ReserveManagement/ReserveCards";
+import ReserveHistoryCharts from "./ReserveManagement/ReserveHistoryCharts";
 
 const ReserveManagement = () => {
 
@@ -10,7 +11,10 @@ const ReserveManagement = () => {
       description="Manage the reserve of the financial platform"
       ButtonComponent={<></>}
     >
-      <ReserveCards />
+      <div className="space-y-6">
+        <ReserveCards />
+        <ReserveHistoryCharts />
+      </div>
     </Layout>
   );
 };
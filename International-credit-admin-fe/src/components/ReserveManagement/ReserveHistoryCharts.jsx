@@ -0,0 +1,264 @@
+import React, { useState } from "react";
+import { Activity, LineChart as LineChartIcon, Loader2 } from "lucide-react";
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { Card, CardContent, CardHeader, CardTitle } from "../ui/card";
+import { Badge } from "../ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "../ui/table";
+import {
+  useGetReserveHistoryQuery,
+  useGetPriceHistoryQuery,
+} from "@/store/api/reservesApiSlice";
+
+const RANGES = ["24h", "7d", "30d", "1y"];
+
+const formatTick = (timestamp, range) => {
+  const date = new Date(timestamp);
+  return range === "24h"
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+};
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case "HEALTHY":
+      return <Badge className="bg-green-100 text-green-800">Healthy</Badge>;
+    case "WARNING":
+      return <Badge className="bg-yellow-100 text-yellow-800">Warning</Badge>;
+    case "CRITICAL":
+      return <Badge className="bg-red-100 text-red-800">Critical</Badge>;
+    default:
+      return <Badge variant="outline">-</Badge>;
+  }
+};
+
+const EmptyChart = ({ loading }) => (
+  <div className="flex items-center justify-center h-64 text-gray-500">
+    {loading ? (
+      <Loader2 className="h-6 w-6 animate-spin text-ic-blue" />
+    ) : (
+      "No data in this range"
+    )}
+  </div>
+);
+
+const ReserveHistoryCharts = () => {
+  const [range, setRange] = useState("7d");
+  const [asset, setAsset] = useState("BTC");
+
+  const { data: reserveHistory, isFetching: isFetchingReserves } =
+    useGetReserveHistoryQuery(range);
+  const { data: priceHistory, isFetching: isFetchingPrices } =
+    useGetPriceHistoryQuery({ asset, range });
+
+  const ratioData = (reserveHistory?.points || []).map((point) => ({
+    timestamp: point.timestamp,
+    avg: Number(point.collateralPct.avg.toFixed(2)),
+    low: Number(point.collateralPct.low.toFixed(2)),
+    high: Number(point.collateralPct.high.toFixed(2)),
+  }));
+  const priceData = (priceHistory?.candles || []).map((candle) => ({
+    timestamp: candle.timestamp,
+    close: candle.close,
+    low: candle.low,
+    high: candle.high,
+  }));
+  const transitions = [...(reserveHistory?.transitions || [])].reverse();
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <Select value={range} onValueChange={setRange}>
+          <SelectTrigger className="w-32">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {RANGES.map((value) => (
+              <SelectItem key={value} value={value}>
+                {value}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <Activity className="h-5 w-5 mr-2 text-blue-600" />
+              Collateralization %
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {ratioData.length === 0 ? (
+              <EmptyChart loading={isFetchingReserves} />
+            ) : (
+              <ResponsiveContainer width="100%" height={256}>
+                <LineChart data={ratioData}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                  <XAxis
+                    dataKey="timestamp"
+                    minTickGap={24}
+                    tickFormatter={(value) => formatTick(value, range)}
+                  />
+                  <YAxis
+                    domain={["auto", "auto"]}
+                    tickFormatter={(value) => `${value}%`}
+                  />
+                  <Tooltip
+                    labelFormatter={(value) => new Date(value).toLocaleString()}
+                  />
+                  <Line
+                    dataKey="avg"
+                    name="Average"
+                    stroke="#2563eb"
+                    dot={false}
+                  />
+                  <Line
+                    dataKey="low"
+                    name="Low"
+                    stroke="#dc2626"
+                    strokeDasharray="4 4"
+                    dot={false}
+                  />
+                  <Line
+                    dataKey="high"
+                    name="High"
+                    stroke="#16a34a"
+                    strokeDasharray="4 4"
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="flex items-center">
+              <LineChartIcon className="h-5 w-5 mr-2 text-orange-600" />
+              {asset} Price (USD)
+            </CardTitle>
+            <Select value={asset} onValueChange={setAsset}>
+              <SelectTrigger className="w-28">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="BTC">BTC</SelectItem>
+                <SelectItem value="XAU">Gold</SelectItem>
+              </SelectContent>
+            </Select>
+          </CardHeader>
+          <CardContent>
+            {priceData.length === 0 ? (
+              <EmptyChart loading={isFetchingPrices} />
+            ) : (
+              <ResponsiveContainer width="100%" height={256}>
+                <LineChart data={priceData}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                  <XAxis
+                    dataKey="timestamp"
+                    minTickGap={24}
+                    tickFormatter={(value) => formatTick(value, range)}
+                  />
+                  <YAxis
+                    domain={["auto", "auto"]}
+                    tickFormatter={(value) => value.toLocaleString()}
+                  />
+                  <Tooltip
+                    labelFormatter={(value) => new Date(value).toLocaleString()}
+                    formatter={(value) => value.toLocaleString()}
+                  />
+                  <Line
+                    dataKey="close"
+                    name="Close"
+                    stroke="#ea580c"
+                    dot={false}
+                  />
+                  <Line
+                    dataKey="low"
+                    name="Low"
+                    stroke="#9ca3af"
+                    strokeDasharray="4 4"
+                    dot={false}
+                  />
+                  <Line
+                    dataKey="high"
+                    name="High"
+                    stroke="#9ca3af"
+                    strokeDasharray="4 4"
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Health Status Transitions ({transitions.length})</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {transitions.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No status changes in this range.
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Time</TableHead>
+                  <TableHead>From</TableHead>
+                  <TableHead>To</TableHead>
+                  <TableHead>Warnings</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {transitions.map((transition) => (
+                  <TableRow key={transition.timestamp}>
+                    <TableCell className="text-sm">
+                      {new Date(transition.timestamp).toLocaleString()}
+                    </TableCell>
+                    <TableCell>{getStatusBadge(transition.from)}</TableCell>
+                    <TableCell>{getStatusBadge(transition.to)}</TableCell>
+                    <TableCell className="text-sm text-gray-600 dark:text-gray-200">
+                      {transition.warnings?.join(", ") || "-"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ReserveHistoryCharts;
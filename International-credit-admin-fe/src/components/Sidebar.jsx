@@ -15,6 +15,7 @@ import {
   ChevronRight,
   LogOut,
   CreditCard,
+  Scale,
 } from "lucide-react";
 
 import { cn } from "../lib/utils";
@@ -71,6 +72,12 @@ const Sidebar = ({ userRole = "super_admin" }) => {
         icon: FileText,
         path: "/compliance",
       },
+      {
+        id: "reconciliation",
+        label: "Chain Reconciliation",
+        icon: Scale,
+        path: "/reconciliation",
+      },
       {
         id: "transactions",
         label: "Transaction Management",
@@ -119,6 +126,12 @@ const Sidebar = ({ userRole = "super_admin" }) => {
         icon: ClipboardList,
         path: "/multisig",
       },
+      {
+        id: "reconciliation",
+        label: "Chain Reconciliation",
+        icon: Scale,
+        path: "/reconciliation",
+      },
     ],
   };
 
@@ -20,6 +20,7 @@ import Layout from "./Layout/Layout";
 import TransactionStats from "./TransactionManagement/TransactionStats";
 import TransactionDataTable from "./TransactionManagement/TransactionDataTable";
 import TransactionDetailsModal from "./TransactionManagement/TransactionDetailsModal";
+import PaymentExceptionsCard from "./TransactionManagement/PaymentExceptionsCard";
 import {
   useGetTransactionStatsQuery,
   useGetTransactionsQuery,
@@ -218,6 +219,12 @@ const TransactionManagement = () => {
                   <SelectItem value="pending">Pending</SelectItem>
                   <SelectItem value="completed">Completed</SelectItem>
                   <SelectItem value="failed">Failed</SelectItem>
+                  <SelectItem value="partially_refunded">
+                    Partially refunded
+                  </SelectItem>
+                  <SelectItem value="refunded">Refunded</SelectItem>
+                  <SelectItem value="disputed">Disputed</SelectItem>
+                  <SelectItem value="charged_back">Charged back</SelectItem>
                 </SelectContent>
               </Select>
             </div>
@@ -295,6 +302,8 @@ const TransactionManagement = () => {
         </CardContent>
       </Card>
 
+      <PaymentExceptionsCard />
+
       <TransactionDataTable
         transactions={transactionsData?.transactions || []}
         isLoading={transactionsLoading || transactionsFetching}
@@ -0,0 +1,275 @@
+import React, { useState } from "react";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+import { Badge } from "../ui/badge";
+import { Button } from "../ui/button";
+import { Textarea } from "../ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/dialog";
+import {
+  useGetPaymentExceptionQuery,
+  useAssignPaymentExceptionMutation,
+  useAddPaymentExceptionNoteMutation,
+  useResolvePaymentExceptionMutation,
+  useFixPaymentExceptionMutation,
+} from "../../store/api/reconciliationApiSlice";
+
+export const EXCEPTION_TYPES = {
+  MISSING_CREDIT: "Missing credit",
+  ORPHAN_JOURNAL: "Orphan journal",
+  AMOUNT_MISMATCH: "Amount mismatch",
+  STALE_PENDING: "Stale pending",
+  MISSING_LOCAL: "No payment record",
+  MISSING_PROVIDER: "Not at provider",
+};
+
+// The fix the backend accepts for each type; the others are resolved with a note
+const FIXES = {
+  MISSING_CREDIT: { action: "CREDIT", label: "Credit UC" },
+  ORPHAN_JOURNAL: { action: "REVERSE", label: "Reverse journal" },
+  STALE_PENDING: { action: "SYNC", label: "Sync from provider" },
+};
+
+const exceptionStatusConfig = {
+  OPEN: { label: "Open", className: "bg-red-100 text-red-800" },
+  ASSIGNED: { label: "Assigned", className: "bg-yellow-100 text-yellow-800" },
+  RESOLVED: { label: "Resolved", className: "bg-green-100 text-green-800" },
+};
+
+export const getExceptionStatusBadge = (status) => {
+  const { label, className } = exceptionStatusConfig[status] || {
+    label: status,
+    className: "bg-gray-100 text-gray-800",
+  };
+  return (
+    <Badge variant="outline" className={className}>
+      {label}
+    </Badge>
+  );
+};
+
+const Field = ({ label, children }) => (
+  <div>
+    <label className="text-sm font-medium text-gray-500 dark:text-gray-200">
+      {label}
+    </label>
+    <p className="text-sm text-gray-900 dark:text-gray-100 break-all">
+      {children}
+    </p>
+  </div>
+);
+
+const personOf = (user) => user?.fullName || user?.email || "N/A";
+
+// An exception with its notes, and the assign / note / fix / resolve workflow
+const PaymentExceptionDialog = ({ exceptionId, open, onOpenChange }) => {
+  const [note, setNote] = useState("");
+  const { data: exception, isLoading } = useGetPaymentExceptionQuery(
+    exceptionId,
+    { skip: !exceptionId }
+  );
+  const [assignException, { isLoading: isAssigning }] =
+    useAssignPaymentExceptionMutation();
+  const [addNote, { isLoading: isNoting }] =
+    useAddPaymentExceptionNoteMutation();
+  const [resolveException, { isLoading: isResolving }] =
+    useResolvePaymentExceptionMutation();
+  const [fixException, { isLoading: isFixing }] =
+    useFixPaymentExceptionMutation();
+
+  const busy = isAssigning || isNoting || isResolving || isFixing;
+  const unresolved = exception && exception.status !== "RESOLVED";
+  const fix = exception && FIXES[exception.type];
+  const trimmed = note.trim();
+
+  const run = async (request, successMessage) => {
+    try {
+      const result = await request().unwrap();
+      toast.success(result?.message || successMessage);
+      setNote("");
+    } catch (error) {
+      // Error handling is done in baseQuery
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Reconciliation Exception</DialogTitle>
+        </DialogHeader>
+
+        {isLoading || !exception ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-ic-blue" />
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <span className="font-medium">
+                {EXCEPTION_TYPES[exception.type] || exception.type}
+              </span>
+              {getExceptionStatusBadge(exception.status)}
+            </div>
+            <p className="text-sm text-gray-700 dark:text-gray-200">
+              {exception.description}
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Field label="Expected">
+                {exception.expected ?? "N/A"} {exception.currency}
+              </Field>
+              <Field label="Actual">
+                {exception.actual ?? "N/A"} {exception.currency}
+              </Field>
+              <Field label="User">{personOf(exception.userId)}</Field>
+              <Field label="Payment">
+                {exception.paymentId
+                  ? `${exception.paymentId._id} (${exception.paymentId.status})`
+                  : "N/A"}
+              </Field>
+              <Field label="Payment intent">
+                {exception.stripePaymentIntentId || "N/A"}
+              </Field>
+              <Field label="Journal">{exception.journalId || "N/A"}</Field>
+              <Field label="Found">
+                {new Date(exception.createdAt).toLocaleString()}
+                {exception.occurrences > 1 &&
+                  ` · seen by ${exception.occurrences} runs`}
+              </Field>
+              <Field label="Assignee">{personOf(exception.assignee)}</Field>
+            </div>
+
+            {exception.resolution?.action && (
+              <div className="border rounded-lg p-3 space-y-1">
+                <p className="text-sm font-medium">
+                  Resolved with {exception.resolution.action.toLowerCase()}
+                  {exception.resolution.by &&
+                    ` by ${personOf(exception.resolution.by)}`}
+                  {" · "}
+                  {new Date(exception.resolution.at).toLocaleString()}
+                </p>
+                {exception.resolution.journalId && (
+                  <p className="text-xs font-mono text-gray-500 dark:text-gray-200">
+                    Journal {exception.resolution.journalId}
+                  </p>
+                )}
+                {exception.resolution.note && (
+                  <p className="text-sm text-gray-700 dark:text-gray-200">
+                    {exception.resolution.note}
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium">Notes</h4>
+              {exception.notes?.length ? (
+                exception.notes.map((entry, index) => (
+                  <div key={index} className="border rounded-lg p-2">
+                    <p className="text-xs text-gray-500 dark:text-gray-200">
+                      {personOf(entry.by)} ·{" "}
+                      {new Date(entry.at).toLocaleString()}
+                    </p>
+                    <p className="text-sm">{entry.text}</p>
+                  </div>
+                ))
+              ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-200">
+                  No notes yet
+                </p>
+              )}
+            </div>
+
+            <Textarea
+              placeholder={
+                unresolved
+                  ? "Note (required to resolve without a fix)"
+                  : "Add a note"
+              }
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={3}
+            />
+
+            <div className="flex flex-wrap justify-end gap-2">
+              <Button
+                variant="outline"
+                disabled={busy || !trimmed}
+                onClick={() =>
+                  run(
+                    () => addNote({ id: exception._id, note: trimmed }),
+                    "Note added"
+                  )
+                }
+              >
+                Add Note
+              </Button>
+              {unresolved && (
+                <>
+                  <Button
+                    variant="outline"
+                    disabled={busy}
+                    onClick={() =>
+                      run(
+                        () =>
+                          assignException({
+                            id: exception._id,
+                            ...(trimmed && { note: trimmed }),
+                          }),
+                        "Exception assigned"
+                      )
+                    }
+                  >
+                    Assign to Me
+                  </Button>
+                  <Button
+                    variant="outline"
+                    disabled={busy || trimmed.length < 3}
+                    onClick={() =>
+                      run(
+                        () =>
+                          resolveException({ id: exception._id, note: trimmed }),
+                        "Exception resolved"
+                      )
+                    }
+                  >
+                    Resolve
+                  </Button>
+                  {fix && (
+                    <Button
+                      disabled={busy}
+                      onClick={() =>
+                        run(
+                          () =>
+                            fixException({
+                              id: exception._id,
+                              action: fix.action,
+                              note: trimmed,
+                            }),
+                          "Exception fixed"
+                        )
+                      }
+                    >
+                      {isFixing && (
+                        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      )}
+                      {fix.label}
+                    </Button>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PaymentExceptionDialog;
@@ -0,0 +1,249 @@
+import React, { useState } from "react";
+import { AlertTriangle, Eye, Loader2, Play } from "lucide-react";
+import { toast } from "sonner";
+
+import { Badge } from "../ui/badge";
+import { Button } from "../ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "../ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "../ui/table";
+import PaymentExceptionDialog, {
+  EXCEPTION_TYPES,
+  getExceptionStatusBadge,
+} from "./PaymentExceptionDialog";
+import {
+  useGetPaymentReconciliationSummaryQuery,
+  useGetPaymentExceptionsQuery,
+  useRunPaymentReconciliationMutation,
+} from "../../store/api/reconciliationApiSlice";
+
+const reportStatusConfig = {
+  MATCHED: { label: "Matched", className: "bg-green-100 text-green-800" },
+  DISCREPANCY: { label: "Discrepancy", className: "bg-red-100 text-red-800" },
+  ERROR: { label: "Error", className: "bg-yellow-100 text-yellow-800" },
+};
+
+// Exceptions raised by the card payment reconciliation, with a run-now button for
+// today's payments. Each opens in a dialog to be assigned, fixed or resolved.
+const PaymentExceptionsCard = () => {
+  const [filters, setFilters] = useState({
+    page: 1,
+    limit: 10,
+    status: "UNRESOLVED",
+    type: "",
+  });
+  const [selectedExceptionId, setSelectedExceptionId] = useState(null);
+
+  const { data: summary } = useGetPaymentReconciliationSummaryQuery();
+  const {
+    data: exceptionsData,
+    isLoading,
+    isFetching,
+  } = useGetPaymentExceptionsQuery(filters);
+  const [runReconciliation, { isLoading: isRunning }] =
+    useRunPaymentReconciliationMutation();
+
+  const exceptions = exceptionsData?.exceptions || [];
+  const pagination = exceptionsData?.pagination || {};
+  const latest = summary?.latest;
+  const latestStatus = latest && reportStatusConfig[latest.status];
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value, page: 1 }));
+  };
+
+  const handleRun = async () => {
+    try {
+      const result = await runReconciliation().unwrap();
+      toast.success(result?.message || "Reconciliation completed");
+    } catch (error) {
+      // Error handling is done in baseQuery
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <AlertTriangle className="h-5 w-5 mr-2" />
+            Payment Reconciliation
+          </span>
+          <Button size="sm" onClick={handleRun} disabled={isRunning}>
+            {isRunning ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Play className="h-4 w-4 mr-2" />
+            )}
+            Run Today
+          </Button>
+        </CardTitle>
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-200">
+          <span>
+            {summary?.open ?? 0} open · {summary?.assigned ?? 0} assigned
+          </span>
+          {latest && (
+            <span className="flex items-center gap-2">
+              · Last run {new Date(latest.createdAt).toLocaleString()}
+              <Badge variant="outline" className={latestStatus?.className}>
+                {latestStatus?.label || latest.status}
+              </Badge>
+            </span>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-col md:flex-row gap-4">
+          <Select
+            value={filters.status || "all"}
+            onValueChange={(value) =>
+              handleFilterChange("status", value === "all" ? "" : value)
+            }
+          >
+            <SelectTrigger className="w-48 grow">
+              <SelectValue placeholder="Status" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="UNRESOLVED">Unresolved</SelectItem>
+              <SelectItem value="OPEN">Open</SelectItem>
+              <SelectItem value="ASSIGNED">Assigned</SelectItem>
+              <SelectItem value="RESOLVED">Resolved</SelectItem>
+              <SelectItem value="all">All Statuses</SelectItem>
+            </SelectContent>
+          </Select>
+
+          <Select
+            value={filters.type || "all"}
+            onValueChange={(value) =>
+              handleFilterChange("type", value === "all" ? "" : value)
+            }
+          >
+            <SelectTrigger className="w-48 grow">
+              <SelectValue placeholder="Type" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Types</SelectItem>
+              {Object.entries(EXCEPTION_TYPES).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-8 w-8 animate-spin text-ic-blue" />
+            <span className="ml-2 text-gray-600">Loading exceptions...</span>
+          </div>
+        ) : exceptions.length === 0 ? (
+          <p className="text-center py-8 text-gray-500 dark:text-gray-200">
+            No reconciliation exceptions found.
+          </p>
+        ) : (
+          <>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Found</TableHead>
+                  <TableHead>Type</TableHead>
+                  <TableHead>User</TableHead>
+                  <TableHead>Expected / Actual</TableHead>
+                  <TableHead>Assignee</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead></TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {exceptions.map((exception) => (
+                  <TableRow key={exception._id}>
+                    <TableCell className="text-sm">
+                      {new Date(exception.createdAt).toLocaleString()}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {EXCEPTION_TYPES[exception.type] || exception.type}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {exception.userId?.email || "N/A"}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {exception.expected ?? "-"} / {exception.actual ?? "-"}{" "}
+                      {exception.currency}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {exception.assignee?.fullName ||
+                        exception.assignee?.email ||
+                        "-"}
+                    </TableCell>
+                    <TableCell>
+                      {getExceptionStatusBadge(exception.status)}
+                    </TableCell>
+                    <TableCell>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => setSelectedExceptionId(exception._id)}
+                      >
+                        <Eye className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {pagination.pages > 1 && (
+              <div className="flex items-center justify-end space-x-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    setFilters((prev) => ({ ...prev, page: prev.page - 1 }))
+                  }
+                  disabled={filters.page <= 1 || isFetching}
+                >
+                  Previous
+                </Button>
+                <span className="flex items-center px-3 text-sm">
+                  Page {filters.page} of {pagination.pages}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    setFilters((prev) => ({ ...prev, page: prev.page + 1 }))
+                  }
+                  disabled={filters.page >= pagination.pages || isFetching}
+                >
+                  Next
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+
+      <PaymentExceptionDialog
+        exceptionId={selectedExceptionId}
+        open={!!selectedExceptionId}
+        onOpenChange={(open) => !open && setSelectedExceptionId(null)}
+      />
+    </Card>
+  );
+};
+
+export default PaymentExceptionsCard;
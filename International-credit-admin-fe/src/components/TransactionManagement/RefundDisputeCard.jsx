@@ -0,0 +1,204 @@
+import React, { useState } from "react";
+
+import { Badge } from "../ui/badge";
+import { Button } from "../ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "../ui/card";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Textarea } from "../ui/textarea";
+import { useRefundTransactionMutation } from "../../store/api/transactionApiSlice";
+
+const REFUNDABLE_STATUSES = ["SUCCEEDED", "PARTIALLY_REFUNDED"];
+
+const refundStatusConfig = {
+  PENDING: { label: "Pending", className: "bg-yellow-100 text-yellow-800" },
+  SUCCEEDED: { label: "Refunded", className: "bg-green-100 text-green-800" },
+  FAILED: { label: "Failed", className: "bg-red-100 text-red-800" },
+  CLAWBACK_FAILED: {
+    label: "Clawback failed",
+    className: "bg-red-100 text-red-800",
+  },
+};
+
+const disputeOutcomeConfig = {
+  OPEN: { label: "Open", className: "bg-yellow-100 text-yellow-800" },
+  FUNDS_WITHDRAWN: {
+    label: "Funds withdrawn",
+    className: "bg-orange-100 text-orange-800",
+  },
+  WON: { label: "Won", className: "bg-green-100 text-green-800" },
+  LOST: { label: "Lost", className: "bg-red-100 text-red-800" },
+  CLOSED: { label: "Closed", className: "bg-gray-100 text-gray-800" },
+};
+
+// Decimal fields arrive as strings, or as { $numberDecimal } without getters
+const amountOf = (value) => value?.$numberDecimal ?? value ?? "0";
+
+const Field = ({ label, children }) => (
+  <div>
+    <label className="text-sm font-medium text-gray-500 dark:text-gray-200">
+      {label}
+    </label>
+    <p className="text-sm text-gray-900 dark:text-gray-100">{children}</p>
+  </div>
+);
+
+// Refunds and the Stripe dispute of a payment, with a form for admin refunds. The
+// payment returned by a refund replaces the one passed in, so the card is current
+// without waiting for the transaction list to refetch.
+const RefundDisputeCard = ({ payment: initialPayment, formatDate }) => {
+  const [payment, setPayment] = useState(initialPayment);
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+  const [refundTransaction, { isLoading }] = useRefundTransactionMutation();
+
+  const refunds = payment.refunds || [];
+  const dispute = payment.dispute;
+  const canRefund = REFUNDABLE_STATUSES.includes(payment.status?.toUpperCase());
+  const currency = payment.fiatCurrency || payment.currency || "USD";
+
+  const handleRefund = async (event) => {
+    event.preventDefault();
+    const refundData = { reason: reason.trim() };
+    if (amount.trim()) refundData.amount = amount.trim();
+
+    try {
+      const result = await refundTransaction({
+        transactionId: payment._id,
+        refundData,
+      }).unwrap();
+      if (result?.payment) setPayment(result.payment);
+      setAmount("");
+      setReason("");
+    } catch (error) {
+      // Error handling is done in baseQuery
+    }
+  };
+
+  const statusBadge = (config, value) => {
+    const { label, className } = config[value] || {
+      label: value,
+      className: "bg-gray-100 text-gray-800",
+    };
+    return (
+      <Badge variant="outline" className={className}>
+        {label}
+      </Badge>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Refunds & Disputes</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {dispute && (
+          <div className="border rounded-lg p-3 space-y-3">
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-sm">
+                Dispute {dispute.stripeDisputeId}
+              </span>
+              {statusBadge(disputeOutcomeConfig, dispute.outcome)}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <Field label="Reason">{dispute.reason || "N/A"}</Field>
+              <Field label="Disputed">
+                {amountOf(dispute.fiatAmount)} {currency} ·{" "}
+                {amountOf(dispute.ucAmount)} UC
+              </Field>
+              <Field label="Held">{amountOf(dispute.heldAmount)} UC</Field>
+              {dispute.clawbackJournalId && (
+                <>
+                  <Field label="Clawed back from balance">
+                    {amountOf(dispute.fromBalance)} UC
+                  </Field>
+                  <Field label="Booked to receivable">
+                    {amountOf(dispute.receivable)} UC
+                  </Field>
+                </>
+              )}
+              <Field label="Opened">{formatDate(dispute.openedAt)}</Field>
+              {dispute.closedAt && (
+                <Field label="Closed">{formatDate(dispute.closedAt)}</Field>
+              )}
+            </div>
+          </div>
+        )}
+
+        {refunds.length > 0 ? (
+          <div className="space-y-2">
+            {refunds.map((refund) => (
+              <div key={refund._id} className="border rounded-lg p-3">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-sm font-medium">
+                    {amountOf(refund.fiatAmount)} {currency} ·{" "}
+                    {amountOf(refund.ucAmount)} UC
+                  </span>
+                  {statusBadge(refundStatusConfig, refund.status)}
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-200">
+                  {formatDate(refund.createdAt)}
+                  {refund.reason && ` · ${refund.reason}`}
+                </p>
+                {refund.status === "SUCCEEDED" &&
+                  Number(amountOf(refund.receivable)) > 0 && (
+                    <p className="text-xs text-orange-700 mt-1">
+                      {amountOf(refund.receivable)} UC booked to the user's
+                      receivable
+                    </p>
+                  )}
+                {refund.error && (
+                  <p className="text-xs text-red-600 mt-1">{refund.error}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          !dispute && (
+            <p className="text-sm text-gray-500 dark:text-gray-200">
+              No refunds or disputes
+            </p>
+          )
+        )}
+
+        {canRefund && (
+          <form onSubmit={handleRefund} className="space-y-3 border-t pt-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <Label htmlFor="refund-amount">Amount ({currency})</Label>
+                <Input
+                  id="refund-amount"
+                  inputMode="decimal"
+                  placeholder="Remaining amount"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                />
+              </div>
+              <div className="md:col-span-2">
+                <Label htmlFor="refund-reason">Reason</Label>
+                <Textarea
+                  id="refund-reason"
+                  rows={2}
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <Button
+                type="submit"
+                variant="destructive"
+                disabled={isLoading || reason.trim().length < 5}
+              >
+                {isLoading ? "Refunding..." : "Refund"}
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RefundDisputeCard;
@@ -0,0 +1,190 @@
+import React, { useState } from "react";
+
+import { Badge } from "../ui/badge";
+import { Button } from "../ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "../ui/card";
+import { useGetReversalChainQuery } from "../../store/api/transactionApiSlice";
+
+const chainStatusConfig = {
+  NOT_REVERSED: {
+    label: "Not reversed",
+    className: "bg-green-100 text-green-800",
+  },
+  PARTIALLY_REVERSED: {
+    label: "Partially reversed",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+  FULLY_REVERSED: {
+    label: "Fully reversed",
+    className: "bg-gray-100 text-gray-800",
+  },
+};
+
+// Original/reversal links of a ledger journal. Links can be followed through the
+// chain; "Back" returns to the transaction's own journal.
+const ReversalChainCard = ({ journalId, formatDate }) => {
+  const [viewedJournalId, setViewedJournalId] = useState(journalId);
+  const {
+    data: chain,
+    isLoading,
+    isError,
+  } = useGetReversalChainQuery(viewedJournalId, { skip: !viewedJournalId });
+
+  const statusConfig =
+    chainStatusConfig[chain?.status] || chainStatusConfig.NOT_REVERSED;
+
+  const journalLink = (id) => (
+    <button
+      type="button"
+      className="font-mono text-sm text-blue-600 hover:underline break-all text-left"
+      onClick={() => setViewedJournalId(id)}
+    >
+      {id}
+    </button>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center justify-between">
+          <span>Reversal Chain</span>
+          {viewedJournalId !== journalId && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setViewedJournalId(journalId)}
+            >
+              Back
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <p className="text-sm text-gray-500 dark:text-gray-200">
+            Loading reversal chain...
+          </p>
+        ) : isError || !chain ? (
+          <p className="text-sm text-gray-500 dark:text-gray-200">
+            Reversal chain unavailable
+          </p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="text-sm font-medium text-gray-500 dark:text-gray-200">
+                  Journal
+                </label>
+                <p className="font-mono text-sm text-gray-900 dark:text-gray-100 break-all">
+                  {chain.journalId}
+                </p>
+              </div>
+              <div>
+                <label className="text-sm font-medium text-gray-500 dark:text-gray-200">
+                  {chain.reverses ? "Reverses Journal" : "Reversal Status"}
+                </label>
+                <div>
+                  {chain.reverses ? (
+                    journalLink(chain.reverses)
+                  ) : (
+                    <Badge variant="outline" className={statusConfig.className}>
+                      {statusConfig.label}
+                    </Badge>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {!chain.reverses && (
+              <div>
+                <label className="text-sm font-medium text-gray-500 dark:text-gray-200">
+                  Entries
+                </label>
+                <div className="space-y-2 mt-1">
+                  {chain.entries.map((entry) => (
+                    <div
+                      key={entry.entryId}
+                      className="flex items-center justify-between text-sm border rounded-lg p-2"
+                    >
+                      <span className="text-gray-900 dark:text-gray-100">
+                        {entry.side === "debit" ? "Debit" : "Credit"}{" "}
+                        {entry.accountType} · {entry.amount} {entry.asset}
+                      </span>
+                      <span className="text-xs text-gray-500 dark:text-gray-200">
+                        Reversed {entry.reversed} · Left {entry.reversible}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {chain.reversals.length > 0 && (
+              <div>
+                <label className="text-sm font-medium text-gray-500 dark:text-gray-200">
+                  Reversals
+                </label>
+                <div className="space-y-2 mt-1">
+                  {chain.reversals.map((reversal) => (
+                    <div
+                      key={reversal.journalId}
+                      className="border rounded-lg p-3"
+                    >
+                      <div className="flex items-center justify-between mb-1">
+                        {journalLink(reversal.journalId)}
+                        <span className="text-sm font-medium">
+                          {reversal.amount}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-200">
+                        {formatDate(reversal.createdAt)}
+                        {reversal.reason && ` · ${reversal.reason}`}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {chain.pendingApprovals?.length > 0 && (
+              <div>
+                <label className="text-sm font-medium text-gray-500 dark:text-gray-200">
+                  Awaiting Approval
+                </label>
+                <div className="space-y-2 mt-1">
+                  {chain.pendingApprovals.map((action) => (
+                    <div
+                      key={action.actionId}
+                      className="flex items-center justify-between border rounded-lg p-3"
+                    >
+                      <div>
+                        <p className="text-sm text-gray-900 dark:text-gray-100">
+                          {action.description}
+                        </p>
+                        <p className="text-xs text-gray-500 dark:text-gray-200">
+                          By{" "}
+                          {action.createdBy?.fullName ||
+                            action.createdBy?.email ||
+                            "N/A"}{" "}
+                          · expires {formatDate(action.expiresAt)}
+                        </p>
+                      </div>
+                      <Badge
+                        variant="secondary"
+                        className="bg-yellow-100 text-yellow-800"
+                      >
+                        {action.approvals}/{action.requiredApprovals} approvals
+                      </Badge>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReversalChainCard;
@@ -42,13 +42,33 @@ const TransactionDataTable = ({
       },
       failed: { variant: "destructive", className: "bg-red-100 text-red-800" },
       reversed: { variant: "outline", className: "bg-gray-100 text-gray-800" },
+      partially_refunded: {
+        variant: "outline",
+        className: "bg-orange-100 text-orange-800",
+        label: "Partially refunded",
+      },
+      refunded: {
+        variant: "outline",
+        className: "bg-orange-100 text-orange-800",
+        label: "Refunded",
+      },
+      disputed: {
+        variant: "secondary",
+        className: "bg-amber-100 text-amber-800",
+        label: "Disputed",
+      },
+      charged_back: {
+        variant: "destructive",
+        className: "bg-red-100 text-red-800",
+        label: "Charged back",
+      },
     };
 
     const config = statusConfig[status?.toLowerCase()] || statusConfig.pending;
 
     return (
       <Badge variant={config.variant} className={config.className}>
-        {status?.charAt(0).toUpperCase() + status?.slice(1)}
+        {config.label || status?.charAt(0).toUpperCase() + status?.slice(1)}
       </Badge>
     );
   };
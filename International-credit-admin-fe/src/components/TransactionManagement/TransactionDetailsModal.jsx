@@ -4,6 +4,8 @@ import { format } from "date-fns";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "../ui/dialog";
 import { Badge } from "../ui/badge";
 import { Card, CardContent, CardHeader, CardTitle } from "../ui/card";
+import ReversalChainCard from "./ReversalChainCard";
+import RefundDisputeCard from "./RefundDisputeCard";
 
 const TransactionDetailsModal = ({
   transaction,
@@ -38,13 +40,33 @@ const TransactionDetailsModal = ({
       },
       failed: { variant: "destructive", className: "bg-red-100 text-red-800" },
       reversed: { variant: "outline", className: "bg-gray-100 text-gray-800" },
+      partially_refunded: {
+        variant: "outline",
+        className: "bg-orange-100 text-orange-800",
+        label: "Partially refunded",
+      },
+      refunded: {
+        variant: "outline",
+        className: "bg-orange-100 text-orange-800",
+        label: "Refunded",
+      },
+      disputed: {
+        variant: "secondary",
+        className: "bg-amber-100 text-amber-800",
+        label: "Disputed",
+      },
+      charged_back: {
+        variant: "destructive",
+        className: "bg-red-100 text-red-800",
+        label: "Charged back",
+      },
     };
 
     const config = statusConfig[status?.toLowerCase()] || statusConfig.pending;
 
     return (
       <Badge variant={config.variant} className={config.className}>
-        {status?.charAt(0).toUpperCase() + status?.slice(1)}
+        {config.label || status?.charAt(0).toUpperCase() + status?.slice(1)}
       </Badge>
     );
   };
@@ -226,7 +248,11 @@ const TransactionDetailsModal = ({
                   <label className="text-sm font-medium text-gray-500 dark:text-gray-200">
                     Exchange Rate
                   </label>
-                  <p className="text-sm text-gray-900 dark:text-gray-100">1</p>
+                  <p className="text-sm text-gray-900 dark:text-gray-100">
+                    {transaction.exchangeRate?.$numberDecimal ??
+                      transaction.exchangeRate ??
+                      "N/A"}
+                  </p>
                 </div>
                 <div>
                   <label className="text-sm font-medium text-gray-500 dark:text-gray-200">
@@ -283,6 +309,15 @@ const TransactionDetailsModal = ({
             </CardContent>
           </Card>
 
+          {/* Reversal Chain */}
+          {transaction.linkedJournalId && (
+            <ReversalChainCard
+              key={transaction.linkedJournalId}
+              journalId={transaction.linkedJournalId}
+              formatDate={formatDate}
+            />
+          )}
+
           {/* Stripe Payment Details */}
           {transaction.stripePaymentIntentId && (
             <Card>
@@ -324,6 +359,15 @@ const TransactionDetailsModal = ({
             </Card>
           )}
 
+          {/* Refunds & Disputes */}
+          {transaction.stripePaymentIntentId && (
+            <RefundDisputeCard
+              key={transaction._id}
+              payment={transaction}
+              formatDate={formatDate}
+            />
+          )}
+
           {/* Transaction Events */}
           {transaction.events && transaction.events.length > 0 && (
             <Card>
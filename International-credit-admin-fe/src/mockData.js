@@ -74,29 +74,6 @@ export const mockProposals = [
   },
 ];
 
-export const mockMultiSigQueue = [
-  {
-    id: 1,
-    action: "Freeze minting operation",
-    requiredApprovals: 3,
-    currentApprovals: 2,
-    approvers: ["Admin1", "Admin2"],
-    pending: ["Admin3"],
-    priority: "high",
-    createdDate: "2024-09-19",
-  },
-  {
-    id: 2,
-    action: "Pause smart contract",
-    requiredApprovals: 4,
-    currentApprovals: 1,
-    approvers: ["Admin1"],
-    pending: ["Admin2", "Admin3", "Admin4"],
-    priority: "critical",
-    createdDate: "2024-09-20",
-  },
-];
-
 export const mockAuditLogs = [
   {
     id: 1,
@@ -66,6 +66,7 @@ export const governanceApiSlice = createApi({
     getProposals: builder.query({
       query: ({ page = 1, limit = 10 } = {}) => {
         const params = new URLSearchParams();
+        params.append("source", "chain");
         params.append("page", page.toString());
         params.append("limit", limit.toString());
         return `/governance/proposals?${params.toString()}`;
@@ -78,8 +79,12 @@ export const governanceApiSlice = createApi({
           totalProposals: response?.data.summary.totalProposals || 0,
           currentPage: response?.data?.currentPage || response?.data?.page || 1,
           totalPages: response?.data?.totalPages || 0,
-          hasNextPage: response?.data?.hasNextPage || false,
+          hasNextPage:
+            response?.data?.summary?.hasNextPage ||
+            response?.data?.hasNextPage ||
+            false,
           hasPreviousPage:
+            response?.data?.summary?.hasPrevPage ||
             response?.data?.hasPreviousPage ||
             response?.data?.hasPrevPage ||
             false,
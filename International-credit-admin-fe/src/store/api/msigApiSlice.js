@@ -0,0 +1,132 @@
+import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
+import { toast } from "sonner";
+
+import { logout } from "../slices/authSlice";
+
+const rawBaseQuery = fetchBaseQuery({
+  baseUrl: import.meta.env.VITE_API_URL,
+  prepareHeaders: (headers, { getState }) => {
+    const token = getState()?.auth?.token;
+    if (token) headers.set("authorization", `Bearer ${token}`);
+    headers.set("accept", "application/json");
+    headers.set("Content-Type", "application/json");
+    return headers;
+  },
+});
+
+const baseQuery = async (args, api, extraOptions) => {
+  const result = await rawBaseQuery(args, api, extraOptions);
+  if (result.error) {
+    const { status, data, error } = result.error;
+    const message = data?.message || error || "An unexpected error occurred";
+
+    switch (status) {
+      case 0:
+      case "FETCH_ERROR":
+        toast.error("Network error. Please check your connection.");
+        break;
+      case 400:
+      case 422:
+        if (data?.errors) {
+          Object.values(data.errors)
+            .flat()
+            .forEach((m) => toast.error(String(m)));
+        } else {
+          toast.error(message);
+        }
+        break;
+      case 401:
+        api.dispatch(logout());
+        toast.error("Session expired. Please login again.");
+        break;
+      case 403:
+        toast.error("Access denied.");
+        break;
+      case 404:
+        toast.error("Resource not found.");
+        break;
+      case 429:
+        toast.error("Too many requests. Try again later.");
+        break;
+      case 500:
+      default:
+        toast.error(message);
+        break;
+    }
+  }
+  return result;
+};
+
+export const msigApiSlice = createApi({
+  reducerPath: "msigApi",
+  baseQuery,
+  tagTypes: ["MsigAction", "MsigStats"],
+  endpoints: (builder) => ({
+    // Get multi-sig actions with pagination and filters
+    getMsigActions: builder.query({
+      query: (filters = {}) => {
+        const params = new URLSearchParams();
+
+        if (filters.page) params.append("page", filters.page.toString());
+        if (filters.limit) params.append("limit", filters.limit.toString());
+        if (filters.status) params.append("status", filters.status);
+        if (filters.type) params.append("type", filters.type);
+
+        const queryString = params.toString();
+        return `/admin/msig/actions${queryString ? `?${queryString}` : ""}`;
+      },
+      providesTags: ["MsigAction"],
+      transformResponse: (response) => {
+        return {
+          actions: response?.data?.actions || [],
+          pagination: response?.data?.pagination || {},
+        };
+      },
+    }),
+
+    // Get queue statistics
+    getMsigStats: builder.query({
+      query: () => `/admin/msig/stats`,
+      providesTags: ["MsigStats"],
+      transformResponse: (response) => {
+        return response?.data?.stats;
+      },
+    }),
+
+    // Queue a new action (initiator counts as the first approval)
+    createMsigAction: builder.mutation({
+      query: (body) => ({
+        url: `/admin/msig/actions`,
+        method: "POST",
+        body,
+      }),
+      invalidatesTags: ["MsigAction", "MsigStats"],
+    }),
+
+    approveMsigAction: builder.mutation({
+      query: ({ id, reason }) => ({
+        url: `/admin/msig/actions/${id}/approve`,
+        method: "POST",
+        body: { reason },
+      }),
+      invalidatesTags: ["MsigAction", "MsigStats"],
+    }),
+
+    rejectMsigAction: builder.mutation({
+      query: ({ id, reason }) => ({
+        url: `/admin/msig/actions/${id}/reject`,
+        method: "POST",
+        body: { reason },
+      }),
+      invalidatesTags: ["MsigAction", "MsigStats"],
+    }),
+  }),
+});
+
+export const {
+  useGetMsigActionsQuery,
+  useGetMsigStatsQuery,
+  useCreateMsigActionMutation,
+  useApproveMsigActionMutation,
+  useRejectMsigActionMutation,
+} = msigApiSlice;
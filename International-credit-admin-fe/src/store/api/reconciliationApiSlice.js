@@ -0,0 +1,226 @@
+import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
+import { toast } from "sonner";
+
+import { logout } from "../slices/authSlice";
+
+const rawBaseQuery = fetchBaseQuery({
+  baseUrl: import.meta.env.VITE_API_URL,
+  prepareHeaders: (headers, { getState }) => {
+    const token = getState()?.auth?.token;
+    if (token) headers.set("authorization", `Bearer ${token}`);
+    headers.set("accept", "application/json");
+    headers.set("Content-Type", "application/json");
+    return headers;
+  },
+});
+
+const baseQuery = async (args, api, extraOptions) => {
+  const result = await rawBaseQuery(args, api, extraOptions);
+  if (result.error) {
+    const { status, data, error } = result.error;
+    const message = data?.message || error || "An unexpected error occurred";
+
+    switch (status) {
+      case 0:
+      case "FETCH_ERROR":
+        toast.error("Network error. Please check your connection.");
+        break;
+      case 400:
+      case 422:
+        if (data?.errors) {
+          Object.values(data.errors)
+            .flat()
+            .forEach((m) => toast.error(String(m)));
+        } else {
+          toast.error(message);
+        }
+        break;
+      case 401:
+        api.dispatch(logout());
+        toast.error("Session expired. Please login again.");
+        break;
+      case 403:
+        toast.error("Access denied.");
+        break;
+      case 404:
+        toast.error("Resource not found.");
+        break;
+      case 429:
+        toast.error("Too many requests. Try again later.");
+        break;
+      case 500:
+      default:
+        toast.error(message);
+        break;
+    }
+  }
+  return result;
+};
+
+export const reconciliationApiSlice = createApi({
+  reducerPath: "reconciliationApi",
+  baseQuery,
+  tagTypes: [
+    "ReconciliationReport",
+    "ReconciliationSummary",
+    "PaymentException",
+    "PaymentReconciliationSummary",
+  ],
+  endpoints: (builder) => ({
+    // Latest run and number of reports awaiting acknowledgement
+    getReconciliationSummary: builder.query({
+      query: () => `/admin/reconciliation/chain/summary`,
+      providesTags: ["ReconciliationSummary"],
+      transformResponse: (response) => response?.data,
+    }),
+
+    getReconciliationReports: builder.query({
+      query: (filters = {}) => {
+        const params = new URLSearchParams();
+
+        if (filters.page) params.append("page", filters.page.toString());
+        if (filters.limit) params.append("limit", filters.limit.toString());
+        if (filters.status) params.append("status", filters.status);
+        if (filters.acknowledged !== undefined && filters.acknowledged !== "")
+          params.append("acknowledged", String(filters.acknowledged));
+
+        const queryString = params.toString();
+        return `/admin/reconciliation/chain/reports${
+          queryString ? `?${queryString}` : ""
+        }`;
+      },
+      providesTags: ["ReconciliationReport"],
+      transformResponse: (response) => {
+        return {
+          reports: response?.data?.reports || [],
+          pagination: response?.data?.pagination || {},
+        };
+      },
+    }),
+
+    getReconciliationReport: builder.query({
+      query: (id) => `/admin/reconciliation/chain/reports/${id}`,
+      providesTags: (result, error, id) => [
+        { type: "ReconciliationReport", id },
+      ],
+      transformResponse: (response) => response?.data?.report,
+    }),
+
+    acknowledgeReconciliationReport: builder.mutation({
+      query: ({ id, note }) => ({
+        url: `/admin/reconciliation/chain/reports/${id}/acknowledge`,
+        method: "POST",
+        body: note ? { note } : {},
+      }),
+      invalidatesTags: ["ReconciliationReport", "ReconciliationSummary"],
+    }),
+
+    runReconciliation: builder.mutation({
+      query: () => ({
+        url: `/admin/reconciliation/chain/run`,
+        method: "POST",
+      }),
+      invalidatesTags: ["ReconciliationReport", "ReconciliationSummary"],
+    }),
+
+    // Card payment reconciliation: latest run and unresolved exception counts
+    getPaymentReconciliationSummary: builder.query({
+      query: () => `/admin/reconciliation/payments/summary`,
+      providesTags: ["PaymentReconciliationSummary"],
+      transformResponse: (response) => response?.data,
+    }),
+
+    runPaymentReconciliation: builder.mutation({
+      query: (date) => ({
+        url: `/admin/reconciliation/payments/run`,
+        method: "POST",
+        body: date ? { date } : {},
+      }),
+      invalidatesTags: ["PaymentException", "PaymentReconciliationSummary"],
+    }),
+
+    getPaymentExceptions: builder.query({
+      query: (filters = {}) => {
+        const params = new URLSearchParams();
+
+        if (filters.page) params.append("page", filters.page.toString());
+        if (filters.limit) params.append("limit", filters.limit.toString());
+        if (filters.status) params.append("status", filters.status);
+        if (filters.type) params.append("type", filters.type);
+
+        const queryString = params.toString();
+        return `/admin/reconciliation/payments/exceptions${
+          queryString ? `?${queryString}` : ""
+        }`;
+      },
+      providesTags: ["PaymentException"],
+      transformResponse: (response) => {
+        return {
+          exceptions: response?.data?.exceptions || [],
+          pagination: response?.data?.pagination || {},
+        };
+      },
+    }),
+
+    getPaymentException: builder.query({
+      query: (id) => `/admin/reconciliation/payments/exceptions/${id}`,
+      providesTags: (result, error, id) => [{ type: "PaymentException", id }],
+      transformResponse: (response) => response?.data?.exception,
+    }),
+
+    assignPaymentException: builder.mutation({
+      query: ({ id, ...body }) => ({
+        url: `/admin/reconciliation/payments/exceptions/${id}/assign`,
+        method: "POST",
+        body,
+      }),
+      invalidatesTags: ["PaymentException", "PaymentReconciliationSummary"],
+    }),
+
+    addPaymentExceptionNote: builder.mutation({
+      query: ({ id, note }) => ({
+        url: `/admin/reconciliation/payments/exceptions/${id}/notes`,
+        method: "POST",
+        body: { note },
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: "PaymentException", id },
+      ],
+    }),
+
+    resolvePaymentException: builder.mutation({
+      query: ({ id, note }) => ({
+        url: `/admin/reconciliation/payments/exceptions/${id}/resolve`,
+        method: "POST",
+        body: { note },
+      }),
+      invalidatesTags: ["PaymentException", "PaymentReconciliationSummary"],
+    }),
+
+    // Credits, reverses or syncs according to the exception's type
+    fixPaymentException: builder.mutation({
+      query: ({ id, action, note }) => ({
+        url: `/admin/reconciliation/payments/exceptions/${id}/fix`,
+        method: "POST",
+        body: note ? { action, note } : { action },
+      }),
+      invalidatesTags: ["PaymentException", "PaymentReconciliationSummary"],
+    }),
+  }),
+});
+
+export const {
+  useGetReconciliationSummaryQuery,
+  useGetReconciliationReportsQuery,
+  useGetReconciliationReportQuery,
+  useAcknowledgeReconciliationReportMutation,
+  useRunReconciliationMutation,
+  useGetPaymentReconciliationSummaryQuery,
+  useRunPaymentReconciliationMutation,
+  useGetPaymentExceptionsQuery,
+  useGetPaymentExceptionQuery,
+  useAssignPaymentExceptionMutation,
+  useAddPaymentExceptionNoteMutation,
+  useResolvePaymentExceptionMutation,
+  useFixPaymentExceptionMutation,
+} = reconciliationApiSlice;
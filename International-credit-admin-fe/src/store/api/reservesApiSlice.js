@@ -0,0 +1,83 @@
+import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
+import { toast } from "sonner";
+
+import { logout } from "../slices/authSlice";
+
+const rawBaseQuery = fetchBaseQuery({
+  baseUrl: import.meta.env.VITE_API_URL,
+  prepareHeaders: (headers, { getState }) => {
+    const token = getState()?.auth?.token;
+    if (token) headers.set("authorization", `Bearer ${token}`);
+    headers.set("accept", "application/json");
+    headers.set("Content-Type", "application/json");
+    return headers;
+  },
+});
+
+const baseQuery = async (args, api, extraOptions) => {
+  const result = await rawBaseQuery(args, api, extraOptions);
+  if (result.error) {
+    const { status, data, error } = result.error;
+    const message = data?.message || error || "An unexpected error occurred";
+
+    switch (status) {
+      case 0:
+      case "FETCH_ERROR":
+        toast.error("Network error. Please check your connection.");
+        break;
+      case 400:
+      case 422:
+        if (data?.errors) {
+          Object.values(data.errors)
+            .flat()
+            .forEach((m) => toast.error(String(m)));
+        } else {
+          toast.error(message);
+        }
+        break;
+      case 401:
+        api.dispatch(logout());
+        toast.error("Session expired. Please login again.");
+        break;
+      case 403:
+        toast.error("Access denied.");
+        break;
+      case 404:
+        toast.error("Resource not found.");
+        break;
+      case 429:
+        toast.error("Too many requests. Try again later.");
+        break;
+      case 500:
+      default:
+        toast.error(message);
+        break;
+    }
+  }
+  return result;
+};
+
+export const reservesApiSlice = createApi({
+  reducerPath: "reservesApi",
+  baseQuery,
+  endpoints: (builder) => ({
+    // Bucketed collateral % / reserve ratio and health-status transitions
+    getReserveHistory: builder.query({
+      query: (range = "7d") => `/reserves/history?range=${range}`,
+      transformResponse: (response) => response?.data,
+    }),
+
+    // OHLC candles of the aggregated (or a single source's) price
+    getPriceHistory: builder.query({
+      query: ({ asset, range = "7d", source }) => {
+        const params = new URLSearchParams({ asset, range });
+        if (source) params.append("source", source);
+        return `/pricing/history?${params.toString()}`;
+      },
+      transformResponse: (response) => response?.data,
+    }),
+  }),
+});
+
+export const { useGetReserveHistoryQuery, useGetPriceHistoryQuery } =
+  reservesApiSlice;
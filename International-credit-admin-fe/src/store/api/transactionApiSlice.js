@@ -60,7 +60,7 @@ const baseQuery = async (args, api, extraOptions) => {
 export const transactionApiSlice = createApi({
   reducerPath: "transactionApi",
   baseQuery,
-  tagTypes: ["Transaction", "TransactionStats"],
+  tagTypes: ["Transaction", "TransactionStats", "ReversalChain"],
   endpoints: (builder) => ({
     // Get transaction statistics
     getTransactionStats: builder.query({
@@ -127,6 +127,17 @@ export const transactionApiSlice = createApi({
       },
     }),
 
+    // Get a ledger journal's original/reversal chain
+    getReversalChain: builder.query({
+      query: (journalId) => `/admin/ledger/journals/${journalId}/reversals`,
+      providesTags: (result, error, journalId) => [
+        { type: "ReversalChain", id: journalId },
+      ],
+      transformResponse: (response) => {
+        return response?.data?.chain;
+      },
+    }),
+
     // Update transaction status
     updateTransactionStatus: builder.mutation({
       query: ({ transactionId, status, reason }) => ({
@@ -149,17 +160,21 @@ export const transactionApiSlice = createApi({
       },
     }),
 
-    // Refund transaction
+    // Refund a Stripe payment in full or in part; the UC is clawed back
     refundTransaction: builder.mutation({
       query: ({ transactionId, refundData }) => ({
-        url: `/admin/transactions/${transactionId}/refund`,
+        url: `/admin/payments/${transactionId}/refund`,
         method: "POST",
         body: refundData,
       }),
+      transformResponse: (response) => {
+        return response?.data;
+      },
       invalidatesTags: (result, error, { transactionId }) => [
         "TransactionStats",
         "Transaction",
         { type: "Transaction", id: transactionId },
+        "ReversalChain",
       ],
       onQueryStarted: async (arg, { dispatch, queryFulfilled }) => {
         try {
@@ -252,6 +267,7 @@ export const {
   useGetTransactionStatsQuery,
   useGetTransactionsQuery,
   useGetTransactionByIdQuery,
+  useGetReversalChainQuery,
   useUpdateTransactionStatusMutation,
   useRefundTransactionMutation,
   useRevokeTransactionMutation,
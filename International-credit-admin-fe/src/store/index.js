@@ -9,6 +9,9 @@ import { auditApiSlice } from "./api/auditApiSlice";
 import { custodianApiSlice } from "./api/custodianApiSlice";
 import { userProfileApiSlice } from "./api/userProfileApi";
 import { transactionApiSlice } from "./api/transactionApiSlice";
+import { msigApiSlice } from "./api/msigApiSlice";
+import { reconciliationApiSlice } from "./api/reconciliationApiSlice";
+import { reservesApiSlice } from "./api/reservesApiSlice";
 import authReducer from "./slices/authSlice";
 import userReducer from "./slices/userSlice";
 import walletReducer from "./slices/walletSlice";
@@ -28,6 +31,9 @@ export const store = configureStore({
     [custodianApiSlice.reducerPath]: custodianApiSlice.reducer,
     [userProfileApiSlice.reducerPath]: userProfileApiSlice.reducer,
     [transactionApiSlice.reducerPath]: transactionApiSlice.reducer,
+    [msigApiSlice.reducerPath]: msigApiSlice.reducer,
+    [reconciliationApiSlice.reducerPath]: reconciliationApiSlice.reducer,
+    [reservesApiSlice.reducerPath]: reservesApiSlice.reducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware()
@@ -39,7 +45,10 @@ export const store = configureStore({
       .concat(auditApiSlice.middleware)
       .concat(custodianApiSlice.middleware)
       .concat(userProfileApiSlice.middleware)
-      .concat(transactionApiSlice.middleware),
+      .concat(transactionApiSlice.middleware)
+      .concat(msigApiSlice.middleware)
+      .concat(reconciliationApiSlice.middleware)
+      .concat(reservesApiSlice.middleware),
 });
 
 export default store;
@@ -0,0 +1,28 @@
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2022: true,
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'script',
+  },
+  extends: ['eslint:recommended', 'plugin:node/recommended', 'prettier'],
+  rules: {
+    // Route handlers, Bull processors and callbacks keep their full signatures
+    'no-unused-vars': ['error', { args: 'none' }],
+    // The app and worker entry points exit on fatal startup errors and signals
+    'no-process-exit': 'off',
+  },
+  overrides: [
+    {
+      files: ['**/__tests__/**/*.js'],
+      env: { jest: true },
+      rules: {
+        // Tests use devDependencies such as supertest
+        'node/no-unpublished-require': 'off',
+      },
+    },
+  ],
+};
@@ -26,12 +26,18 @@ const kycRoutes = require('./routes/kyc');
 const walletRoutes = require('./routes/wallets');
 const ledgerRoutes = require('./routes/ledger');
 const paymentRoutes = require('./routes/payments');
+const paymentRequestRoutes = require('./routes/paymentRequests');
+const scheduledTransferRoutes = require('./routes/scheduledTransfers');
 const settingsRoutes = require('./routes/settings');
 const notificationRoutes = require('./routes/notifications');
 const faucetRoutes = require('./routes/faucet');
 const pricingRoutes = require('./routes/pricing');
 const swapRoutes = require('./routes/swap');
 const msigRoutes = require('./routes/msig');
+const governanceRoutes = require('./routes/governance');
+const chainRoutes = require('./routes/chain');
+const reservesRoutes = require('./routes/reserves');
+const withdrawalRoutes = require('./routes/withdrawals');
 const adminRoutes = require('./routes/admin/index');
 const twoFactorRoutes = require('./routes/twofactor');
 
@@ -190,13 +196,20 @@ apiRouter.use('/kyc', kycRoutes);
 apiRouter.use('/wallets', walletRoutes);
 apiRouter.use('/ledger', ledgerRoutes);
 apiRouter.use('/payments', paymentRoutes);
+apiRouter.use('/payment-requests', paymentRequestRoutes);
+apiRouter.use('/scheduled-transfers', scheduledTransferRoutes);
 apiRouter.use('/settings', settingsRoutes);
 apiRouter.use('/notifications', notificationRoutes);
 apiRouter.use('/faucet', faucetRoutes);
 apiRouter.use('/pricing', pricingRoutes);
 apiRouter.use('/swap', swapRoutes);
 apiRouter.use('/2fa', twoFactorRoutes);
+apiRouter.use('/governance', governanceRoutes);
 apiRouter.use('/admin', adminRoutes);
+apiRouter.use('/msig', msigRoutes);
+apiRouter.use('/chain', chainRoutes);
+apiRouter.use('/reserves', reservesRoutes);
+apiRouter.use('/withdrawals', withdrawalRoutes);
 
 app.use(`/api/${config.apiVersion}`, apiRouter);
 
@@ -295,7 +308,7 @@ async function initializeSystemAccounts() {
     }
     
     // Create system accounts for each asset
-    const systemAccountTypes = ['SYSTEM', 'FEE', 'RESERVE'];
+    const systemAccountTypes = ['SYSTEM', 'FEE', 'RESERVE', 'FX', 'SUSPENSE'];
     const assets = Object.values(config.assets);
     
     for (const accountType of systemAccountTypes) {
@@ -0,0 +1,42 @@
+// Human-readable ABI fragments for the contracts in International-Credit-SC.
+// Only the events, views and write calls the backend uses are listed.
+const abis = {
+  GovernanceController: [
+    'event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string description)',
+    'event VoteCast(uint256 indexed proposalId, address indexed voter, bool support)',
+    'event ProposalPassed(uint256 indexed proposalId, address indexed finalVoter, uint256 finalVoteCount)',
+    'event ProposalFailed(uint256 indexed proposalId, uint256 finalVoteCount)',
+    'event ProposalExpired(uint256 indexed proposalId, uint256 finalVoteCount)',
+    'event ProposalTied(uint256 indexed proposalId, uint256 forVotes, uint256 againstVotes)',
+    'function REQUIRED_VOTES() view returns (uint256)',
+    'function getProposal(uint256 proposalId) view returns (address proposer, string description, uint256 forVotes, uint256 againstVotes, bool passed, bool failed, bool tied, bool expired, uint256 createdAt, uint256 passedAt, uint256 votingDeadline)',
+  ],
+  ICController: [
+    'event IcMinted(address indexed to, uint256 icAmount, uint256 icbtcAmount, uint256 icautAmount)',
+    'event IcBurned(address indexed from, uint256 icAmount, uint256 icbtcReturned, uint256 icautReturned)',
+    'function totalIcMinted() view returns (uint256)',
+    'function oracle() view returns (address)',
+    'function getReserveInfo() view returns (uint256 icbtcReserves, uint256 icautReserves, uint256 totalMinted)',
+    'function getAvailableReserves() view returns (uint256 availableIcbtc, uint256 availableIcaut)',
+    'function getTotalReserveValue() view returns (uint256)',
+    'function isKycPassed(address user) view returns (bool)',
+    'function burnIc(address _from, uint256 _icAmount)',
+  ],
+  MockOracle: [
+    'function getPrices() view returns (uint256 btc, uint256 gold)',
+    'function setBtcPrice(uint256 _newPrice)',
+    'function setGoldPrice(uint256 _newPrice)',
+  ],
+  IC: [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address account) view returns (uint256)',
+  ],
+  VaultAndYield: [
+    'event Staked(address indexed user, uint256 indexed stakeId, uint256 amount, uint256 duration, uint256 apy)',
+    'event Withdrawn(address indexed user, uint256 indexed stakeId, uint256 stakedAmount, uint256 rewards, uint256 totalWithdrawn)',
+  ],
+};
+
+module.exports = abis;
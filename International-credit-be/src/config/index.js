@@ -1,3 +1,4 @@
+const path = require('path');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -34,6 +35,13 @@ const config = {
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
   },
 
+  payments: {
+    // stripe, or fake for running the payment flow offline (refused in production)
+    provider: process.env.PAYMENT_PROVIDER || 'stripe',
+    // PENDING or PROCESSING payments older than this are reported by reconciliation
+    stalePendingHours: parseInt(process.env.PAYMENT_STALE_PENDING_HOURS, 10) || 24,
+  },
+
   sumsub: {
     appToken: process.env.SUMSUB_APP_TOKEN,
     secretKey: process.env.SUMSUB_SECRET_KEY,
@@ -91,6 +99,201 @@ const config = {
     mirrorNodeUrl: process.env.MIRROR_NODE_URL || 'https://testnet.mirrornode.hedera.com',
   },
 
+  // Defaults match International-Credit-SC/deployments/hedera-testnet.json.
+  // CHAIN_DEPLOYMENT_FILE points at another deployment (e.g. a local Hardhat node).
+  blockchain: {
+    rpcUrl: process.env.CHAIN_RPC_URL || process.env.HASHIO_RPC_URL || 'https://testnet.hashio.io/api',
+    deploymentFile: process.env.CHAIN_DEPLOYMENT_FILE,
+    deploymentBlock: parseInt(process.env.CHAIN_DEPLOYMENT_BLOCK, 10) || 25320718,
+    // String default so CHAIN_CONFIRMATIONS=0 works against an automining Hardhat node
+    confirmations: parseInt(process.env.CHAIN_CONFIRMATIONS || '5', 10),
+    reorgDepth: parseInt(process.env.CHAIN_REORG_DEPTH, 10) || 20,
+    batchSize: parseInt(process.env.CHAIN_BATCH_SIZE, 10) || 500,
+    maxBatchesPerRun: parseInt(process.env.CHAIN_MAX_BATCHES_PER_RUN, 10) || 20,
+    pollIntervalMs: parseInt(process.env.CHAIN_POLL_INTERVAL_MS, 10) || 15000,
+    contracts: {
+      MockOracle: process.env.MOCK_ORACLE_ADDRESS || '0x237af74E05421427FB3cBAad5744b8b616c24B3C',
+      ICBTC: process.env.ICBTC_ADDRESS || '0x5988aE5225d0a73468c0214bCEc37162cF50f911',
+      ICAUT: process.env.ICAUT_ADDRESS || '0xcA8edBdb45728E3a9810F49900A29Ba012511401',
+      IC: process.env.IC_ADDRESS || '0xa4EA4B77d16B872B271b805c63204B5C2DD1eA64',
+      ICGOVT: process.env.ICGOVT_ADDRESS || '0xadbeadA9c8DA9F856B733e9Bf9736df6Fc8E2181',
+      ICController: process.env.IC_CONTROLLER_ADDRESS || '0x0b5Fad1A4fD4CB8320902b3161C1704DdC13f082',
+      GovernanceController: process.env.GOVERNANCE_CONTROLLER_ADDRESS || '0xd711D81F470055E88C6e1742Fb80AB32d17d85e9',
+      VaultAndYield: process.env.VAULT_AND_YIELD_ADDRESS || '0x42c21CA9C2dE7D2a2E1112c58574E33bdd9125F1',
+    },
+    // Contract events stored by ChainEventIndexerService; ABIs live in config/contracts.js
+    indexedEvents: {
+      ICController: ['IcMinted', 'IcBurned'],
+      IC: ['Transfer'],
+      VaultAndYield: ['Staked', 'Withdrawn'],
+    },
+  },
+
+  // On-chain IC vs off-chain UC checks run by the reconciliation worker
+  chainReconciliation: {
+    // Differences at or below this many tokens are treated as rounding
+    tolerance: parseFloat(process.env.CHAIN_RECON_TOLERANCE) || 0.000001,
+    // Per-user differences above this are CRITICAL rather than HIGH
+    criticalDifference: parseFloat(process.env.CHAIN_RECON_CRITICAL_DIFFERENCE) || 1000,
+    batchSize: parseInt(process.env.CHAIN_RECON_BATCH_SIZE, 10) || 20,
+  },
+
+  // Reserves snapshot worker; adapters live in services/reserveSources
+  reserves: {
+    source: process.env.RESERVES_SOURCE || 'chain',
+    // Reuse the last good snapshot, flagged stale, when the source cannot be read
+    fallback: process.env.RESERVES_FALLBACK !== 'false',
+    // Per-user Merkle leaves behind each attestation are kept this long
+    proofRetentionDays: parseInt(process.env.RESERVES_PROOF_RETENTION_DAYS, 10) || 30,
+  },
+
+  // Price feed aggregation; adapters live in services/priceSources
+  pricing: {
+    sources: (process.env.PRICE_SOURCES || 'coinbase,binance,goldapi')
+      .split(',').map(s => s.trim()).filter(Boolean),
+    assets: ['BTC', 'XAU'],
+    fixtureFile: process.env.PRICE_FIXTURE_FILE || path.join(__dirname, 'priceFixtures.json'),
+    goldApiKey: process.env.GOLDAPI_KEY,
+    requestTimeoutMs: parseInt(process.env.PRICE_REQUEST_TIMEOUT_MS, 10) || 5000,
+    pollIntervalMs: parseInt(process.env.PRICE_POLL_INTERVAL_MS, 10) || 60000,
+    // Source ticks older than this are ignored by the median
+    maxAgeMs: parseInt(process.env.PRICE_MAX_AGE_MS, 10) || 300000,
+    // Quotes further than this fraction from the median are rejected as outliers
+    maxDeviation: parseFloat(process.env.PRICE_MAX_DEVIATION) || 0.02,
+    minSources: parseInt(process.env.PRICE_MIN_SOURCES, 10) || 1,
+    // Optional keeper pushing the median to MockOracle
+    keeper: {
+      enabled: process.env.PRICE_KEEPER_ENABLED === 'true',
+      privateKey: process.env.ORACLE_KEEPER_PRIVATE_KEY,
+      // Skip the transaction unless the price moved by at least this fraction
+      minChange: parseFloat(process.env.PRICE_KEEPER_MIN_CHANGE) || 0.005,
+    },
+  },
+
+  // Decimal places kept per ledger asset and the rounding applied to fees and conversions
+  ledger: {
+    scales: {
+      UC: 8,
+      USDC_mock: 6,
+      USDT_mock: 6,
+      BBT_mock: 8,
+      GBT_mock: 8,
+    },
+    defaultScale: 8,
+    // ROUND_HALF_EVEN, ROUND_HALF_UP, ROUND_HALF_DOWN, ROUND_UP or ROUND_DOWN
+    roundingMode: process.env.LEDGER_ROUNDING_MODE || 'ROUND_HALF_EVEN',
+    // Reversals moving more than this (in the journal's asset units) need a second admin
+    reversalApprovalThreshold: process.env.REVERSAL_APPROVAL_THRESHOLD || '1000',
+  },
+
+  // Ledger holds reserving part of an account's available balance
+  holds: {
+    defaultTtlMs: parseInt(process.env.HOLD_DEFAULT_TTL_MS, 10) || 15 * 60 * 1000,
+    expireIntervalMs: parseInt(process.env.HOLD_EXPIRE_INTERVAL_MS, 10) || 60000,
+  },
+
+  // UC withdrawals; payout processors live in services/payoutProcessors
+  withdrawals: {
+    minAmount: parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT) || 10,
+    // Requests at or above this UC amount wait for admin.treasury approval
+    approvalThreshold: parseFloat(process.env.WITHDRAWAL_APPROVAL_THRESHOLD) || 10000,
+    processIntervalMs: parseInt(process.env.WITHDRAWAL_PROCESS_INTERVAL_MS, 10) || 60000,
+    batchSize: parseInt(process.env.WITHDRAWAL_BATCH_SIZE, 10) || 20,
+    // PROCESSING withdrawals older than this are reconciled against their payout
+    reconcileAfterMs: parseInt(process.env.WITHDRAWAL_RECONCILE_AFTER_MS, 10) || 10 * 60 * 1000,
+    // Signer holding RESERVE_MANAGER_ROLE on ICController, used for burnIc redemptions
+    reserveManagerPrivateKey: process.env.RESERVE_MANAGER_PRIVATE_KEY,
+  },
+
+  // Card deposits priced by a persisted quote; fee schedule and FX rates live in Config
+  deposits: {
+    quoteTtlMs: parseInt(process.env.DEPOSIT_QUOTE_TTL_MS, 10) || 15 * 60 * 1000,
+    // Fiat currencies accepted, each priced through its Config.fxTable USD rate
+    currencies: ['USD', 'EUR', 'GBP'],
+  },
+
+  // Bank transfer deposits: users pay the platform account quoting their deposit
+  // reference, and credits on imported statements are matched to it
+  bankTransfers: {
+    // Shown to users; SEPA needs the IBAN and BIC, ACH the account and routing numbers
+    beneficiary: {
+      name: process.env.BANK_BENEFICIARY_NAME || 'Universal Credit Ltd',
+      bankName: process.env.BANK_NAME,
+      iban: process.env.BANK_IBAN,
+      bic: process.env.BANK_BIC,
+      accountNumber: process.env.BANK_ACCOUNT_NUMBER,
+      routingNumber: process.env.BANK_ROUTING_NUMBER,
+    },
+    maxStatementEntries: parseInt(process.env.BANK_STATEMENT_MAX_ENTRIES, 10) || 5000,
+  },
+
+  // Cross-asset swaps booked through the per-asset FX accounts
+  swaps: {
+    quoteTtlMs: parseInt(process.env.SWAP_QUOTE_TTL_MS, 10) || 30000,
+    // A locked quote is refused once the live rate has moved further than this from it
+    maxSlippageBps: parseInt(process.env.SWAP_MAX_SLIPPAGE_BPS, 10) || 100,
+    // Config.fxTable key holding each asset's USD price
+    priceKeys: {
+      UC: 'UC',
+      USDC_mock: 'USDC',
+      USDT_mock: 'USDT',
+      BBT_mock: 'BTC',
+      GBT_mock: 'XAU',
+    },
+  },
+
+  // Internal transfers and payment requests between platform users
+  transfers: {
+    // Neither side of a transfer may hold an approved KYC application from these ISO countries
+    sanctionedCountries: (process.env.SANCTIONED_COUNTRIES || 'CU,IR,KP,SY')
+      .split(',').map(code => code.trim().toUpperCase()).filter(Boolean),
+    paymentRequestTtlHours: parseInt(process.env.PAYMENT_REQUEST_TTL_HOURS, 10) || 72,
+    // Base of the pay links handed out with payment requests
+    payLinkBaseUrl: process.env.FRONTEND_URL || 'http://localhost:3001',
+  },
+
+  // One-off and recurring transfers executed by the worker
+  scheduledTransfers: {
+    processIntervalMs: parseInt(process.env.SCHEDULED_TRANSFER_INTERVAL_MS, 10) || 60000,
+    batchSize: parseInt(process.env.SCHEDULED_TRANSFER_BATCH_SIZE, 10) || 20,
+    maxActivePerUser: parseInt(process.env.SCHEDULED_TRANSFER_MAX_ACTIVE, 10) || 25,
+    // A run short of funds is retried with exponential backoff before it is marked failed
+    maxAttempts: parseInt(process.env.SCHEDULED_TRANSFER_MAX_ATTEMPTS, 10) || 5,
+    retryDelayMs: parseInt(process.env.SCHEDULED_TRANSFER_RETRY_DELAY_MS, 10) || 15 * 60 * 1000,
+    lockMs: 5 * 60 * 1000,
+    // Runs kept on each schedule
+    runHistory: 50,
+  },
+
+  // Treasury bulk payouts paid from the asset's SYSTEM account
+  payouts: {
+    maxRows: parseInt(process.env.PAYOUT_MAX_ROWS, 10) || 1000,
+    defaultChunkSize: parseInt(process.env.PAYOUT_CHUNK_SIZE, 10) || 100,
+    processIntervalMs: parseInt(process.env.PAYOUT_PROCESS_INTERVAL_MS, 10) || 60000,
+    // How long a PROCESSING batch may go without progress before another worker resumes it
+    lockMs: parseInt(process.env.PAYOUT_LOCK_MS, 10) || 10 * 60 * 1000,
+  },
+
+  // General-ledger reporting. `defaultChart` seeds the chart of accounts the first time
+  // it is read; after that the chart is edited through /admin/gl/accounts.
+  generalLedger: {
+    maxDetailRows: parseInt(process.env.GL_MAX_DETAIL_ROWS, 10) || 10000,
+    defaultChart: [
+      { code: '1000', name: 'Assets', category: 'ASSET' },
+      { code: '1100', name: 'Settlement and issuance', category: 'ASSET', parentCode: '1000', accountType: 'SYSTEM' },
+      { code: '1200', name: 'Reserve assets', category: 'ASSET', parentCode: '1000', accountType: 'RESERVE' },
+      { code: '1300', name: 'FX clearing', category: 'ASSET', parentCode: '1000', accountType: 'FX' },
+      { code: '1400', name: 'User receivables', category: 'ASSET', parentCode: '1000', accountType: 'RECEIVABLE' },
+      { code: '1900', name: 'Suspense', category: 'ASSET', parentCode: '1000', accountType: 'SUSPENSE' },
+      { code: '2000', name: 'Liabilities', category: 'LIABILITY' },
+      { code: '2100', name: 'User balances', category: 'LIABILITY', parentCode: '2000', accountType: 'USER' },
+      { code: '3000', name: 'Equity', category: 'EQUITY' },
+      { code: '4000', name: 'Revenue', category: 'REVENUE' },
+      { code: '4100', name: 'Fee revenue', category: 'REVENUE', parentCode: '4000', accountType: 'FEE' },
+      { code: '5000', name: 'Expenses', category: 'EXPENSE' },
+    ],
+  },
+
   security: {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
     rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000,
@@ -143,6 +346,17 @@ const config = {
     FAUCET_CAP_CHANGE: 'FAUCET_CAP_CHANGE',
     PAUSE_SYSTEM: 'PAUSE_SYSTEM',
   },
+
+  msigActionTypes: {
+    CONFIG_UPDATE: 'CONFIG_UPDATE',
+    LEDGER_REVERSAL: 'LEDGER_REVERSAL',
+    WALLET_STATUS_UPDATE: 'WALLET_STATUS_UPDATE',
+  },
+
+  msig: {
+    requiredApprovals: parseInt(process.env.MSIG_REQUIRED_APPROVALS, 10) || 2,
+    expiryHours: parseInt(process.env.MSIG_EXPIRY_HOURS, 10) || 72,
+  },
 };
 
 module.exports = config;
\ No newline at end of file
@@ -114,6 +114,11 @@ const swaggerDefinition = {
             format: 'email',
             example: 'user@example.com',
           },
+          handle: {
+            type: 'string',
+            description: 'Public handle other users can send transfers to',
+            example: 'alice',
+          },
           role: {
             type: 'string',
             enum: ['end_user', 'admin.super', 'admin.compliance', 'admin.treasury'],
@@ -207,12 +212,14 @@ const swaggerDefinition = {
             example: 'UC',
           },
           available: {
-            type: 'number',
-            example: 1000.50,
+            type: 'string',
+            description: 'Decimal string at the asset scale',
+            example: '1000.50000000',
           },
           pending: {
-            type: 'number',
-            example: 0,
+            type: 'string',
+            description: 'Amount reserved by active holds',
+            example: '0.00000000',
           },
           updatedAt: {
             type: 'string',
@@ -445,6 +452,50 @@ const swaggerDefinition = {
       name: 'Account Settings - Advanced',
       description: 'Data export and account deletion',
     },
+    {
+      name: 'Governance',
+      description: 'Proposals, voting and execution',
+    },
+    {
+      name: 'Chain',
+      description: 'Indexed smart contract events',
+    },
+    {
+      name: 'Reserves',
+      description: 'Proof of reserves and liability inclusion proofs',
+    },
+    {
+      name: 'Withdrawals',
+      description: 'UC withdrawals to wallets and bank accounts',
+    },
+    {
+      name: 'Admin - Withdrawals',
+      description: 'Treasury approval of large withdrawals',
+    },
+    {
+      name: 'Scheduled Transfers',
+      description: 'One-off and recurring transfers to other users',
+    },
+    {
+      name: 'Admin - Scheduled Transfers',
+      description: 'Treasury oversight of scheduled transfers',
+    },
+    {
+      name: 'Admin - Payouts',
+      description: 'Treasury bulk payouts with preview, approval and result reports',
+    },
+    {
+      name: 'Admin - Reconciliation',
+      description: 'On-chain vs off-chain reconciliation reports, and card payment reconciliation reports with their exception workflow',
+    },
+    {
+      name: 'Admin - Bank Transfers',
+      description: 'Bank statement imports, deposit reference matching and the suspense queue of unmatched transfers',
+    },
+    {
+      name: 'Admin - General Ledger',
+      description: 'Chart of accounts and trial balance, general ledger, balance sheet and income statement reports',
+    },
     {
       name: 'Notifications',
       description: 'Push notifications and FCM token management',
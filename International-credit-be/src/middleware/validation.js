@@ -1,6 +1,7 @@
 const Joi = require('joi');
 const { ValidationError } = require('../utils/errors');
 const config = require('../config');
+const { toDecimal } = require('../utils/money');
 
 const validate = (schema, property = 'body') => {
   return (req, res, next) => {
@@ -30,7 +31,19 @@ const commonSchemas = {
   role: Joi.string().valid(...Object.values(config.roles)),
   asset: Joi.string().valid(...Object.values(config.assets)),
   amount: Joi.number().positive().precision(8),
+  // Ledger amounts travel as decimal strings so no precision is lost in JSON; numbers are
+  // still accepted. Either way the handler receives a plain decimal string.
+  ledgerAmount: Joi.alternatives()
+    .try(Joi.string().trim().pattern(/^\d+(\.\d+)?$/), Joi.number().positive())
+    .custom((value, helpers) => {
+      const amount = toDecimal(value);
+      if (!amount.gt(0)) {
+        return helpers.message('{{#label}} must be greater than 0');
+      }
+      return amount.toFixed();
+    }),
   address: Joi.string().trim(),
+  txHash: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/),
   country: Joi.string().length(2).uppercase(),
   idempotencyKey: Joi.string().uuid(),
 };
@@ -80,33 +93,286 @@ const walletSchemas = {
 };
 
 const ledgerSchemas = {
+  // `recipient` is an email, @handle or wallet address; `toAddress` is the older wallet-only field
   transfer: Joi.object({
-    toAddress: commonSchemas.address.required(),
-    amount: commonSchemas.amount.required(),
+    recipient: Joi.string().trim().max(254),
+    toAddress: commonSchemas.address,
+    amount: commonSchemas.ledgerAmount.required(),
     asset: commonSchemas.asset.required(),
     description: Joi.string().max(200).optional(),
     idempotencyKey: commonSchemas.idempotencyKey.required(),
+  }).xor('recipient', 'toAddress'),
+
+  resolveRecipient: Joi.object({
+    recipient: Joi.string().trim().max(254).required(),
   }),
   
-  swap: Joi.object({
+  swapQuote: Joi.object({
     fromAsset: commonSchemas.asset.required(),
     toAsset: commonSchemas.asset.required(),
-    amount: commonSchemas.amount.required(),
+    amount: commonSchemas.ledgerAmount.required(),
+  }),
+
+  // Either a locked quote, or the pair and amount to swap at the live rate
+  swap: Joi.object({
+    quoteId: commonSchemas.objectId,
+    fromAsset: commonSchemas.asset,
+    toAsset: commonSchemas.asset,
+    amount: commonSchemas.ledgerAmount,
+    minReceiveAmount: commonSchemas.ledgerAmount.optional(),
+    idempotencyKey: Joi.string().optional(),
+  }).xor('quoteId', 'amount').with('amount', ['fromAsset', 'toAsset']).oxor('quoteId', 'fromAsset'),
+
+  // Without `entries` the whole journal is reversed; an entry without `amount` is
+  // reversed by whatever is left of it
+  reverse: Joi.object({
+    reason: Joi.string().required().min(10).max(500),
+    entries: Joi.array().items(Joi.object({
+      entryId: commonSchemas.objectId.required(),
+      amount: commonSchemas.ledgerAmount.optional(),
+    })).min(1).max(50).optional(),
+  }),
+};
+
+const paymentRequestSchemas = {
+  create: Joi.object({
+    amount: commonSchemas.ledgerAmount.required(),
+    asset: commonSchemas.asset.default(config.assets.UC),
+    note: Joi.string().trim().max(200).optional(),
+  }),
+
+  list: Joi.object({
+    status: Joi.string().valid('OPEN', 'PAYING', 'PAID', 'CANCELED', 'EXPIRED').optional(),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+
+  pay: Joi.object({
     idempotencyKey: commonSchemas.idempotencyKey.required(),
   }),
 };
 
+const scheduledTransferSchemas = {
+  create: Joi.object({
+    recipient: Joi.string().trim().max(254).required(),
+    amount: commonSchemas.ledgerAmount.required(),
+    asset: commonSchemas.asset.default(config.assets.UC),
+    description: Joi.string().trim().max(200).optional(),
+    frequency: Joi.string().valid('ONCE', 'WEEKLY', 'MONTHLY').required(),
+    startAt: Joi.date().iso().required(),
+    endDate: Joi.date().iso().greater(Joi.ref('startAt')).optional(),
+    maxRuns: Joi.number().integer().min(1).max(520).optional(),
+  }),
+
+  list: Joi.object({
+    status: Joi.string().valid('PENDING_APPROVAL', 'ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELED', 'FAILED').optional(),
+    source: Joi.string().valid('USER', 'SYSTEM').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  adminCancel: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required(),
+  }),
+};
+
+const accountSchemas = {
+  list: Joi.object({
+    userId: commonSchemas.objectId.optional(),
+    status: Joi.string().valid('ACTIVE', 'FROZEN', 'CLOSED').optional(),
+    asset: commonSchemas.asset.optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+  }),
+
+  changeStatus: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required(),
+  }),
+};
+
+// Rows are checked one by one in PayoutService so a bad row is reported, not a 400
+const payoutSchemas = {
+  create: Joi.object({
+    asset: commonSchemas.asset.default(config.assets.UC),
+    description: Joi.string().trim().max(200).optional(),
+    mode: Joi.string().valid('ATOMIC', 'CHUNKED').default('ATOMIC'),
+    chunkSize: Joi.number().integer().min(1).max(config.payouts.maxRows).optional(),
+    csv: Joi.string().max(5 * 1024 * 1024),
+    rows: Joi.array().items(Joi.object({
+      recipient: Joi.string().allow('').max(254),
+      amount: Joi.alternatives().try(Joi.string().allow(''), Joi.number()),
+      reference: Joi.string().allow('').max(100),
+    })).min(1).max(config.payouts.maxRows),
+  }).xor('csv', 'rows'),
+
+  list: Joi.object({
+    status: Joi.string().valid(
+      'PENDING_APPROVAL', 'APPROVED', 'PROCESSING', 'COMPLETED',
+      'PARTIALLY_COMPLETED', 'FAILED', 'REJECTED', 'CANCELED'
+    ).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  review: Joi.object({
+    note: Joi.string().trim().max(500).optional(),
+  }),
+
+  reject: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required(),
+  }),
+
+  report: Joi.object({
+    format: Joi.string().valid('csv', 'json').default('csv'),
+  }),
+};
+
+const bankTransferSchemas = {
+  importStatement: Joi.object({
+    format: Joi.string().valid('CSV', 'CAMT053').required(),
+    content: Joi.string().max(5 * 1024 * 1024).required(),
+    filename: Joi.string().trim().max(200).optional(),
+  }),
+
+  list: Joi.object({
+    status: Joi.string().valid('UNMATCHED', 'CREDITING', 'CREDITED', 'RETURNED').optional(),
+    statementId: commonSchemas.objectId.optional(),
+    userId: commonSchemas.objectId.optional(),
+    currency: Joi.string().length(3).uppercase().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  pagination: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  assign: Joi.object({
+    userId: commonSchemas.objectId.required(),
+    note: Joi.string().trim().max(500).optional(),
+  }),
+
+  returnTransfer: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required(),
+  }),
+};
+
+const reconciliationSchemas = {
+  runPayments: Joi.object({
+    date: Joi.date().iso().max('now').optional(),
+  }),
+
+  paymentReports: Joi.object({
+    status: Joi.string().valid('MATCHED', 'DISCREPANCY', 'ERROR').optional(),
+    trigger: Joi.string().valid('SCHEDULED', 'MANUAL').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  exceptions: Joi.object({
+    status: Joi.string().valid('UNRESOLVED', 'OPEN', 'ASSIGNED', 'RESOLVED').optional(),
+    type: Joi.string().valid(
+      'MISSING_CREDIT', 'ORPHAN_JOURNAL', 'AMOUNT_MISMATCH',
+      'STALE_PENDING', 'MISSING_LOCAL', 'MISSING_PROVIDER'
+    ).optional(),
+    assignee: commonSchemas.objectId.optional(),
+    paymentId: commonSchemas.objectId.optional(),
+    userId: commonSchemas.objectId.optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  assign: Joi.object({
+    assigneeId: commonSchemas.objectId.optional(),
+    note: Joi.string().trim().max(1000).optional(),
+  }),
+
+  note: Joi.object({
+    note: Joi.string().trim().min(1).max(1000).required(),
+  }),
+
+  resolve: Joi.object({
+    note: Joi.string().trim().min(3).max(1000).required(),
+  }),
+
+  fix: Joi.object({
+    action: Joi.string().valid('CREDIT', 'REVERSE', 'SYNC').required(),
+    note: Joi.string().trim().max(1000).optional(),
+  }),
+};
+
+const glSchemas = {
+  createAccount: Joi.object({
+    code: Joi.string().pattern(/^\d{1,10}$/).required(),
+    name: Joi.string().trim().max(100).required(),
+    category: Joi.string().valid('ASSET', 'LIABILITY', 'EQUITY', 'REVENUE', 'EXPENSE').required(),
+    parentCode: Joi.string().pattern(/^\d{1,10}$/).optional(),
+    accountType: Joi.string().valid('USER', 'SYSTEM', 'RESERVE', 'FEE', 'FX', 'SUSPENSE', 'RECEIVABLE').optional(),
+    asset: commonSchemas.asset.optional(),
+    description: Joi.string().max(300).optional(),
+  }).with('asset', 'accountType'),
+
+  // null clears parentCode, accountType or asset
+  updateAccount: Joi.object({
+    name: Joi.string().trim().max(100),
+    parentCode: Joi.string().pattern(/^\d{1,10}$/).allow(null),
+    accountType: Joi.string().valid('USER', 'SYSTEM', 'RESERVE', 'FEE', 'FX', 'SUSPENSE', 'RECEIVABLE').allow(null),
+    asset: commonSchemas.asset.allow(null),
+    description: Joi.string().max(300).allow(''),
+    isActive: Joi.boolean(),
+  }).min(1),
+
+  // `to` is exclusive; the balance sheet is as of `to`
+  report: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) }),
+    asset: commonSchemas.asset,
+    code: Joi.string().pattern(/^\d{1,10}$/),
+    format: Joi.string().valid('json', 'csv', 'pdf').default('json'),
+  }),
+};
+
 const paymentSchemas = {
+  quote: Joi.object({
+    fiatAmount: Joi.number().min(1).max(10000).precision(2).required(),
+    fiatCurrency: Joi.string().valid(...config.deposits.currencies).default('USD'),
+    asset: Joi.string().valid('UC').default('UC'),
+  }),
+
+  // Priced by `quoteId`, or by a quote created on the spot for `amount`; amount and
+  // currency sent with a quote must match it
   createIntent: Joi.object({
-    amount: commonSchemas.amount.required(),
-    currency: Joi.string().valid('USD', 'EUR', 'GBP').default('USD'),
+    quoteId: commonSchemas.objectId,
+    amount: Joi.number().min(1).max(10000).precision(2),
+    currency: Joi.string().valid(...config.deposits.currencies),
+    paymentMethod: Joi.string().valid('card'),
     paymentMethodId: Joi.string().optional(),
-  }),
+  }).or('quoteId', 'amount'),
   
   confirmPayment: Joi.object({
     paymentIntentId: Joi.string().required(),
     idempotencyKey: commonSchemas.idempotencyKey.required(),
   }),
+
+  // Fiat amount; without one, whatever is left of the payment is refunded
+  refund: Joi.object({
+    amount: commonSchemas.ledgerAmount.optional(),
+    reason: Joi.string().trim().min(5).max(500).required(),
+  }),
+
+  // Webhook scripted on the fake provider; `amount` is fiat, for disputes and refunds
+  fakeEvent: Joi.object({
+    paymentIntentId: Joi.string().required(),
+    event: Joi.string().valid(
+      'succeeded', 'failed', 'canceled',
+      'dispute.created', 'dispute.funds_withdrawn', 'dispute.closed', 'refunded'
+    ).required(),
+    amount: Joi.number().positive().precision(2),
+    status: Joi.string().valid('won', 'lost', 'warning_closed'),
+    reason: Joi.string().max(100),
+    message: Joi.string().max(500),
+    deliveries: Joi.number().integer().min(1).max(5).default(1),
+  }),
 };
 
 const proposalSchemas = {
@@ -115,13 +381,189 @@ const proposalSchemas = {
     title: Joi.string().min(10).max(200).required(),
     description: Joi.string().min(50).max(2000).required(),
     payload: Joi.object().required(),
-    votingPeriodDays: Joi.number().min(1).max(30).default(7),
+    votingPeriodDays: Joi.number().min(1).max(30).optional(),
+    startAt: Joi.date().iso().min('now').optional(),
+    tags: Joi.array().items(Joi.string().max(50)).max(10).optional(),
+    discussionUrl: Joi.string().uri().optional(),
   }),
   
   vote: Joi.object({
-    choice: Joi.string().valid('FOR', 'AGAINST', 'ABSTAIN').required(),
+    choice: Joi.string().valid('FOR', 'AGAINST', 'ABSTAIN'),
+    support: Joi.boolean(),
+    reason: Joi.string().max(500).optional(),
+  }).xor('choice', 'support'),
+
+  // source=chain lists GovernanceController proposals indexed from contract events
+  list: Joi.object({
+    source: Joi.string().valid('platform', 'chain').default('platform'),
+    status: Joi.string().uppercase().when('source', {
+      is: 'chain',
+      then: Joi.valid('ACTIVE', 'APPROVED', 'REJECTED', 'TIED', 'EXPIRED'),
+      otherwise: Joi.valid('DRAFT', 'ACTIVE', 'PASSED', 'REJECTED', 'EXECUTED', 'EXPIRED', 'CANCELLED'),
+    }).optional(),
+    type: Joi.string().valid(...Object.values(config.proposalTypes)).optional(),
+    proposer: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional(),
+    search: Joi.string().max(100).optional(),
+    mine: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sortBy: Joi.string().when('source', {
+      is: 'chain',
+      then: Joi.valid('createdAt', 'blockNumber', 'proposalId', 'totalVotes', 'votingDeadline'),
+      otherwise: Joi.valid('createdAt', 'votingPeriod.closeAt', 'tallies.total'),
+    }).default('createdAt'),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+  }),
+
+  // Body is the client's transaction receipt; only the hash is trusted
+  recordTransaction: Joi.object({
+    txHash: commonSchemas.txHash,
+    transactionHash: commonSchemas.txHash,
+    title: Joi.string().max(200).optional(),
+  }).or('txHash', 'transactionHash').unknown(true),
+};
+
+const msigSchemas = {
+  createAction: Joi.object({
+    type: Joi.string().valid(...Object.values(config.msigActionTypes)).required(),
+    payload: Joi.alternatives().conditional('type', {
+      switch: [
+        {
+          is: config.msigActionTypes.CONFIG_UPDATE,
+          then: Joi.object({
+            updates: Joi.object().min(1).required(),
+            reason: Joi.string().max(500).optional(),
+          }),
+        },
+        {
+          is: config.msigActionTypes.LEDGER_REVERSAL,
+          then: Joi.object({
+            journalId: commonSchemas.objectId.required(),
+            reason: Joi.string().max(500).required(),
+            entries: Joi.array().items(Joi.object({
+              entryId: commonSchemas.objectId.required(),
+              amount: commonSchemas.ledgerAmount.optional(),
+            })).min(1).max(50).optional(),
+          }),
+        },
+        {
+          is: config.msigActionTypes.WALLET_STATUS_UPDATE,
+          then: Joi.object({
+            walletId: commonSchemas.objectId.required(),
+            whitelistState: Joi.string().valid(...Object.values(config.walletStatus)).required(),
+            reason: Joi.string().max(500).required(),
+          }),
+        },
+      ],
+    }).required(),
+    description: Joi.string().max(500).optional(),
+    requiredApprovals: Joi.number().integer().min(2).max(10).optional(),
+  }),
+
+  sign: Joi.object({
     reason: Joi.string().max(500).optional(),
   }),
+
+  list: Joi.object({
+    status: Joi.string().uppercase()
+      .valid('PENDING', 'EXECUTING', 'EXECUTED', 'FAILED', 'REJECTED', 'EXPIRED').optional(),
+    type: Joi.string().valid(...Object.values(config.msigActionTypes)).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+const chainSchemas = {
+  events: Joi.object({
+    address: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional(),
+    contract: Joi.string().valid(...Object.keys(config.blockchain.indexedEvents)).optional(),
+    event: Joi.string().valid(...new Set(Object.values(config.blockchain.indexedEvents).flat())).optional(),
+    txHash: commonSchemas.txHash.optional(),
+    fromBlock: Joi.number().integer().min(0).optional(),
+    toBlock: Joi.number().integer().min(0).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+  }),
+};
+
+const timeRange = Joi.string().valid('24h', '7d', '30d', '1y').default('7d');
+
+const reservesSchemas = {
+  attestation: Joi.object({
+    snapshotId: commonSchemas.objectId.optional(),
+  }),
+  history: Joi.object({
+    range: timeRange,
+  }),
+};
+
+const pricingSchemas = {
+  history: Joi.object({
+    asset: Joi.string().valid('BTC', 'XAU').required(),
+    range: timeRange,
+    source: Joi.string().valid('calculated', ...config.pricing.sources).default('calculated'),
+  }),
+
+  // `asset` is the original name of toAsset, from when only UC -> stable was quoted
+  fxQuote: Joi.object({
+    fromAsset: commonSchemas.asset.default(config.assets.UC),
+    toAsset: commonSchemas.asset,
+    asset: commonSchemas.asset,
+    amount: commonSchemas.ledgerAmount.required(),
+  }).xor('toAsset', 'asset'),
+};
+
+const withdrawalSchemas = {
+  create: Joi.object({
+    amount: commonSchemas.ledgerAmount.required(),
+    method: Joi.string().uppercase().valid('ONCHAIN', 'FIAT').required(),
+    walletAddress: commonSchemas.address.when('method', {
+      is: 'ONCHAIN',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    network: Joi.string().valid('hedera', 'ethereum', 'bitcoin').when('method', {
+      is: 'ONCHAIN',
+      then: Joi.optional().default('hedera'),
+      otherwise: Joi.forbidden(),
+    }),
+    bankAccount: Joi.object({
+      accountHolder: Joi.string().trim().min(2).max(100).required(),
+      accountNumber: Joi.string().uppercase().pattern(/^[0-9A-Z]{4,34}$/).required(),
+      routingNumber: Joi.string().trim().max(20).optional(),
+      country: commonSchemas.country.required(),
+      currency: Joi.string().valid('USD', 'EUR', 'GBP').default('USD'),
+    }).when('method', {
+      is: 'FIAT',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    idempotencyKey: commonSchemas.idempotencyKey.required(),
+  }),
+
+  list: Joi.object({
+    status: Joi.string().uppercase().valid(
+      'PENDING_APPROVAL', 'APPROVED', 'PROCESSING', 'COMPLETED', 'REJECTED', 'FAILED', 'CANCELED'
+    ).optional(),
+    method: Joi.string().uppercase().valid('ONCHAIN', 'FIAT').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  approve: Joi.object({
+    note: Joi.string().max(500).optional(),
+  }),
+
+  reject: Joi.object({
+    reason: Joi.string().min(3).max(500).required(),
+  }),
+
+  resolve: Joi.object({
+    outcome: Joi.string().uppercase().valid('COMPLETED', 'FAILED').required(),
+    reference: Joi.string().trim().max(200).optional(),
+    note: Joi.string().min(3).max(500).required(),
+  }),
 };
 
 const kycSchemas = {
@@ -137,7 +579,19 @@ module.exports = {
   authSchemas,
   walletSchemas,
   ledgerSchemas,
+  paymentRequestSchemas,
+  scheduledTransferSchemas,
+  accountSchemas,
+  payoutSchemas,
+  bankTransferSchemas,
+  reconciliationSchemas,
+  glSchemas,
   paymentSchemas,
   proposalSchemas,
+  msigSchemas,
+  chainSchemas,
+  reservesSchemas,
+  pricingSchemas,
+  withdrawalSchemas,
   kycSchemas,
 };
\ No newline at end of file
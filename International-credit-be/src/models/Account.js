@@ -12,14 +12,38 @@ const accountSchema = new mongoose.Schema({
     required: true,
     enum: Object.values(config.assets),
   },
+  // FROZEN accounts can receive but not send; CLOSED accounts can do neither and stay closed
   status: {
     type: String,
     enum: ['ACTIVE', 'FROZEN', 'CLOSED'],
     default: 'ACTIVE',
   },
+  statusReason: String,
+  statusChangedAt: Date,
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    reason: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    role: String,
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   accountType: {
     type: String,
-    enum: ['USER', 'SYSTEM', 'RESERVE', 'FEE'],
+    // FX accounts are the swap desk's per-asset liquidity position; SUSPENSE holds
+    // amounts parked until they can be attributed; a user's RECEIVABLE account goes
+    // negative by what they owe after a refund or chargeback they had already spent
+    enum: ['USER', 'SYSTEM', 'RESERVE', 'FEE', 'FX', 'SUSPENSE', 'RECEIVABLE'],
     default: 'USER',
   },
   metadata: {
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { decimal128ToString } = require('../utils/money');
 
 const activityHistorySchema = new mongoose.Schema({
   // Activity Identification
@@ -28,7 +29,7 @@ const activityHistorySchema = new mongoose.Schema({
       'PAYMENT_REFUND', 'PAYMENT_WEBHOOK_RECEIVED', 'QUOTE_GENERATED',
 
       // Ledger Activities
-      'TRANSFER_SEND', 'TRANSFER_RECEIVE', 'BALANCE_UPDATE',
+      'TRANSFER_SEND', 'TRANSFER_RECEIVE', 'TRANSFER_FAILED', 'BALANCE_UPDATE',
       'ACCOUNT_CREATE', 'TRANSACTION_REVERSE',
 
       // Trading Activities
@@ -42,7 +43,7 @@ const activityHistorySchema = new mongoose.Schema({
       // System Activities
       'SYSTEM_STARTUP', 'SYSTEM_SHUTDOWN', 'SYSTEM_ERROR',
       'WEBHOOK_RECEIVED', 'EMAIL_SENT', 'NOTIFICATION_SENT',
-      'RECONCILIATION_RUN', 'BACKUP_COMPLETE', 'MAINTENANCE_START',
+      'RECONCILIATION_RUN', 'RECONCILIATION_MISMATCH', 'BACKUP_COMPLETE', 'MAINTENANCE_START',
       'MAINTENANCE_END'
     ],
     index: true
@@ -100,7 +101,11 @@ const activityHistorySchema = new mongoose.Schema({
   data: {
     before: mongoose.Schema.Types.Mixed, // State before change
     after: mongoose.Schema.Types.Mixed,  // State after change
-    amount: Number, // For financial activities
+    // For financial activities, exact like ledger amounts
+    amount: {
+      type: mongoose.Types.Decimal128,
+      get: decimal128ToString,
+    },
     currency: String, // For financial activities
     metadata: mongoose.Schema.Types.Mixed, // Additional activity-specific data
     errorMessage: String, // For failed activities
@@ -164,6 +169,7 @@ const activityHistorySchema = new mongoose.Schema({
 
 }, {
   timestamps: true, // Adds createdAt and updatedAt
+  toJSON: { getters: true },
   collection: 'activity_history'
 });
 
@@ -252,7 +258,7 @@ activityHistorySchema.statics.getActivityStats = function(timeframe = '24h') {
         count: 1,
         uniqueUserCount: { $size: '$uniqueUsers' },
         avgDuration: { $round: ['$avgDuration', 2] },
-        totalAmount: { $round: ['$totalAmount', 2] },
+        totalAmount: { $round: [{ $toDouble: '$totalAmount' }, 2] },
         _id: 0
       }
     },
@@ -268,7 +274,16 @@ activityHistorySchema.statics.getUserTimeline = function(userId, limit = 50) {
   .sort({ timestamp: -1 })
   .limit(limit)
   .select('activityType details.action details.status timestamp data.amount data.currency target')
-  .lean();
+  .lean()
+  .then(activities => activities.map(activityHistorySchema.statics.serializeLean));
+};
+
+// Lean reads skip schema getters; give them the same decimal string amounts as toJSON
+activityHistorySchema.statics.serializeLean = function(activity) {
+  if (activity.data && activity.data.amount !== undefined) {
+    activity.data.amount = decimal128ToString(activity.data.amount);
+  }
+  return activity;
 };
 
 // Static method to detect suspicious activities
@@ -23,10 +23,24 @@ const auditLogSchema = new mongoose.Schema({
       'CREATE', 'UPDATE', 'DELETE', 'LOGIN', 'LOGOUT', 'LOGIN_2FA',
       'KYC_APPROVE', 'KYC_REJECT', 'WALLET_WHITELIST', 'WALLET_BLACKLIST',
       'TRANSFER', 'DEPOSIT', 'WITHDRAWAL', 'SWAP',
+      'WITHDRAWAL_APPROVE', 'WITHDRAWAL_REJECT', 'WITHDRAWAL_CANCEL',
+      'WITHDRAWAL_COMPLETE', 'WITHDRAWAL_FAIL',
       'PROPOSAL_CREATE', 'VOTE_CAST', 'PROPOSAL_EXECUTE',
+      'PROPOSAL_CANCEL', 'PROPOSAL_STATUS_CHANGE',
       'CONFIG_UPDATE', 'SYSTEM_PAUSE', 'SYSTEM_RESUME',
       'EXPORT_GENERATE', 'REPORT_VIEW',
-      'GENERATE_2FA_SETUP', 'ENABLE_2FA', 'DISABLE_2FA', 'VERIFY_2FA'
+      'GENERATE_2FA_SETUP', 'ENABLE_2FA', 'DISABLE_2FA', 'VERIFY_2FA',
+      'REVERSAL',
+      'MSIG_CREATE', 'MSIG_APPROVE', 'MSIG_REJECT', 'MSIG_EXECUTE', 'MSIG_EXPIRE',
+      'RECONCILIATION_ACKNOWLEDGE',
+      'PAYOUT_BATCH_CREATE', 'PAYOUT_BATCH_APPROVE', 'PAYOUT_BATCH_REJECT',
+      'PAYOUT_BATCH_CANCEL', 'PAYOUT_BATCH_COMPLETE',
+      'ACCOUNT_FREEZE', 'ACCOUNT_UNFREEZE', 'ACCOUNT_CLOSE',
+      'GL_ACCOUNT_CREATE', 'GL_ACCOUNT_UPDATE',
+      'PAYMENT_REFUND', 'DISPUTE_CREATED', 'DISPUTE_FUNDS_WITHDRAWN', 'DISPUTE_CLOSED',
+      'BANK_STATEMENT_IMPORT', 'BANK_TRANSFER_ASSIGN', 'BANK_TRANSFER_RETURN',
+      'PAYMENT_RECONCILIATION_RUN', 'RECONCILIATION_EXCEPTION_ASSIGN',
+      'RECONCILIATION_EXCEPTION_RESOLVE', 'RECONCILIATION_EXCEPTION_FIX'
     ],
   },
   object: {
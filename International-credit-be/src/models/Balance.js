@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const config = require('../config');
+const { toDecimal, toDecimal128, decimal128ToString } = require('../utils/money');
 
 const balanceSchema = new mongoose.Schema({
   accountId: {
@@ -16,16 +17,16 @@ const balanceSchema = new mongoose.Schema({
   available: {
     type: mongoose.Types.Decimal128,
     default: 0,
-    get: (v) => v ? parseFloat(v.toString()) : 0,
+    get: decimal128ToString,
   },
   pending: {
     type: mongoose.Types.Decimal128,
     default: 0,
-    get: (v) => v ? parseFloat(v.toString()) : 0,
+    get: decimal128ToString,
   },
   total: {
     type: mongoose.Types.Decimal128,
-    get: (v) => v ? parseFloat(v.toString()) : 0,
+    get: decimal128ToString,
   },
   lastEntryId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -45,17 +46,17 @@ balanceSchema.index({ asset: 1 });
 balanceSchema.index({ updatedAt: -1 });
 
 balanceSchema.pre('save', function(next) {
-  this.total = (this.available || 0) + (this.pending || 0);
+  this.total = toDecimal128(toDecimal(this.available).plus(toDecimal(this.pending)));
   this.version += 1;
   next();
 });
 
 balanceSchema.methods.hasAvailableBalance = function(amount) {
-  return this.available >= amount;
+  return toDecimal(this.available).gte(toDecimal(amount));
 };
 
 balanceSchema.methods.hasTotalBalance = function(amount) {
-  return this.total >= amount;
+  return toDecimal(this.total).gte(toDecimal(amount));
 };
 
 module.exports = mongoose.model('Balance', balanceSchema);
\ No newline at end of file
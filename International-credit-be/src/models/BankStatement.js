@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A bank statement file imported by a treasury admin. Its credits become BankTransfers.
+const bankStatementSchema = new mongoose.Schema({
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: ['CSV', 'CAMT053'],
+    required: true,
+  },
+  filename: String,
+  // SHA-256 of the file, so the same file cannot be imported twice
+  checksum: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // The bank's statement ID and the account it covers, when the format carries them
+  statementId: String,
+  account: String,
+  from: Date,
+  to: Date,
+  totals: {
+    entries: { type: Number, default: 0 },
+    // Debits are outgoing payments and are not imported
+    debits: { type: Number, default: 0 },
+    credits: { type: Number, default: 0 },
+    // Credits already imported from an earlier, overlapping statement
+    duplicates: { type: Number, default: 0 },
+    credited: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+  },
+}, {
+  timestamps: true,
+  collection: 'bank_statements',
+});
+
+bankStatementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { decimal128ToString } = require('../utils/money');
+
+const decimal = {
+  type: mongoose.Types.Decimal128,
+  get: decimal128ToString,
+};
+
+// An incoming bank transfer from an imported statement. Credits quoting a known deposit
+// reference are credited straight away; the rest wait as UNMATCHED in the suspense queue
+// until a treasury admin assigns them to a user or returns them to the payer.
+const bankTransferSchema = new mongoose.Schema({
+  statementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement',
+    required: true,
+  },
+  // CSV line, or position of the entry in a CAMT.053 file
+  line: Number,
+  // The bank's reference for the entry, prefixed with the account it was booked on, so an
+  // entry repeated by an overlapping statement is only imported once
+  entryRef: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  rail: {
+    type: String,
+    enum: ['ACH', 'SEPA', 'WIRE'],
+    required: true,
+  },
+  bookedAt: Date,
+  valueDate: Date,
+  amount: { ...decimal, required: true },
+  currency: {
+    type: String,
+    required: true,
+  },
+  remittanceInfo: String,
+  endToEndId: String,
+  payer: {
+    name: String,
+    account: String,
+  },
+  // CREDITING while the deposit journal posts; RETURNED transfers are sent back to the
+  // payer outside the platform
+  status: {
+    type: String,
+    enum: ['UNMATCHED', 'CREDITING', 'CREDITED', 'RETURNED'],
+    default: 'UNMATCHED',
+  },
+  // Why the transfer is UNMATCHED
+  issue: String,
+  // Deposit reference quoted by the payer, when one was found
+  reference: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  matchedBy: {
+    type: String,
+    enum: ['REFERENCE', 'MANUAL'],
+  },
+  // UC per unit of currency, and the UC credited
+  rate: decimal,
+  ucAmount: decimal,
+  journalId: mongoose.Schema.Types.ObjectId,
+  // The admin who assigned or returned the transfer
+  resolution: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: Date,
+    note: String,
+  },
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  collection: 'bank_transfers',
+});
+
+bankTransferSchema.index({ status: 1, createdAt: -1 });
+bankTransferSchema.index({ statementId: 1, line: 1 });
+bankTransferSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BankTransfer', bankTransferSchema);
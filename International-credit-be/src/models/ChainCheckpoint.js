@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Last block an indexer has fully processed, keyed by indexer name
+const chainCheckpointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  blockNumber: {
+    type: Number,
+    required: true,
+  },
+  // Compared against the chain on resume to detect reorgs
+  blockHash: {
+    type: String,
+    required: true,
+  },
+  reorgCount: {
+    type: Number,
+    default: 0,
+  },
+  lastReorgAt: Date,
+  lastError: String,
+}, {
+  timestamps: true,
+  collection: 'chain_checkpoints',
+});
+
+module.exports = mongoose.model('ChainCheckpoint', chainCheckpointSchema);
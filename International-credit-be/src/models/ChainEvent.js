@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Decoded log from one of the contracts in config.blockchain.indexedEvents
+const chainEventSchema = new mongoose.Schema({
+  contract: {
+    type: String,
+    required: true,
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Every address-typed argument, for filtering by participant
+  addresses: [{
+    type: String,
+    lowercase: true,
+  }],
+  blockNumber: {
+    type: Number,
+    required: true,
+  },
+  blockHash: {
+    type: String,
+    required: true,
+  },
+  blockTimestamp: Date,
+  txHash: {
+    type: String,
+    required: true,
+    lowercase: true,
+  },
+  logIndex: {
+    type: Number,
+    required: true,
+  },
+}, {
+  timestamps: true,
+  collection: 'chain_events',
+});
+
+chainEventSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+chainEventSchema.index({ contract: 1, blockNumber: -1 });
+chainEventSchema.index({ contract: 1, event: 1, blockNumber: -1 });
+chainEventSchema.index({ addresses: 1, blockNumber: -1 });
+
+module.exports = mongoose.model('ChainEvent', chainEventSchema);
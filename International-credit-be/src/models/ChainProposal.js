@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// Read model of a GovernanceController proposal, rebuilt from GovernanceEvent
+const chainProposalSchema = new mongoose.Schema({
+  proposalId: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  // Off-chain metadata supplied by the proposer through /governance/record-transaction
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  description: String,
+  proposer: {
+    type: String,
+    lowercase: true,
+  },
+  txHash: {
+    type: String,
+    lowercase: true,
+  },
+  blockNumber: Number,
+  // Block timestamp of ProposalCreated
+  createdAt: Date,
+  votingDeadline: Date,
+  status: {
+    type: String,
+    enum: ['PENDING', 'ACTIVE', 'APPROVED', 'REJECTED', 'TIED', 'EXPIRED'],
+    default: 'PENDING',
+  },
+  forVotes: {
+    type: Number,
+    default: 0,
+  },
+  againstVotes: {
+    type: Number,
+    default: 0,
+  },
+  totalVotes: {
+    type: Number,
+    default: 0,
+  },
+  requiredVotes: Number,
+  votes: [{
+    _id: false,
+    voter: { type: String, lowercase: true },
+    support: Boolean,
+    txHash: String,
+    blockNumber: Number,
+    votedAt: Date,
+  }],
+  passed: {
+    type: Boolean,
+    default: false,
+  },
+  failed: {
+    type: Boolean,
+    default: false,
+  },
+  tied: {
+    type: Boolean,
+    default: false,
+  },
+  expired: {
+    type: Boolean,
+    default: false,
+  },
+  finalizedAt: Date,
+  finalizedTxHash: String,
+  lastBlockchainSync: Date,
+  blockchainStatus: {
+    type: String,
+    enum: ['PENDING', 'SYNCED', 'FAILED'],
+    default: 'PENDING',
+  },
+  blockchainError: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: 'indexedAt', updatedAt: true },
+  collection: 'chain_proposals',
+  toJSON: { virtuals: true },
+});
+
+chainProposalSchema.index({ createdAt: -1 });
+chainProposalSchema.index({ status: 1, createdAt: -1 });
+chainProposalSchema.index({ proposer: 1 });
+chainProposalSchema.index({ txHash: 1 });
+chainProposalSchema.index({ creator: 1 });
+
+chainProposalSchema.virtual('isActive').get(function() {
+  return this.status === 'ACTIVE' && (!this.votingDeadline || this.votingDeadline > new Date());
+});
+
+chainProposalSchema.virtual('votingStatus').get(function() {
+  if (this.status !== 'ACTIVE') {
+    return 'CLOSED';
+  }
+  return this.isActive ? 'OPEN' : 'AWAITING_FINALIZATION';
+});
+
+chainProposalSchema.methods.hasVoted = function(address) {
+  const voter = address.toLowerCase();
+  return this.votes.some(v => v.voter === voter);
+};
+
+module.exports = mongoose.model('ChainProposal', chainProposalSchema);
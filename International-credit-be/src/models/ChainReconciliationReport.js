@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const discrepancySchema = new mongoose.Schema({
+  // SUPPLY: IC totalSupply vs ICController.totalIcMinted
+  // LEDGER: IC totalSupply vs off-chain UC total
+  // WALLET: a user's linked-wallet IC balances vs their off-chain UC balance
+  check: {
+    type: String,
+    enum: ['SUPPLY', 'LEDGER', 'WALLET'],
+    required: true,
+  },
+  severity: {
+    type: String,
+    enum: ['HIGH', 'CRITICAL'],
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  addresses: [{
+    _id: false,
+    walletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet' },
+    address: String,
+    onChainBalance: Number,
+  }],
+  expected: Number,
+  actual: Number,
+  difference: Number,
+  description: String,
+}, { _id: false });
+
+const chainReconciliationReportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['MATCHED', 'DISCREPANCY', 'ERROR'],
+    required: true,
+  },
+  blockNumber: Number,
+  // Balances in token units (18-decimal on-chain values are scaled down)
+  totals: {
+    onChainSupply: Number,
+    controllerMinted: Number,
+    offChainUc: Number,
+  },
+  summary: {
+    usersChecked: { type: Number, default: 0 },
+    walletsChecked: { type: Number, default: 0 },
+    walletsSkipped: { type: Number, default: 0 },
+    discrepancyCount: { type: Number, default: 0 },
+    criticalCount: { type: Number, default: 0 },
+  },
+  discrepancies: [discrepancySchema],
+  error: String,
+  durationMs: Number,
+  acknowledged: {
+    type: Boolean,
+    default: false,
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  acknowledgedAt: Date,
+  acknowledgementNote: String,
+}, {
+  timestamps: true,
+  collection: 'chain_reconciliation_reports',
+});
+
+chainReconciliationReportSchema.index({ createdAt: -1 });
+chainReconciliationReportSchema.index({ status: 1, acknowledged: 1, createdAt: -1 });
+chainReconciliationReportSchema.index({ 'discrepancies.userId': 1 });
+
+module.exports = mongoose.model('ChainReconciliationReport', chainReconciliationReportSchema);
@@ -9,6 +9,10 @@ const configSchema = new mongoose.Schema({
     transferFeeBps: { type: Number, default: 50 }, // 0.5%
     swapFeeBps: { type: Number, default: 100 }, // 1%
     withdrawalFeeBps: { type: Number, default: 25 }, // 0.25%
+    // Card deposits: a percentage of the fiat amount plus a fixed fee in USD, converted
+    // to the deposit currency; both are charged on top of the amount
+    depositFeeBps: { type: Number, default: 290 }, // 2.9%
+    depositFixedFeeUsd: { type: Number, default: 0 },
     minTransferAmount: { type: Number, default: 1 },
     maxTransferAmount: { type: Number, default: 100000 },
   },
@@ -32,10 +36,21 @@ const configSchema = new mongoose.Schema({
     governance: { type: Boolean, default: false },
   },
   fxTable: {
+    UC: { type: Number, default: 1.0 },
     USDC: { type: Number, default: 1.0 },
     USDT: { type: Number, default: 1.0 },
     BTC: { type: Number, default: 50000 },
     XAU: { type: Number, default: 2000 }, // Gold per oz
+    // Fiat currencies accepted for card deposits
+    USD: { type: Number, default: 1.0 },
+    EUR: { type: Number, default: 1.08 },
+    GBP: { type: Number, default: 1.27 },
+  },
+  // Off-chain reserve figures: cash for every source, quantities for the manual source
+  reservesData: {
+    bbtQuantity: { type: Number, default: 0 },
+    gbtQuantity: { type: Number, default: 0 },
+    cashValue: { type: Number, default: 0 },
   },
   limits: {
     maxProposalsPerUser: { type: Number, default: 5 },
@@ -78,7 +93,15 @@ configSchema.statics.getConfig = async function() {
 
 configSchema.statics.updateConfig = async function(updates, updatedBy) {
   const config = await this.getConfig();
-  Object.assign(config, updates);
+  const current = config.toObject();
+
+  // Merge partial section updates so unspecified fields keep their values
+  for (const [key, value] of Object.entries(updates)) {
+    const isSection = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+    config.set(key, isSection && current[key] && typeof current[key] === 'object'
+      ? { ...current[key], ...value }
+      : value);
+  }
   config.updatedBy = updatedBy;
   config.version += 1;
   return config.save();
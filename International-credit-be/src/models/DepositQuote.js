@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { decimal128ToString } = require('../utils/money');
+
+const decimal = {
+  type: mongoose.Types.Decimal128,
+  get: decimal128ToString,
+};
+
+// Price of a card deposit, locked for config.deposits.quoteTtlMs and consumed by
+// exactly one payment intent. Kept with the payment so every applied rate and fee
+// can be traced back.
+const depositQuoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  fiatCurrency: {
+    type: String,
+    required: true,
+    enum: config.deposits.currencies,
+  },
+  // Amount converted to UC; the fees are charged on top of it
+  fiatAmount: { ...decimal, required: true },
+  asset: {
+    type: String,
+    default: config.assets.UC,
+    enum: [config.assets.UC],
+  },
+  // UC per unit of fiatCurrency
+  rate: { ...decimal, required: true },
+  ucAmount: { ...decimal, required: true },
+  feeBps: {
+    type: Number,
+    required: true,
+  },
+  // Fee schedule applied, in fiatCurrency
+  fees: {
+    processing: { ...decimal, required: true },
+    fixed: { ...decimal, required: true },
+    total: { ...decimal, required: true },
+  },
+  // fiatAmount plus fees: what the card is charged
+  totalAmount: { ...decimal, required: true },
+  // USD price of each side and where it came from (feed or fxTable)
+  prices: {
+    fiat: { price: Number, source: String },
+    asset: { price: Number, source: String },
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set when a payment intent consumes the quote, so it can only be used once
+  usedAt: Date,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  collection: 'deposit_quotes',
+});
+
+depositQuoteSchema.index({ userId: 1, createdAt: -1 });
+// Unused quotes are only useful until they expire; used ones stay with their payment
+depositQuoteSchema.index({ expiresAt: 1 }, {
+  expireAfterSeconds: 86400,
+  partialFilterExpression: { usedAt: { $exists: false } },
+});
+
+module.exports = mongoose.model('DepositQuote', depositQuoteSchema);
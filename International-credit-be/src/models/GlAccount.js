@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Chart of accounts entry. Ledger accounts are reported under the code whose
+// `accountType` (and `asset`, when set) matches them; codes without a mapping are
+// headings that only total their children.
+const glAccountSchema = new mongoose.Schema({
+  // Numeric code; the hierarchy comes from parentCode, e.g. 2100 under 2000
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d{1,10}$/,
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+  category: {
+    type: String,
+    enum: ['ASSET', 'LIABILITY', 'EQUITY', 'REVENUE', 'EXPENSE'],
+    required: true,
+  },
+  parentCode: {
+    type: String,
+    default: null,
+  },
+  accountType: {
+    type: String,
+    enum: ['USER', 'SYSTEM', 'RESERVE', 'FEE', 'FX', 'SUSPENSE', 'RECEIVABLE'],
+  },
+  // Narrows the mapping to one asset; otherwise every asset of accountType maps here
+  asset: {
+    type: String,
+    enum: Object.values(config.assets),
+  },
+  description: {
+    type: String,
+    maxlength: 300,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  collection: 'gl_accounts',
+});
+
+glAccountSchema.index({ parentCode: 1 });
+glAccountSchema.index({ accountType: 1, asset: 1 });
+
+// ASSET and EXPENSE balances grow with debits; the others with credits
+glAccountSchema.virtual('normalBalance').get(function() {
+  return ['ASSET', 'EXPENSE'].includes(this.category) ? 'DEBIT' : 'CREDIT';
+});
+
+glAccountSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('GlAccount', glAccountSchema);
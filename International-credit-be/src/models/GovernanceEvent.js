@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const governanceEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true,
+    enum: [
+      'ProposalCreated',
+      'VoteCast',
+      'ProposalPassed',
+      'ProposalFailed',
+      'ProposalTied',
+      'ProposalExpired',
+    ],
+  },
+  proposalId: {
+    type: Number,
+    required: true,
+  },
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+  },
+  blockNumber: {
+    type: Number,
+    required: true,
+  },
+  blockHash: {
+    type: String,
+    required: true,
+  },
+  blockTimestamp: Date,
+  txHash: {
+    type: String,
+    required: true,
+    lowercase: true,
+  },
+  logIndex: {
+    type: Number,
+    required: true,
+  },
+}, {
+  timestamps: true,
+  collection: 'governance_events',
+});
+
+// A log is identified by its transaction and position
+governanceEventSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+governanceEventSchema.index({ proposalId: 1, blockNumber: 1, logIndex: 1 });
+governanceEventSchema.index({ blockNumber: 1 });
+
+module.exports = mongoose.model('GovernanceEvent', governanceEventSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { decimal128ToString } = require('../utils/money');
+
+const decimal = {
+  type: mongoose.Types.Decimal128,
+  get: decimal128ToString,
+};
+
+const holdSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  asset: {
+    type: String,
+    required: true,
+    enum: Object.values(config.assets),
+  },
+  // Authorized amount; `remaining` is what still counts against Balance.available
+  amount: { ...decimal, required: true },
+  capturedAmount: { ...decimal, default: 0 },
+  remaining: { ...decimal, required: true },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'CAPTURED', 'RELEASED', 'EXPIRED'],
+    default: 'ACTIVE',
+  },
+  type: {
+    type: String,
+    enum: Object.values(config.transactionTypes),
+    required: true,
+  },
+  reference: String,
+  description: String,
+  // Holds without an expiry live until their owning workflow captures or releases them
+  expiresAt: Date,
+  journalIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+  }],
+  releaseReason: String,
+  settledAt: Date,
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  collection: 'ledger_holds',
+});
+
+holdSchema.index({ accountId: 1, status: 1 });
+holdSchema.index({ status: 1, expiresAt: 1 });
+holdSchema.index({ userId: 1, createdAt: -1 });
+holdSchema.index({ reference: 1 });
+
+module.exports = mongoose.model('Hold', holdSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const config = require('../config');
+const { toDecimal, decimal128ToString } = require('../utils/money');
 
 const ledgerEntrySchema = new mongoose.Schema({
   journalId: {
@@ -15,16 +16,16 @@ const ledgerEntrySchema = new mongoose.Schema({
   debit: {
     type: mongoose.Types.Decimal128,
     default: 0,
-    get: (v) => v ? parseFloat(v.toString()) : 0,
+    get: decimal128ToString,
   },
   credit: {
     type: mongoose.Types.Decimal128,
     default: 0,
-    get: (v) => v ? parseFloat(v.toString()) : 0,
+    get: decimal128ToString,
   },
   balance: {
     type: mongoose.Types.Decimal128,
-    get: (v) => v ? parseFloat(v.toString()) : 0,
+    get: decimal128ToString,
   },
   meta: {
     type: {
@@ -42,6 +43,9 @@ const ledgerEntrySchema = new mongoose.Schema({
     },
     externalRef: {
       stripePaymentIntentId: String,
+      // Bank transfer deposits: the BankTransfer credited and the rail it arrived on
+      bankTransferId: String,
+      rail: String,
       chainTxHash: String,
       contractAddress: String,
       method: String,
@@ -52,6 +56,12 @@ const ledgerEntrySchema = new mongoose.Schema({
       walletAddress: String,
       country: String,
     },
+    // Set on REVERSAL entries: the journal and entry they reverse
+    reversal: {
+      originalJournalId: mongoose.Schema.Types.ObjectId,
+      originalEntryId: mongoose.Schema.Types.ObjectId,
+      reason: String,
+    },
   },
   status: {
     type: String,
@@ -67,17 +77,21 @@ ledgerEntrySchema.index({ journalId: 1 });
 ledgerEntrySchema.index({ accountId: 1, createdAt: -1 });
 ledgerEntrySchema.index({ createdAt: -1 });
 ledgerEntrySchema.index({ 'meta.type': 1 });
+ledgerEntrySchema.index({ 'meta.reversal.originalJournalId': 1 });
 // meta.idempotencyKey already has unique: true, sparse: true in schema
 ledgerEntrySchema.index({ 'meta.reference': 1 });
 ledgerEntrySchema.index({ 'meta.correlationId': 1 });
 ledgerEntrySchema.index({ status: 1 });
 
 ledgerEntrySchema.pre('save', function(next) {
-  if (this.debit && this.credit) {
+  const hasDebit = !toDecimal(this.debit).isZero();
+  const hasCredit = !toDecimal(this.credit).isZero();
+
+  if (hasDebit && hasCredit) {
     return next(new Error('Entry cannot have both debit and credit amounts'));
   }
   
-  if (!this.debit && !this.credit) {
+  if (!hasDebit && !hasCredit) {
     return next(new Error('Entry must have either debit or credit amount'));
   }
   
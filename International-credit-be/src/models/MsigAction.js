@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const signatureSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  role: {
+    type: String,
+    required: true,
+  },
+  reason: String,
+  signedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const msigActionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(config.msigActionTypes),
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  description: {
+    type: String,
+    maxlength: 500,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  requiredApprovals: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  approvals: [signatureSchema],
+  rejections: [signatureSchema],
+  status: {
+    type: String,
+    enum: ['PENDING', 'EXECUTING', 'EXECUTED', 'FAILED', 'REJECTED', 'EXPIRED'],
+    default: 'PENDING',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  executedAt: Date,
+  executedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  executionResult: {
+    success: Boolean,
+    error: String,
+    data: mongoose.Schema.Types.Mixed,
+  },
+}, {
+  timestamps: true,
+  collection: 'msig_actions',
+  toJSON: { virtuals: true },
+});
+
+msigActionSchema.index({ status: 1, expiresAt: 1 });
+msigActionSchema.index({ type: 1 });
+msigActionSchema.index({ createdBy: 1 });
+msigActionSchema.index({ createdAt: -1 });
+
+msigActionSchema.virtual('isExpired').get(function() {
+  return this.status === 'PENDING' && this.expiresAt <= new Date();
+});
+
+msigActionSchema.virtual('approvalCount').get(function() {
+  return this.approvals.length;
+});
+
+msigActionSchema.virtual('rejectionCount').get(function() {
+  return this.rejections.length;
+});
+
+msigActionSchema.methods.hasSigned = function(adminId) {
+  return this.approvals.some(s => s.adminId.equals(adminId)) ||
+         this.rejections.some(s => s.adminId.equals(adminId));
+};
+
+module.exports = mongoose.model('MsigAction', msigActionSchema);
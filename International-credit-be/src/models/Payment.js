@@ -1,4 +1,60 @@
 const mongoose = require('mongoose');
+const { decimal128ToString } = require('../utils/money');
+
+const decimal = {
+  type: mongoose.Types.Decimal128,
+  get: decimal128ToString,
+};
+
+const refundSchema = new mongoose.Schema({
+  stripeRefundId: String,
+  fiatAmount: { ...decimal, required: true },
+  ucAmount: { ...decimal, required: true },
+  // UC taken from the user's balance and UC booked to their receivable
+  fromBalance: decimal,
+  receivable: decimal,
+  reason: String,
+  // CLAWBACK_FAILED: Stripe refunded the card but the ledger journal did not post
+  status: {
+    type: String,
+    enum: ['PENDING', 'SUCCEEDED', 'FAILED', 'CLAWBACK_FAILED'],
+    default: 'PENDING',
+  },
+  journalId: mongoose.Schema.Types.ObjectId,
+  error: String,
+  // Unset for refunds made in the Stripe dashboard
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+const disputeSchema = new mongoose.Schema({
+  stripeDisputeId: { type: String, required: true },
+  reason: String,
+  // Stripe's dispute status, e.g. needs_response, under_review, won, lost
+  stripeStatus: String,
+  outcome: {
+    type: String,
+    enum: ['OPEN', 'FUNDS_WITHDRAWN', 'WON', 'LOST', 'CLOSED'],
+    default: 'OPEN',
+  },
+  fiatAmount: decimal,
+  ucAmount: decimal,
+  // Hold on the user's UC while the dispute is open; heldAmount may be less than
+  // ucAmount when the user had already spent part of it
+  holdId: mongoose.Schema.Types.ObjectId,
+  heldAmount: decimal,
+  clawbackJournalId: mongoose.Schema.Types.ObjectId,
+  fromBalance: decimal,
+  receivable: decimal,
+  // Posted when a dispute is won after the funds were withdrawn
+  reinstatementJournalId: mongoose.Schema.Types.ObjectId,
+  statusBefore: String,
+  openedAt: Date,
+  fundsWithdrawnAt: Date,
+  closedAt: Date,
+}, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
   userId: {
@@ -11,6 +67,7 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // Amount charged to the card, deposit fees included
   fiatAmount: {
     type: mongoose.Types.Decimal128,
     required: true,
@@ -21,18 +78,30 @@ const paymentSchema = new mongoose.Schema({
     default: 'USD',
     uppercase: true,
   },
+  // Ledger amount, kept as an exact decimal string like the ledger models
   ucAmount: {
     type: mongoose.Types.Decimal128,
     required: true,
-    get: (v) => v ? parseFloat(v.toString()) : 0,
+    get: decimal128ToString,
   },
+  // UC per unit of fiatCurrency, from the quote
   exchangeRate: {
     type: mongoose.Types.Decimal128,
     get: (v) => v ? parseFloat(v.toString()) : 0,
   },
+  // Quote that priced the payment; it records the FX prices and fee schedule applied
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DepositQuote',
+  },
+  // PARTIALLY_REFUNDED and REFUNDED follow refunds; DISPUTED lasts while a Stripe
+  // dispute is open and ends in CHARGED_BACK when it is lost
   status: {
     type: String,
-    enum: ['PENDING', 'PROCESSING', 'SUCCEEDED', 'FAILED', 'CANCELED', 'REFUNDED'],
+    enum: [
+      'PENDING', 'PROCESSING', 'SUCCEEDED', 'FAILED', 'CANCELED',
+      'PARTIALLY_REFUNDED', 'REFUNDED', 'DISPUTED', 'CHARGED_BACK',
+    ],
     default: 'PENDING',
   },
   linkedJournalId: {
@@ -41,7 +110,8 @@ const paymentSchema = new mongoose.Schema({
     index: true,
   },
   events: [{
-    type: String,
+    // `type` is itself a field here, so it needs the long form
+    type: { type: String },
     status: String,
     timestamp: { type: Date, default: Date.now },
     data: mongoose.Schema.Types.Mixed,
@@ -65,6 +135,10 @@ const paymentSchema = new mongoose.Schema({
       get: (v) => v ? parseFloat(v.toString()) : 0,
     },
   },
+  // Admin refunds and refunds made in Stripe. The UC is clawed back by a reversal of the deposit journal; what the
+  // user no longer holds is booked to their RECEIVABLE account instead
+  refunds: [refundSchema],
+  dispute: disputeSchema,
   webhook: {
     lastProcessedAt: Date,
     attempts: { type: Number, default: 0 },
@@ -79,6 +153,7 @@ paymentSchema.index({ userId: 1 });
 // stripePaymentIntentId already has unique: true in schema
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ 'dispute.stripeDisputeId': 1 }, { sparse: true });
 // linkedJournalId already has index: true, sparse: true in schema
 
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
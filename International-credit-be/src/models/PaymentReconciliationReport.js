@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// What a run found, as of the run; the workflow state lives on the linked exception
+const lineItemSchema = new mongoose.Schema({
+  exceptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationException',
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  stripePaymentIntentId: String,
+  journalId: mongoose.Schema.Types.ObjectId,
+  expected: String,
+  actual: String,
+  currency: String,
+  description: String,
+}, { _id: false });
+
+// One run of the card payment reconciliation for a day: Payments against the provider's
+// payment intents and the ledger's card deposit journals
+const paymentReconciliationReportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['MATCHED', 'DISCREPANCY', 'ERROR'],
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['SCHEDULED', 'MANUAL'],
+    required: true,
+  },
+  // Unset for scheduled runs
+  runBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  from: Date,
+  to: Date,
+  // Fiat totals of credited payments and of succeeded provider intents
+  totals: {
+    localCount: { type: Number, default: 0 },
+    providerCount: { type: Number, default: 0 },
+    localTotal: { type: Number, default: 0 },
+    providerTotal: { type: Number, default: 0 },
+    journalCount: { type: Number, default: 0 },
+  },
+  summary: {
+    exceptionCount: { type: Number, default: 0 },
+    // Exceptions first raised by this run, and earlier ones for the day it no longer found
+    newCount: { type: Number, default: 0 },
+    clearedCount: { type: Number, default: 0 },
+    byType: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  lineItems: [lineItemSchema],
+  error: String,
+  durationMs: Number,
+}, {
+  timestamps: true,
+  collection: 'payment_reconciliation_reports',
+});
+
+paymentReconciliationReportSchema.index({ createdAt: -1 });
+paymentReconciliationReportSchema.index({ status: 1, createdAt: -1 });
+paymentReconciliationReportSchema.index({ from: -1 });
+
+module.exports = mongoose.model('PaymentReconciliationReport', paymentReconciliationReportSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { decimal128ToString } = require('../utils/money');
+
+const paymentRequestSchema = new mongoose.Schema({
+  // The user asking to be paid
+  requesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  amount: {
+    type: mongoose.Types.Decimal128,
+    get: decimal128ToString,
+    required: true,
+  },
+  asset: {
+    type: String,
+    required: true,
+    enum: Object.values(config.assets),
+  },
+  note: {
+    type: String,
+    maxlength: 200,
+  },
+  // Short URL-safe code used in pay links and QR codes
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // PAYING while a payer's transfer is being posted, so a request is paid at most once.
+  // OPEN requests past expiresAt are reported as EXPIRED.
+  status: {
+    type: String,
+    enum: ['OPEN', 'PAYING', 'PAID', 'CANCELED'],
+    default: 'OPEN',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  payerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  paidAt: Date,
+  canceledAt: Date,
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  collection: 'payment_requests',
+});
+
+paymentRequestSchema.index({ requesterId: 1, createdAt: -1 });
+paymentRequestSchema.index({ payerId: 1, createdAt: -1 });
+paymentRequestSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('PaymentRequest', paymentRequestSchema);
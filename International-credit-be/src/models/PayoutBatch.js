@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { decimal128ToString } = require('../utils/money');
+
+const decimal = {
+  type: mongoose.Types.Decimal128,
+  get: decimal128ToString,
+};
+
+const payoutRowSchema = new mongoose.Schema({
+  // Line in the uploaded CSV, or 1-based position in the JSON rows
+  line: {
+    type: Number,
+    required: true,
+  },
+  // As uploaded: wallet address, email or user ID
+  recipient: {
+    type: String,
+    required: true,
+  },
+  amount: decimal,
+  reference: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+  },
+  walletAddress: String,
+  feeAmount: decimal,
+  netAmount: decimal,
+  // INVALID rows failed validation at upload and are never paid
+  status: {
+    type: String,
+    enum: ['VALID', 'INVALID', 'PAID', 'FAILED'],
+    required: true,
+  },
+  // Why the row is INVALID or FAILED
+  issues: [String],
+  // Chunk the row is posted in, assigned before the chunk is posted; every row of a chunk
+  // shares its journal
+  chunk: Number,
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+}, { _id: false });
+
+const payoutEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  role: String,
+  note: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const payoutBatchSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  asset: {
+    type: String,
+    enum: Object.values(config.assets),
+    default: config.assets.UC,
+  },
+  description: {
+    type: String,
+    maxlength: 200,
+  },
+  source: {
+    type: String,
+    enum: ['CSV', 'JSON'],
+    required: true,
+  },
+  // ATOMIC posts every row in one journal; CHUNKED posts chunkSize rows per journal,
+  // so a failed chunk does not stop the others
+  mode: {
+    type: String,
+    enum: ['ATOMIC', 'CHUNKED'],
+    default: 'ATOMIC',
+  },
+  chunkSize: Number,
+  status: {
+    type: String,
+    enum: ['PENDING_APPROVAL', 'APPROVED', 'PROCESSING', 'COMPLETED', 'PARTIALLY_COMPLETED', 'FAILED', 'REJECTED', 'CANCELED'],
+    default: 'PENDING_APPROVAL',
+  },
+  // Preview totals over VALID rows, and what was actually paid once processed
+  totals: {
+    rows: { type: Number, default: 0 },
+    validRows: { type: Number, default: 0 },
+    invalidRows: { type: Number, default: 0 },
+    paidRows: { type: Number, default: 0 },
+    failedRows: { type: Number, default: 0 },
+    amount: { ...decimal, default: 0 },
+    feeAmount: { ...decimal, default: 0 },
+    netAmount: { ...decimal, default: 0 },
+    paidAmount: { ...decimal, default: 0 },
+  },
+  feeBps: Number,
+  rows: [payoutRowSchema],
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    note: String,
+  },
+  // Lease held by the worker paying the batch, extended after every chunk. A PROCESSING
+  // batch whose lease ran out was abandoned mid-run and is resumed by the next worker.
+  lockedUntil: Date,
+  processedAt: Date,
+  error: String,
+  events: [payoutEventSchema],
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  collection: 'payout_batches',
+});
+
+payoutBatchSchema.index({ status: 1, createdAt: 1 });
+payoutBatchSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
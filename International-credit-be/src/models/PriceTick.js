@@ -14,7 +14,7 @@ const priceTickSchema = new mongoose.Schema({
   source: {
     type: String,
     required: true,
-    enum: ['coinbase', 'binance', 'goldapi', 'manual', 'calculated'],
+    enum: ['coinbase', 'binance', 'goldapi', 'fixture', 'manual', 'calculated'],
   },
   timestamp: {
     type: Date,
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const config = require('../config');
+const { toDecimal, decimal128ToString } = require('../utils/money');
 
 const proposalSchema = new mongoose.Schema({
   proposerId: {
@@ -28,7 +29,7 @@ const proposalSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['DRAFT', 'ACTIVE', 'PASSED', 'REJECTED', 'EXECUTED', 'EXPIRED'],
+    enum: ['DRAFT', 'ACTIVE', 'PASSED', 'REJECTED', 'EXECUTED', 'EXPIRED', 'CANCELLED'],
     default: 'DRAFT',
   },
   votingPeriod: {
@@ -50,12 +51,26 @@ const proposalSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
+    // Total of the voting weights snapshotted when voting opens (see VotingWeight)
+    eligibleWeight: {
+      type: mongoose.Types.Decimal128,
+      default: 0,
+      get: decimal128ToString,
+    },
+    snapshotAt: Date,
   },
+  // Sums of vote weights, in UC
   tallies: {
-    for: { type: Number, default: 0 },
-    against: { type: Number, default: 0 },
-    abstain: { type: Number, default: 0 },
-    total: { type: Number, default: 0 },
+    for: { type: mongoose.Types.Decimal128, default: 0, get: decimal128ToString },
+    against: { type: mongoose.Types.Decimal128, default: 0, get: decimal128ToString },
+    abstain: { type: mongoose.Types.Decimal128, default: 0, get: decimal128ToString },
+    total: { type: mongoose.Types.Decimal128, default: 0, get: decimal128ToString },
+  },
+  executableAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
   },
   executedAt: Date,
   executedBy: {
@@ -67,6 +82,15 @@ const proposalSchema = new mongoose.Schema({
     transactionHash: String,
     error: String,
     logs: [String],
+    beforeVersion: Number,
+    afterVersion: Number,
+    diff: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+    }],
+    attempts: { type: Number, default: 0 },
   },
   metadata: {
     tags: [String],
@@ -75,6 +99,7 @@ const proposalSchema = new mongoose.Schema({
   },
 }, {
   timestamps: true,
+  toJSON: { virtuals: true, getters: true },
 });
 
 proposalSchema.index({ status: 1 });
@@ -95,11 +120,17 @@ proposalSchema.virtual('isExpired').get(function() {
 });
 
 proposalSchema.virtual('hasQuorum').get(function() {
-  return this.quorum.achieved >= this.quorum.required;
+  const eligibleWeight = toDecimal(this.quorum.eligibleWeight);
+  return eligibleWeight.gt(0)
+    && toDecimal(this.tallies.total).gte(eligibleWeight.times(this.quorum.required));
+});
+
+proposalSchema.virtual('isExecutable').get(function() {
+  return this.status === 'PASSED' && (!this.executableAt || this.executableAt <= new Date());
 });
 
 proposalSchema.virtual('isPassing').get(function() {
-  return this.tallies.for > this.tallies.against;
+  return toDecimal(this.tallies.for).gt(toDecimal(this.tallies.against));
 });
 
 module.exports = mongoose.model('Proposal', proposalSchema);
\ No newline at end of file
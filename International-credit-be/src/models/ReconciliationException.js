@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const noteSchema = new mongoose.Schema({
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// A discrepancy found by payment reconciliation, worked by a treasury admin until resolved.
+// A later run that finds the same problem updates the open exception instead of raising
+// another one.
+const reconciliationExceptionSchema = new mongoose.Schema({
+  // MISSING_CREDIT: the card was charged but no UC was credited
+  // ORPHAN_JOURNAL: a card deposit journal no credited payment accounts for
+  // AMOUNT_MISMATCH: the provider charged, or the ledger credited, a different amount
+  // STALE_PENDING: a payment still PENDING or PROCESSING after PAYMENT_STALE_PENDING_HOURS
+  // MISSING_LOCAL: a succeeded provider intent with no Payment
+  // MISSING_PROVIDER: a credited Payment whose intent the provider did not list
+  type: {
+    type: String,
+    enum: [
+      'MISSING_CREDIT', 'ORPHAN_JOURNAL', 'AMOUNT_MISMATCH',
+      'STALE_PENDING', 'MISSING_LOCAL', 'MISSING_PROVIDER',
+    ],
+    required: true,
+  },
+  // Type and subject of the problem; unset once resolved, so the same problem found
+  // again afterwards raises a new exception
+  fingerprint: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  // Start of the reconciled day the exception was first found for
+  date: Date,
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentReconciliationReport',
+    required: true,
+  },
+  lastReportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentReconciliationReport',
+  },
+  occurrences: {
+    type: Number,
+    default: 1,
+  },
+  lastSeenAt: Date,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  stripePaymentIntentId: String,
+  journalId: mongoose.Schema.Types.ObjectId,
+  // Amounts as exact decimal strings, in `currency`
+  expected: String,
+  actual: String,
+  currency: String,
+  description: String,
+  status: {
+    type: String,
+    enum: ['OPEN', 'ASSIGNED', 'RESOLVED'],
+    default: 'OPEN',
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  assignedAt: Date,
+  notes: [noteSchema],
+  // CREDIT, REVERSE and SYNC are fixes run from the exception; MANUAL is resolved with a
+  // note, and CLEARED by a later run that no longer found the problem
+  resolution: {
+    action: {
+      type: String,
+      enum: ['CREDIT', 'REVERSE', 'SYNC', 'MANUAL', 'CLEARED'],
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: Date,
+    note: String,
+    journalId: mongoose.Schema.Types.ObjectId,
+  },
+}, {
+  timestamps: true,
+  collection: 'reconciliation_exceptions',
+});
+
+reconciliationExceptionSchema.index({ status: 1, createdAt: -1 });
+reconciliationExceptionSchema.index({ assignee: 1, status: 1 });
+reconciliationExceptionSchema.index({ date: 1, status: 1 });
+reconciliationExceptionSchema.index({ paymentId: 1 });
+reconciliationExceptionSchema.index({ reportId: 1 });
+
+module.exports = mongoose.model('ReconciliationException', reconciliationExceptionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// One Merkle leaf per user with a UC balance, frozen at snapshot time
+const reservesLiabilitySchema = new mongoose.Schema({
+  snapshotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReservesSnapshot',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Position in the leaf list; leaves are ordered by userId
+  index: {
+    type: Number,
+    required: true,
+  },
+  // Fixed-point decimal string as committed in the leaf hash
+  balance: {
+    type: String,
+    required: true,
+  },
+  // Random salt so published hashes cannot be brute-forced back to balances
+  nonce: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: config.reserves.proofRetentionDays * 24 * 60 * 60,
+  },
+}, {
+  collection: 'reserves_liabilities',
+});
+
+reservesLiabilitySchema.index({ snapshotId: 1, userId: 1 }, { unique: true });
+reservesLiabilitySchema.index({ snapshotId: 1, index: 1 });
+
+module.exports = mongoose.model('ReservesLiability', reservesLiabilitySchema);
@@ -13,6 +13,10 @@ const reservesSnapshotSchema = new mongoose.Schema({
         default: 0,
         get: (v) => v ? parseFloat(v.toString()) : 0,
       },
+      available: {
+        type: mongoose.Types.Decimal128,
+        get: (v) => v ? parseFloat(v.toString()) : 0,
+      },
       priceUSD: {
         type: mongoose.Types.Decimal128,
         get: (v) => v ? parseFloat(v.toString()) : 0,
@@ -21,6 +25,8 @@ const reservesSnapshotSchema = new mongoose.Schema({
         type: mongoose.Types.Decimal128,
         get: (v) => v ? parseFloat(v.toString()) : 0,
       },
+      source: String,
+      blockNumber: Number,
     },
     GBT: {
       quantity: {
@@ -28,6 +34,10 @@ const reservesSnapshotSchema = new mongoose.Schema({
         default: 0,
         get: (v) => v ? parseFloat(v.toString()) : 0,
       },
+      available: {
+        type: mongoose.Types.Decimal128,
+        get: (v) => v ? parseFloat(v.toString()) : 0,
+      },
       priceUSD: {
         type: mongoose.Types.Decimal128,
         get: (v) => v ? parseFloat(v.toString()) : 0,
@@ -36,6 +46,8 @@ const reservesSnapshotSchema = new mongoose.Schema({
         type: mongoose.Types.Decimal128,
         get: (v) => v ? parseFloat(v.toString()) : 0,
       },
+      source: String,
+      blockNumber: Number,
     },
     cash: {
       valueUSD: {
@@ -43,7 +55,29 @@ const reservesSnapshotSchema = new mongoose.Schema({
         default: 0,
         get: (v) => v ? parseFloat(v.toString()) : 0,
       },
+      source: String,
+    },
+  },
+  // Where the reserve figures were read from; stale snapshots reuse older figures
+  source: {
+    name: String,
+    blockNumber: Number,
+    blockHash: String,
+    blockTimestamp: Date,
+    contracts: {
+      ICController: String,
+      MockOracle: String,
     },
+    onChainTotalValueUSD: {
+      type: mongoose.Types.Decimal128,
+      get: (v) => v ? parseFloat(v.toString()) : 0,
+    },
+    stale: {
+      type: Boolean,
+      default: false,
+    },
+    staleReason: String,
+    staleSince: Date,
   },
   supply: {
     UC: {
@@ -59,6 +93,16 @@ const reservesSnapshotSchema = new mongoose.Schema({
       },
     },
   },
+  // Merkle commitment to per-user UC liabilities, see ProofOfReservesService
+  liabilities: {
+    merkleRoot: String,
+    totalUC: {
+      type: mongoose.Types.Decimal128,
+      get: (v) => v ? parseFloat(v.toString()) : 0,
+    },
+    leafCount: Number,
+    decimals: Number,
+  },
   ratios: {
     collateralPct: {
       type: mongoose.Types.Decimal128,
@@ -88,6 +132,7 @@ const reservesSnapshotSchema = new mongoose.Schema({
 });
 
 reservesSnapshotSchema.index({ timestamp: -1 });
+reservesSnapshotSchema.index({ 'source.name': 1, 'source.stale': 1, timestamp: -1 });
 
 reservesSnapshotSchema.statics.getLatest = async function() {
   return this.findOne().sort({ timestamp: -1 });
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { decimal128ToString } = require('../utils/money');
+
+const scheduledTransferRunSchema = new mongoose.Schema({
+  // Index of the occurrence this run settled, counted from startAt
+  occurrence: {
+    type: Number,
+    required: true,
+  },
+  scheduledFor: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['COMPLETED', 'FAILED'],
+    required: true,
+  },
+  idempotencyKey: String,
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  attempts: Number,
+  error: String,
+  executedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const scheduledTransferSchema = new mongoose.Schema({
+  // Who owns and manages the schedule: the sender, or for a treasury schedule the admin
+  // who created it
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // USER schedules pay from the owner's account, SYSTEM (treasury) ones from the SYSTEM
+  // account of the asset
+  source: {
+    type: String,
+    enum: ['USER', 'SYSTEM'],
+    default: 'USER',
+  },
+  // As entered (email, @handle or wallet address), and who it resolved to when scheduled
+  recipient: {
+    type: String,
+    required: true,
+  },
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  amount: {
+    type: mongoose.Types.Decimal128,
+    get: decimal128ToString,
+    required: true,
+  },
+  asset: {
+    type: String,
+    enum: Object.values(config.assets),
+    default: config.assets.UC,
+  },
+  description: {
+    type: String,
+    maxlength: 200,
+  },
+  frequency: {
+    type: String,
+    enum: ['ONCE', 'WEEKLY', 'MONTHLY'],
+    required: true,
+  },
+  startAt: {
+    type: Date,
+    required: true,
+  },
+  // Recurring schedules stop after endDate or maxRuns runs, whichever comes first
+  endDate: Date,
+  maxRuns: Number,
+  status: {
+    type: String,
+    enum: ['PENDING_APPROVAL', 'ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELED', 'FAILED'],
+    default: 'ACTIVE',
+  },
+  // Next occurrence to settle; occurrences missed while paused are skipped on resume
+  occurrence: {
+    type: Number,
+    default: 0,
+  },
+  // When the worker next tries; later than the occurrence date while retrying
+  nextRunAt: Date,
+  // Attempts made on the current occurrence
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  runCount: {
+    type: Number,
+    default: 0,
+  },
+  lastError: String,
+  // Set while a worker executes a run so two workers cannot pay the same occurrence
+  lockedUntil: Date,
+  // Most recent runs, newest last
+  runs: [scheduledTransferRunSchema],
+  // Treasury schedules only run once a second treasury admin has approved them
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  approvedAt: Date,
+  canceledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  collection: 'scheduled_transfers',
+});
+
+scheduledTransferSchema.index({ userId: 1, createdAt: -1 });
+scheduledTransferSchema.index({ status: 1, nextRunAt: 1 });
+scheduledTransferSchema.index({ source: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScheduledTransfer', scheduledTransferSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { decimal128ToString } = require('../utils/money');
+
+const decimal = {
+  type: mongoose.Types.Decimal128,
+  get: decimal128ToString,
+};
+
+const swapQuoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  fromAsset: {
+    type: String,
+    required: true,
+    enum: Object.values(config.assets),
+  },
+  toAsset: {
+    type: String,
+    required: true,
+    enum: Object.values(config.assets),
+  },
+  amount: { ...decimal, required: true },
+  // toAsset received per unit of fromAsset, before fees
+  rate: { ...decimal, required: true },
+  feeBps: {
+    type: Number,
+    required: true,
+  },
+  // Charged in fromAsset
+  feeAmount: { ...decimal, required: true },
+  receiveAmount: { ...decimal, required: true },
+  // USD price of each side and where it came from (feed or fxTable)
+  prices: {
+    from: { price: Number, source: String },
+    to: { price: Number, source: String },
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set when the quote is consumed by a swap, so it can only be executed once
+  usedAt: Date,
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  collection: 'swap_quotes',
+});
+
+swapQuoteSchema.index({ userId: 1, createdAt: -1 });
+// Unused quotes are only useful until they expire; keep them a day for support lookups
+swapQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+module.exports = mongoose.model('SwapQuote', swapQuoteSchema);
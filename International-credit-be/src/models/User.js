@@ -17,6 +17,21 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true,
   },
+  // Public name other users can send to, e.g. @alice
+  handle: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_]{3,20}$/,
+  },
+  // Quoted on bank transfer deposits so they can be matched to the user; issued on first use
+  depositReference: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
   password: {
     type: String,
     required: false,
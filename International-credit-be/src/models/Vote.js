@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { decimal128ToString } = require('../utils/money');
 
 const voteSchema = new mongoose.Schema({
   proposalId: {
@@ -16,10 +17,11 @@ const voteSchema = new mongoose.Schema({
     enum: ['FOR', 'AGAINST', 'ABSTAIN'],
     required: true,
   },
+  // The voter's UC snapshot when the proposal opened (see VotingWeight)
   weight: {
-    type: Number,
-    default: 1,
-    min: 0,
+    type: mongoose.Types.Decimal128,
+    required: true,
+    get: decimal128ToString,
   },
   reason: {
     type: String,
@@ -40,6 +42,7 @@ const voteSchema = new mongoose.Schema({
   },
 }, {
   timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { getters: true },
 });
 
 voteSchema.index({ proposalId: 1, voterId: 1 }, { unique: true });
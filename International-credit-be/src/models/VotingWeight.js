@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { decimal128ToString } = require('../utils/money');
+
+// A voter's available UC when a proposal opened for voting. Votes on the proposal are
+// weighted by this snapshot, so UC moved to another account afterwards cannot vote twice.
+const votingWeightSchema = new mongoose.Schema({
+  proposalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+  },
+  weight: {
+    type: mongoose.Types.Decimal128,
+    required: true,
+    get: decimal128ToString,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { getters: true },
+  collection: 'voting_weights',
+});
+
+// Also the key the activation snapshot merges on
+votingWeightSchema.index({ proposalId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('VotingWeight', votingWeightSchema);
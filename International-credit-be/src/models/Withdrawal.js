@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { decimal128ToString } = require('../utils/money');
+
+const decimal = {
+  type: mongoose.Types.Decimal128,
+  get: decimal128ToString,
+};
+
+const withdrawalEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // end_user, an admin role, or system for the payout worker
+  role: String,
+  note: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const withdrawalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true,
+  },
+  asset: {
+    type: String,
+    enum: [config.assets.UC],
+    default: config.assets.UC,
+  },
+  // ONCHAIN burns IC from a whitelisted wallet through ICController.burnIc;
+  // FIAT pays out to a bank account through the fiat payout processor
+  method: {
+    type: String,
+    enum: ['ONCHAIN', 'FIAT'],
+    required: true,
+  },
+  amount: { ...decimal, required: true },
+  feeAmount: { ...decimal, default: 0 },
+  netAmount: { ...decimal, required: true },
+  destination: {
+    walletAddress: String,
+    network: String,
+    bankAccount: {
+      accountHolder: String,
+      accountNumber: String,
+      routingNumber: String,
+      country: String,
+      currency: String,
+    },
+  },
+  status: {
+    type: String,
+    enum: ['PENDING_APPROVAL', 'APPROVED', 'PROCESSING', 'COMPLETED', 'REJECTED', 'FAILED', 'CANCELED'],
+    default: 'APPROVED',
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false,
+  },
+  // Ledger hold on the amount; captured into `journalId` on completion, released otherwise
+  holdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hold',
+    required: true,
+  },
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    note: String,
+  },
+  payout: {
+    processor: String,
+    reference: String,
+    txHash: String,
+    blockNumber: Number,
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+  },
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  events: [withdrawalEventSchema],
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+});
+
+withdrawalSchema.index({ userId: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+withdrawalSchema.index({ holdId: 1 });
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
@@ -4,14 +4,34 @@ const Wallet = require('./Wallet');
 const Account = require('./Account');
 const LedgerEntry = require('./LedgerEntry');
 const Balance = require('./Balance');
+const Hold = require('./Hold');
 const Payment = require('./Payment');
 const Proposal = require('./Proposal');
 const Vote = require('./Vote');
+const VotingWeight = require('./VotingWeight');
 const Config = require('./Config');
 const PriceTick = require('./PriceTick');
 const ReservesSnapshot = require('./ReservesSnapshot');
+const ReservesLiability = require('./ReservesLiability');
 const AuditLog = require('./AuditLog');
 const Receipt = require('./Receipt');
+const MsigAction = require('./MsigAction');
+const ChainCheckpoint = require('./ChainCheckpoint');
+const GovernanceEvent = require('./GovernanceEvent');
+const ChainProposal = require('./ChainProposal');
+const ChainEvent = require('./ChainEvent');
+const ChainReconciliationReport = require('./ChainReconciliationReport');
+const PaymentReconciliationReport = require('./PaymentReconciliationReport');
+const ReconciliationException = require('./ReconciliationException');
+const Withdrawal = require('./Withdrawal');
+const SwapQuote = require('./SwapQuote');
+const PaymentRequest = require('./PaymentRequest');
+const ScheduledTransfer = require('./ScheduledTransfer');
+const PayoutBatch = require('./PayoutBatch');
+const GlAccount = require('./GlAccount');
+const DepositQuote = require('./DepositQuote');
+const BankStatement = require('./BankStatement');
+const BankTransfer = require('./BankTransfer');
 
 module.exports = {
   User,
@@ -20,12 +40,32 @@ module.exports = {
   Account,
   LedgerEntry,
   Balance,
+  Hold,
   Payment,
   Proposal,
   Vote,
+  VotingWeight,
   Config,
   PriceTick,
   ReservesSnapshot,
+  ReservesLiability,
   AuditLog,
   Receipt,
+  MsigAction,
+  ChainCheckpoint,
+  GovernanceEvent,
+  ChainProposal,
+  ChainEvent,
+  ChainReconciliationReport,
+  PaymentReconciliationReport,
+  ReconciliationException,
+  Withdrawal,
+  SwapQuote,
+  PaymentRequest,
+  ScheduledTransfer,
+  PayoutBatch,
+  GlAccount,
+  DepositQuote,
+  BankStatement,
+  BankTransfer,
 };
\ No newline at end of file
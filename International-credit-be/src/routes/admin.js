@@ -1,13 +1,15 @@
 const express = require('express');
 const Joi = require('joi');
-const { authenticate, adminOnly, superAdminOnly } = require('../middleware/auth');
+const { authenticate, adminOnly, superAdminOnly, complianceOnly, treasuryOnly } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { validate } = require('../middleware/validation');
+const { validate, commonSchemas, msigSchemas, accountSchemas, ledgerSchemas, paymentSchemas } = require('../middleware/validation');
 const UserService = require('../services/UserService');
 const LedgerService = require('../services/LedgerService');
 const WalletService = require('../services/WalletService');
 const PaymentService = require('../services/PaymentService');
 const KycService = require('../services/KycService');
+const MsigService = require('../services/MsigService');
+const ReversalService = require('../services/ReversalService');
 const { User, Config, AuditLog, PriceTick, ReservesSnapshot, Proposal } = require('../models');
 const config = require('../config');
 
@@ -457,12 +459,134 @@ router.get('/ledger/invariants',
   })
 );
 
+/**
+ * @swagger
+ * /admin/ledger/accounts:
+ *   get:
+ *     tags: [Admin - Ledger Management]
+ *     summary: List asset accounts with their status history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, FROZEN, CLOSED]
+ *       - in: query
+ *         name: asset
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Accounts retrieved successfully
+ */
+router.get('/ledger/accounts',
+  authenticate,
+  adminOnly,
+  validate(accountSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+    const result = await LedgerService.listAccounts(filters, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/ledger/accounts/{accountId}/{action}:
+ *   post:
+ *     tags: [Admin - Ledger Management]
+ *     summary: Freeze, unfreeze or close a single asset account
+ *     description: |
+ *       A frozen account can receive funds but not send them; a closed account can do
+ *       neither. Every posting path enforces this. Closing is final and needs a zero
+ *       balance with no active holds. Each change is written to the audit log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [freeze, unfreeze, close]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Chargeback investigation"
+ *     responses:
+ *       200:
+ *         description: Account status updated
+ *       409:
+ *         description: Account is already in that status, is closed, or still holds funds
+ */
+router.post('/ledger/accounts/:accountId/:action',
+  authenticate,
+  complianceOnly,
+  validate(Joi.object({
+    accountId: commonSchemas.objectId.required(),
+    action: Joi.string().valid('freeze', 'unfreeze', 'close').required()
+  }), 'params'),
+  validate(accountSchemas.changeStatus),
+  asyncHandler(async (req, res) => {
+    const status = { freeze: 'FROZEN', unfreeze: 'ACTIVE', close: 'CLOSED' }[req.params.action];
+    const account = await LedgerService.setAccountStatus(req.user.id, req.params.accountId, status, req.body.reason, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: `Account ${status.toLowerCase()}`,
+      data: { account }
+    });
+  })
+);
+
 /**
  * @swagger
  * /admin/ledger/reverse/{journalId}:
  *   post:
  *     tags: [Admin - Ledger Management]
- *     summary: Reverse a ledger journal entry
+ *     summary: Reverse a ledger journal, fully or in part
+ *     description: |
+ *       Without `entries` everything not yet reversed is reversed. With `entries` only
+ *       those entries are reversed, each by `amount` or by what is left of it, and the
+ *       selection must still balance. Reversals cannot themselves be reversed. Reversals
+ *       moving more than REVERSAL_APPROVAL_THRESHOLD open a LEDGER_REVERSAL multi-sig
+ *       action instead and are posted once a second admin approves it.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -481,31 +605,90 @@ router.get('/ledger/invariants',
  *             properties:
  *               reason:
  *                 type: string
+ *                 example: "Duplicate card payment refunded by issuer"
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [entryId]
+ *                   properties:
+ *                     entryId:
+ *                       type: string
+ *                     amount:
+ *                       type: string
+ *                       example: "25.00"
  *     responses:
  *       200:
- *         description: Journal entry reversed successfully
+ *         description: Journal reversed
+ *       202:
+ *         description: Reversal is above the threshold and waits for a second admin's approval
+ *       409:
+ *         description: Journal is a reversal, is already fully reversed, has a reversal awaiting approval, or an amount exceeds what is left
  */
 router.post('/ledger/reverse/:journalId',
   authenticate,
-  superAdminOnly,
+  treasuryOnly,
   validate(Joi.object({
-    reason: Joi.string().required()
-  })),
+    journalId: commonSchemas.objectId.required()
+  }), 'params'),
+  validate(ledgerSchemas.reverse),
   asyncHandler(async (req, res) => {
-    const result = await LedgerService.reverseJournal(
-      req.params.journalId,
-      req.body.reason,
-      req.user.id
-    );
+    const result = await ReversalService.requestReversal(req.user.id, req.params.journalId, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
 
-    res.json({
+    res.status(result.status === 'PENDING_APPROVAL' ? 202 : 200).json({
       status: 'success',
-      message: 'Journal entry reversed successfully',
+      message: result.status === 'PENDING_APPROVAL'
+        ? 'Reversal is above the approval threshold and awaits a second admin'
+        : 'Journal entry reversed successfully',
       data: result
     });
   })
 );
 
+/**
+ * @swagger
+ * /admin/ledger/journals/{journalId}/reversals:
+ *   get:
+ *     tags: [Admin - Ledger Management]
+ *     summary: Get a journal's reversal chain
+ *     description: |
+ *       The journal's entries with the amount already reversed on each, the reversal
+ *       journals posted against it, reversals still awaiting approval, and the original
+ *       journal when this one is itself a reversal.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: journalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reversal chain with status NOT_REVERSED, PARTIALLY_REVERSED or FULLY_REVERSED
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/ledger/journals/:journalId/reversals',
+  authenticate,
+  adminOnly,
+  validate(Joi.object({
+    journalId: commonSchemas.objectId.required()
+  }), 'params'),
+  asyncHandler(async (req, res) => {
+    const chain = await ReversalService.getChain(req.params.journalId);
+
+    res.json({
+      status: 'success',
+      data: { chain }
+    });
+  })
+);
+
 /**
  * @swagger
  * /admin/ledger/balances/{userId}:
@@ -649,6 +832,72 @@ router.get('/payments/stats',
   })
 );
 
+/**
+ * @swagger
+ * /admin/payments/{paymentId}/refund:
+ *   post:
+ *     tags: [Admin - Payment Management]
+ *     summary: Refund a Stripe payment
+ *     description: |
+ *       Refunds all or part of the payment's fiat amount through Stripe and claws the
+ *       matching UC back from the user with a reversal of the deposit journal. UC the
+ *       user no longer holds is booked to their RECEIVABLE account, which then shows
+ *       what they owe. Only one refund of a payment runs at a time.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               amount:
+ *                 type: string
+ *                 description: Fiat amount to refund; defaults to what is left of the payment
+ *                 example: "25.00"
+ *               reason:
+ *                 type: string
+ *                 example: "Customer cancelled the purchase"
+ *     responses:
+ *       200:
+ *         description: Payment refunded
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Payment is not refundable, the amount exceeds what is left, or another refund is in progress
+ *       500:
+ *         description: Stripe refused the refund, or the refund succeeded but the clawback failed
+ */
+router.post('/payments/:paymentId/refund',
+  authenticate,
+  treasuryOnly,
+  validate(Joi.object({
+    paymentId: commonSchemas.objectId.required()
+  }), 'params'),
+  validate(paymentSchemas.refund),
+  asyncHandler(async (req, res) => {
+    const result = await PaymentService.refundPayment(req.user.id, req.params.paymentId, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: result.payment.status === 'REFUNDED' ? 'Payment refunded' : 'Payment partially refunded',
+      data: result
+    });
+  })
+);
+
 // ===== SYSTEM CONFIGURATION =====
 
 /**
@@ -1064,7 +1313,7 @@ router.get('/governance/proposals',
     const [total, proposals] = await Promise.all([
       Proposal.countDocuments(query),
       Proposal.find(query)
-        .populate('createdBy', 'email fullName')
+        .populate('proposerId', 'email fullName')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limitNum)
@@ -1098,6 +1347,7 @@ router.get('/governance/proposals',
  *   post:
  *     tags: [Admin - Multi-Sig]
  *     summary: Create multi-sig action
+ *     description: Queues an action that executes once the required number of distinct admins approve it. The initiator counts as the first approval.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -1110,8 +1360,19 @@ router.get('/governance/proposals',
  *             properties:
  *               type:
  *                 type: string
+ *                 enum: [CONFIG_UPDATE, LEDGER_REVERSAL, WALLET_STATUS_UPDATE]
  *               payload:
  *                 type: object
+ *                 description: |
+ *                   CONFIG_UPDATE: { updates, reason }
+ *                   LEDGER_REVERSAL: { journalId, reason }
+ *                   WALLET_STATUS_UPDATE: { walletId, whitelistState, reason }
+ *               description:
+ *                 type: string
+ *               requiredApprovals:
+ *                 type: integer
+ *                 minimum: 2
+ *                 description: Raises MSIG_REQUIRED_APPROVALS for this action; never below 2
  *     responses:
  *       201:
  *         description: Action created
@@ -1119,16 +1380,17 @@ router.get('/governance/proposals',
 router.post('/msig/actions',
   authenticate,
   adminOnly,
-  validate(Joi.object({
-    type: Joi.string().required(),
-    payload: Joi.object().required()
-  })),
+  validate(msigSchemas.createAction),
   asyncHandler(async (req, res) => {
-    // Placeholder: store in msig_actions when model/service exists
+    const action = await MsigService.createAction(req.user.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
     res.status(201).json({
       status: 'success',
-      message: 'Action queued (stub)',
-      data: { id: 'stub' }
+      message: action.status === 'PENDING' ? 'Action queued for approval' : `Action ${action.status.toLowerCase()}`,
+      data: { action }
     });
   })
 );
@@ -1141,15 +1403,91 @@ router.post('/msig/actions',
  *     summary: List multi-sig actions
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, EXECUTING, EXECUTED, FAILED, REJECTED, EXPIRED]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
  *         description: Actions listed
  */
 router.get('/msig/actions',
+  authenticate,
+  adminOnly,
+  validate(msigSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+    const result = await MsigService.getActions(filters, { page, limit });
+
+    res.json({ status: 'success', data: result });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/msig/stats:
+ *   get:
+ *     tags: [Admin - Multi-Sig]
+ *     summary: Get multi-sig queue statistics
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get('/msig/stats',
   authenticate,
   adminOnly,
   asyncHandler(async (req, res) => {
-    res.json({ status: 'success', data: { actions: [] } });
+    const stats = await MsigService.getStats();
+
+    res.json({ status: 'success', data: { stats } });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/msig/actions/{id}:
+ *   get:
+ *     tags: [Admin - Multi-Sig]
+ *     summary: Get multi-sig action
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Action retrieved
+ *       404:
+ *         description: Action not found
+ */
+router.get('/msig/actions/:id',
+  authenticate,
+  adminOnly,
+  asyncHandler(async (req, res) => {
+    const action = await MsigService.getAction(req.params.id);
+
+    res.json({ status: 'success', data: { action } });
   })
 );
 
@@ -1159,6 +1497,7 @@ router.get('/msig/actions',
  *   post:
  *     tags: [Admin - Multi-Sig]
  *     summary: Approve multi-sig action
+ *     description: Executes the action when this approval meets the threshold.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -1167,15 +1506,35 @@ router.get('/msig/actions',
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Action approved
+ *       409:
+ *         description: Already signed or no longer pending
  */
 router.post('/msig/actions/:id/approve',
   authenticate,
   adminOnly,
+  validate(msigSchemas.sign),
   asyncHandler(async (req, res) => {
-    res.json({ status: 'success', message: 'Approved (stub)' });
+    const action = await MsigService.approveAction(req.user.id, req.params.id, req.body.reason, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    res.json({
+      status: 'success',
+      message: action.status === 'PENDING' ? 'Approval recorded' : `Action ${action.status.toLowerCase()}`,
+      data: { action }
+    });
   })
 );
 
@@ -1193,16 +1552,36 @@ router.post('/msig/actions/:id/approve',
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Action rejected
+ *       409:
+ *         description: Already signed or no longer pending
  */
 router.post('/msig/actions/:id/reject',
   authenticate,
   adminOnly,
+  validate(msigSchemas.sign),
   asyncHandler(async (req, res) => {
-    res.json({ status: 'success', message: 'Rejected (stub)' });
+    const action = await MsigService.rejectAction(req.user.id, req.params.id, req.body.reason, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    res.json({
+      status: 'success',
+      message: action.status === 'REJECTED' ? 'Action rejected' : 'Rejection recorded',
+      data: { action }
+    });
   })
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
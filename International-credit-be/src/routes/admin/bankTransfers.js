@@ -0,0 +1,302 @@
+const express = require('express');
+const Joi = require('joi');
+const BankTransferService = require('../../services/BankTransferService');
+const { authenticate, treasuryOnly } = require('../../middleware/auth');
+const { validate, commonSchemas, bankTransferSchemas } = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { strictRateLimit } = require('../../middleware/security');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(treasuryOnly);
+
+const idParams = Joi.object({
+  id: commonSchemas.objectId.required(),
+});
+
+/**
+ * @swagger
+ * /admin/bank-transfers/statements:
+ *   post:
+ *     tags: [Admin - Bank Transfers]
+ *     summary: Import a bank statement
+ *     description: |
+ *       `content` is the statement file as text: CSV with `transaction_id`, `date`,
+ *       `amount`, `currency` and optional `reference`, `payer_name`, `payer_account`,
+ *       `account`, `value_date`, `rail` and `direction` columns, or a CAMT.053 XML
+ *       statement. Each booked credit not already imported is matched by the deposit
+ *       reference in its remittance information and credited in UC at the deposit rate
+ *       for its currency; the rest go to the suspense queue (`status=UNMATCHED`). Debits
+ *       are skipped. A file can only be imported once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [format, content]
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [CSV, CAMT053]
+ *               content:
+ *                 type: string
+ *                 example: "transaction_id,date,amount,currency,reference,payer_name\nTX-1001,2026-10-01,250.00,EUR,UC7K3M9Q2XH,Jane Doe\n"
+ *               filename:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Statement imported, with credited, unmatched and duplicate counts
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: The file has already been imported
+ */
+router.post('/statements',
+  strictRateLimit,
+  validate(bankTransferSchemas.importStatement),
+  asyncHandler(async (req, res) => {
+    const statement = await BankTransferService.importStatement(req.user.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Bank statement imported',
+      data: { statement },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/bank-transfers/statements:
+ *   get:
+ *     tags: [Admin - Bank Transfers]
+ *     summary: List imported bank statements
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Bank statements retrieved successfully
+ */
+router.get('/statements',
+  validate(bankTransferSchemas.pagination, 'query'),
+  asyncHandler(async (req, res) => {
+    const result = await BankTransferService.listStatements(req.query);
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/bank-transfers/statements/{id}:
+ *   get:
+ *     tags: [Admin - Bank Transfers]
+ *     summary: Get a bank statement with the transfers imported from it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bank statement and its transfers
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/statements/:id',
+  validate(idParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const result = await BankTransferService.getStatement(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/bank-transfers:
+ *   get:
+ *     tags: [Admin - Bank Transfers]
+ *     summary: List incoming bank transfers
+ *     description: "`status=UNMATCHED` is the suspense queue; each transfer's `issue` says why it was not matched."
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [UNMATCHED, CREDITING, CREDITED, RETURNED]
+ *       - in: query
+ *         name: statementId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Bank transfers retrieved successfully
+ */
+router.get('/',
+  validate(bankTransferSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+    const result = await BankTransferService.listTransfers(filters, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/bank-transfers/{id}/assign:
+ *   post:
+ *     tags: [Admin - Bank Transfers]
+ *     summary: Assign an unmatched bank transfer to a user
+ *     description: Credits the transfer to the user in UC, as if it had quoted their deposit reference.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *                 example: "Payer emailed support with their deposit reference"
+ *     responses:
+ *       200:
+ *         description: Transfer credited
+ *       403:
+ *         description: Admins cannot assign transfers to themselves
+ *       409:
+ *         description: Transfer is not unmatched
+ */
+router.post('/:id/assign',
+  strictRateLimit,
+  validate(idParams, 'params'),
+  validate(bankTransferSchemas.assign),
+  asyncHandler(async (req, res) => {
+    const transfer = await BankTransferService.assignTransfer(req.user.id, req.params.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Bank transfer credited',
+      data: { transfer },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/bank-transfers/{id}/return:
+ *   post:
+ *     tags: [Admin - Bank Transfers]
+ *     summary: Mark an unmatched bank transfer for return to the payer
+ *     description: Takes the transfer out of the suspense queue; the refund itself is made through the bank.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer marked as returned
+ *       409:
+ *         description: Transfer is not unmatched
+ */
+router.post('/:id/return',
+  strictRateLimit,
+  validate(idParams, 'params'),
+  validate(bankTransferSchemas.returnTransfer),
+  asyncHandler(async (req, res) => {
+    const transfer = await BankTransferService.returnTransfer(req.user.id, req.params.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Bank transfer marked for return',
+      data: { transfer },
+    });
+  })
+);
+
+module.exports = router;
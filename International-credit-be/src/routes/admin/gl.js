@@ -0,0 +1,271 @@
+const express = require('express');
+const Joi = require('joi');
+const GeneralLedgerService = require('../../services/GeneralLedgerService');
+const { authenticate, treasuryOnly } = require('../../middleware/auth');
+const { validate, glSchemas } = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(treasuryOnly);
+
+const codeParams = Joi.object({
+  code: Joi.string().pattern(/^\d{1,10}$/).required(),
+});
+
+const reportParams = Joi.object({
+  report: Joi.string().valid('trial-balance', 'general-ledger', 'balance-sheet', 'income-statement').required(),
+});
+
+/**
+ * @swagger
+ * /admin/gl/accounts:
+ *   get:
+ *     tags: [Admin - General Ledger]
+ *     summary: Get the chart of accounts
+ *     description: |
+ *       Codes sorted by code, with `parentCode` giving the hierarchy. Ledger accounts are
+ *       reported under the code mapped to their account type (and asset, when the code
+ *       names one); unmapped ones fall back to the suspense code. The default chart is
+ *       created on first use.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Chart of accounts
+ */
+router.get('/accounts',
+  asyncHandler(async (req, res) => {
+    const accounts = await GeneralLedgerService.getChart();
+
+    res.json({
+      status: 'success',
+      data: { accounts },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/gl/accounts:
+ *   post:
+ *     tags: [Admin - General Ledger]
+ *     summary: Add a code to the chart of accounts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name, category]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "4110"
+ *               name:
+ *                 type: string
+ *                 example: "Swap fee revenue (USDC)"
+ *               category:
+ *                 type: string
+ *                 enum: [ASSET, LIABILITY, EQUITY, REVENUE, EXPENSE]
+ *               parentCode:
+ *                 type: string
+ *                 example: "4000"
+ *               accountType:
+ *                 type: string
+ *                 enum: [USER, SYSTEM, RESERVE, FEE, FX, SUSPENSE, RECEIVABLE]
+ *               asset:
+ *                 type: string
+ *                 enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Code created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Code exists, or another active code already has this mapping
+ */
+router.post('/accounts',
+  validate(glSchemas.createAccount),
+  asyncHandler(async (req, res) => {
+    const account = await GeneralLedgerService.createGlAccount(req.user.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Chart of accounts code created',
+      data: { account },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/gl/accounts/{code}:
+ *   patch:
+ *     tags: [Admin - General Ledger]
+ *     summary: Rename, move, remap or deactivate a code
+ *     description: The category cannot change. Codes with active children cannot be deactivated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentCode:
+ *                 type: string
+ *                 nullable: true
+ *               accountType:
+ *                 type: string
+ *                 nullable: true
+ *               asset:
+ *                 type: string
+ *                 nullable: true
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Code updated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Mapping clash or active child codes
+ */
+router.patch('/accounts/:code',
+  validate(codeParams, 'params'),
+  validate(glSchemas.updateAccount),
+  asyncHandler(async (req, res) => {
+    const account = await GeneralLedgerService.updateGlAccount(req.user.id, req.params.code, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Chart of accounts code updated',
+      data: { account },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/gl/reports/{report}:
+ *   get:
+ *     tags: [Admin - General Ledger]
+ *     summary: Generate a general-ledger report
+ *     description: |
+ *       Built from POSTED ledger entries over [from, to); the balance sheet is as of `to`.
+ *       Amounts are never summed across assets, so every report is broken down per asset.
+ *       - `trial-balance`: opening balance, period debits and credits, and closing
+ *         debit or credit per code
+ *       - `general-ledger`: every entry per code with a running balance; filter with
+ *         `code` (includes the codes below it). Limited to GL_MAX_DETAIL_ROWS entries
+ *       - `balance-sheet`: assets, liabilities and equity by hierarchy, with revenue
+ *         less expenses to date as current earnings
+ *       - `income-statement`: revenue and expenses by hierarchy, each split by the
+ *         transaction type that earned it
+ *
+ *       `format=csv` or `format=pdf` downloads the report as a file.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: report
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [trial-balance, general-ledger, balance-sheet, income-statement]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Exclusive end of the range
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: asset
+ *         schema:
+ *           type: string
+ *           enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
+ *       - in: query
+ *         name: code
+ *         description: general-ledger only
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Report data, or the report file for csv and pdf
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/reports/:report',
+  validate(reportParams, 'params'),
+  validate(glSchemas.report, 'query'),
+  asyncHandler(async (req, res) => {
+    const { format, ...params } = req.query;
+
+    if (format === 'json') {
+      const report = await GeneralLedgerService.runReport(req.params.report, params);
+      return res.json({
+        status: 'success',
+        data: { report },
+      });
+    }
+
+    const file = await GeneralLedgerService.exportReport(req.user.id, req.params.report, params, format, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.set('Content-Type', file.contentType);
+    res.attachment(file.filename);
+    res.send(file.body);
+  })
+);
+
+module.exports = router;
@@ -3,6 +3,12 @@ const express = require('express');
 // Compose legacy admin routes with activity history routes
 const legacyAdminRouter = require('../admin');
 const activityHistoryRouter = require('./history');
+const reconciliationRouter = require('./reconciliation');
+const withdrawalsRouter = require('./withdrawals');
+const scheduledTransfersRouter = require('./scheduledTransfers');
+const payoutsRouter = require('./payouts');
+const bankTransfersRouter = require('./bankTransfers');
+const glRouter = require('./gl');
 
 const router = express.Router();
 
@@ -12,5 +18,23 @@ router.use('/', legacyAdminRouter);
 // Mount activity history under /history
 router.use('/history', activityHistoryRouter);
 
+// Mount on-chain and card payment reconciliation reports under /reconciliation
+router.use('/reconciliation', reconciliationRouter);
+
+// Mount the treasury withdrawal approval queue under /withdrawals
+router.use('/withdrawals', withdrawalsRouter);
+
+// Mount treasury schedules and oversight of users' scheduled transfers under /scheduled-transfers
+router.use('/scheduled-transfers', scheduledTransfersRouter);
+
+// Mount treasury bulk payouts under /payouts
+router.use('/payouts', payoutsRouter);
+
+// Mount bank statement imports and the bank transfer suspense queue under /bank-transfers
+router.use('/bank-transfers', bankTransfersRouter);
+
+// Mount the chart of accounts and general-ledger reports under /gl
+router.use('/gl', glRouter);
+
 module.exports = router;
 
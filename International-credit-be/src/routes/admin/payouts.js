@@ -0,0 +1,331 @@
+const express = require('express');
+const Joi = require('joi');
+const PayoutService = require('../../services/PayoutService');
+const { authenticate, treasuryOnly } = require('../../middleware/auth');
+const { validate, commonSchemas, payoutSchemas } = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { strictRateLimit } = require('../../middleware/security');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(treasuryOnly);
+
+const batchIdParams = Joi.object({
+  id: commonSchemas.objectId.required(),
+});
+
+/**
+ * @swagger
+ * /admin/payouts:
+ *   post:
+ *     tags: [Admin - Payouts]
+ *     summary: Upload a bulk payout batch and preview it
+ *     description: |
+ *       Takes either `csv` (text with `recipient`, `amount` and optional `reference`
+ *       columns) or `rows`. Recipients are user IDs, whitelisted wallet addresses or
+ *       emails. Every row is checked for KYC, sanctions, wallet whitelisting and an
+ *       active account; rows that fail are kept as INVALID with their issues. The batch
+ *       waits for approval by a second treasury admin and is paid from the asset's
+ *       SYSTEM account, less the transfer fee.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               asset:
+ *                 type: string
+ *                 enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
+ *                 default: UC
+ *               description:
+ *                 type: string
+ *                 example: "March ambassador rewards"
+ *               mode:
+ *                 type: string
+ *                 enum: [ATOMIC, CHUNKED]
+ *                 default: ATOMIC
+ *                 description: ATOMIC posts one journal for every row; CHUNKED posts one journal per chunk
+ *               chunkSize:
+ *                 type: integer
+ *                 description: Rows per journal for CHUNKED batches (default PAYOUT_CHUNK_SIZE)
+ *               csv:
+ *                 type: string
+ *                 example: "recipient,amount,reference\njane@example.com,25,INV-1\n0x742d35cc6634c0532925a3b8d4c9db96c4b4d8b6,10,INV-2\n"
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     recipient:
+ *                       type: string
+ *                     amount:
+ *                       type: string
+ *                     reference:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Batch created with per-row validation results and fee and total preview
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/',
+  strictRateLimit,
+  validate(payoutSchemas.create),
+  asyncHandler(async (req, res) => {
+    const batch = await PayoutService.createBatch(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Payout batch created and waiting for approval',
+      data: { batch },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/payouts:
+ *   get:
+ *     tags: [Admin - Payouts]
+ *     summary: List payout batches
+ *     description: Batches without their rows; fetch a batch for the rows.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING_APPROVAL, APPROVED, PROCESSING, COMPLETED, PARTIALLY_COMPLETED, FAILED, REJECTED, CANCELED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Payout batches retrieved successfully
+ */
+router.get('/',
+  validate(payoutSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+    const result = await PayoutService.listBatches(filters, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/payouts/{id}:
+ *   get:
+ *     tags: [Admin - Payouts]
+ *     summary: Get a payout batch with its rows
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout batch
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id',
+  validate(batchIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const batch = await PayoutService.getBatch(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: { batch },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/payouts/{id}/report:
+ *   get:
+ *     tags: [Admin - Payouts]
+ *     summary: Download the per-row result report
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Report file, one line per uploaded row
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ */
+router.get('/:id/report',
+  validate(batchIdParams, 'params'),
+  validate(payoutSchemas.report, 'query'),
+  asyncHandler(async (req, res) => {
+    const report = await PayoutService.getReport(req.params.id, req.query.format);
+
+    res.set('Content-Type', report.contentType);
+    res.attachment(report.filename);
+    res.send(report.body);
+  })
+);
+
+/**
+ * @swagger
+ * /admin/payouts/{id}/approve:
+ *   post:
+ *     tags: [Admin - Payouts]
+ *     summary: Approve a payout batch
+ *     description: |
+ *       Must be a different admin from the uploader. ATOMIC batches can only be approved
+ *       when every row is valid. The worker posts approved batches.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Batch approved and queued for payout
+ *       403:
+ *         description: Admins cannot approve their own batches or batches that pay them
+ *       409:
+ *         description: Batch is not waiting for approval
+ */
+router.post('/:id/approve',
+  strictRateLimit,
+  validate(batchIdParams, 'params'),
+  validate(payoutSchemas.review),
+  asyncHandler(async (req, res) => {
+    const batch = await PayoutService.approveBatch(req.user.id, req.params.id, req.body.note);
+
+    res.json({
+      status: 'success',
+      message: 'Payout batch approved',
+      data: { batch },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/payouts/{id}/reject:
+ *   post:
+ *     tags: [Admin - Payouts]
+ *     summary: Reject a payout batch
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Batch rejected
+ *       409:
+ *         description: Batch is not waiting for approval
+ */
+router.post('/:id/reject',
+  validate(batchIdParams, 'params'),
+  validate(payoutSchemas.reject),
+  asyncHandler(async (req, res) => {
+    const batch = await PayoutService.rejectBatch(req.user.id, req.params.id, req.body.reason);
+
+    res.json({
+      status: 'success',
+      message: 'Payout batch rejected',
+      data: { batch },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/payouts/{id}/cancel:
+ *   post:
+ *     tags: [Admin - Payouts]
+ *     summary: Cancel your own payout batch before it is processed
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch canceled
+ *       409:
+ *         description: Batch is already processing or finished
+ */
+router.post('/:id/cancel',
+  validate(batchIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const batch = await PayoutService.cancelBatch(req.user.id, req.params.id);
+
+    res.json({
+      status: 'success',
+      message: 'Payout batch canceled',
+      data: { batch },
+    });
+  })
+);
+
+module.exports = router;
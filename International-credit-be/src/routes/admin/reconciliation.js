@@ -0,0 +1,645 @@
+const express = require('express');
+const Joi = require('joi');
+const ChainReconciliationService = require('../../services/ChainReconciliationService');
+const PaymentReconciliationService = require('../../services/PaymentReconciliationService');
+const { authenticate, adminOnly, superAdminOnly, treasuryOnly } = require('../../middleware/auth');
+const { validate, commonSchemas, reconciliationSchemas } = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { strictRateLimit } = require('../../middleware/security');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(adminOnly);
+
+const reportIdParams = Joi.object({
+  id: commonSchemas.objectId.required(),
+});
+
+/**
+ * @swagger
+ * /admin/reconciliation/chain/summary:
+ *   get:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Latest chain reconciliation result and count of unacknowledged reports
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Summary retrieved successfully
+ */
+router.get('/chain/summary',
+  asyncHandler(async (req, res) => {
+    const summary = await ChainReconciliationService.getSummary();
+
+    res.json({
+      status: 'success',
+      data: summary,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/chain/reports:
+ *   get:
+ *     tags: [Admin - Reconciliation]
+ *     summary: List chain reconciliation reports
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [MATCHED, DISCREPANCY, ERROR]
+ *       - in: query
+ *         name: acknowledged
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ */
+router.get('/chain/reports',
+  validate(Joi.object({
+    status: Joi.string().uppercase().valid('MATCHED', 'DISCREPANCY', 'ERROR').optional(),
+    acknowledged: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }), 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+    const result = await ChainReconciliationService.getReports(filters, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/chain/reports/{id}:
+ *   get:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Get a chain reconciliation report with per-address discrepancies
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report retrieved successfully
+ *       404:
+ *         description: Report not found
+ */
+router.get('/chain/reports/:id',
+  validate(reportIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const report = await ChainReconciliationService.getReport(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: { report },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/chain/reports/{id}/acknowledge:
+ *   post:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Acknowledge a reconciliation report with discrepancies or errors
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report acknowledged
+ *       409:
+ *         description: Report already acknowledged or has nothing to acknowledge
+ */
+router.post('/chain/reports/:id/acknowledge',
+  strictRateLimit,
+  validate(reportIdParams, 'params'),
+  validate(Joi.object({ note: Joi.string().max(1000).optional() })),
+  asyncHandler(async (req, res) => {
+    const report = await ChainReconciliationService.acknowledgeReport(req.user.id, req.params.id, req.body.note, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      correlationId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Report acknowledged',
+      data: { report },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/chain/run:
+ *   post:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Run chain reconciliation now (super admin)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Report created
+ */
+router.post('/chain/run',
+  superAdminOnly,
+  strictRateLimit,
+  asyncHandler(async (req, res) => {
+    const report = await ChainReconciliationService.run();
+
+    res.status(201).json({
+      status: 'success',
+      message: `Reconciliation ${report.status.toLowerCase()}`,
+      data: { report },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/summary:
+ *   get:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Latest payment reconciliation run and unresolved exceptions by status and type
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Summary retrieved successfully
+ */
+router.get('/payments/summary',
+  treasuryOnly,
+  asyncHandler(async (req, res) => {
+    const summary = await PaymentReconciliationService.getSummary();
+
+    res.json({
+      status: 'success',
+      data: summary,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/run:
+ *   post:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Reconcile a day's card payments now
+ *     description: |
+ *       Compares the day's payments with the provider's payment intents and the card
+ *       deposit journals, saves the result as a report and raises an exception per
+ *       discrepancy. Exceptions raised earlier for the day that are no longer found are
+ *       cleared. Defaults to today.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-10-18"
+ *     responses:
+ *       201:
+ *         description: Report created
+ */
+router.post('/payments/run',
+  treasuryOnly,
+  strictRateLimit,
+  validate(reconciliationSchemas.runPayments),
+  asyncHandler(async (req, res) => {
+    const report = await PaymentReconciliationService.run({ date: req.body.date, adminId: req.user.id });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Reconciliation ${report.status.toLowerCase()}`,
+      data: { report },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/reports:
+ *   get:
+ *     tags: [Admin - Reconciliation]
+ *     summary: List payment reconciliation reports
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [MATCHED, DISCREPANCY, ERROR]
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [SCHEDULED, MANUAL]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ */
+router.get('/payments/reports',
+  treasuryOnly,
+  validate(reconciliationSchemas.paymentReports, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+    const result = await PaymentReconciliationService.getReports(filters, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/reports/{id}:
+ *   get:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Get a payment reconciliation report with its line items
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report retrieved successfully
+ *       404:
+ *         description: Report not found
+ */
+router.get('/payments/reports/:id',
+  treasuryOnly,
+  validate(reportIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const report = await PaymentReconciliationService.getReport(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: { report },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/exceptions:
+ *   get:
+ *     tags: [Admin - Reconciliation]
+ *     summary: List payment reconciliation exceptions
+ *     description: "`status=UNRESOLVED` lists OPEN and ASSIGNED exceptions."
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [UNRESOLVED, OPEN, ASSIGNED, RESOLVED]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [MISSING_CREDIT, ORPHAN_JOURNAL, AMOUNT_MISMATCH, STALE_PENDING, MISSING_LOCAL, MISSING_PROVIDER]
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: paymentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Exceptions retrieved successfully
+ */
+router.get('/payments/exceptions',
+  treasuryOnly,
+  validate(reconciliationSchemas.exceptions, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+    const result = await PaymentReconciliationService.listExceptions(filters, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/exceptions/{id}:
+ *   get:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Get a payment reconciliation exception with its notes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exception retrieved successfully
+ *       404:
+ *         description: Exception not found
+ */
+router.get('/payments/exceptions/:id',
+  treasuryOnly,
+  validate(reportIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const exception = await PaymentReconciliationService.getException(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: { exception },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/exceptions/{id}/assign:
+ *   post:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Assign an unresolved exception to a treasury admin
+ *     description: Assigns it to the caller unless `assigneeId` names another treasury admin.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               assigneeId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Exception assigned
+ *       409:
+ *         description: Exception is already resolved
+ */
+router.post('/payments/exceptions/:id/assign',
+  treasuryOnly,
+  strictRateLimit,
+  validate(reportIdParams, 'params'),
+  validate(reconciliationSchemas.assign),
+  asyncHandler(async (req, res) => {
+    const exception = await PaymentReconciliationService.assignException(req.user.id, req.params.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Exception assigned',
+      data: { exception },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/exceptions/{id}/notes:
+ *   post:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Add a note to an exception
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Note added
+ */
+router.post('/payments/exceptions/:id/notes',
+  treasuryOnly,
+  validate(reportIdParams, 'params'),
+  validate(reconciliationSchemas.note),
+  asyncHandler(async (req, res) => {
+    const exception = await PaymentReconciliationService.addNote(req.user.id, req.params.id, req.body.note);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Note added',
+      data: { exception },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/exceptions/{id}/resolve:
+ *   post:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Resolve an exception without a fix
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: "Amount difference is a Stripe FX rounding, accepted"
+ *     responses:
+ *       200:
+ *         description: Exception resolved
+ *       409:
+ *         description: Exception is already resolved
+ */
+router.post('/payments/exceptions/:id/resolve',
+  treasuryOnly,
+  strictRateLimit,
+  validate(reportIdParams, 'params'),
+  validate(reconciliationSchemas.resolve),
+  asyncHandler(async (req, res) => {
+    const exception = await PaymentReconciliationService.resolveException(req.user.id, req.params.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Exception resolved',
+      data: { exception },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/reconciliation/payments/exceptions/{id}/fix:
+ *   post:
+ *     tags: [Admin - Reconciliation]
+ *     summary: Fix an exception and resolve it
+ *     description: |
+ *       `action` must be the fix for the exception's type. CREDIT (MISSING_CREDIT)
+ *       credits the payment's UC, linking an already posted journal when there is one.
+ *       REVERSE (ORPHAN_JOURNAL) reverses the journal; above REVERSAL_APPROVAL_THRESHOLD
+ *       it opens a LEDGER_REVERSAL multi-sig action and the exception stays unresolved.
+ *       SYNC (STALE_PENDING) settles the payment from its intent's status at the provider.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [CREDIT, REVERSE, SYNC]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Exception fixed and resolved
+ *       202:
+ *         description: Reversal awaits a second admin's approval
+ *       400:
+ *         description: The action is not the fix for this type of exception
+ *       409:
+ *         description: Exception is already resolved, or the payment cannot be fixed in its current state
+ */
+router.post('/payments/exceptions/:id/fix',
+  treasuryOnly,
+  strictRateLimit,
+  validate(reportIdParams, 'params'),
+  validate(reconciliationSchemas.fix),
+  asyncHandler(async (req, res) => {
+    const result = await PaymentReconciliationService.fixException(req.user.id, req.params.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+    const pending = result.result.status === 'PENDING_APPROVAL';
+
+    res.status(pending ? 202 : 200).json({
+      status: 'success',
+      message: pending ? 'Reversal awaits a second admin\'s approval' : 'Exception fixed',
+      data: result,
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const Joi = require('joi');
+const ScheduledTransferService = require('../../services/ScheduledTransferService');
+const { authenticate, treasuryOnly } = require('../../middleware/auth');
+const { validate, commonSchemas, scheduledTransferSchemas } = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(treasuryOnly);
+
+/**
+ * @swagger
+ * /admin/scheduled-transfers:
+ *   get:
+ *     tags: [Admin - Scheduled Transfers]
+ *     summary: List scheduled transfers across all users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING_APPROVAL, ACTIVE, PAUSED, COMPLETED, CANCELED, FAILED]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [USER, SYSTEM]
+ *         description: SYSTEM for treasury schedules
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Scheduled transfers retrieved successfully
+ */
+router.get('/',
+  validate(scheduledTransferSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+    const result = await ScheduledTransferService.listSchedules(filters, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/scheduled-transfers:
+ *   post:
+ *     tags: [Admin - Scheduled Transfers]
+ *     summary: Schedule a treasury transfer from the SYSTEM account
+ *     description: |
+ *       Pays the recipient from the asset's SYSTEM account once or on a weekly/monthly
+ *       schedule. Runs, retries and notifications work as for user schedules; the
+ *       creating admin owns the schedule. It is created PENDING_APPROVAL and only runs
+ *       once another treasury admin approves it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recipient, amount, frequency, startAt]
+ *             properties:
+ *               recipient:
+ *                 type: string
+ *                 description: Email, @handle or whitelisted wallet address
+ *               amount:
+ *                 type: string
+ *               asset:
+ *                 type: string
+ *                 default: UC
+ *               description:
+ *                 type: string
+ *               frequency:
+ *                 type: string
+ *                 enum: [ONCE, WEEKLY, MONTHLY]
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               maxRuns:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Treasury schedule created, awaiting approval
+ *       404:
+ *         description: Recipient, or the SYSTEM or recipient account, not found
+ */
+router.post('/',
+  validate(scheduledTransferSchemas.create),
+  asyncHandler(async (req, res) => {
+    const schedule = await ScheduledTransferService.createTreasurySchedule(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Treasury transfer scheduled',
+      data: { schedule },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/scheduled-transfers/{id}/approve:
+ *   post:
+ *     tags: [Admin - Scheduled Transfers]
+ *     summary: Approve another admin's treasury schedule so it starts running
+ *     description: |
+ *       Occurrences that fell due while the schedule awaited approval are skipped.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Treasury schedule approved and active
+ *       403:
+ *         description: The schedule was created by, or pays, the approving admin
+ *       404:
+ *         description: Treasury schedule not found
+ *       409:
+ *         description: Schedule is not awaiting approval
+ */
+router.post('/:id/approve',
+  validate(Joi.object({ id: commonSchemas.objectId.required() }), 'params'),
+  asyncHandler(async (req, res) => {
+    const schedule = await ScheduledTransferService.approveTreasurySchedule(req.user.id, req.params.id);
+
+    res.json({
+      status: 'success',
+      message: 'Treasury scheduled transfer approved',
+      data: { schedule },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/scheduled-transfers/{id}/cancel:
+ *   post:
+ *     tags: [Admin - Scheduled Transfers]
+ *     summary: Cancel a user's scheduled transfer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer canceled and the owner notified
+ *       409:
+ *         description: Scheduled transfer already finished
+ */
+router.post('/:id/cancel',
+  validate(Joi.object({ id: commonSchemas.objectId.required() }), 'params'),
+  validate(scheduledTransferSchemas.adminCancel),
+  asyncHandler(async (req, res) => {
+    const schedule = await ScheduledTransferService.adminCancelSchedule(req.user.id, req.params.id, req.body.reason);
+
+    res.json({
+      status: 'success',
+      message: 'Scheduled transfer canceled',
+      data: { schedule },
+    });
+  })
+);
+
+module.exports = router;
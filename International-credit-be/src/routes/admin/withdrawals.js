@@ -0,0 +1,208 @@
+const express = require('express');
+const Joi = require('joi');
+const WithdrawalService = require('../../services/WithdrawalService');
+const { authenticate, treasuryOnly } = require('../../middleware/auth');
+const { validate, commonSchemas, withdrawalSchemas } = require('../../middleware/validation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { strictRateLimit } = require('../../middleware/security');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(treasuryOnly);
+
+const withdrawalIdParams = Joi.object({
+  id: commonSchemas.objectId.required(),
+});
+
+/**
+ * @swagger
+ * /admin/withdrawals:
+ *   get:
+ *     tags: [Admin - Withdrawals]
+ *     summary: List withdrawals across all users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING_APPROVAL, APPROVED, PROCESSING, COMPLETED, REJECTED, FAILED, CANCELED]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [ONCHAIN, FIAT]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Withdrawals retrieved successfully
+ */
+router.get('/',
+  validate(withdrawalSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, ...filters } = req.query;
+    const result = await WithdrawalService.listWithdrawals(filters, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/withdrawals/{id}/approve:
+ *   post:
+ *     tags: [Admin - Withdrawals]
+ *     summary: Approve a withdrawal waiting for treasury approval
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal approved and queued for payout
+ *       403:
+ *         description: Admins cannot review their own withdrawals
+ *       409:
+ *         description: Withdrawal is not waiting for approval
+ */
+router.post('/:id/approve',
+  strictRateLimit,
+  validate(withdrawalIdParams, 'params'),
+  validate(withdrawalSchemas.approve),
+  asyncHandler(async (req, res) => {
+    const withdrawal = await WithdrawalService.approveWithdrawal(req.user.id, req.params.id, req.body.note);
+
+    res.json({
+      status: 'success',
+      message: 'Withdrawal approved',
+      data: { withdrawal },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/withdrawals/{id}/reject:
+ *   post:
+ *     tags: [Admin - Withdrawals]
+ *     summary: Reject a withdrawal and release its hold
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal rejected
+ *       409:
+ *         description: Withdrawal is not waiting for approval
+ */
+router.post('/:id/reject',
+  strictRateLimit,
+  validate(withdrawalIdParams, 'params'),
+  validate(withdrawalSchemas.reject),
+  asyncHandler(async (req, res) => {
+    const withdrawal = await WithdrawalService.rejectWithdrawal(req.user.id, req.params.id, req.body.reason);
+
+    res.json({
+      status: 'success',
+      message: 'Withdrawal rejected',
+      data: { withdrawal },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/withdrawals/{id}/resolve:
+ *   post:
+ *     tags: [Admin - Withdrawals]
+ *     summary: Settle a withdrawal stuck in PROCESSING from its known payout outcome
+ *     description: |
+ *       COMPLETED captures the hold and FAILED releases it. When the payout transaction
+ *       can still be read on-chain, the outcome must match it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [outcome, note]
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [COMPLETED, FAILED]
+ *               reference:
+ *                 type: string
+ *                 description: Payout reference; defaults to the recorded one or the transaction hash
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal resolved
+ *       409:
+ *         description: Withdrawal is not processing, or the outcome contradicts the payout transaction
+ */
+router.post('/:id/resolve',
+  strictRateLimit,
+  validate(withdrawalIdParams, 'params'),
+  validate(withdrawalSchemas.resolve),
+  asyncHandler(async (req, res) => {
+    const withdrawal = await WithdrawalService.resolveWithdrawal(req.user.id, req.params.id, req.body);
+
+    res.json({
+      status: 'success',
+      message: 'Withdrawal resolved',
+      data: { withdrawal },
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const ChainEventIndexerService = require('../services/ChainEventIndexerService');
+const { validate, chainSchemas } = require('../middleware/validation');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /chain/events:
+ *   get:
+ *     tags: [Chain]
+ *     summary: List indexed contract events
+ *     description: |
+ *       Decoded IcMinted/IcBurned (ICController), Transfer (IC) and Staked/Withdrawn
+ *       (VaultAndYield) events. Amounts are raw uint256 values as decimal strings.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: address
+ *         schema:
+ *           type: string
+ *         description: Matches any address argument of the event (from, to, user...)
+ *       - in: query
+ *         name: contract
+ *         schema:
+ *           type: string
+ *           enum: [ICController, IC, VaultAndYield]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [IcMinted, IcBurned, Transfer, Staked, Withdrawn]
+ *       - in: query
+ *         name: txHash
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fromBlock
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: toBlock
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Events retrieved successfully
+ */
+router.get('/events',
+  authenticate,
+  validate(chainSchemas.events, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, sortOrder, ...filters } = req.query;
+    const result = await ChainEventIndexerService.getEvents(filters, { page, limit, sortOrder });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /chain/status:
+ *   get:
+ *     tags: [Chain]
+ *     summary: Get indexer checkpoints per contract (admin)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Indexer status retrieved successfully
+ */
+router.get('/status',
+  authenticate,
+  adminOnly,
+  asyncHandler(async (req, res) => {
+    const status = await ChainEventIndexerService.getStatus();
+
+    res.json({
+      status: 'success',
+      data: status,
+    });
+  })
+);
+
+module.exports = router;
@@ -58,7 +58,7 @@ router.post('/uc',
     }
 
     // Ensure user UC account exists
-    let userAccount = await Account.findOne({ userId: req.user.id, asset: config.assets.UC });
+    let userAccount = await Account.findOne({ userId: req.user.id, asset: config.assets.UC, accountType: 'USER' });
     if (!userAccount) {
       userAccount = new Account({ userId: req.user.id, asset: config.assets.UC, status: 'ACTIVE', accountType: 'USER' });
       await userAccount.save();
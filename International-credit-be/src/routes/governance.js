@@ -0,0 +1,547 @@
+const express = require('express');
+const Joi = require('joi');
+const GovernanceService = require('../services/GovernanceService');
+const ProposalExecutionService = require('../services/ProposalExecutionService');
+const GovernanceIndexerService = require('../services/GovernanceIndexerService');
+const config = require('../config');
+const { validate, proposalSchemas, commonSchemas } = require('../middleware/validation');
+const { authenticate, adminOnly, requireKyc } = require('../middleware/auth');
+const { strictRateLimit } = require('../middleware/security');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const proposalIdParams = Joi.object({
+  id: commonSchemas.objectId.required(),
+});
+
+const txHashParams = Joi.object({
+  txHash: commonSchemas.txHash.required(),
+});
+
+/**
+ * @swagger
+ * /governance/proposals:
+ *   post:
+ *     tags: [Governance]
+ *     summary: Create a governance proposal
+ *     description: |
+ *       Creates a proposal in DRAFT. It opens for voting at `startAt` (or immediately)
+ *       and closes after the configured voting period. Limited by `limits.maxProposalsPerUser`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, title, description, payload]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [FEE_CHANGE, RATIO_CHANGE, FAUCET_CAP_CHANGE, PAUSE_SYSTEM]
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               payload:
+ *                 type: object
+ *               votingPeriodDays:
+ *                 type: number
+ *                 description: Capped at limits.votingPeriodDays
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Proposal created
+ *       409:
+ *         description: Open proposal limit reached
+ */
+router.post('/proposals',
+  authenticate,
+  requireKyc,
+  strictRateLimit,
+  validate(proposalSchemas.create),
+  asyncHandler(async (req, res) => {
+    const proposal = await GovernanceService.createProposal(req.user.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      correlationId: req.requestId,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Proposal created successfully',
+      data: { proposal },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/proposals/preview:
+ *   post:
+ *     tags: [Governance]
+ *     summary: Dry-run a proposal payload
+ *     description: Validates the payload and returns the config diff it would apply, without creating anything.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, payload]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [FEE_CHANGE, RATIO_CHANGE, FAUCET_CAP_CHANGE, PAUSE_SYSTEM]
+ *               payload:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Preview generated
+ *       400:
+ *         description: Payload invalid for the proposal type
+ */
+router.post('/proposals/preview',
+  authenticate,
+  validate(Joi.object({
+    type: Joi.string().valid(...Object.values(config.proposalTypes)).required(),
+    payload: Joi.object().required(),
+  })),
+  asyncHandler(async (req, res) => {
+    const preview = await ProposalExecutionService.preview(req.body.type, req.body.payload);
+
+    res.json({
+      status: 'success',
+      data: { preview },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/proposals:
+ *   get:
+ *     tags: [Governance]
+ *     summary: List governance proposals
+ *     description: |
+ *       Lists platform proposals by default. With `source=chain` it lists GovernanceController
+ *       proposals indexed from contract events, including a `blockchain` sync summary.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [platform, chain]
+ *           default: platform
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Platform: DRAFT, ACTIVE, PASSED, REJECTED, EXECUTED, EXPIRED, CANCELLED.
+ *           Chain: ACTIVE, APPROVED, REJECTED, TIED, EXPIRED.
+ *       - in: query
+ *         name: proposer
+ *         schema:
+ *           type: string
+ *         description: Proposer address (chain only)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Proposals retrieved successfully
+ */
+router.get('/proposals',
+  authenticate,
+  validate(proposalSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const { source, page, limit, sortBy, sortOrder, ...filters } = req.query;
+    const service = source === 'chain' ? GovernanceIndexerService : GovernanceService;
+    const result = await service.getProposals(req.user.id, filters, {
+      page,
+      limit,
+      sortBy,
+      sortOrder,
+    });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/transaction/{txHash}:
+ *   get:
+ *     tags: [Governance]
+ *     summary: Get an on-chain proposal by its creation transaction
+ *     description: Indexes the transaction on demand if the indexer has not reached it yet.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: txHash
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proposal retrieved successfully
+ *       404:
+ *         description: Transaction not found or did not create a proposal
+ */
+router.get('/transaction/:txHash',
+  authenticate,
+  validate(txHashParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const proposal = await GovernanceIndexerService.getProposalByTxHash(req.params.txHash);
+
+    res.json({
+      status: 'success',
+      data: proposal,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/record-transaction:
+ *   post:
+ *     tags: [Governance]
+ *     summary: Record a GovernanceController transaction
+ *     description: |
+ *       Fetches the receipt from the chain and indexes its governance events without waiting
+ *       for the indexer. For ProposalCreated the caller becomes the proposal's creator and
+ *       `title` is stored. Other receipt fields in the body are ignored.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               txHash:
+ *                 type: string
+ *               transactionHash:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transaction recorded
+ *       404:
+ *         description: Transaction not found on chain
+ */
+router.post('/record-transaction',
+  authenticate,
+  strictRateLimit,
+  validate(proposalSchemas.recordTransaction),
+  asyncHandler(async (req, res) => {
+    const result = await GovernanceIndexerService.recordTransaction(req.user.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      correlationId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: result.proposalId !== null
+        ? 'Proposal transaction recorded successfully'
+        : 'Transaction contained no proposal to record',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/stats:
+ *   get:
+ *     tags: [Governance]
+ *     summary: Get governance statistics
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get('/stats',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const stats = await GovernanceService.getStats();
+
+    res.json({
+      status: 'success',
+      data: stats,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/votes:
+ *   get:
+ *     tags: [Governance]
+ *     summary: Get the current user's voting history
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Votes retrieved successfully
+ */
+router.get('/votes',
+  authenticate,
+  validate(Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }), 'query'),
+  asyncHandler(async (req, res) => {
+    const result = await GovernanceService.getUserVotes(req.user.id, req.query);
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/proposals/{id}:
+ *   get:
+ *     tags: [Governance]
+ *     summary: Get a proposal with the current user's vote
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proposal retrieved successfully
+ *       404:
+ *         description: Proposal not found
+ */
+router.get('/proposals/:id',
+  authenticate,
+  validate(proposalIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const result = await GovernanceService.getProposal(req.params.id, req.user.id);
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/proposals/{id}/preview:
+ *   get:
+ *     tags: [Governance]
+ *     summary: Preview the config diff of an existing proposal
+ *     description: Computed against the current config, so it reflects changes made since the proposal was created.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Preview generated
+ */
+router.get('/proposals/:id/preview',
+  authenticate,
+  validate(proposalIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const preview = await GovernanceService.previewProposal(req.params.id);
+
+    res.json({
+      status: 'success',
+      data: { preview },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/proposals/{id}/vote:
+ *   post:
+ *     tags: [Governance]
+ *     summary: Vote on an active proposal
+ *     description: Votes are weighted by the voter's available UC balance when the proposal opened for voting.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               choice:
+ *                 type: string
+ *                 enum: [FOR, AGAINST, ABSTAIN]
+ *               support:
+ *                 type: boolean
+ *                 description: Shorthand for FOR/AGAINST; use instead of choice
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Vote recorded
+ *       409:
+ *         description: Already voted
+ */
+router.post('/proposals/:id/vote',
+  authenticate,
+  requireKyc,
+  strictRateLimit,
+  validate(proposalIdParams, 'params'),
+  validate(proposalSchemas.vote),
+  asyncHandler(async (req, res) => {
+    const result = await GovernanceService.castVote(req.user.id, req.params.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      correlationId: req.requestId,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Vote recorded successfully',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/proposals/{id}/execute:
+ *   post:
+ *     tags: [Governance]
+ *     summary: Execute a passed proposal (admin)
+ *     description: |
+ *       Applies the proposal payload to the system config. Only allowed after
+ *       limits.executionDelayHours have elapsed since voting closed. Failed executions
+ *       stay PASSED with the error in executionResult and can be retried.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proposal executed
+ */
+router.post('/proposals/:id/execute',
+  authenticate,
+  adminOnly,
+  validate(proposalIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const proposal = await GovernanceService.executeProposal(req.user.id, req.params.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      correlationId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: proposal.executionResult.success
+        ? 'Proposal executed successfully'
+        : `Proposal execution failed: ${proposal.executionResult.error}`,
+      data: { proposal },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /governance/proposals/{id}/cancel:
+ *   post:
+ *     tags: [Governance]
+ *     summary: Cancel a draft or active proposal
+ *     description: Proposers can withdraw until the first vote; admins can cancel any open proposal.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Proposal cancelled
+ */
+router.post('/proposals/:id/cancel',
+  authenticate,
+  validate(proposalIdParams, 'params'),
+  validate(Joi.object({ reason: Joi.string().max(500).optional() })),
+  asyncHandler(async (req, res) => {
+    const proposal = await GovernanceService.cancelProposal(req.user.id, req.params.id, req.body.reason, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      correlationId: req.requestId,
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Proposal cancelled successfully',
+      data: { proposal },
+    });
+  })
+);
+
+module.exports = router;
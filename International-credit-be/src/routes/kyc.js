@@ -1,6 +1,7 @@
 const express = require('express');
 const Joi = require('joi');
 const KycService = require('../services/KycService');
+const { KycApplication } = require('../models');
 const { validate, kycSchemas, commonSchemas } = require('../middleware/validation');
 const { authenticate, adminOnly, requireEmailVerification } = require('../middleware/auth');
 const { strictRateLimit } = require('../middleware/security');
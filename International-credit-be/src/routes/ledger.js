@@ -1,6 +1,8 @@
 const express = require('express');
 const Joi = require('joi');
 const LedgerService = require('../services/LedgerService');
+const TransferService = require('../services/TransferService');
+const ReversalService = require('../services/ReversalService');
 const { validate, ledgerSchemas, commonSchemas } = require('../middleware/validation');
 const { authenticate, adminOnly, requireKyc } = require('../middleware/auth');
 const { strictRateLimit } = require('../middleware/security');
@@ -100,13 +102,90 @@ router.get('/balances',
   })
 );
 
+/**
+ * @swagger
+ * /ledger/holds:
+ *   get:
+ *     tags: [Ledger]
+ *     summary: List holds on the user's accounts
+ *     description: Holds reserve part of a balance for an in-flight transfer, swap or withdrawal and are excluded from the available balance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, CAPTURED, RELEASED, EXPIRED]
+ *       - in: query
+ *         name: asset
+ *         schema:
+ *           type: string
+ *           enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
+ *     responses:
+ *       200:
+ *         description: Holds retrieved successfully
+ */
+router.get('/holds',
+  authenticate,
+  validate(Joi.object({
+    status: Joi.string().uppercase().valid('ACTIVE', 'CAPTURED', 'RELEASED', 'EXPIRED').optional(),
+    asset: commonSchemas.asset.optional(),
+  }), 'query'),
+  asyncHandler(async (req, res) => {
+    const holds = await LedgerService.getHolds(req.user.id, req.query);
+
+    res.json({
+      status: 'success',
+      data: { holds },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /ledger/recipients/resolve:
+ *   get:
+ *     tags: [Ledger]
+ *     summary: Look up a transfer recipient
+ *     description: |
+ *       Resolves an email address, @handle or whitelisted wallet address to a platform
+ *       user so the sender can confirm who they are paying. Only the handle and a
+ *       shortened name are returned.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: recipient
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "@alice"
+ *     responses:
+ *       200:
+ *         description: Recipient found
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/recipients/resolve',
+  authenticate,
+  validate(ledgerSchemas.resolveRecipient, 'query'),
+  asyncHandler(async (req, res) => {
+    const resolved = await TransferService.resolveRecipient(req.user.id, req.query.recipient);
+    res.json({ status: 'success', data: { recipient: TransferService.describeRecipient(resolved) } });
+  })
+);
+
 /**
  * @swagger
  * /ledger/transfer:
  *   post:
  *     tags: [Ledger]
- *     summary: Transfer assets to another wallet
- *     description: Transfer assets from user's account to another wallet address
+ *     summary: Transfer assets to another user
+ *     description: |
+ *       Internal transfer to another platform user identified by email, @handle or
+ *       whitelisted wallet address. Both sender and recipient must be KYC approved and
+ *       outside SANCTIONED_COUNTRIES. `toAddress` is still accepted in place of `recipient`.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -116,19 +195,23 @@ router.get('/balances',
  *           schema:
  *             type: object
  *             required:
- *               - toAddress
+ *               - recipient
  *               - amount
  *               - asset
+ *               - idempotencyKey
  *             properties:
+ *               recipient:
+ *                 type: string
+ *                 description: Recipient email, @handle or wallet address
+ *                 example: "@alice"
  *               toAddress:
  *                 type: string
- *                 description: Recipient wallet address
- *                 example: "0.0.654321"
+ *                 deprecated: true
+ *                 description: Recipient wallet address; use `recipient`
  *               amount:
- *                 type: number
- *                 minimum: 0.00000001
- *                 description: Amount to transfer
- *                 example: 50.25
+ *                 type: string
+ *                 description: Amount to transfer, as a decimal string within the asset's scale
+ *                 example: "50.25"
  *               asset:
  *                 type: string
  *                 enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
@@ -139,6 +222,9 @@ router.get('/balances',
  *                 maxLength: 200
  *                 description: Optional transfer description
  *                 example: "Payment for services"
+ *               idempotencyKey:
+ *                 type: string
+ *                 format: uuid
  *     responses:
  *       201:
  *         description: Transfer completed successfully
@@ -159,9 +245,21 @@ router.get('/balances',
  *                     journalId:
  *                       type: string
  *                       example: "507f1f77bcf86cd799439011"
- *                     transaction:
+ *                     amount:
+ *                       type: string
+ *                     netAmount:
+ *                       type: string
+ *                     feeAmount:
+ *                       type: string
+ *                     recipient:
  *                       type: object
- *                       description: Transaction details
+ *                       description: Handle and shortened name of the recipient
+ *       403:
+ *         description: Sender or recipient failed KYC or sanctions screening
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       503:
+ *         description: Transfers are paused
  */
 router.post('/transfer',
   authenticate,
@@ -169,21 +267,12 @@ router.post('/transfer',
   strictRateLimit,
   validate(ledgerSchemas.transfer),
   asyncHandler(async (req, res) => {
-    const { toAddress, amount, asset, description, idempotencyKey } = req.body;
-    const metadata = {
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent'),
-      correlationId: req.requestId,
-    };
+    const { recipient, toAddress, ...transfer } = req.body;
     
-    const result = await LedgerService.transfer(
+    const result = await TransferService.transfer(
       req.user.id,
-      toAddress,
-      amount,
-      asset,
-      description,
-      idempotencyKey,
-      metadata
+      { recipient: recipient || toAddress, ...transfer },
+      { correlationId: req.requestId }
     );
     
     res.status(201).json({
@@ -404,30 +493,24 @@ router.get('/admin/invariants',
 router.post('/admin/reverse/:journalId',
   authenticate,
   adminOnly,
-  validate(Joi.object({
-    reason: Joi.string().required().min(10).max(500),
-  })),
+  validate(ledgerSchemas.reverse),
   validate(Joi.object({
     journalId: commonSchemas.objectId.required(),
   }), 'params'),
   asyncHandler(async (req, res) => {
     const { journalId } = req.params;
-    const { reason } = req.body;
     const metadata = {
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
     };
     
-    const result = await LedgerService.reverseTransaction(
-      req.user.id,
-      journalId,
-      reason,
-      metadata
-    );
+    const result = await ReversalService.requestReversal(req.user.id, journalId, req.body, metadata);
     
-    res.json({
+    res.status(result.status === 'PENDING_APPROVAL' ? 202 : 200).json({
       status: 'success',
-      message: 'Transaction reversed successfully',
+      message: result.status === 'PENDING_APPROVAL'
+        ? 'Reversal is above the approval threshold and awaits a second admin'
+        : 'Transaction reversed successfully',
       data: result,
     });
   })
@@ -1,17 +1,18 @@
 const express = require('express');
-const Joi = require('joi');
 const { authenticate, adminOnly } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { validate } = require('../middleware/validation');
+const { validate, msigSchemas } = require('../middleware/validation');
+const MsigService = require('../services/MsigService');
 
 const router = express.Router();
 
 /**
  * @swagger
- * /admin/msig/actions:
+ * /msig/actions:
  *   post:
  *     tags: [System]
  *     summary: Create multi-sig action
+ *     description: Alias of POST /admin/msig/actions.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -24,8 +25,11 @@ const router = express.Router();
  *             properties:
  *               type:
  *                 type: string
+ *                 enum: [CONFIG_UPDATE, LEDGER_REVERSAL, WALLET_STATUS_UPDATE]
  *               payload:
  *                 type: object
+ *               description:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Action created
@@ -33,21 +37,34 @@ const router = express.Router();
 router.post('/actions',
   authenticate,
   adminOnly,
-  validate(Joi.object({ type: Joi.string().required(), payload: Joi.object().required() })),
+  validate(msigSchemas.createAction),
   asyncHandler(async (req, res) => {
-    // Placeholder: store in msig_actions when model/service exists
-    res.status(201).json({ status: 'success', message: 'Action queued (stub)', data: { id: 'stub' } });
+    const action = await MsigService.createAction(req.user.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: action.status === 'PENDING' ? 'Action queued for approval' : `Action ${action.status.toLowerCase()}`,
+      data: { action },
+    });
   })
 );
 
 /**
  * @swagger
- * /admin/msig/actions:
+ * /msig/actions:
  *   get:
  *     tags: [System]
  *     summary: List multi-sig actions
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Actions listed
@@ -55,37 +72,67 @@ router.post('/actions',
 router.get('/actions',
   authenticate,
   adminOnly,
+  validate(msigSchemas.list, 'query'),
   asyncHandler(async (req, res) => {
-    res.json({ status: 'success', data: { actions: [] } });
+    const { page, limit, ...filters } = req.query;
+    const result = await MsigService.getActions(filters, { page, limit });
+
+    res.json({ status: 'success', data: result });
   })
 );
 
 /**
  * @swagger
- * /admin/msig/actions/{id}/approve:
+ * /msig/actions/{id}/approve:
  *   post:
  *     tags: [System]
  *     summary: Approve multi-sig action
  *     security:
  *       - bearerAuth: []
  */
-router.post('/actions/:id/approve', authenticate, adminOnly, asyncHandler(async (req, res) => {
-  res.json({ status: 'success', message: 'Approved (stub)' });
-}));
+router.post('/actions/:id/approve',
+  authenticate,
+  adminOnly,
+  validate(msigSchemas.sign),
+  asyncHandler(async (req, res) => {
+    const action = await MsigService.approveAction(req.user.id, req.params.id, req.body.reason, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    res.json({
+      status: 'success',
+      message: action.status === 'PENDING' ? 'Approval recorded' : `Action ${action.status.toLowerCase()}`,
+      data: { action },
+    });
+  })
+);
 
 /**
  * @swagger
- * /admin/msig/actions/{id}/reject:
+ * /msig/actions/{id}/reject:
  *   post:
  *     tags: [System]
  *     summary: Reject multi-sig action
  *     security:
  *       - bearerAuth: []
  */
-router.post('/actions/:id/reject', authenticate, adminOnly, asyncHandler(async (req, res) => {
-  res.json({ status: 'success', message: 'Rejected (stub)' });
-}));
-
-module.exports = router;
+router.post('/actions/:id/reject',
+  authenticate,
+  adminOnly,
+  validate(msigSchemas.sign),
+  asyncHandler(async (req, res) => {
+    const action = await MsigService.rejectAction(req.user.id, req.params.id, req.body.reason, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
 
+    res.json({
+      status: 'success',
+      message: action.status === 'REJECTED' ? 'Action rejected' : 'Rejection recorded',
+      data: { action },
+    });
+  })
+);
 
+module.exports = router;
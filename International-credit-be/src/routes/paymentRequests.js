@@ -0,0 +1,196 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticate, requireKyc } = require('../middleware/auth');
+const { strictRateLimit } = require('../middleware/security');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate, commonSchemas, paymentRequestSchemas } = require('../middleware/validation');
+const PaymentRequestService = require('../services/PaymentRequestService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /payment-requests:
+ *   post:
+ *     tags: [Ledger]
+ *     summary: Request a payment
+ *     description: |
+ *       Creates a payment request another platform user can pay once through its link or
+ *       QR code. Requests stay open for PAYMENT_REQUEST_TTL_HOURS.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: string
+ *                 example: "20"
+ *               asset:
+ *                 type: string
+ *                 enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
+ *                 default: UC
+ *               note:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: "Dinner on Friday"
+ *     responses:
+ *       201:
+ *         description: Request created; `url` and `qrCode` (PNG data URL) can be shared with the payer
+ *       403:
+ *         description: Requester failed KYC or sanctions screening
+ */
+router.post('/',
+  authenticate,
+  requireKyc,
+  validate(paymentRequestSchemas.create),
+  asyncHandler(async (req, res) => {
+    const request = await PaymentRequestService.createRequest(req.user.id, req.body);
+    res.status(201).json({ status: 'success', data: { request } });
+  })
+);
+
+/**
+ * @swagger
+ * /payment-requests:
+ *   get:
+ *     tags: [Ledger]
+ *     summary: List my payment requests
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, PAYING, PAID, CANCELED, EXPIRED]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Payment requests, newest first
+ */
+router.get('/',
+  authenticate,
+  validate(paymentRequestSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const requests = await PaymentRequestService.getRequests(req.user.id, req.query);
+    res.json({ status: 'success', data: { requests } });
+  })
+);
+
+/**
+ * @swagger
+ * /payment-requests/{code}:
+ *   get:
+ *     tags: [Ledger]
+ *     summary: Get a payment request by its code
+ *     description: What the payer sees before confirming; the requester is shown by handle and shortened name.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment request
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:code',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const request = await PaymentRequestService.getByCode(req.params.code);
+    res.json({ status: 'success', data: { request } });
+  })
+);
+
+/**
+ * @swagger
+ * /payment-requests/{code}/pay:
+ *   post:
+ *     tags: [Ledger]
+ *     summary: Pay a payment request
+ *     description: |
+ *       Transfers the requested amount to the requester. Both sides are screened as for
+ *       any internal transfer, and a request can only be paid once.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [idempotencyKey]
+ *             properties:
+ *               idempotencyKey:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Request paid
+ *       403:
+ *         description: Payer or requester failed KYC or sanctions screening
+ *       409:
+ *         description: Request already paid, canceled or expired
+ */
+router.post('/:code/pay',
+  authenticate,
+  requireKyc,
+  strictRateLimit,
+  validate(paymentRequestSchemas.pay),
+  asyncHandler(async (req, res) => {
+    const result = await PaymentRequestService.payRequest(req.user.id, req.params.code, req.body, {
+      correlationId: req.requestId,
+    });
+    res.status(201).json({ status: 'success', message: 'Payment request paid', data: result });
+  })
+);
+
+/**
+ * @swagger
+ * /payment-requests/{id}/cancel:
+ *   post:
+ *     tags: [Ledger]
+ *     summary: Cancel an open payment request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request canceled
+ *       409:
+ *         description: Request is no longer open
+ */
+router.post('/:id/cancel',
+  authenticate,
+  validate(Joi.object({ id: commonSchemas.objectId.required() }), 'params'),
+  asyncHandler(async (req, res) => {
+    const request = await PaymentRequestService.cancelRequest(req.user.id, req.params.id);
+    res.json({ status: 'success', data: { request } });
+  })
+);
+
+module.exports = router;
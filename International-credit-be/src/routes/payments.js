@@ -1,10 +1,13 @@
 const express = require('express');
 const Joi = require('joi');
 const PaymentService = require('../services/PaymentService');
-const { validate, paymentSchemas, commonSchemas } = require('../middleware/validation');
+const BankTransferService = require('../services/BankTransferService');
+const PaymentReconciliationService = require('../services/PaymentReconciliationService');
+const { validate, paymentSchemas, bankTransferSchemas, commonSchemas } = require('../middleware/validation');
 const { authenticate, adminOnly, requireKyc, requireEmailVerification } = require('../middleware/auth');
 const { strictRateLimit } = require('../middleware/security');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { NotFoundError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -14,7 +17,11 @@ const router = express.Router();
  *   post:
  *     tags: [Payments]
  *     summary: Get payment quote
- *     description: Generate a quote for converting fiat currency to UC tokens
+ *     description: |
+ *       Prices a UC purchase and stores the quote for DEPOSIT_QUOTE_TTL_MS (15 minutes by
+ *       default). The amount converts at the currency's rate from the system FX table;
+ *       the deposit fee schedule (`depositFeeBps` plus `depositFixedFeeUsd`) is charged
+ *       on top, so the card is charged `totalAmount`.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -59,25 +66,38 @@ const router = express.Router();
  *                   properties:
  *                     quoteId:
  *                       type: string
- *                       example: quote_1234567890abcdef
+ *                       example: 507f1f77bcf86cd799439011
  *                     fiatAmount:
- *                       type: number
- *                       example: 100.00
+ *                       type: string
+ *                       example: "100.00"
+ *                     fiatCurrency:
+ *                       type: string
+ *                       example: EUR
+ *                     asset:
+ *                       type: string
+ *                       example: UC
  *                     ucAmount:
- *                       type: number
- *                       example: 100.00
+ *                       type: string
+ *                       example: "108.00000000"
  *                     exchangeRate:
- *                       type: number
- *                       example: 1.0
+ *                       type: string
+ *                       description: UC per unit of fiatCurrency
+ *                       example: "1.08"
  *                     fees:
  *                       type: object
  *                       properties:
  *                         processing:
- *                           type: number
- *                           example: 2.9
+ *                           type: string
+ *                           example: "2.90"
+ *                         fixed:
+ *                           type: string
+ *                           example: "0.00"
  *                         total:
- *                           type: number
- *                           example: 2.9
+ *                           type: string
+ *                           example: "2.90"
+ *                     totalAmount:
+ *                       type: string
+ *                       example: "102.90"
  *                     expiresAt:
  *                       type: string
  *                       format: date-time
@@ -86,46 +106,20 @@ const router = express.Router();
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Deposits are paused or no exchange rate is available
  */
 router.post('/quote',
   authenticate,
   requireEmailVerification,
   strictRateLimit,
-  validate(Joi.object({
-    fiatAmount: Joi.number().min(1).max(10000).required(),
-    fiatCurrency: Joi.string().valid('USD', 'EUR', 'GBP').default('USD'),
-    asset: Joi.string().valid('UC').default('UC')
-  })),
+  validate(paymentSchemas.quote),
   asyncHandler(async (req, res) => {
-    const { fiatAmount, fiatCurrency, asset } = req.body;
-
-    // Simple 1:1 exchange rate for MVP
-    const exchangeRate = 1.0;
-    const ucAmount = fiatAmount * exchangeRate;
-
-    // Calculate fees (2.9% processing fee)
-    const processingFee = fiatAmount * 0.029;
-    const totalFees = processingFee;
-
-    // Generate quote ID
-    const quoteId = `quote_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    // Quote expires in 15 minutes
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
+    const quote = await PaymentService.createQuote(req.user.id, req.body);
 
     res.json({
       status: 'success',
-      data: {
-        quoteId,
-        fiatAmount,
-        ucAmount,
-        exchangeRate,
-        fees: {
-          processing: processingFee,
-          total: totalFees
-        },
-        expiresAt: expiresAt.toISOString()
-      }
+      data: quote
     });
   })
 );
@@ -136,7 +130,11 @@ router.post('/quote',
  *   post:
  *     tags: [Payments]
  *     summary: Create payment intent (supports both quote-based and direct)
- *     description: Creates a new Stripe payment intent for purchasing UC tokens. Can use a quote or direct parameters.
+ *     description: |
+ *       Creates a new Stripe payment intent for purchasing UC tokens, charging the quote's
+ *       `totalAmount`. A quote can be used once and only before it expires; `amount` and
+ *       `currency` sent with it must match it. A direct payment is priced by a quote
+ *       created on the spot, so every payment records the quote behind its rate and fees.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -147,11 +145,11 @@ router.post('/quote',
  *             oneOf:
  *               - type: object
  *                 title: Quote-based payment
- *                 required: [quoteId, paymentMethod]
+ *                 required: [quoteId]
  *                 properties:
  *                   quoteId:
  *                     type: string
- *                     example: quote_1234567890abcdef
+ *                     example: 507f1f77bcf86cd799439011
  *                     description: Quote ID from /payments/quote endpoint
  *                   paymentMethod:
  *                     type: string
@@ -201,18 +199,31 @@ router.post('/quote',
  *                     stripePaymentIntentId:
  *                       type: string
  *                       example: pi_1234567890abcdef
- *                     ucAmount:
+ *                     quoteId:
+ *                       type: string
+ *                       example: 507f1f77bcf86cd799439011
+ *                     fiatAmount:
  *                       type: number
- *                       example: 100.00
+ *                       example: 102.90
+ *                     fiatCurrency:
+ *                       type: string
+ *                       example: EUR
+ *                     ucAmount:
+ *                       type: string
+ *                       example: "108.00000000"
  *                     exchangeRate:
  *                       type: number
- *                       example: 1.0
+ *                       example: 1.08
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Quote not found
+ *       409:
+ *         description: Quote has expired or has already been used
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -223,14 +234,7 @@ router.post('/intent',
   strictRateLimit,
   validate(paymentSchemas.createIntent),
   asyncHandler(async (req, res) => {
-    const { amount, currency, paymentMethodId } = req.body;
-    
-    const result = await PaymentService.createPaymentIntent(
-      req.user.id,
-      amount,
-      currency,
-      paymentMethodId
-    );
+    const result = await PaymentService.createPaymentIntent(req.user.id, req.body);
     
     res.status(201).json({
       status: 'success',
@@ -239,6 +243,9 @@ router.post('/intent',
         clientSecret: result.clientSecret,
         paymentId: result.payment._id,
         stripePaymentIntentId: result.stripePaymentIntentId,
+        quoteId: result.payment.quoteId,
+        fiatAmount: result.payment.fiatAmount,
+        fiatCurrency: result.payment.fiatCurrency,
         ucAmount: result.payment.ucAmount,
         exchangeRate: result.payment.exchangeRate,
       },
@@ -248,11 +255,17 @@ router.post('/intent',
 
 /**
  * @swagger
- * /payments/mock/intent:
+ * /payments/fake/events:
  *   post:
  *     tags: [Payments]
- *     summary: Create mock payment intent
- *     description: Development-only mock payment. Creates a local payment record without Stripe.
+ *     summary: Script a webhook on the fake payment provider
+ *     description: |
+ *       Only when PAYMENT_PROVIDER=fake. Moves one of your fake payment intents on and
+ *       delivers the webhook Stripe would send, signed with STRIPE_WEBHOOK_SECRET, through
+ *       the real webhook handler. `deliveries` sends the same event more than once, as
+ *       Stripe's retries do. `amount` is in the payment's currency, for `dispute.created`
+ *       and `refunded` (defaulting to the whole charge or what is left of it); `status`
+ *       closes a dispute as won, lost or warning_closed.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -261,78 +274,63 @@ router.post('/intent',
  *         application/json:
  *           schema:
  *             type: object
- *             required: [amount]
+ *             required: [paymentIntentId, event]
  *             properties:
+ *               paymentIntentId:
+ *                 type: string
+ *               event:
+ *                 type: string
+ *                 enum: [succeeded, failed, canceled, dispute.created, dispute.funds_withdrawn, dispute.closed, refunded]
  *               amount:
  *                 type: number
- *               currency:
+ *               status:
  *                 type: string
- *                 default: USD
- *     responses:
- *       201:
- *         description: Mock intent created
- */
-router.post('/mock/intent',
-  authenticate,
-  validate(Joi.object({ amount: Joi.number().min(1).required(), currency: Joi.string().default('USD') })),
-  asyncHandler(async (req, res) => {
-    const { Payment } = require('../models');
-    const { amount, currency } = req.body;
-    const ucAmount = amount; // 1:1
-    const payment = new Payment({
-      userId: req.user.id,
-      stripePaymentIntentId: `mock_${Date.now()}`,
-      fiatAmount: amount,
-      fiatCurrency: currency,
-      ucAmount,
-      exchangeRate: 1,
-      status: 'PENDING',
-      events: [{ type: 'mock_intent.created', status: 'pending' }],
-    });
-    await payment.save();
-    res.status(201).json({ status: 'success', data: { paymentId: payment._id, ucAmount } });
-  })
-);
-
-/**
- * @swagger
- * /payments/mock/confirm:
- *   post:
- *     tags: [Payments]
- *     summary: Confirm mock payment (credits UC)
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [paymentId]
- *             properties:
- *               paymentId:
+ *                 enum: [won, lost, warning_closed]
+ *               reason:
+ *                 type: string
+ *               message:
  *                 type: string
+ *               deliveries:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 default: 1
  *     responses:
  *       200:
- *         description: Payment confirmed and UC credited
+ *         description: Event delivered; `results` holds the handler's result per delivery
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
  */
-router.post('/mock/confirm',
+router.post('/fake/events',
   authenticate,
-  validate(Joi.object({ paymentId: commonSchemas.objectId.required() })),
+  validate(paymentSchemas.fakeEvent),
   asyncHandler(async (req, res) => {
+    const provider = PaymentService.getProvider();
+    if (provider.name !== 'fake') {
+      throw new NotFoundError('The fake payment provider is not enabled');
+    }
+
     const { Payment } = require('../models');
-    const payment = await Payment.findOne({ _id: req.body.paymentId, userId: req.user.id });
+    const { paymentIntentId, event, deliveries, ...options } = req.body;
+    const payment = await Payment.exists({ stripePaymentIntentId: paymentIntentId, userId: req.user.id });
     if (!payment) {
-      return res.status(404).json({ status: 'error', message: 'Payment not found' });
+      throw new NotFoundError('Payment not found');
     }
-    if (payment.status === 'SUCCEEDED') {
-      return res.json({ status: 'success', message: 'Already confirmed', data: { paymentId: payment._id } });
+
+    const scripted = provider.script(paymentIntentId, event, options);
+    const results = [];
+    for (let i = 0; i < deliveries; i += 1) {
+      results.push(await PaymentService.processWebhook(Buffer.from(scripted.payload), scripted.signature));
     }
-    payment.status = 'SUCCEEDED';
-    payment.events.push({ type: 'mock_intent.succeeded', status: 'succeeded' });
-    await payment.save();
-    await require('../services/PaymentService').creditUserAccount(payment);
-    res.json({ status: 'success', message: 'Payment confirmed', data: { paymentId: payment._id, ucAmount: payment.ucAmount } });
+
+    res.json({
+      status: 'success',
+      data: {
+        eventId: scripted.event.id,
+        type: scripted.event.type,
+        results,
+      },
+    });
   })
 );
 
@@ -426,6 +424,107 @@ router.get('/history',
   })
 );
 
+/**
+ * @swagger
+ * /payments/bank-transfer:
+ *   get:
+ *     tags: [Payments]
+ *     summary: Get bank transfer deposit instructions
+ *     description: |
+ *       Returns the user's deposit reference and the accounts to pay into. Transfers
+ *       quoting the reference are credited in UC at the deposit rate for their currency
+ *       once the bank statement they appear on is imported. The reference is created on
+ *       first request and never changes.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deposit instructions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reference:
+ *                       type: string
+ *                       example: "UC7K3M9Q2XH"
+ *                     rails:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rail:
+ *                             type: string
+ *                             enum: [SEPA, ACH]
+ *                           currency:
+ *                             type: string
+ *                           beneficiary:
+ *                             type: string
+ *                           bankName:
+ *                             type: string
+ *                           iban:
+ *                             type: string
+ *                           bic:
+ *                             type: string
+ *                           accountNumber:
+ *                             type: string
+ *                           routingNumber:
+ *                             type: string
+ */
+router.get('/bank-transfer',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const instructions = await BankTransferService.getDepositInstructions(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: instructions,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /payments/bank-transfer/deposits:
+ *   get:
+ *     tags: [Payments]
+ *     summary: Get credited bank transfer deposits
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Bank transfer deposits retrieved successfully
+ */
+router.get('/bank-transfer/deposits',
+  authenticate,
+  validate(bankTransferSchemas.pagination, 'query'),
+  asyncHandler(async (req, res) => {
+    const result = await BankTransferService.getUserTransfers(req.user.id, req.query);
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
 /**
  * @swagger
  * /payments/{paymentId}:
@@ -481,6 +580,7 @@ router.get('/:paymentId',
 );
 
 // Admin routes
+// Kept for existing clients; runs and saves a report like POST /admin/reconciliation/payments/run
 router.get('/admin/reconcile',
   authenticate,
   adminOnly,
@@ -489,12 +589,12 @@ router.get('/admin/reconcile',
   }), 'query'),
   asyncHandler(async (req, res) => {
     const { date } = req.query;
-    
-    const reconciliation = await PaymentService.reconcilePayments(req.user.id, new Date(date));
-    
+
+    const report = await PaymentReconciliationService.run({ date, adminId: req.user.id });
+
     res.json({
       status: 'success',
-      data: reconciliation,
+      data: { report },
     });
   })
 );
@@ -567,10 +667,11 @@ router.get('/admin/stats',
           $gte: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
         };
         break;
-      case 'week':
+      case 'week': {
         const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
         matchStage.createdAt = { $gte: weekAgo };
         break;
+      }
       case 'month':
         matchStage.createdAt = {
           $gte: new Date(now.getFullYear(), now.getMonth(), 1),
@@ -1,6 +1,9 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const PricingService = require('../services/PricingService');
+const TimeSeriesService = require('../services/TimeSeriesService');
+const SwapService = require('../services/SwapService');
+const { validate, pricingSchemas } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -9,53 +12,106 @@ const router = express.Router();
  * /pricing/tickers:
  *   get:
  *     tags: [System]
- *     summary: Get mock price tickers
- *     description: Returns mock BTC and Gold prices from two sources and median.
+ *     summary: Get price tickers
+ *     description: |
+ *       Latest BTC and XAU tick from each configured price source and the aggregated
+ *       median, which excludes stale ticks and outliers. `stale` is set on the median
+ *       when no fresh aggregate has been produced within the staleness limit.
  *     responses:
  *       200:
  *         description: Prices retrieved
  */
 router.get('/tickers',
   asyncHandler(async (req, res) => {
-    const sourceA = { BTC: 65000, XAU: 2400 };
-    const sourceB = { BTC: 65250, XAU: 2390 };
-    const median = {
-      BTC: (sourceA.BTC + sourceB.BTC) / 2,
-      XAU: (sourceA.XAU + sourceB.XAU) / 2,
-    };
-    res.json({ status: 'success', data: { sourceA, sourceB, median, ts: new Date().toISOString() } });
+    const tickers = await PricingService.getTickers();
+    res.json({ status: 'success', data: { ...tickers, ts: new Date().toISOString() } });
   })
 );
 
 /**
  * @swagger
- * /pricing/fx/quote:
+ * /pricing/history:
  *   get:
  *     tags: [System]
- *     summary: Get UC->stable swap quote
+ *     summary: Get bucketed price history
+ *     description: |
+ *       OHLC and average price per bucket (24h: hourly, 7d: 6-hourly, 30d: daily,
+ *       1y: weekly). Price ticks are kept for 30 days, so longer ranges are partial.
  *     parameters:
  *       - in: query
  *         name: asset
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [BTC, XAU]
+ *       - in: query
+ *         name: range
+ *         schema:
+ *           type: string
+ *           enum: [24h, 7d, 30d, 1y]
+ *           default: 7d
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           default: calculated
+ *         description: A configured price source, or `calculated` for the aggregated median
+ *     responses:
+ *       200:
+ *         description: History retrieved
+ */
+router.get('/history',
+  validate(pricingSchemas.history, 'query'),
+  asyncHandler(async (req, res) => {
+    const { asset, range, source } = req.query;
+    const history = await TimeSeriesService.getPriceHistory(asset, range, source);
+    res.json({ status: 'success', data: history });
+  })
+);
+
+/**
+ * @swagger
+ * /pricing/fx/quote:
+ *   get:
+ *     tags: [System]
+ *     summary: Get a swap quote
+ *     description: |
+ *       Indicative quote using the same pricing and fee as POST /swap. Use
+ *       POST /swap/quote to lock the rate.
+ *     parameters:
+ *       - in: query
+ *         name: fromAsset
  *         schema:
  *           type: string
- *           enum: [USDC_mock, USDT_mock]
+ *           enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
+ *           default: UC
+ *       - in: query
+ *         name: toAsset
+ *         schema:
+ *           type: string
+ *           enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
  *         required: true
  *       - in: query
+ *         name: asset
+ *         deprecated: true
+ *         schema:
+ *           type: string
+ *         description: Former name of toAsset
+ *       - in: query
  *         name: amount
  *         schema:
- *           type: number
+ *           type: string
  *         required: true
  *     responses:
  *       200:
  *         description: Quote returned
  */
 router.get('/fx/quote',
+  validate(pricingSchemas.fxQuote, 'query'),
   asyncHandler(async (req, res) => {
-    const amount = parseFloat(req.query.amount || '0');
-    const feeBps = 50; // 0.50%
-    const fee = (amount * feeBps) / 10000;
-    const receive = amount - fee;
-    res.json({ status: 'success', data: { amount, feeBps, fee, receive } });
+    const { fromAsset, toAsset, asset, amount } = req.query;
+    const quote = await SwapService.quote({ fromAsset, toAsset: toAsset || asset, amount });
+    res.json({ status: 'success', data: quote });
   })
 );
 
@@ -0,0 +1,111 @@
+const express = require('express');
+const ProofOfReservesService = require('../services/ProofOfReservesService');
+const TimeSeriesService = require('../services/TimeSeriesService');
+const { validate, reservesSchemas } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /reserves/attestation:
+ *   get:
+ *     tags: [Reserves]
+ *     summary: Get the public proof-of-reserves attestation
+ *     description: |
+ *       Reserve figures from a ReservesSnapshot together with the Merkle root of all
+ *       user UC balances at the same moment. Defaults to the latest snapshot.
+ *     parameters:
+ *       - in: query
+ *         name: snapshotId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attestation retrieved successfully
+ *       404:
+ *         description: No attestation has been published yet
+ */
+router.get('/attestation',
+  validate(reservesSchemas.attestation, 'query'),
+  asyncHandler(async (req, res) => {
+    const attestation = await ProofOfReservesService.getAttestation(req.query.snapshotId);
+
+    res.json({
+      status: 'success',
+      data: attestation,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /reserves/attestation/my-proof:
+ *   get:
+ *     tags: [Reserves]
+ *     summary: Get the Merkle inclusion proof for the current user's UC balance
+ *     description: |
+ *       The leaf is keccak256(abi.encodePacked(string userId, uint256 balance, bytes32 nonce))
+ *       with balance scaled by `decimals`. Pairs are hashed in sorted order, so folding
+ *       the proof over the leaf must reproduce `merkleRoot`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: snapshotId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proof retrieved successfully
+ *       404:
+ *         description: No attestation, or no UC balance recorded for the user
+ */
+router.get('/attestation/my-proof',
+  authenticate,
+  validate(reservesSchemas.attestation, 'query'),
+  asyncHandler(async (req, res) => {
+    const proof = await ProofOfReservesService.getMyProof(req.user.id, req.query.snapshotId);
+
+    res.json({
+      status: 'success',
+      data: proof,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /reserves/history:
+ *   get:
+ *     tags: [Reserves]
+ *     summary: Get collateralization history
+ *     description: |
+ *       Reserve snapshots bucketed over the range (24h: hourly, 7d: 6-hourly, 30d: daily,
+ *       1y: weekly) with OHLC and average collateral percentage and reserve ratio, plus
+ *       every health-status transition in the range.
+ *     parameters:
+ *       - in: query
+ *         name: range
+ *         schema:
+ *           type: string
+ *           enum: [24h, 7d, 30d, 1y]
+ *           default: 7d
+ *     responses:
+ *       200:
+ *         description: History retrieved successfully
+ */
+router.get('/history',
+  validate(reservesSchemas.history, 'query'),
+  asyncHandler(async (req, res) => {
+    const history = await TimeSeriesService.getReserveHistory(req.query.range);
+
+    res.json({
+      status: 'success',
+      data: history,
+    });
+  })
+);
+
+module.exports = router;
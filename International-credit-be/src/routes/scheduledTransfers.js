@@ -0,0 +1,260 @@
+const express = require('express');
+const Joi = require('joi');
+const ScheduledTransferService = require('../services/ScheduledTransferService');
+const { authenticate, requireKyc } = require('../middleware/auth');
+const { validate, commonSchemas, scheduledTransferSchemas } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { strictRateLimit } = require('../middleware/security');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const scheduleIdParams = Joi.object({
+  id: commonSchemas.objectId.required(),
+});
+
+/**
+ * @swagger
+ * /scheduled-transfers:
+ *   post:
+ *     tags: [Scheduled Transfers]
+ *     summary: Schedule a one-off or recurring transfer
+ *     description: |
+ *       Pays another platform user once at `startAt`, or weekly/monthly from `startAt`
+ *       until `endDate` or `maxRuns` runs. Monthly runs keep startAt's day of the month.
+ *       A run short of funds is retried with exponential backoff
+ *       (SCHEDULED_TRANSFER_MAX_ATTEMPTS) before it is recorded as failed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recipient, amount, frequency, startAt]
+ *             properties:
+ *               recipient:
+ *                 type: string
+ *                 description: Email, @handle or whitelisted wallet address
+ *                 example: "@alice"
+ *               amount:
+ *                 type: string
+ *                 example: "25"
+ *               asset:
+ *                 type: string
+ *                 enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
+ *                 default: UC
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *               frequency:
+ *                 type: string
+ *                 enum: [ONCE, WEEKLY, MONTHLY]
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               maxRuns:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       201:
+ *         description: Transfer scheduled
+ *       403:
+ *         description: Sender or recipient failed KYC or sanctions screening
+ *       409:
+ *         description: Too many active scheduled transfers
+ */
+router.post('/',
+  requireKyc,
+  strictRateLimit,
+  validate(scheduledTransferSchemas.create),
+  asyncHandler(async (req, res) => {
+    const schedule = await ScheduledTransferService.createSchedule(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Transfer scheduled',
+      data: { schedule },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /scheduled-transfers:
+ *   get:
+ *     tags: [Scheduled Transfers]
+ *     summary: List the authenticated user's scheduled transfers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, PAUSED, COMPLETED, CANCELED, FAILED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Scheduled transfers with their recent runs
+ */
+router.get('/',
+  validate(scheduledTransferSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const { status, page, limit } = req.query;
+    const result = await ScheduledTransferService.getUserSchedules(req.user.id, { status }, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /scheduled-transfers/{id}:
+ *   get:
+ *     tags: [Scheduled Transfers]
+ *     summary: Get a scheduled transfer with its run history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer retrieved successfully
+ *       404:
+ *         description: Scheduled transfer not found
+ */
+router.get('/:id',
+  validate(scheduleIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const schedule = await ScheduledTransferService.getSchedule(req.user.id, req.params.id);
+
+    res.json({
+      status: 'success',
+      data: { schedule },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /scheduled-transfers/{id}/pause:
+ *   post:
+ *     tags: [Scheduled Transfers]
+ *     summary: Pause an active scheduled transfer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer paused
+ *       409:
+ *         description: Scheduled transfer is not active
+ */
+router.post('/:id/pause',
+  validate(scheduleIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const schedule = await ScheduledTransferService.pauseSchedule(req.user.id, req.params.id);
+
+    res.json({
+      status: 'success',
+      message: 'Scheduled transfer paused',
+      data: { schedule },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /scheduled-transfers/{id}/resume:
+ *   post:
+ *     tags: [Scheduled Transfers]
+ *     summary: Resume a paused scheduled transfer
+ *     description: Runs that fell due while paused are skipped; the schedule continues from the next date.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer resumed
+ *       409:
+ *         description: Scheduled transfer is not paused
+ */
+router.post('/:id/resume',
+  validate(scheduleIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const schedule = await ScheduledTransferService.resumeSchedule(req.user.id, req.params.id);
+
+    res.json({
+      status: 'success',
+      message: 'Scheduled transfer resumed',
+      data: { schedule },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /scheduled-transfers/{id}/cancel:
+ *   post:
+ *     tags: [Scheduled Transfers]
+ *     summary: Cancel a scheduled transfer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer canceled
+ *       409:
+ *         description: Scheduled transfer already finished
+ */
+router.post('/:id/cancel',
+  validate(scheduleIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const schedule = await ScheduledTransferService.cancelSchedule(req.user.id, req.params.id);
+
+    res.json({
+      status: 'success',
+      message: 'Scheduled transfer canceled',
+      data: { schedule },
+    });
+  })
+);
+
+module.exports = router;
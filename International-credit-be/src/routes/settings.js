@@ -3,7 +3,7 @@ const Joi = require('joi');
 const UserService = require('../services/UserService');
 const KycService = require('../services/KycService');
 const WalletService = require('../services/WalletService');
-const { validate, commonSchemas } = require('../middleware/validation');
+const { validate } = require('../middleware/validation');
 const { authenticate } = require('../middleware/auth');
 const { strictRateLimit } = require('../middleware/security');
 const { asyncHandler } = require('../middleware/errorHandler');
@@ -1,22 +1,21 @@
 const express = require('express');
-const Joi = require('joi');
 const { authenticate, requireKyc } = require('../middleware/auth');
 const { strictRateLimit } = require('../middleware/security');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { validate } = require('../middleware/validation');
-const { Account, Config } = require('../models');
-const LedgerService = require('../services/LedgerService');
-const config = require('../config');
+const { validate, ledgerSchemas } = require('../middleware/validation');
+const SwapService = require('../services/SwapService');
 
 const router = express.Router();
 
 /**
  * @swagger
- * /swap:
+ * /swap/quote:
  *   post:
  *     tags: [Ledger]
- *     summary: Swap UC to stable mock assets
- *     description: Simulates UC -> USDC_mock/USDT_mock swap with fee debited.
+ *     summary: Lock a swap quote
+ *     description: |
+ *       Prices a swap between any two ledger assets and holds the rate for a short
+ *       window (SWAP_QUOTE_TTL_MS). The fee is charged in fromAsset.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -25,70 +24,88 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
- *             required: [amount, toAsset]
+ *             required: [fromAsset, toAsset, amount]
  *             properties:
+ *               fromAsset:
+ *                 type: string
+ *                 enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
+ *               toAsset:
+ *                 type: string
+ *                 enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
  *               amount:
- *                 type: number
- *                 minimum: 1
+ *                 type: string
+ *                 example: "25.5"
+ *     responses:
+ *       201:
+ *         description: Quote locked
+ *       503:
+ *         description: No price available for one of the assets
+ */
+router.post('/quote',
+  authenticate,
+  requireKyc,
+  validate(ledgerSchemas.swapQuote),
+  asyncHandler(async (req, res) => {
+    const quote = await SwapService.lockQuote(req.user.id, req.body);
+    res.status(201).json({ status: 'success', data: { quote } });
+  })
+);
+
+/**
+ * @swagger
+ * /swap:
+ *   post:
+ *     tags: [Ledger]
+ *     summary: Swap between ledger assets
+ *     description: |
+ *       Executes a locked quote (`quoteId`) or swaps `amount` of fromAsset at the live rate.
+ *       Each asset is booked against its own FX account, so both legs balance per asset.
+ *       A locked quote is refused if the live rate has since moved more than
+ *       SWAP_MAX_SLIPPAGE_BPS; `minReceiveAmount` bounds what the caller accepts.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quoteId:
+ *                 type: string
+ *               fromAsset:
+ *                 type: string
+ *                 enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
  *               toAsset:
  *                 type: string
- *                 enum: [USDC_mock, USDT_mock]
+ *                 enum: [UC, USDC_mock, USDT_mock, BBT_mock, GBT_mock]
+ *               amount:
+ *                 type: string
+ *                 example: "25.5"
+ *               minReceiveAmount:
+ *                 type: string
+ *               idempotencyKey:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Swap completed
+ *       409:
+ *         description: Quote expired, already used, or beyond the slippage limit
+ *       503:
+ *         description: Swaps are paused
  */
 router.post('/',
   authenticate,
   requireKyc,
   strictRateLimit,
-  validate(Joi.object({
-    amount: Joi.number().min(1).required(),
-    toAsset: Joi.string().valid('USDC_mock', 'USDT_mock').required(),
-    idempotencyKey: Joi.string().optional(),
-  })),
+  validate(ledgerSchemas.swap),
   asyncHandler(async (req, res) => {
-    const { amount, toAsset, idempotencyKey } = req.body;
-    const systemConfig = await Config.getConfig();
-    if (systemConfig?.paused) {
-      return res.status(403).json({ status: 'error', message: 'System is paused' });
-    }
-
-    const feeBps = systemConfig?.feeStructure?.swapFeeBps || 50; // 0.5%
-    const feeAmount = (amount * feeBps) / 10000;
-    const receiveAmount = amount - feeAmount;
-
-    const ucAccount = await Account.findOne({ userId: req.user.id, asset: config.assets.UC });
-    const toAccount = await Account.findOne({ userId: req.user.id, asset: toAsset });
-    if (!ucAccount || !toAccount) {
-      return res.status(400).json({ status: 'error', message: 'Required accounts not found' });
-    }
-
-    const feeAccount = await Account.findOne({ accountType: 'FEE', asset: config.assets.UC });
-
-    const entries = [
-      // User gives UC
-      { accountId: ucAccount._id, debit: amount, meta: { type: config.transactionTypes.SWAP, description: `Swap UC -> ${toAsset}` } },
-      // User receives stable
-      { accountId: toAccount._id, credit: receiveAmount, meta: { type: config.transactionTypes.SWAP, description: `Swap UC -> ${toAsset}` } },
-    ];
-    if (feeAmount > 0 && feeAccount) {
-      entries.push({ accountId: feeAccount._id, credit: feeAmount, meta: { type: config.transactionTypes.FEE, description: 'Swap fee' } });
-    }
-
-    const result = await LedgerService.createJournal(entries, {
-      userId: req.user.id,
-      transactionType: config.transactionTypes.SWAP,
-      description: `Swap UC -> ${toAsset}`,
+    const swap = await SwapService.executeSwap(req.user.id, req.body, {
       correlationId: req.requestId,
-      idempotencyKey,
-      amount,
-      currency: config.assets.UC,
     });
 
-    res.status(201).json({ status: 'success', message: 'Swap completed', data: { journalId: result.journalId, feeAmount, receiveAmount } });
+    res.status(201).json({ status: 'success', message: 'Swap completed', data: swap });
   })
 );
 
 module.exports = router;
-
-
@@ -102,6 +102,11 @@ router.get('/profile',
  *           schema:
  *             type: object
  *             properties:
+ *               handle:
+ *                 type: string
+ *                 pattern: '^[a-z0-9_]{3,20}$'
+ *                 description: Public handle other users can send transfers to
+ *                 example: alice
  *               preferences:
  *                 type: object
  *                 properties:
@@ -154,6 +159,8 @@ router.get('/profile',
 router.put('/profile',
   authenticate,
   validate(Joi.object({
+    handle: Joi.string().trim().lowercase().pattern(/^[a-z0-9_]{3,20}$/)
+      .messages({ 'string.pattern.base': 'Handle must be 3-20 letters, digits or underscores' }),
     preferences: Joi.object({
       notifications: Joi.object({
         email: Joi.boolean(),
@@ -179,6 +186,22 @@ router.put('/profile',
   })
 );
 
+/**
+ * @swagger
+ * /users/accounts:
+ *   get:
+ *     tags: [User Profile]
+ *     summary: List my asset accounts
+ *     description: |
+ *       Each account has a `status` of ACTIVE, FROZEN or CLOSED, with `canSend` and
+ *       `canReceive` flags. A frozen account can receive but not send; a closed account
+ *       can do neither.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Accounts retrieved successfully
+ */
 router.get('/accounts',
   authenticate,
   asyncHandler(async (req, res) => {
@@ -2,7 +2,7 @@ const express = require('express');
 const Joi = require('joi');
 const WalletService = require('../services/WalletService');
 const { validate, walletSchemas, commonSchemas } = require('../middleware/validation');
-const { authenticate, adminOnly, requireKyc } = require('../middleware/auth');
+const { authenticate, adminOnly } = require('../middleware/auth');
 const { strictRateLimit } = require('../middleware/security');
 const { asyncHandler } = require('../middleware/errorHandler');
 
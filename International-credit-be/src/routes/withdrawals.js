@@ -0,0 +1,208 @@
+const express = require('express');
+const Joi = require('joi');
+const WithdrawalService = require('../services/WithdrawalService');
+const { authenticate, requireKyc } = require('../middleware/auth');
+const { validate, commonSchemas, withdrawalSchemas } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { strictRateLimit } = require('../middleware/security');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const withdrawalIdParams = Joi.object({
+  id: commonSchemas.objectId.required(),
+});
+
+/**
+ * @swagger
+ * /withdrawals:
+ *   post:
+ *     tags: [Withdrawals]
+ *     summary: Request a UC withdrawal
+ *     description: |
+ *       Holds the amount against the available UC balance. Requests at or above the approval
+ *       threshold wait for treasury approval; the rest are paid out by the withdrawal worker.
+ *       ONCHAIN redeems IC from a whitelisted wallet through ICController.burnIc, FIAT pays out
+ *       to the given bank account.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, method, idempotencyKey]
+ *             properties:
+ *               amount:
+ *                 type: string
+ *                 example: "250"
+ *               method:
+ *                 type: string
+ *                 enum: [ONCHAIN, FIAT]
+ *               walletAddress:
+ *                 type: string
+ *                 description: Required for ONCHAIN
+ *               network:
+ *                 type: string
+ *                 enum: [hedera, ethereum, bitcoin]
+ *                 default: hedera
+ *               bankAccount:
+ *                 type: object
+ *                 description: Required for FIAT
+ *                 properties:
+ *                   accountHolder:
+ *                     type: string
+ *                   accountNumber:
+ *                     type: string
+ *                   routingNumber:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *                     example: US
+ *                   currency:
+ *                     type: string
+ *                     enum: [USD, EUR, GBP]
+ *               idempotencyKey:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Withdrawal requested
+ *       400:
+ *         description: Insufficient balance or invalid destination
+ *       503:
+ *         description: Withdrawals are paused
+ */
+router.post('/',
+  requireKyc,
+  strictRateLimit,
+  validate(withdrawalSchemas.create),
+  asyncHandler(async (req, res) => {
+    const withdrawal = await WithdrawalService.requestWithdrawal(req.user.id, req.body, {
+      correlationId: req.requestId,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: withdrawal.requiresApproval
+        ? 'Withdrawal submitted for treasury approval'
+        : 'Withdrawal submitted for payout',
+      data: { withdrawal },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /withdrawals:
+ *   get:
+ *     tags: [Withdrawals]
+ *     summary: List the authenticated user's withdrawals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING_APPROVAL, APPROVED, PROCESSING, COMPLETED, REJECTED, FAILED, CANCELED]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [ONCHAIN, FIAT]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Withdrawals retrieved successfully
+ */
+router.get('/',
+  validate(withdrawalSchemas.list, 'query'),
+  asyncHandler(async (req, res) => {
+    const { status, method, page, limit } = req.query;
+    const result = await WithdrawalService.getUserWithdrawals(req.user.id, { status, method }, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /withdrawals/{id}:
+ *   get:
+ *     tags: [Withdrawals]
+ *     summary: Get a withdrawal with its status history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal retrieved successfully
+ *       404:
+ *         description: Withdrawal not found
+ */
+router.get('/:id',
+  validate(withdrawalIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const withdrawal = await WithdrawalService.getWithdrawal(req.user.id, req.params.id);
+
+    res.json({
+      status: 'success',
+      data: { withdrawal },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /withdrawals/{id}/cancel:
+ *   post:
+ *     tags: [Withdrawals]
+ *     summary: Cancel a withdrawal that has not started paying out
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawal canceled and the hold released
+ *       409:
+ *         description: Withdrawal is already processing or finished
+ */
+router.post('/:id/cancel',
+  validate(withdrawalIdParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const withdrawal = await WithdrawalService.cancelWithdrawal(req.user.id, req.params.id);
+
+    res.json({
+      status: 'success',
+      message: 'Withdrawal canceled',
+      data: { withdrawal },
+    });
+  })
+);
+
+module.exports = router;
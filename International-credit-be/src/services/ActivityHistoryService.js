@@ -281,7 +281,7 @@ class ActivityHistoryService {
     ]);
 
     return {
-      activities,
+      activities: activities.map(ActivityHistory.serializeLean),
       pagination: {
         page,
         limit,
@@ -298,7 +298,6 @@ class ActivityHistoryService {
     const stats = await ActivityHistory.getActivityStats(timeframe);
 
     // Get additional metrics
-    const now = new Date();
     const startTime = this._getTimeframeStart(timeframe);
 
     const [
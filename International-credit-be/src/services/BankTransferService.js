@@ -0,0 +1,507 @@
+const crypto = require('crypto');
+const { BankStatement, BankTransfer, User, Config, AuditLog } = require('../models');
+const PaymentService = require('./PaymentService');
+const CsvStatementParser = require('./bankStatementParsers/CsvStatementParser');
+const Camt053StatementParser = require('./bankStatementParsers/Camt053StatementParser');
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  AuthorizationError,
+  ServiceUnavailableError,
+} = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const depositReference = require('../utils/depositReference');
+
+// Rail a credit arrived on when the statement does not say
+const RAILS_BY_CURRENCY = {
+  USD: 'ACH',
+  EUR: 'SEPA',
+};
+
+class BankTransferService {
+  constructor() {
+    this.parsers = new Map();
+    this.registerParser(CsvStatementParser);
+    this.registerParser(Camt053StatementParser);
+  }
+
+  /**
+   * Parsers expose a `name` (the upload's `format`) and a `parse(content)` returning
+   * { statementId, account, from, to, entries }, each entry with its bank `ref`,
+   * `direction` (CREDIT or DEBIT), `amount`, `currency` and remittance details.
+   */
+  registerParser(parser) {
+    this.parsers.set(parser.name, parser);
+  }
+
+  getParser(format) {
+    const parser = this.parsers.get(format);
+    if (!parser) {
+      throw new ValidationError(`Unsupported bank statement format ${format}`);
+    }
+    return parser;
+  }
+
+  // What a user needs to pay in by bank transfer: their reference and the platform account
+  async getDepositInstructions(userId) {
+    const reference = await this.getDepositReference(userId);
+    const { name, bankName, iban, bic, accountNumber, routingNumber } = config.bankTransfers.beneficiary;
+
+    const rails = [];
+    if (iban) {
+      rails.push({ rail: 'SEPA', currency: 'EUR', beneficiary: name, bankName, iban, bic });
+    }
+    if (accountNumber) {
+      rails.push({ rail: 'ACH', currency: 'USD', beneficiary: name, bankName, accountNumber, routingNumber });
+    }
+
+    return { reference, rails };
+  }
+
+  async getDepositReference(userId) {
+    const user = await User.findById(userId).select('depositReference');
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.depositReference) {
+      return user.depositReference;
+    }
+
+    // A collision with another user's reference is astronomically rare, but retry on one
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      try {
+        const updated = await User.findOneAndUpdate(
+          { _id: userId, depositReference: { $exists: false } },
+          { $set: { depositReference: depositReference.generate() } },
+          { new: true }
+        );
+        if (updated) {
+          return updated.depositReference;
+        }
+        // Issued by a concurrent request
+        return (await User.findById(userId).select('depositReference')).depositReference;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+    throw new ServiceUnavailableError('Could not issue a deposit reference');
+  }
+
+  async getUserTransfers(userId, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const query = { userId, status: 'CREDITED' };
+
+    const [transfers, total] = await Promise.all([
+      BankTransfer.find(query)
+        .select('rail amount currency ucAmount rate valueDate reference createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BankTransfer.countDocuments(query),
+    ]);
+
+    return {
+      transfers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Import a bank statement file. Every credit not seen on an earlier statement is
+   * stored as a BankTransfer and matched by the deposit reference in its remittance
+   * information; matched ones are credited in UC at once, the rest go to the suspense
+   * queue. The same file cannot be imported twice.
+   */
+  async importStatement(adminId, { format, content, filename }, metadata = {}) {
+    const admin = await this.getTreasuryAdmin(adminId);
+
+    const checksum = crypto.createHash('sha256').update(content).digest('hex');
+    if (await BankStatement.exists({ checksum })) {
+      throw new ConflictError('This statement file has already been imported');
+    }
+
+    const parsed = this.getParser(format).parse(content);
+    if (!parsed.entries.length) {
+      throw new ValidationError('Statement has no booked entries');
+    }
+    if (parsed.entries.length > config.bankTransfers.maxStatementEntries) {
+      throw new ValidationError(`Statements are limited to ${config.bankTransfers.maxStatementEntries} entries`);
+    }
+
+    let statement;
+    try {
+      statement = await BankStatement.create({
+        importedBy: adminId,
+        format,
+        filename,
+        checksum,
+        statementId: parsed.statementId,
+        account: parsed.account,
+        from: parsed.from,
+        to: parsed.to,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('This statement file has already been imported');
+      }
+      throw error;
+    }
+
+    const totals = { entries: parsed.entries.length, debits: 0, credits: 0, duplicates: 0, credited: 0, unmatched: 0 };
+    for (const entry of parsed.entries) {
+      if (entry.direction !== 'CREDIT') {
+        totals.debits += 1;
+        continue;
+      }
+      totals.credits += 1;
+
+      let transfer;
+      try {
+        transfer = await BankTransfer.create({
+          statementId: statement._id,
+          line: entry.line,
+          entryRef: `${entry.account || parsed.account || format}:${entry.ref}`,
+          rail: entry.rail || RAILS_BY_CURRENCY[entry.currency] || 'WIRE',
+          bookedAt: entry.bookedAt,
+          valueDate: entry.valueDate,
+          amount: entry.amount,
+          currency: entry.currency,
+          remittanceInfo: entry.remittanceInfo,
+          endToEndId: entry.endToEndId,
+          payer: entry.payer,
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          totals.duplicates += 1;
+          continue;
+        }
+        throw error;
+      }
+
+      const matched = await this.matchTransfer(transfer);
+      totals[matched.status === 'CREDITED' ? 'credited' : 'unmatched'] += 1;
+    }
+
+    statement.totals = totals;
+    await statement.save();
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: 'BANK_STATEMENT_IMPORT',
+      object: { type: 'BankStatement', id: statement._id, identifier: statement.statementId || filename },
+      after: { totals },
+      metadata: {
+        ...metadata,
+        notes: `Imported ${format} bank statement`,
+      },
+    });
+
+    logger.info('Bank statement imported', {
+      statementId: statement._id.toString(),
+      adminId,
+      format,
+      ...totals,
+    });
+
+    return statement;
+  }
+
+  // Credits a transfer that quotes exactly one user's deposit reference; anything else
+  // stays UNMATCHED with the reason, for manual assignment
+  async matchTransfer(transfer) {
+    const references = depositReference.extract(`${transfer.remittanceInfo || ''} ${transfer.endToEndId || ''}`);
+    if (!references.length) {
+      return this.leaveUnmatched(transfer, 'No deposit reference in the remittance information');
+    }
+
+    const users = await User.find({ depositReference: { $in: references } }).select('depositReference');
+    if (users.length !== 1) {
+      return this.leaveUnmatched(transfer, users.length
+        ? `Quotes the deposit references of several users: ${references.join(', ')}`
+        : `Unknown deposit reference ${references.join(', ')}`);
+    }
+
+    try {
+      return await this.creditTransfer(transfer, users[0], { matchedBy: 'REFERENCE' });
+    } catch (error) {
+      logger.warn('Bank transfer could not be credited', {
+        transferId: transfer._id.toString(),
+        reference: users[0].depositReference,
+        error: error.message,
+      });
+      return BankTransfer.findById(transfer._id);
+    }
+  }
+
+  async leaveUnmatched(transfer, issue) {
+    return BankTransfer.findByIdAndUpdate(transfer._id, { $set: { issue } }, { new: true });
+  }
+
+  /**
+   * Convert an UNMATCHED transfer to UC at the deposit rate for its currency and credit
+   * it to `user` like a card deposit, without the card fees. A transfer that fails to
+   * post goes back to UNMATCHED with the error as its issue.
+   */
+  async creditTransfer(transfer, user, { matchedBy, resolution }) {
+    const claimed = await BankTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'UNMATCHED' },
+      {
+        $set: {
+          status: 'CREDITING',
+          userId: user._id,
+          reference: user.depositReference,
+          matchedBy,
+          resolution,
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      const existing = await BankTransfer.findById(transfer._id).select('status');
+      throw new ConflictError(`Bank transfer is ${existing ? existing.status.toLowerCase() : 'gone'}`);
+    }
+
+    let price;
+    let journalId;
+    try {
+      const systemConfig = await Config.getConfig();
+      if (systemConfig.paused.system || systemConfig.paused.deposits) {
+        throw new ServiceUnavailableError('Deposits are currently paused');
+      }
+
+      price = await PaymentService.priceDeposit({
+        fiatAmount: claimed.amount,
+        fiatCurrency: claimed.currency,
+      }, systemConfig);
+      ({ journalId } = await PaymentService.postDeposit(user._id, price.ucAmount, {
+        source: 'bank transfer',
+        description: `UC purchase via ${claimed.rail} transfer - ${claimed.amount} ${claimed.currency}`,
+        reference: claimed.entryRef,
+        externalRef: {
+          bankTransferId: claimed._id.toString(),
+          rail: claimed.rail,
+          status: 'completed',
+        },
+        idempotencyKey: `bank-transfer:${claimed._id}`,
+      }));
+    } catch (error) {
+      await BankTransfer.updateOne(
+        { _id: claimed._id, status: 'CREDITING' },
+        {
+          $set: { status: 'UNMATCHED', issue: error.message },
+          $unset: { userId: 1, matchedBy: 1, resolution: 1 },
+        }
+      );
+      throw error;
+    }
+
+    const credited = await BankTransfer.findByIdAndUpdate(
+      claimed._id,
+      {
+        $set: { status: 'CREDITED', rate: price.rate, ucAmount: price.ucAmount, journalId },
+        $unset: { issue: 1 },
+      },
+      { new: true }
+    );
+
+    await AuditLog.logAction({
+      actor: user._id,
+      role: 'system',
+      action: 'DEPOSIT',
+      object: { type: 'BankTransfer', id: credited._id },
+      metadata: {
+        journalId: journalId.toString(),
+        amount: price.ucAmount,
+        currency: config.assets.UC,
+        fiatAmount: credited.amount,
+        fiatCurrency: credited.currency,
+        rail: credited.rail,
+        notes: matchedBy === 'MANUAL' ? 'UC credited from assigned bank transfer' : 'UC credited from bank transfer',
+      },
+    });
+
+    logger.info('Bank transfer credited', {
+      transferId: credited._id.toString(),
+      userId: user._id.toString(),
+      matchedBy,
+      amount: credited.amount,
+      currency: credited.currency,
+      ucAmount: price.ucAmount,
+      journalId: journalId.toString(),
+    });
+
+    return credited;
+  }
+
+  // Credit a suspense-queue transfer to the user the treasury admin identified
+  async assignTransfer(adminId, transferId, { userId, note }, metadata = {}) {
+    const admin = await this.getTreasuryAdmin(adminId);
+    if (userId.toString() === adminId.toString()) {
+      throw new AuthorizationError('Cannot assign a bank transfer to yourself');
+    }
+
+    const transfer = await this.findTransfer(transferId);
+    const user = await User.findById(userId).select('depositReference');
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const credited = await this.creditTransfer(transfer, user, {
+      matchedBy: 'MANUAL',
+      resolution: { by: adminId, at: new Date(), note },
+    });
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: 'BANK_TRANSFER_ASSIGN',
+      object: { type: 'BankTransfer', id: credited._id },
+      before: { status: transfer.status, issue: transfer.issue },
+      after: { status: credited.status, userId: userId.toString() },
+      metadata: {
+        ...metadata,
+        amount: credited.amount,
+        currency: credited.currency,
+        journalId: credited.journalId.toString(),
+        notes: note,
+      },
+    });
+
+    return credited;
+  }
+
+  // The money goes back to the payer through the bank; nothing is posted to the ledger
+  async returnTransfer(adminId, transferId, { reason }, metadata = {}) {
+    const admin = await this.getTreasuryAdmin(adminId);
+    const transfer = await this.findTransfer(transferId);
+
+    const returned = await BankTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'UNMATCHED' },
+      { $set: { status: 'RETURNED', resolution: { by: adminId, at: new Date(), note: reason } } },
+      { new: true }
+    );
+    if (!returned) {
+      const existing = await BankTransfer.findById(transfer._id).select('status');
+      throw new ConflictError(`Bank transfer is ${existing.status.toLowerCase()}`);
+    }
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: 'BANK_TRANSFER_RETURN',
+      object: { type: 'BankTransfer', id: returned._id },
+      before: { status: transfer.status, issue: transfer.issue },
+      after: { status: returned.status },
+      metadata: {
+        ...metadata,
+        amount: returned.amount,
+        currency: returned.currency,
+        reason,
+      },
+    });
+
+    logger.warn('Bank transfer marked for return', {
+      transferId: returned._id.toString(),
+      adminId,
+      amount: returned.amount,
+      currency: returned.currency,
+      reason,
+    });
+
+    return returned;
+  }
+
+  async listTransfers(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const query = {};
+    for (const key of ['status', 'statementId', 'userId', 'currency']) {
+      if (filters[key]) {
+        query[key] = filters[key];
+      }
+    }
+
+    const [transfers, total] = await Promise.all([
+      BankTransfer.find(query)
+        .populate('userId', 'fullName email')
+        .populate('resolution.by', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BankTransfer.countDocuments(query),
+    ]);
+
+    return {
+      transfers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async listStatements(pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+
+    const [statements, total] = await Promise.all([
+      BankStatement.find()
+        .populate('importedBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BankStatement.countDocuments(),
+    ]);
+
+    return {
+      statements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getStatement(statementId) {
+    const statement = await BankStatement.findById(statementId).populate('importedBy', 'fullName email');
+    if (!statement) {
+      throw new NotFoundError('Bank statement not found');
+    }
+
+    const transfers = await BankTransfer.find({ statementId })
+      .populate('userId', 'fullName email')
+      .sort({ line: 1 });
+
+    return { statement, transfers };
+  }
+
+  async findTransfer(transferId) {
+    const transfer = await BankTransfer.findById(transferId);
+    if (!transfer) {
+      throw new NotFoundError('Bank transfer not found');
+    }
+    return transfer;
+  }
+
+  async getTreasuryAdmin(adminId) {
+    const admin = await User.findById(adminId);
+    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY].includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions to manage bank transfers');
+    }
+    return admin;
+  }
+}
+
+module.exports = new BankTransferService();
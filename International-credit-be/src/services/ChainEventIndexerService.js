@@ -0,0 +1,165 @@
+const { ChainEvent, ChainCheckpoint } = require('../models');
+const ChainService = require('./ChainService');
+const { ValidationError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class ChainEventIndexerService {
+  // One checkpoint per contract so a newly configured contract backfills on its own
+  getCheckpointName(contract) {
+    return `events:${contract}`;
+  }
+
+  getSources() {
+    return Object.entries(config.blockchain.indexedEvents)
+      .map(([contract, events]) => ({ contract, events }));
+  }
+
+  async sync() {
+    const results = [];
+
+    for (const source of this.getSources()) {
+      const name = this.getCheckpointName(source.contract);
+
+      try {
+        const result = await ChainService.syncEvents(name, {
+          contracts: [source],
+          onLogs: logs => this.applyLogs(logs),
+          onRollback: blockNumber => this.rollback(source.contract, blockNumber),
+        });
+        results.push(result);
+      } catch (error) {
+        // A failing contract must not hold back the others
+        await ChainService.recordError(name, error);
+        logger.error('Chain event indexing failed', {
+          contract: source.contract,
+          error: error.message,
+        });
+        results.push({ name, error: error.message });
+      }
+    }
+
+    return {
+      contracts: results,
+      processed: results.reduce((sum, r) => sum + (r.processed || 0), 0),
+      reorgs: results.filter(r => r.reorg).length,
+      failed: results.filter(r => r.error).length,
+    };
+  }
+
+  async applyLogs(logs) {
+    if (!logs.length) {
+      return 0;
+    }
+
+    const timestamps = await ChainService.getBlockTimestamps(logs.map(log => log.blockNumber));
+
+    await ChainEvent.bulkWrite(logs.map(log => ({
+      updateOne: {
+        filter: { txHash: log.txHash, logIndex: log.logIndex },
+        update: {
+          $set: {
+            contract: log.contract,
+            contractAddress: log.address,
+            event: log.event,
+            args: log.args,
+            addresses: log.addresses,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            blockTimestamp: timestamps.get(log.blockNumber),
+          },
+        },
+        upsert: true,
+      },
+    })), { ordered: false });
+
+    return logs.length;
+  }
+
+  async rollback(contract, blockNumber) {
+    const { deletedCount } = await ChainEvent.deleteMany({
+      contract,
+      blockNumber: { $gt: blockNumber },
+    });
+
+    logger.warn('Chain events rolled back', { contract, blockNumber, deletedEvents: deletedCount });
+  }
+
+  async getEvents(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20, sortOrder = 'desc' } = pagination;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (filters.address) {
+      query.addresses = filters.address.toLowerCase();
+    }
+    if (filters.contract) {
+      query.contract = filters.contract;
+    }
+    if (filters.event) {
+      query.event = filters.event;
+    }
+    if (filters.txHash) {
+      query.txHash = filters.txHash.toLowerCase();
+    }
+    if (filters.fromBlock !== undefined || filters.toBlock !== undefined) {
+      if (filters.fromBlock !== undefined && filters.toBlock !== undefined &&
+        filters.fromBlock > filters.toBlock) {
+        throw new ValidationError('fromBlock must not exceed toBlock');
+      }
+      query.blockNumber = {};
+      if (filters.fromBlock !== undefined) {
+        query.blockNumber.$gte = filters.fromBlock;
+      }
+      if (filters.toBlock !== undefined) {
+        query.blockNumber.$lte = filters.toBlock;
+      }
+    }
+
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const [events, total] = await Promise.all([
+      ChainEvent.find(query)
+        .sort({ blockNumber: direction, logIndex: direction })
+        .skip(skip)
+        .limit(limit),
+      ChainEvent.countDocuments(query),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getStatus() {
+    const sources = this.getSources();
+    const checkpoints = await ChainCheckpoint.find({
+      name: { $in: sources.map(s => this.getCheckpointName(s.contract)) },
+    });
+    const byName = new Map(checkpoints.map(c => [c.name, c]));
+
+    return {
+      confirmations: config.blockchain.confirmations,
+      contracts: sources.map(({ contract, events }) => {
+        const checkpoint = byName.get(this.getCheckpointName(contract));
+        return {
+          contract,
+          address: ChainService.getAddress(contract),
+          events,
+          lastIndexedBlock: checkpoint ? checkpoint.blockNumber : null,
+          reorgCount: checkpoint ? checkpoint.reorgCount : 0,
+          lastReorgAt: checkpoint ? checkpoint.lastReorgAt : null,
+          lastError: checkpoint ? checkpoint.lastError : null,
+          updatedAt: checkpoint ? checkpoint.updatedAt : null,
+        };
+      }),
+    };
+  }
+}
+
+module.exports = new ChainEventIndexerService();
@@ -0,0 +1,331 @@
+const { ethers } = require('ethers');
+const { ChainReconciliationReport, Balance, Wallet, AuditLog, User } = require('../models');
+const ChainService = require('./ChainService');
+const ActivityHistoryService = require('./ActivityHistoryService');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { toDecimal, sum } = require('../utils/money');
+
+class ChainReconciliationService {
+  async run() {
+    const startedAt = Date.now();
+
+    try {
+      const report = await this.buildReport();
+      report.durationMs = Date.now() - startedAt;
+      await report.save();
+
+      await this.raiseCriticalActivities(report);
+
+      logger.info('Chain reconciliation completed', {
+        reportId: report._id,
+        status: report.status,
+        blockNumber: report.blockNumber,
+        discrepancies: report.summary.discrepancyCount,
+      });
+
+      return report;
+    } catch (error) {
+      const report = await ChainReconciliationReport.create({
+        status: 'ERROR',
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+      });
+
+      await ActivityHistoryService.logSystem('SYSTEM_ERROR', {
+        action: 'Chain reconciliation failed',
+        severity: 'CRITICAL',
+        status: 'FAILED',
+      }, {
+        errorMessage: error.message,
+        metadata: { reportId: report._id.toString() },
+      });
+
+      logger.error('Chain reconciliation failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  async buildReport() {
+    const { tolerance } = config.chainReconciliation;
+    const ic = ChainService.getContract('IC');
+    const controller = ChainService.getContract('ICController');
+
+    // Pin every read to one block so the sources are compared at the same height
+    const blockNumber = await ChainService.getProvider().getBlockNumber();
+    const overrides = { blockTag: blockNumber };
+
+    const decimals = Number(await ic.decimals(overrides));
+    const toUnits = value => toDecimal(ethers.formatUnits(value, decimals));
+
+    const [supply, minted, userBalances] = await Promise.all([
+      ic.totalSupply(overrides),
+      controller.totalIcMinted(overrides),
+      this.getOffChainBalances(),
+    ]);
+
+    // Compared exactly; the report stores plain numbers
+    const onChainSupply = toUnits(supply);
+    const controllerMinted = toUnits(minted);
+    const offChainUc = sum([...userBalances.values()]);
+    const totals = {
+      onChainSupply: onChainSupply.toNumber(),
+      controllerMinted: controllerMinted.toNumber(),
+      offChainUc: offChainUc.toNumber(),
+    };
+
+    const discrepancies = [];
+
+    if (onChainSupply.minus(controllerMinted).abs().gt(tolerance)) {
+      discrepancies.push({
+        check: 'SUPPLY',
+        severity: 'CRITICAL',
+        expected: totals.controllerMinted,
+        actual: totals.onChainSupply,
+        difference: onChainSupply.minus(controllerMinted).toNumber(),
+        description: 'IC totalSupply does not match ICController.totalIcMinted',
+      });
+    }
+
+    if (onChainSupply.minus(offChainUc).abs().gt(tolerance)) {
+      discrepancies.push({
+        check: 'LEDGER',
+        severity: 'CRITICAL',
+        expected: totals.offChainUc,
+        actual: totals.onChainSupply,
+        difference: onChainSupply.minus(offChainUc).toNumber(),
+        description: 'IC totalSupply does not match off-chain UC balances',
+      });
+    }
+
+    const walletResult = await this.checkWallets(ic, overrides, toUnits, userBalances);
+    discrepancies.push(...walletResult.discrepancies);
+
+    return new ChainReconciliationReport({
+      status: discrepancies.length ? 'DISCREPANCY' : 'MATCHED',
+      blockNumber,
+      totals,
+      summary: {
+        usersChecked: walletResult.usersChecked,
+        walletsChecked: walletResult.walletsChecked,
+        walletsSkipped: walletResult.walletsSkipped,
+        discrepancyCount: discrepancies.length,
+        criticalCount: discrepancies.filter(d => d.severity === 'CRITICAL').length,
+      },
+      discrepancies,
+    });
+  }
+
+  // UC held in USER accounts (available + pending) as exact decimals, keyed by userId
+  async getOffChainBalances() {
+    const rows = await Balance.aggregate([
+      {
+        $lookup: {
+          from: 'accounts',
+          localField: 'accountId',
+          foreignField: '_id',
+          as: 'account'
+        }
+      },
+      { $unwind: '$account' },
+      {
+        $match: {
+          'account.asset': config.assets.UC,
+          'account.accountType': 'USER'
+        }
+      },
+      {
+        $group: {
+          _id: '$account.userId',
+          total: {
+            $sum: { $add: [{ $ifNull: ['$available', 0] }, { $ifNull: ['$pending', 0] }] }
+          },
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), toDecimal(row.total)]));
+  }
+
+  async checkWallets(ic, overrides, toUnits, userBalances) {
+    const { tolerance, criticalDifference, batchSize } = config.chainReconciliation;
+
+    const wallets = await Wallet.find({ isActive: true }).select('userId address');
+    // Hedera account IDs (0.0.x) and non-EVM addresses have no IC balance to read
+    const evmWallets = wallets.filter(w => ethers.isAddress(w.address));
+
+    const walletsByUser = new Map();
+    for (let i = 0; i < evmWallets.length; i += batchSize) {
+      const batch = evmWallets.slice(i, i + batchSize);
+      const balances = await Promise.all(batch.map(w => ic.balanceOf(w.address, overrides)));
+
+      batch.forEach((wallet, index) => {
+        const userId = wallet.userId.toString();
+        if (!walletsByUser.has(userId)) {
+          walletsByUser.set(userId, []);
+        }
+        walletsByUser.get(userId).push({
+          walletId: wallet._id,
+          address: wallet.address.toLowerCase(),
+          onChainBalance: toUnits(balances[index]).toNumber(),
+        });
+      });
+    }
+
+    const discrepancies = [];
+    for (const [userId, addresses] of walletsByUser) {
+      const onChain = sum(addresses.map(a => a.onChainBalance));
+      const offChain = userBalances.get(userId) || toDecimal(0);
+      const difference = onChain.minus(offChain);
+
+      if (difference.abs().gt(tolerance)) {
+        discrepancies.push({
+          check: 'WALLET',
+          severity: difference.abs().gt(criticalDifference) ? 'CRITICAL' : 'HIGH',
+          userId,
+          addresses,
+          expected: offChain.toNumber(),
+          actual: onChain.toNumber(),
+          difference: difference.toNumber(),
+          description: 'Linked wallet IC balance does not match off-chain UC balance',
+        });
+      }
+    }
+
+    return {
+      discrepancies,
+      usersChecked: walletsByUser.size,
+      walletsChecked: evmWallets.length,
+      walletsSkipped: wallets.length - evmWallets.length,
+    };
+  }
+
+  async raiseCriticalActivities(report) {
+    const critical = report.discrepancies.filter(d => d.severity === 'CRITICAL');
+
+    for (const discrepancy of critical) {
+      await ActivityHistoryService.logSystem('RECONCILIATION_MISMATCH', {
+        action: discrepancy.description,
+        severity: 'CRITICAL',
+        status: 'WARNING',
+      }, {
+        before: { expected: discrepancy.expected },
+        after: { actual: discrepancy.actual },
+        amount: Math.abs(discrepancy.difference),
+        currency: config.assets.UC,
+        metadata: {
+          reportId: report._id.toString(),
+          check: discrepancy.check,
+          blockNumber: report.blockNumber,
+          userId: discrepancy.userId ? discrepancy.userId.toString() : undefined,
+          addresses: discrepancy.addresses.map(a => a.address),
+        },
+      });
+    }
+
+    return critical.length;
+  }
+
+  async getReports(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (filters.status) {
+      query.status = filters.status.toUpperCase();
+    }
+    if (filters.acknowledged !== undefined) {
+      query.acknowledged = filters.acknowledged;
+    }
+
+    const [reports, total] = await Promise.all([
+      ChainReconciliationReport.find(query)
+        .select('-discrepancies.addresses')
+        .populate('acknowledgedBy', 'email fullName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ChainReconciliationReport.countDocuments(query),
+    ]);
+
+    return {
+      reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getReport(reportId) {
+    const report = await ChainReconciliationReport.findById(reportId)
+      .populate('discrepancies.userId', 'email fullName')
+      .populate('acknowledgedBy', 'email fullName');
+
+    if (!report) {
+      throw new NotFoundError('Reconciliation report not found');
+    }
+
+    return report;
+  }
+
+  async getSummary() {
+    const [latest, unacknowledged] = await Promise.all([
+      ChainReconciliationReport.findOne()
+        .select('-discrepancies')
+        .sort({ createdAt: -1 }),
+      ChainReconciliationReport.countDocuments({
+        status: { $in: ['DISCREPANCY', 'ERROR'] },
+        acknowledged: false,
+      }),
+    ]);
+
+    return { latest, unacknowledged };
+  }
+
+  async acknowledgeReport(adminId, reportId, note, metadata = {}) {
+    const admin = await User.findById(adminId);
+
+    const report = await ChainReconciliationReport.findOneAndUpdate(
+      { _id: reportId, acknowledged: false, status: { $ne: 'MATCHED' } },
+      {
+        $set: {
+          acknowledged: true,
+          acknowledgedBy: adminId,
+          acknowledgedAt: new Date(),
+          acknowledgementNote: note,
+        },
+      },
+      { new: true }
+    );
+
+    if (!report) {
+      const existing = await ChainReconciliationReport.findById(reportId);
+      if (!existing) {
+        throw new NotFoundError('Reconciliation report not found');
+      }
+      throw new ConflictError(existing.acknowledged
+        ? 'Report has already been acknowledged'
+        : 'Matched reports do not need acknowledgement');
+    }
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: 'RECONCILIATION_ACKNOWLEDGE',
+      object: { type: 'ChainReconciliationReport', id: report._id, identifier: report.status },
+      after: { acknowledged: true, discrepancyCount: report.summary.discrepancyCount },
+      metadata: {
+        ...metadata,
+        notes: note || 'Chain reconciliation report acknowledged',
+      },
+    });
+
+    return report;
+  }
+}
+
+module.exports = new ChainReconciliationService();
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { ChainCheckpoint } = require('../models');
+const { ServiceUnavailableError } = require('../utils/errors');
+const abis = require('../config/contracts');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class ChainService {
+  constructor() {
+    this.provider = null;
+    this.deployment = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl, undefined, {
+        staticNetwork: true,
+      });
+    }
+    return this.provider;
+  }
+
+  getDeployment() {
+    if (!this.deployment) {
+      const { contracts, deploymentBlock, deploymentFile } = config.blockchain;
+      this.deployment = { contracts: { ...contracts }, deploymentBlock };
+
+      // Deployment files are written by International-Credit-SC/scripts/deploy.ts
+      if (deploymentFile) {
+        const file = JSON.parse(fs.readFileSync(path.resolve(deploymentFile), 'utf8'));
+        Object.keys(contracts).forEach((name) => {
+          if (file[name]) {
+            this.deployment.contracts[name] = file[name];
+          }
+        });
+        if (Number.isInteger(file.deploymentBlock)) {
+          this.deployment.deploymentBlock = file.deploymentBlock;
+        }
+      }
+    }
+    return this.deployment;
+  }
+
+  getAddress(name) {
+    const address = this.getDeployment().contracts[name];
+    if (!address) {
+      throw new ServiceUnavailableError(`No address configured for contract ${name}`);
+    }
+    return address;
+  }
+
+  getInterface(name) {
+    return new ethers.Interface(abis[name]);
+  }
+
+  getContract(name, address = this.getAddress(name)) {
+    return new ethers.Contract(address, abis[name], this.getProvider());
+  }
+
+  parseLog(log, sources) {
+    const source = sources.find(s => s.address.toLowerCase() === log.address.toLowerCase());
+    if (!source) {
+      return null;
+    }
+
+    const parsed = source.iface.parseLog({ topics: log.topics, data: log.data });
+    if (!parsed || !source.events.includes(parsed.name)) {
+      return null;
+    }
+
+    // Plain JSON args; uint256 values are kept as decimal strings
+    const args = {};
+    const addresses = [];
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+      if (input.type === 'address') {
+        addresses.push(value.toLowerCase());
+      }
+    });
+
+    return {
+      contract: source.contract,
+      address: log.address.toLowerCase(),
+      event: parsed.name,
+      args,
+      addresses,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      txHash: log.transactionHash.toLowerCase(),
+      logIndex: log.index,
+    };
+  }
+
+  buildSources(contracts) {
+    return contracts.map(({ contract, events }) => {
+      const iface = this.getInterface(contract);
+      return {
+        contract,
+        events,
+        iface,
+        address: this.getAddress(contract),
+        topics: events.map(event => iface.getEvent(event).topicHash),
+      };
+    });
+  }
+
+  async getBlockTimestamps(blockNumbers) {
+    const provider = this.getProvider();
+    const timestamps = new Map();
+
+    for (const blockNumber of new Set(blockNumbers)) {
+      const block = await provider.getBlock(blockNumber);
+      if (block) {
+        timestamps.set(blockNumber, new Date(block.timestamp * 1000));
+      }
+    }
+
+    return timestamps;
+  }
+
+  async getReceiptLogs(txHash, contracts) {
+    const receipt = await this.getProvider().getTransactionReceipt(txHash);
+    if (!receipt) {
+      return null;
+    }
+
+    const sources = this.buildSources(contracts);
+    return {
+      receipt,
+      logs: receipt.logs.map(log => this.parseLog(log, sources)).filter(Boolean),
+    };
+  }
+
+  /**
+   * Advance the named checkpoint towards the confirmed head, handing each batch of
+   * decoded logs to onLogs. If the checkpointed block is no longer canonical, onRollback
+   * is called with the block to resume from and everything after it is re-read.
+   */
+  async syncEvents(name, { contracts, onLogs, onRollback }) {
+    const { confirmations, reorgDepth, batchSize, maxBatchesPerRun } = config.blockchain;
+    const provider = this.getProvider();
+    const sources = this.buildSources(contracts);
+    const startBlock = this.getDeployment().deploymentBlock;
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - confirmations;
+
+    let checkpoint = await ChainCheckpoint.findOne({ name });
+    let reorg = null;
+
+    if (checkpoint) {
+      const block = await provider.getBlock(checkpoint.blockNumber);
+      if (!block || block.hash !== checkpoint.blockHash) {
+        reorg = await this.rollback(checkpoint, startBlock, reorgDepth, onRollback);
+      }
+    }
+
+    let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : startBlock;
+    const firstBlock = fromBlock;
+    let processed = 0;
+    let batches = 0;
+
+    while (fromBlock <= safeHead && batches < maxBatchesPerRun) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, safeHead);
+
+      const logs = await provider.getLogs({
+        address: sources.map(s => s.address),
+        topics: [sources.flatMap(s => s.topics)],
+        fromBlock,
+        toBlock,
+      });
+      const decoded = logs.map(log => this.parseLog(log, sources)).filter(Boolean);
+
+      await onLogs(decoded, { fromBlock, toBlock });
+
+      const block = await provider.getBlock(toBlock);
+      checkpoint = await ChainCheckpoint.findOneAndUpdate(
+        { name },
+        { $set: { blockNumber: toBlock, blockHash: block.hash, lastError: null } },
+        { upsert: true, new: true }
+      );
+
+      processed += decoded.length;
+      batches += 1;
+      fromBlock = toBlock + 1;
+    }
+
+    return {
+      name,
+      head,
+      safeHead,
+      fromBlock: firstBlock,
+      toBlock: checkpoint ? checkpoint.blockNumber : null,
+      processed,
+      reorg,
+      caughtUp: fromBlock > safeHead,
+    };
+  }
+
+  async rollback(checkpoint, startBlock, reorgDepth, onRollback) {
+    const provider = this.getProvider();
+    const staleBlock = checkpoint.blockNumber;
+
+    // Rewind a fixed depth; anything deeper needs a manual checkpoint reset
+    const target = Math.max(startBlock - 1, staleBlock - reorgDepth, 0);
+    const block = await provider.getBlock(target);
+    if (!block) {
+      throw new ServiceUnavailableError(`Block ${target} not available from RPC`);
+    }
+
+    await onRollback(target);
+
+    checkpoint.blockNumber = target;
+    checkpoint.blockHash = block.hash;
+    checkpoint.reorgCount += 1;
+    checkpoint.lastReorgAt = new Date();
+    await checkpoint.save();
+
+    logger.warn('Chain reorg detected, checkpoint rolled back', {
+      name: checkpoint.name,
+      from: staleBlock,
+      to: target,
+    });
+
+    return { from: staleBlock, to: target };
+  }
+
+  async recordError(name, error) {
+    await ChainCheckpoint.updateOne({ name }, { $set: { lastError: error.message } });
+  }
+
+  async getCheckpoint(name) {
+    return ChainCheckpoint.findOne({ name });
+  }
+}
+
+module.exports = new ChainService();
@@ -368,7 +368,7 @@ class FirebaseNotificationService {
   }
 
   // Notification templates
-  static getWelcomeNotification(user) {
+  getWelcomeNotification(user) {
     return {
       title: 'Welcome to Universal Credit!',
       body: `Hi ${user.email}! Welcome to Universal Credit. Please verify your email to get started.`,
@@ -379,7 +379,7 @@ class FirebaseNotificationService {
     };
   }
 
-  static getKycApprovalNotification(user) {
+  getKycApprovalNotification(user) {
     return {
       title: 'KYC Approved! 🎉',
       body: 'Your identity verification has been approved. You can now access all features!',
@@ -390,7 +390,7 @@ class FirebaseNotificationService {
     };
   }
 
-  static getTransactionNotification(user, transaction) {
+  getTransactionNotification(user, transaction) {
     const isDebit = transaction.type === 'TRANSFER' && transaction.amount < 0;
     const actionText = isDebit ? 'sent' : 'received';
     const amountText = `${Math.abs(transaction.amount)} ${transaction.asset}`;
@@ -409,7 +409,7 @@ class FirebaseNotificationService {
     };
   }
 
-  static getPaymentNotification(user, payment) {
+  getPaymentNotification(user, payment) {
     return {
       title: 'Payment Successful! 💰',
       body: `Your payment of $${payment.fiatAmount} has been processed. ${payment.ucAmount} UC added to your account.`,
@@ -423,7 +423,7 @@ class FirebaseNotificationService {
     };
   }
 
-  static getSecurityAlertNotification(user, alertType) {
+  getSecurityAlertNotification(user, alertType) {
     const alerts = {
       login: {
         title: 'New Login Detected 🔐',
@@ -449,6 +449,74 @@ class FirebaseNotificationService {
     };
   }
 
+  getScheduledTransferNotification(user, schedule, run) {
+    const amountText = `${schedule.amount} ${schedule.asset}`;
+    const messages = {
+      COMPLETED: {
+        title: 'Scheduled Transfer Sent',
+        body: `Your scheduled transfer of ${amountText} to ${schedule.recipient} was sent.`,
+      },
+      FAILED: {
+        title: 'Scheduled Transfer Failed',
+        body: `Your scheduled transfer of ${amountText} to ${schedule.recipient} could not be sent: ${run.error}`,
+      },
+      CANCELED: {
+        title: 'Scheduled Transfer Canceled',
+        body: `Your scheduled transfer of ${amountText} to ${schedule.recipient} was canceled by treasury.`,
+      },
+    };
+
+    return {
+      ...messages[run.status],
+      data: {
+        type: 'scheduled_transfer',
+        userId: user._id.toString(),
+        scheduleId: schedule._id.toString(),
+        status: run.status,
+        amount: schedule.amount.toString(),
+        asset: schedule.asset,
+        journalId: run.journalId ? run.journalId.toString() : '',
+      },
+    };
+  }
+
+  getWithdrawalNotification(user, withdrawal) {
+    const messages = {
+      PENDING_APPROVAL: {
+        title: 'Withdrawal Under Review',
+        body: `Your withdrawal of ${withdrawal.amount} UC is awaiting treasury approval.`,
+      },
+      APPROVED: {
+        title: 'Withdrawal Approved',
+        body: `Your withdrawal of ${withdrawal.amount} UC has been approved and will be paid out shortly.`,
+      },
+      COMPLETED: {
+        title: 'Withdrawal Completed ✅',
+        body: `${withdrawal.netAmount} UC has been paid out.`,
+      },
+      REJECTED: {
+        title: 'Withdrawal Rejected',
+        body: `Your withdrawal of ${withdrawal.amount} UC was rejected. The funds are available again.`,
+      },
+      FAILED: {
+        title: 'Withdrawal Failed',
+        body: `Your withdrawal of ${withdrawal.amount} UC could not be paid out. The funds are available again.`,
+      },
+    };
+
+    return {
+      ...messages[withdrawal.status],
+      data: {
+        type: 'withdrawal',
+        userId: user._id.toString(),
+        withdrawalId: withdrawal._id.toString(),
+        status: withdrawal.status,
+        amount: withdrawal.amount.toString(),
+        method: withdrawal.method,
+      },
+    };
+  }
+
   /**
    * Send email via SMTP using Nodemailer
    */
@@ -0,0 +1,722 @@
+const { GlAccount, Account, LedgerEntry, User, AuditLog } = require('../models');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const csv = require('../utils/csv');
+const { renderTable } = require('../utils/pdf');
+const { Decimal, toDecimal, formatAmount } = require('../utils/money');
+
+const DEBIT_NORMAL = ['ASSET', 'EXPENSE'];
+const REPORTS = ['trial-balance', 'general-ledger', 'balance-sheet', 'income-statement'];
+const UNMAPPED = { code: 'UNMAPPED', name: 'Unmapped ledger accounts', category: 'ASSET' };
+
+// Balance in the direction the category grows: debits less credits for assets and
+// expenses, credits less debits for the rest
+const normalBalance = (category, debit, credit) =>
+  (DEBIT_NORMAL.includes(category) ? debit.minus(credit) : credit.minus(debit));
+
+const dateRange = ({ from, to }) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lt = new Date(to);
+  return Object.keys(range).length ? range : undefined;
+};
+
+class GeneralLedgerService {
+  // ===== CHART OF ACCOUNTS =====
+
+  // The chart sorted by code; seeded from config.generalLedger.defaultChart when empty
+  async getChart() {
+    let chart = await GlAccount.find().sort({ code: 1 });
+    if (!chart.length) {
+      try {
+        await GlAccount.insertMany(config.generalLedger.defaultChart, { ordered: false });
+      } catch (error) {
+        // Another request seeded it first
+        if (error.code !== 11000) throw error;
+      }
+      chart = await GlAccount.find().sort({ code: 1 });
+    }
+    return chart;
+  }
+
+  async createGlAccount(adminId, data, metadata = {}) {
+    const admin = await this.getFinanceAdmin(adminId);
+    const chart = await this.getChart();
+
+    if (chart.some(account => account.code === data.code)) {
+      throw new ConflictError(`Code ${data.code} already exists`);
+    }
+    this.assertPlacement(chart, data);
+
+    const account = await GlAccount.create({ ...data, updatedBy: adminId });
+    await this.audit(admin, 'GL_ACCOUNT_CREATE', account, null, metadata);
+
+    logger.info('Chart of accounts code created', { code: account.code, adminId });
+    return account;
+  }
+
+  async updateGlAccount(adminId, code, updates, metadata = {}) {
+    const admin = await this.getFinanceAdmin(adminId);
+    const chart = await this.getChart();
+
+    const account = chart.find(entry => entry.code === code);
+    if (!account) {
+      throw new NotFoundError(`Code ${code} not found`);
+    }
+
+    const next = { ...account.toObject(), ...updates };
+    this.assertPlacement(chart.filter(entry => entry.code !== code), next, code);
+    if (updates.isActive === false && chart.some(entry => entry.parentCode === code && entry.isActive)) {
+      throw new ConflictError(`Code ${code} has active child codes`);
+    }
+
+    const before = account.toObject();
+    account.set({ ...updates, updatedBy: adminId });
+    await account.save();
+    await this.audit(admin, 'GL_ACCOUNT_UPDATE', account, before, metadata);
+
+    logger.info('Chart of accounts code updated', { code, adminId, updates });
+    return account;
+  }
+
+  // Parent must exist with the same category and not be a descendant; each
+  // accountType/asset mapping may belong to one active code only
+  assertPlacement(others, data, code = data.code) {
+    if (data.parentCode) {
+      const parent = others.find(entry => entry.code === data.parentCode);
+      if (!parent) {
+        throw new ValidationError(`Parent code ${data.parentCode} not found`);
+      }
+      if (parent.category !== data.category) {
+        throw new ValidationError(`Code ${code} must have the same category as its parent (${parent.category})`);
+      }
+      for (let ancestor = parent; ancestor; ancestor = others.find(entry => entry.code === ancestor.parentCode)) {
+        if (ancestor.parentCode === code) {
+          throw new ValidationError(`Code ${data.parentCode} is below ${code} and cannot be its parent`);
+        }
+      }
+    }
+
+    if (data.accountType && data.isActive !== false) {
+      const clash = others.find(entry => entry.isActive
+        && entry.accountType === data.accountType
+        && (entry.asset || null) === (data.asset || null));
+      if (clash) {
+        throw new ConflictError(`${data.accountType}${data.asset ? ` ${data.asset}` : ''} accounts already map to code ${clash.code}`);
+      }
+    }
+  }
+
+  // Maps a ledger account's type and asset to its code: an asset-specific mapping wins
+  // over a generic one, and anything unmapped goes to suspense
+  resolver(chart) {
+    const active = chart.filter(account => account.isActive && account.accountType);
+    const suspense = active.find(account => account.accountType === 'SUSPENSE' && !account.asset);
+
+    return (accountType, asset) =>
+      active.find(account => account.accountType === accountType && account.asset === asset)
+      || active.find(account => account.accountType === accountType && !account.asset)
+      || suspense
+      || UNMAPPED;
+  }
+
+  // ===== REPORTS =====
+
+  /**
+   * Debits and credits of POSTED entries matching `match`, summed per ledger account
+   * type and asset (and per transaction type with `byType`).
+   */
+  async aggregate(match, { asset, byType = false } = {}) {
+    const accountGroup = { accountType: '$account.accountType', asset: '$account.asset' };
+    const groups = await LedgerEntry.aggregate([
+      { $match: { status: 'POSTED', ...match } },
+      {
+        $group: {
+          _id: byType ? { accountId: '$accountId', type: '$meta.type' } : { accountId: '$accountId' },
+          debit: { $sum: '$debit' },
+          credit: { $sum: '$credit' },
+        },
+      },
+      { $lookup: { from: Account.collection.name, localField: '_id.accountId', foreignField: '_id', as: 'account' } },
+      { $unwind: '$account' },
+      ...(asset ? [{ $match: { 'account.asset': asset } }] : []),
+      {
+        $group: {
+          _id: byType ? { ...accountGroup, type: '$_id.type' } : accountGroup,
+          debit: { $sum: '$debit' },
+          credit: { $sum: '$credit' },
+        },
+      },
+    ]);
+
+    return groups.map(group => ({
+      ...group._id,
+      debit: toDecimal(group.debit),
+      credit: toDecimal(group.credit),
+    }));
+  }
+
+  // Sums per code and asset, keyed `${code}|${asset}`
+  rollUp(groups, resolve) {
+    const lines = new Map();
+    for (const group of groups) {
+      const account = resolve(group.accountType, group.asset);
+      const key = `${account.code}|${group.asset}`;
+      if (!lines.has(key)) {
+        lines.set(key, { account, asset: group.asset, debit: new Decimal(0), credit: new Decimal(0), byType: {} });
+      }
+      const line = lines.get(key);
+      line.debit = line.debit.plus(group.debit);
+      line.credit = line.credit.plus(group.credit);
+      if (group.type) {
+        const net = normalBalance(account.category, group.debit, group.credit);
+        line.byType[group.type] = (line.byType[group.type] || new Decimal(0)).plus(net);
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Per code and asset: opening balance at `from`, debits and credits in [from, to),
+   * and the closing balance in the debit or credit column. Both pairs of columns must
+   * total equally per asset.
+   */
+  async trialBalance({ from, to, asset } = {}) {
+    const chart = await this.getChart();
+    const resolve = this.resolver(chart);
+
+    const range = dateRange({ from, to });
+
+    const [opening, period] = await Promise.all([
+      from ? this.aggregate({ createdAt: { $lt: new Date(from) } }, { asset }) : [],
+      this.aggregate(range ? { createdAt: range } : {}, { asset }),
+    ]);
+    const openingLines = this.rollUp(opening, resolve);
+    const periodLines = this.rollUp(period, resolve);
+
+    const totals = {};
+    const lines = [...new Set([...openingLines.keys(), ...periodLines.keys()])]
+      .map((key) => {
+        const before = openingLines.get(key);
+        const during = periodLines.get(key);
+        const { account, asset: lineAsset } = before || during;
+        const openingNet = before ? before.debit.minus(before.credit) : new Decimal(0);
+        const debit = during ? during.debit : new Decimal(0);
+        const credit = during ? during.credit : new Decimal(0);
+        const closingNet = openingNet.plus(debit).minus(credit);
+
+        const total = totals[lineAsset] || (totals[lineAsset] = {
+          debit: new Decimal(0), credit: new Decimal(0), closingDebit: new Decimal(0), closingCredit: new Decimal(0),
+        });
+        total.debit = total.debit.plus(debit);
+        total.credit = total.credit.plus(credit);
+        const closingSide = closingNet.isNegative() ? 'closingCredit' : 'closingDebit';
+        total[closingSide] = total[closingSide].plus(closingNet.abs());
+
+        return {
+          code: account.code,
+          name: account.name,
+          category: account.category,
+          asset: lineAsset,
+          opening: formatAmount(DEBIT_NORMAL.includes(account.category) ? openingNet : openingNet.negated(), lineAsset),
+          debit: formatAmount(debit, lineAsset),
+          credit: formatAmount(credit, lineAsset),
+          closingDebit: formatAmount(closingNet.isNegative() ? 0 : closingNet, lineAsset),
+          closingCredit: formatAmount(closingNet.isNegative() ? closingNet.abs() : 0, lineAsset),
+        };
+      })
+      .sort((a, b) => a.asset.localeCompare(b.asset) || a.code.localeCompare(b.code));
+
+    return {
+      from: from || null,
+      to: to || null,
+      lines,
+      totals: Object.entries(totals).map(([totalAsset, total]) => ({
+        asset: totalAsset,
+        debit: formatAmount(total.debit, totalAsset),
+        credit: formatAmount(total.credit, totalAsset),
+        closingDebit: formatAmount(total.closingDebit, totalAsset),
+        closingCredit: formatAmount(total.closingCredit, totalAsset),
+        balanced: total.debit.eq(total.credit) && total.closingDebit.eq(total.closingCredit),
+      })),
+      warnings: this.unmappedWarnings([...openingLines.values(), ...periodLines.values()]),
+    };
+  }
+
+  /**
+   * Every entry in [from, to) grouped by code and asset, with opening balance, running
+   * balance and closing balance. Refuses ranges over config.generalLedger.maxDetailRows.
+   */
+  async generalLedger({ from, to, asset, code } = {}) {
+    const chart = await this.getChart();
+    const resolve = this.resolver(chart);
+    const codes = code ? this.subtreeCodes(chart, code) : null;
+    const range = dateRange({ from, to });
+    const limit = config.generalLedger.maxDetailRows;
+
+    const [opening, entries] = await Promise.all([
+      from ? this.aggregate({ createdAt: { $lt: new Date(from) } }, { asset }) : [],
+      LedgerEntry.aggregate([
+        { $match: { status: 'POSTED', ...(range ? { createdAt: range } : {}) } },
+        { $sort: { createdAt: 1, _id: 1 } },
+        { $lookup: { from: Account.collection.name, localField: 'accountId', foreignField: '_id', as: 'account' } },
+        { $unwind: '$account' },
+        ...(asset ? [{ $match: { 'account.asset': asset } }] : []),
+        ...(codes ? [{ $match: { 'account.accountType': { $in: this.mappedTypes(chart, codes) } } }] : []),
+        { $limit: limit + 1 },
+      ]),
+    ]);
+    if (entries.length > limit) {
+      throw new ValidationError(`General ledger detail is limited to ${limit} entries; narrow the date range or filter by code or asset`);
+    }
+
+    const sections = new Map();
+    const section = (account, sectionAsset) => {
+      const key = `${account.code}|${sectionAsset}`;
+      if (!sections.has(key)) {
+        sections.set(key, {
+          code: account.code,
+          name: account.name,
+          category: account.category,
+          asset: sectionAsset,
+          opening: new Decimal(0),
+          debit: new Decimal(0),
+          credit: new Decimal(0),
+          entries: [],
+        });
+      }
+      return sections.get(key);
+    };
+
+    for (const line of this.rollUp(opening, resolve).values()) {
+      if (!codes || codes.includes(line.account.code)) {
+        section(line.account, line.asset).opening = normalBalance(line.account.category, line.debit, line.credit);
+      }
+    }
+
+    for (const entry of entries) {
+      const account = resolve(entry.account.accountType, entry.account.asset);
+      if (codes && !codes.includes(account.code)) continue;
+
+      const target = section(account, entry.account.asset);
+      const debit = toDecimal(entry.debit);
+      const credit = toDecimal(entry.credit);
+      target.debit = target.debit.plus(debit);
+      target.credit = target.credit.plus(credit);
+      target.entries.push({ entry, debit, credit });
+    }
+
+    const result = [...sections.values()]
+      .sort((a, b) => a.asset.localeCompare(b.asset) || a.code.localeCompare(b.code))
+      .map((target) => {
+        let balance = target.opening;
+        return {
+          code: target.code,
+          name: target.name,
+          category: target.category,
+          asset: target.asset,
+          opening: formatAmount(target.opening, target.asset),
+          debit: formatAmount(target.debit, target.asset),
+          credit: formatAmount(target.credit, target.asset),
+          closing: formatAmount(target.opening.plus(normalBalance(target.category, target.debit, target.credit)), target.asset),
+          entries: target.entries.map(({ entry, debit, credit }) => {
+            balance = balance.plus(normalBalance(target.category, debit, credit));
+            return {
+              date: entry.createdAt,
+              journalId: entry.journalId,
+              entryId: entry._id,
+              accountId: entry.accountId,
+              // Only user accounts say whose balance moved; system accounts share one owner
+              userId: entry.account.accountType === 'USER' ? entry.account.userId : undefined,
+              type: entry.meta?.type,
+              description: entry.meta?.description,
+              reference: entry.meta?.reference,
+              debit: formatAmount(debit, target.asset),
+              credit: formatAmount(credit, target.asset),
+              balance: formatAmount(balance, target.asset),
+            };
+          }),
+        };
+      });
+
+    return { from: from || null, to: to || null, code: code || null, sections: result };
+  }
+
+  /**
+   * Assets, liabilities and equity at `to` per asset, using the chart's hierarchy.
+   * Revenue less expenses to date is shown in equity as current earnings, so assets
+   * equal liabilities plus equity.
+   */
+  async balanceSheet({ to, asset } = {}) {
+    const chart = await this.getChart();
+    const resolve = this.resolver(chart);
+    const groups = await this.aggregate(to ? { createdAt: { $lt: new Date(to) } } : {}, { asset });
+    const lines = this.rollUp(groups, resolve);
+    const byAsset = this.valuesByAsset(lines);
+
+    const assets = [...byAsset.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([reportAsset, values]) => {
+      const section = category => this.tree(chart, [category], values, reportAsset);
+      const earnings = this.categoryTotal(chart, values, 'REVENUE').minus(this.categoryTotal(chart, values, 'EXPENSE'));
+      const totalAssets = this.categoryTotal(chart, values, 'ASSET');
+      const totalLiabilities = this.categoryTotal(chart, values, 'LIABILITY');
+      const totalEquity = this.categoryTotal(chart, values, 'EQUITY').plus(earnings);
+
+      return {
+        asset: reportAsset,
+        assets: section('ASSET'),
+        liabilities: section('LIABILITY'),
+        equity: [
+          ...section('EQUITY'),
+          { code: null, name: 'Current earnings', depth: 0, amount: formatAmount(earnings, reportAsset) },
+        ],
+        totals: {
+          assets: formatAmount(totalAssets, reportAsset),
+          liabilities: formatAmount(totalLiabilities, reportAsset),
+          equity: formatAmount(totalEquity, reportAsset),
+          balanced: totalAssets.eq(totalLiabilities.plus(totalEquity)),
+        },
+      };
+    });
+
+    return {
+      asOf: to || new Date().toISOString(),
+      assets,
+      warnings: this.unmappedWarnings([...lines.values()]),
+    };
+  }
+
+  /**
+   * Revenue and expenses in [from, to) per asset. Each line is broken down by the
+   * transaction type that earned it, so fee revenue shows transfer, swap and
+   * withdrawal fees separately.
+   */
+  async incomeStatement({ from, to, asset } = {}) {
+    const chart = await this.getChart();
+    const resolve = this.resolver(chart);
+    const range = dateRange({ from, to });
+    const groups = await this.aggregate(range ? { createdAt: range } : {}, { asset, byType: true });
+    const lines = this.rollUp(groups, resolve);
+    const byAsset = this.valuesByAsset(lines);
+
+    const assets = [...byAsset.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([reportAsset, values]) => {
+      const withSources = rows => rows.map((row) => {
+        const line = row.code && lines.get(`${row.code}|${reportAsset}`);
+        return line && Object.keys(line.byType).length
+          ? {
+            ...row,
+            bySource: Object.entries(line.byType).map(([type, amount]) => ({
+              type,
+              amount: formatAmount(amount, reportAsset),
+            })),
+          }
+          : row;
+      });
+      const revenue = this.categoryTotal(chart, values, 'REVENUE');
+      const expenses = this.categoryTotal(chart, values, 'EXPENSE');
+
+      return {
+        asset: reportAsset,
+        revenue: withSources(this.tree(chart, ['REVENUE'], values, reportAsset)),
+        expenses: withSources(this.tree(chart, ['EXPENSE'], values, reportAsset)),
+        totals: {
+          revenue: formatAmount(revenue, reportAsset),
+          expenses: formatAmount(expenses, reportAsset),
+          netIncome: formatAmount(revenue.minus(expenses), reportAsset),
+        },
+      };
+    }).filter(report => report.revenue.length || report.expenses.length);
+
+    return { from: from || null, to: to || null, assets };
+  }
+
+  // ===== EXPORT =====
+
+  // Run `report` and return it as a CSV or PDF file, one row per line or entry
+  async exportReport(adminId, report, params, format = 'csv', metadata = {}) {
+    if (!REPORTS.includes(report)) {
+      throw new NotFoundError(`Unknown report: ${report}`);
+    }
+    const admin = await this.getFinanceAdmin(adminId);
+
+    const data = await this.runReport(report, params);
+    const filename = `${report}-${new Date(params.to || Date.now()).toISOString().slice(0, 10)}.${format}`;
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: 'EXPORT_GENERATE',
+      object: { type: 'Report', identifier: report },
+      metadata: {
+        ...metadata,
+        format,
+        params,
+        notes: `General-ledger ${report} exported`,
+      },
+    });
+
+    const table = this.toTable(report, data, params);
+    if (format === 'csv') {
+      return {
+        filename,
+        contentType: 'text/csv',
+        body: csv.stringify(table.columns.map(column => column.key), table.rows),
+      };
+    }
+
+    return {
+      filename,
+      contentType: 'application/pdf',
+      body: await renderTable(table),
+    };
+  }
+
+  runReport(report, params = {}) {
+    switch (report) {
+      case 'trial-balance':
+        return this.trialBalance(params);
+      case 'general-ledger':
+        return this.generalLedger(params);
+      case 'balance-sheet':
+        return this.balanceSheet(params);
+      case 'income-statement':
+        return this.incomeStatement(params);
+      default:
+        throw new NotFoundError(`Unknown report: ${report}`);
+    }
+  }
+
+  // Columns and flat rows shared by the CSV and PDF exports
+  toTable(report, data, { from, to, asset, code } = {}) {
+    const period = `${from ? new Date(from).toISOString().slice(0, 10) : 'beginning'} to ${to ? new Date(to).toISOString().slice(0, 10) : 'now'}`;
+    const scope = [asset, code && `code ${code}`].filter(Boolean).join(', ');
+    const subtitle = scope ? `${period} (${scope})` : period;
+    const indent = row => `${'  '.repeat(row.depth || 0)}${row.name}`;
+
+    switch (report) {
+      case 'trial-balance':
+        return {
+          title: 'Trial Balance',
+          subtitle,
+          landscape: true,
+          columns: [
+            { key: 'asset', label: 'Asset', width: 0.08 },
+            { key: 'code', label: 'Code', width: 0.08 },
+            { key: 'name', label: 'Account', width: 0.2 },
+            { key: 'opening', label: 'Opening', align: 'right' },
+            { key: 'debit', label: 'Debits', align: 'right' },
+            { key: 'credit', label: 'Credits', align: 'right' },
+            { key: 'closingDebit', label: 'Closing Dr', align: 'right' },
+            { key: 'closingCredit', label: 'Closing Cr', align: 'right' },
+          ],
+          rows: [
+            ...data.lines,
+            ...data.totals.map(total => ({ ...total, name: 'Total', _bold: true })),
+          ],
+        };
+
+      case 'general-ledger':
+        return {
+          title: 'General Ledger',
+          subtitle,
+          landscape: true,
+          columns: [
+            { key: 'asset', label: 'Asset', width: 0.07 },
+            { key: 'code', label: 'Code', width: 0.06 },
+            { key: 'date', label: 'Date', width: 0.13 },
+            { key: 'journalId', label: 'Journal', width: 0.16 },
+            { key: 'type', label: 'Type', width: 0.09 },
+            { key: 'description', label: 'Description' },
+            { key: 'debit', label: 'Debit', align: 'right', width: 0.1 },
+            { key: 'credit', label: 'Credit', align: 'right', width: 0.1 },
+            { key: 'balance', label: 'Balance', align: 'right', width: 0.1 },
+          ],
+          rows: data.sections.flatMap(section => [
+            { asset: section.asset, code: section.code, description: `${section.name}: opening balance`, balance: section.opening, _bold: true },
+            ...section.entries.map(entry => ({
+              ...entry,
+              asset: section.asset,
+              code: section.code,
+              date: new Date(entry.date).toISOString(),
+              journalId: entry.journalId.toString(),
+            })),
+            { asset: section.asset, code: section.code, description: `${section.name}: closing balance`, debit: section.debit, credit: section.credit, balance: section.closing, _bold: true },
+          ]),
+        };
+
+      case 'balance-sheet':
+        return {
+          title: 'Balance Sheet',
+          subtitle: `As of ${new Date(data.asOf).toISOString().slice(0, 10)}${asset ? ` (${asset})` : ''}`,
+          columns: [
+            { key: 'asset', label: 'Asset', width: 0.12 },
+            { key: 'code', label: 'Code', width: 0.12 },
+            { key: 'name', label: 'Account' },
+            { key: 'amount', label: 'Amount', align: 'right', width: 0.2 },
+          ],
+          rows: data.assets.flatMap(sheet => [
+            ...sheet.assets.map(row => ({ ...row, asset: sheet.asset, name: indent(row) })),
+            { asset: sheet.asset, name: 'Total assets', amount: sheet.totals.assets, _bold: true },
+            ...sheet.liabilities.map(row => ({ ...row, asset: sheet.asset, name: indent(row) })),
+            { asset: sheet.asset, name: 'Total liabilities', amount: sheet.totals.liabilities, _bold: true },
+            ...sheet.equity.map(row => ({ ...row, asset: sheet.asset, name: indent(row) })),
+            { asset: sheet.asset, name: 'Total equity', amount: sheet.totals.equity, _bold: true },
+          ]),
+        };
+
+      case 'income-statement':
+        return {
+          title: 'Income Statement',
+          subtitle,
+          columns: [
+            { key: 'asset', label: 'Asset', width: 0.12 },
+            { key: 'code', label: 'Code', width: 0.12 },
+            { key: 'name', label: 'Account' },
+            { key: 'amount', label: 'Amount', align: 'right', width: 0.2 },
+          ],
+          rows: data.assets.flatMap((statement) => {
+            const withSources = rows => rows.flatMap(row => [
+              { ...row, asset: statement.asset, name: indent(row) },
+              ...(row.bySource || []).map(source => ({
+                asset: statement.asset,
+                name: `${'  '.repeat((row.depth || 0) + 1)}${source.type}`,
+                amount: source.amount,
+              })),
+            ]);
+            return [
+              ...withSources(statement.revenue),
+              { asset: statement.asset, name: 'Total revenue', amount: statement.totals.revenue, _bold: true },
+              ...withSources(statement.expenses),
+              { asset: statement.asset, name: 'Total expenses', amount: statement.totals.expenses, _bold: true },
+              { asset: statement.asset, name: 'Net income', amount: statement.totals.netIncome, _bold: true },
+            ];
+          }),
+        };
+
+      default:
+        throw new NotFoundError(`Unknown report: ${report}`);
+    }
+  }
+
+  // ===== HELPERS =====
+
+  // Normal-side balance per code, grouped by asset
+  valuesByAsset(lines) {
+    const byAsset = new Map();
+    for (const line of lines.values()) {
+      if (!byAsset.has(line.asset)) byAsset.set(line.asset, new Map());
+      byAsset.get(line.asset).set(line.account.code, {
+        account: line.account,
+        amount: normalBalance(line.account.category, line.debit, line.credit),
+      });
+    }
+    return byAsset;
+  }
+
+  categoryTotal(chart, values, category) {
+    let total = new Decimal(0);
+    for (const { account, amount } of values.values()) {
+      if (account.category === category) total = total.plus(amount);
+    }
+    return total;
+  }
+
+  /**
+   * Codes of `categories` in chart order, each with its own amount plus its children's.
+   * Codes with no activity below them are left out; `depth` gives the indentation.
+   */
+  tree(chart, categories, values, asset) {
+    const children = new Map();
+    const known = new Set(chart.map(account => account.code));
+    for (const account of chart) {
+      const parent = account.parentCode && known.has(account.parentCode) ? account.parentCode : null;
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(account);
+    }
+
+    const rows = [];
+    const visit = (account, depth) => {
+      const index = rows.length;
+      rows.push(null);
+      let total = values.get(account.code)?.amount || new Decimal(0);
+      let active = values.has(account.code);
+      for (const child of children.get(account.code) || []) {
+        const result = visit(child, depth + 1);
+        total = total.plus(result.total);
+        active = active || result.active;
+      }
+      if (!active) {
+        rows.splice(index);
+        return { total, active };
+      }
+      rows[index] = { code: account.code, name: account.name, depth, amount: formatAmount(total, asset) };
+      return { total, active };
+    };
+
+    for (const root of children.get(null) || []) {
+      if (categories.includes(root.category)) visit(root, 0);
+    }
+    // Unmapped accounts are not in the chart but still belong on the report
+    if (values.has(UNMAPPED.code) && categories.includes(UNMAPPED.category)) {
+      rows.push({ code: UNMAPPED.code, name: UNMAPPED.name, depth: 0, amount: formatAmount(values.get(UNMAPPED.code).amount, asset) });
+    }
+    return rows;
+  }
+
+  // `code` and every code below it
+  subtreeCodes(chart, code) {
+    if (!chart.some(account => account.code === code)) {
+      throw new NotFoundError(`Code ${code} not found`);
+    }
+    const codes = [code];
+    for (let i = 0; i < codes.length; i += 1) {
+      codes.push(...chart.filter(account => account.parentCode === codes[i]).map(account => account.code));
+    }
+    return codes;
+  }
+
+  // Ledger account types that can resolve to `codes`; a suspense code also collects
+  // every type without a mapping of its own
+  mappedTypes(chart, codes) {
+    const selected = chart.filter(account => codes.includes(account.code) && account.accountType);
+    if (selected.some(account => account.accountType === 'SUSPENSE' && !account.asset)) {
+      const mapped = chart.filter(account => account.isActive && account.accountType && !account.asset)
+        .map(account => account.accountType);
+      return [...new Set([...selected.map(account => account.accountType), ...Account.schema.path('accountType').enumValues
+        .filter(type => !mapped.includes(type))])];
+    }
+    return [...new Set(selected.map(account => account.accountType))];
+  }
+
+  unmappedWarnings(lines) {
+    const unmapped = [...new Set(lines.filter(line => line.account.code === UNMAPPED.code).map(line => line.asset))];
+    return unmapped.length
+      ? [`Some ${unmapped.join(', ')} ledger accounts have no chart code and no suspense code to fall back to`]
+      : [];
+  }
+
+  async getFinanceAdmin(adminId) {
+    const admin = await User.findById(adminId);
+    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY].includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions for general-ledger reporting');
+    }
+    return admin;
+  }
+
+  async audit(admin, action, account, before, metadata) {
+    await AuditLog.logAction({
+      actor: admin._id,
+      role: admin.role,
+      action,
+      object: { type: 'GlAccount', id: account._id, identifier: account.code },
+      before,
+      after: account.toObject(),
+      metadata: {
+        ...metadata,
+        notes: `Chart of accounts code ${account.code} ${action === 'GL_ACCOUNT_CREATE' ? 'created' : 'updated'}`,
+      },
+    });
+  }
+}
+
+module.exports = new GeneralLedgerService();
@@ -0,0 +1,326 @@
+const { GovernanceEvent, ChainProposal, Wallet } = require('../models');
+const ChainService = require('./ChainService');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { escapeRegex } = require('../utils/regex');
+
+const CHECKPOINT = 'governance';
+
+const GOVERNANCE_EVENTS = [
+  'ProposalCreated',
+  'VoteCast',
+  'ProposalPassed',
+  'ProposalFailed',
+  'ProposalTied',
+  'ProposalExpired',
+];
+
+const FINAL_STATUS = {
+  ProposalPassed: 'APPROVED',
+  ProposalFailed: 'REJECTED',
+  ProposalTied: 'TIED',
+  ProposalExpired: 'EXPIRED',
+};
+
+const SOURCES = [{ contract: 'GovernanceController', events: GOVERNANCE_EVENTS }];
+
+class GovernanceIndexerService {
+  constructor() {
+    this.requiredVotes = null;
+  }
+
+  async sync() {
+    try {
+      return await ChainService.syncEvents(CHECKPOINT, {
+        contracts: SOURCES,
+        onLogs: (logs, range) => this.applyLogs(logs, range),
+        onRollback: blockNumber => this.rollback(blockNumber),
+      });
+    } catch (error) {
+      await ChainService.recordError(CHECKPOINT, error);
+      throw error;
+    }
+  }
+
+  async applyLogs(logs, range = null) {
+    const affected = new Set();
+
+    // Events stored ahead of the cursor by record-transaction that the canonical
+    // range no longer contains were reorged out
+    if (range) {
+      const canonical = new Set(logs.map(log => `${log.txHash}:${log.logIndex}`));
+      const stored = await GovernanceEvent.find({
+        blockNumber: { $gte: range.fromBlock, $lte: range.toBlock },
+      }).select('txHash logIndex proposalId');
+
+      const orphaned = stored.filter(e => !canonical.has(`${e.txHash}:${e.logIndex}`));
+      if (orphaned.length) {
+        await GovernanceEvent.deleteMany({ _id: { $in: orphaned.map(e => e._id) } });
+        orphaned.forEach(e => affected.add(e.proposalId));
+      }
+    }
+
+    const timestamps = await ChainService.getBlockTimestamps(logs.map(log => log.blockNumber));
+
+    for (const log of logs) {
+      const proposalId = Number(log.args.proposalId);
+
+      await GovernanceEvent.updateOne(
+        { txHash: log.txHash, logIndex: log.logIndex },
+        {
+          $set: {
+            event: log.event,
+            proposalId,
+            args: log.args,
+            contractAddress: log.address,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            blockTimestamp: timestamps.get(log.blockNumber),
+          },
+        },
+        { upsert: true }
+      );
+      affected.add(proposalId);
+    }
+
+    const confirmedBlock = range ? range.toBlock : await this.getConfirmedBlock();
+    for (const proposalId of affected) {
+      await this.rebuildProposal(proposalId, confirmedBlock);
+    }
+
+    return affected.size;
+  }
+
+  async rollback(blockNumber) {
+    const proposalIds = await GovernanceEvent.distinct('proposalId', { blockNumber: { $gt: blockNumber } });
+    const { deletedCount } = await GovernanceEvent.deleteMany({ blockNumber: { $gt: blockNumber } });
+
+    for (const proposalId of proposalIds) {
+      await this.rebuildProposal(proposalId, blockNumber);
+    }
+
+    logger.warn('Governance events rolled back', {
+      blockNumber,
+      deletedEvents: deletedCount,
+      proposals: proposalIds,
+    });
+  }
+
+  async rebuildProposal(proposalId, confirmedBlock = null) {
+    const events = await GovernanceEvent.find({ proposalId }).sort({ blockNumber: 1, logIndex: 1 });
+
+    const created = events.find(e => e.event === 'ProposalCreated');
+    if (!created) {
+      await ChainProposal.deleteOne({ proposalId });
+      return null;
+    }
+
+    const votes = events
+      .filter(e => e.event === 'VoteCast')
+      .map(e => ({
+        voter: e.args.voter,
+        support: e.args.support,
+        txHash: e.txHash,
+        blockNumber: e.blockNumber,
+        votedAt: e.blockTimestamp,
+      }));
+    const forVotes = votes.filter(v => v.support).length;
+
+    const final = events.filter(e => FINAL_STATUS[e.event]).pop();
+    const lastEvent = events[events.length - 1];
+
+    const update = {
+      description: created.args.description,
+      proposer: created.args.proposer,
+      txHash: created.txHash,
+      blockNumber: created.blockNumber,
+      createdAt: created.blockTimestamp,
+      votes,
+      forVotes,
+      againstVotes: votes.length - forVotes,
+      totalVotes: votes.length,
+      requiredVotes: await this.getRequiredVotes(),
+      status: final ? FINAL_STATUS[final.event] : 'ACTIVE',
+      passed: final?.event === 'ProposalPassed',
+      failed: final?.event === 'ProposalFailed',
+      tied: final?.event === 'ProposalTied',
+      expired: final?.event === 'ProposalExpired',
+      finalizedAt: final ? final.blockTimestamp : null,
+      finalizedTxHash: final ? final.txHash : null,
+      lastBlockchainSync: new Date(),
+      blockchainStatus: confirmedBlock !== null && lastEvent.blockNumber <= confirmedBlock ? 'SYNCED' : 'PENDING',
+      blockchainError: null,
+    };
+
+    const existing = await ChainProposal.findOne({ proposalId }).select('votingDeadline');
+    if (!existing || !existing.votingDeadline) {
+      try {
+        update.votingDeadline = await this.fetchVotingDeadline(proposalId);
+      } catch (error) {
+        update.blockchainStatus = 'FAILED';
+        update.blockchainError = error.message;
+        logger.warn('Failed to read proposal deadline from chain', { proposalId, error: error.message });
+      }
+    }
+
+    return ChainProposal.findOneAndUpdate(
+      { proposalId },
+      { $set: update },
+      { upsert: true, new: true }
+    );
+  }
+
+  async fetchVotingDeadline(proposalId) {
+    const proposal = await ChainService.getContract('GovernanceController').getProposal(proposalId);
+    return new Date(Number(proposal.votingDeadline) * 1000);
+  }
+
+  async getRequiredVotes() {
+    if (this.requiredVotes === null) {
+      try {
+        const required = await ChainService.getContract('GovernanceController').REQUIRED_VOTES();
+        this.requiredVotes = Number(required);
+      } catch (error) {
+        return undefined;
+      }
+    }
+    return this.requiredVotes;
+  }
+
+  async getConfirmedBlock() {
+    const checkpoint = await ChainService.getCheckpoint(CHECKPOINT);
+    return checkpoint ? checkpoint.blockNumber : null;
+  }
+
+  // Index a single transaction ahead of the cursor so the UI sees it immediately
+  async indexTransaction(txHash) {
+    const result = await ChainService.getReceiptLogs(txHash.toLowerCase(), SOURCES);
+    if (!result) {
+      throw new NotFoundError('Transaction not found on chain');
+    }
+    if (result.receipt.status !== 1) {
+      throw new ValidationError('Transaction reverted on chain');
+    }
+
+    await this.applyLogs(result.logs);
+    return result;
+  }
+
+  async recordTransaction(userId, data, metadata = {}) {
+    const txHash = (data.txHash || data.transactionHash).toLowerCase();
+    const { receipt, logs } = await this.indexTransaction(txHash);
+
+    const created = logs.find(log => log.event === 'ProposalCreated');
+    if (!created) {
+      return { transactionId: txHash, proposalId: null, indexedEvents: logs.length };
+    }
+
+    const proposalId = Number(created.args.proposalId);
+    const proposal = await ChainProposal.findOne({ proposalId });
+
+    // A sender address registered to someone else cannot be claimed
+    const wallet = await Wallet.findOne({ address: receipt.from.toLowerCase() });
+    if (wallet && wallet.userId.toString() !== userId.toString()) {
+      throw new AuthorizationError('Transaction was sent from a wallet owned by another user');
+    }
+    if (proposal.creator && proposal.creator.toString() !== userId.toString()) {
+      throw new AuthorizationError('Proposal was already recorded by another user');
+    }
+
+    proposal.creator = userId;
+    if (data.title) {
+      proposal.title = data.title;
+    }
+    await proposal.save();
+
+    logger.info('Governance proposal transaction recorded', {
+      proposalId,
+      txHash,
+      userId,
+      correlationId: metadata.correlationId,
+    });
+
+    return { transactionId: txHash, proposalId, indexedEvents: logs.length };
+  }
+
+  async getProposalByTxHash(txHash) {
+    const hash = txHash.toLowerCase();
+    let proposal = await ChainProposal.findOne({ txHash: hash }).populate('creator', 'email fullName');
+
+    if (!proposal) {
+      await this.indexTransaction(hash);
+      proposal = await ChainProposal.findOne({ txHash: hash }).populate('creator', 'email fullName');
+    }
+    if (!proposal) {
+      throw new NotFoundError('No governance proposal was created by this transaction');
+    }
+
+    return proposal;
+  }
+
+  async getProposals(userId, filters = {}, pagination = {}) {
+    const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = pagination;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (filters.status) {
+      query.status = filters.status.toUpperCase();
+    }
+    if (filters.proposer) {
+      query.proposer = filters.proposer.toLowerCase();
+    }
+    if (filters.mine && userId) {
+      query.creator = userId;
+    }
+    if (filters.search) {
+      const search = escapeRegex(filters.search);
+      query.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const [proposals, total, syncCounts, checkpoint] = await Promise.all([
+      ChainProposal.find(query)
+        .populate('creator', 'email fullName')
+        .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1, proposalId: sortOrder === 'asc' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit),
+      ChainProposal.countDocuments(query),
+      ChainProposal.aggregate([{ $group: { _id: '$blockchainStatus', count: { $sum: 1 } } }]),
+      ChainService.getCheckpoint(CHECKPOINT),
+    ]);
+
+    const pages = Math.ceil(total / limit);
+    const counts = syncCounts.reduce((acc, s) => {
+      acc[s._id] = s.count;
+      return acc;
+    }, {});
+
+    return {
+      proposals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages,
+      },
+      summary: {
+        totalProposals: total,
+        currentPage: page,
+        hasNextPage: page < pages,
+        hasPrevPage: page > 1,
+      },
+      blockchain: {
+        serviceInitialized: !!checkpoint,
+        contractAddress: ChainService.getAddress('GovernanceController'),
+        lastIndexedBlock: checkpoint ? checkpoint.blockNumber : null,
+        syncedProposals: counts.SYNCED || 0,
+        failedSyncs: counts.FAILED || 0,
+        totalProposalsToSync: counts.PENDING || 0,
+      },
+    };
+  }
+}
+
+module.exports = new GovernanceIndexerService();
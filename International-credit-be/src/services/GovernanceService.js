@@ -0,0 +1,625 @@
+const mongoose = require('mongoose');
+const { Proposal, Vote, VotingWeight, Config, Account, User, AuditLog } = require('../models');
+const ProposalExecutionService = require('./ProposalExecutionService');
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  AuthorizationError,
+  ServiceUnavailableError,
+} = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { Decimal, toDecimal, toDecimal128 } = require('../utils/money');
+const { escapeRegex } = require('../utils/regex');
+
+const ADMIN_ROLES = [
+  config.roles.ADMIN_SUPER,
+  config.roles.ADMIN_COMPLIANCE,
+  config.roles.ADMIN_TREASURY,
+];
+
+const OPEN_STATUSES = ['DRAFT', 'ACTIVE'];
+
+class GovernanceService {
+  async createProposal(userId, proposalData, metadata = {}) {
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.governance) {
+      throw new ServiceUnavailableError('Governance is currently paused');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const { maxProposalsPerUser, votingPeriodDays } = systemConfig.limits;
+
+    const openProposals = await Proposal.countDocuments({
+      proposerId: userId,
+      status: { $in: OPEN_STATUSES },
+    });
+    if (openProposals >= maxProposalsPerUser) {
+      throw new ConflictError(`You can have at most ${maxProposalsPerUser} open proposals`);
+    }
+
+    // Reject payloads that could never be applied before anyone votes on them
+    ProposalExecutionService.buildChange(proposalData.type, proposalData.payload, systemConfig);
+
+    // Requested periods may be shorter than the configured window, never longer
+    const periodDays = Math.min(proposalData.votingPeriodDays || votingPeriodDays, votingPeriodDays);
+    const openAt = proposalData.startAt ? new Date(proposalData.startAt) : new Date();
+    const closeAt = new Date(openAt.getTime() + periodDays * 24 * 60 * 60 * 1000);
+
+    const proposal = await Proposal.create({
+      proposerId: userId,
+      type: proposalData.type,
+      title: proposalData.title,
+      description: proposalData.description,
+      payload: proposalData.payload,
+      status: 'DRAFT',
+      votingPeriod: { openAt, closeAt },
+      quorum: { required: systemConfig.limits.quorumPercentage / 100 },
+      metadata: {
+        tags: proposalData.tags,
+        discussionUrl: proposalData.discussionUrl,
+      },
+    });
+
+    await AuditLog.logAction({
+      actor: userId,
+      role: user.role,
+      action: 'PROPOSAL_CREATE',
+      object: { type: 'Proposal', id: proposal._id, identifier: proposal.type },
+      after: {
+        type: proposal.type,
+        payload: proposal.payload,
+        votingPeriod: proposal.votingPeriod,
+      },
+      metadata: {
+        ...metadata,
+        notes: `Proposal created: ${proposal.title}`,
+      },
+    });
+
+    logger.info('Governance proposal created', {
+      proposalId: proposal._id,
+      proposerId: userId,
+      type: proposal.type,
+      openAt,
+      closeAt,
+    });
+
+    // Proposals without a future start open immediately
+    if (openAt <= new Date()) {
+      return this.activateProposal(proposal);
+    }
+
+    return proposal;
+  }
+
+  async castVote(userId, proposalId, voteData, metadata = {}) {
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.governance) {
+      throw new ServiceUnavailableError('Governance is currently paused');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const proposal = await Proposal.findById(proposalId);
+    if (!proposal) {
+      throw new NotFoundError('Proposal not found');
+    }
+
+    if (!proposal.isActive) {
+      throw new ValidationError('Proposal is not open for voting');
+    }
+
+    const weight = await this.getVotingWeight(proposal, userId);
+    if (!weight.gt(0)) {
+      throw new ValidationError('A UC balance when voting opened is required to vote');
+    }
+
+    const choice = voteData.choice || (voteData.support ? 'FOR' : 'AGAINST');
+
+    let vote;
+    try {
+      vote = await Vote.create({
+        proposalId,
+        voterId: userId,
+        choice,
+        weight: toDecimal128(weight),
+        reason: voteData.reason,
+        metadata: {
+          ipAddress: metadata.ipAddress,
+          userAgent: metadata.userAgent,
+        },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('You have already voted on this proposal');
+      }
+      throw error;
+    }
+
+    const tallyField = `tallies.${choice.toLowerCase()}`;
+    const updated = await Proposal.findByIdAndUpdate(
+      proposalId,
+      { $inc: { [tallyField]: toDecimal128(weight), 'tallies.total': toDecimal128(weight) } },
+      { new: true }
+    );
+
+    // The achieved share is only for display; hasQuorum compares the exact tallies
+    const eligibleWeight = toDecimal(updated.quorum.eligibleWeight);
+    updated.quorum.achieved = eligibleWeight.gt(0)
+      ? toDecimal(updated.tallies.total).div(eligibleWeight).toNumber()
+      : 0;
+    await updated.save();
+
+    await AuditLog.logAction({
+      actor: userId,
+      role: user.role,
+      action: 'VOTE_CAST',
+      object: { type: 'Proposal', id: proposalId, identifier: updated.type },
+      after: { choice, weight: weight.toFixed(), tallies: updated.toJSON().tallies },
+      metadata: {
+        ...metadata,
+        voteId: vote._id,
+        notes: `Vote cast: ${choice}`,
+      },
+    });
+
+    logger.info('Governance vote cast', {
+      proposalId,
+      voterId: userId,
+      choice,
+      weight: weight.toFixed(),
+    });
+
+    return { vote, proposal: updated };
+  }
+
+  async cancelProposal(userId, proposalId, reason, metadata = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const proposal = await Proposal.findById(proposalId);
+    if (!proposal) {
+      throw new NotFoundError('Proposal not found');
+    }
+
+    const isAdmin = ADMIN_ROLES.includes(user.role);
+    if (!isAdmin && !proposal.proposerId.equals(userId)) {
+      throw new AuthorizationError('Only the proposer or an admin can cancel this proposal');
+    }
+
+    if (!OPEN_STATUSES.includes(proposal.status)) {
+      throw new ConflictError(`Cannot cancel a proposal that is ${proposal.status.toLowerCase()}`);
+    }
+
+    // Proposers lose the right to withdraw once votes have been cast
+    if (!isAdmin && proposal.tallies.total > 0) {
+      throw new ConflictError('Proposal already has votes and can only be cancelled by an admin');
+    }
+
+    const previousStatus = proposal.status;
+    proposal.status = 'CANCELLED';
+    proposal.cancelledAt = new Date();
+    proposal.cancelledBy = userId;
+    await proposal.save();
+
+    await AuditLog.logAction({
+      actor: userId,
+      role: user.role,
+      action: 'PROPOSAL_CANCEL',
+      object: { type: 'Proposal', id: proposal._id, identifier: proposal.type },
+      before: { status: previousStatus },
+      after: { status: 'CANCELLED' },
+      metadata: {
+        ...metadata,
+        reason,
+        notes: isAdmin ? 'Proposal cancelled by admin' : 'Proposal withdrawn by proposer',
+      },
+    });
+
+    return proposal;
+  }
+
+  async executeProposal(adminId, proposalId, metadata = {}) {
+    const admin = adminId ? await User.findById(adminId) : null;
+    if (adminId && (!admin || !ADMIN_ROLES.includes(admin.role))) {
+      throw new AuthorizationError('Admin access required to execute proposals');
+    }
+
+    const proposal = await Proposal.findById(proposalId);
+    if (!proposal) {
+      throw new NotFoundError('Proposal not found');
+    }
+
+    if (proposal.status !== 'PASSED') {
+      throw new ConflictError(`Only passed proposals can be executed (status: ${proposal.status})`);
+    }
+
+    if (!proposal.isExecutable) {
+      throw new ValidationError(`Proposal cannot be executed before ${proposal.executableAt.toISOString()}`);
+    }
+
+    // Claim the proposal so the scheduler and an admin cannot both execute it
+    const claimed = await Proposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'PASSED', executedAt: { $exists: false } },
+      {
+        $set: { executedAt: new Date(), executedBy: adminId || undefined },
+        $inc: { 'executionResult.attempts': 1 },
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ConflictError('Proposal is already being executed');
+    }
+
+    const attempts = claimed.executionResult.attempts;
+    try {
+      const result = await ProposalExecutionService.execute(claimed, adminId || null);
+
+      claimed.status = 'EXECUTED';
+      claimed.executionResult = { success: true, attempts, ...result };
+    } catch (error) {
+      // Leave the proposal PASSED so an admin can retry after fixing the cause
+      claimed.executedAt = undefined;
+      claimed.executedBy = undefined;
+      claimed.executionResult = {
+        success: false,
+        attempts,
+        error: error.message,
+        logs: [`Execution failed: ${error.message}`],
+      };
+
+      logger.error('Governance proposal execution failed', {
+        proposalId: claimed._id,
+        type: claimed.type,
+        error: error.message,
+      });
+    }
+    await claimed.save();
+
+    await AuditLog.logAction({
+      actor: adminId || null,
+      role: admin ? admin.role : 'system',
+      action: 'PROPOSAL_EXECUTE',
+      object: { type: 'Proposal', id: claimed._id, identifier: claimed.type },
+      before: { status: 'PASSED' },
+      after: { status: claimed.status, executionResult: claimed.executionResult },
+      metadata: {
+        ...metadata,
+        notes: adminId ? 'Proposal executed by admin' : 'Proposal executed by scheduler',
+      },
+      result: {
+        success: claimed.executionResult.success,
+        error: claimed.executionResult.error,
+      },
+    });
+
+    logger.info('Governance proposal executed', {
+      proposalId: claimed._id,
+      type: claimed.type,
+      success: claimed.executionResult.success,
+    });
+
+    return claimed;
+  }
+
+  async previewProposal(proposalId) {
+    const proposal = await Proposal.findById(proposalId);
+    if (!proposal) {
+      throw new NotFoundError('Proposal not found');
+    }
+
+    const preview = await ProposalExecutionService.preview(proposal.type, proposal.payload);
+    return { proposalId: proposal._id, status: proposal.status, ...preview };
+  }
+
+  async getProposals(userId, filters = {}, pagination = {}) {
+    const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = pagination;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (filters.status) {
+      query.status = filters.status.toUpperCase();
+    }
+    if (filters.type) {
+      query.type = filters.type;
+    }
+    if (filters.mine && userId) {
+      query.proposerId = userId;
+    }
+    if (filters.search) {
+      query.title = { $regex: escapeRegex(filters.search), $options: 'i' };
+    }
+
+    const [proposals, total] = await Promise.all([
+      Proposal.find(query)
+        .populate('proposerId', 'email fullName')
+        .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit),
+      Proposal.countDocuments(query)
+    ]);
+
+    const pages = Math.ceil(total / limit);
+
+    return {
+      proposals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages,
+      },
+      summary: {
+        totalProposals: total,
+        currentPage: page,
+        hasNextPage: page < pages,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  async getProposal(proposalId, userId = null) {
+    const proposal = await Proposal.findById(proposalId)
+      .populate('proposerId', 'email fullName');
+    if (!proposal) {
+      throw new NotFoundError('Proposal not found');
+    }
+
+    const userVote = userId
+      ? await Vote.findOne({ proposalId, voterId: userId })
+      : null;
+
+    return { proposal, userVote };
+  }
+
+  async getUserVotes(userId, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const [votes, total] = await Promise.all([
+      Vote.find({ voterId: userId })
+        .populate('proposalId', 'title type status votingPeriod')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Vote.countDocuments({ voterId: userId })
+    ]);
+
+    return {
+      votes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getStats() {
+    const [byStatus, totalVotes, voters, systemConfig] = await Promise.all([
+      Proposal.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Vote.countDocuments(),
+      Vote.distinct('voterId'),
+      Config.getConfig(),
+    ]);
+
+    const counts = byStatus.reduce((acc, s) => {
+      acc[s._id] = s.count;
+      return acc;
+    }, {});
+
+    return {
+      totalProposals: byStatus.reduce((sum, s) => sum + s.count, 0),
+      draft: counts.DRAFT || 0,
+      active: counts.ACTIVE || 0,
+      passed: counts.PASSED || 0,
+      rejected: counts.REJECTED || 0,
+      expired: counts.EXPIRED || 0,
+      executed: counts.EXECUTED || 0,
+      cancelled: counts.CANCELLED || 0,
+      totalVotes,
+      uniqueVoters: voters.length,
+      limits: systemConfig.limits,
+    };
+  }
+
+  // The voter's UC snapshot for the proposal, as a Decimal
+  async getVotingWeight(proposal, userId) {
+    // Proposals opened before snapshots existed take theirs on the first vote
+    if (!proposal.quorum.snapshotAt) {
+      await this.captureVotingWeights(proposal._id);
+    }
+    const snapshot = await VotingWeight.findOne({ proposalId: proposal._id, userId });
+    return toDecimal(snapshot && snapshot.weight);
+  }
+
+  /**
+   * Record every active UC account's available balance as its voting weight on the
+   * proposal and return their total. Existing weights are kept, so a repeat or a
+   * concurrent activation cannot change a snapshot.
+   */
+  async captureVotingWeights(proposalId) {
+    const id = new mongoose.Types.ObjectId(proposalId);
+    await Account.aggregate([
+      { $match: { asset: config.assets.UC, accountType: 'USER', status: 'ACTIVE' } },
+      {
+        $lookup: {
+          from: 'balances',
+          localField: '_id',
+          foreignField: 'accountId',
+          as: 'balance',
+        },
+      },
+      { $unwind: '$balance' },
+      { $match: { 'balance.available': { $gt: 0 } } },
+      {
+        $project: {
+          _id: 0,
+          proposalId: { $literal: id },
+          userId: 1,
+          accountId: '$_id',
+          weight: '$balance.available',
+          createdAt: '$$NOW',
+        },
+      },
+      {
+        $merge: {
+          into: VotingWeight.collection.collectionName,
+          on: ['proposalId', 'userId'],
+          whenMatched: 'keepExisting',
+          whenNotMatched: 'insert',
+        },
+      },
+    ]);
+
+    const [result] = await VotingWeight.aggregate([
+      { $match: { proposalId: id } },
+      { $group: { _id: null, total: { $sum: '$weight' } } },
+    ]);
+    const eligibleWeight = result ? toDecimal(result.total) : new Decimal(0);
+
+    await Proposal.updateOne(
+      { _id: id },
+      { $set: { 'quorum.eligibleWeight': toDecimal128(eligibleWeight), 'quorum.snapshotAt': new Date() } }
+    );
+    return eligibleWeight;
+  }
+
+  async activateProposal(proposal) {
+    if (proposal.status !== 'DRAFT') {
+      return proposal;
+    }
+    await this.captureVotingWeights(proposal._id);
+
+    const updated = await Proposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'DRAFT' },
+      { $set: { status: 'ACTIVE' } },
+      { new: true }
+    );
+
+    if (updated) {
+      await this.logStatusChange(updated, 'DRAFT', 'Voting opened');
+    }
+
+    return updated || proposal;
+  }
+
+  async finalizeProposal(proposal) {
+    const systemConfig = await Config.getConfig();
+
+    let status;
+    if (!proposal.hasQuorum) {
+      status = 'EXPIRED';
+    } else {
+      status = proposal.isPassing ? 'PASSED' : 'REJECTED';
+    }
+
+    const update = { status };
+    if (status === 'PASSED') {
+      update.executableAt = new Date(
+        proposal.votingPeriod.closeAt.getTime() +
+        systemConfig.limits.executionDelayHours * 60 * 60 * 1000
+      );
+    }
+
+    const updated = await Proposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'ACTIVE' },
+      { $set: update },
+      { new: true }
+    );
+
+    if (updated) {
+      await this.logStatusChange(updated, 'ACTIVE', status === 'EXPIRED'
+        ? 'Voting closed without quorum'
+        : `Voting closed: ${status.toLowerCase()}`);
+    }
+
+    return updated;
+  }
+
+  async processScheduledTransitions() {
+    const now = new Date();
+    const results = { activated: 0, finalized: 0, executed: 0, failed: 0 };
+
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.governance) {
+      logger.info('Governance paused, skipping scheduled transitions');
+      return results;
+    }
+
+    const due = await Proposal.find({ status: 'DRAFT', 'votingPeriod.openAt': { $lte: now } });
+    for (const proposal of due) {
+      await this.activateProposal(proposal);
+      results.activated += 1;
+    }
+
+    const closed = await Proposal.find({ status: 'ACTIVE', 'votingPeriod.closeAt': { $lte: now } });
+    for (const proposal of closed) {
+      if (await this.finalizeProposal(proposal)) {
+        results.finalized += 1;
+      }
+    }
+
+    // Failed executions are left for an admin to retry rather than looping here
+    const executable = await Proposal.find({
+      status: 'PASSED',
+      executableAt: { $lte: now },
+      executedAt: { $exists: false },
+      'executionResult.success': { $ne: false },
+    });
+    for (const proposal of executable) {
+      try {
+        const executed = await this.executeProposal(null, proposal._id);
+        if (executed.executionResult.success) {
+          results.executed += 1;
+        } else {
+          results.failed += 1;
+        }
+      } catch (error) {
+        results.failed += 1;
+        logger.error('Scheduled proposal execution failed', {
+          proposalId: proposal._id,
+          error: error.message,
+        });
+      }
+    }
+
+    return results;
+  }
+
+  async logStatusChange(proposal, previousStatus, notes) {
+    await AuditLog.logAction({
+      actor: null,
+      role: 'system',
+      action: 'PROPOSAL_STATUS_CHANGE',
+      object: { type: 'Proposal', id: proposal._id, identifier: proposal.type },
+      before: { status: previousStatus },
+      after: {
+        status: proposal.status,
+        tallies: proposal.tallies,
+        quorum: proposal.quorum,
+      },
+      metadata: { notes },
+    });
+
+    logger.info('Governance proposal status changed', {
+      proposalId: proposal._id,
+      from: previousStatus,
+      to: proposal.status,
+    });
+  }
+}
+
+module.exports = new GovernanceService();
@@ -1,7 +1,7 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const { KycApplication, User, AuditLog } = require('../models');
-const { NotFoundError, ConflictError, InternalServerError } = require('../utils/errors');
+const { NotFoundError, ConflictError, InternalServerError, AuthorizationError } = require('../utils/errors');
 const config = require('../config');
 const logger = require('../utils/logger');
 const EmailService = require('./EmailService');
@@ -193,7 +193,7 @@ class KycService {
 
       const payload = JSON.parse(rawBody.toString());
 
-      const { type, applicantId, reviewResult, externalUserId, inspectionId } = payload;
+      const { type, applicantId, reviewResult, inspectionId } = payload;
 
       if (type !== 'applicantReviewed') {
         logger.info('Unhandled webhook type:', { type, applicantId });
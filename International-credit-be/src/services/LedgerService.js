@@ -1,118 +1,412 @@
 const mongoose = require('mongoose');
-const { LedgerEntry, Account, Balance, User, AuditLog } = require('../models');
-const { NotFoundError, ValidationError, ConflictError, InternalServerError } = require('../utils/errors');
+const { LedgerEntry, Account, Balance, Hold, User, AuditLog } = require('../models');
+const { NotFoundError, ValidationError, ConflictError, InternalServerError, AuthorizationError } = require('../utils/errors');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { Decimal, toDecimal, toDecimal128, assertScale, formatAmount, applyBps } = require('../utils/money');
 const { v4: uuidv4 } = require('uuid');
 
+// Statuses an account may be moved to, and the statuses it may be moved from
+const ACCOUNT_STATUS_TRANSITIONS = {
+  FROZEN: ['ACTIVE'],
+  ACTIVE: ['FROZEN'],
+  CLOSED: ['ACTIVE', 'FROZEN'],
+};
+
+const ACCOUNT_STATUS_ACTIONS = {
+  FROZEN: 'ACCOUNT_FREEZE',
+  ACTIVE: 'ACCOUNT_UNFREEZE',
+  CLOSED: 'ACCOUNT_CLOSE',
+};
+
 class LedgerService {
   async createJournal(entries, metadata = {}) {
+    this.validateJournal(entries);
+
+    const session = await mongoose.startSession();
+    const journalId = new mongoose.Types.ObjectId();
+
+    try {
+      await session.withTransaction(async () => {
+        await this.writeJournal(journalId, entries, metadata, session);
+      });
+
+      return { journalId, success: true };
+    } catch (error) {
+      logger.error('Journal creation failed', {
+        error: error.message,
+        journalId: journalId.toString(),
+        metadata,
+      });
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  validateJournal(entries) {
     if (!entries || entries.length < 2) {
       throw new ValidationError('Journal must have at least 2 entries (double-entry)');
     }
 
-    // Validate double-entry accounting rules
-    let totalDebits = 0;
-    let totalCredits = 0;
+    // Validate double-entry accounting rules; amounts are exact decimals, so no tolerance
+    let totalDebits = new Decimal(0);
+    let totalCredits = new Decimal(0);
 
     for (const entry of entries) {
-      if (entry.debit && entry.credit) {
+      const debit = toDecimal(entry.debit);
+      const credit = toDecimal(entry.credit);
+      if (debit.isNegative() || credit.isNegative()) {
+        throw new ValidationError('Entry amounts cannot be negative');
+      }
+      if (!debit.isZero() && !credit.isZero()) {
         throw new ValidationError('Entry cannot have both debit and credit');
       }
-      if (!entry.debit && !entry.credit) {
+      if (debit.isZero() && credit.isZero()) {
         throw new ValidationError('Entry must have either debit or credit');
       }
-      
-      totalDebits += entry.debit || 0;
-      totalCredits += entry.credit || 0;
+
+      totalDebits = totalDebits.plus(debit);
+      totalCredits = totalCredits.plus(credit);
     }
 
-    if (Math.abs(totalDebits - totalCredits) > 0.00000001) { // Allow for floating point precision
-      throw new ValidationError(`Journal must balance: debits=${totalDebits}, credits=${totalCredits}`);
+    if (!totalDebits.eq(totalCredits)) {
+      throw new ValidationError(`Journal must balance: debits=${totalDebits.toFixed()}, credits=${totalCredits.toFixed()}`);
     }
 
+    return { totalDebits, totalCredits };
+  }
+
+  // Account status rules for every posting: FROZEN accounts can be credited but not debited,
+  // except by a reversal, which is often the reason the account was frozen
+  assertCanPost(account, side, transactionType) {
+    if (account.status === 'CLOSED') {
+      throw new ValidationError(`${account.asset} account is closed`);
+    }
+    if (account.status === 'FROZEN' && side === 'debit' && transactionType !== config.transactionTypes.REVERSAL) {
+      throw new ValidationError(`${account.asset} account is frozen and cannot send funds`);
+    }
+  }
+
+  // Writes a validated journal inside the caller's transaction
+  async writeJournal(journalId, entries, metadata, session) {
+    const { totalDebits, totalCredits } = this.validateJournal(entries);
+    const ledgerEntries = [];
+
+    // Each asset has its own books, so debits and credits must balance per asset
+    const netByAsset = {};
+    for (const entry of entries) {
+      const account = await Account.findById(entry.accountId).session(session);
+      if (!account) {
+        throw new NotFoundError(`Account not found: ${entry.accountId}`);
+      }
+      const debit = assertScale(entry.debit, account.asset);
+      const credit = assertScale(entry.credit, account.asset);
+      this.assertCanPost(account, debit.gt(0) ? 'debit' : 'credit', metadata.transactionType);
+      netByAsset[account.asset] = (netByAsset[account.asset] || new Decimal(0)).plus(debit).minus(credit);
+    }
+    for (const [asset, net] of Object.entries(netByAsset)) {
+      if (!net.isZero()) {
+        throw new ValidationError(`Journal does not balance for ${asset}: difference ${net.toFixed()}`);
+      }
+    }
+
+    for (const [index, entry] of entries.entries()) {
+      // Create ledger entry
+      const ledgerEntry = new LedgerEntry({
+        journalId,
+        accountId: entry.accountId,
+        debit: toDecimal128(entry.debit),
+        credit: toDecimal128(entry.credit),
+        meta: {
+          ...entry.meta,
+          correlationId: metadata.correlationId || uuidv4(),
+          // meta.idempotencyKey is unique, so only the journal's first entry carries it
+          idempotencyKey: index === 0 ? metadata.idempotencyKey : undefined,
+        },
+        status: 'POSTED',
+      });
+
+      await ledgerEntry.save({ session });
+      ledgerEntries.push(ledgerEntry);
+
+      // Update balance cache
+      await this.updateBalance(entry.accountId, session);
+    }
+
+    // Log audit trail
+    if (metadata.userId) {
+      const user = await User.findById(metadata.userId).session(session);
+      if (user) {
+        await AuditLog.logAction({
+          actor: metadata.userId,
+          role: user.role,
+          action: metadata.transactionType || 'TRANSFER',
+          object: { 
+            type: 'Journal', 
+            id: journalId,
+            identifier: journalId.toString(),
+          },
+          metadata: {
+            ...metadata,
+            journalId: journalId.toString(),
+            entryCount: entries.length,
+            totalAmount: totalDebits.toFixed(),
+            notes: `Journal created: ${metadata.description || ''}`,
+          },
+        });
+      }
+    }
+
+    logger.info('Journal created', {
+      journalId: journalId.toString(),
+      entryCount: entries.length,
+      totalDebits: totalDebits.toFixed(),
+      totalCredits: totalCredits.toFixed(),
+      correlationId: metadata.correlationId,
+      transactionType: metadata.transactionType,
+    });
+
+    return { journalId, entries: ledgerEntries };
+  }
+
+  /**
+   * Reserve `amount` of an account's available balance. The reservation is a single
+   * conditional update on Balance, so concurrent holds cannot take the same funds.
+   */
+  async authorizeHold(accountId, amount, options = {}) {
+    const { type, reference, description, userId, expiresAt } = options;
+    if (!toDecimal(amount).gt(0)) {
+      throw new ValidationError('Hold amount must be positive');
+    }
+
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new NotFoundError('Account not found');
+    }
+    this.assertCanPost(account, 'debit', type);
+    const held = assertScale(amount, account.asset);
+
     const session = await mongoose.startSession();
-    const journalId = new mongoose.Types.ObjectId();
+    let hold;
 
     try {
       await session.withTransaction(async () => {
-        const ledgerEntries = [];
+        const balance = await Balance.findOneAndUpdate(
+          { accountId, available: { $gte: toDecimal128(held) } },
+          { $inc: { available: toDecimal128(held.negated()), pending: toDecimal128(held), version: 1 } },
+          { new: true, session }
+        );
+        if (!balance) {
+          throw new ValidationError('Insufficient balance');
+        }
 
-        for (const entry of entries) {
-          // Verify account exists
-          const account = await Account.findById(entry.accountId).session(session);
-          if (!account) {
-            throw new NotFoundError(`Account not found: ${entry.accountId}`);
-          }
+        [hold] = await Hold.create([{
+          accountId,
+          userId: userId || account.userId,
+          asset: account.asset,
+          amount: held.toFixed(),
+          remaining: held.toFixed(),
+          type,
+          reference,
+          description,
+          expiresAt: expiresAt === undefined
+            ? new Date(Date.now() + config.holds.defaultTtlMs)
+            : expiresAt,
+        }], { session });
+      });
+    } finally {
+      await session.endSession();
+    }
 
-          // Create ledger entry
-          const ledgerEntry = new LedgerEntry({
-            journalId,
-            accountId: entry.accountId,
-            debit: entry.debit || 0,
-            credit: entry.credit || 0,
-            meta: {
-              ...entry.meta,
-              correlationId: metadata.correlationId || uuidv4(),
-              idempotencyKey: metadata.idempotencyKey,
-            },
-            status: 'POSTED',
-          });
+    logger.info('Hold authorized', {
+      holdId: hold._id.toString(),
+      accountId: accountId.toString(),
+      amount: held.toFixed(),
+      type,
+      reference,
+    });
+
+    return hold;
+  }
 
-          await ledgerEntry.save({ session });
-          ledgerEntries.push(ledgerEntry);
+  /**
+   * Post a journal against an active hold. The journal's debits on the held account
+   * are the captured amount and may not exceed what remains of the hold. Unless
+   * `final` is false, any remainder is released in the same transaction.
+   */
+  async captureHold(holdId, entries, metadata = {}, { final = true } = {}) {
+    this.validateJournal(entries);
 
-          // Update balance cache
-          await this.updateBalance(entry.accountId, session);
+    const session = await mongoose.startSession();
+    const journalId = new mongoose.Types.ObjectId();
+    let hold;
+
+    try {
+      await session.withTransaction(async () => {
+        hold = await Hold.findOne({ _id: holdId, status: 'ACTIVE' }).session(session);
+        if (!hold) {
+          throw new ConflictError('Hold is not active');
         }
 
-        // Log audit trail
-        if (metadata.userId) {
-          const user = await User.findById(metadata.userId).session(session);
-          if (user) {
-            await AuditLog.logAction({
-              actor: metadata.userId,
-              role: user.role,
-              action: metadata.transactionType || 'TRANSFER',
-              object: { 
-                type: 'Journal', 
-                id: journalId,
-                identifier: journalId.toString(),
-              },
-              metadata: {
-                ...metadata,
-                journalId: journalId.toString(),
-                entryCount: entries.length,
-                totalAmount: totalDebits,
-                notes: `Journal created: ${metadata.description || ''}`,
-              },
-            });
-          }
+        const captured = entries
+          .filter(entry => entry.accountId.toString() === hold.accountId.toString())
+          .reduce((sum, entry) => sum.plus(toDecimal(entry.debit)), new Decimal(0));
+        if (!captured.gt(0)) {
+          throw new ValidationError('Journal does not debit the held account');
+        }
+        if (captured.gt(hold.remaining)) {
+          throw new ValidationError(`Cannot capture ${captured.toFixed()}; only ${hold.remaining} remains on the hold`);
         }
 
-        logger.info('Journal created', {
-          journalId: journalId.toString(),
-          entryCount: entries.length,
-          totalDebits,
-          totalCredits,
-          correlationId: metadata.correlationId,
-          transactionType: metadata.transactionType,
-        });
+        const remaining = final ? new Decimal(0) : toDecimal(hold.remaining).minus(captured);
+        hold.capturedAmount = toDecimal(hold.capturedAmount).plus(captured).toFixed();
+        hold.remaining = remaining.toFixed();
+        hold.journalIds.push(journalId);
+        if (remaining.isZero()) {
+          hold.status = 'CAPTURED';
+          hold.settledAt = new Date();
+        }
+        await hold.save({ session });
 
-        return { journalId, entries: ledgerEntries };
+        // Saved before the journal so its balance refresh no longer counts the captured part
+        await this.writeJournal(journalId, entries, metadata, session);
       });
-
-      return { journalId, success: true };
     } catch (error) {
-      logger.error('Journal creation failed', {
+      logger.error('Hold capture failed', {
         error: error.message,
+        holdId: holdId.toString(),
         journalId: journalId.toString(),
-        metadata,
       });
       throw error;
     } finally {
       await session.endSession();
     }
+
+    logger.info('Hold captured', {
+      holdId: holdId.toString(),
+      journalId: journalId.toString(),
+      capturedAmount: hold.capturedAmount,
+      status: hold.status,
+    });
+
+    return { journalId, hold, success: true };
+  }
+
+  async releaseHold(holdId, reason, status = 'RELEASED') {
+    const session = await mongoose.startSession();
+    let hold;
+
+    try {
+      await session.withTransaction(async () => {
+        hold = await Hold.findOneAndUpdate(
+          { _id: holdId, status: 'ACTIVE' },
+          { $set: { status, remaining: 0, releaseReason: reason, settledAt: new Date() } },
+          { new: true, session }
+        );
+        if (!hold) {
+          throw new ConflictError('Hold is not active');
+        }
+
+        await this.updateBalance(hold.accountId, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    logger.info('Hold released', { holdId: holdId.toString(), status, reason });
+
+    return hold;
+  }
+
+  async expireHolds(limit = 100) {
+    const expired = await Hold.find({ status: 'ACTIVE', expiresAt: { $lte: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    let count = 0;
+    for (const { _id } of expired) {
+      try {
+        await this.releaseHold(_id, 'Hold expired', 'EXPIRED');
+        count += 1;
+      } catch (error) {
+        // Captured or released since it was read
+        if (!(error instanceof ConflictError)) {
+          throw error;
+        }
+      }
+    }
+
+    return { expired: count };
+  }
+
+  /**
+   * Reserve `amount` on the debited account, then post the journal against the
+   * hold, so a concurrent request cannot spend the same funds in between.
+   */
+  async createJournalWithHold(accountId, amount, entries, metadata = {}) {
+    const hold = await this.authorizeHold(accountId, amount, {
+      type: metadata.transactionType,
+      reference: metadata.correlationId,
+      description: metadata.description,
+      userId: metadata.userId,
+    });
+
+    try {
+      return await this.captureHold(hold._id, entries, metadata);
+    } catch (error) {
+      await this.releaseHold(hold._id, `Journal failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getHolds(userId, filters = {}) {
+    const query = { userId };
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.asset) {
+      query.asset = filters.asset;
+    }
+
+    return Hold.find(query).sort({ createdAt: -1 }).limit(filters.limit || 50);
+  }
+
+  // Posted net balance, less what active holds still reserve
+  async aggregateAccountBalance(accountId, session = null) {
+    const id = new mongoose.Types.ObjectId(accountId);
+    const posted = LedgerEntry.aggregate([
+      { $match: { accountId: id, status: 'POSTED' } },
+      {
+        $group: {
+          _id: null,
+          totalDebits: { $sum: '$debit' },
+          totalCredits: { $sum: '$credit' },
+          lastEntry: { $max: '$_id' },
+        }
+      }
+    ]);
+    const holds = Hold.aggregate([
+      { $match: { accountId: id, status: 'ACTIVE' } },
+      { $group: { _id: null, held: { $sum: '$remaining' } } },
+    ]);
+    if (session) {
+      posted.session(session);
+      holds.session(session);
+    }
+
+    // Sequential: a transaction session cannot run operations in parallel
+    const [ledger] = await posted;
+    const [held] = await holds;
+    const heldAmount = toDecimal(held && held.held);
+    const net = ledger ? toDecimal(ledger.totalCredits).minus(toDecimal(ledger.totalDebits)) : new Decimal(0);
+
+    return {
+      available: net.minus(heldAmount),
+      held: heldAmount,
+      lastEntry: ledger ? ledger.lastEntry : null,
+    };
   }
 
   async updateBalance(accountId, session = null) {
@@ -123,21 +417,8 @@ class LedgerService {
         await useSession.startTransaction();
       }
 
-      // Calculate balance from ledger entries
-      const balanceData = await LedgerEntry.aggregate([
-        { $match: { accountId: new mongoose.Types.ObjectId(accountId), status: 'POSTED' } },
-        {
-          $group: {
-            _id: null,
-            totalDebits: { $sum: '$debit' },
-            totalCredits: { $sum: '$credit' },
-            lastEntry: { $max: '$_id' },
-          }
-        }
-      ]).session(useSession);
-
-      const result = balanceData[0] || { totalDebits: 0, totalCredits: 0, lastEntry: null };
-      const netBalance = result.totalCredits - result.totalDebits;
+      // Calculate balance from ledger entries and active holds
+      const { available, held, lastEntry } = await this.aggregateAccountBalance(accountId, useSession);
 
       // Get account to determine asset
       const account = await Account.findById(accountId).session(useSession);
@@ -151,9 +432,10 @@ class LedgerService {
         {
           accountId,
           asset: account.asset,
-          available: netBalance,
-          pending: 0, // Will be calculated separately for pending transactions
-          lastEntryId: result.lastEntry,
+          available: toDecimal128(available),
+          pending: toDecimal128(held),
+          total: toDecimal128(available.plus(held)),
+          lastEntryId: lastEntry,
         },
         { 
           upsert: true, 
@@ -166,7 +448,7 @@ class LedgerService {
         await useSession.commitTransaction();
       }
 
-      return netBalance;
+      return available;
     } catch (error) {
       if (!session) {
         await useSession.abortTransaction();
@@ -180,27 +462,28 @@ class LedgerService {
   }
 
   async getBalance(userId, asset) {
-    const account = await Account.findOne({ userId, asset });
+    const zero = formatAmount(0, asset);
+    const account = await Account.findOne({ userId, asset, accountType: 'USER' });
     if (!account) {
-      return { available: 0, pending: 0, total: 0 };
+      return { available: zero, pending: zero, total: zero };
     }
 
     const balance = await Balance.findOne({ accountId: account._id });
     if (!balance) {
-      return { available: 0, pending: 0, total: 0 };
+      return { available: zero, pending: zero, total: zero };
     }
 
     return {
-      available: balance.available,
-      pending: balance.pending,
-      total: balance.total,
+      available: formatAmount(balance.available, asset),
+      pending: formatAmount(balance.pending, asset),
+      total: formatAmount(balance.total, asset),
       asset: balance.asset,
       lastUpdated: balance.updatedAt,
     };
   }
 
   async getAllBalances(userId) {
-    const accounts = await Account.find({ userId });
+    const accounts = await Account.find({ userId, accountType: 'USER' });
     const balances = {};
 
     for (const account of accounts) {
@@ -211,144 +494,121 @@ class LedgerService {
     return balances;
   }
 
-  async transfer(fromUserId, toAddress, amount, asset, description, idempotencyKey, metadata = {}) {
-    // Validate inputs
-    if (amount <= 0) {
+  /**
+   * Post a transfer between two users' accounts, less the transfer fee. `from` and `to`
+   * are the parties TransferService resolved and screened: { userId, reference, country }.
+   */
+  async transfer(from, to, amount, asset, options = {}) {
+    const { description, idempotencyKey, correlationId } = options;
+
+    amount = assertScale(amount, asset);
+    if (!amount.gt(0)) {
       throw new ValidationError('Transfer amount must be positive');
     }
 
-    // Get sender account
-    const fromAccount = await Account.findOne({ userId: fromUserId, asset });
+    const [fromAccount, toAccount] = await Promise.all([
+      Account.findOne({ userId: from.userId, asset, accountType: 'USER' }),
+      Account.findOne({ userId: to.userId, asset, accountType: 'USER' }),
+    ]);
     if (!fromAccount) {
       throw new NotFoundError('Sender account not found');
     }
-
-    // Check sender balance
-    const fromBalance = await this.getBalance(fromUserId, asset);
-    if (fromBalance.available < amount) {
-      throw new ValidationError('Insufficient balance');
+    if (!toAccount) {
+      throw new NotFoundError('Recipient account not found');
     }
-
-    // Validate sender wallet (this would integrate with WalletService)
-    const WalletService = require('./WalletService');
-    const senderWallet = await WalletService.validateWalletForTransaction(
-      fromUserId, 
-      toAddress, 
-      'hedera', // Default network, could be parameterized
-      amount, 
-      'transfer'
-    );
-
-    // Find recipient by wallet address (simplified - in real implementation, might need more complex logic)
-    const recipientWallet = await require('../models').Wallet.findOne({ 
-      address: toAddress.toLowerCase(),
-      whitelistState: config.walletStatus.WHITELISTED,
-      isActive: true,
-    });
-
-    if (!recipientWallet) {
-      throw new NotFoundError('Recipient wallet not found or not whitelisted');
+    this.assertCanPost(fromAccount, 'debit');
+    if (toAccount.status === 'CLOSED') {
+      throw new ValidationError(`Recipient ${asset} account is closed`);
     }
 
-    // Get recipient account
-    const toAccount = await Account.findOne({ 
-      userId: recipientWallet.userId, 
-      asset 
-    });
-
-    if (!toAccount) {
-      throw new NotFoundError('Recipient account not found');
+    // Early check for a clear error; the hold taken when posting is what prevents overspending
+    const fromBalance = await this.getBalance(from.userId, asset);
+    if (toDecimal(fromBalance.available).lt(amount)) {
+      throw new ValidationError('Insufficient balance');
     }
 
-    // Calculate fees
+    // Calculate fees; without a FEE account the recipient receives the full amount
     const systemConfig = await require('../models').Config.getConfig();
-    const feeAmount = (amount * systemConfig.feeStructure.transferFeeBps) / 10000;
-    const netAmount = amount - feeAmount;
+    const systemFeeAccount = await Account.findOne({ accountType: 'FEE', asset });
+    const feeAmount = systemFeeAccount
+      ? applyBps(amount, systemConfig.feeStructure.transferFeeBps, asset)
+      : new Decimal(0);
+    const netAmount = amount.minus(feeAmount);
 
     // Create journal entries
     const entries = [
       {
         accountId: fromAccount._id,
-        debit: amount,
+        debit: amount.toFixed(),
         meta: {
           type: config.transactionTypes.TRANSFER,
           description: description || 'Transfer',
-          reference: toAddress,
+          reference: to.reference,
           counterparty: {
-            userId: recipientWallet.userId,
-            walletAddress: toAddress,
-            country: recipientWallet.country,
+            userId: to.userId,
+            walletAddress: to.walletAddress,
+            country: to.country,
           },
         },
       },
       {
         accountId: toAccount._id,
-        credit: netAmount,
+        credit: netAmount.toFixed(),
         meta: {
           type: config.transactionTypes.TRANSFER,
           description: description || 'Transfer received',
-          reference: senderWallet.address,
+          reference: from.reference,
           counterparty: {
-            userId: fromUserId,
-            walletAddress: senderWallet.address,
-            country: senderWallet.country,
+            userId: from.userId,
+            walletAddress: from.walletAddress,
+            country: from.country,
           },
         },
       },
     ];
 
     // Add fee entry if applicable
-    if (feeAmount > 0) {
-      // Find or create system fee account
-      const systemFeeAccount = await Account.findOne({ 
-        accountType: 'FEE', 
-        asset 
+    if (feeAmount.gt(0)) {
+      entries.push({
+        accountId: systemFeeAccount._id,
+        credit: feeAmount.toFixed(),
+        meta: {
+          type: config.transactionTypes.FEE,
+          description: 'Transfer fee',
+          reference: `${from.reference}->${to.reference}`,
+        },
       });
-
-      if (systemFeeAccount) {
-        entries.push({
-          accountId: systemFeeAccount._id,
-          credit: feeAmount,
-          meta: {
-            type: config.transactionTypes.FEE,
-            description: 'Transfer fee',
-            reference: `${senderWallet.address}->${toAddress}`,
-          },
-        });
-      }
     }
 
-    const result = await this.createJournal(entries, {
-      userId: fromUserId,
+    const result = await this.createJournalWithHold(fromAccount._id, amount.toFixed(), entries, {
+      userId: from.userId,
       transactionType: config.transactionTypes.TRANSFER,
-      description: `Transfer ${amount} ${asset} to ${toAddress}`,
-      correlationId: metadata.correlationId,
+      description: `Transfer ${amount.toFixed()} ${asset} to ${to.reference}`,
+      correlationId,
       idempotencyKey,
-      amount,
+      amount: amount.toFixed(),
       currency: asset,
-      fromAddress: senderWallet.address,
-      toAddress,
-      feeAmount,
+      fromAddress: from.reference,
+      toAddress: to.reference,
+      feeAmount: feeAmount.toFixed(),
     });
 
     logger.info('Transfer completed', {
       journalId: result.journalId.toString(),
-      fromUserId,
-      toUserId: recipientWallet.userId,
-      amount,
+      fromUserId: from.userId.toString(),
+      toUserId: to.userId.toString(),
+      amount: amount.toFixed(),
       asset,
-      feeAmount,
-      netAmount,
+      feeAmount: feeAmount.toFixed(),
+      netAmount: netAmount.toFixed(),
     });
 
     return {
       journalId: result.journalId,
-      amount,
-      netAmount,
-      feeAmount,
+      amount: formatAmount(amount, asset),
+      netAmount: formatAmount(netAmount, asset),
+      feeAmount: formatAmount(feeAmount, asset),
       asset,
-      fromAddress: senderWallet.address,
-      toAddress,
       status: 'completed',
     };
   }
@@ -431,21 +691,22 @@ class LedgerService {
       for (const account of accounts) {
         const balance = await Balance.findOne({ accountId: account._id });
         const calculatedBalance = await this.calculateBalanceFromLedger(account._id);
+        const storedBalance = toDecimal(balance && balance.available);
 
-        if (!balance || Math.abs(balance.available - calculatedBalance) > 0.00000001) {
+        if (!balance || !storedBalance.eq(calculatedBalance)) {
           issues.push({
             accountId: account._id,
             userId: account.userId,
             asset: account.asset,
-            storedBalance: balance?.available || 0,
-            calculatedBalance,
-            difference: (balance?.available || 0) - calculatedBalance,
+            storedBalance: storedBalance.toFixed(),
+            calculatedBalance: calculatedBalance.toFixed(),
+            difference: storedBalance.minus(calculatedBalance).toFixed(),
           });
         }
       }
 
-      // Check if all journals balance
-      const unbalancedJournals = await LedgerEntry.aggregate([
+      // Check if all journals balance; Decimal128 sums are exact, so any difference counts
+      const unbalanced = await LedgerEntry.aggregate([
         {
           $group: {
             _id: '$journalId',
@@ -456,15 +717,15 @@ class LedgerService {
         },
         {
           $match: {
-            $expr: {
-              $gt: [
-                { $abs: { $subtract: ['$totalDebits', '$totalCredits'] } },
-                0.00000001
-              ]
-            }
+            $expr: { $ne: ['$totalDebits', '$totalCredits'] }
           }
         }
       ]);
+      const unbalancedJournals = unbalanced.map(journal => ({
+        ...journal,
+        totalDebits: toDecimal(journal.totalDebits).toFixed(),
+        totalCredits: toDecimal(journal.totalCredits).toFixed(),
+      }));
 
       return {
         balanceIssues: issues,
@@ -479,58 +740,298 @@ class LedgerService {
   }
 
   async calculateBalanceFromLedger(accountId) {
-    const result = await LedgerEntry.aggregate([
-      { 
-        $match: { 
-          accountId: new mongoose.Types.ObjectId(accountId),
-          status: 'POSTED',
-        } 
-      },
-      {
-        $group: {
-          _id: null,
-          totalDebits: { $sum: '$debit' },
-          totalCredits: { $sum: '$credit' },
-        }
+    const { available } = await this.aggregateAccountBalance(accountId);
+    return available;
+  }
+
+  async listAccounts(filters = {}, pagination = {}) {
+    const { page = 1, limit = 50 } = pagination;
+    const query = {};
+    for (const field of ['userId', 'status', 'asset']) {
+      if (filters[field]) {
+        query[field] = filters[field];
       }
+    }
+
+    const [accounts, total] = await Promise.all([
+      Account.find(query)
+        .populate('userId', 'fullName email')
+        .populate('statusChangedBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Account.countDocuments(query),
     ]);
 
-    const data = result[0] || { totalDebits: 0, totalCredits: 0 };
-    return data.totalCredits - data.totalDebits;
+    const balances = await Balance.find({ accountId: { $in: accounts.map(account => account._id) } });
+    const balanceByAccount = new Map(balances.map(balance => [balance.accountId.toString(), balance]));
+
+    return {
+      accounts: accounts.map(account => {
+        const balance = balanceByAccount.get(account._id.toString());
+        return {
+          ...account.toJSON(),
+          balance: {
+            available: formatAmount(balance ? balance.available : 0, account.asset),
+            pending: formatAmount(balance ? balance.pending : 0, account.asset),
+          },
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
   }
 
-  async reverseTransaction(adminId, journalId, reason, metadata = {}) {
+  /**
+   * Freeze, unfreeze or close a single asset account. Closing is final and needs a
+   * zero balance with no active holds.
+   */
+  async setAccountStatus(adminId, accountId, status, reason, metadata = {}) {
     const admin = await User.findById(adminId);
-    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY].includes(admin.role)) {
-      throw new AuthorizationError('Insufficient permissions to reverse transactions');
+    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_COMPLIANCE].includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions to change account status');
     }
 
-    // Get original journal entries
-    const originalEntries = await LedgerEntry.find({ journalId });
-    if (!originalEntries.length) {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new NotFoundError('Account not found');
+    }
+    if (!ACCOUNT_STATUS_TRANSITIONS[status].includes(account.status)) {
+      throw new ConflictError(`Account is ${account.status.toLowerCase()}`);
+    }
+
+    if (status === 'CLOSED') {
+      const activeHolds = await Hold.countDocuments({ accountId, status: 'ACTIVE' });
+      if (activeHolds) {
+        throw new ConflictError('Account has active holds; capture or release them before closing');
+      }
+      const { available } = await this.aggregateAccountBalance(account._id);
+      if (!available.isZero()) {
+        throw new ConflictError(`Account balance must be zero to close; it is ${available.toFixed()}`);
+      }
+    }
+
+    const now = new Date();
+    const updated = await Account.findOneAndUpdate(
+      { _id: accountId, status: account.status },
+      {
+        $set: { status, statusReason: reason, statusChangedAt: now, statusChangedBy: adminId },
+        $push: { statusHistory: { status, reason, actor: adminId, role: admin.role, timestamp: now } },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ConflictError('Account status changed concurrently; try again');
+    }
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: ACCOUNT_STATUS_ACTIONS[status],
+      object: {
+        type: 'Account',
+        id: account._id,
+        identifier: `${account.userId}:${account.asset}`,
+      },
+      before: { status: account.status },
+      after: { status },
+      metadata: {
+        ...metadata,
+        currency: account.asset,
+        reason,
+      },
+    });
+
+    logger.warn('Account status changed', {
+      accountId: account._id.toString(),
+      userId: account.userId.toString(),
+      asset: account.asset,
+      from: account.status,
+      to: status,
+      adminId,
+      reason,
+    });
+
+    return updated;
+  }
+
+  /**
+   * Reversal state of a journal: each entry with the amount already reversed, the
+   * reversal journals posted against it, and the journal it reverses if it is one.
+   */
+  async getReversalChain(journalId) {
+    const entries = await LedgerEntry.find({ journalId })
+      .populate('accountId', 'userId asset accountType status')
+      .sort({ _id: 1 });
+    if (!entries.length) {
       throw new NotFoundError('Journal not found');
     }
 
-    // Create reversal entries (swap debits and credits)
-    const reversalEntries = originalEntries.map(entry => ({
+    const reversalEntries = await LedgerEntry.find({ 'meta.reversal.originalJournalId': journalId })
+      .sort({ createdAt: 1, _id: 1 });
+
+    const reversedByEntry = {};
+    const reversals = new Map();
+    for (const entry of reversalEntries) {
+      const { originalEntryId, reason } = entry.meta.reversal;
+      const amount = toDecimal(entry.debit).plus(toDecimal(entry.credit));
+      reversedByEntry[originalEntryId] = (reversedByEntry[originalEntryId] || new Decimal(0)).plus(amount);
+
+      const key = entry.journalId.toString();
+      if (!reversals.has(key)) {
+        reversals.set(key, {
+          journalId: entry.journalId,
+          reason,
+          amount: new Decimal(0),
+          createdAt: entry.createdAt,
+        });
+      }
+      reversals.get(key).amount = reversals.get(key).amount.plus(toDecimal(entry.debit));
+    }
+
+    let totalAmount = new Decimal(0);
+    let totalReversed = new Decimal(0);
+    const chainEntries = entries.map((entry) => {
+      const amount = toDecimal(entry.debit).plus(toDecimal(entry.credit));
+      const reversed = reversedByEntry[entry._id] || new Decimal(0);
+      totalAmount = totalAmount.plus(amount);
+      totalReversed = totalReversed.plus(reversed);
+
+      return {
+        entryId: entry._id,
+        accountId: entry.accountId?._id || entry.accountId,
+        userId: entry.accountId?.userId,
+        asset: entry.accountId?.asset,
+        accountType: entry.accountId?.accountType,
+        accountStatus: entry.accountId?.status,
+        side: toDecimal(entry.debit).gt(0) ? 'debit' : 'credit',
+        amount: amount.toFixed(),
+        reversed: reversed.toFixed(),
+        reversible: amount.minus(reversed).toFixed(),
+        description: entry.meta.description,
+      };
+    });
+
+    let status = 'NOT_REVERSED';
+    if (totalReversed.gt(0)) {
+      status = totalReversed.eq(totalAmount) ? 'FULLY_REVERSED' : 'PARTIALLY_REVERSED';
+    }
+
+    return {
+      journalId: entries[0].journalId,
+      type: entries[0].meta.type,
+      description: entries[0].meta.description,
+      createdAt: entries[0].createdAt,
+      // Set when this journal is itself a reversal
+      reverses: entries[0].meta.reversal?.originalJournalId || null,
+      status,
+      entries: chainEntries,
+      reversals: [...reversals.values()].map(reversal => ({
+        ...reversal,
+        amount: reversal.amount.toFixed(),
+      })),
+    };
+  }
+
+  /**
+   * Builds the entries of a reversal of `chain`. Without `selection` everything not yet
+   * reversed is reversed; otherwise only the selected entries, each by its `amount` or
+   * by what is left of it. The result must still balance per asset.
+   */
+  buildReversalEntries(chain, reason, selection) {
+    if (chain.reverses) {
+      throw new ConflictError('Journal is itself a reversal and cannot be reversed');
+    }
+
+    const byId = new Map(chain.entries.map(entry => [entry.entryId.toString(), entry]));
+    let picks;
+    if (selection?.length) {
+      const seen = new Set();
+      picks = selection.map(({ entryId, amount }) => {
+        const entry = byId.get(String(entryId));
+        if (!entry) {
+          throw new ValidationError(`Entry ${entryId} is not part of journal ${chain.journalId}`);
+        }
+        if (seen.has(String(entryId))) {
+          throw new ValidationError(`Entry ${entryId} is selected more than once`);
+        }
+        seen.add(String(entryId));
+
+        const reversible = toDecimal(entry.reversible);
+        const value = amount === undefined ? reversible : assertScale(amount, entry.asset);
+        if (value.lte(0)) {
+          throw new ValidationError(`Reversal amount for entry ${entryId} must be positive`);
+        }
+        if (value.gt(reversible)) {
+          throw new ConflictError(`Entry ${entryId} has only ${formatAmount(reversible, entry.asset)} ${entry.asset} left to reverse`);
+        }
+        return { entry, value };
+      });
+    } else {
+      picks = chain.entries
+        .map(entry => ({ entry, value: toDecimal(entry.reversible) }))
+        .filter(({ value }) => value.gt(0));
+      if (!picks.length) {
+        throw new ConflictError('Journal is already fully reversed');
+      }
+    }
+
+    const entries = picks.map(({ entry, value }) => ({
       accountId: entry.accountId,
-      debit: entry.credit || 0,
-      credit: entry.debit || 0,
+      // Swap sides: a debit is reversed by a credit and vice versa
+      debit: entry.side === 'credit' ? value.toFixed() : '0',
+      credit: entry.side === 'debit' ? value.toFixed() : '0',
       meta: {
         type: config.transactionTypes.REVERSAL,
-        description: `Reversal: ${entry.meta.description}`,
-        reference: journalId.toString(),
-        originalJournalId: journalId,
-        reversalReason: reason,
+        description: `Reversal: ${entry.description || ''}`.trim(),
+        reference: chain.journalId.toString(),
+        reversal: {
+          originalJournalId: chain.journalId,
+          originalEntryId: entry.entryId,
+          reason,
+        },
       },
     }));
 
-    const result = await this.createJournal(reversalEntries, {
+    const { totalDebits } = this.validateJournal(entries);
+    return { entries, amount: totalDebits };
+  }
+
+  // Entries and total of a reversal without posting it
+  async previewReversal(journalId, reason, selection) {
+    const chain = await this.getReversalChain(journalId);
+    return { chain, ...this.buildReversalEntries(chain, reason, selection) };
+  }
+
+  /**
+   * Reverse a journal, in full or for `selection` ([{ entryId, amount? }]). Reversals
+   * are numbered per journal in the idempotency key, so two admins reversing the same
+   * journal at once cannot both post.
+   */
+  async reverseTransaction(adminId, journalId, reason, metadata = {}, selection) {
+    const admin = await User.findById(adminId);
+    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY].includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions to reverse transactions');
+    }
+
+    const { chain, entries, amount } = await this.previewReversal(journalId, reason, selection);
+    const partial = chain.entries.some((entry) => {
+      const reversing = entries.find(e => e.meta.reversal.originalEntryId.equals(entry.entryId));
+      const value = reversing ? toDecimal(reversing.debit).plus(toDecimal(reversing.credit)) : new Decimal(0);
+      return !value.eq(toDecimal(entry.reversible));
+    });
+
+    const result = await this.createJournal(entries, {
       userId: adminId,
       transactionType: config.transactionTypes.REVERSAL,
       description: `Transaction reversal: ${reason}`,
       originalJournalId: journalId.toString(),
       reversalReason: reason,
+      idempotencyKey: `reversal:${journalId}:${chain.reversals.length + 1}`,
       ...metadata,
     });
 
@@ -546,8 +1047,14 @@ class LedgerService {
       metadata: {
         ...metadata,
         reversalJournalId: result.journalId.toString(),
+        amount: amount.toFixed(),
+        partial,
+        entries: entries.map(entry => ({
+          entryId: entry.meta.reversal.originalEntryId.toString(),
+          amount: toDecimal(entry.debit).plus(toDecimal(entry.credit)).toFixed(),
+        })),
         reason,
-        notes: 'Transaction reversed by admin',
+        notes: partial ? 'Transaction partially reversed by admin' : 'Transaction reversed by admin',
       },
     });
 
@@ -555,11 +1062,13 @@ class LedgerService {
       adminId,
       originalJournalId: journalId.toString(),
       reversalJournalId: result.journalId.toString(),
+      amount: amount.toFixed(),
+      partial,
       reason,
     });
 
-    return result;
+    return { ...result, amount: amount.toFixed(), partial };
   }
 }
 
-module.exports = new LedgerService();
\ No newline at end of file
+module.exports = new LedgerService();
@@ -0,0 +1,477 @@
+const { MsigAction, Config, User, AuditLog } = require('../models');
+const LedgerService = require('./LedgerService');
+const WalletService = require('./WalletService');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const ADMIN_ROLES = [
+  config.roles.ADMIN_SUPER,
+  config.roles.ADMIN_COMPLIANCE,
+  config.roles.ADMIN_TREASURY,
+];
+
+// Roles the underlying services accept when the action is finally executed
+const EXECUTOR_ROLES = {
+  [config.msigActionTypes.CONFIG_UPDATE]: [config.roles.ADMIN_SUPER],
+  [config.msigActionTypes.LEDGER_REVERSAL]: [config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY],
+  [config.msigActionTypes.WALLET_STATUS_UPDATE]: [config.roles.ADMIN_SUPER, config.roles.ADMIN_COMPLIANCE],
+};
+
+// However it is configured or requested, an action always needs a second signer
+const MIN_APPROVALS = 2;
+
+class MsigService {
+  async createAction(adminId, actionData, metadata = {}) {
+    const admin = await this.getAdmin(adminId);
+    const { type, payload, description } = actionData;
+
+    const requiredApprovals = Math.max(
+      actionData.requiredApprovals || 0,
+      config.msig.requiredApprovals,
+      MIN_APPROVALS
+    );
+    await this.assertExecutorAvailable(type);
+    if (type === config.msigActionTypes.LEDGER_REVERSAL) {
+      await this.assertReversible(payload);
+    }
+    const expiresAt = new Date(Date.now() + config.msig.expiryHours * 60 * 60 * 1000);
+
+    // The initiator's signature counts as the first approval
+    const action = await MsigAction.create({
+      type,
+      payload,
+      description,
+      createdBy: adminId,
+      requiredApprovals,
+      approvals: [{ adminId, role: admin.role, reason: 'Initiator' }],
+      expiresAt,
+    });
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: 'MSIG_CREATE',
+      object: { type: 'MsigAction', id: action._id, identifier: type },
+      after: { type, payload, requiredApprovals, expiresAt },
+      metadata: {
+        ...metadata,
+        notes: description || `Multi-sig ${type} action created`,
+      },
+    });
+
+    logger.info('Multi-sig action created', {
+      actionId: action._id,
+      type,
+      adminId,
+      requiredApprovals,
+    });
+
+    return action;
+  }
+
+  async approveAction(adminId, actionId, reason, metadata = {}) {
+    const admin = await this.getAdmin(adminId);
+    const action = await this.getSignableAction(actionId, adminId);
+    this.assertExecutorSigns(action, admin);
+
+    // Conditional update so concurrent signatures cannot double count
+    const updated = await MsigAction.findOneAndUpdate(
+      {
+        _id: action._id,
+        status: 'PENDING',
+        expiresAt: { $gt: new Date() },
+        'approvals.adminId': { $ne: admin._id },
+        'rejections.adminId': { $ne: admin._id },
+      },
+      { $push: { approvals: { adminId: admin._id, role: admin.role, reason } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ConflictError('Action is no longer pending, has expired or is already signed by this admin');
+    }
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: 'MSIG_APPROVE',
+      object: { type: 'MsigAction', id: updated._id, identifier: updated.type },
+      after: {
+        approvals: updated.approvals.length,
+        requiredApprovals: updated.requiredApprovals,
+      },
+      metadata: {
+        ...metadata,
+        reason,
+        notes: 'Multi-sig action approved',
+      },
+    });
+
+    if (updated.approvals.length >= updated.requiredApprovals) {
+      return this.executeAction(updated._id, admin, metadata);
+    }
+
+    return updated;
+  }
+
+  async rejectAction(adminId, actionId, reason, metadata = {}) {
+    const admin = await this.getAdmin(adminId);
+    const action = await this.getSignableAction(actionId, adminId);
+
+    const updated = await MsigAction.findOneAndUpdate(
+      {
+        _id: action._id,
+        status: 'PENDING',
+        expiresAt: { $gt: new Date() },
+        'approvals.adminId': { $ne: admin._id },
+        'rejections.adminId': { $ne: admin._id },
+      },
+      { $push: { rejections: { adminId: admin._id, role: admin.role, reason } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ConflictError('Action is no longer pending, has expired or is already signed by this admin');
+    }
+
+    // The same number of distinct rejections as approvals vetoes the action
+    if (updated.rejections.length >= updated.requiredApprovals) {
+      updated.status = 'REJECTED';
+      await updated.save();
+    }
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: 'MSIG_REJECT',
+      object: { type: 'MsigAction', id: updated._id, identifier: updated.type },
+      after: {
+        rejections: updated.rejections.length,
+        status: updated.status,
+      },
+      metadata: {
+        ...metadata,
+        reason,
+        notes: updated.status === 'REJECTED'
+          ? 'Multi-sig action rejected'
+          : 'Multi-sig action rejection recorded',
+      },
+    });
+
+    return updated;
+  }
+
+  async executeAction(actionId, triggeredBy, metadata = {}) {
+    // Claim the action so only one approver runs it
+    const action = await MsigAction.findOneAndUpdate(
+      { _id: actionId, status: 'PENDING' },
+      { $set: { status: 'EXECUTING' } },
+      { new: true }
+    );
+
+    if (!action) {
+      throw new ConflictError('Action is already being executed');
+    }
+
+    // Anything that throws after the claim fails the action rather than leaving it EXECUTING
+    let executor = triggeredBy;
+    let refusal = null;
+    try {
+      executor = await this.selectExecutor(action, triggeredBy);
+      const data = await this.runAction(action, executor, metadata);
+
+      action.status = 'EXECUTED';
+      action.executionResult = { success: true, data };
+    } catch (error) {
+      action.status = 'FAILED';
+      action.executionResult = { success: false, error: error.message };
+      if (error instanceof AuthorizationError) {
+        refusal = error;
+      }
+
+      logger.error('Multi-sig action execution failed', {
+        actionId: action._id,
+        type: action.type,
+        error: error.message,
+      });
+    }
+
+    action.executedAt = new Date();
+    action.executedBy = executor._id;
+    await action.save();
+
+    await AuditLog.logAction({
+      actor: executor._id,
+      role: executor.role,
+      action: 'MSIG_EXECUTE',
+      object: { type: 'MsigAction', id: action._id, identifier: action.type },
+      after: { status: action.status, executionResult: action.executionResult },
+      metadata: {
+        ...metadata,
+        approvers: action.approvals.map(s => s.adminId.toString()),
+        notes: `Multi-sig ${action.type} action ${action.status.toLowerCase()}`,
+      },
+      result: {
+        success: action.executionResult.success,
+        error: action.executionResult.error,
+      },
+    });
+
+    logger.info('Multi-sig action executed', {
+      actionId: action._id,
+      type: action.type,
+      status: action.status,
+      executedBy: executor._id,
+    });
+
+    if (refusal) {
+      throw refusal;
+    }
+
+    return action;
+  }
+
+  async runAction(action, executor, metadata = {}) {
+    const { payload } = action;
+    const actionMetadata = { ...metadata, msigActionId: action._id.toString() };
+
+    switch (action.type) {
+      case config.msigActionTypes.CONFIG_UPDATE: {
+        const current = await Config.getConfig();
+        const updated = await Config.updateConfig(payload.updates, executor._id);
+
+        await AuditLog.logAction({
+          actor: executor._id,
+          role: executor.role,
+          action: 'CONFIG_UPDATE',
+          object: { type: 'Config', identifier: 'system_config' },
+          before: { version: current.version },
+          after: { version: updated.version, updates: payload.updates },
+          metadata: {
+            ...actionMetadata,
+            reason: payload.reason,
+            notes: 'Configuration updated via multi-sig action',
+          },
+        });
+
+        return { version: updated.version };
+      }
+
+      case config.msigActionTypes.LEDGER_REVERSAL: {
+        const result = await LedgerService.reverseTransaction(
+          executor._id,
+          payload.journalId,
+          payload.reason,
+          actionMetadata,
+          payload.entries
+        );
+        return { reversalJournalId: result.journalId.toString(), amount: result.amount };
+      }
+
+      case config.msigActionTypes.WALLET_STATUS_UPDATE: {
+        const wallet = await WalletService.updateWalletStatus(
+          executor._id,
+          payload.walletId,
+          payload.whitelistState,
+          payload.reason,
+          actionMetadata
+        );
+        return { walletId: wallet._id.toString(), whitelistState: wallet.whitelistState };
+      }
+
+      default:
+        throw new ValidationError(`Unsupported multi-sig action type: ${action.type}`);
+    }
+  }
+
+  async selectExecutor(action, triggeredBy) {
+    const allowedRoles = EXECUTOR_ROLES[action.type] || [];
+    if (allowedRoles.includes(triggeredBy.role)) {
+      return triggeredBy;
+    }
+
+    // Fall back to another approver whose role the target service accepts
+    for (const approver of action.approvals.filter(s => allowedRoles.includes(s.role))) {
+      const admin = await User.findById(approver.adminId);
+      if (admin && admin.isActive && allowedRoles.includes(admin.role)) {
+        return admin;
+      }
+    }
+
+    throw new AuthorizationError(`${action.type} must be executed by a signer with role ${allowedRoles.join(' or ')}`);
+  }
+
+  // An action nobody could execute is refused before it collects signatures
+  async assertExecutorAvailable(type) {
+    const allowedRoles = EXECUTOR_ROLES[type] || [];
+    const available = await User.exists({ role: { $in: allowedRoles }, isActive: true });
+    if (!available) {
+      throw new AuthorizationError(`${type} needs a signer with role ${allowedRoles.join(' or ')} and there is none`);
+    }
+  }
+
+  // The signature that completes an action must leave an executor among its signers
+  assertExecutorSigns(action, admin) {
+    if (action.approvals.length + 1 < action.requiredApprovals) {
+      return;
+    }
+    const allowedRoles = EXECUTOR_ROLES[action.type] || [];
+    const signerRoles = [...action.approvals.map(s => s.role), admin.role];
+    if (!signerRoles.some(role => allowedRoles.includes(role))) {
+      throw new AuthorizationError(`${action.type} needs a signer with role ${allowedRoles.join(' or ')} among its approvals`);
+    }
+  }
+
+  async getActions(filters = {}, pagination = {}) {
+    await this.expireStaleActions();
+
+    const { page = 1, limit = 20 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (filters.status) {
+      query.status = filters.status.toUpperCase();
+    }
+    if (filters.type) {
+      query.type = filters.type;
+    }
+
+    const [actions, total] = await Promise.all([
+      MsigAction.find(query)
+        .populate('createdBy', 'email fullName role')
+        .populate('approvals.adminId', 'email fullName role')
+        .populate('rejections.adminId', 'email fullName role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      MsigAction.countDocuments(query)
+    ]);
+
+    return {
+      actions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getAction(actionId) {
+    const action = await MsigAction.findById(actionId)
+      .populate('createdBy', 'email fullName role')
+      .populate('approvals.adminId', 'email fullName role')
+      .populate('rejections.adminId', 'email fullName role');
+
+    if (!action) {
+      throw new NotFoundError('Multi-sig action not found');
+    }
+
+    return action;
+  }
+
+  async getStats() {
+    await this.expireStaleActions();
+
+    const [byStatus, byType] = await Promise.all([
+      MsigAction.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      MsigAction.aggregate([
+        { $match: { status: 'PENDING' } },
+        { $group: { _id: '$type', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const statusCounts = byStatus.reduce((acc, s) => {
+      acc[s._id] = s.count;
+      return acc;
+    }, {});
+
+    return {
+      total: byStatus.reduce((sum, s) => sum + s.count, 0),
+      pending: statusCounts.PENDING || 0,
+      executed: statusCounts.EXECUTED || 0,
+      failed: statusCounts.FAILED || 0,
+      rejected: statusCounts.REJECTED || 0,
+      expired: statusCounts.EXPIRED || 0,
+      pendingByType: byType.reduce((acc, t) => {
+        acc[t._id] = t.count;
+        return acc;
+      }, {}),
+      requiredApprovals: config.msig.requiredApprovals,
+    };
+  }
+
+  async expireStaleActions() {
+    const stale = await MsigAction.find({ status: 'PENDING', expiresAt: { $lte: new Date() } });
+
+    for (const action of stale) {
+      action.status = 'EXPIRED';
+      await action.save();
+
+      await AuditLog.logAction({
+        actor: null,
+        role: 'system',
+        action: 'MSIG_EXPIRE',
+        object: { type: 'MsigAction', id: action._id, identifier: action.type },
+        after: { status: 'EXPIRED', approvals: action.approvals.length },
+        metadata: {
+          notes: 'Multi-sig action expired before reaching threshold',
+        },
+      });
+    }
+
+    return stale.length;
+  }
+
+  // A reversal already awaiting signatures blocks any other reversal of the same journal
+  async assertNoPendingReversal(journalId) {
+    const pending = await MsigAction.findOne({
+      type: config.msigActionTypes.LEDGER_REVERSAL,
+      status: { $in: ['PENDING', 'EXECUTING'] },
+      'payload.journalId': journalId.toString(),
+    });
+    if (pending) {
+      throw new ConflictError(`A reversal of this journal is already awaiting approval (action ${pending._id})`);
+    }
+  }
+
+  // Checks the reversal can be posted now, before it collects signatures
+  async assertReversible(payload) {
+    await this.assertNoPendingReversal(payload.journalId);
+    await LedgerService.previewReversal(payload.journalId, payload.reason, payload.entries);
+  }
+
+  async getSignableAction(actionId, adminId) {
+    const action = await MsigAction.findById(actionId);
+    if (!action) {
+      throw new NotFoundError('Multi-sig action not found');
+    }
+
+    if (action.isExpired) {
+      await this.expireStaleActions();
+      throw new ValidationError('Multi-sig action has expired');
+    }
+
+    if (action.status !== 'PENDING') {
+      throw new ConflictError(`Multi-sig action is already ${action.status.toLowerCase()}`);
+    }
+
+    if (action.hasSigned(adminId)) {
+      throw new ConflictError('You have already signed this action');
+    }
+
+    return action;
+  }
+
+  async getAdmin(adminId) {
+    const admin = await User.findById(adminId);
+    if (!admin || !ADMIN_ROLES.includes(admin.role)) {
+      throw new AuthorizationError('Admin access required for multi-sig actions');
+    }
+    return admin;
+  }
+}
+
+module.exports = new MsigService();
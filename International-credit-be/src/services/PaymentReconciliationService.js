@@ -0,0 +1,809 @@
+const {
+  Payment,
+  LedgerEntry,
+  PaymentReconciliationReport,
+  ReconciliationException,
+  AuditLog,
+  User,
+} = require('../models');
+const PaymentService = require('./PaymentService');
+const LedgerService = require('./LedgerService');
+const ReversalService = require('./ReversalService');
+const ActivityHistoryService = require('./ActivityHistoryService');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  ConflictError,
+} = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { Decimal, toDecimal, sum } = require('../utils/money');
+
+const TREASURY_ROLES = [config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY];
+// Payment statuses only reached once the UC was credited
+const CREDITED_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED', 'DISPUTED', 'CHARGED_BACK'];
+const UNSETTLED_STATUSES = ['PENDING', 'PROCESSING'];
+const UNRESOLVED_STATUSES = ['OPEN', 'ASSIGNED'];
+// The fix each type of exception can be resolved with; the others are resolved with a note
+const FIXES = {
+  MISSING_CREDIT: 'CREDIT',
+  ORPHAN_JOURNAL: 'REVERSE',
+  STALE_PENDING: 'SYNC',
+};
+
+const cents = amount => toDecimal(amount).times(100).integerValue(Decimal.ROUND_HALF_UP);
+const fromCents = amount => toDecimal(amount).div(100).toFixed();
+
+class PaymentReconciliationService {
+  /**
+   * Reconcile the card payments of `date`'s day against the payment provider and the
+   * ledger, and save the result as a report. Each discrepancy becomes a line item and an
+   * exception; exceptions raised for the day that this run no longer finds are cleared.
+   * Runs with `adminId` are MANUAL, the rest SCHEDULED.
+   */
+  async run({ date = new Date(), adminId } = {}) {
+    const admin = adminId ? await this.getTreasuryAdmin(adminId) : null;
+    const { from, to } = this.dayOf(date);
+    const trigger = admin ? 'MANUAL' : 'SCHEDULED';
+    const startedAt = Date.now();
+
+    try {
+      const { totals, findings } = await this.findDiscrepancies(from, to);
+
+      const report = new PaymentReconciliationReport({
+        status: findings.length ? 'DISCREPANCY' : 'MATCHED',
+        trigger,
+        runBy: admin?._id,
+        from,
+        to,
+        totals,
+      });
+
+      const byType = {};
+      let newCount = 0;
+      for (const { fingerprint, ...finding } of findings) {
+        const exception = await this.raiseException(report, fingerprint, finding, from);
+        if (exception.reportId.equals(report._id)) {
+          newCount += 1;
+        }
+        byType[finding.type] = (byType[finding.type] || 0) + 1;
+        report.lineItems.push({ exceptionId: exception._id, ...finding });
+      }
+      const clearedCount = await this.clearExceptions(report, from);
+
+      report.summary = {
+        exceptionCount: findings.length,
+        newCount,
+        clearedCount,
+        byType,
+      };
+      report.durationMs = Date.now() - startedAt;
+      await report.save();
+
+      if (admin) {
+        await AuditLog.logAction({
+          actor: admin._id,
+          role: admin.role,
+          action: 'PAYMENT_RECONCILIATION_RUN',
+          object: { type: 'PaymentReconciliationReport', id: report._id, identifier: report.status },
+          metadata: {
+            date: from.toISOString(),
+            exceptionCount: findings.length,
+            notes: 'Payment reconciliation run by admin',
+          },
+        });
+      }
+
+      if (findings.length) {
+        await ActivityHistoryService.logSystem('RECONCILIATION_MISMATCH', {
+          action: `Payment reconciliation found ${findings.length} exception(s)`,
+          severity: 'HIGH',
+          status: 'WARNING',
+        }, {
+          metadata: {
+            reportId: report._id.toString(),
+            date: from.toISOString(),
+            byType,
+          },
+        });
+      }
+
+      logger.info('Payment reconciliation completed', {
+        reportId: report._id,
+        trigger,
+        date: from.toISOString(),
+        status: report.status,
+        exceptions: findings.length,
+        newCount,
+        clearedCount,
+      });
+
+      return report;
+    } catch (error) {
+      const report = await PaymentReconciliationReport.create({
+        status: 'ERROR',
+        trigger,
+        runBy: admin?._id,
+        from,
+        to,
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+      });
+
+      await ActivityHistoryService.logSystem('SYSTEM_ERROR', {
+        action: 'Payment reconciliation failed',
+        severity: 'CRITICAL',
+        status: 'FAILED',
+      }, {
+        errorMessage: error.message,
+        metadata: { reportId: report._id.toString(), date: from.toISOString() },
+      });
+
+      logger.error('Payment reconciliation failed', { date: from.toISOString(), error: error.message });
+      throw error;
+    }
+  }
+
+  dayOf(date) {
+    const from = new Date(date);
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(date);
+    to.setHours(23, 59, 59, 999);
+    return { from, to };
+  }
+
+  /**
+   * Compare the day's Payments, the provider's payment intents and the card deposit
+   * journals. Returns the totals and one finding per problem, each with a `fingerprint`
+   * naming its type and subject.
+   */
+  async findDiscrepancies(from, to) {
+    const [payments, intents, deposits] = await Promise.all([
+      Payment.find({ createdAt: { $gte: from, $lte: to } })
+        .select('userId stripePaymentIntentId fiatAmount fiatCurrency ucAmount status linkedJournalId createdAt'),
+      this.listIntents(from, to),
+      // Only the user's credit entry of a card deposit carries the intent
+      LedgerEntry.find({
+        createdAt: { $gte: from, $lte: to },
+        'meta.type': config.transactionTypes.DEPOSIT,
+        'meta.externalRef.stripePaymentIntentId': { $exists: true },
+      })
+        .select('journalId accountId credit meta.externalRef')
+        .populate('accountId', 'userId'),
+    ]);
+
+    const findings = new Map();
+    const add = (fingerprint, finding) => findings.set(fingerprint, { fingerprint, ...finding });
+
+    const intentsById = new Map(intents.map(intent => [intent.id, intent]));
+    const paymentsByIntent = new Map(payments.map(payment => [payment.stripePaymentIntentId, payment]));
+    const staleBefore = new Date(Date.now() - config.payments.stalePendingHours * 60 * 60 * 1000);
+
+    // Amounts credited by the day's payments' journals
+    const linkedCredits = new Map();
+    const linkedEntries = await LedgerEntry.find({
+      journalId: { $in: payments.filter(payment => payment.linkedJournalId).map(payment => payment.linkedJournalId) },
+      'meta.externalRef.stripePaymentIntentId': { $exists: true },
+    }).select('journalId credit');
+    for (const entry of linkedEntries) {
+      const key = entry.journalId.toString();
+      linkedCredits.set(key, sum([linkedCredits.get(key) || 0, entry.credit]));
+    }
+
+    for (const payment of payments) {
+      // An intent created just before midnight is listed with the previous day
+      let intent = intentsById.get(payment.stripePaymentIntentId);
+      if (!intent && (CREDITED_STATUSES.includes(payment.status) || UNSETTLED_STATUSES.includes(payment.status))) {
+        intent = await this.retrieveIntent(payment.stripePaymentIntentId);
+      }
+
+      const subject = {
+        paymentId: payment._id,
+        userId: payment.userId,
+        stripePaymentIntentId: payment.stripePaymentIntentId,
+      };
+      const fiat = { currency: payment.fiatCurrency, expected: toDecimal(payment.fiatAmount).toFixed() };
+      const credited = CREDITED_STATUSES.includes(payment.status);
+
+      if (!payment.linkedJournalId && (credited || intent?.status === 'succeeded')) {
+        add(`MISSING_CREDIT:${payment._id}`, {
+          type: 'MISSING_CREDIT',
+          ...subject,
+          currency: config.assets.UC,
+          expected: payment.ucAmount,
+          actual: '0',
+          description: credited
+            ? `Payment is ${payment.status} but no UC was credited`
+            : `The provider reports the intent succeeded but the payment is ${payment.status}`,
+        });
+      } else if (UNSETTLED_STATUSES.includes(payment.status) && payment.createdAt < staleBefore) {
+        add(`STALE_PENDING:${payment._id}`, {
+          type: 'STALE_PENDING',
+          ...subject,
+          ...fiat,
+          description: `Payment has been ${payment.status} since ${payment.createdAt.toISOString()}`
+            + (intent ? `; the provider reports ${intent.status}` : '; the provider has no such intent'),
+        });
+      }
+
+      if (credited && !intent) {
+        add(`MISSING_PROVIDER:${payment._id}`, {
+          type: 'MISSING_PROVIDER',
+          ...subject,
+          ...fiat,
+          description: 'Credited payment has no payment intent at the provider',
+        });
+      }
+
+      if (intent && !cents(payment.fiatAmount).eq(intent.amount)) {
+        add(`AMOUNT_MISMATCH:${payment._id}:PROVIDER`, {
+          type: 'AMOUNT_MISMATCH',
+          ...subject,
+          ...fiat,
+          actual: fromCents(intent.amount),
+          description: 'The provider charged a different amount than the payment was quoted for',
+        });
+      }
+
+      if (payment.linkedJournalId) {
+        const creditedUc = linkedCredits.get(payment.linkedJournalId.toString()) || toDecimal(0);
+        if (!creditedUc.eq(toDecimal(payment.ucAmount))) {
+          add(`AMOUNT_MISMATCH:${payment._id}:LEDGER`, {
+            type: 'AMOUNT_MISMATCH',
+            ...subject,
+            journalId: payment.linkedJournalId,
+            currency: config.assets.UC,
+            expected: payment.ucAmount,
+            actual: creditedUc.toFixed(),
+            description: 'The deposit journal credited a different UC amount than the payment bought',
+          });
+        }
+      }
+    }
+
+    // Succeeded intents with no Payment; one created just after midnight is checked by
+    // the next day's run
+    const unknown = intents.filter(intent => intent.status === 'succeeded' && !paymentsByIntent.has(intent.id));
+    const recorded = new Set(unknown.length
+      ? await Payment.distinct('stripePaymentIntentId', { stripePaymentIntentId: { $in: unknown.map(intent => intent.id) } })
+      : []);
+    for (const intent of unknown.filter(intent => !recorded.has(intent.id))) {
+      add(`MISSING_LOCAL:${intent.id}`, {
+        type: 'MISSING_LOCAL',
+        userId: intent.metadata?.userId,
+        stripePaymentIntentId: intent.id,
+        currency: intent.currency?.toUpperCase(),
+        expected: fromCents(intent.amount),
+        actual: '0',
+        description: 'Succeeded payment intent has no payment record',
+      });
+    }
+
+    const linked = new Set((await Payment.find({
+      linkedJournalId: { $in: deposits.map(entry => entry.journalId) },
+    }).select('linkedJournalId')).map(payment => payment.linkedJournalId.toString()));
+
+    for (const entry of deposits) {
+      if (linked.has(entry.journalId.toString())) {
+        continue;
+      }
+      const intentId = entry.meta.externalRef.stripePaymentIntentId;
+      const payment = paymentsByIntent.get(intentId) || await Payment.findOne({ stripePaymentIntentId: intentId })
+        .select('userId stripePaymentIntentId ucAmount status linkedJournalId');
+
+      if (payment && !payment.linkedJournalId && CREDITED_STATUSES.includes(payment.status)) {
+        // Crediting the payment links this journal rather than posting another
+        add(`MISSING_CREDIT:${payment._id}`, {
+          type: 'MISSING_CREDIT',
+          paymentId: payment._id,
+          userId: payment.userId,
+          stripePaymentIntentId: intentId,
+          journalId: entry.journalId,
+          currency: config.assets.UC,
+          expected: payment.ucAmount,
+          actual: '0',
+          description: `Deposit journal ${entry.journalId} was posted for the payment but never linked to it`,
+        });
+        continue;
+      }
+
+      const chain = await LedgerService.getReversalChain(entry.journalId);
+      if (chain.status === 'FULLY_REVERSED') {
+        continue;
+      }
+
+      let description = 'Card deposit journal for a payment intent with no payment record';
+      if (payment) {
+        description = payment.linkedJournalId
+          ? `Second deposit journal for a payment already credited by journal ${payment.linkedJournalId}`
+          : `Card deposit journal for a ${payment.status} payment`;
+      }
+      add(`ORPHAN_JOURNAL:${entry.journalId}`, {
+        type: 'ORPHAN_JOURNAL',
+        paymentId: payment?._id,
+        userId: entry.accountId?.userId,
+        stripePaymentIntentId: intentId,
+        journalId: entry.journalId,
+        currency: config.assets.UC,
+        expected: '0',
+        actual: entry.credit,
+        description,
+      });
+    }
+
+    const creditedPayments = payments.filter(payment => CREDITED_STATUSES.includes(payment.status));
+    const succeededIntents = intents.filter(intent => intent.status === 'succeeded');
+
+    return {
+      totals: {
+        localCount: creditedPayments.length,
+        providerCount: succeededIntents.length,
+        localTotal: sum(creditedPayments.map(payment => payment.fiatAmount)).toNumber(),
+        providerTotal: sum(succeededIntents.map(intent => fromCents(intent.amount))).toNumber(),
+        journalCount: new Set(deposits.map(entry => entry.journalId.toString())).size,
+      },
+      findings: [...findings.values()],
+    };
+  }
+
+  // Every payment intent the provider created between `from` and `to`
+  async listIntents(from, to) {
+    const provider = PaymentService.getProvider();
+    const intents = [];
+    let page;
+    do {
+      page = await provider.listPaymentIntents({
+        created: {
+          gte: Math.floor(from.getTime() / 1000),
+          lt: Math.floor(to.getTime() / 1000) + 1,
+        },
+        limit: 100,
+        ...(intents.length && { starting_after: intents[intents.length - 1].id }),
+      });
+      intents.push(...page.data);
+    } while (page.has_more && page.data.length);
+
+    return intents;
+  }
+
+  // The intent, or null when the provider has no such intent
+  async retrieveIntent(intentId) {
+    try {
+      return await PaymentService.getProvider().retrievePaymentIntent(intentId);
+    } catch (error) {
+      if (error.code === 'resource_missing') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The unresolved exception with `fingerprint`, updated with this run's finding, or a
+   * new one. The fingerprint is unique while the exception is unresolved, so a run
+   * racing another for the same problem retries onto the exception the other created.
+   */
+  async raiseException(report, fingerprint, finding, date, retry = true) {
+    try {
+      return await ReconciliationException.findOneAndUpdate(
+        { fingerprint },
+        {
+          $set: { ...finding, lastReportId: report._id, lastSeenAt: new Date() },
+          $inc: { occurrences: 1 },
+          $setOnInsert: { date, reportId: report._id },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      if (retry && error.code === 11000) {
+        return this.raiseException(report, fingerprint, finding, date, false);
+      }
+      throw error;
+    }
+  }
+
+  // Resolve the day's unresolved exceptions that `report` no longer found
+  async clearExceptions(report, date) {
+    const result = await ReconciliationException.updateMany(
+      {
+        date,
+        status: { $in: UNRESOLVED_STATUSES },
+        lastReportId: { $ne: report._id },
+      },
+      {
+        $set: {
+          status: 'RESOLVED',
+          resolution: {
+            action: 'CLEARED',
+            at: new Date(),
+            note: `No longer found by reconciliation report ${report._id}`,
+          },
+        },
+        $unset: { fingerprint: 1 },
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
+  async getReports(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.trigger) {
+      query.trigger = filters.trigger;
+    }
+
+    const [reports, total] = await Promise.all([
+      PaymentReconciliationReport.find(query)
+        .select('-lineItems')
+        .populate('runBy', 'email fullName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PaymentReconciliationReport.countDocuments(query),
+    ]);
+
+    return {
+      reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getReport(reportId) {
+    const report = await PaymentReconciliationReport.findById(reportId)
+      .populate('runBy', 'email fullName')
+      .populate('lineItems.userId', 'email fullName')
+      .populate('lineItems.exceptionId', 'status assignee resolution.action');
+
+    if (!report) {
+      throw new NotFoundError('Reconciliation report not found');
+    }
+
+    return report;
+  }
+
+  // Latest run and the unresolved exceptions by status and type
+  async getSummary() {
+    const [latest, unresolved] = await Promise.all([
+      PaymentReconciliationReport.findOne()
+        .select('-lineItems')
+        .sort({ createdAt: -1 }),
+      ReconciliationException.aggregate([
+        { $match: { status: { $in: UNRESOLVED_STATUSES } } },
+        { $group: { _id: { status: '$status', type: '$type' }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const summary = { latest, open: 0, assigned: 0, byType: {} };
+    for (const { _id, count } of unresolved) {
+      summary[_id.status === 'OPEN' ? 'open' : 'assigned'] += count;
+      summary.byType[_id.type] = (summary.byType[_id.type] || 0) + count;
+    }
+    return summary;
+  }
+
+  async listExceptions(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (filters.status === 'UNRESOLVED') {
+      query.status = { $in: UNRESOLVED_STATUSES };
+    } else if (filters.status) {
+      query.status = filters.status;
+    }
+    ['type', 'assignee', 'paymentId', 'userId'].forEach((key) => {
+      if (filters[key]) {
+        query[key] = filters[key];
+      }
+    });
+
+    const [exceptions, total] = await Promise.all([
+      ReconciliationException.find(query)
+        .select('-notes')
+        .populate('assignee', 'email fullName')
+        .populate('userId', 'email fullName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ReconciliationException.countDocuments(query),
+    ]);
+
+    return {
+      exceptions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getException(exceptionId) {
+    const exception = await ReconciliationException.findById(exceptionId)
+      .populate('assignee', 'email fullName')
+      .populate('userId', 'email fullName')
+      .populate('paymentId', 'status fiatAmount fiatCurrency ucAmount linkedJournalId createdAt')
+      .populate('notes.by', 'email fullName')
+      .populate('resolution.by', 'email fullName');
+
+    if (!exception) {
+      throw new NotFoundError('Reconciliation exception not found');
+    }
+
+    return exception;
+  }
+
+  async assignException(adminId, exceptionId, { assigneeId = adminId, note }, metadata = {}) {
+    const admin = await this.getTreasuryAdmin(adminId);
+    const assignee = await User.findById(assigneeId).select('role');
+    if (!assignee || !TREASURY_ROLES.includes(assignee.role)) {
+      throw new ValidationError('Exceptions can only be assigned to treasury admins');
+    }
+
+    const update = { $set: { status: 'ASSIGNED', assignee: assignee._id, assignedAt: new Date() } };
+    if (note) {
+      update.$push = { notes: { by: admin._id, text: note } };
+    }
+    const exception = await ReconciliationException.findOneAndUpdate(
+      { _id: exceptionId, status: { $in: UNRESOLVED_STATUSES } },
+      update,
+      { new: true }
+    );
+    if (!exception) {
+      await this.assertUnresolved(exceptionId);
+    }
+
+    await AuditLog.logAction({
+      actor: admin._id,
+      role: admin.role,
+      action: 'RECONCILIATION_EXCEPTION_ASSIGN',
+      object: { type: 'ReconciliationException', id: exception._id, identifier: exception.type },
+      after: { assignee: assignee._id },
+      metadata: {
+        ...metadata,
+        notes: note || 'Reconciliation exception assigned',
+      },
+    });
+
+    return exception;
+  }
+
+  async addNote(adminId, exceptionId, text) {
+    const admin = await this.getTreasuryAdmin(adminId);
+
+    const exception = await ReconciliationException.findByIdAndUpdate(
+      exceptionId,
+      { $push: { notes: { by: admin._id, text } } },
+      { new: true }
+    );
+    if (!exception) {
+      throw new NotFoundError('Reconciliation exception not found');
+    }
+
+    return exception;
+  }
+
+  // Close an exception without a fix, e.g. once it was handled at the provider
+  async resolveException(adminId, exceptionId, { note }, metadata = {}) {
+    const admin = await this.getTreasuryAdmin(adminId);
+    const exception = await this.resolve(exceptionId, { action: 'MANUAL', by: admin._id, note });
+
+    await AuditLog.logAction({
+      actor: admin._id,
+      role: admin.role,
+      action: 'RECONCILIATION_EXCEPTION_RESOLVE',
+      object: { type: 'ReconciliationException', id: exception._id, identifier: exception.type },
+      after: { status: 'RESOLVED' },
+      metadata: {
+        ...metadata,
+        notes: note,
+      },
+    });
+
+    return exception;
+  }
+
+  /**
+   * Run the fix for an exception's type and resolve it: CREDIT credits a missing card
+   * credit (linking a posted but unlinked journal when there is one), REVERSE reverses
+   * an orphan journal, and SYNC settles a stale payment from its intent's status at the
+   * provider. A reversal above the approval threshold leaves the exception unresolved
+   * until it is approved and a later run clears it.
+   */
+  async fixException(adminId, exceptionId, { action, note }, metadata = {}) {
+    const admin = await this.getTreasuryAdmin(adminId);
+    const exception = await ReconciliationException.findById(exceptionId);
+    if (!exception) {
+      throw new NotFoundError('Reconciliation exception not found');
+    }
+    if (!UNRESOLVED_STATUSES.includes(exception.status)) {
+      throw new ConflictError('Exception is already resolved');
+    }
+    if (FIXES[exception.type] !== action) {
+      throw new ValidationError(FIXES[exception.type]
+        ? `${exception.type} exceptions are fixed with ${FIXES[exception.type]}`
+        : `${exception.type} exceptions have no fix; resolve them with a note`);
+    }
+
+    let result;
+    switch (action) {
+      case 'CREDIT':
+        result = await this.creditPayment(exception);
+        break;
+      case 'REVERSE':
+        result = await ReversalService.requestReversal(admin._id, exception.journalId, {
+          reason: note || `Orphan card deposit journal (reconciliation exception ${exception._id})`,
+        }, metadata);
+        break;
+      case 'SYNC':
+        result = await this.syncPayment(exception);
+        break;
+      default:
+        throw new ValidationError(`Unknown fix ${action}`);
+    }
+
+    let resolved;
+    if (result.status === 'PENDING_APPROVAL') {
+      resolved = await ReconciliationException.findByIdAndUpdate(exception._id, {
+        $push: {
+          notes: {
+            by: admin._id,
+            text: `Reversal awaits a second admin's approval (multi-sig action ${result.action._id})`,
+          },
+        },
+      }, { new: true });
+    } else {
+      resolved = await this.resolve(exception._id, {
+        action,
+        by: admin._id,
+        note,
+        journalId: result.journalId,
+      });
+    }
+
+    await AuditLog.logAction({
+      actor: admin._id,
+      role: admin.role,
+      action: 'RECONCILIATION_EXCEPTION_FIX',
+      object: { type: 'ReconciliationException', id: exception._id, identifier: exception.type },
+      after: { status: resolved.status },
+      metadata: {
+        ...metadata,
+        fix: action,
+        paymentId: exception.paymentId?.toString(),
+        journalId: result.journalId?.toString(),
+        pendingApproval: result.status === 'PENDING_APPROVAL',
+        notes: note || `Reconciliation exception fixed with ${action}`,
+      },
+    });
+
+    return { exception: resolved, result };
+  }
+
+  async creditPayment(exception) {
+    const payment = await this.getPayment(exception);
+    if (payment.linkedJournalId) {
+      throw new ConflictError('Payment is already credited');
+    }
+
+    if (CREDITED_STATUSES.includes(payment.status)) {
+      const posted = await this.findUnlinkedDeposit(payment);
+      if (posted) {
+        payment.linkedJournalId = posted;
+        await payment.save();
+      } else {
+        await PaymentService.creditUserAccount(payment);
+      }
+    } else {
+      // Charged but never marked succeeded: settle it as the webhook would have
+      const intent = await this.retrieveIntent(payment.stripePaymentIntentId);
+      if (intent?.status !== 'succeeded') {
+        throw new ConflictError(`Payment intent is ${intent ? intent.status : 'missing'} at the provider`);
+      }
+      await PaymentService.handlePaymentSucceeded(intent);
+    }
+
+    const credited = await Payment.findById(payment._id).select('status linkedJournalId');
+    return { status: credited.status, journalId: credited.linkedJournalId };
+  }
+
+  // A card deposit journal for the payment that was posted but not linked to it
+  async findUnlinkedDeposit(payment) {
+    const entries = await LedgerEntry.find({
+      'meta.type': config.transactionTypes.DEPOSIT,
+      'meta.externalRef.stripePaymentIntentId': payment.stripePaymentIntentId,
+    }).select('journalId');
+
+    for (const entry of entries) {
+      const chain = await LedgerService.getReversalChain(entry.journalId);
+      const linked = await Payment.exists({ linkedJournalId: entry.journalId });
+      if (chain.status === 'NOT_REVERSED' && !linked) {
+        return entry.journalId;
+      }
+    }
+    return null;
+  }
+
+  async syncPayment(exception) {
+    const payment = await this.getPayment(exception);
+
+    // Settled by a webhook since the exception was raised
+    if (UNSETTLED_STATUSES.includes(payment.status)) {
+      const intent = await this.retrieveIntent(payment.stripePaymentIntentId);
+      if (!intent) {
+        throw new ConflictError('Payment intent is missing at the provider');
+      }
+
+      if (intent.status === 'succeeded') {
+        await PaymentService.handlePaymentSucceeded(intent);
+      } else if (intent.status === 'canceled') {
+        await PaymentService.handlePaymentCanceled(intent);
+      } else if (intent.status === 'requires_payment_method' && intent.last_payment_error) {
+        await PaymentService.handlePaymentFailed(intent);
+      } else {
+        throw new ConflictError(`Payment intent is still ${intent.status} at the provider`);
+      }
+    }
+
+    const synced = await Payment.findById(payment._id).select('status linkedJournalId');
+    return { status: synced.status, journalId: synced.linkedJournalId };
+  }
+
+  async getPayment(exception) {
+    const payment = exception.paymentId && await Payment.findById(exception.paymentId);
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+    return payment;
+  }
+
+  async resolve(exceptionId, { action, by, note, journalId }) {
+    const exception = await ReconciliationException.findOneAndUpdate(
+      { _id: exceptionId, status: { $in: UNRESOLVED_STATUSES } },
+      {
+        $set: {
+          status: 'RESOLVED',
+          resolution: { action, by, at: new Date(), note, journalId },
+        },
+        $unset: { fingerprint: 1 },
+      },
+      { new: true }
+    );
+    if (!exception) {
+      await this.assertUnresolved(exceptionId);
+    }
+    return exception;
+  }
+
+  // Throws why an update of an unresolved exception matched nothing
+  async assertUnresolved(exceptionId) {
+    const existing = await ReconciliationException.findById(exceptionId).select('status');
+    if (!existing) {
+      throw new NotFoundError('Reconciliation exception not found');
+    }
+    throw new ConflictError('Exception is already resolved');
+  }
+
+  async getTreasuryAdmin(adminId) {
+    const admin = await User.findById(adminId);
+    if (!admin || !TREASURY_ROLES.includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions for reconciliation');
+    }
+    return admin;
+  }
+}
+
+module.exports = new PaymentReconciliationService();
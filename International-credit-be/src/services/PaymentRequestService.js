@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { PaymentRequest, User } = require('../models');
+const TransferService = require('./TransferService');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { assertScale, formatAmount } = require('../utils/money');
+
+class PaymentRequestService {
+  /**
+   * Ask to be paid `amount` of asset. Anyone holding the returned link or QR code can
+   * pay it once, through the same screened transfer as a direct send.
+   */
+  async createRequest(requesterId, { amount, asset, note }) {
+    const value = assertScale(amount, asset);
+    if (!value.gt(0)) {
+      throw new ValidationError('Requested amount must be positive');
+    }
+
+    const requester = await User.findById(requesterId);
+    if (!requester) {
+      throw new NotFoundError('User not found');
+    }
+    // Refuse up front rather than letting every payer hit the same screening failure
+    await TransferService.screenParty(requester, 'sender');
+
+    const request = await PaymentRequest.create({
+      requesterId,
+      amount: formatAmount(value, asset),
+      asset,
+      note,
+      code: crypto.randomBytes(9).toString('base64url'),
+      expiresAt: new Date(Date.now() + config.transfers.paymentRequestTtlHours * 60 * 60 * 1000),
+    });
+
+    logger.info('Payment request created', {
+      requestId: request._id.toString(),
+      requesterId: requesterId.toString(),
+      amount: request.amount,
+      asset,
+    });
+
+    return this.serializeRequest(request, requester, { withQrCode: true });
+  }
+
+  async getRequests(requesterId, filters = {}) {
+    const query = { requesterId };
+    if (filters.status === 'EXPIRED') {
+      query.status = 'OPEN';
+      query.expiresAt = { $lte: new Date() };
+    } else if (filters.status === 'OPEN') {
+      query.status = 'OPEN';
+      query.expiresAt = { $gt: new Date() };
+    } else if (filters.status) {
+      query.status = filters.status;
+    }
+
+    const requests = await PaymentRequest.find(query)
+      .sort({ createdAt: -1 })
+      .limit(filters.limit || 50);
+    return Promise.all(requests.map(request => this.serializeRequest(request)));
+  }
+
+  // What a payer sees when opening a pay link
+  async getByCode(code) {
+    const request = await PaymentRequest.findOne({ code });
+    if (!request) {
+      throw new NotFoundError('Payment request not found');
+    }
+
+    const requester = await User.findById(request.requesterId);
+    return this.serializeRequest(request, requester);
+  }
+
+  async payRequest(payerId, code, { idempotencyKey } = {}, metadata = {}) {
+    const request = await PaymentRequest.findOne({ code });
+    if (!request) {
+      throw new NotFoundError('Payment request not found');
+    }
+    if (request.requesterId.toString() === payerId.toString()) {
+      throw new ValidationError('Cannot pay your own payment request');
+    }
+    this.assertPayable(request);
+
+    const requester = await User.findById(request.requesterId);
+    if (!requester || !requester.isActive) {
+      throw new NotFoundError('Requester not found');
+    }
+
+    // Claimed atomically so two payers cannot settle the same request
+    const claimed = await PaymentRequest.findOneAndUpdate(
+      { _id: request._id, status: 'OPEN', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'PAYING', payerId } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ConflictError('Payment request is no longer open');
+    }
+
+    let result;
+    try {
+      result = await TransferService.transferToUser(
+        payerId,
+        { user: requester, kind: 'request' },
+        {
+          amount: request.amount,
+          asset: request.asset,
+          description: request.note || 'Payment request',
+          idempotencyKey,
+        },
+        metadata
+      );
+    } catch (error) {
+      await PaymentRequest.updateOne(
+        { _id: request._id, status: 'PAYING' },
+        { $set: { status: 'OPEN' }, $unset: { payerId: 1 } }
+      );
+      throw error;
+    }
+
+    claimed.status = 'PAID';
+    claimed.journalId = result.journalId;
+    claimed.paidAt = new Date();
+    await claimed.save();
+
+    logger.info('Payment request paid', {
+      requestId: request._id.toString(),
+      payerId: payerId.toString(),
+      journalId: result.journalId.toString(),
+    });
+
+    return { ...result, request: await this.serializeRequest(claimed, requester) };
+  }
+
+  async cancelRequest(requesterId, requestId) {
+    const request = await PaymentRequest.findOneAndUpdate(
+      { _id: requestId, requesterId, status: 'OPEN' },
+      { $set: { status: 'CANCELED', canceledAt: new Date() } },
+      { new: true }
+    );
+    if (!request) {
+      const existing = await PaymentRequest.findOne({ _id: requestId, requesterId });
+      if (!existing) {
+        throw new NotFoundError('Payment request not found');
+      }
+      throw new ConflictError(`Payment request is ${existing.status.toLowerCase()}`);
+    }
+
+    return this.serializeRequest(request);
+  }
+
+  assertPayable(request) {
+    if (request.status === 'OPEN' && request.expiresAt <= new Date()) {
+      throw new ConflictError('Payment request has expired');
+    }
+    if (request.status !== 'OPEN') {
+      throw new ConflictError(`Payment request is ${request.status.toLowerCase()}`);
+    }
+  }
+
+  // Requests past their expiry read as EXPIRED without needing a sweep
+  effectiveStatus(request) {
+    return request.status === 'OPEN' && request.expiresAt <= new Date() ? 'EXPIRED' : request.status;
+  }
+
+  payLink(code) {
+    return `${config.transfers.payLinkBaseUrl.replace(/\/$/, '')}/pay/${code}`;
+  }
+
+  async serializeRequest(request, requester = null, { withQrCode = false } = {}) {
+    const url = this.payLink(request.code);
+    return {
+      id: request._id,
+      code: request.code,
+      url,
+      qrCode: withQrCode ? await QRCode.toDataURL(url) : undefined,
+      amount: request.amount,
+      asset: request.asset,
+      note: request.note,
+      status: this.effectiveStatus(request),
+      expiresAt: request.expiresAt,
+      paidAt: request.paidAt,
+      journalId: request.journalId,
+      requester: requester
+        ? TransferService.describeRecipient({ user: requester, kind: 'request' })
+        : undefined,
+      createdAt: request.createdAt,
+    };
+  }
+}
+
+module.exports = new PaymentRequestService();
@@ -1,40 +1,222 @@
-const Stripe = require('stripe');
-const crypto = require('crypto');
-const { Payment, Account, User, AuditLog } = require('../models');
+const mongoose = require('mongoose');
+const { Payment, Account, User, AuditLog, LedgerEntry, Hold, Config, DepositQuote } = require('../models');
 const LedgerService = require('./LedgerService');
-const { NotFoundError, ValidationError, InternalServerError, ConflictError } = require('../utils/errors');
+const SwapService = require('./SwapService');
+const StripePaymentProvider = require('./paymentProviders/StripePaymentProvider');
+const FakePaymentProvider = require('./paymentProviders/FakePaymentProvider');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  InternalServerError,
+  ConflictError,
+  ServiceUnavailableError,
+} = require('../utils/errors');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { Decimal, toDecimal, roundAmount, assertScale, formatAmount, sum } = require('../utils/money');
+
+// Statuses of a credited payment that can still be refunded
+const REFUNDABLE_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED'];
+// Statuses a payment_failed or canceled event can move a payment out of; a late event
+// must not overwrite a payment that was already credited
+const OPEN_STATUSES = ['PENDING', 'PROCESSING'];
+// Decimal places of the accepted fiat currencies, and kept on a quoted rate
+const FIAT_SCALE = 2;
+const RATE_SCALE = 18;
+// Payment status for an intent's status at creation; crediting waits for the
+// payment_intent.succeeded webhook even when the intent already succeeded
+const INTENT_STATUSES = {
+  processing: 'PROCESSING',
+  succeeded: 'PROCESSING',
+  canceled: 'CANCELED',
+};
 
 class PaymentService {
   constructor() {
-    this.stripe = new Stripe(config.stripe.secretKey);
+    this.providers = new Map();
+    this.registerProvider(StripePaymentProvider);
+    this.registerProvider(FakePaymentProvider);
   }
 
-  async createPaymentIntent(userId, amount, currency = 'USD', paymentMethodId = null) {
-    try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new NotFoundError('User not found');
-      }
+  /**
+   * Providers expose a `name` and Stripe's API shape: createPaymentIntent(params),
+   * retrievePaymentIntent(id), listPaymentIntents(params), createRefund(params, options)
+   * and constructEvent(rawBody, signature), throwing errors whose `type` names the
+   * Stripe error. Providers flagged `testOnly` are refused in production.
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name = config.payments.provider) {
+    const provider = this.providers.get(name);
+    if (!provider || (provider.testOnly && config.env === 'production')) {
+      throw new ServiceUnavailableError(`Unknown payment provider ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Price a card deposit of `fiatAmount` fiatCurrency. The amount converts to UC at the
+   * ratio of the two USD prices; the Config fee schedule (a percentage plus a fixed USD
+   * fee converted to the currency) is charged on top.
+   */
+  async priceDeposit({ fiatAmount, fiatCurrency = 'USD', asset = config.assets.UC }, systemConfig) {
+    if (!config.deposits.currencies.includes(fiatCurrency)) {
+      throw new ValidationError(`Deposits in ${fiatCurrency} are not supported`);
+    }
+    const amount = toDecimal(fiatAmount);
+    if (!amount.gt(0) || amount.decimalPlaces() > FIAT_SCALE) {
+      throw new ValidationError(`Deposit amount must be positive with at most ${FIAT_SCALE} decimal places`);
+    }
+
+    const fiatPrice = systemConfig.fxTable?.[fiatCurrency];
+    if (!fiatPrice || fiatPrice <= 0) {
+      throw new ServiceUnavailableError(`No exchange rate available for ${fiatCurrency}`);
+    }
+    const fiat = { price: fiatPrice, source: 'fxTable' };
+    const assetPrice = await SwapService.getUsdPrice(asset, systemConfig);
+
+    const rate = toDecimal(fiat.price).div(assetPrice.price).decimalPlaces(RATE_SCALE);
+    const ucAmount = roundAmount(amount.times(rate), asset);
+    if (!ucAmount.gt(0)) {
+      throw new ValidationError('Deposit amount is too small');
+    }
+
+    const { depositFeeBps = 0, depositFixedFeeUsd = 0 } = systemConfig.feeStructure;
+    const processing = amount.times(depositFeeBps).div(10000).decimalPlaces(FIAT_SCALE, Decimal.ROUND_HALF_UP);
+    const fixed = toDecimal(depositFixedFeeUsd).div(fiat.price).decimalPlaces(FIAT_SCALE, Decimal.ROUND_HALF_UP);
+    const totalFees = processing.plus(fixed);
+
+    return {
+      fiatCurrency,
+      fiatAmount: amount.toFixed(FIAT_SCALE),
+      asset,
+      rate: rate.toFixed(),
+      ucAmount: formatAmount(ucAmount, asset),
+      feeBps: depositFeeBps,
+      fees: {
+        processing: processing.toFixed(FIAT_SCALE),
+        fixed: fixed.toFixed(FIAT_SCALE),
+        total: totalFees.toFixed(FIAT_SCALE),
+      },
+      totalAmount: amount.plus(totalFees).toFixed(FIAT_SCALE),
+      prices: { fiat, asset: assetPrice },
+    };
+  }
+
+  // Price a deposit and hold it for config.deposits.quoteTtlMs
+  async createQuote(userId, request) {
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.deposits) {
+      throw new ServiceUnavailableError('Deposits are currently paused');
+    }
+
+    const quote = await DepositQuote.create({
+      userId,
+      ...await this.priceDeposit(request, systemConfig),
+      expiresAt: new Date(Date.now() + config.deposits.quoteTtlMs),
+    });
+
+    logger.info('Deposit quote created', {
+      userId: userId.toString(),
+      quoteId: quote._id.toString(),
+      fiatAmount: quote.fiatAmount,
+      fiatCurrency: quote.fiatCurrency,
+      rate: quote.rate,
+      ucAmount: quote.ucAmount,
+    });
 
-      // Get UC exchange rate (simplified - in production, would come from oracle)
-      const ucRate = 1.0; // 1 USD = 1 UC for now
-      const ucAmount = amount / ucRate;
+    return this.serializeQuote(quote);
+  }
 
-      // Create Stripe payment intent
+  serializeQuote(quote) {
+    return {
+      quoteId: quote._id,
+      fiatAmount: quote.fiatAmount,
+      fiatCurrency: quote.fiatCurrency,
+      asset: quote.asset,
+      ucAmount: quote.ucAmount,
+      exchangeRate: quote.rate,
+      fees: {
+        processing: quote.fees.processing,
+        fixed: quote.fees.fixed,
+        total: quote.fees.total,
+      },
+      totalAmount: quote.totalAmount,
+      expiresAt: quote.expiresAt,
+    };
+  }
+
+  /**
+   * Claim an unused, unexpired quote of the user's for one payment intent. `amount` and
+   * `currency`, when sent with the quote, must match it.
+   */
+  async consumeQuote(userId, quoteId, { amount, currency } = {}) {
+    const quote = await DepositQuote.findOne({ _id: quoteId, userId });
+    if (!quote) {
+      throw new NotFoundError('Quote not found');
+    }
+    if (currency && currency !== quote.fiatCurrency) {
+      throw new ValidationError(`Quote is for ${quote.fiatCurrency}, not ${currency}`);
+    }
+    if (amount !== undefined && !toDecimal(amount).eq(quote.fiatAmount)) {
+      throw new ValidationError(`Quote is for ${quote.fiatAmount} ${quote.fiatCurrency}, not ${amount}`);
+    }
+
+    // Claimed atomically so two requests cannot use the same quote
+    const claimed = await DepositQuote.findOneAndUpdate(
+      { _id: quote._id, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ConflictError(quote.usedAt ? 'Quote has already been used' : 'Quote has expired');
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Create a Stripe payment intent for a deposit. The price comes from `quoteId`, or
+   * for a direct `amount` from a quote created on the spot, so every payment carries
+   * the quote that explains its rate and fees.
+   */
+  async createPaymentIntent(userId, { quoteId, amount, currency, paymentMethodId = null }) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.deposits) {
+      throw new ServiceUnavailableError('Deposits are currently paused');
+    }
+
+    let quote;
+    if (quoteId) {
+      quote = await this.consumeQuote(userId, quoteId, { amount, currency });
+    } else {
+      const created = await this.createQuote(userId, { fiatAmount: amount, fiatCurrency: currency });
+      quote = await this.consumeQuote(userId, created.quoteId);
+    }
+
+    let paymentIntent;
+    try {
       const paymentIntentData = {
-        amount: Math.round(amount * 100), // Stripe uses cents
-        currency: currency.toLowerCase(),
+        amount: toDecimal(quote.totalAmount).times(100).integerValue(Decimal.ROUND_HALF_UP).toNumber(), // Stripe uses cents
+        currency: quote.fiatCurrency.toLowerCase(),
         automatic_payment_methods: {
           enabled: true,
         },
         metadata: {
           userId: userId.toString(),
-          ucAmount: ucAmount.toString(),
-          exchangeRate: ucRate.toString(),
+          quoteId: quote._id.toString(),
+          ucAmount: quote.ucAmount,
+          exchangeRate: quote.rate,
         },
-        description: `UC Purchase - ${ucAmount} UC`,
+        description: `UC Purchase - ${quote.ucAmount} UC`,
       };
 
       if (paymentMethodId) {
@@ -43,64 +225,10 @@ class PaymentService {
         paymentIntentData.return_url = 'https://your-app.com/payment-return';
       }
 
-      const paymentIntent = await this.stripe.paymentIntents.create(paymentIntentData);
-
-      // Create local payment record
-      const payment = new Payment({
-        userId,
-        stripePaymentIntentId: paymentIntent.id,
-        fiatAmount: amount,
-        fiatCurrency: currency,
-        ucAmount,
-        exchangeRate: ucRate,
-        status: paymentIntent.status.toUpperCase(),
-        metadata: {
-          clientSecret: paymentIntent.client_secret,
-          paymentMethodId,
-        },
-        events: [{
-          type: 'payment_intent.created',
-          status: paymentIntent.status,
-          data: {
-            amount: paymentIntent.amount,
-            currency: paymentIntent.currency,
-          },
-        }],
-      });
-
-      await payment.save();
-
-      await AuditLog.logAction({
-        actor: userId,
-        role: user.role,
-        action: 'CREATE',
-        object: { type: 'Payment', id: payment._id },
-        after: {
-          stripePaymentIntentId: paymentIntent.id,
-          amount,
-          currency,
-          ucAmount,
-          status: payment.status,
-        },
-        metadata: {
-          notes: 'Payment intent created',
-        },
-      });
-
-      logger.info('Payment intent created', {
-        userId,
-        paymentIntentId: paymentIntent.id,
-        amount,
-        currency,
-        ucAmount,
-      });
-
-      return {
-        payment,
-        clientSecret: paymentIntent.client_secret,
-        stripePaymentIntentId: paymentIntent.id,
-      };
+      paymentIntent = await this.getProvider().createPaymentIntent(paymentIntentData);
     } catch (error) {
+      // Let the user retry the same quote while it is still valid
+      await DepositQuote.updateOne({ _id: quote._id }, { $unset: { usedAt: 1 } });
       if (error.type && error.type.includes('Stripe')) {
         logger.error('Stripe error:', {
           type: error.type,
@@ -112,16 +240,76 @@ class PaymentService {
       }
       throw error;
     }
+
+    // Create local payment record
+    const payment = new Payment({
+      userId,
+      stripePaymentIntentId: paymentIntent.id,
+      quoteId: quote._id,
+      fiatAmount: quote.totalAmount,
+      fiatCurrency: quote.fiatCurrency,
+      ucAmount: quote.ucAmount,
+      exchangeRate: quote.rate,
+      status: INTENT_STATUSES[paymentIntent.status] || 'PENDING',
+      fees: {
+        platformFee: quote.fees.total,
+      },
+      metadata: {
+        clientSecret: paymentIntent.client_secret,
+        paymentMethodId,
+      },
+      events: [{
+        type: 'payment_intent.created',
+        status: paymentIntent.status,
+        data: {
+          amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+        },
+      }],
+    });
+
+    await payment.save();
+    await DepositQuote.updateOne({ _id: quote._id }, { $set: { paymentId: payment._id } });
+
+    await AuditLog.logAction({
+      actor: userId,
+      role: user.role,
+      action: 'CREATE',
+      object: { type: 'Payment', id: payment._id },
+      after: {
+        stripePaymentIntentId: paymentIntent.id,
+        quoteId: quote._id.toString(),
+        amount: quote.totalAmount,
+        currency: quote.fiatCurrency,
+        ucAmount: quote.ucAmount,
+        exchangeRate: quote.rate,
+        status: payment.status,
+      },
+      metadata: {
+        notes: 'Payment intent created',
+      },
+    });
+
+    logger.info('Payment intent created', {
+      userId,
+      paymentIntentId: paymentIntent.id,
+      quoteId: quote._id.toString(),
+      amount: quote.totalAmount,
+      currency: quote.fiatCurrency,
+      ucAmount: quote.ucAmount,
+    });
+
+    return {
+      payment,
+      clientSecret: paymentIntent.client_secret,
+      stripePaymentIntentId: paymentIntent.id,
+    };
   }
 
   async processWebhook(rawBody, signature) {
     try {
       // Verify webhook signature
-      const event = this.stripe.webhooks.constructEvent(
-        rawBody,
-        signature,
-        config.stripe.webhookSecret
-      );
+      const event = this.getProvider().constructEvent(rawBody, signature);
 
       logger.info('Stripe webhook received', {
         eventType: event.type,
@@ -137,6 +325,12 @@ class PaymentService {
           return await this.handlePaymentCanceled(event.data.object);
         case 'charge.dispute.created':
           return await this.handleChargeDispute(event.data.object);
+        case 'charge.dispute.funds_withdrawn':
+          return await this.handleDisputeFundsWithdrawn(event.data.object);
+        case 'charge.dispute.closed':
+          return await this.handleDisputeClosed(event.data.object);
+        case 'charge.refunded':
+          return await this.handleChargeRefunded(event.data.object);
         default:
           logger.info('Unhandled webhook event type:', { eventType: event.type });
           return { processed: false, reason: 'Unhandled event type' };
@@ -164,7 +358,8 @@ class PaymentService {
         return { processed: false, reason: 'Payment record not found' };
       }
 
-      if (payment.status === 'SUCCEEDED') {
+      // Refunds and disputes move a credited payment past SUCCEEDED
+      if (payment.status === 'SUCCEEDED' || payment.linkedJournalId) {
         logger.info('Payment already processed:', {
           paymentId: payment._id,
           paymentIntentId: paymentIntent.id,
@@ -212,36 +407,29 @@ class PaymentService {
   }
 
   async handlePaymentFailed(paymentIntent) {
-    const payment = await Payment.findOne({
-      stripePaymentIntentId: paymentIntent.id,
-    });
-
-    if (!payment) {
-      return { processed: false, reason: 'Payment record not found' };
+    const failureReason = paymentIntent.last_payment_error?.message;
+    const update = {
+      $set: { status: 'FAILED' },
+      $push: { events: { type: 'payment_intent.payment_failed', status: 'failed', data: paymentIntent } },
+    };
+    if (failureReason) {
+      update.$set['metadata.failureReason'] = failureReason;
     }
 
-    payment.status = 'FAILED';
-    payment.events.push({
-      type: 'payment_intent.payment_failed',
-      status: 'failed',
-      data: paymentIntent,
-    });
-
-    if (paymentIntent.last_payment_error) {
-      payment.metadata.failureReason = paymentIntent.last_payment_error.message;
+    const { payment, ignored } = await this.closePayment(paymentIntent, update);
+    if (!payment) {
+      return ignored;
     }
 
-    await payment.save();
-
     await AuditLog.logAction({
       actor: payment.userId,
       role: 'user',
       action: 'UPDATE',
       object: { type: 'Payment', id: payment._id },
-      before: { status: 'PROCESSING' },
+      before: { status: payment.status },
       after: { status: 'FAILED' },
       metadata: {
-        failureReason: payment.metadata.failureReason,
+        failureReason,
         notes: 'Payment failed',
       },
       result: { success: false },
@@ -250,30 +438,21 @@ class PaymentService {
     logger.warn('Payment failed', {
       paymentId: payment._id,
       userId: payment.userId,
-      reason: payment.metadata.failureReason,
+      reason: failureReason,
     });
 
     return { processed: true, status: 'FAILED' };
   }
 
   async handlePaymentCanceled(paymentIntent) {
-    const payment = await Payment.findOne({
-      stripePaymentIntentId: paymentIntent.id,
+    const { payment, ignored } = await this.closePayment(paymentIntent, {
+      $set: { status: 'CANCELED' },
+      $push: { events: { type: 'payment_intent.canceled', status: 'canceled', data: paymentIntent } },
     });
-
     if (!payment) {
-      return { processed: false, reason: 'Payment record not found' };
+      return ignored;
     }
 
-    payment.status = 'CANCELED';
-    payment.events.push({
-      type: 'payment_intent.canceled',
-      status: 'canceled',
-      data: paymentIntent,
-    });
-
-    await payment.save();
-
     logger.info('Payment canceled', {
       paymentId: payment._id,
       userId: payment.userId,
@@ -282,16 +461,98 @@ class PaymentService {
     return { processed: true, status: 'CANCELED' };
   }
 
-  async handleChargeDispute(dispute) {
-    const payment = await Payment.findOne({
-      stripePaymentIntentId: dispute.payment_intent,
+  // Apply a failed or canceled intent's update to a payment still in an open status;
+  // resolves to the payment as it was before, or to the webhook result when ignored
+  async closePayment(paymentIntent, update) {
+    const payment = await Payment.findOneAndUpdate(
+      { stripePaymentIntentId: paymentIntent.id, status: { $in: OPEN_STATUSES } },
+      update
+    );
+    if (payment) {
+      return { payment };
+    }
+
+    const existing = await Payment.findOne({ stripePaymentIntentId: paymentIntent.id }).select('status');
+    if (!existing) {
+      return { ignored: { processed: false, reason: 'Payment record not found' } };
+    }
+
+    logger.info('Ignoring late payment intent event', {
+      paymentId: existing._id,
+      paymentIntentId: paymentIntent.id,
+      status: existing.status,
     });
+    return { ignored: { processed: false, reason: `Payment is already ${existing.status.toLowerCase()}` } };
+  }
 
-    if (!payment) {
+  /**
+   * A dispute freezes the disputed UC with a hold until Stripe either withdraws the
+   * funds (clawback) or closes the dispute. The hold covers what the user still has;
+   * the rest is booked to their receivable if the funds are withdrawn.
+   */
+  async handleChargeDispute(dispute) {
+    const fiatAmount = toDecimal(dispute.amount).div(100);
+    const existing = await Payment.findOne({ stripePaymentIntentId: dispute.payment_intent });
+    if (!existing) {
       return { processed: false, reason: 'Payment record not found' };
     }
 
-    // Log dispute for admin review
+    const ucAmount = this.ucForFiat(existing, fiatAmount);
+    const payment = await Payment.findOneAndUpdate(
+      { _id: existing._id, 'dispute.stripeDisputeId': { $ne: dispute.id } },
+      {
+        $set: {
+          dispute: {
+            stripeDisputeId: dispute.id,
+            reason: dispute.reason,
+            stripeStatus: dispute.status,
+            outcome: 'OPEN',
+            fiatAmount: fiatAmount.toFixed(),
+            ucAmount: ucAmount.toFixed(),
+            statusBefore: existing.status,
+            openedAt: new Date(),
+          },
+          status: 'DISPUTED',
+        },
+        $push: {
+          events: { type: 'charge.dispute.created', status: dispute.status, data: dispute },
+        },
+      },
+      { new: true }
+    );
+    if (!payment) {
+      return { processed: true, reason: 'Already processed' };
+    }
+
+    let hold = null;
+    if (payment.linkedJournalId) {
+      const { account, userEntry } = await this.getDepositChain(payment);
+      const { available } = await LedgerService.aggregateAccountBalance(account._id);
+      const holdAmount = Decimal.min(ucAmount, available, toDecimal(userEntry.reversible));
+
+      if (holdAmount.gt(0) && account.status !== 'CLOSED') {
+        try {
+          hold = await LedgerService.authorizeHold(account._id, holdAmount.toFixed(), {
+            type: config.transactionTypes.REVERSAL,
+            reference: dispute.id,
+            description: `Stripe dispute ${dispute.id}`,
+            userId: payment.userId,
+            expiresAt: null,
+          });
+          payment.dispute.holdId = hold._id;
+          payment.dispute.heldAmount = hold.amount;
+          await payment.save();
+        } catch (error) {
+          // The balance moved since it was read; the clawback books the shortfall instead
+          logger.warn('Could not hold disputed funds', {
+            paymentId: payment._id,
+            disputeId: dispute.id,
+            error: error.message,
+          });
+        }
+      }
+    }
+
     await AuditLog.logAction({
       actor: payment.userId,
       role: 'system',
@@ -300,6 +561,8 @@ class PaymentService {
       metadata: {
         disputeId: dispute.id,
         amount: dispute.amount,
+        ucAmount: ucAmount.toFixed(),
+        heldAmount: hold ? hold.amount : '0',
         reason: dispute.reason,
         evidence: dispute.evidence,
         notes: 'Stripe charge dispute created',
@@ -311,70 +574,208 @@ class PaymentService {
       userId: payment.userId,
       disputeId: dispute.id,
       amount: dispute.amount,
+      heldAmount: hold ? hold.amount : '0',
       reason: dispute.reason,
     });
 
     return { processed: true, status: 'DISPUTED' };
   }
 
-  async creditUserAccount(payment) {
-    try {
-      // Get user's UC account
-      const account = await Account.findOne({
-        userId: payment.userId,
-        asset: config.assets.UC,
-      });
-
-      if (!account) {
-        throw new NotFoundError('User UC account not found');
+  async handleDisputeFundsWithdrawn(dispute) {
+    let payment = await Payment.findOne({ 'dispute.stripeDisputeId': dispute.id });
+    if (!payment) {
+      // The created event may have been missed; open the dispute first
+      await this.handleChargeDispute(dispute);
+      payment = await Payment.findOne({ 'dispute.stripeDisputeId': dispute.id });
+      if (!payment) {
+        return { processed: false, reason: 'Payment record not found' };
       }
+    }
+    if (payment.dispute.fundsWithdrawnAt) {
+      return { processed: true, reason: 'Already processed' };
+    }
 
-      // Create deposit journal entry
-      const entries = [
-        {
-          accountId: account._id,
-          credit: payment.ucAmount,
-          meta: {
-            type: config.transactionTypes.DEPOSIT,
-            description: `UC purchase via Stripe - ${payment.fiatAmount} ${payment.fiatCurrency}`,
-            reference: payment.stripePaymentIntentId,
-            externalRef: {
-              stripePaymentIntentId: payment.stripePaymentIntentId,
-              status: 'completed',
-            },
-          },
-        },
-      ];
+    const clawback = await this.clawbackDispute(payment);
+    payment.dispute.outcome = 'FUNDS_WITHDRAWN';
+    payment.dispute.stripeStatus = dispute.status;
+    payment.dispute.fundsWithdrawnAt = new Date();
+    payment.events.push({ type: 'charge.dispute.funds_withdrawn', status: dispute.status, data: dispute });
+    await payment.save();
 
-      // Add system debit entry (from cash/liability account)
-      const systemCashAccount = await Account.findOne({
-        accountType: 'SYSTEM',
-        asset: config.assets.UC,
-      });
+    await AuditLog.logAction({
+      actor: payment.userId,
+      role: 'system',
+      action: 'DISPUTE_FUNDS_WITHDRAWN',
+      object: { type: 'Payment', id: payment._id },
+      metadata: {
+        disputeId: dispute.id,
+        journalId: clawback?.journalId?.toString(),
+        fromBalance: payment.dispute.fromBalance,
+        receivable: payment.dispute.receivable,
+        notes: 'Disputed UC clawed back',
+      },
+    });
 
-      if (systemCashAccount) {
-        entries.push({
-          accountId: systemCashAccount._id,
-          debit: payment.ucAmount,
-          meta: {
-            type: config.transactionTypes.DEPOSIT,
-            description: `System UC issuance for Stripe payment`,
-            reference: payment.stripePaymentIntentId,
-          },
-        });
+    logger.warn('Dispute funds withdrawn', {
+      paymentId: payment._id,
+      disputeId: dispute.id,
+      fromBalance: payment.dispute.fromBalance,
+      receivable: payment.dispute.receivable,
+    });
+
+    return { processed: true, status: payment.status };
+  }
+
+  /**
+   * A won dispute gives the user back what was held or clawed back; a lost one keeps
+   * the clawback (posting it now if the funds_withdrawn event never came). Any other
+   * close, e.g. a warning that never became a dispute, only releases the hold.
+   */
+  async handleDisputeClosed(dispute) {
+    const payment = await Payment.findOne({ 'dispute.stripeDisputeId': dispute.id });
+    if (!payment) {
+      return { processed: false, reason: 'Payment record not found' };
+    }
+    if (payment.dispute.closedAt) {
+      return { processed: true, reason: 'Already processed' };
+    }
+
+    if (dispute.status === 'lost') {
+      if (!payment.dispute.fundsWithdrawnAt) {
+        await this.clawbackDispute(payment);
+      }
+      payment.dispute.outcome = 'LOST';
+      payment.status = 'CHARGED_BACK';
+    } else {
+      await this.releaseDisputeHold(payment, `Dispute closed: ${dispute.status}`);
+      if (dispute.status === 'won' && payment.dispute.clawbackJournalId) {
+        await this.reinstateDispute(payment);
       }
+      payment.dispute.outcome = dispute.status === 'won' ? 'WON' : 'CLOSED';
+      payment.status = payment.dispute.statusBefore || 'SUCCEEDED';
+    }
 
-      const result = await LedgerService.createJournal(entries, {
-        userId: payment.userId,
-        transactionType: config.transactionTypes.DEPOSIT,
-        description: `UC deposit from Stripe payment`,
-        correlationId: payment.stripePaymentIntentId,
-        amount: payment.ucAmount,
-        currency: config.assets.UC,
+    payment.dispute.stripeStatus = dispute.status;
+    payment.dispute.closedAt = new Date();
+    payment.events.push({ type: 'charge.dispute.closed', status: dispute.status, data: dispute });
+    await payment.save();
+
+    await AuditLog.logAction({
+      actor: payment.userId,
+      role: 'system',
+      action: 'DISPUTE_CLOSED',
+      object: { type: 'Payment', id: payment._id },
+      after: { status: payment.status, outcome: payment.dispute.outcome },
+      metadata: {
+        disputeId: dispute.id,
+        stripeStatus: dispute.status,
+        reinstatementJournalId: payment.dispute.reinstatementJournalId?.toString(),
+        notes: `Stripe dispute closed: ${dispute.status}`,
+      },
+    });
+
+    logger.info('Dispute closed', {
+      paymentId: payment._id,
+      disputeId: dispute.id,
+      outcome: payment.dispute.outcome,
+    });
+
+    return { processed: true, status: payment.status, outcome: payment.dispute.outcome };
+  }
+
+  // Claws back the disputed UC, capped at what earlier refunds left of the deposit
+  async clawbackDispute(payment) {
+    const { dispute } = payment;
+    if (!payment.linkedJournalId) {
+      await this.releaseDisputeHold(payment, 'Payment was never credited');
+      return null;
+    }
+
+    const { userEntry } = await this.getDepositChain(payment);
+    const amount = Decimal.min(toDecimal(dispute.ucAmount), toDecimal(userEntry.reversible));
+    if (!amount.gt(0)) {
+      await this.releaseDisputeHold(payment, 'Deposit already refunded');
+      return null;
+    }
+
+    const clawback = await this.clawback(payment, amount, {
+      reason: `Stripe dispute ${dispute.stripeDisputeId}: ${dispute.reason || 'chargeback'}`,
+      holdId: dispute.holdId,
+      idempotencyKey: `dispute-clawback:${dispute.stripeDisputeId}`,
+      userId: payment.userId,
+    });
+    dispute.clawbackJournalId = clawback.journalId;
+    dispute.fromBalance = clawback.fromBalance;
+    dispute.receivable = clawback.receivable;
+    return clawback;
+  }
+
+  async releaseDisputeHold(payment, reason) {
+    const holdId = payment.dispute?.holdId;
+    if (holdId && await Hold.exists({ _id: holdId, status: 'ACTIVE' })) {
+      await LedgerService.releaseHold(holdId, reason);
+    }
+  }
+
+  // Pays back a won dispute's clawback: the user's part to their balance, the rest to
+  // settle the receivable it created
+  async reinstateDispute(payment) {
+    const { dispute } = payment;
+    const idempotencyKey = `dispute-reinstate:${dispute.stripeDisputeId}`;
+    const posted = await LedgerEntry.findOne({ 'meta.idempotencyKey': idempotencyKey }).select('journalId');
+    if (posted) {
+      dispute.reinstatementJournalId = posted.journalId;
+      return;
+    }
+
+    const { account, systemEntry } = await this.getDepositChain(payment);
+    const fromBalance = toDecimal(dispute.fromBalance);
+    const receivable = toDecimal(dispute.receivable);
+    const meta = {
+      type: config.transactionTypes.DEPOSIT,
+      description: `Reinstated after Stripe dispute ${dispute.stripeDisputeId} was won`,
+      reference: payment.stripePaymentIntentId,
+    };
+
+    const entries = [{
+      accountId: systemEntry.accountId,
+      debit: fromBalance.plus(receivable).toFixed(),
+      meta,
+    }];
+    if (fromBalance.gt(0)) {
+      entries.push({ accountId: account._id, credit: fromBalance.toFixed(), meta });
+    }
+    if (receivable.gt(0)) {
+      const receivableAccount = await this.getReceivableAccount(payment.userId);
+      entries.push({ accountId: receivableAccount._id, credit: receivable.toFixed(), meta });
+    }
+
+    const result = await LedgerService.createJournal(entries, {
+      userId: payment.userId,
+      transactionType: config.transactionTypes.DEPOSIT,
+      description: meta.description,
+      correlationId: payment.stripePaymentIntentId,
+      idempotencyKey,
+    });
+    dispute.reinstatementJournalId = result.journalId;
+  }
+
+  async creditUserAccount(payment) {
+    try {
+      const { account, journalId } = await this.postDeposit(payment.userId, payment.ucAmount, {
+        source: 'Stripe payment',
+        description: `UC purchase via Stripe - ${payment.fiatAmount} ${payment.fiatCurrency}`,
+        reference: payment.stripePaymentIntentId,
+        externalRef: {
+          stripePaymentIntentId: payment.stripePaymentIntentId,
+          status: 'completed',
+        },
+        // The webhook and a reconciliation fix can both credit the same payment
+        idempotencyKey: `payment:${payment._id}`,
       });
 
       // Link payment to journal
-      payment.linkedJournalId = result.journalId;
+      payment.linkedJournalId = journalId;
       await payment.save();
 
       await AuditLog.logAction({
@@ -384,7 +785,7 @@ class PaymentService {
         object: { type: 'Account', id: account._id },
         metadata: {
           paymentId: payment._id,
-          journalId: result.journalId.toString(),
+          journalId: journalId.toString(),
           amount: payment.ucAmount,
           currency: config.assets.UC,
           stripePaymentIntentId: payment.stripePaymentIntentId,
@@ -396,16 +797,482 @@ class PaymentService {
         userId: payment.userId,
         paymentId: payment._id,
         ucAmount: payment.ucAmount,
-        journalId: result.journalId.toString(),
+        journalId: journalId.toString(),
       });
 
-      return result;
+      return { journalId, success: true };
     } catch (error) {
       logger.error('Failed to credit user account:', error);
       throw error;
     }
   }
 
+  /**
+   * Issue `ucAmount` UC to the user for fiat received: a DEPOSIT journal crediting their
+   * UC account and debiting the UC SYSTEM account. `source` names where the money came
+   * from in the descriptions; with `idempotencyKey`, a repeat returns the first journal.
+   */
+  async postDeposit(userId, ucAmount, { source, description, reference, externalRef, idempotencyKey }) {
+    const account = await Account.findOne({
+      userId,
+      asset: config.assets.UC,
+      accountType: 'USER',
+    });
+
+    if (!account) {
+      throw new NotFoundError('User UC account not found');
+    }
+
+    if (idempotencyKey) {
+      const posted = await LedgerEntry.findOne({ 'meta.idempotencyKey': idempotencyKey }).select('journalId');
+      if (posted) {
+        return { account, journalId: posted.journalId };
+      }
+    }
+
+    // Create deposit journal entry
+    const entries = [
+      {
+        accountId: account._id,
+        credit: ucAmount,
+        meta: {
+          type: config.transactionTypes.DEPOSIT,
+          description,
+          reference,
+          externalRef,
+        },
+      },
+    ];
+
+    // Add system debit entry (from cash/liability account)
+    const systemCashAccount = await Account.findOne({
+      accountType: 'SYSTEM',
+      asset: config.assets.UC,
+    });
+
+    if (systemCashAccount) {
+      entries.push({
+        accountId: systemCashAccount._id,
+        debit: ucAmount,
+        meta: {
+          type: config.transactionTypes.DEPOSIT,
+          description: `System UC issuance for ${source}`,
+          reference,
+        },
+      });
+    }
+
+    const result = await LedgerService.createJournal(entries, {
+      userId,
+      transactionType: config.transactionTypes.DEPOSIT,
+      description: `UC deposit from ${source}`,
+      correlationId: reference,
+      amount: ucAmount,
+      currency: config.assets.UC,
+      idempotencyKey,
+    });
+
+    return { account, journalId: result.journalId };
+  }
+
+  /**
+   * Refund all or part of a payment's fiat amount through Stripe and claw back the UC
+   * it bought. The refund is recorded as PENDING first, so only one refund of a payment
+   * runs at a time; it ends FAILED if Stripe refuses it, or CLAWBACK_FAILED if the card
+   * was refunded but the ledger journal did not post and needs manual follow-up.
+   */
+  async refundPayment(adminId, paymentId, { amount, reason }, metadata = {}) {
+    const admin = await User.findById(adminId);
+    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY].includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions to refund payments');
+    }
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+    if (!REFUNDABLE_STATUSES.includes(payment.status) || !payment.linkedJournalId) {
+      throw new ConflictError(`Cannot refund a payment with status ${payment.status}`);
+    }
+
+    const plan = await this.planRefund(payment, amount);
+    const refundId = await this.claimRefund(payment, {
+      fiatAmount: plan.fiatAmount.toFixed(),
+      ucAmount: plan.ucAmount.toFixed(),
+      reason,
+      createdBy: adminId,
+    });
+    if (!refundId) {
+      throw new ConflictError('Payment changed or another refund of it is in progress');
+    }
+
+    let stripeRefund;
+    try {
+      stripeRefund = await this.getProvider().createRefund({
+        payment_intent: payment.stripePaymentIntentId,
+        amount: plan.fiatAmount.times(100).integerValue(Decimal.ROUND_HALF_UP).toNumber(),
+        reason: 'requested_by_customer',
+        metadata: {
+          paymentId: payment._id.toString(),
+          refundId: refundId.toString(),
+        },
+      }, { idempotencyKey: `refund-${refundId}` });
+    } catch (error) {
+      await this.updateRefund(payment._id, refundId, { status: 'FAILED', error: error.message });
+      logger.error('Stripe refund failed', {
+        paymentId: payment._id,
+        refundId,
+        type: error.type,
+        code: error.code,
+        message: error.message,
+      });
+      throw new InternalServerError(`Payment processing error: ${error.message}`);
+    }
+
+    const { updated, clawback, status } = await this.settleRefund(payment, refundId, stripeRefund, {
+      ...plan,
+      reason,
+      userId: adminId,
+    });
+
+    await AuditLog.logAction({
+      actor: adminId,
+      role: admin.role,
+      action: 'PAYMENT_REFUND',
+      object: { type: 'Payment', id: payment._id },
+      before: { status: payment.status },
+      after: { status },
+      metadata: {
+        ...metadata,
+        stripeRefundId: stripeRefund.id,
+        journalId: clawback.journalId.toString(),
+        fiatAmount: plan.fiatAmount.toFixed(),
+        ucAmount: plan.ucAmount.toFixed(),
+        fromBalance: clawback.fromBalance,
+        receivable: clawback.receivable,
+        reason,
+        notes: status === 'REFUNDED' ? 'Payment refunded by admin' : 'Payment partially refunded by admin',
+      },
+    });
+
+    logger.warn('Payment refunded', {
+      adminId,
+      paymentId: payment._id,
+      stripeRefundId: stripeRefund.id,
+      fiatAmount: plan.fiatAmount.toFixed(),
+      ucAmount: plan.ucAmount.toFixed(),
+      receivable: clawback.receivable,
+    });
+
+    return { payment: updated, refund: updated.refunds.id(refundId) };
+  }
+
+  /**
+   * Refunds made outside refundPayment, e.g. from the Stripe dashboard, only arrive as
+   * charge.refunded. Ours carry a refundId in their metadata and are skipped; any other
+   * succeeded refund not yet recorded is clawed back like an admin refund.
+   */
+  async handleChargeRefunded(charge) {
+    let payment = await Payment.findOne({ stripePaymentIntentId: charge.payment_intent });
+    if (!payment) {
+      return { processed: false, reason: 'Payment record not found' };
+    }
+
+    const recorded = new Set(payment.refunds.map(refund => refund.stripeRefundId));
+    const external = (charge.refunds?.data || []).filter(refund =>
+      refund.status === 'succeeded' && !refund.metadata?.refundId && !recorded.has(refund.id));
+    if (external.length === 0) {
+      return { processed: true, reason: 'Already processed' };
+    }
+    if (!REFUNDABLE_STATUSES.includes(payment.status) || !payment.linkedJournalId) {
+      logger.error('Refund made in Stripe for a payment that cannot be refunded', {
+        paymentId: payment._id,
+        status: payment.status,
+        stripeRefundIds: external.map(refund => refund.id),
+      });
+      return { processed: false, reason: `Cannot refund a payment with status ${payment.status}` };
+    }
+
+    // Oldest first, so the last one takes whatever UC is left
+    for (const stripeRefund of [...external].reverse()) {
+      const statusBefore = payment.status;
+      const reason = `Refunded in Stripe: ${stripeRefund.reason || 'no reason given'}`;
+      const plan = await this.planRefund(payment, toDecimal(stripeRefund.amount).div(100));
+      const refundId = await this.claimRefund(payment, {
+        stripeRefundId: stripeRefund.id,
+        fiatAmount: plan.fiatAmount.toFixed(),
+        ucAmount: plan.ucAmount.toFixed(),
+        reason,
+      });
+      if (!refundId) {
+        // Stripe retries the webhook once the other refund is done
+        throw new ConflictError('Payment changed or another refund of it is in progress');
+      }
+
+      const { updated, clawback, status } = await this.settleRefund(payment, refundId, stripeRefund, {
+        ...plan,
+        reason,
+        userId: payment.userId,
+      });
+
+      await AuditLog.logAction({
+        actor: payment.userId,
+        role: 'system',
+        action: 'PAYMENT_REFUND',
+        object: { type: 'Payment', id: payment._id },
+        before: { status: statusBefore },
+        after: { status },
+        metadata: {
+          stripeRefundId: stripeRefund.id,
+          journalId: clawback.journalId.toString(),
+          fiatAmount: plan.fiatAmount.toFixed(),
+          ucAmount: plan.ucAmount.toFixed(),
+          fromBalance: clawback.fromBalance,
+          receivable: clawback.receivable,
+          reason,
+          notes: 'Payment refunded in Stripe',
+        },
+      });
+
+      logger.warn('Payment refunded in Stripe', {
+        paymentId: payment._id,
+        stripeRefundId: stripeRefund.id,
+        fiatAmount: plan.fiatAmount.toFixed(),
+        ucAmount: plan.ucAmount.toFixed(),
+        receivable: clawback.receivable,
+      });
+      payment = updated;
+    }
+
+    return { processed: true, status: payment.status };
+  }
+
+  // Fiat and UC a refund of `amount` (the remainder when undefined) takes from a payment
+  async planRefund(payment, amount) {
+    const counted = payment.refunds.filter(refund => refund.status !== 'FAILED');
+    const refundable = toDecimal(payment.fiatAmount).minus(sum(counted.map(refund => refund.fiatAmount)));
+    const fiatAmount = amount === undefined ? refundable : toDecimal(amount);
+    if (fiatAmount.decimalPlaces() > 2 || !fiatAmount.gt(0)) {
+      throw new ValidationError('Refund amount must be positive with at most 2 decimal places');
+    }
+    if (fiatAmount.gt(refundable)) {
+      throw new ConflictError(`Only ${refundable.toFixed(2)} ${payment.fiatCurrency} is left to refund`);
+    }
+
+    // The last refund takes whatever UC is left, so rounding never strands a remainder
+    const complete = fiatAmount.eq(refundable);
+    const ucAmount = complete
+      ? toDecimal(payment.ucAmount).minus(sum(counted.map(refund => refund.ucAmount)))
+      : this.ucForFiat(payment, fiatAmount);
+    const { userEntry } = await this.getDepositChain(payment);
+    if (ucAmount.gt(userEntry.reversible)) {
+      throw new ConflictError(`Only ${formatAmount(userEntry.reversible, config.assets.UC)} UC of this deposit is left to claw back`);
+    }
+
+    return { fiatAmount, ucAmount, complete };
+  }
+
+  // Records a PENDING refund unless the payment changed or already has one (or, for a
+  // Stripe refund, already records it); resolves to its id, or null when it could not
+  async claimRefund(payment, refund) {
+    const refundId = new mongoose.Types.ObjectId();
+    const filter = { _id: payment._id, status: payment.status, 'refunds.status': { $ne: 'PENDING' } };
+    if (refund.stripeRefundId) {
+      filter['refunds.stripeRefundId'] = { $ne: refund.stripeRefundId };
+    }
+
+    const claimed = await Payment.findOneAndUpdate(filter, {
+      $push: { refunds: { _id: refundId, ...refund } },
+    });
+    return claimed ? refundId : null;
+  }
+
+  // Claws back the UC of a refund Stripe has made and marks it SUCCEEDED
+  async settleRefund(payment, refundId, stripeRefund, { ucAmount, complete, reason, userId }) {
+    let clawback;
+    try {
+      clawback = await this.clawback(payment, ucAmount, {
+        reason: `Refund: ${reason}`,
+        idempotencyKey: `payment-refund:${refundId}`,
+        userId,
+      });
+    } catch (error) {
+      await this.updateRefund(payment._id, refundId, {
+        status: 'CLAWBACK_FAILED',
+        stripeRefundId: stripeRefund.id,
+        error: error.message,
+      });
+      logger.error('Refund clawback failed', {
+        paymentId: payment._id,
+        refundId,
+        stripeRefundId: stripeRefund.id,
+        error: error.message,
+      });
+      throw error;
+    }
+
+    const status = complete ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'refunds._id': refundId },
+      {
+        $set: {
+          'refunds.$.status': 'SUCCEEDED',
+          'refunds.$.stripeRefundId': stripeRefund.id,
+          'refunds.$.journalId': clawback.journalId,
+          'refunds.$.fromBalance': clawback.fromBalance,
+          'refunds.$.receivable': clawback.receivable,
+          'metadata.refundReason': reason,
+          status,
+        },
+        $push: {
+          events: {
+            type: 'refund.created',
+            status: stripeRefund.status,
+            data: { refundId: stripeRefund.id, amount: stripeRefund.amount },
+          },
+        },
+      },
+      { new: true }
+    );
+
+    return { updated, clawback, status };
+  }
+
+  // UC bought by `fiatAmount` of a payment; fees are part of fiatAmount, so pro rata
+  ucForFiat(payment, fiatAmount) {
+    return roundAmount(
+      toDecimal(payment.ucAmount).times(fiatAmount).div(payment.fiatAmount),
+      config.assets.UC
+    );
+  }
+
+  async updateRefund(paymentId, refundId, fields) {
+    const $set = {};
+    for (const [key, value] of Object.entries(fields)) {
+      $set[`refunds.$.${key}`] = value;
+    }
+    await Payment.updateOne({ _id: paymentId, 'refunds._id': refundId }, { $set });
+  }
+
+  // The user's UC account and the user credit and system debit of a payment's deposit journal
+  async getDepositChain(payment) {
+    const account = await Account.findOne({
+      userId: payment.userId,
+      asset: config.assets.UC,
+      accountType: 'USER',
+    });
+    if (!account) {
+      throw new NotFoundError('User UC account not found');
+    }
+
+    const chain = await LedgerService.getReversalChain(payment.linkedJournalId);
+    const userEntry = chain.entries.find(entry =>
+      entry.side === 'credit' && entry.accountId.equals(account._id));
+    const systemEntry = chain.entries.find(entry => entry.side === 'debit');
+    if (!userEntry || !systemEntry) {
+      throw new ConflictError('Deposit journal has no user credit to claw back');
+    }
+
+    return { account, chain, userEntry, systemEntry };
+  }
+
+  async getReceivableAccount(userId) {
+    return Account.findOneAndUpdate(
+      { userId, asset: config.assets.UC, accountType: 'RECEIVABLE' },
+      { $setOnInsert: { status: 'ACTIVE' } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Claw back `ucAmount` of a payment's deposit with a reversal journal. The user's
+   * balance covers what it can (the dispute hold's remainder, when `holdId` is active);
+   * the rest is debited to their RECEIVABLE account, which goes negative by what they
+   * owe. Posting is keyed on `idempotencyKey`, so a retry returns the first posting.
+   */
+  async clawback(payment, ucAmount, { reason, holdId, idempotencyKey, userId }) {
+    const posted = await LedgerEntry.findOne({ 'meta.idempotencyKey': idempotencyKey }).select('journalId');
+    if (posted) {
+      return this.summarizeClawback(posted.journalId);
+    }
+
+    const { account, chain, userEntry, systemEntry } = await this.getDepositChain(payment);
+    const amount = assertScale(ucAmount, config.assets.UC);
+    if (amount.gt(userEntry.reversible)) {
+      throw new ConflictError(`Only ${formatAmount(userEntry.reversible, config.assets.UC)} UC of this deposit is left to claw back`);
+    }
+
+    const hold = holdId ? await Hold.findOne({ _id: holdId, status: 'ACTIVE' }) : null;
+    let fromBalance = new Decimal(0);
+    if (hold) {
+      fromBalance = Decimal.min(amount, toDecimal(hold.remaining));
+    } else if (account.status !== 'CLOSED') {
+      const { available } = await LedgerService.aggregateAccountBalance(account._id);
+      fromBalance = Decimal.max(0, Decimal.min(amount, available));
+    }
+    const receivable = amount.minus(fromBalance);
+
+    const meta = entry => ({
+      type: config.transactionTypes.REVERSAL,
+      description: `Clawback: ${reason}`,
+      reference: chain.journalId.toString(),
+      reversal: {
+        originalJournalId: chain.journalId,
+        originalEntryId: entry.entryId,
+        reason,
+      },
+    });
+    const entries = [];
+    if (fromBalance.gt(0)) {
+      entries.push({ accountId: account._id, debit: fromBalance.toFixed(), meta: meta(userEntry) });
+    }
+    if (receivable.gt(0)) {
+      const receivableAccount = await this.getReceivableAccount(payment.userId);
+      entries.push({ accountId: receivableAccount._id, debit: receivable.toFixed(), meta: meta(userEntry) });
+    }
+    entries.push({ accountId: systemEntry.accountId, credit: amount.toFixed(), meta: meta(systemEntry) });
+
+    const journalMetadata = {
+      userId,
+      transactionType: config.transactionTypes.REVERSAL,
+      description: `Payment clawback: ${reason}`,
+      correlationId: payment.stripePaymentIntentId,
+      originalJournalId: chain.journalId.toString(),
+      idempotencyKey,
+    };
+    let result;
+    if (hold) {
+      result = await LedgerService.captureHold(hold._id, entries, journalMetadata);
+    } else if (fromBalance.gt(0)) {
+      result = await LedgerService.createJournalWithHold(account._id, fromBalance.toFixed(), entries, journalMetadata);
+    } else {
+      result = await LedgerService.createJournal(entries, journalMetadata);
+    }
+
+    return {
+      journalId: result.journalId,
+      amount: amount.toFixed(),
+      fromBalance: fromBalance.toFixed(),
+      receivable: receivable.toFixed(),
+    };
+  }
+
+  async summarizeClawback(journalId) {
+    const entries = await LedgerEntry.find({ journalId }).populate('accountId', 'accountType');
+    const debited = type => sum(entries
+      .filter(entry => entry.accountId?.accountType === type)
+      .map(entry => entry.debit));
+    const fromBalance = debited('USER');
+    const receivable = debited('RECEIVABLE');
+
+    return {
+      journalId,
+      amount: fromBalance.plus(receivable).toFixed(),
+      fromBalance: fromBalance.toFixed(),
+      receivable: receivable.toFixed(),
+    };
+  }
+
   async getUserPayments(userId, pagination = {}) {
     const { page = 1, limit = 20 } = pagination;
     const skip = (page - 1) * limit;
@@ -437,95 +1304,6 @@ class PaymentService {
 
     return payment;
   }
-
-  async reconcilePayments(adminId, date = new Date()) {
-    const admin = await User.findById(adminId);
-    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY].includes(admin.role)) {
-      throw new AuthorizationError('Insufficient permissions for reconciliation');
-    }
-
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-    
-    const endDate = new Date(date);
-    endDate.setHours(23, 59, 59, 999);
-
-    // Get local payments
-    const localPayments = await Payment.find({
-      createdAt: { $gte: startDate, $lte: endDate },
-      status: 'SUCCEEDED',
-    });
-
-    // Get Stripe payments for the same period
-    const stripePayments = await this.stripe.paymentIntents.list({
-      created: {
-        gte: Math.floor(startDate.getTime() / 1000),
-        lt: Math.floor(endDate.getTime() / 1000),
-      },
-      limit: 100,
-    });
-
-    const reconciliation = {
-      date,
-      localCount: localPayments.length,
-      stripeCount: stripePayments.data.length,
-      localTotal: localPayments.reduce((sum, p) => sum + p.fiatAmount, 0),
-      stripeTotal: stripePayments.data.reduce((sum, p) => sum + (p.amount / 100), 0),
-      discrepancies: [],
-    };
-
-    // Check for discrepancies
-    const stripeIds = new Set(stripePayments.data.map(p => p.id));
-    const localIds = new Set(localPayments.map(p => p.stripePaymentIntentId));
-
-    // Find payments in Stripe but not locally
-    stripePayments.data.forEach(stripePayment => {
-      if (!localIds.has(stripePayment.id)) {
-        reconciliation.discrepancies.push({
-          type: 'missing_local',
-          stripePaymentIntentId: stripePayment.id,
-          amount: stripePayment.amount / 100,
-          status: stripePayment.status,
-        });
-      }
-    });
-
-    // Find local payments not in Stripe
-    localPayments.forEach(localPayment => {
-      if (!stripeIds.has(localPayment.stripePaymentIntentId)) {
-        reconciliation.discrepancies.push({
-          type: 'missing_stripe',
-          paymentId: localPayment._id,
-          stripePaymentIntentId: localPayment.stripePaymentIntentId,
-          amount: localPayment.fiatAmount,
-        });
-      }
-    });
-
-    await AuditLog.logAction({
-      actor: adminId,
-      role: admin.role,
-      action: 'REPORT_VIEW',
-      object: { type: 'Payment', identifier: 'reconciliation' },
-      metadata: {
-        date: date.toISOString(),
-        localCount: reconciliation.localCount,
-        stripeCount: reconciliation.stripeCount,
-        discrepancyCount: reconciliation.discrepancies.length,
-        notes: 'Payment reconciliation performed',
-      },
-    });
-
-    logger.info('Payment reconciliation completed', {
-      adminId,
-      date: date.toISOString(),
-      localCount: reconciliation.localCount,
-      stripeCount: reconciliation.stripeCount,
-      discrepancyCount: reconciliation.discrepancies.length,
-    });
-
-    return reconciliation;
-  }
 }
 
 module.exports = new PaymentService();
\ No newline at end of file
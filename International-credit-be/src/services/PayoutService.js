@@ -0,0 +1,652 @@
+const { PayoutBatch, Account, User, Wallet, Config, LedgerEntry, AuditLog } = require('../models');
+const LedgerService = require('./LedgerService');
+const TransferService = require('./TransferService');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const csv = require('../utils/csv');
+const { assertScale, applyBps, formatAmount, sum } = require('../utils/money');
+
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+const WALLET_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const REPORT_COLUMNS = [
+  'line', 'recipient', 'user_id', 'wallet_address', 'amount', 'fee', 'net',
+  'reference', 'status', 'chunk', 'journal_id', 'issues',
+];
+
+class PayoutService {
+  /**
+   * Validate an uploaded payout file and store it as a batch waiting for approval.
+   * Every row is resolved to a platform user and screened like a transfer recipient;
+   * rows that fail are kept as INVALID with the reasons, so the preview shows them.
+   */
+  async createBatch(adminId, { asset, description, mode, chunkSize, csv: csvText, rows }) {
+    const admin = await this.getTreasuryAdmin(adminId);
+
+    const records = csvText !== undefined
+      ? this.parseCsv(csvText)
+      : rows.map((row, index) => ({ line: index + 1, ...row }));
+    if (!records.length) {
+      throw new ValidationError('Payout file has no rows');
+    }
+    if (records.length > config.payouts.maxRows) {
+      throw new ValidationError(`Payout batches are limited to ${config.payouts.maxRows} rows`);
+    }
+
+    const [systemConfig, feeAccount] = await Promise.all([
+      Config.getConfig(),
+      Account.findOne({ accountType: 'FEE', asset }),
+    ]);
+    // Same fee as an internal transfer; without a FEE account recipients receive the full amount
+    const feeBps = feeAccount ? systemConfig.feeStructure.transferFeeBps : 0;
+
+    const validated = [];
+    for (const record of records) {
+      validated.push(await this.validateRow(record, asset, feeBps, adminId));
+    }
+
+    const batch = new PayoutBatch({
+      createdBy: adminId,
+      asset,
+      description,
+      source: csvText !== undefined ? 'CSV' : 'JSON',
+      mode,
+      chunkSize: mode === 'CHUNKED' ? chunkSize || config.payouts.defaultChunkSize : undefined,
+      feeBps,
+      rows: validated,
+      totals: this.previewTotals(validated),
+      events: [{ status: 'PENDING_APPROVAL', actor: adminId, role: admin.role }],
+    });
+    await batch.save();
+
+    await this.audit('PAYOUT_BATCH_CREATE', batch, { actor: adminId, role: admin.role });
+
+    logger.info('Payout batch created', {
+      batchId: batch._id.toString(),
+      adminId,
+      rows: batch.totals.rows,
+      invalidRows: batch.totals.invalidRows,
+      amount: batch.totals.amount,
+      asset,
+    });
+
+    return batch;
+  }
+
+  parseCsv(text) {
+    const records = csv.parse(text);
+    if (records.length && (!('recipient' in records[0]) || !('amount' in records[0]))) {
+      throw new ValidationError('Payout CSV needs recipient and amount columns');
+    }
+    return records;
+  }
+
+  // Resolve and screen one row; never throws for a problem with the row itself
+  async validateRow({ line, recipient, amount, reference }, asset, feeBps, adminId) {
+    const row = {
+      line,
+      recipient: String(recipient ?? '').trim(),
+      reference: reference ? String(reference).trim() : undefined,
+      issues: [],
+    };
+
+    let parsedAmount;
+    try {
+      if (amount === undefined || amount === null || String(amount).trim() === '') {
+        throw new ValidationError('Amount is required');
+      }
+      parsedAmount = assertScale(String(amount).trim(), asset);
+      if (!parsedAmount.gt(0)) {
+        throw new ValidationError('Amount must be positive');
+      }
+    } catch (error) {
+      row.issues.push(error.message);
+    }
+
+    if (!row.recipient) {
+      row.issues.push('Recipient is required');
+    } else {
+      const { user, walletAddress, issue } = await this.resolveRecipient(row.recipient);
+      if (issue) {
+        row.issues.push(issue);
+      } else {
+        row.userId = user._id;
+        row.walletAddress = walletAddress;
+        row.issues.push(...await this.screenRecipient(user, asset, adminId, row));
+      }
+    }
+
+    if (parsedAmount && parsedAmount.gt(0)) {
+      const feeAmount = applyBps(parsedAmount, feeBps, asset);
+      row.amount = parsedAmount.toFixed();
+      row.feeAmount = feeAmount.toFixed();
+      row.netAmount = parsedAmount.minus(feeAmount).toFixed();
+    }
+    row.status = row.issues.length ? 'INVALID' : 'VALID';
+
+    return row;
+  }
+
+  // A user ID, a whitelisted wallet address, or an email address
+  async resolveRecipient(value) {
+    if (OBJECT_ID.test(value)) {
+      const user = await User.findById(value);
+      return user ? { user } : { issue: 'No user with this ID' };
+    }
+
+    if (WALLET_ADDRESS.test(value)) {
+      const wallet = await Wallet.findOne({ address: value.toLowerCase(), isActive: true });
+      if (!wallet) {
+        return { issue: 'Wallet address is not registered' };
+      }
+      if (wallet.whitelistState !== config.walletStatus.WHITELISTED) {
+        return { issue: `Wallet is ${wallet.whitelistState.toLowerCase()}, not whitelisted` };
+      }
+      const user = await User.findById(wallet.userId);
+      return user ? { user, walletAddress: wallet.address } : { issue: 'Wallet owner not found' };
+    }
+
+    if (EMAIL.test(value)) {
+      const user = await User.findOne({ email: value.toLowerCase() });
+      return user ? { user } : { issue: 'No user with this email' };
+    }
+
+    return { issue: 'Recipient must be a wallet address, email or user ID' };
+  }
+
+  // KYC, sanctions and account checks; returns the problems found
+  async screenRecipient(user, asset, adminId, row) {
+    const issues = [];
+
+    if (user._id.toString() === adminId.toString()) {
+      issues.push('Cannot pay yourself');
+    }
+
+    try {
+      await TransferService.screenParty(user, 'recipient');
+    } catch (error) {
+      if (!(error instanceof AuthorizationError)) {
+        throw error;
+      }
+      issues.push(error.message);
+    }
+
+    const account = await Account.findOne({ userId: user._id, asset, accountType: 'USER' });
+    if (!account) {
+      issues.push(`Recipient has no ${asset} account`);
+    } else if (account.status === 'CLOSED') {
+      issues.push(`Recipient ${asset} account is closed`);
+    } else {
+      row.accountId = account._id;
+    }
+
+    return issues;
+  }
+
+  previewTotals(rows) {
+    const valid = rows.filter(row => row.status === 'VALID');
+
+    return {
+      rows: rows.length,
+      validRows: valid.length,
+      invalidRows: rows.length - valid.length,
+      paidRows: 0,
+      failedRows: 0,
+      amount: sum(valid.map(row => row.amount)).toFixed(),
+      feeAmount: sum(valid.map(row => row.feeAmount)).toFixed(),
+      netAmount: sum(valid.map(row => row.netAmount)).toFixed(),
+      paidAmount: '0',
+    };
+  }
+
+  async listBatches(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const query = {};
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(query)
+        .select('-rows')
+        .populate('createdBy', 'fullName email')
+        .populate('review.reviewedBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PayoutBatch.countDocuments(query),
+    ]);
+
+    return {
+      batches,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getBatch(batchId) {
+    const batch = await PayoutBatch.findById(batchId)
+      .populate('createdBy', 'fullName email')
+      .populate('review.reviewedBy', 'fullName email');
+    if (!batch) {
+      throw new NotFoundError('Payout batch not found');
+    }
+    return batch;
+  }
+
+  async findBatch(batchId) {
+    const batch = await PayoutBatch.findById(batchId).select('createdBy mode totals rows.userId');
+    if (!batch) {
+      throw new NotFoundError('Payout batch not found');
+    }
+    return batch;
+  }
+
+  // A second treasury admin approves; the worker then posts the journals
+  async approveBatch(adminId, batchId, note) {
+    const admin = await this.getTreasuryAdmin(adminId);
+    const pending = await this.findBatch(batchId);
+
+    if (pending.createdBy.toString() === adminId.toString()) {
+      throw new AuthorizationError('Cannot approve your own payout batch');
+    }
+    if (pending.rows.some(row => row.userId?.toString() === adminId.toString())) {
+      throw new AuthorizationError('Cannot approve a payout batch that pays you');
+    }
+    if (!pending.totals.validRows) {
+      throw new ValidationError('Payout batch has no valid rows');
+    }
+    if (pending.mode === 'ATOMIC' && pending.totals.invalidRows) {
+      throw new ValidationError('Atomic payout batches cannot be approved with invalid rows; fix them and upload again');
+    }
+
+    const batch = await this.transition({ _id: batchId }, ['PENDING_APPROVAL'], 'APPROVED', {
+      actor: adminId,
+      role: admin.role,
+      note,
+      set: { review: { reviewedBy: adminId, reviewedAt: new Date(), note } },
+    });
+
+    await this.audit('PAYOUT_BATCH_APPROVE', batch, { actor: adminId, role: admin.role, notes: note });
+    logger.info('Payout batch approved', { batchId, adminId });
+
+    return batch;
+  }
+
+  async rejectBatch(adminId, batchId, reason) {
+    const admin = await this.getTreasuryAdmin(adminId);
+    const pending = await this.findBatch(batchId);
+    if (pending.createdBy.toString() === adminId.toString()) {
+      throw new AuthorizationError('Cannot review your own payout batch; cancel it instead');
+    }
+
+    const batch = await this.transition({ _id: batchId }, ['PENDING_APPROVAL'], 'REJECTED', {
+      actor: adminId,
+      role: admin.role,
+      note: reason,
+      set: { review: { reviewedBy: adminId, reviewedAt: new Date(), note: reason } },
+    });
+
+    await this.audit('PAYOUT_BATCH_REJECT', batch, { actor: adminId, role: admin.role, reason });
+    logger.info('Payout batch rejected', { batchId, adminId, reason });
+
+    return batch;
+  }
+
+  // The uploader can withdraw a batch until the worker picks it up
+  async cancelBatch(adminId, batchId) {
+    const admin = await this.getTreasuryAdmin(adminId);
+    const pending = await this.findBatch(batchId);
+    if (pending.createdBy.toString() !== adminId.toString()) {
+      throw new AuthorizationError('Only the admin who uploaded a payout batch can cancel it');
+    }
+
+    const batch = await this.transition({ _id: batchId }, ['PENDING_APPROVAL', 'APPROVED'], 'CANCELED', {
+      actor: adminId,
+      role: admin.role,
+    });
+
+    await this.audit('PAYOUT_BATCH_CANCEL', batch, { actor: adminId, role: admin.role });
+    logger.info('Payout batch canceled', { batchId, adminId });
+
+    return batch;
+  }
+
+  // Pay approved batches oldest first; called by the worker
+  async processApprovedBatches() {
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.transfers) {
+      return { skipped: true, reason: 'Transfers are paused' };
+    }
+
+    // Batches a crashed worker left PROCESSING are resumed along with the approved ones
+    const pending = await PayoutBatch.find({
+      $or: [
+        { status: 'APPROVED' },
+        { status: 'PROCESSING', $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }] },
+      ],
+    })
+      .sort({ createdAt: 1 })
+      .select('_id');
+
+    const results = { completed: 0, partial: 0, failed: 0 };
+    for (const { _id } of pending) {
+      try {
+        const batch = await this.processBatch(_id);
+        if (batch.status === 'COMPLETED') {
+          results.completed += 1;
+        } else if (batch.status === 'PARTIALLY_COMPLETED') {
+          results.partial += 1;
+        } else {
+          results.failed += 1;
+        }
+      } catch (error) {
+        // Claimed by another worker or canceled since it was listed
+        logger.error('Payout batch processing error', { batchId: _id.toString(), error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Post an approved batch: one journal for ATOMIC batches, one per chunk for CHUNKED.
+   * Rows are screened again first, since recipients may have changed since the upload.
+   * Also resumes a PROCESSING batch whose worker lease ran out. Rows are saved with their
+   * chunk before the chunk is posted, and chunk journals carry a per-chunk idempotency
+   * key, so a chunk that posted before a crash is picked up rather than paid twice.
+   */
+  async processBatch(batchId) {
+    const batch = await this.claimBatch(batchId);
+
+    const systemAccount = await Account.findOne({ accountType: 'SYSTEM', asset: batch.asset });
+    const feeAccount = await Account.findOne({ accountType: 'FEE', asset: batch.asset });
+    const missing = !systemAccount ? 'SYSTEM' : batch.feeBps && !feeAccount ? 'FEE' : null;
+    if (missing) {
+      const error = `No ${missing} account for ${batch.asset}`;
+      for (const row of batch.rows.filter(candidate => candidate.status === 'VALID')) {
+        row.status = 'FAILED';
+        row.issues = [error];
+      }
+      return this.finishBatch(batch, error);
+    }
+
+    // Chunks a crashed worker assigned but did not record are settled first, as they were
+    // cut, without screening again: the journal may already be posted
+    const inFlight = new Map();
+    for (const row of batch.rows.filter(candidate => candidate.status === 'VALID' && candidate.chunk)) {
+      inFlight.set(row.chunk, [...(inFlight.get(row.chunk) || []), row]);
+    }
+    for (const [chunk, rows] of inFlight) {
+      await this.settleChunk(batch, chunk, rows, systemAccount, feeAccount);
+    }
+
+    const payable = [];
+    for (const row of batch.rows.filter(candidate => candidate.status === 'VALID')) {
+      const issues = await this.rescreenRow(row, batch);
+      if (issues.length) {
+        row.status = 'FAILED';
+        row.issues = issues;
+      } else {
+        payable.push(row);
+      }
+    }
+
+    if (batch.mode === 'ATOMIC' && !inFlight.size && payable.length !== batch.totals.validRows) {
+      for (const row of payable) {
+        row.status = 'FAILED';
+        row.issues = ['Not paid: other rows in this atomic batch failed screening'];
+      }
+      return this.finishBatch(batch, 'Rows failed screening after approval; nothing was paid');
+    }
+
+    // Numbering carries on after chunks a previous run posted, so keys are never reused
+    const chunkSize = batch.mode === 'ATOMIC' ? payable.length : batch.chunkSize;
+    let chunk = Math.max(0, ...batch.rows.map(row => row.chunk || 0)) + 1;
+    for (let start = 0; start < payable.length; start += chunkSize, chunk += 1) {
+      const rows = payable.slice(start, start + chunkSize);
+      for (const row of rows) {
+        row.chunk = chunk;
+      }
+      await batch.save();
+      await this.settleChunk(batch, chunk, rows, systemAccount, feeAccount);
+    }
+
+    return this.finishBatch(batch);
+  }
+
+  // Take the lease on an approved batch, or on a PROCESSING one whose worker stopped
+  // renewing it
+  async claimBatch(batchId) {
+    const now = new Date();
+    const set = { lockedUntil: new Date(now.getTime() + config.payouts.lockMs) };
+    const abandoned = { _id: batchId, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+
+    if (await PayoutBatch.exists({ ...abandoned, status: 'PROCESSING' })) {
+      logger.warn('Resuming abandoned payout batch', { batchId: batchId.toString() });
+      return this.transition(abandoned, ['PROCESSING'], 'PROCESSING', {
+        role: 'system',
+        note: 'Resumed after the previous worker stopped',
+        set,
+      });
+    }
+
+    return this.transition({ _id: batchId }, ['APPROVED'], 'PROCESSING', { role: 'system', set });
+  }
+
+  // Post one chunk and record the outcome on its rows, extending the lease
+  async settleChunk(batch, chunk, rows, systemAccount, feeAccount) {
+    try {
+      const journalId = await this.postChunk(batch, chunk, rows, systemAccount, feeAccount);
+      for (const row of rows) {
+        Object.assign(row, { status: 'PAID', journalId });
+      }
+    } catch (error) {
+      logger.error('Payout chunk failed', { batchId: batch._id.toString(), chunk, error: error.message });
+      for (const row of rows) {
+        Object.assign(row, { status: 'FAILED', issues: [error.message] });
+      }
+    }
+    batch.lockedUntil = new Date(Date.now() + config.payouts.lockMs);
+    await batch.save();
+  }
+
+  async rescreenRow(row, batch) {
+    const user = row.userId && await User.findById(row.userId);
+    if (!user) {
+      return ['Recipient not found'];
+    }
+    return this.screenRecipient(user, batch.asset, batch.createdBy, row);
+  }
+
+  async postChunk(batch, chunk, rows, systemAccount, feeAccount) {
+    const idempotencyKey = `payout-batch:${batch._id}:${chunk}`;
+    const posted = await LedgerEntry.findOne({ 'meta.idempotencyKey': idempotencyKey }).select('journalId');
+    if (posted) {
+      return posted.journalId;
+    }
+
+    const reference = `payout:${batch._id}`;
+    const amount = sum(rows.map(row => row.amount));
+    const feeAmount = sum(rows.map(row => row.feeAmount));
+
+    const entries = [
+      {
+        accountId: systemAccount._id,
+        debit: amount.toFixed(),
+        meta: {
+          type: config.transactionTypes.TRANSFER,
+          description: `Treasury payout, ${rows.length} recipients`,
+          reference,
+        },
+      },
+      ...rows.map(row => ({
+        accountId: row.accountId,
+        credit: row.netAmount,
+        meta: {
+          type: config.transactionTypes.TRANSFER,
+          description: batch.description || 'Treasury payout',
+          reference: row.reference || reference,
+          counterparty: { walletAddress: row.walletAddress },
+        },
+      })),
+    ];
+    if (feeAmount.gt(0)) {
+      entries.push({
+        accountId: feeAccount._id,
+        credit: feeAmount.toFixed(),
+        meta: {
+          type: config.transactionTypes.FEE,
+          description: 'Payout fee',
+          reference,
+        },
+      });
+    }
+
+    const result = await LedgerService.createJournal(entries, {
+      userId: batch.review.reviewedBy,
+      transactionType: config.transactionTypes.TRANSFER,
+      description: `Payout batch ${batch._id} chunk ${chunk}`,
+      correlationId: reference,
+      idempotencyKey,
+      amount: amount.toFixed(),
+      currency: batch.asset,
+      feeAmount: feeAmount.toFixed(),
+    });
+
+    return result.journalId;
+  }
+
+  async finishBatch(batch, error) {
+    const paid = batch.rows.filter(row => row.status === 'PAID');
+    const failed = batch.rows.filter(row => row.status === 'FAILED');
+
+    let status = 'FAILED';
+    if (paid.length && !failed.length) {
+      status = 'COMPLETED';
+    } else if (paid.length) {
+      status = 'PARTIALLY_COMPLETED';
+    }
+
+    batch.totals.paidRows = paid.length;
+    batch.totals.failedRows = failed.length;
+    batch.totals.paidAmount = sum(paid.map(row => row.amount)).toFixed();
+    batch.status = status;
+    batch.error = error;
+    batch.processedAt = new Date();
+    batch.lockedUntil = undefined;
+    batch.events.push({ status, role: 'system', note: error });
+    await batch.save();
+
+    await this.audit('PAYOUT_BATCH_COMPLETE', batch, { reason: error, success: status !== 'FAILED' });
+
+    logger.info('Payout batch processed', {
+      batchId: batch._id.toString(),
+      status,
+      paidRows: paid.length,
+      failedRows: failed.length,
+      paidAmount: batch.totals.paidAmount,
+    });
+
+    return batch;
+  }
+
+  // Per-row results as CSV or JSON for download
+  async getReport(batchId, format = 'csv') {
+    const batch = await this.getBatch(batchId);
+    const records = batch.rows.map(row => ({
+      line: row.line,
+      recipient: row.recipient,
+      user_id: row.userId?.toString(),
+      wallet_address: row.walletAddress,
+      amount: row.amount && formatAmount(row.amount, batch.asset),
+      fee: row.feeAmount && formatAmount(row.feeAmount, batch.asset),
+      net: row.netAmount && formatAmount(row.netAmount, batch.asset),
+      reference: row.reference,
+      status: row.status,
+      chunk: row.chunk,
+      journal_id: row.journalId?.toString(),
+      issues: row.issues.join('; '),
+    }));
+
+    const filename = `payout-batch-${batch._id}.${format}`;
+    if (format === 'json') {
+      return {
+        filename,
+        contentType: 'application/json',
+        body: JSON.stringify({
+          batchId: batch._id,
+          status: batch.status,
+          asset: batch.asset,
+          totals: batch.toJSON().totals,
+          rows: records,
+        }, null, 2),
+      };
+    }
+
+    return { filename, contentType: 'text/csv', body: csv.stringify(REPORT_COLUMNS, records) };
+  }
+
+  async getTreasuryAdmin(adminId) {
+    const admin = await User.findById(adminId);
+    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY].includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions to manage payouts');
+    }
+    return admin;
+  }
+
+  // Atomically move a batch between statuses so concurrent reviewers and workers cannot both act
+  async transition(filter, from, to, { actor, role, note, set = {} } = {}) {
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { ...filter, status: { $in: from } },
+      {
+        $set: { status: to, ...set },
+        $push: { events: { status: to, actor, role, note, timestamp: new Date() } },
+      },
+      { new: true }
+    );
+
+    if (!batch) {
+      const existing = await PayoutBatch.findOne(filter).select('status');
+      if (!existing) {
+        throw new NotFoundError('Payout batch not found');
+      }
+      throw new ConflictError(`Payout batch is ${existing.status.toLowerCase()}`);
+    }
+
+    return batch;
+  }
+
+  async audit(action, batch, { actor = null, role = 'system', reason, notes, success = true } = {}) {
+    await AuditLog.logAction({
+      actor,
+      role,
+      action,
+      object: {
+        type: 'PayoutBatch',
+        id: batch._id,
+        identifier: batch._id.toString(),
+      },
+      after: {
+        status: batch.status,
+        mode: batch.mode,
+        totals: batch.toJSON().totals,
+      },
+      metadata: {
+        amount: batch.totals.amount,
+        currency: batch.asset,
+        reason,
+        notes,
+      },
+      result: { success },
+    });
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,238 @@
+const { ethers } = require('ethers');
+const { PriceTick, Config } = require('../models');
+const ChainService = require('./ChainService');
+const CoinbasePriceSource = require('./priceSources/CoinbasePriceSource');
+const BinancePriceSource = require('./priceSources/BinancePriceSource');
+const GoldApiPriceSource = require('./priceSources/GoldApiPriceSource');
+const FilePriceSource = require('./priceSources/FilePriceSource');
+const { ServiceUnavailableError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// MockOracle stores USD prices with 8 decimals
+const ORACLE_DECIMALS = 8;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+class PricingService {
+  constructor() {
+    this.sources = new Map();
+    this.registerSource(CoinbasePriceSource);
+    this.registerSource(BinancePriceSource);
+    this.registerSource(GoldApiPriceSource);
+    this.registerSource(FilePriceSource);
+  }
+
+  /**
+   * Adapters expose a `name` and an async `fetchPrices(assets)` resolving to
+   * [{ asset, price, metadata }] for the assets they can quote.
+   */
+  registerSource(source) {
+    this.sources.set(source.name, source);
+  }
+
+  getSources() {
+    return config.pricing.sources.map((name) => {
+      const source = this.sources.get(name);
+      if (!source) {
+        throw new ServiceUnavailableError(`Unknown price source ${name}`);
+      }
+      return source;
+    });
+  }
+
+  // Fetch every configured source and store one PriceTick per quote
+  async pollSources() {
+    const { assets } = config.pricing;
+    const results = [];
+
+    for (const source of this.getSources()) {
+      try {
+        const quotes = (await source.fetchPrices(assets))
+          .filter(quote => Number.isFinite(quote.price) && quote.price > 0);
+
+        await PriceTick.insertMany(quotes.map(quote => ({
+          asset: quote.asset,
+          price: quote.price,
+          source: source.name,
+          metadata: quote.metadata,
+        })));
+
+        results.push({ source: source.name, quotes: quotes.length });
+      } catch (error) {
+        // One failing provider must not stop the others
+        logger.warn('Price source failed', { source: source.name, error: error.message });
+        results.push({ source: source.name, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Median of the latest fresh tick from each source, after dropping quotes more than
+   * maxDeviation away from the first-pass median. Returns null when too few remain.
+   */
+  async aggregate(asset) {
+    const { maxAgeMs, maxDeviation, minSources } = config.pricing;
+    const cutoff = new Date(Date.now() - maxAgeMs);
+    const sourceNames = config.pricing.sources;
+
+    const latest = await Promise.all(sourceNames.map(name => PriceTick.getLatestPrice(asset, [name])));
+    const fresh = latest.filter(tick => tick && tick.timestamp >= cutoff);
+    const stale = sourceNames.filter(name => !fresh.some(tick => tick.source === name));
+
+    if (!fresh.length) {
+      return null;
+    }
+
+    const firstPass = median(fresh.map(tick => tick.price));
+    const accepted = fresh.filter(tick => Math.abs(tick.price - firstPass) / firstPass <= maxDeviation);
+    const rejected = fresh.filter(tick => !accepted.includes(tick));
+
+    if (accepted.length < minSources) {
+      logger.warn('Not enough agreeing price sources', {
+        asset,
+        accepted: accepted.length,
+        rejected: rejected.map(tick => tick.source),
+        stale,
+      });
+      return null;
+    }
+
+    const price = median(accepted.map(tick => tick.price));
+
+    const tick = await PriceTick.create({
+      asset,
+      price,
+      source: 'calculated',
+      metadata: {
+        confidence: accepted.length / sourceNames.length,
+        rawData: {
+          sources: accepted.map(t => ({ source: t.source, price: t.price, timestamp: t.timestamp })),
+          rejected: rejected.map(t => ({ source: t.source, price: t.price })),
+          stale,
+        },
+      },
+    });
+
+    return tick;
+  }
+
+  async updatePrices() {
+    const polled = await this.pollSources();
+    const prices = {};
+
+    for (const asset of config.pricing.assets) {
+      const tick = await this.aggregate(asset);
+      if (tick) {
+        prices[asset] = tick.price;
+      }
+    }
+
+    // Feed prices are operational data, so they are written without bumping the config version
+    if (Object.keys(prices).length) {
+      const updates = {};
+      Object.entries(prices).forEach(([asset, price]) => {
+        updates[`fxTable.${asset}`] = price;
+      });
+      await Config.getConfig(); // creates the document on first run
+      await Config.updateOne({ _id: 'system_config' }, { $set: updates });
+    }
+
+    let keeper = null;
+    if (config.pricing.keeper.enabled && Object.keys(prices).length) {
+      try {
+        keeper = await this.pushToOracle(prices);
+      } catch (error) {
+        logger.error('Oracle keeper failed', { error: error.message });
+        keeper = { error: error.message };
+      }
+    }
+
+    return { polled, prices, keeper };
+  }
+
+  /**
+   * Latest aggregated price if it is still within maxAgeMs, otherwise null.
+   */
+  async getReferencePrice(asset) {
+    const tick = await PriceTick.getLatestPrice(asset, ['calculated']);
+    if (!tick || tick.timestamp < new Date(Date.now() - config.pricing.maxAgeMs)) {
+      return null;
+    }
+    return tick.price;
+  }
+
+  async getTickers() {
+    const { assets, sources } = config.pricing;
+    const result = { sources: {}, median: {} };
+
+    for (const asset of assets) {
+      const [aggregated, ...ticks] = await Promise.all([
+        PriceTick.getLatestPrice(asset, ['calculated']),
+        ...sources.map(name => PriceTick.getLatestPrice(asset, [name])),
+      ]);
+
+      ticks.filter(Boolean).forEach((tick) => {
+        result.sources[tick.source] = result.sources[tick.source] || {};
+        result.sources[tick.source][asset] = { price: tick.price, timestamp: tick.timestamp };
+      });
+
+      result.median[asset] = aggregated
+        ? {
+          price: aggregated.price,
+          timestamp: aggregated.timestamp,
+          confidence: aggregated.metadata.confidence,
+          stale: aggregated.timestamp < new Date(Date.now() - config.pricing.maxAgeMs),
+        }
+        : null;
+    }
+
+    return result;
+  }
+
+  // Keeper: write prices that moved by at least keeper.minChange to MockOracle
+  async pushToOracle(prices) {
+    const { privateKey, minChange } = config.pricing.keeper;
+    if (!privateKey) {
+      throw new ServiceUnavailableError('ORACLE_KEEPER_PRIVATE_KEY is not configured');
+    }
+
+    const signer = new ethers.Wallet(privateKey, ChainService.getProvider());
+    const oracle = ChainService.getContract('MockOracle').connect(signer);
+    const current = await oracle.getPrices();
+
+    const targets = [
+      { asset: 'BTC', method: 'setBtcPrice', current: current.btc },
+      { asset: 'XAU', method: 'setGoldPrice', current: current.gold },
+    ];
+
+    const updates = [];
+    for (const { asset, method, current: onChain } of targets) {
+      if (prices[asset] === undefined) {
+        continue;
+      }
+
+      const next = ethers.parseUnits(prices[asset].toFixed(ORACLE_DECIMALS), ORACLE_DECIMALS);
+      const previous = parseFloat(ethers.formatUnits(onChain, ORACLE_DECIMALS));
+      if (previous > 0 && Math.abs(prices[asset] - previous) / previous < minChange) {
+        continue;
+      }
+
+      const tx = await oracle[method](next);
+      await tx.wait();
+      updates.push({ asset, price: prices[asset], previous, txHash: tx.hash });
+
+      logger.info('Oracle price updated', { asset, price: prices[asset], previous, txHash: tx.hash });
+    }
+
+    return { updates };
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { ReservesSnapshot, ReservesLiability } = require('../models');
+const ChainReconciliationService = require('./ChainReconciliationService');
+const { getRoot, getProof } = require('../utils/merkle');
+const { NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { Decimal, sum } = require('../utils/money');
+
+// Balances are committed as fixed-point integers with this many decimals
+const LIABILITY_DECIMALS = 8;
+
+class ProofOfReservesService {
+  // keccak256(abi.encodePacked(string userId, uint256 balance, bytes32 nonce))
+  hashLeaf(userId, balance, nonce) {
+    return ethers.solidityPackedKeccak256(
+      ['string', 'uint256', 'bytes32'],
+      [userId, ethers.parseUnits(balance, LIABILITY_DECIMALS), nonce]
+    );
+  }
+
+  /**
+   * Store one leaf per user holding UC (available + pending) for the snapshot and
+   * return the commitment published on it.
+   */
+  async buildLiabilities(snapshotId) {
+    const balances = await ChainReconciliationService.getOffChainBalances();
+
+    const leaves = [...balances.entries()]
+      .filter(([, total]) => total.gt(0))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([userId, total], index) => {
+        const balance = total.toFixed(LIABILITY_DECIMALS, Decimal.ROUND_DOWN);
+        const nonce = ethers.hexlify(crypto.randomBytes(32));
+        return {
+          snapshotId,
+          userId,
+          index,
+          balance,
+          nonce,
+          hash: this.hashLeaf(userId, balance, nonce),
+        };
+      });
+
+    if (leaves.length) {
+      await ReservesLiability.insertMany(leaves, { ordered: false });
+    }
+
+    const liabilities = {
+      merkleRoot: getRoot(leaves.map(leaf => leaf.hash)),
+      totalUC: sum(leaves.map(leaf => leaf.balance)).toNumber(),
+      leafCount: leaves.length,
+      decimals: LIABILITY_DECIMALS,
+    };
+
+    logger.info('Reserves liabilities committed', {
+      snapshotId,
+      merkleRoot: liabilities.merkleRoot,
+      leafCount: liabilities.leafCount,
+    });
+
+    return liabilities;
+  }
+
+  async getAttestationSnapshot(snapshotId) {
+    const snapshot = snapshotId
+      ? await ReservesSnapshot.findOne({ _id: snapshotId, 'liabilities.merkleRoot': { $exists: true } })
+      : await ReservesSnapshot.findOne({ 'liabilities.merkleRoot': { $exists: true } })
+        .sort({ timestamp: -1 });
+
+    if (!snapshot) {
+      throw new NotFoundError('Reserves attestation not found');
+    }
+
+    return snapshot;
+  }
+
+  async getAttestation(snapshotId) {
+    const snapshot = await this.getAttestationSnapshot(snapshotId);
+    const { reserves, supply, ratios, health, source, liabilities } = snapshot.toJSON();
+
+    return {
+      snapshotId: snapshot._id,
+      timestamp: snapshot.timestamp,
+      reserves,
+      totalReservesUSD: reserves.BBT.valueUSD + reserves.GBT.valueUSD + reserves.cash.valueUSD,
+      supply,
+      liabilities,
+      ratios,
+      health: {
+        status: health.status,
+        warnings: health.warnings,
+      },
+      source,
+    };
+  }
+
+  async getMyProof(userId, snapshotId) {
+    const snapshot = await this.getAttestationSnapshot(snapshotId);
+
+    const leaf = await ReservesLiability.findOne({ snapshotId: snapshot._id, userId });
+    if (!leaf) {
+      throw new NotFoundError('No UC liability recorded for this user in the attestation');
+    }
+
+    const hashes = await ReservesLiability.find({ snapshotId: snapshot._id })
+      .sort({ index: 1 })
+      .select('hash')
+      .lean();
+
+    return {
+      snapshotId: snapshot._id,
+      timestamp: snapshot.timestamp,
+      merkleRoot: snapshot.liabilities.merkleRoot,
+      leafCount: snapshot.liabilities.leafCount,
+      decimals: snapshot.liabilities.decimals,
+      leaf: {
+        userId: leaf.userId.toString(),
+        balance: leaf.balance,
+        nonce: leaf.nonce,
+        hash: leaf.hash,
+        index: leaf.index,
+      },
+      proof: getProof(hashes.map(h => h.hash), leaf.index),
+    };
+  }
+}
+
+module.exports = new ProofOfReservesService();
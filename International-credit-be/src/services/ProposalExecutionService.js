@@ -0,0 +1,132 @@
+const Joi = require('joi');
+const { Config } = require('../models');
+const { ValidationError } = require('../utils/errors');
+const config = require('../config');
+
+// Each proposal type changes exactly one Config section
+const PROPOSAL_TARGETS = {
+  [config.proposalTypes.FEE_CHANGE]: {
+    section: 'feeStructure',
+    schema: Joi.object({
+      transferFeeBps: Joi.number().integer().min(0).max(1000),
+      swapFeeBps: Joi.number().integer().min(0).max(1000),
+      withdrawalFeeBps: Joi.number().integer().min(0).max(1000),
+      depositFeeBps: Joi.number().integer().min(0).max(1000),
+      depositFixedFeeUsd: Joi.number().min(0).max(100),
+      minTransferAmount: Joi.number().min(0),
+      maxTransferAmount: Joi.number().positive(),
+    }).min(1),
+    check: (next) => next.minTransferAmount <= next.maxTransferAmount ||
+      'minTransferAmount must not exceed maxTransferAmount',
+  },
+  [config.proposalTypes.RATIO_CHANGE]: {
+    section: 'reserveRatio',
+    schema: Joi.object({
+      target: Joi.number().min(1).max(5),
+      minimum: Joi.number().min(1).max(5),
+      critical: Joi.number().min(1).max(5),
+    }).min(1),
+    check: (next) => (next.critical <= next.minimum && next.minimum <= next.target) ||
+      'Reserve ratios must satisfy critical <= minimum <= target',
+  },
+  [config.proposalTypes.FAUCET_CAP_CHANGE]: {
+    section: 'faucetCaps',
+    schema: Joi.object({
+      dailyLimit: Joi.number().min(0),
+      weeklyLimit: Joi.number().min(0),
+      monthlyLimit: Joi.number().min(0),
+      perUserDaily: Joi.number().min(0),
+    }).min(1),
+    check: (next) => (next.perUserDaily <= next.dailyLimit &&
+      next.dailyLimit <= next.weeklyLimit &&
+      next.weeklyLimit <= next.monthlyLimit) ||
+      'Faucet caps must satisfy perUserDaily <= daily <= weekly <= monthly',
+  },
+  [config.proposalTypes.PAUSE_SYSTEM]: {
+    section: 'paused',
+    schema: Joi.object({
+      system: Joi.boolean(),
+      deposits: Joi.boolean(),
+      withdrawals: Joi.boolean(),
+      transfers: Joi.boolean(),
+      swaps: Joi.boolean(),
+      governance: Joi.boolean(),
+    }).min(1),
+    check: () => true,
+  },
+};
+
+class ProposalExecutionService {
+  validatePayload(type, payload) {
+    const target = PROPOSAL_TARGETS[type];
+    if (!target) {
+      throw new ValidationError(`Unsupported proposal type: ${type}`);
+    }
+
+    const { error, value } = target.schema.validate(payload, { abortEarly: false, convert: false });
+    if (error) {
+      throw new ValidationError('Invalid proposal payload', error.details.map(detail => ({
+        field: `payload.${detail.path.join('.')}`,
+        message: detail.message,
+      })));
+    }
+
+    return value;
+  }
+
+  buildChange(type, payload, systemConfig) {
+    const { section, check } = PROPOSAL_TARGETS[type];
+    const changes = this.validatePayload(type, payload);
+
+    const before = systemConfig.toObject()[section];
+    const after = { ...before, ...changes };
+
+    const result = check(after);
+    if (result !== true) {
+      throw new ValidationError(result);
+    }
+
+    const diff = Object.keys(changes)
+      .filter(field => before[field] !== after[field])
+      .map(field => ({
+        field: `${section}.${field}`,
+        from: before[field],
+        to: after[field],
+      }));
+
+    return { section, changes, before, after, diff };
+  }
+
+  async preview(type, payload) {
+    const systemConfig = await Config.getConfig();
+    const { section, before, after, diff } = this.buildChange(type, payload, systemConfig);
+
+    return {
+      type,
+      section,
+      currentVersion: systemConfig.version,
+      before,
+      after,
+      diff,
+    };
+  }
+
+  async execute(proposal, executedBy = null) {
+    const systemConfig = await Config.getConfig();
+    const { section, changes, diff } = this.buildChange(proposal.type, proposal.payload, systemConfig);
+
+    const beforeVersion = systemConfig.version;
+    const updated = await Config.updateConfig({ [section]: changes }, executedBy);
+
+    return {
+      beforeVersion,
+      afterVersion: updated.version,
+      diff,
+      logs: diff.length
+        ? diff.map(d => `${d.field}: ${d.from} -> ${d.to}`)
+        : [`${section} already matched the proposal; version bumped with no field changes`],
+    };
+  }
+}
+
+module.exports = new ProposalExecutionService();
@@ -0,0 +1,85 @@
+const { ReservesSnapshot } = require('../models');
+const ChainReserveSource = require('./reserveSources/ChainReserveSource');
+const ManualReserveSource = require('./reserveSources/ManualReserveSource');
+const { ServiceUnavailableError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class ReservesService {
+  constructor() {
+    this.sources = new Map();
+    this.registerSource(ChainReserveSource);
+    this.registerSource(ManualReserveSource);
+  }
+
+  /**
+   * Adapters expose a `name` and an async `read()` resolving to
+   * { reserves: { BBT, GBT, cash }, source: { name, blockNumber, ... } }.
+   */
+  registerSource(source) {
+    this.sources.set(source.name, source);
+  }
+
+  getSource(name = config.reserves.source) {
+    const source = this.sources.get(name);
+    if (!source) {
+      throw new ServiceUnavailableError(`Unknown reserve source ${name}`);
+    }
+    return source;
+  }
+
+  async readReserves() {
+    const source = this.getSource();
+
+    try {
+      const result = await source.read();
+      return {
+        reserves: result.reserves,
+        source: { ...result.source, stale: false },
+      };
+    } catch (error) {
+      if (!config.reserves.fallback) {
+        throw error;
+      }
+
+      logger.warn('Reserve source unavailable, using fallback', {
+        source: source.name,
+        error: error.message,
+      });
+      return this.getFallback(source.name, error);
+    }
+  }
+
+  // Last figures successfully read from the source, or manual figures if there are none
+  async getFallback(sourceName, error) {
+    const last = await ReservesSnapshot.findOne({
+      'source.name': sourceName,
+      'source.stale': false,
+    }).sort({ timestamp: -1 });
+
+    if (last) {
+      const { reserves, source } = last.toObject({ getters: true, virtuals: false });
+      return {
+        reserves,
+        source: {
+          ...source,
+          stale: true,
+          staleReason: error.message,
+          staleSince: last.timestamp,
+        },
+      };
+    }
+
+    const manual = await this.getSource('manual').read();
+    return {
+      reserves: manual.reserves,
+      source: {
+        ...manual.source,
+        stale: true,
+        staleReason: error.message,
+      },
+    };
+  }
+}
+
+module.exports = new ReservesService();
@@ -0,0 +1,87 @@
+const { MsigAction } = require('../models');
+const LedgerService = require('./LedgerService');
+const MsigService = require('./MsigService');
+const config = require('../config');
+const { Decimal, toDecimal } = require('../utils/money');
+
+class ReversalService {
+  /**
+   * Reverse a journal, fully or for `entries`. A reversal that takes the journal's
+   * reversed total in any asset above config.ledger.reversalApprovalThreshold becomes a
+   * LEDGER_REVERSAL multi-sig action that posts once a second admin approves it; others
+   * post straight away. Counting earlier reversals means splitting a large reversal
+   * into small partial ones still needs the second admin.
+   */
+  async requestReversal(adminId, journalId, { reason, entries }, metadata = {}) {
+    await MsigService.assertNoPendingReversal(journalId);
+
+    // Validates the selection against what is left to reverse before anything is signed
+    const preview = await LedgerService.previewReversal(journalId, reason, entries);
+    const { amount } = preview;
+    const reversedByAsset = this.reversedByAsset(preview.chain, preview.entries);
+
+    const aboveThreshold = Object.values(reversedByAsset)
+      .some(reversed => reversed.gt(config.ledger.reversalApprovalThreshold));
+    if (aboveThreshold) {
+      const action = await MsigService.createAction(adminId, {
+        type: config.msigActionTypes.LEDGER_REVERSAL,
+        payload: { journalId: journalId.toString(), reason, entries },
+        description: `Reverse ${amount.toFixed()} from journal ${journalId}`,
+      }, metadata);
+
+      return { status: 'PENDING_APPROVAL', amount: amount.toFixed(), action };
+    }
+
+    const result = await LedgerService.reverseTransaction(adminId, journalId, reason, metadata, entries);
+    return { status: 'REVERSED', ...result };
+  }
+
+  // Per asset, what earlier reversals of the journal reversed plus what `reversalEntries`
+  // would, each counted on its debit side; amounts in different assets are never added
+  reversedByAsset(chain, reversalEntries) {
+    const byEntryId = new Map(chain.entries.map(entry => [entry.entryId.toString(), entry]));
+    const totals = {};
+    const add = (asset, value) => {
+      totals[asset] = (totals[asset] || new Decimal(0)).plus(value);
+    };
+
+    // An original credit is reversed by a debit
+    for (const entry of chain.entries) {
+      if (entry.side === 'credit') {
+        add(entry.asset, toDecimal(entry.reversed));
+      }
+    }
+    for (const entry of reversalEntries) {
+      const original = byEntryId.get(entry.meta.reversal.originalEntryId.toString());
+      add(original.asset, toDecimal(entry.debit));
+    }
+
+    return totals;
+  }
+
+  // The journal's reversal chain plus any reversal of it still waiting for signatures
+  async getChain(journalId) {
+    const chain = await LedgerService.getReversalChain(journalId);
+    const pending = await MsigAction.find({
+      type: config.msigActionTypes.LEDGER_REVERSAL,
+      status: 'PENDING',
+      'payload.journalId': chain.journalId.toString(),
+    })
+      .populate('createdBy', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    return {
+      ...chain,
+      pendingApprovals: pending.map(action => ({
+        actionId: action._id,
+        description: action.description,
+        createdBy: action.createdBy,
+        approvals: action.approvals.length,
+        requiredApprovals: action.requiredApprovals,
+        expiresAt: action.expiresAt,
+      })),
+    };
+  }
+}
+
+module.exports = new ReversalService();
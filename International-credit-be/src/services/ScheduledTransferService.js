@@ -0,0 +1,602 @@
+const { ScheduledTransfer, LedgerEntry, Account, Config, User, AuditLog } = require('../models');
+const LedgerService = require('./LedgerService');
+const TransferService = require('./TransferService');
+const ActivityHistoryService = require('./ActivityHistoryService');
+const WebNotificationService = require('./WebNotificationService');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError, ServiceUnavailableError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { assertScale, formatAmount } = require('../utils/money');
+
+const PAUSABLE = ['ACTIVE'];
+const RESUMABLE = ['PAUSED'];
+const CANCELABLE = ['ACTIVE', 'PAUSED', 'PENDING_APPROVAL'];
+const TREASURY_ROLES = [config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY];
+
+class ScheduledTransferService {
+  /**
+   * Schedule a transfer to another platform user: once at `startAt`, or weekly/monthly
+   * from `startAt` until `endDate` or `maxRuns` runs. Each run goes through
+   * TransferService, so both parties are screened again every time.
+   */
+  async createSchedule(userId, { recipient, amount, asset = config.assets.UC, description, frequency, startAt, endDate, maxRuns }) {
+    const value = this.checkTerms({ amount, asset, startAt, endDate });
+
+    const active = await ScheduledTransfer.countDocuments({ userId, status: { $in: CANCELABLE } });
+    if (active >= config.scheduledTransfers.maxActivePerUser) {
+      throw new ConflictError(`At most ${config.scheduledTransfers.maxActivePerUser} scheduled transfers can be active`);
+    }
+
+    const [user, resolved] = await Promise.all([
+      User.findById(userId),
+      TransferService.resolveRecipient(userId, recipient),
+    ]);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    // Refuse now rather than on the first run
+    await Promise.all([
+      TransferService.screenParty(user, 'sender'),
+      TransferService.screenParty(resolved.user, 'recipient'),
+    ]);
+
+    const schedule = await ScheduledTransfer.create({
+      userId,
+      recipient,
+      recipientId: resolved.user._id,
+      amount: formatAmount(value, asset),
+      asset,
+      description,
+      frequency,
+      startAt,
+      endDate: frequency === 'ONCE' ? undefined : endDate,
+      maxRuns: frequency === 'ONCE' ? 1 : maxRuns,
+      nextRunAt: startAt,
+    });
+
+    await this.audit('CREATE', schedule, { actor: userId, role: user.role });
+    logger.info('Scheduled transfer created', {
+      scheduleId: schedule._id.toString(),
+      userId: userId.toString(),
+      frequency,
+      startAt,
+    });
+
+    return schedule;
+  }
+
+  /**
+   * Schedule a treasury transfer paid from the asset's SYSTEM account, e.g. a recurring
+   * grant. The creating admin owns the schedule, which stays PENDING_APPROVAL until a
+   * second treasury admin approves it; the recipient is screened again on every run as
+   * for user schedules.
+   */
+  async createTreasurySchedule(adminId, { recipient, amount, asset = config.assets.UC, description, frequency, startAt, endDate, maxRuns }) {
+    const admin = await User.findById(adminId);
+    if (!admin || !TREASURY_ROLES.includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions to schedule treasury transfers');
+    }
+    const value = this.checkTerms({ amount, asset, startAt, endDate });
+
+    const resolved = await TransferService.resolveRecipient(adminId, recipient);
+    await TransferService.screenParty(resolved.user, 'recipient');
+    await this.getTreasuryAccounts(resolved.user._id, asset);
+
+    const schedule = await ScheduledTransfer.create({
+      userId: adminId,
+      source: 'SYSTEM',
+      recipient,
+      recipientId: resolved.user._id,
+      amount: formatAmount(value, asset),
+      asset,
+      description,
+      frequency,
+      startAt,
+      endDate: frequency === 'ONCE' ? undefined : endDate,
+      maxRuns: frequency === 'ONCE' ? 1 : maxRuns,
+      status: 'PENDING_APPROVAL',
+    });
+
+    await this.audit('CREATE', schedule, {
+      actor: adminId,
+      role: admin.role,
+      notes: 'Treasury scheduled transfer created, awaiting approval',
+    });
+    logger.info('Treasury scheduled transfer created', {
+      scheduleId: schedule._id.toString(),
+      adminId: adminId.toString(),
+      recipientId: resolved.user._id.toString(),
+      frequency,
+      startAt,
+    });
+
+    return schedule;
+  }
+
+  // Four eyes, as for payout batches: the creator cannot activate their own schedule
+  async approveTreasurySchedule(adminId, scheduleId) {
+    const admin = await User.findById(adminId);
+    if (!admin || !TREASURY_ROLES.includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions to approve treasury transfers');
+    }
+
+    const pending = await ScheduledTransfer.findOne({ _id: scheduleId, source: 'SYSTEM' });
+    if (!pending) {
+      throw new NotFoundError('Treasury scheduled transfer not found');
+    }
+    if (pending.userId.toString() === adminId.toString()) {
+      throw new AuthorizationError('Cannot approve your own treasury scheduled transfer');
+    }
+    if (pending.recipientId.toString() === adminId.toString()) {
+      throw new AuthorizationError('Cannot approve a treasury scheduled transfer that pays you');
+    }
+
+    // Occurrences that fell due while awaiting approval are skipped, as on resume
+    const { occurrence, nextRunAt, finished } = this.nextOccurrence(pending);
+    const approval = { approvedBy: adminId, approvedAt: new Date() };
+    const schedule = await this.transition({ _id: scheduleId, source: 'SYSTEM' }, ['PENDING_APPROVAL'], finished
+      ? { ...approval, status: 'COMPLETED', occurrence }
+      : { ...approval, status: 'ACTIVE', occurrence, nextRunAt });
+
+    await this.audit('UPDATE', schedule, {
+      actor: adminId,
+      role: admin.role,
+      notes: 'Treasury scheduled transfer approved',
+    });
+    logger.info('Treasury scheduled transfer approved', {
+      scheduleId: schedule._id.toString(),
+      adminId: adminId.toString(),
+    });
+
+    return schedule;
+  }
+
+  checkTerms({ amount, asset, startAt, endDate }) {
+    const value = assertScale(amount, asset);
+    if (!value.gt(0)) {
+      throw new ValidationError('Transfer amount must be positive');
+    }
+    if (startAt <= new Date()) {
+      throw new ValidationError('startAt must be in the future');
+    }
+    if (endDate && endDate <= startAt) {
+      throw new ValidationError('endDate must be after startAt');
+    }
+    return value;
+  }
+
+  async getUserSchedules(userId, filters = {}, pagination = {}) {
+    return this.listSchedules({ ...filters, userId }, pagination);
+  }
+
+  async listSchedules(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const query = {};
+    if (filters.userId) {
+      query.userId = filters.userId;
+    }
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.source) {
+      query.source = filters.source;
+    }
+
+    const [schedules, total] = await Promise.all([
+      ScheduledTransfer.find(query)
+        .populate('recipientId', 'fullName handle')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ScheduledTransfer.countDocuments(query),
+    ]);
+
+    return {
+      schedules,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getSchedule(userId, scheduleId) {
+    const schedule = await ScheduledTransfer.findOne({ _id: scheduleId, userId })
+      .populate('recipientId', 'fullName handle');
+    if (!schedule) {
+      throw new NotFoundError('Scheduled transfer not found');
+    }
+    return schedule;
+  }
+
+  async pauseSchedule(userId, scheduleId) {
+    const user = await User.findById(userId);
+    const schedule = await this.transition({ _id: scheduleId, userId }, PAUSABLE, { status: 'PAUSED' });
+    await this.audit('UPDATE', schedule, { actor: userId, role: user.role, notes: 'Scheduled transfer paused' });
+    return schedule;
+  }
+
+  // Occurrences that fell due while paused are skipped rather than paid all at once
+  async resumeSchedule(userId, scheduleId) {
+    const user = await User.findById(userId);
+    const existing = await ScheduledTransfer.findOne({ _id: scheduleId, userId });
+    if (!existing) {
+      throw new NotFoundError('Scheduled transfer not found');
+    }
+
+    const { occurrence, nextRunAt, finished } = this.nextOccurrence(existing);
+    const schedule = await this.transition({ _id: scheduleId, userId }, RESUMABLE, finished
+      ? { status: 'COMPLETED', occurrence }
+      : { status: 'ACTIVE', occurrence, nextRunAt, attempts: 0 });
+    await this.audit('UPDATE', schedule, { actor: userId, role: user.role, notes: 'Scheduled transfer resumed' });
+    return schedule;
+  }
+
+  async cancelSchedule(userId, scheduleId) {
+    const user = await User.findById(userId);
+    const schedule = await this.transition({ _id: scheduleId, userId }, CANCELABLE, {
+      status: 'CANCELED',
+      canceledBy: userId,
+    });
+    await this.audit('UPDATE', schedule, { actor: userId, role: user.role, notes: 'Scheduled transfer canceled' });
+    return schedule;
+  }
+
+  // Treasury oversight: stop anyone's schedule
+  async adminCancelSchedule(adminId, scheduleId, reason) {
+    const admin = await User.findById(adminId);
+    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY].includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions to cancel scheduled transfers');
+    }
+
+    const schedule = await this.transition({ _id: scheduleId }, CANCELABLE, {
+      status: 'CANCELED',
+      canceledBy: adminId,
+      lastError: reason,
+    });
+    await this.audit('UPDATE', schedule, { actor: adminId, role: admin.role, notes: `Canceled by treasury: ${reason}` });
+    await this.notify(schedule, { status: 'CANCELED', error: reason });
+    return schedule;
+  }
+
+  /**
+   * Worker entry point: run every active schedule whose nextRunAt has passed.
+   */
+  async processDueTransfers() {
+    const due = await ScheduledTransfer.find({ status: 'ACTIVE', nextRunAt: { $lte: new Date() } })
+      .sort({ nextRunAt: 1 })
+      .limit(config.scheduledTransfers.batchSize)
+      .select('_id');
+
+    const results = { completed: 0, retrying: 0, failed: 0, skipped: 0 };
+    for (const { _id } of due) {
+      try {
+        const outcome = await this.executeRun(_id);
+        results[outcome] += 1;
+      } catch (error) {
+        logger.error('Scheduled transfer run error', { scheduleId: _id.toString(), error: error.message });
+        results.failed += 1;
+      }
+    }
+
+    return results;
+  }
+
+  async executeRun(scheduleId) {
+    const now = new Date();
+    const schedule = await ScheduledTransfer.findOneAndUpdate(
+      {
+        _id: scheduleId,
+        status: 'ACTIVE',
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + config.scheduledTransfers.lockMs) }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!schedule) {
+      // Claimed by another worker, paused or canceled since it was listed
+      return 'skipped';
+    }
+
+    // Retries of an occurrence reuse its key, so a run that posted before a crash is not paid twice
+    const idempotencyKey = `scheduled-transfer:${schedule._id}:${schedule.occurrence}`;
+    const scheduledFor = this.occurrenceAt(schedule, schedule.occurrence);
+
+    let journalId;
+    try {
+      const posted = await LedgerEntry.findOne({ 'meta.idempotencyKey': idempotencyKey }).select('journalId');
+      if (posted) {
+        journalId = posted.journalId;
+      } else {
+        const recipient = await User.findById(schedule.recipientId);
+        if (!recipient || !recipient.isActive) {
+          throw new NotFoundError('Recipient not found');
+        }
+
+        const result = schedule.source === 'SYSTEM'
+          ? await this.postTreasuryRun(schedule, recipient, idempotencyKey)
+          : await TransferService.transferToUser(
+            schedule.userId,
+            { user: recipient, kind: 'scheduled' },
+            {
+              amount: schedule.amount,
+              asset: schedule.asset,
+              description: schedule.description || 'Scheduled transfer',
+              idempotencyKey,
+            },
+            { correlationId: idempotencyKey }
+          );
+        journalId = result.journalId;
+      }
+    } catch (error) {
+      return this.handleRunFailure(schedule, scheduledFor, idempotencyKey, error);
+    }
+
+    await this.recordRun(schedule, {
+      occurrence: schedule.occurrence,
+      scheduledFor,
+      status: 'COMPLETED',
+      idempotencyKey,
+      journalId,
+      attempts: schedule.attempts,
+    });
+
+    logger.info('Scheduled transfer run completed', {
+      scheduleId: schedule._id.toString(),
+      occurrence: schedule.occurrence,
+      journalId: journalId.toString(),
+    });
+
+    return 'completed';
+  }
+
+  // One run of a treasury schedule: SYSTEM account to the recipient's account
+  async postTreasuryRun(schedule, recipient, idempotencyKey) {
+    if (!schedule.approvedBy || schedule.approvedBy.toString() === schedule.userId.toString()) {
+      throw new AuthorizationError('Treasury scheduled transfer has not been approved by a second admin');
+    }
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.transfers) {
+      throw new ServiceUnavailableError('Transfers are currently paused');
+    }
+    await TransferService.screenParty(recipient, 'recipient');
+    const { systemAccount, recipientAccount } = await this.getTreasuryAccounts(recipient._id, schedule.asset);
+
+    const meta = {
+      type: config.transactionTypes.TRANSFER,
+      description: schedule.description || 'Treasury scheduled transfer',
+      reference: `scheduled-transfer:${schedule._id}`,
+    };
+    return LedgerService.createJournal([
+      { accountId: systemAccount._id, debit: schedule.amount, meta },
+      { accountId: recipientAccount._id, credit: schedule.amount, meta },
+    ], {
+      userId: schedule.userId,
+      transactionType: config.transactionTypes.TRANSFER,
+      description: `Treasury scheduled transfer ${schedule._id}`,
+      correlationId: idempotencyKey,
+      idempotencyKey,
+      amount: schedule.amount,
+      currency: schedule.asset,
+    });
+  }
+
+  async getTreasuryAccounts(recipientId, asset) {
+    const [systemAccount, recipientAccount] = await Promise.all([
+      Account.findOne({ accountType: 'SYSTEM', asset }),
+      Account.findOne({ userId: recipientId, asset, accountType: 'USER' }),
+    ]);
+    if (!systemAccount) {
+      throw new NotFoundError(`No SYSTEM account for ${asset}`);
+    }
+    if (!recipientAccount) {
+      throw new NotFoundError(`Recipient has no ${asset} account`);
+    }
+    return { systemAccount, recipientAccount };
+  }
+
+  /**
+   * Running short of funds, or transfers being paused, is retried with exponential
+   * backoff up to config.scheduledTransfers.maxAttempts; the occurrence is then
+   * recorded as failed and the schedule moves on. Anything else (recipient gone,
+   * screening refused) fails the whole schedule, since later runs would fail the same way.
+   */
+  async handleRunFailure(schedule, scheduledFor, idempotencyKey, error) {
+    const retryable = error instanceof ServiceUnavailableError
+      || (error instanceof ValidationError && error.message === 'Insufficient balance');
+
+    if (retryable && schedule.attempts < config.scheduledTransfers.maxAttempts) {
+      const delay = config.scheduledTransfers.retryDelayMs * 2 ** (schedule.attempts - 1);
+      await ScheduledTransfer.updateOne(
+        { _id: schedule._id },
+        {
+          $set: { nextRunAt: new Date(Date.now() + delay), lastError: error.message },
+          $unset: { lockedUntil: 1 },
+        }
+      );
+
+      logger.warn('Scheduled transfer run will be retried', {
+        scheduleId: schedule._id.toString(),
+        attempts: schedule.attempts,
+        retryInMs: delay,
+        error: error.message,
+      });
+      return 'retrying';
+    }
+
+    await this.recordRun(schedule, {
+      occurrence: schedule.occurrence,
+      scheduledFor,
+      status: 'FAILED',
+      idempotencyKey,
+      attempts: schedule.attempts,
+      error: error.message,
+    }, { failSchedule: !retryable });
+
+    logger.warn('Scheduled transfer run failed', {
+      scheduleId: schedule._id.toString(),
+      occurrence: schedule.occurrence,
+      error: error.message,
+    });
+    return 'failed';
+  }
+
+  // Record a settled occurrence and advance to the next one, or finish the schedule
+  async recordRun(schedule, run, { failSchedule = false } = {}) {
+    const occurrence = schedule.occurrence + 1;
+    const runCount = schedule.runCount + 1;
+
+    let status = 'ACTIVE';
+    if (failSchedule) {
+      status = 'FAILED';
+    } else if (this.isFinished(schedule, occurrence, runCount)) {
+      status = 'COMPLETED';
+    }
+
+    const update = {
+      $set: {
+        status,
+        occurrence,
+        runCount,
+        attempts: 0,
+        nextRunAt: status === 'ACTIVE' ? this.occurrenceAt(schedule, occurrence) : null,
+        lastError: run.error,
+      },
+      $unset: { lockedUntil: 1 },
+      $push: { runs: { $each: [run], $slice: -config.scheduledTransfers.runHistory } },
+    };
+    let updated = await ScheduledTransfer.findOneAndUpdate(
+      { _id: schedule._id, status: 'ACTIVE' },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      // Paused or canceled while the run was in flight; record the run but keep that status
+      delete update.$set.status;
+      updated = await ScheduledTransfer.findOneAndUpdate({ _id: schedule._id }, update, { new: true });
+    }
+
+    await this.logRun(updated, run);
+    await this.notify(updated, run);
+
+    return updated;
+  }
+
+  // Occurrence n of a schedule: weekly steps of 7 days, monthly on startAt's day of month
+  occurrenceAt(schedule, n) {
+    const start = new Date(schedule.startAt);
+    if (schedule.frequency === 'WEEKLY') {
+      return new Date(start.getTime() + n * 7 * 24 * 60 * 60 * 1000);
+    }
+    if (schedule.frequency === 'MONTHLY') {
+      const date = new Date(start);
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + n);
+      // The 31st falls on the last day of shorter months
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+      return date;
+    }
+    return start;
+  }
+
+  // The first occurrence not yet past, and whether the schedule has run its course by then
+  nextOccurrence(schedule) {
+    let occurrence = schedule.occurrence;
+    const now = new Date();
+    while (schedule.frequency !== 'ONCE' && this.occurrenceAt(schedule, occurrence) < now) {
+      occurrence += 1;
+    }
+    const nextRunAt = schedule.frequency === 'ONCE'
+      ? new Date(Math.max(schedule.startAt, now))
+      : this.occurrenceAt(schedule, occurrence);
+    return { occurrence, nextRunAt, finished: this.isFinished(schedule, occurrence, schedule.runCount) };
+  }
+
+  isFinished(schedule, occurrence, runCount) {
+    if (schedule.frequency === 'ONCE') {
+      return runCount >= 1;
+    }
+    if (schedule.maxRuns && runCount >= schedule.maxRuns) {
+      return true;
+    }
+    return Boolean(schedule.endDate) && this.occurrenceAt(schedule, occurrence) > schedule.endDate;
+  }
+
+  async transition(filter, from, set) {
+    const schedule = await ScheduledTransfer.findOneAndUpdate(
+      { ...filter, status: { $in: from } },
+      { $set: set },
+      { new: true }
+    );
+
+    if (!schedule) {
+      const existing = await ScheduledTransfer.findOne(filter).select('status');
+      if (!existing) {
+        throw new NotFoundError('Scheduled transfer not found');
+      }
+      throw new ConflictError(`Scheduled transfer is ${existing.status.toLowerCase()}`);
+    }
+
+    return schedule;
+  }
+
+  async logRun(schedule, run) {
+    const user = await User.findById(schedule.userId).select('email role');
+    await ActivityHistoryService.logActivity({
+      activityType: run.status === 'COMPLETED' ? 'TRANSFER_SEND' : 'TRANSFER_FAILED',
+      actor: { userId: schedule.userId, userEmail: user?.email, userRole: user?.role },
+      target: {
+        type: 'Transaction',
+        id: run.journalId,
+        identifier: schedule._id.toString(),
+        metadata: { scheduledTransferId: schedule._id, occurrence: run.occurrence },
+      },
+      details: {
+        action: run.status === 'COMPLETED' ? 'Scheduled transfer sent' : 'Scheduled transfer failed',
+        status: run.status === 'COMPLETED' ? 'SUCCESS' : 'FAILED',
+        severity: run.status === 'COMPLETED' ? 'LOW' : 'MEDIUM',
+      },
+      data: {
+        amount: schedule.amount,
+        currency: schedule.asset,
+        errorMessage: run.error,
+        correlationId: run.idempotencyKey,
+      },
+      context: { source: 'SYSTEM', feature: 'scheduled-transfers' },
+    });
+  }
+
+  async notify(schedule, run) {
+    const user = await User.findById(schedule.userId);
+    if (user) {
+      await WebNotificationService.sendScheduledTransferNotification(user, schedule, run);
+    }
+  }
+
+  async audit(action, schedule, { actor = null, role = 'system', notes } = {}) {
+    await AuditLog.logAction({
+      actor,
+      role,
+      action,
+      object: {
+        type: 'ScheduledTransfer',
+        id: schedule._id,
+        identifier: schedule._id.toString(),
+      },
+      after: {
+        status: schedule.status,
+        frequency: schedule.frequency,
+        amount: schedule.amount,
+        asset: schedule.asset,
+        nextRunAt: schedule.nextRunAt,
+      },
+      metadata: { notes },
+    });
+  }
+}
+
+module.exports = new ScheduledTransferService();
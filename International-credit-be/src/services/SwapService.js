@@ -0,0 +1,240 @@
+const { Account, Config, SwapQuote } = require('../models');
+const LedgerService = require('./LedgerService');
+const PricingService = require('./PricingService');
+const { NotFoundError, ValidationError, ConflictError, ServiceUnavailableError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { toDecimal, assertScale, roundAmount, formatAmount, applyBps } = require('../utils/money');
+
+// Decimal places kept on the quoted rate
+const RATE_SCALE = 18;
+
+class SwapService {
+  /**
+   * USD price of a ledger asset: the aggregated feed for BTC/XAU-backed assets while
+   * it is fresh, otherwise Config.fxTable.
+   */
+  async getUsdPrice(asset, systemConfig) {
+    const key = config.swaps.priceKeys[asset];
+    if (!key) {
+      throw new ValidationError(`${asset} cannot be swapped`);
+    }
+
+    if (config.pricing.assets.includes(key)) {
+      const price = await PricingService.getReferencePrice(key);
+      if (price) {
+        return { price, source: 'feed' };
+      }
+    }
+
+    const price = systemConfig.fxTable?.[key];
+    if (!price || price <= 0) {
+      throw new ServiceUnavailableError(`No price available for ${asset}`);
+    }
+    return { price, source: 'fxTable' };
+  }
+
+  /**
+   * Price a swap of `amount` fromAsset. The fee is taken in fromAsset and the rest
+   * converted at the ratio of the two USD prices.
+   */
+  async quote({ fromAsset, toAsset, amount }, systemConfig = null) {
+    if (fromAsset === toAsset) {
+      throw new ValidationError('Cannot swap an asset for itself');
+    }
+    const value = assertScale(amount, fromAsset);
+    if (!value.gt(0)) {
+      throw new ValidationError('Swap amount must be positive');
+    }
+
+    systemConfig = systemConfig || await Config.getConfig();
+    const from = await this.getUsdPrice(fromAsset, systemConfig);
+    const to = await this.getUsdPrice(toAsset, systemConfig);
+
+    const rate = toDecimal(from.price).div(to.price).decimalPlaces(RATE_SCALE);
+    const feeBps = systemConfig.feeStructure.swapFeeBps;
+    const feeAmount = applyBps(value, feeBps, fromAsset);
+    const receiveAmount = roundAmount(value.minus(feeAmount).times(rate), toAsset);
+    if (!receiveAmount.gt(0)) {
+      throw new ValidationError('Swap amount is too small');
+    }
+
+    return {
+      fromAsset,
+      toAsset,
+      amount: formatAmount(value, fromAsset),
+      rate: rate.toFixed(),
+      feeBps,
+      feeAmount: formatAmount(feeAmount, fromAsset),
+      receiveAmount: formatAmount(receiveAmount, toAsset),
+      prices: { from, to },
+    };
+  }
+
+  // Quote and hold the rate for config.swaps.quoteTtlMs
+  async lockQuote(userId, request) {
+    const quote = await this.quote(request);
+    const locked = await SwapQuote.create({
+      userId,
+      ...quote,
+      expiresAt: new Date(Date.now() + config.swaps.quoteTtlMs),
+    });
+
+    return this.serializeQuote(locked);
+  }
+
+  serializeQuote(quote) {
+    return {
+      quoteId: quote._id,
+      fromAsset: quote.fromAsset,
+      toAsset: quote.toAsset,
+      amount: quote.amount,
+      rate: quote.rate,
+      feeBps: quote.feeBps,
+      feeAmount: quote.feeAmount,
+      receiveAmount: quote.receiveAmount,
+      expiresAt: quote.expiresAt,
+    };
+  }
+
+  /**
+   * Execute a swap at a locked quote (`quoteId`) or at the live rate. A locked quote is
+   * refused once the live rate has moved more than config.swaps.maxSlippageBps from it;
+   * `minReceiveAmount` lets the caller bound what they accept either way.
+   */
+  async executeSwap(userId, request, metadata = {}) {
+    const { quoteId, minReceiveAmount, idempotencyKey } = request;
+
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.swaps) {
+      throw new ServiceUnavailableError('Swaps are currently paused');
+    }
+
+    let quote;
+    let locked = null;
+    if (quoteId) {
+      locked = await SwapQuote.findOne({ _id: quoteId, userId });
+      if (!locked) {
+        throw new NotFoundError('Quote not found');
+      }
+      if (locked.usedAt) {
+        throw new ConflictError('Quote has already been used');
+      }
+      if (locked.expiresAt <= new Date()) {
+        throw new ConflictError('Quote has expired');
+      }
+
+      const live = await this.quote(locked, systemConfig);
+      const driftBps = toDecimal(live.rate).minus(locked.rate).abs().div(locked.rate).times(10000);
+      if (driftBps.gt(config.swaps.maxSlippageBps)) {
+        throw new ConflictError('Price moved beyond the slippage limit; request a new quote');
+      }
+      quote = this.serializeQuote(locked);
+    } else {
+      quote = await this.quote(request, systemConfig);
+    }
+
+    if (minReceiveAmount && toDecimal(quote.receiveAmount).lt(minReceiveAmount)) {
+      throw new ValidationError(`Swap would receive ${quote.receiveAmount} ${quote.toAsset}, below the minimum of ${minReceiveAmount}`);
+    }
+
+    const entries = await this.buildJournalEntries(userId, quote);
+
+    if (locked) {
+      // Claimed atomically so two requests cannot execute the same quote
+      const claimed = await SwapQuote.findOneAndUpdate(
+        { _id: locked._id, usedAt: { $exists: false } },
+        { $set: { usedAt: new Date() } }
+      );
+      if (!claimed) {
+        throw new ConflictError('Quote has already been used');
+      }
+    }
+
+    const description = `Swap ${quote.fromAsset} -> ${quote.toAsset}`;
+    let result;
+    try {
+      result = await LedgerService.createJournalWithHold(entries[0].accountId, quote.amount, entries, {
+        userId,
+        transactionType: config.transactionTypes.SWAP,
+        description,
+        correlationId: metadata.correlationId,
+        idempotencyKey,
+        amount: quote.amount,
+        currency: quote.fromAsset,
+      });
+    } catch (error) {
+      if (locked) {
+        // Let the user retry the same quote while it is still valid
+        await SwapQuote.updateOne({ _id: locked._id }, { $unset: { usedAt: 1 } });
+      }
+      throw error;
+    }
+
+    if (locked) {
+      await SwapQuote.updateOne({ _id: locked._id }, { $set: { journalId: result.journalId } });
+    }
+
+    logger.info('Swap executed', {
+      userId: userId.toString(),
+      journalId: result.journalId.toString(),
+      quoteId: locked ? locked._id.toString() : undefined,
+      fromAsset: quote.fromAsset,
+      toAsset: quote.toAsset,
+      amount: quote.amount,
+      receiveAmount: quote.receiveAmount,
+      rate: quote.rate,
+    });
+
+    return { journalId: result.journalId, ...quote };
+  }
+
+  /**
+   * Two legs that each balance in their own asset: the user's fromAsset goes to the
+   * fromAsset FX account (less the fee), and the toAsset FX account pays the user.
+   * The user's fromAsset debit comes first; it is the account the swap is held on.
+   */
+  async buildJournalEntries(userId, quote) {
+    const { fromAsset, toAsset, amount, feeAmount, receiveAmount } = quote;
+
+    const [fromAccount, toAccount, fxFrom, fxTo, feeAccount] = await Promise.all([
+      Account.findOne({ userId, asset: fromAsset, accountType: 'USER' }),
+      Account.findOne({ userId, asset: toAsset, accountType: 'USER' }),
+      Account.findOne({ accountType: 'FX', asset: fromAsset }),
+      Account.findOne({ accountType: 'FX', asset: toAsset }),
+      toDecimal(feeAmount).gt(0) ? Account.findOne({ accountType: 'FEE', asset: fromAsset }) : null,
+    ]);
+
+    if (!fromAccount || !toAccount) {
+      throw new NotFoundError(`${!fromAccount ? fromAsset : toAsset} account not found`);
+    }
+    LedgerService.assertCanPost(fromAccount, 'debit');
+    LedgerService.assertCanPost(toAccount, 'credit');
+    if (!fxFrom || !fxTo) {
+      throw new ServiceUnavailableError(`FX account for ${!fxFrom ? fromAsset : toAsset} is not configured`);
+    }
+
+    const description = `Swap ${fromAsset} -> ${toAsset}`;
+    const meta = { type: config.transactionTypes.SWAP, description };
+    // Without a FEE account the fee stays with the FX account
+    const chargeFee = Boolean(feeAccount);
+
+    const entries = [
+      { accountId: fromAccount._id, debit: amount, meta },
+      { accountId: fxFrom._id, credit: chargeFee ? toDecimal(amount).minus(feeAmount).toFixed() : amount, meta },
+      { accountId: fxTo._id, debit: receiveAmount, meta },
+      { accountId: toAccount._id, credit: receiveAmount, meta },
+    ];
+    if (chargeFee) {
+      entries.push({
+        accountId: feeAccount._id,
+        credit: feeAmount,
+        meta: { type: config.transactionTypes.FEE, description: 'Swap fee' },
+      });
+    }
+
+    return entries;
+  }
+}
+
+module.exports = new SwapService();
@@ -0,0 +1,162 @@
+const { ReservesSnapshot, PriceTick } = require('../models');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Each range is split into roughly 30-120 buckets
+const RANGES = {
+  '24h': { durationMs: DAY, bucketMs: HOUR },
+  '7d': { durationMs: 7 * DAY, bucketMs: 6 * HOUR },
+  '30d': { durationMs: 30 * DAY, bucketMs: DAY },
+  '1y': { durationMs: 365 * DAY, bucketMs: 7 * DAY },
+};
+
+// Epoch milliseconds of the bucket a document's timestamp falls into
+const bucketStart = bucketMs => ({
+  $subtract: [
+    { $toLong: '$timestamp' },
+    { $mod: [{ $toLong: '$timestamp' }, bucketMs] },
+  ],
+});
+
+const ohlc = field => ({
+  open: { $first: { $toDouble: field } },
+  high: { $max: { $toDouble: field } },
+  low: { $min: { $toDouble: field } },
+  close: { $last: { $toDouble: field } },
+  avg: { $avg: { $toDouble: field } },
+});
+
+const prefixed = (prefix, fields) => Object.fromEntries(
+  Object.entries(fields).map(([key, value]) => [`${prefix}_${key}`, value])
+);
+
+const unprefix = (row, prefix) => ({
+  open: row[`${prefix}_open`],
+  high: row[`${prefix}_high`],
+  low: row[`${prefix}_low`],
+  close: row[`${prefix}_close`],
+  avg: row[`${prefix}_avg`],
+});
+
+class TimeSeriesService {
+  getWindow(range) {
+    const { durationMs, bucketMs } = RANGES[range];
+    const to = new Date();
+    // Align the start to a bucket boundary so the first bucket is complete
+    const from = new Date(Math.floor((to.getTime() - durationMs) / bucketMs) * bucketMs);
+    return { range, from, to, bucketMs };
+  }
+
+  async getReserveHistory(range = '7d') {
+    const window = this.getWindow(range);
+    const match = { timestamp: { $gte: window.from, $lte: window.to } };
+
+    const rows = await ReservesSnapshot.aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: bucketStart(window.bucketMs),
+          ...prefixed('collateralPct', ohlc('$ratios.collateralPct')),
+          ...prefixed('reserveRatio', ohlc('$ratios.reserveRatio')),
+          totalReservesUSD: {
+            $avg: {
+              $add: [
+                { $toDouble: { $ifNull: ['$reserves.BBT.valueUSD', 0] } },
+                { $toDouble: { $ifNull: ['$reserves.GBT.valueUSD', 0] } },
+                { $toDouble: { $ifNull: ['$reserves.cash.valueUSD', 0] } },
+              ],
+            },
+          },
+          ucSupply: { $avg: { $toDouble: '$supply.UC.total' } },
+          status: { $last: '$health.status' },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const points = rows.map(row => ({
+      timestamp: new Date(row._id),
+      collateralPct: unprefix(row, 'collateralPct'),
+      reserveRatio: unprefix(row, 'reserveRatio'),
+      totalReservesUSD: row.totalReservesUSD,
+      ucSupply: row.ucSupply,
+      status: row.status,
+      count: row.count,
+    }));
+
+    return {
+      ...window,
+      points,
+      transitions: await this.getHealthTransitions(window),
+    };
+  }
+
+  // Every change of health.status within the window, starting from the status in force at `from`
+  async getHealthTransitions({ from, to }) {
+    const [previous, snapshots] = await Promise.all([
+      ReservesSnapshot.findOne({ timestamp: { $lt: from } })
+        .sort({ timestamp: -1 })
+        .select('health.status')
+        .lean(),
+      ReservesSnapshot.find({ timestamp: { $gte: from, $lte: to } })
+        .sort({ timestamp: 1 })
+        .select('timestamp health.status health.warnings')
+        .lean(),
+    ]);
+
+    const transitions = [];
+    let current = previous ? previous.health.status : null;
+
+    for (const snapshot of snapshots) {
+      if (snapshot.health.status !== current) {
+        transitions.push({
+          timestamp: snapshot.timestamp,
+          from: current,
+          to: snapshot.health.status,
+          warnings: snapshot.health.warnings,
+        });
+        current = snapshot.health.status;
+      }
+    }
+
+    return transitions;
+  }
+
+  async getPriceHistory(asset, range = '7d', source = 'calculated') {
+    const window = this.getWindow(range);
+
+    const rows = await PriceTick.aggregate([
+      {
+        $match: {
+          asset,
+          source,
+          timestamp: { $gte: window.from, $lte: window.to },
+        },
+      },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: bucketStart(window.bucketMs),
+          ...ohlc('$price'),
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return {
+      ...window,
+      asset,
+      source,
+      candles: rows.map(({ _id, ...candle }) => ({
+        timestamp: new Date(_id),
+        ...candle,
+      })),
+    };
+  }
+}
+
+module.exports = new TimeSeriesService();
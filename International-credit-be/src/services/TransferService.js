@@ -0,0 +1,143 @@
+const { User, Wallet, KycApplication, Config } = require('../models');
+const LedgerService = require('./LedgerService');
+const { NotFoundError, ValidationError, AuthorizationError, ServiceUnavailableError } = require('../utils/errors');
+const config = require('../config');
+
+const HANDLE_PATTERN = /^@?([a-z0-9_]{3,20})$/i;
+
+class TransferService {
+  /**
+   * Find the platform user behind `recipient`: an email address, a @handle or a
+   * whitelisted wallet address.
+   */
+  async resolveRecipient(senderId, recipient) {
+    const value = String(recipient || '').trim();
+    if (!value) {
+      throw new ValidationError('Recipient is required');
+    }
+
+    let user = null;
+    let walletAddress;
+    let kind;
+    if (value.includes('@') && !value.startsWith('@')) {
+      kind = 'email';
+      user = await User.findOne({ email: value.toLowerCase() });
+    } else if (HANDLE_PATTERN.test(value)) {
+      kind = 'handle';
+      user = await User.findOne({ handle: value.replace(/^@/, '').toLowerCase() });
+    }
+
+    if (!user) {
+      const wallet = await Wallet.findOne({
+        address: value.toLowerCase(),
+        whitelistState: config.walletStatus.WHITELISTED,
+        isActive: true,
+      });
+      if (wallet) {
+        kind = 'wallet';
+        walletAddress = wallet.address;
+        user = await User.findById(wallet.userId);
+      }
+    }
+
+    if (!user || !user.isActive) {
+      throw new NotFoundError('Recipient not found');
+    }
+    if (user._id.toString() === senderId.toString()) {
+      throw new ValidationError('Cannot transfer to yourself');
+    }
+
+    return { user, kind, walletAddress };
+  }
+
+  // What the sender is shown before confirming; never the full email of someone found by handle
+  describeRecipient({ user, kind, walletAddress }) {
+    return {
+      userId: user._id,
+      kind,
+      handle: user.handle,
+      displayName: maskName(user.fullName),
+      walletAddress,
+    };
+  }
+
+  /**
+   * KYC and sanctions screening applied to both sides of every internal transfer:
+   * the user must be active and KYC approved, and their approved application must
+   * not be from a country in config.transfers.sanctionedCountries.
+   */
+  async screenParty(user, side) {
+    const label = side === 'sender' ? 'Your account' : 'The recipient';
+
+    if (!user.isActive) {
+      throw new AuthorizationError(`${label} is not active`);
+    }
+    if (user.kycStatus !== config.kycStatus.APPROVED) {
+      throw new AuthorizationError(`${label} has not completed KYC verification`);
+    }
+
+    const application = await KycApplication.findOne({
+      userId: user._id,
+      status: config.kycStatus.APPROVED,
+    }).sort({ decidedAt: -1, createdAt: -1 });
+    const country = application?.country?.toUpperCase();
+    if (country && config.transfers.sanctionedCountries.includes(country)) {
+      throw new AuthorizationError(`${label} cannot send or receive transfers`);
+    }
+
+    return { country };
+  }
+
+  /**
+   * Send `amount` of asset to another platform user found by email, handle or wallet
+   * address, after screening both parties.
+   */
+  async transfer(senderId, { recipient, ...request }, metadata = {}) {
+    const resolved = await this.resolveRecipient(senderId, recipient);
+    return this.transferToUser(senderId, resolved, request, metadata);
+  }
+
+  // Screen both parties and post; `resolved` is what resolveRecipient returned
+  async transferToUser(senderId, resolved, { amount, asset, description, idempotencyKey }, metadata = {}) {
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.transfers) {
+      throw new ServiceUnavailableError('Transfers are currently paused');
+    }
+
+    const sender = await User.findById(senderId);
+    if (!sender) {
+      throw new NotFoundError('User not found');
+    }
+
+    const [senderScreen, recipientScreen] = await Promise.all([
+      this.screenParty(sender, 'sender'),
+      this.screenParty(resolved.user, 'recipient'),
+    ]);
+
+    const result = await LedgerService.transfer(
+      { userId: sender._id, reference: partyReference(sender), country: senderScreen.country },
+      {
+        userId: resolved.user._id,
+        reference: resolved.walletAddress || partyReference(resolved.user),
+        walletAddress: resolved.walletAddress,
+        country: recipientScreen.country,
+      },
+      amount,
+      asset,
+      { description, idempotencyKey, correlationId: metadata.correlationId }
+    );
+
+    return { ...result, recipient: this.describeRecipient(resolved) };
+  }
+}
+
+const partyReference = user => (user.handle ? `@${user.handle}` : user.email);
+
+// "Jane Doe" -> "Jane D."
+const maskName = (fullName = '') => {
+  const [first, ...rest] = fullName.trim().split(/\s+/);
+  const last = rest.pop();
+  return last ? `${first} ${last[0].toUpperCase()}.` : first;
+};
+
+module.exports = new TransferService();
@@ -22,9 +22,51 @@ class UserService {
     return userProfile;
   }
   
+  async updateProfile(userId, updates, metadata = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const before = { preferences: user.preferences, handle: user.handle };
+
+    if (updates.preferences) {
+      user.preferences = { ...user.preferences, ...updates.preferences };
+    }
+    if (updates.handle !== undefined && updates.handle !== user.handle) {
+      const taken = await User.exists({ handle: updates.handle, _id: { $ne: userId } });
+      if (taken) {
+        throw new ConflictError('Handle is already taken');
+      }
+      user.handle = updates.handle;
+    }
+
+    await user.save();
+
+    await AuditLog.logAction({
+      actor: userId,
+      role: user.role,
+      action: 'UPDATE',
+      object: { type: 'User', id: userId },
+      before,
+      after: { preferences: user.preferences, handle: user.handle },
+      metadata,
+    });
+
+    return user;
+  }
+
+  // The compliance reason and who changed the status stay internal
   async getUserAccounts(userId) {
-    const accounts = await Account.find({ userId }).populate('userId', 'email role');
-    return accounts;
+    const accounts = await Account.find({ userId })
+      .select('-statusReason -statusChangedBy -statusHistory')
+      .populate('userId', 'email role');
+
+    return accounts.map(account => ({
+      ...account.toJSON(),
+      canSend: account.status === 'ACTIVE',
+      canReceive: account.status !== 'CLOSED',
+    }));
   }
   
   async createUserAccounts(userId) {
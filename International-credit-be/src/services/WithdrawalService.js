@@ -0,0 +1,613 @@
+const mongoose = require('mongoose');
+const { Withdrawal, Account, User, Config, AuditLog, Hold } = require('../models');
+const LedgerService = require('./LedgerService');
+const WalletService = require('./WalletService');
+const WebNotificationService = require('./WebNotificationService');
+const ChainRedemptionProcessor = require('./payoutProcessors/ChainRedemptionProcessor');
+const SimulatedFiatPayoutProcessor = require('./payoutProcessors/SimulatedFiatPayoutProcessor');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError, InternalServerError, ServiceUnavailableError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { Decimal, toDecimal, assertScale, applyBps } = require('../utils/money');
+
+const CANCELABLE = ['PENDING_APPROVAL', 'APPROVED'];
+
+class WithdrawalService {
+  constructor() {
+    this.processors = new Map();
+    this.registerProcessor(ChainRedemptionProcessor);
+    this.registerProcessor(SimulatedFiatPayoutProcessor);
+  }
+
+  /**
+   * Processors expose a `name` matching Withdrawal.method and an async
+   * `payout(withdrawal, { onSubmitted })` resolving to { reference, txHash, blockNumber }.
+   * They throw when the payout did not happen. An optional `lookup(withdrawal)` re-reads
+   * the outcome of an earlier attempt: { state: 'PAID', reference, txHash, blockNumber },
+   * { state: 'FAILED', reason }, or null while it is unknown.
+   */
+  registerProcessor(processor) {
+    this.processors.set(processor.name, processor);
+  }
+
+  async requestWithdrawal(userId, request, metadata = {}) {
+    const { method, walletAddress, network, bankAccount, idempotencyKey } = request;
+    const amount = assertScale(request.amount, config.assets.UC);
+
+    if (idempotencyKey) {
+      const existing = await Withdrawal.findOne({ userId, idempotencyKey });
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const { minAmount, approvalThreshold } = config.withdrawals;
+    if (amount.lt(minAmount)) {
+      throw new ValidationError(`Minimum withdrawal is ${minAmount} UC`);
+    }
+
+    const [user, account, systemAccount, feeAccount, systemConfig] = await Promise.all([
+      User.findById(userId),
+      Account.findOne({ userId, asset: config.assets.UC, accountType: 'USER' }),
+      Account.findOne({ accountType: 'SYSTEM', asset: config.assets.UC }),
+      Account.findOne({ accountType: 'FEE', asset: config.assets.UC }),
+      Config.getConfig(),
+    ]);
+
+    // Refused before any funds are held
+    if (systemConfig.paused.system || systemConfig.paused.withdrawals) {
+      throw new ServiceUnavailableError('Withdrawals are currently paused');
+    }
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (!account) {
+      throw new NotFoundError('UC account not found');
+    }
+    LedgerService.assertCanPost(account, 'debit');
+    if (!systemAccount) {
+      throw new InternalServerError('System UC account not found');
+    }
+
+    let destination;
+    if (method === 'ONCHAIN') {
+      const wallet = await WalletService.validateWalletForTransaction(userId, walletAddress, network, amount.toNumber(), 'withdrawal');
+      destination = { walletAddress: wallet.address, network: wallet.network };
+    } else {
+      destination = { bankAccount };
+    }
+
+    // Without a FEE account the whole amount returns to the system account
+    const feeAmount = feeAccount
+      ? applyBps(amount, systemConfig.feeStructure.withdrawalFeeBps, config.assets.UC)
+      : new Decimal(0);
+    const withdrawalId = new mongoose.Types.ObjectId();
+
+    // No expiry: the withdrawal workflow captures or releases it
+    const hold = await LedgerService.authorizeHold(account._id, amount.toFixed(), {
+      type: config.transactionTypes.WITHDRAWAL,
+      reference: withdrawalId.toString(),
+      description: `Hold for ${amount.toFixed()} UC withdrawal`,
+      userId,
+      expiresAt: null,
+    });
+
+    const requiresApproval = amount.gte(approvalThreshold);
+    const status = requiresApproval ? 'PENDING_APPROVAL' : 'APPROVED';
+
+    let withdrawal;
+    try {
+      withdrawal = await Withdrawal.create({
+        _id: withdrawalId,
+        userId,
+        accountId: account._id,
+        method,
+        amount: amount.toFixed(),
+        feeAmount: feeAmount.toFixed(),
+        netAmount: amount.minus(feeAmount).toFixed(),
+        destination,
+        status,
+        requiresApproval,
+        holdId: hold._id,
+        idempotencyKey,
+        events: [{
+          status,
+          actor: userId,
+          role: user.role,
+          note: requiresApproval
+            ? `At or above the ${approvalThreshold} UC approval threshold`
+            : 'Below the approval threshold',
+        }],
+      });
+    } catch (error) {
+      await LedgerService.releaseHold(hold._id, `Withdrawal not recorded: ${error.message}`);
+      throw error;
+    }
+
+    logger.info('Withdrawal requested', {
+      withdrawalId: withdrawalId.toString(),
+      correlationId: metadata.correlationId,
+      userId,
+      method,
+      amount: amount.toFixed(),
+      status,
+    });
+
+    if (requiresApproval) {
+      await this.notify(withdrawal, user);
+    }
+
+    return withdrawal;
+  }
+
+  async getUserWithdrawals(userId, filters = {}, pagination = {}) {
+    return this.listWithdrawals({ ...filters, userId }, pagination);
+  }
+
+  async getWithdrawal(userId, withdrawalId) {
+    const withdrawal = await Withdrawal.findOne({ _id: withdrawalId, userId });
+    if (!withdrawal) {
+      throw new NotFoundError('Withdrawal not found');
+    }
+    return withdrawal;
+  }
+
+  async listWithdrawals(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const query = {};
+
+    if (filters.userId) {
+      query.userId = filters.userId;
+    }
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.method) {
+      query.method = filters.method;
+    }
+
+    const [withdrawals, total] = await Promise.all([
+      Withdrawal.find(query)
+        .populate('userId', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Withdrawal.countDocuments(query),
+    ]);
+
+    return {
+      withdrawals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async cancelWithdrawal(userId, withdrawalId) {
+    const user = await User.findById(userId);
+    const withdrawal = await this.transition({ _id: withdrawalId, userId }, CANCELABLE, 'CANCELED', {
+      actor: userId,
+      role: user.role,
+      note: 'Canceled by user',
+    });
+
+    await LedgerService.releaseHold(withdrawal.holdId, 'Withdrawal canceled');
+    await this.audit('WITHDRAWAL_CANCEL', withdrawal, { actor: userId, role: user.role, notes: 'Withdrawal canceled by user' });
+
+    return withdrawal;
+  }
+
+  async approveWithdrawal(adminId, withdrawalId, note) {
+    const admin = await this.getTreasuryAdmin(adminId, withdrawalId);
+    const withdrawal = await this.transition({ _id: withdrawalId }, ['PENDING_APPROVAL'], 'APPROVED', {
+      actor: adminId,
+      role: admin.role,
+      note,
+      set: { review: { reviewedBy: adminId, reviewedAt: new Date(), note } },
+    });
+
+    await this.audit('WITHDRAWAL_APPROVE', withdrawal, { actor: adminId, role: admin.role, notes: note });
+    await this.notify(withdrawal);
+
+    logger.info('Withdrawal approved', { withdrawalId, adminId });
+
+    return withdrawal;
+  }
+
+  async rejectWithdrawal(adminId, withdrawalId, reason) {
+    const admin = await this.getTreasuryAdmin(adminId, withdrawalId);
+    const withdrawal = await this.transition({ _id: withdrawalId }, ['PENDING_APPROVAL'], 'REJECTED', {
+      actor: adminId,
+      role: admin.role,
+      note: reason,
+      set: { review: { reviewedBy: adminId, reviewedAt: new Date(), note: reason } },
+    });
+
+    await LedgerService.releaseHold(withdrawal.holdId, 'Withdrawal rejected');
+    await this.audit('WITHDRAWAL_REJECT', withdrawal, { actor: adminId, role: admin.role, reason });
+    await this.notify(withdrawal);
+
+    logger.info('Withdrawal rejected', { withdrawalId, adminId, reason });
+
+    return withdrawal;
+  }
+
+  // Reconcile stalled payouts, then pay out approved withdrawals oldest first; called by the worker
+  async processApprovedWithdrawals() {
+    const systemConfig = await Config.getConfig();
+    if (systemConfig.paused.system || systemConfig.paused.withdrawals) {
+      return { skipped: true, reason: 'Withdrawals are paused' };
+    }
+
+    const { batchSize, reconcileAfterMs } = config.withdrawals;
+    const [stalled, approved] = await Promise.all([
+      Withdrawal.find({ status: 'PROCESSING', 'payout.startedAt': { $lte: new Date(Date.now() - reconcileAfterMs) } })
+        .sort({ 'payout.startedAt': 1 })
+        .limit(batchSize)
+        .select('_id'),
+      Withdrawal.find({ status: 'APPROVED' })
+        .sort({ createdAt: 1 })
+        .limit(batchSize)
+        .select('_id'),
+    ]);
+
+    const results = { completed: 0, failed: 0, unresolved: 0 };
+    const run = async (withdrawalId, step) => {
+      try {
+        const withdrawal = await step(withdrawalId);
+        if (withdrawal.status === 'COMPLETED') {
+          results.completed += 1;
+        } else if (withdrawal.status === 'FAILED') {
+          results.failed += 1;
+        } else {
+          results.unresolved += 1;
+        }
+      } catch (error) {
+        // Another worker claimed it, or settlement failed and it stays PROCESSING
+        logger.error('Withdrawal processing error', { withdrawalId: withdrawalId.toString(), error: error.message });
+        results.unresolved += 1;
+      }
+    };
+
+    for (const { _id } of stalled) {
+      await run(_id, id => this.reconcileWithdrawal(id));
+    }
+    for (const { _id } of approved) {
+      await run(_id, id => this.processWithdrawal(id));
+    }
+
+    return results;
+  }
+
+  async processWithdrawal(withdrawalId) {
+    const withdrawal = await this.transition({ _id: withdrawalId }, ['APPROVED'], 'PROCESSING', {
+      role: 'system',
+      set: { 'payout.startedAt': new Date() },
+    });
+
+    const processor = this.processors.get(withdrawal.method);
+    let submittedTxHash = null;
+
+    let result;
+    try {
+      if (!processor) {
+        throw new InternalServerError(`No payout processor for ${withdrawal.method}`);
+      }
+      // The account may have been frozen or closed since the withdrawal was requested
+      const account = await Account.findById(withdrawal.accountId);
+      LedgerService.assertCanPost(account, 'debit');
+
+      result = await processor.payout(withdrawal, {
+        onSubmitted: async ({ txHash }) => {
+          submittedTxHash = txHash;
+          await Withdrawal.updateOne({ _id: withdrawal._id }, { $set: { 'payout.processor': processor.name, 'payout.txHash': txHash } });
+        },
+      });
+    } catch (error) {
+      // A sent transaction that did not visibly revert may still be mined, so the hold
+      // stays until reconcileWithdrawal reads its outcome
+      const reverted = error.receipt && error.receipt.status === 0;
+      if (submittedTxHash && !reverted) {
+        await Withdrawal.updateOne({ _id: withdrawal._id }, { $set: { 'payout.error': error.message } });
+        logger.error('Withdrawal payout outcome unknown', {
+          withdrawalId: withdrawal._id.toString(),
+          txHash: submittedTxHash,
+          error: error.message,
+        });
+        return withdrawal;
+      }
+
+      return this.failWithdrawal(withdrawal, error.message);
+    }
+
+    return this.completeWithdrawal(withdrawal, processor.name, result);
+  }
+
+  /**
+   * Settle a withdrawal left PROCESSING by an unknown payout outcome, a failed settlement
+   * or a stopped worker. The hold is captured once the processor confirms the payout and
+   * released once it confirms the payout did not happen; otherwise the withdrawal is
+   * returned unchanged for a later run or an admin to resolve.
+   */
+  async reconcileWithdrawal(withdrawalId) {
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (!withdrawal) {
+      throw new NotFoundError('Withdrawal not found');
+    }
+    if (withdrawal.status !== 'PROCESSING') {
+      throw new ConflictError(`Withdrawal is ${withdrawal.status.toLowerCase()}`);
+    }
+
+    // The payout was recorded but capturing the hold or the status change did not finish
+    if (withdrawal.payout.completedAt) {
+      return this.completeWithdrawal(withdrawal, withdrawal.payout.processor, withdrawal.payout);
+    }
+
+    const outcome = await this.lookupPayout(withdrawal);
+    if (outcome && outcome.state === 'PAID') {
+      return this.completeWithdrawal(withdrawal, withdrawal.method, outcome);
+    }
+    if (outcome && outcome.state === 'FAILED') {
+      return this.failWithdrawal(withdrawal, outcome.reason);
+    }
+
+    logger.warn('Withdrawal payout still unresolved', {
+      withdrawalId: withdrawal._id.toString(),
+      txHash: withdrawal.payout.txHash,
+      startedAt: withdrawal.payout.startedAt,
+    });
+    return withdrawal;
+  }
+
+  /**
+   * Settle a PROCESSING withdrawal from the payout's outcome established outside the
+   * system, e.g. a bank statement or a dropped transaction. An outcome the processor can
+   * still read must agree with it, so a payout that went through cannot be refunded.
+   */
+  async resolveWithdrawal(adminId, withdrawalId, { outcome, reference, note }) {
+    const admin = await this.getTreasuryAdmin(adminId, withdrawalId);
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (withdrawal.status !== 'PROCESSING') {
+      throw new ConflictError(`Withdrawal is ${withdrawal.status.toLowerCase()}`);
+    }
+
+    const observed = withdrawal.payout.completedAt ? { state: 'PAID' } : await this.lookupPayout(withdrawal);
+    const state = outcome === 'COMPLETED' ? 'PAID' : 'FAILED';
+    if (observed && observed.state !== state) {
+      throw new ConflictError(observed.state === 'PAID'
+        ? 'The payout went through; the withdrawal cannot be failed'
+        : `The payout did not go through: ${observed.reason}`);
+    }
+
+    const by = { actor: adminId, role: admin.role, note };
+    let resolved;
+    if (state === 'PAID') {
+      const payoutReference = reference || withdrawal.payout.reference || withdrawal.payout.txHash;
+      if (!payoutReference) {
+        throw new ValidationError('A payout reference is required to complete this withdrawal');
+      }
+      resolved = await this.completeWithdrawal(withdrawal, withdrawal.method, {
+        reference: payoutReference,
+        txHash: (observed && observed.txHash) || withdrawal.payout.txHash,
+        blockNumber: (observed && observed.blockNumber) || withdrawal.payout.blockNumber,
+      }, by);
+    } else {
+      resolved = await this.failWithdrawal(withdrawal, note, by);
+    }
+
+    logger.info('Withdrawal resolved', { withdrawalId, adminId, outcome });
+
+    return resolved;
+  }
+
+  async lookupPayout(withdrawal) {
+    const processor = this.processors.get(withdrawal.method);
+    if (!processor || !processor.lookup) {
+      return null;
+    }
+    return processor.lookup(withdrawal);
+  }
+
+  // Capture the hold for a payout that happened and mark the withdrawal COMPLETED
+  async completeWithdrawal(withdrawal, processorName, result, { actor, role = 'system', note } = {}) {
+    // Record the payout before settling so a settlement error cannot lose the reference
+    const payout = {
+      'payout.processor': processorName,
+      'payout.reference': result.reference,
+      'payout.txHash': result.txHash,
+      'payout.blockNumber': result.blockNumber,
+      'payout.completedAt': withdrawal.payout.completedAt || new Date(),
+    };
+    await Withdrawal.updateOne({ _id: withdrawal._id }, { $set: payout });
+
+    // An earlier attempt may have captured the hold and stopped before the status change
+    const hold = await Hold.findById(withdrawal.holdId);
+    let journalId;
+    if (hold && hold.status === 'CAPTURED') {
+      journalId = hold.journalIds[hold.journalIds.length - 1];
+    } else {
+      const journal = await LedgerService.captureHold(withdrawal.holdId, await this.buildJournalEntries(withdrawal, result), {
+        userId: withdrawal.userId,
+        transactionType: config.transactionTypes.WITHDRAWAL,
+        description: `UC withdrawal ${withdrawal._id}`,
+        amount: withdrawal.amount,
+        currency: config.assets.UC,
+        withdrawalId: withdrawal._id.toString(),
+      });
+      journalId = journal.journalId;
+    }
+
+    const completed = await this.transition({ _id: withdrawal._id }, ['PROCESSING'], 'COMPLETED', {
+      actor,
+      role,
+      note: note || `Paid out by ${processorName} (${result.reference})`,
+      set: { journalId },
+    });
+
+    await this.audit('WITHDRAWAL_COMPLETE', completed, { actor, role, notes: `Payout reference ${result.reference}` });
+    await this.notify(completed);
+
+    logger.info('Withdrawal completed', {
+      withdrawalId: completed._id.toString(),
+      method: completed.method,
+      reference: result.reference,
+    });
+
+    return completed;
+  }
+
+  // Release the hold for a payout that did not happen and mark the withdrawal FAILED
+  async failWithdrawal(withdrawal, reason, { actor, role = 'system', note = reason } = {}) {
+    const hold = await Hold.findById(withdrawal.holdId);
+    if (hold && hold.status === 'CAPTURED') {
+      throw new ConflictError('Withdrawal hold was already captured');
+    }
+    if (hold && hold.status === 'ACTIVE') {
+      await LedgerService.releaseHold(withdrawal.holdId, 'Withdrawal payout failed');
+    }
+
+    const failed = await this.transition({ _id: withdrawal._id }, ['PROCESSING'], 'FAILED', {
+      actor,
+      role,
+      note,
+      set: { 'payout.error': reason },
+    });
+
+    await this.audit('WITHDRAWAL_FAIL', failed, { actor, role, reason, success: false });
+    await this.notify(failed);
+
+    logger.warn('Withdrawal payout failed', { withdrawalId: failed._id.toString(), error: reason });
+
+    return failed;
+  }
+
+  // User debit against the system account, with the fee split out to the FEE account
+  async buildJournalEntries(withdrawal, payout) {
+    const [systemAccount, feeAccount] = await Promise.all([
+      Account.findOne({ accountType: 'SYSTEM', asset: config.assets.UC }),
+      toDecimal(withdrawal.feeAmount).gt(0) ? Account.findOne({ accountType: 'FEE', asset: config.assets.UC }) : null,
+    ]);
+    if (!systemAccount) {
+      throw new InternalServerError('System UC account not found');
+    }
+
+    const reference = withdrawal._id.toString();
+    const chargeFee = Boolean(feeAccount);
+    const entries = [
+      {
+        accountId: withdrawal.accountId,
+        debit: withdrawal.amount,
+        meta: {
+          type: config.transactionTypes.WITHDRAWAL,
+          description: `UC withdrawal (${withdrawal.method.toLowerCase()})`,
+          reference,
+          externalRef: {
+            chainTxHash: payout.txHash,
+            status: 'completed',
+          },
+        },
+      },
+      {
+        accountId: systemAccount._id,
+        credit: chargeFee ? withdrawal.netAmount : withdrawal.amount,
+        meta: {
+          type: config.transactionTypes.WITHDRAWAL,
+          description: 'UC redeemed by withdrawal',
+          reference,
+        },
+      },
+    ];
+
+    if (chargeFee) {
+      entries.push({
+        accountId: feeAccount._id,
+        credit: withdrawal.feeAmount,
+        meta: {
+          type: config.transactionTypes.FEE,
+          description: 'Withdrawal fee',
+          reference,
+        },
+      });
+    }
+
+    return entries;
+  }
+
+  async getTreasuryAdmin(adminId, withdrawalId) {
+    const [admin, withdrawal] = await Promise.all([
+      User.findById(adminId),
+      Withdrawal.findById(withdrawalId).select('userId'),
+    ]);
+
+    if (!admin || ![config.roles.ADMIN_SUPER, config.roles.ADMIN_TREASURY].includes(admin.role)) {
+      throw new AuthorizationError('Insufficient permissions to review withdrawals');
+    }
+    if (!withdrawal) {
+      throw new NotFoundError('Withdrawal not found');
+    }
+    if (withdrawal.userId.toString() === adminId.toString()) {
+      throw new AuthorizationError('Cannot review your own withdrawal');
+    }
+
+    return admin;
+  }
+
+  // Atomically move a withdrawal between statuses so concurrent reviewers and workers cannot both act
+  async transition(filter, from, to, { actor, role, note, set = {} } = {}) {
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { ...filter, status: { $in: from } },
+      {
+        $set: { status: to, ...set },
+        $push: { events: { status: to, actor, role, note, timestamp: new Date() } },
+      },
+      { new: true }
+    );
+
+    if (!withdrawal) {
+      const existing = await Withdrawal.findOne(filter).select('status');
+      if (!existing) {
+        throw new NotFoundError('Withdrawal not found');
+      }
+      throw new ConflictError(`Withdrawal is ${existing.status.toLowerCase()}`);
+    }
+
+    return withdrawal;
+  }
+
+  async audit(action, withdrawal, { actor = null, role = 'system', reason, notes, success = true } = {}) {
+    await AuditLog.logAction({
+      actor,
+      role,
+      action,
+      object: {
+        type: 'Withdrawal',
+        id: withdrawal._id,
+        identifier: withdrawal._id.toString(),
+      },
+      after: {
+        status: withdrawal.status,
+        method: withdrawal.method,
+        payout: withdrawal.payout,
+      },
+      metadata: {
+        amount: withdrawal.amount,
+        currency: withdrawal.asset,
+        reason,
+        notes,
+      },
+      result: { success },
+    });
+  }
+
+  async notify(withdrawal, user = null) {
+    const recipient = user || await User.findById(withdrawal.userId);
+    if (recipient) {
+      await WebNotificationService.sendWithdrawalNotification(recipient, withdrawal);
+    }
+  }
+}
+
+module.exports = new WithdrawalService();
@@ -0,0 +1,147 @@
+const memoryMongo = require('./support/memoryMongo');
+const { createUser, openAccount, systemAccount } = require('./support/fixtures');
+const config = require('../../config');
+const { BankTransfer, Config, LedgerEntry } = require('../../models');
+const LedgerService = require('../LedgerService');
+const BankTransferService = require('../BankTransferService');
+const { toDecimal } = require('../../utils/money');
+
+// USD credits on CSV statements, converted at the Config.fxTable USD rate of 1:1
+describe('BankTransferService', () => {
+  let treasury;
+  let user;
+  let account;
+  let reference;
+
+  const statement = lines => [
+    'transaction_id,date,amount,currency,reference',
+    ...lines.map(([id, amount, remittance]) => `${id},2026-10-01,${amount},USD,${remittance}`),
+  ].join('\n');
+
+  const upload = lines => BankTransferService.importStatement(treasury._id, {
+    format: 'CSV',
+    content: statement(lines),
+    filename: 'statement.csv',
+  });
+
+  const transfer = id => BankTransfer.findOne({ entryRef: `CSV:${id}` });
+
+  const available = async () => {
+    const { available: amount } = await LedgerService.getBalance(user._id, config.assets.UC);
+    return toDecimal(amount).toFixed();
+  };
+
+  beforeAll(() => {
+    memoryMongo.install();
+  });
+
+  afterAll(() => {
+    memoryMongo.restore();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    await systemAccount();
+    treasury = await createUser({ role: config.roles.ADMIN_TREASURY });
+    user = await createUser();
+    account = await openAccount(user._id);
+    reference = await BankTransferService.getDepositReference(user._id);
+  });
+
+  afterEach(async () => {
+    const invariants = await LedgerService.checkInvariants();
+    expect(invariants.healthy).toBe(true);
+  });
+
+  describe('imports', () => {
+    it('credits a transfer quoting the deposit reference once, however often it is imported', async () => {
+      const first = await upload([['TX1', '100.00', `Invoice ${reference}`]]);
+      expect(first.totals).toMatchObject({ credits: 1, credited: 1, unmatched: 0 });
+
+      await expect(upload([['TX1', '100.00', `Invoice ${reference}`]]))
+        .rejects.toMatchObject({ statusCode: 409, message: 'This statement file has already been imported' });
+
+      // The next day's statement repeats yesterday's entry alongside a new one
+      const overlapping = await upload([['TX1', '100.00', `Invoice ${reference}`], ['TX2', '25.00', reference]]);
+      expect(overlapping.totals).toMatchObject({ credits: 2, duplicates: 1, credited: 1 });
+
+      expect((await transfer('TX1')).toObject()).toMatchObject({ status: 'CREDITED', matchedBy: 'REFERENCE', reference });
+      expect(await LedgerEntry.countDocuments({ accountId: account._id, credit: { $gt: 0 } })).toBe(2);
+      expect(await available()).toBe('125');
+    });
+
+    it('leaves a transfer without a known reference in the suspense queue', async () => {
+      const { totals } = await upload([['TX1', '100.00', 'Thanks for everything'], ['TX2', '50.00', 'UC000000000']]);
+      expect(totals).toMatchObject({ credited: 0, unmatched: 2 });
+
+      expect((await transfer('TX1')).toObject()).toMatchObject({
+        status: 'UNMATCHED',
+        issue: 'No deposit reference in the remittance information',
+      });
+      expect((await transfer('TX2')).toObject()).toMatchObject({
+        status: 'UNMATCHED',
+        issue: 'Unknown deposit reference UC000000000',
+      });
+      expect(await available()).toBe('0');
+    });
+  });
+
+  describe('suspense queue', () => {
+    let unmatched;
+
+    beforeEach(async () => {
+      await upload([['TX1', '100.00', 'Top up for Dana']]);
+      unmatched = await transfer('TX1');
+    });
+
+    it('credits a transfer treasury assigns, once', async () => {
+      const assigned = await BankTransferService.assignTransfer(treasury._id, unmatched._id, {
+        userId: user._id,
+        note: 'Payer name matches the account holder',
+      });
+      expect(assigned).toMatchObject({ status: 'CREDITED', matchedBy: 'MANUAL' });
+
+      await expect(BankTransferService.assignTransfer(treasury._id, unmatched._id, { userId: user._id }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Bank transfer is credited' });
+      expect(await available()).toBe('100');
+    });
+
+    it('refuses an assignment to the assigning admin', async () => {
+      await expect(BankTransferService.assignTransfer(treasury._id, unmatched._id, { userId: treasury._id }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect((await transfer('TX1')).status).toBe('UNMATCHED');
+    });
+
+    it('returns a transfer to the payer without posting anything', async () => {
+      const returned = await BankTransferService.returnTransfer(treasury._id, unmatched._id, { reason: 'Payer unknown' });
+      expect(returned.status).toBe('RETURNED');
+
+      await expect(BankTransferService.assignTransfer(treasury._id, unmatched._id, { userId: user._id }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(await LedgerEntry.countDocuments({ accountId: account._id })).toBe(0);
+    });
+  });
+
+  describe('while deposits are paused', () => {
+    it.each([
+      ['deposits', { paused: { deposits: true } }],
+      ['the whole system', { paused: { system: true } }],
+    ])('queues matched transfers when %s is paused, to be assigned later', async (label, updates) => {
+      await Config.updateConfig(updates);
+
+      const { totals } = await upload([['TX1', '100.00', reference]]);
+      expect(totals).toMatchObject({ credited: 0, unmatched: 1 });
+      const queued = await transfer('TX1');
+      expect(queued.toObject()).toMatchObject({ status: 'UNMATCHED', issue: 'Deposits are currently paused' });
+      expect(queued.userId).toBeUndefined();
+      expect(await available()).toBe('0');
+
+      await expect(BankTransferService.assignTransfer(treasury._id, queued._id, { userId: user._id }))
+        .rejects.toMatchObject({ statusCode: 503 });
+
+      await Config.updateConfig({ paused: { deposits: false, system: false } });
+      await BankTransferService.assignTransfer(treasury._id, queued._id, { userId: user._id });
+      expect(await available()).toBe('100');
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+const { ethers } = require('ethers');
+const memoryMongo = require('./support/memoryMongo');
+const config = require('../../config');
+const ChainService = require('../ChainService');
+const GovernanceIndexerService = require('../GovernanceIndexerService');
+const { ChainCheckpoint, ChainProposal, GovernanceEvent } = require('../../models');
+
+// Runs the indexer against a local Hardhat node from International-Credit-SC, deployed
+// with that project's own deploy script. MongoDB is replaced by the in-memory driver.
+// Skipped when International-Credit-SC has no node_modules.
+const SC_DIR = path.resolve(__dirname, '../../../../International-Credit-SC');
+const HARDHAT = path.join(SC_DIR, 'node_modules', '.bin', 'hardhat');
+// The deploy script's `localhost` network
+const RPC_URL = 'http://127.0.0.1:8545';
+const DEPLOYMENT_FILE = path.join(SC_DIR, 'deployments', 'localhost.json');
+
+const GOVERNANCE_WRITE_ABI = [
+  'function createProposal(string description) returns (uint256)',
+  'function vote(uint256 proposalId, bool support)',
+];
+
+const describeWithHardhat = fs.existsSync(HARDHAT) ? describe : describe.skip;
+
+const rpc = async (method, params = []) => {
+  const response = await fetch(RPC_URL, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  });
+  const { result, error } = await response.json();
+  if (error) {
+    throw new Error(error.message);
+  }
+  return result;
+};
+
+const waitForNode = async (node, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (node.exitCode !== null) {
+      throw new Error(`Hardhat node exited with code ${node.exitCode}`);
+    }
+    try {
+      return await rpc('eth_blockNumber');
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  throw new Error('Hardhat node did not start');
+};
+
+describeWithHardhat('GovernanceIndexerService on a Hardhat node', () => {
+  const blockchain = { ...config.blockchain };
+  let node;
+  let provider;
+  let actors;
+  let previousDeployment;
+
+  const send = async (actor, method, ...args) => {
+    const signer = await provider.getSigner(actor);
+    const governance = new ethers.Contract(ChainService.getAddress('GovernanceController'), GOVERNANCE_WRITE_ABI, signer);
+    const tx = await governance[method](...args);
+    return tx.wait();
+  };
+
+  beforeAll(async () => {
+    node = spawn(HARDHAT, ['node'], { cwd: SC_DIR, stdio: 'ignore' });
+    await waitForNode(node, 120000);
+
+    const [admin, investor, advisor, team, custodian] = await rpc('eth_accounts');
+    actors = { investor, advisor, team };
+
+    previousDeployment = fs.existsSync(DEPLOYMENT_FILE) ? fs.readFileSync(DEPLOYMENT_FILE) : null;
+    await promisify(execFile)(HARDHAT, ['run', 'scripts/deploy.ts', '--network', 'localhost'], {
+      cwd: SC_DIR,
+      env: {
+        ...process.env,
+        ADMIN_ADDRESS: admin,
+        INVESTOR_ADDRESS: investor,
+        ADVISOR_ADDRESS: advisor,
+        TEAM_ADDRESS: team,
+        CUSTODIAN_ADDRESS: custodian,
+      },
+      maxBuffer: 10 * 1024 * 1024,
+    });
+
+    Object.assign(config.blockchain, {
+      rpcUrl: RPC_URL,
+      deploymentFile: DEPLOYMENT_FILE,
+      confirmations: 0,
+      reorgDepth: 5,
+    });
+    // ethers caches eth_blockNumber for 250ms by default, which would hide the blocks
+    // this test has just mined
+    provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true, cacheTimeout: -1 });
+    ChainService.provider = provider;
+    ChainService.deployment = null;
+
+    memoryMongo.install();
+  }, 300000);
+
+  afterAll(async () => {
+    provider?.destroy();
+    ChainService.provider = null;
+    ChainService.deployment = null;
+    Object.assign(config.blockchain, blockchain);
+    memoryMongo.restore();
+
+    if (previousDeployment) {
+      fs.writeFileSync(DEPLOYMENT_FILE, previousDeployment);
+    } else if (fs.existsSync(DEPLOYMENT_FILE)) {
+      fs.unlinkSync(DEPLOYMENT_FILE);
+    }
+
+    if (node && node.exitCode === null) {
+      const exited = new Promise(resolve => node.once('exit', resolve));
+      node.kill();
+      await exited;
+    }
+  });
+
+  it('indexes proposals and votes from the deployment block and resumes from its checkpoint', async () => {
+    await send(actors.investor, 'createProposal', 'Raise the reserve ratio');
+    await send(actors.advisor, 'vote', 0, true);
+
+    const first = await GovernanceIndexerService.sync();
+    expect(first.fromBlock).toBe(ChainService.getDeployment().deploymentBlock);
+    expect(first.processed).toBe(2);
+    expect(first.caughtUp).toBe(true);
+
+    const proposal = await ChainProposal.findOne({ proposalId: 0 });
+    expect(proposal.description).toBe('Raise the reserve ratio');
+    expect(proposal.proposer).toBe(actors.investor.toLowerCase());
+    expect(proposal.forVotes).toBe(1);
+    expect(proposal.votes[0].voter).toBe(actors.advisor.toLowerCase());
+    expect(proposal.blockchainStatus).toBe('SYNCED');
+    expect(proposal.votingDeadline).toBeInstanceOf(Date);
+
+    const second = await GovernanceIndexerService.sync();
+    expect(second.fromBlock).toBe(first.toBlock + 1);
+    expect(second.processed).toBe(0);
+
+    const { proposals, blockchain: status } = await GovernanceIndexerService.getProposals(null);
+    expect(proposals.map(p => p.proposalId)).toEqual([0]);
+    expect(status.lastIndexedBlock).toBe(first.toBlock);
+    expect(status).not.toHaveProperty('rpcUrl');
+  });
+
+  it('rolls back events from blocks a reorg replaced and re-reads the canonical chain', async () => {
+    const snapshot = await rpc('evm_snapshot');
+
+    await send(actors.investor, 'createProposal', 'Cut the transfer fee');
+    await send(actors.advisor, 'vote', 1, false);
+    await GovernanceIndexerService.sync();
+    expect((await ChainProposal.findOne({ proposalId: 1 })).description).toBe('Cut the transfer fee');
+
+    // Replace those blocks with a different history that ends higher
+    await rpc('evm_revert', [snapshot]);
+    await send(actors.team, 'createProposal', 'Add a fifth actor');
+    await rpc('evm_mine');
+    await rpc('evm_mine');
+
+    const result = await GovernanceIndexerService.sync();
+    expect(result.reorg).not.toBeNull();
+    expect(result.caughtUp).toBe(true);
+
+    const replaced = await ChainProposal.findOne({ proposalId: 1 });
+    expect(replaced.description).toBe('Add a fifth actor');
+    expect(replaced.proposer).toBe(actors.team.toLowerCase());
+    expect(replaced.totalVotes).toBe(0);
+    expect(await GovernanceEvent.countDocuments({ proposalId: 1 })).toBe(1);
+
+    // Events before the fork survive the rollback
+    expect((await ChainProposal.findOne({ proposalId: 0 })).forVotes).toBe(1);
+
+    const checkpoint = await ChainCheckpoint.findOne({ name: 'governance' });
+    expect(checkpoint.reorgCount).toBe(1);
+    expect(checkpoint.blockHash).toBe((await provider.getBlock(checkpoint.blockNumber)).hash);
+  });
+});
@@ -0,0 +1,322 @@
+const memoryMongo = require('./support/memoryMongo');
+const { createUser, openAccount, fund } = require('./support/fixtures');
+const config = require('../../config');
+const { User, Account, Balance, Hold, LedgerEntry } = require('../../models');
+const LedgerService = require('../LedgerService');
+const { Decimal, toDecimal, scaleOf } = require('../../utils/money');
+
+// Random multi-asset journals interleaved with full and partial reversals. The run is
+// deterministic for a seed; set LEDGER_PROPERTY_SEED to replay a failing one, and
+// LEDGER_PROPERTY_OPERATIONS for a longer run.
+const SEED = Number(process.env.LEDGER_PROPERTY_SEED) || 20240611;
+const OPERATIONS = Number(process.env.LEDGER_PROPERTY_OPERATIONS) || 2000;
+const ASSETS = Object.values(config.assets);
+const USERS_PER_ASSET = 12;
+
+// mulberry32
+const random = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+describe('LedgerService properties', () => {
+  const next = random(SEED);
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = items => items[int(0, items.length - 1)];
+  const shuffle = items => items
+    .map(item => ({ item, order: next() }))
+    .sort((a, b) => a.order - b.order)
+    .map(({ item }) => item);
+
+  // Up to a million units at a random number of the asset's decimal places
+  const amountIn = (asset) => {
+    const places = int(0, scaleOf(asset));
+    return new Decimal(int(1, 1000000)).shiftedBy(-places);
+  };
+
+  let admin;
+  const accountsByAsset = {};
+  // What every account should hold, kept beside the ledger
+  const expected = new Map();
+  const journals = [];
+
+  const apply = (entries) => {
+    for (const entry of entries) {
+      const key = entry.accountId.toString();
+      const net = toDecimal(entry.credit).minus(toDecimal(entry.debit));
+      expected.set(key, (expected.get(key) || new Decimal(0)).plus(net));
+    }
+  };
+
+  // Per asset, one side's legs are random and the other side's legs split their total
+  const randomJournal = () => {
+    const entries = [];
+    const meta = { type: config.transactionTypes.TRANSFER, description: 'Property test transfer' };
+    for (const asset of shuffle(ASSETS).slice(0, int(1, 3))) {
+      const accounts = shuffle(accountsByAsset[asset]).slice(0, int(2, 4));
+      const split = int(1, accounts.length - 1);
+      const [manySide, oneSide] = next() < 0.5 ? ['debit', 'credit'] : ['credit', 'debit'];
+
+      const legs = accounts.slice(0, split).map(account => ({ account, amount: amountIn(asset) }));
+      const total = legs.reduce((sum, leg) => sum.plus(leg.amount), new Decimal(0));
+      const rest = accounts.slice(split);
+      let remaining = total;
+      rest.forEach((account, i) => {
+        const share = i === rest.length - 1
+          ? remaining
+          : Decimal.max(remaining.times(next()).decimalPlaces(scaleOf(asset), Decimal.ROUND_DOWN), 0);
+        remaining = remaining.minus(share);
+        if (share.gt(0)) {
+          legs.push({ account, amount: share, side: oneSide });
+        }
+      });
+
+      for (const { account, amount, side = manySide } of legs) {
+        entries.push({ accountId: account._id, [side]: amount.toFixed(), meta });
+      }
+    }
+    return shuffle(entries);
+  };
+
+  // A debit and a credit of one asset reversed by the same amount, so it balances
+  const randomSelection = (chain) => {
+    const open = chain.entries.filter(entry => toDecimal(entry.reversible).gt(0));
+    const asset = pick(open).asset;
+    const debits = open.filter(entry => entry.asset === asset && entry.side === 'debit');
+    const credits = open.filter(entry => entry.asset === asset && entry.side === 'credit');
+    if (!debits.length || !credits.length) {
+      return undefined;
+    }
+
+    const debit = pick(debits);
+    const credit = pick(credits);
+    const most = Decimal.min(toDecimal(debit.reversible), toDecimal(credit.reversible));
+    const amount = most.times(next()).decimalPlaces(scaleOf(asset), Decimal.ROUND_DOWN);
+    if (!amount.gt(0)) {
+      return undefined;
+    }
+    return [
+      { entryId: debit.entryId, amount: amount.toFixed() },
+      { entryId: credit.entryId, amount: amount.toFixed() },
+    ];
+  };
+
+  beforeAll(async () => {
+    memoryMongo.install();
+
+    admin = await User.create({
+      fullName: 'Treasury Admin',
+      email: 'treasury@example.test',
+      password: 'Passw0rd!',
+      role: config.roles.ADMIN_TREASURY,
+    });
+    const users = [];
+    for (let i = 0; i < USERS_PER_ASSET; i += 1) {
+      users.push(await User.create({ fullName: `Holder ${i}`, email: `holder${i}@example.test`, password: 'Passw0rd!' }));
+    }
+
+    for (const asset of ASSETS) {
+      accountsByAsset[asset] = [await Account.create({ userId: admin._id, asset, accountType: 'SYSTEM' })];
+      for (const user of users) {
+        const account = await Account.create({ userId: user._id, asset, accountType: 'USER' });
+        await LedgerService.updateBalance(account._id);
+        accountsByAsset[asset].push(account);
+      }
+    }
+  });
+
+  afterAll(() => {
+    memoryMongo.restore();
+  });
+
+  it(`keeps every asset netting to zero across ${OPERATIONS} journals and reversals (seed ${SEED})`, async () => {
+    try {
+      for (let i = 0; i < OPERATIONS; i += 1) {
+        const reversible = journals.filter(journal => !journal.fullyReversed);
+        if (reversible.length && next() < 0.3) {
+          const journal = pick(reversible);
+          const chain = await LedgerService.getReversalChain(journal.journalId);
+          const selection = next() < 0.5 ? randomSelection(chain) : undefined;
+
+          const { entries } = LedgerService.buildReversalEntries(chain, 'Property test', selection);
+          await LedgerService.reverseTransaction(admin._id, journal.journalId, 'Property test', {}, selection);
+          apply(entries);
+
+          const after = await LedgerService.getReversalChain(journal.journalId);
+          journal.fullyReversed = after.status === 'FULLY_REVERSED';
+          expect(after.entries.every(entry => toDecimal(entry.reversible).gte(0))).toBe(true);
+        } else {
+          const entries = randomJournal();
+          const { journalId } = await LedgerService.createJournal(entries, {
+            transactionType: config.transactionTypes.TRANSFER,
+          });
+          apply(entries);
+          journals.push({ journalId, fullyReversed: false });
+        }
+      }
+
+      // Debits equal credits within each asset
+      const accounts = await Account.find({});
+      const assetOf = new Map(accounts.map(account => [account._id.toString(), account.asset]));
+      const totals = await LedgerEntry.aggregate([
+        { $group: { _id: '$accountId', debits: { $sum: '$debit' }, credits: { $sum: '$credit' } } },
+      ]);
+      const netByAsset = {};
+      for (const { _id, debits, credits } of totals) {
+        const asset = assetOf.get(_id.toString());
+        netByAsset[asset] = (netByAsset[asset] || new Decimal(0)).plus(toDecimal(credits)).minus(toDecimal(debits));
+      }
+      for (const asset of ASSETS) {
+        expect(`${asset} ${(netByAsset[asset] || new Decimal(0)).toFixed()}`).toBe(`${asset} 0`);
+      }
+
+      // Cached balances match both the ledger and the independently kept totals
+      for (const account of accounts) {
+        const key = account._id.toString();
+        const balance = await Balance.findOne({ accountId: account._id });
+        const want = (expected.get(key) || new Decimal(0)).toFixed();
+        expect(`${key} ${toDecimal(balance && balance.available).toFixed()}`).toBe(`${key} ${want}`);
+        expect(`${key} ${(await LedgerService.calculateBalanceFromLedger(account._id)).toFixed()}`).toBe(`${key} ${want}`);
+      }
+
+      const invariants = await LedgerService.checkInvariants();
+      expect(invariants.unbalancedJournals).toEqual([]);
+      expect(invariants.healthy).toBe(true);
+      expect(journals.some(journal => journal.fullyReversed)).toBe(true);
+    } catch (error) {
+      // The seed is what reproduces a failure
+      error.message = `${error.message}\n\nReplay with LEDGER_PROPERTY_SEED=${SEED} LEDGER_PROPERTY_OPERATIONS=${OPERATIONS}`;
+      throw error;
+    }
+  }, 600000);
+});
+
+describe('LedgerService holds', () => {
+  let account;
+  let payee;
+
+  const balance = async () => {
+    const { available, pending, total } = await Balance.findOne({ accountId: account._id });
+    return {
+      available: toDecimal(available).toFixed(),
+      pending: toDecimal(pending).toFixed(),
+      total: toDecimal(total).toFixed(),
+    };
+  };
+
+  const hold = (amount, options = {}) => LedgerService.authorizeHold(account._id, amount, {
+    type: config.transactionTypes.TRANSFER,
+    reference: 'hold-test',
+    ...options,
+  });
+
+  const payment = (amount) => {
+    const meta = { type: config.transactionTypes.TRANSFER, description: 'Held payment' };
+    return [
+      { accountId: account._id, debit: amount, meta },
+      { accountId: payee._id, credit: amount, meta },
+    ];
+  };
+
+  beforeAll(() => {
+    memoryMongo.install();
+  });
+
+  afterAll(() => {
+    memoryMongo.restore();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    account = await openAccount((await createUser())._id);
+    payee = await openAccount((await createUser())._id);
+    await fund(account, 500);
+  });
+
+  afterEach(async () => {
+    const invariants = await LedgerService.checkInvariants();
+    expect(invariants.healthy).toBe(true);
+  });
+
+  it('moves held funds from available to pending until they are released', async () => {
+    const { _id } = await hold('200');
+    expect(await balance()).toEqual({ available: '300', pending: '200', total: '500' });
+
+    const released = await LedgerService.releaseHold(_id, 'No longer needed');
+    expect(released.status).toBe('RELEASED');
+    expect(await balance()).toEqual({ available: '500', pending: '0', total: '500' });
+
+    await expect(LedgerService.releaseHold(_id, 'Again')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('refuses a hold above the available balance, counting funds already held', async () => {
+    await hold('300');
+
+    await expect(hold('300')).rejects.toMatchObject({ statusCode: 400, message: 'Insufficient balance' });
+    expect(await Hold.countDocuments({})).toBe(1);
+    expect(await balance()).toEqual({ available: '200', pending: '300', total: '500' });
+  });
+
+  it('refuses a hold on a frozen account', async () => {
+    await Account.updateOne({ _id: account._id }, { status: 'FROZEN' });
+
+    await expect(hold('100')).rejects.toMatchObject({ statusCode: 400 });
+    expect(await Hold.countDocuments({})).toBe(0);
+  });
+
+  it('captures part of a hold and releases the rest on the final capture', async () => {
+    const { _id } = await hold('200');
+
+    await LedgerService.captureHold(_id, payment('50'), { transactionType: config.transactionTypes.TRANSFER }, { final: false });
+    expect(await Hold.findById(_id)).toMatchObject({ status: 'ACTIVE', capturedAmount: '50', remaining: '150' });
+    expect(await balance()).toEqual({ available: '300', pending: '150', total: '450' });
+
+    await LedgerService.captureHold(_id, payment('70'), { transactionType: config.transactionTypes.TRANSFER });
+    expect(await Hold.findById(_id)).toMatchObject({ status: 'CAPTURED', capturedAmount: '120', remaining: '0' });
+    expect(await balance()).toEqual({ available: '380', pending: '0', total: '380' });
+  });
+
+  it('posts nothing when a capture is replayed or exceeds what remains', async () => {
+    const { _id } = await hold('100');
+
+    await expect(LedgerService.captureHold(_id, payment('150'))).rejects.toMatchObject({ statusCode: 400 });
+    expect((await Hold.findById(_id)).status).toBe('ACTIVE');
+    expect(await LedgerEntry.countDocuments({ accountId: payee._id })).toBe(0);
+
+    await LedgerService.captureHold(_id, payment('100'));
+    await expect(LedgerService.captureHold(_id, payment('100'))).rejects.toMatchObject({ statusCode: 409 });
+    expect(await LedgerEntry.countDocuments({ accountId: payee._id })).toBe(1);
+    expect(await balance()).toEqual({ available: '400', pending: '0', total: '400' });
+  });
+
+  it('releases the hold when the journal posted against it fails', async () => {
+    await Account.updateOne({ _id: payee._id }, { status: 'CLOSED' });
+
+    await expect(LedgerService.createJournalWithHold(account._id, '100', payment('100'), {
+      transactionType: config.transactionTypes.TRANSFER,
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    const [released] = await Hold.find({});
+    expect(released.status).toBe('RELEASED');
+    expect(released.releaseReason).toMatch(/^Journal failed/);
+    expect(await balance()).toEqual({ available: '500', pending: '0', total: '500' });
+  });
+
+  it('expires holds past their expiry and leaves the others', async () => {
+    const expired = await hold('100', { expiresAt: new Date(Date.now() - 1000) });
+    const current = await hold('100');
+
+    expect(await LedgerService.expireHolds()).toEqual({ expired: 1 });
+    expect((await Hold.findById(expired._id)).status).toBe('EXPIRED');
+    expect((await Hold.findById(current._id)).status).toBe('ACTIVE');
+    expect(await balance()).toEqual({ available: '400', pending: '100', total: '500' });
+
+    await LedgerService.releaseHold(current._id, 'Done');
+  });
+});
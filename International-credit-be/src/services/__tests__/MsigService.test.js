@@ -0,0 +1,84 @@
+const memoryMongo = require('./support/memoryMongo');
+const config = require('../../config');
+const { User, Config, MsigAction } = require('../../models');
+const MsigService = require('../MsigService');
+
+// CONFIG_UPDATE runs Config.updateConfig, which has no role check of its own, so only an
+// ADMIN_SUPER signer may execute it however many other admins approve
+describe('MsigService CONFIG_UPDATE', () => {
+  const updates = { paused: { withdrawals: true } };
+  let compliance;
+  let treasury;
+
+  const admin = (role, name) => User.create({
+    fullName: name,
+    email: `${name.toLowerCase().replace(/\s+/g, '.')}@example.test`,
+    password: 'Passw0rd!',
+    role,
+  });
+
+  const propose = by => MsigService.createAction(by._id, {
+    type: config.msigActionTypes.CONFIG_UPDATE,
+    payload: { updates, reason: 'Pause withdrawals' },
+  });
+
+  beforeAll(() => {
+    memoryMongo.install();
+  });
+
+  afterAll(() => {
+    memoryMongo.restore();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    compliance = await admin(config.roles.ADMIN_COMPLIANCE, 'Compliance Admin');
+    treasury = await admin(config.roles.ADMIN_TREASURY, 'Treasury Admin');
+  });
+
+  it('refuses the approval of two non-super admins and leaves the config alone', async () => {
+    await admin(config.roles.ADMIN_SUPER, 'Super Admin');
+    const action = await propose(compliance);
+
+    await expect(MsigService.approveAction(treasury._id, action._id, 'Agreed'))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const pending = await MsigAction.findById(action._id);
+    expect(pending.status).toBe('PENDING');
+    expect(pending.approvals).toHaveLength(1);
+    expect((await Config.getConfig()).paused.withdrawals).toBe(false);
+  });
+
+  it('refuses to create the action when there is no super admin to sign it', async () => {
+    await expect(propose(compliance)).rejects.toMatchObject({ statusCode: 403 });
+    expect(await MsigAction.countDocuments({})).toBe(0);
+  });
+
+  it('fails an action that reaches execution without a super admin signer', async () => {
+    const superAdmin = await admin(config.roles.ADMIN_SUPER, 'Super Admin');
+    const action = await propose(compliance);
+    await User.updateOne({ _id: superAdmin._id }, { isActive: false });
+    await MsigAction.updateOne(
+      { _id: action._id },
+      { $push: { approvals: { adminId: treasury._id, role: treasury.role, reason: 'Agreed' } } }
+    );
+
+    await expect(MsigService.executeAction(action._id, treasury))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const failed = await MsigAction.findById(action._id);
+    expect(failed.status).toBe('FAILED');
+    expect(failed.executionResult.success).toBe(false);
+    expect((await Config.getConfig()).paused.withdrawals).toBe(false);
+  });
+
+  it('executes once a super admin signs', async () => {
+    const superAdmin = await admin(config.roles.ADMIN_SUPER, 'Super Admin');
+    const action = await propose(compliance);
+
+    const executed = await MsigService.approveAction(superAdmin._id, action._id, 'Agreed');
+    expect(executed.status).toBe('EXECUTED');
+    expect(executed.executedBy.toString()).toBe(superAdmin._id.toString());
+    expect((await Config.getConfig()).paused.withdrawals).toBe(true);
+  });
+});
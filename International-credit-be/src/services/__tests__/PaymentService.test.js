@@ -0,0 +1,372 @@
+const express = require('express');
+const request = require('supertest');
+const memoryMongo = require('./support/memoryMongo');
+const config = require('../../config');
+const { User, Account, Balance, Config, DepositQuote, Payment, Hold } = require('../../models');
+const LedgerService = require('../LedgerService');
+const PaymentService = require('../PaymentService');
+const FakePaymentProvider = require('../paymentProviders/FakePaymentProvider');
+const paymentRoutes = require('../../routes/payments');
+const { globalErrorHandler } = require('../../middleware/errorHandler');
+const { signToken } = require('../../utils/jwt');
+const { toDecimal } = require('../../utils/money');
+
+// Card deposits through the fake provider: each scripted event goes through
+// POST /payments/fake/events, which signs it and hands it to PaymentService.processWebhook
+describe('PaymentService webhooks', () => {
+  const payments = { ...config.payments };
+  const stripe = { ...config.stripe };
+  let app;
+  let user;
+  let token;
+  let account;
+
+  const deliver = async (paymentIntentId, event, options = {}) => {
+    const response = await request(app)
+      .post('/api/v1/payments/fake/events')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ paymentIntentId, event, ...options });
+    expect(response.status).toBe(200);
+    return response.body.data.results;
+  };
+
+  const deposit = async (amount = 100) => {
+    const { payment } = await PaymentService.createPaymentIntent(user._id, { amount, currency: 'USD' });
+    return payment;
+  };
+
+  const balanceOf = async (accountId) => {
+    const { total, available, pending } = await Balance.findOne({ accountId });
+    return { total, available, pending };
+  };
+
+  beforeAll(() => {
+    memoryMongo.install();
+    config.payments.provider = 'fake';
+    config.stripe.webhookSecret = 'whsec_test';
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/payments', paymentRoutes);
+    app.use(globalErrorHandler);
+  });
+
+  afterAll(() => {
+    Object.assign(config.payments, payments);
+    Object.assign(config.stripe, stripe);
+    memoryMongo.restore();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    FakePaymentProvider.reset();
+
+    const treasury = await User.create({ fullName: 'Treasury', email: 'treasury@example.test', password: 'Passw0rd!' });
+    await Account.create({ userId: treasury._id, asset: config.assets.UC, accountType: 'SYSTEM' });
+
+    user = await User.create({ fullName: 'Dana Buyer', email: 'dana@example.test', password: 'Passw0rd!' });
+    account = await Account.create({ userId: user._id, asset: config.assets.UC, accountType: 'USER' });
+    await LedgerService.updateBalance(account._id);
+    token = signToken({ id: user._id });
+  });
+
+  afterEach(async () => {
+    const invariants = await LedgerService.checkInvariants();
+    expect(invariants.healthy).toBe(true);
+  });
+
+  it('credits the deposit once however often the succeeded event is delivered', async () => {
+    const payment = await deposit();
+
+    const results = await deliver(payment.stripePaymentIntentId, 'succeeded', { deliveries: 3 });
+    expect(results[0]).toMatchObject({ processed: true, ucAmount: payment.ucAmount });
+    expect(results.slice(1)).toEqual([
+      { processed: true, reason: 'Already processed' },
+      { processed: true, reason: 'Already processed' },
+    ]);
+
+    const credited = await Payment.findById(payment._id);
+    expect(credited.status).toBe('SUCCEEDED');
+    expect(credited.linkedJournalId).toBeDefined();
+    expect((await balanceOf(account._id)).available).toBe(payment.ucAmount);
+  });
+
+  it('credits UC only through the provider webhook, with no mock endpoints to bypass it', async () => {
+    for (const path of ['/api/v1/payments/mock/intent', '/api/v1/payments/mock/confirm']) {
+      const response = await request(app)
+        .post(path)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: 100, currency: 'USD' });
+      expect(response.status).toBe(404);
+    }
+    expect(await Payment.countDocuments({})).toBe(0);
+    expect((await balanceOf(account._id)).total).toBe('0');
+  });
+
+  it('fails a pending payment without crediting it', async () => {
+    const payment = await deposit();
+
+    const [result] = await deliver(payment.stripePaymentIntentId, 'failed', { message: 'Insufficient funds' });
+    expect(result).toEqual({ processed: true, status: 'FAILED' });
+
+    const failed = await Payment.findById(payment._id);
+    expect(failed.status).toBe('FAILED');
+    expect(failed.metadata.failureReason).toBe('Insufficient funds');
+    expect((await balanceOf(account._id)).total).toBe('0');
+  });
+
+  it('ignores failed and canceled events that arrive after the payment was credited', async () => {
+    const payment = await deposit();
+    await deliver(payment.stripePaymentIntentId, 'succeeded');
+
+    const [failed] = await deliver(payment.stripePaymentIntentId, 'failed');
+    const [canceled] = await deliver(payment.stripePaymentIntentId, 'canceled');
+    expect(failed).toEqual({ processed: false, reason: 'Payment is already succeeded' });
+    expect(canceled).toEqual({ processed: false, reason: 'Payment is already succeeded' });
+
+    const credited = await Payment.findById(payment._id);
+    expect(credited.status).toBe('SUCCEEDED');
+    expect(credited.events.map(e => e.type)).not.toContain('payment_intent.payment_failed');
+    expect((await balanceOf(account._id)).available).toBe(payment.ucAmount);
+  });
+
+  it('claws back the UC of a refund made in the Stripe dashboard', async () => {
+    const payment = await deposit();
+    await deliver(payment.stripePaymentIntentId, 'succeeded');
+    const charged = toDecimal(payment.fiatAmount);
+
+    const [partial] = await deliver(payment.stripePaymentIntentId, 'refunded', { amount: charged.div(4).toNumber() });
+    expect(partial).toMatchObject({ processed: true, status: 'PARTIALLY_REFUNDED' });
+    const { available } = await balanceOf(account._id);
+    expect(toDecimal(available).gt(0)).toBe(true);
+    expect(toDecimal(available).lt(payment.ucAmount)).toBe(true);
+
+    const [rest] = await deliver(payment.stripePaymentIntentId, 'refunded');
+    expect(rest).toMatchObject({ processed: true, status: 'REFUNDED' });
+    expect((await balanceOf(account._id)).total).toBe('0');
+  });
+
+  it('holds disputed UC and releases it when the dispute is won', async () => {
+    const payment = await deposit();
+    await deliver(payment.stripePaymentIntentId, 'succeeded');
+
+    const [opened] = await deliver(payment.stripePaymentIntentId, 'dispute.created', { deliveries: 2 });
+    expect(opened).toEqual({ processed: true, status: 'DISPUTED' });
+
+    const disputed = await Payment.findById(payment._id);
+    const hold = await Hold.findById(disputed.dispute.holdId);
+    expect(hold.status).toBe('ACTIVE');
+    expect(hold.amount).toBe(payment.ucAmount);
+    expect(await Hold.countDocuments({ accountId: account._id })).toBe(1);
+    expect(await balanceOf(account._id)).toMatchObject({ available: '0', pending: payment.ucAmount });
+
+    const [closed] = await deliver(payment.stripePaymentIntentId, 'dispute.closed', { status: 'won' });
+    expect(closed).toEqual({ processed: true, status: 'SUCCEEDED', outcome: 'WON' });
+    expect((await Hold.findById(hold._id)).status).toBe('RELEASED');
+    expect((await balanceOf(account._id)).available).toBe(payment.ucAmount);
+  });
+
+  it('claws back a lost dispute, booking what the user already spent to their receivable', async () => {
+    const payment = await deposit();
+    await deliver(payment.stripePaymentIntentId, 'succeeded');
+
+    // Spend 30 UC before the dispute arrives
+    const systemAccount = await Account.findOne({ accountType: 'SYSTEM', asset: config.assets.UC });
+    const meta = { type: config.transactionTypes.TRANSFER, description: 'Spent' };
+    await LedgerService.createJournal([
+      { accountId: account._id, debit: '30', meta },
+      { accountId: systemAccount._id, credit: '30', meta },
+    ]);
+
+    await deliver(payment.stripePaymentIntentId, 'dispute.created');
+    const spendable = toDecimal(payment.ucAmount).minus(30).toFixed();
+    const { dispute } = await Payment.findById(payment._id);
+    expect(dispute.heldAmount).toBe(spendable);
+
+    const [withdrawn] = await deliver(payment.stripePaymentIntentId, 'dispute.funds_withdrawn', { deliveries: 2 });
+    expect(withdrawn).toEqual({ processed: true, status: 'DISPUTED' });
+
+    const clawedBack = await Payment.findById(payment._id);
+    expect(clawedBack.dispute.fromBalance).toBe(spendable);
+    expect(clawedBack.dispute.receivable).toBe('30');
+    expect((await Hold.findById(dispute.holdId)).status).toBe('CAPTURED');
+    expect((await balanceOf(account._id)).total).toBe('0');
+
+    const receivable = await Account.findOne({ userId: user._id, accountType: 'RECEIVABLE' });
+    expect((await balanceOf(receivable._id)).total).toBe('-30');
+
+    const [lost] = await deliver(payment.stripePaymentIntentId, 'dispute.closed', { status: 'lost' });
+    expect(lost).toEqual({ processed: true, status: 'CHARGED_BACK', outcome: 'LOST' });
+    expect((await balanceOf(account._id)).total).toBe('0');
+  });
+
+  describe('admin refunds', () => {
+    let admin;
+
+    const credited = async () => {
+      const payment = await deposit();
+      await deliver(payment.stripePaymentIntentId, 'succeeded');
+      return Payment.findById(payment._id);
+    };
+
+    const refund = (payment, fields = {}) => PaymentService.refundPayment(admin._id, payment._id, {
+      reason: 'Customer request',
+      ...fields,
+    });
+
+    beforeEach(async () => {
+      admin = await User.create({
+        fullName: 'Treasury Admin',
+        email: 'treasury-admin@example.test',
+        password: 'Passw0rd!',
+        role: config.roles.ADMIN_TREASURY,
+      });
+    });
+
+    it('refunds in parts, clawing back each part once', async () => {
+      const payment = await credited();
+      const part = PaymentService.ucForFiat(payment, 40);
+
+      const first = await refund(payment, { amount: 40 });
+      expect(first.payment.status).toBe('PARTIALLY_REFUNDED');
+      expect(first.refund).toMatchObject({ status: 'SUCCEEDED', ucAmount: part.toFixed(), receivable: '0' });
+
+      // Stripe reports our own refund back as charge.refunded; it carries the refundId and is skipped
+      const replayed = await PaymentService.handleChargeRefunded(FakePaymentProvider.getCharge(payment.stripePaymentIntentId));
+      expect(replayed).toEqual({ processed: true, reason: 'Already processed' });
+      expect((await balanceOf(account._id)).total).toBe(toDecimal(payment.ucAmount).minus(part).toFixed());
+
+      const rest = await refund(payment);
+      expect(rest.payment.status).toBe('REFUNDED');
+      expect((await balanceOf(account._id)).total).toBe('0');
+
+      await expect(refund(payment, { amount: 1 })).rejects.toMatchObject({ statusCode: 409 });
+      expect((await Payment.findById(payment._id)).refunds).toHaveLength(2);
+    });
+
+    it('refuses a refund above what is left of the payment', async () => {
+      const payment = await credited();
+
+      await expect(refund(payment, { amount: toDecimal(payment.fiatAmount).plus(1).toFixed(2) }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect((await Payment.findById(payment._id)).refunds).toHaveLength(0);
+      expect((await balanceOf(account._id)).available).toBe(payment.ucAmount);
+    });
+
+    it('refuses refunds by admins outside treasury', async () => {
+      const payment = await credited();
+      const compliance = await User.create({
+        fullName: 'Compliance Admin',
+        email: 'compliance-admin@example.test',
+        password: 'Passw0rd!',
+        role: config.roles.ADMIN_COMPLIANCE,
+      });
+
+      await expect(PaymentService.refundPayment(compliance._id, payment._id, { reason: 'Customer request' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect((await Payment.findById(payment._id)).status).toBe('SUCCEEDED');
+    });
+
+    it('records a refund Stripe declines as failed without clawing anything back', async () => {
+      const payment = await credited();
+      FakePaymentProvider.failNextRefund();
+
+      await expect(refund(payment)).rejects.toMatchObject({ statusCode: 500 });
+      const declined = await Payment.findById(payment._id);
+      expect(declined.status).toBe('SUCCEEDED');
+      expect(declined.refunds[0]).toMatchObject({ status: 'FAILED', error: 'Refund declined by the card issuer' });
+      expect((await balanceOf(account._id)).available).toBe(payment.ucAmount);
+
+      // A failed refund does not count against what is left to refund
+      expect((await refund(payment)).payment.status).toBe('REFUNDED');
+    });
+
+    it('books UC the user already spent to their receivable', async () => {
+      const payment = await credited();
+      const systemAccount = await Account.findOne({ accountType: 'SYSTEM', asset: config.assets.UC });
+      const meta = { type: config.transactionTypes.TRANSFER, description: 'Spent' };
+      await LedgerService.createJournal([
+        { accountId: account._id, debit: '30', meta },
+        { accountId: systemAccount._id, credit: '30', meta },
+      ]);
+
+      const { refund: refunded } = await refund(payment);
+      expect(refunded).toMatchObject({
+        fromBalance: toDecimal(payment.ucAmount).minus(30).toFixed(),
+        receivable: '30',
+      });
+      expect((await balanceOf(account._id)).total).toBe('0');
+
+      const receivable = await Account.findOne({ userId: user._id, accountType: 'RECEIVABLE' });
+      expect((await balanceOf(receivable._id)).total).toBe('-30');
+    });
+  });
+
+  describe('deposit quotes', () => {
+    const quote = (fiatAmount = 100, fiatCurrency = 'USD') => PaymentService.createQuote(user._id, { fiatAmount, fiatCurrency });
+
+    const intent = (quoteId, fields = {}) => PaymentService.createPaymentIntent(user._id, { quoteId, ...fields });
+
+    it('prices a deposit from the Config rates and fees, and pays it once', async () => {
+      const quoted = await quote(100, 'EUR');
+      expect(quoted).toMatchObject({ fiatAmount: '100', fiatCurrency: 'EUR', exchangeRate: '1.08' });
+      expect(toDecimal(quoted.ucAmount).toFixed()).toBe('108');
+      expect(toDecimal(quoted.totalAmount).eq(toDecimal(quoted.fiatAmount).plus(quoted.fees.total))).toBe(true);
+
+      const { payment } = await intent(quoted.quoteId);
+      expect(payment.quoteId.toString()).toBe(quoted.quoteId.toString());
+      expect(payment.fiatCurrency).toBe('EUR');
+      expect(toDecimal(payment.fiatAmount).eq(quoted.totalAmount)).toBe(true);
+      expect(toDecimal(payment.ucAmount).eq(quoted.ucAmount)).toBe(true);
+
+      await expect(intent(quoted.quoteId)).rejects.toMatchObject({ statusCode: 409, message: 'Quote has already been used' });
+      expect(await Payment.countDocuments({})).toBe(1);
+    });
+
+    it('refuses an expired quote', async () => {
+      const { quoteId } = await quote();
+      await DepositQuote.updateOne({ _id: quoteId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      await expect(intent(quoteId)).rejects.toMatchObject({ statusCode: 409, message: 'Quote has expired' });
+      expect(await Payment.countDocuments({})).toBe(0);
+    });
+
+    it('refuses an amount or currency the quote was not made for, leaving it usable', async () => {
+      const { quoteId } = await quote();
+
+      await expect(intent(quoteId, { amount: 150 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(intent(quoteId, { currency: 'GBP' })).rejects.toMatchObject({ statusCode: 400 });
+      expect((await intent(quoteId, { amount: 100, currency: 'USD' })).payment.status).toBe('PENDING');
+    });
+
+    it('refuses a quote made for another user', async () => {
+      const { quoteId } = await quote();
+      const other = await User.create({ fullName: 'Lee Other', email: 'lee@example.test', password: 'Passw0rd!' });
+
+      await expect(PaymentService.createPaymentIntent(other._id, { quoteId })).rejects.toMatchObject({ statusCode: 404 });
+      expect((await DepositQuote.findById(quoteId)).usedAt).toBeUndefined();
+    });
+
+    it('lets the user retry a quote after the card is declined', async () => {
+      const { quoteId } = await quote();
+
+      await expect(intent(quoteId, { paymentMethodId: 'pm_card_chargeDeclined' })).rejects.toMatchObject({ statusCode: 500 });
+      expect((await DepositQuote.findById(quoteId)).usedAt).toBeUndefined();
+      expect(await Payment.countDocuments({})).toBe(0);
+
+      expect((await intent(quoteId)).payment.quoteId.toString()).toBe(quoteId.toString());
+    });
+
+    it.each([
+      ['deposits', { paused: { deposits: true } }],
+      ['the whole system', { paused: { system: true } }],
+    ])('refuses payment intents while %s is paused, without using the quote', async (label, updates) => {
+      const { quoteId } = await quote();
+      await Config.updateConfig(updates);
+
+      await expect(intent(quoteId)).rejects.toMatchObject({ statusCode: 503, message: 'Deposits are currently paused' });
+      expect((await DepositQuote.findById(quoteId)).usedAt).toBeUndefined();
+      expect(await Payment.countDocuments({})).toBe(0);
+    });
+  });
+});
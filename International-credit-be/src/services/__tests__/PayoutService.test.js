@@ -0,0 +1,171 @@
+const memoryMongo = require('./support/memoryMongo');
+const { createUser, openAccount, systemAccount } = require('./support/fixtures');
+const config = require('../../config');
+const { Account, Config, LedgerEntry, PayoutBatch } = require('../../models');
+const LedgerService = require('../LedgerService');
+const PayoutService = require('../PayoutService');
+const { toDecimal } = require('../../utils/money');
+
+// Batches are paid from the UC SYSTEM account; no FEE account is opened, so rows carry no fee
+describe('PayoutService', () => {
+  let uploader;
+  let approver;
+  let recipients;
+  let system;
+
+  const upload = (mode = 'ATOMIC', fields = {}) => PayoutService.createBatch(uploader._id, {
+    asset: config.assets.UC,
+    description: 'Creator rewards',
+    mode,
+    rows: recipients.map(({ user }, index) => ({ recipient: user.email, amount: String(10 * (index + 1)) })),
+    ...fields,
+  });
+
+  const approved = async (mode, fields) => {
+    const batch = await upload(mode, fields);
+    return PayoutService.approveBatch(approver._id, batch._id, 'Checked against the campaign sheet');
+  };
+
+  const available = async ({ user }) => {
+    const { available: amount } = await LedgerService.getBalance(user._id, config.assets.UC);
+    return toDecimal(amount).toFixed();
+  };
+
+  const journals = async () => (await LedgerEntry.distinct('journalId', { accountId: system._id })).length;
+
+  beforeAll(() => {
+    memoryMongo.install();
+  });
+
+  afterAll(() => {
+    memoryMongo.restore();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    uploader = await createUser({ role: config.roles.ADMIN_TREASURY });
+    approver = await createUser({ role: config.roles.ADMIN_TREASURY });
+    system = await systemAccount();
+    recipients = [];
+    for (let index = 0; index < 3; index += 1) {
+      const user = await createUser();
+      recipients.push({ user, account: await openAccount(user._id) });
+    }
+  });
+
+  afterEach(async () => {
+    const invariants = await LedgerService.checkInvariants();
+    expect(invariants.healthy).toBe(true);
+  });
+
+  describe('approval', () => {
+    it('refuses approval by the admin who uploaded the batch', async () => {
+      const batch = await upload();
+
+      await expect(PayoutService.approveBatch(uploader._id, batch._id))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Cannot approve your own payout batch' });
+      expect((await PayoutBatch.findById(batch._id)).status).toBe('PENDING_APPROVAL');
+    });
+
+    it('refuses approval by an admin the batch pays', async () => {
+      await openAccount(approver._id);
+      const batch = await upload('ATOMIC', { rows: [{ recipient: approver.email, amount: '10' }] });
+
+      await expect(PayoutService.approveBatch(approver._id, batch._id))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Cannot approve a payout batch that pays you' });
+    });
+
+    it('refuses an atomic batch with invalid rows', async () => {
+      const batch = await upload('ATOMIC', {
+        rows: [{ recipient: recipients[0].user.email, amount: '10' }, { recipient: 'nobody@example.test', amount: '10' }],
+      });
+      expect(batch.totals).toMatchObject({ validRows: 1, invalidRows: 1 });
+
+      await expect(PayoutService.approveBatch(approver._id, batch._id)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('processing', () => {
+    it('pays an atomic batch in one journal, once', async () => {
+      const batch = await approved('ATOMIC');
+
+      expect(await PayoutService.processApprovedBatches()).toEqual({ completed: 1, partial: 0, failed: 0 });
+      expect(await PayoutService.processApprovedBatches()).toEqual({ completed: 0, partial: 0, failed: 0 });
+      await expect(PayoutService.processBatch(batch._id)).rejects.toMatchObject({ statusCode: 409 });
+
+      const completed = await PayoutBatch.findById(batch._id);
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.totals).toMatchObject({ paidRows: 3, paidAmount: '60' });
+      expect(await journals()).toBe(1);
+      expect(await Promise.all(recipients.map(available))).toEqual(['10', '20', '30']);
+    });
+
+    it('pays nothing from an atomic batch when a recipient fails screening after approval', async () => {
+      const batch = await approved('ATOMIC');
+      await Account.updateOne({ _id: recipients[1].account._id }, { status: 'CLOSED' });
+
+      expect(await PayoutService.processApprovedBatches()).toMatchObject({ failed: 1 });
+      expect((await PayoutBatch.findById(batch._id)).totals.paidRows).toBe(0);
+      expect(await journals()).toBe(0);
+      expect(await available(recipients[0])).toBe('0');
+    });
+
+    it('pays the other chunks of a chunked batch when one recipient fails screening', async () => {
+      const batch = await approved('CHUNKED', { chunkSize: 1 });
+      await recipients[1].user.updateOne({ kycStatus: config.kycStatus.REJECTED });
+
+      expect(await PayoutService.processApprovedBatches()).toMatchObject({ partial: 1 });
+
+      const partial = await PayoutBatch.findById(batch._id);
+      expect(partial.totals).toMatchObject({ paidRows: 2, failedRows: 1, paidAmount: '40' });
+      expect(partial.rows[1].issues).toEqual(['The recipient has not completed KYC verification']);
+      expect(await journals()).toBe(2);
+      expect(await Promise.all(recipients.map(available))).toEqual(['10', '0', '30']);
+    });
+
+    it('picks up a chunk posted before a crash instead of paying it twice', async () => {
+      const batch = await approved('CHUNKED', { chunkSize: 2 });
+      await PayoutService.processBatch(batch._id);
+      const paid = await PayoutBatch.findById(batch._id);
+
+      // A worker that posted both chunks but died before recording them, its lease run out
+      await PayoutBatch.updateOne({ _id: batch._id }, {
+        $set: {
+          status: 'PROCESSING',
+          lockedUntil: new Date(Date.now() - 1000),
+          rows: paid.rows.map(row => ({ ...row.toObject(), status: 'VALID', journalId: undefined })),
+        },
+      });
+
+      expect(await PayoutService.processApprovedBatches()).toMatchObject({ completed: 1 });
+
+      const resumed = await PayoutBatch.findById(batch._id);
+      expect(resumed.rows.map(row => row.journalId.toString())).toEqual(paid.rows.map(row => row.journalId.toString()));
+      expect(await journals()).toBe(2);
+      expect(await Promise.all(recipients.map(available))).toEqual(['10', '20', '30']);
+    });
+
+    it('leaves a batch that is still leased to another worker alone', async () => {
+      const batch = await approved('ATOMIC');
+      await PayoutService.claimBatch(batch._id);
+
+      expect(await PayoutService.processApprovedBatches()).toEqual({ completed: 0, partial: 0, failed: 0 });
+      expect((await PayoutBatch.findById(batch._id)).status).toBe('PROCESSING');
+      expect(await journals()).toBe(0);
+    });
+  });
+
+  describe('while transfers are paused', () => {
+    it.each([
+      ['transfers', { paused: { transfers: true } }],
+      ['the whole system', { paused: { system: true } }],
+    ])('holds approved batches back when %s is paused', async (label, updates) => {
+      const batch = await approved('ATOMIC');
+      await Config.updateConfig(updates);
+
+      expect(await PayoutService.processApprovedBatches()).toEqual({ skipped: true, reason: 'Transfers are paused' });
+      expect((await PayoutBatch.findById(batch._id)).status).toBe('APPROVED');
+      expect(await journals()).toBe(0);
+    });
+  });
+});
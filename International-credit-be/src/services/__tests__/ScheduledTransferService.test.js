@@ -0,0 +1,181 @@
+const memoryMongo = require('./support/memoryMongo');
+const { createUser, openAccount, fund } = require('./support/fixtures');
+const config = require('../../config');
+const { Config, Hold, LedgerEntry, ScheduledTransfer } = require('../../models');
+const LedgerService = require('../LedgerService');
+const ScheduledTransferService = require('../ScheduledTransferService');
+const { toDecimal } = require('../../utils/money');
+
+// Runs are driven through executeRun as the worker would, after moving nextRunAt into the past
+describe('ScheduledTransferService', () => {
+  let sender;
+  let recipient;
+  let senderAccount;
+  let recipientAccount;
+
+  const inAMinute = () => new Date(Date.now() + 60 * 1000);
+
+  const makeDue = scheduleId => ScheduledTransfer.updateOne(
+    { _id: scheduleId },
+    { $set: { nextRunAt: new Date(Date.now() - 1000) } }
+  );
+
+  const run = async (scheduleId) => {
+    await makeDue(scheduleId);
+    return ScheduledTransferService.executeRun(scheduleId);
+  };
+
+  const available = async (account) => {
+    const { available: amount } = await LedgerService.getBalance(account.userId, account.asset);
+    return toDecimal(amount).toFixed();
+  };
+
+  beforeAll(() => {
+    memoryMongo.install();
+  });
+
+  afterAll(() => {
+    memoryMongo.restore();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    sender = await createUser();
+    recipient = await createUser();
+    senderAccount = await openAccount(sender._id);
+    recipientAccount = await openAccount(recipient._id);
+    await fund(senderAccount, 100);
+  });
+
+  afterEach(async () => {
+    expect(await Hold.countDocuments({ status: 'ACTIVE' })).toBe(0);
+    const invariants = await LedgerService.checkInvariants();
+    expect(invariants.healthy).toBe(true);
+  });
+
+  describe('user schedules', () => {
+    const schedule = (amount, fields = {}) => ScheduledTransferService.createSchedule(sender._id, {
+      recipient: recipient.email,
+      amount,
+      frequency: 'ONCE',
+      startAt: inAMinute(),
+      ...fields,
+    });
+
+    it('pays a run once when it is replayed after a crash', async () => {
+      const { _id } = await schedule('30');
+      expect(await run(_id)).toBe('completed');
+
+      // A worker that posted but died before recording the run leaves the occurrence open
+      await ScheduledTransfer.updateOne(
+        { _id },
+        { $set: { status: 'ACTIVE', occurrence: 0, runCount: 0, runs: [] } }
+      );
+      expect(await run(_id)).toBe('completed');
+
+      const completed = await ScheduledTransfer.findById(_id);
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.runs[0].idempotencyKey).toBe(`scheduled-transfer:${_id}:0`);
+      expect(await LedgerEntry.countDocuments({ accountId: senderAccount._id, debit: { $gt: 0 } })).toBe(1);
+      expect(await available(senderAccount)).toBe('70');
+      expect(await available(recipientAccount)).toBe('30');
+    });
+
+    it('retries a run short of funds, then records it as failed and moves on', async () => {
+      const { _id } = await schedule('150', { frequency: 'WEEKLY', maxRuns: 2 });
+
+      for (let attempt = 1; attempt < config.scheduledTransfers.maxAttempts; attempt += 1) {
+        expect(await run(_id)).toBe('retrying');
+        const retrying = await ScheduledTransfer.findById(_id);
+        expect(retrying).toMatchObject({ status: 'ACTIVE', occurrence: 0, attempts: attempt, lastError: 'Insufficient balance' });
+        expect(retrying.nextRunAt > new Date()).toBe(true);
+      }
+      expect(await run(_id)).toBe('failed');
+
+      const movedOn = await ScheduledTransfer.findById(_id);
+      expect(movedOn).toMatchObject({ status: 'ACTIVE', occurrence: 1, runCount: 1, attempts: 0 });
+      expect(movedOn.runs[0]).toMatchObject({ status: 'FAILED', error: 'Insufficient balance' });
+      expect(await available(senderAccount)).toBe('100');
+      expect(await available(recipientAccount)).toBe('0');
+    });
+
+    it('retries while transfers are paused and pays once they resume', async () => {
+      const { _id } = await schedule('40');
+      await Config.updateConfig({ paused: { transfers: true } });
+
+      expect(await run(_id)).toBe('retrying');
+      expect((await ScheduledTransfer.findById(_id)).lastError).toBe('Transfers are currently paused');
+      expect(await available(senderAccount)).toBe('100');
+
+      await Config.updateConfig({ paused: { transfers: false } });
+      expect(await run(_id)).toBe('completed');
+      expect(await available(recipientAccount)).toBe('40');
+    });
+
+    it('skips a paused schedule', async () => {
+      const { _id } = await schedule('40');
+      await ScheduledTransferService.pauseSchedule(sender._id, _id);
+
+      expect(await run(_id)).toBe('skipped');
+      expect(await available(senderAccount)).toBe('100');
+    });
+  });
+
+  describe('treasury schedules', () => {
+    let creator;
+    let approver;
+
+    const schedule = () => ScheduledTransferService.createTreasurySchedule(creator._id, {
+      recipient: recipient.email,
+      amount: '25',
+      frequency: 'MONTHLY',
+      startAt: inAMinute(),
+    });
+
+    beforeEach(async () => {
+      creator = await createUser({ role: config.roles.ADMIN_TREASURY });
+      approver = await createUser({ role: config.roles.ADMIN_TREASURY });
+    });
+
+    it('waits for a second treasury admin before paying from the SYSTEM account', async () => {
+      const { _id, status } = await schedule();
+      expect(status).toBe('PENDING_APPROVAL');
+
+      expect(await run(_id)).toBe('skipped');
+      expect(await available(recipientAccount)).toBe('0');
+
+      await expect(ScheduledTransferService.approveTreasurySchedule(creator._id, _id))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      const approved = await ScheduledTransferService.approveTreasurySchedule(approver._id, _id);
+      expect(approved.status).toBe('ACTIVE');
+      expect(approved.approvedBy.toString()).toBe(approver._id.toString());
+
+      expect(await run(_id)).toBe('completed');
+      expect(await available(recipientAccount)).toBe('25');
+    });
+
+    it('refuses to approve a schedule that pays the approver', async () => {
+      await openAccount(approver._id);
+      const { _id } = await ScheduledTransferService.createTreasurySchedule(creator._id, {
+        recipient: approver.email,
+        amount: '25',
+        frequency: 'ONCE',
+        startAt: inAMinute(),
+      });
+
+      await expect(ScheduledTransferService.approveTreasurySchedule(approver._id, _id))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect((await ScheduledTransfer.findById(_id)).status).toBe('PENDING_APPROVAL');
+    });
+
+    it('fails a run of a schedule that was never approved', async () => {
+      const { _id } = await schedule();
+      await ScheduledTransfer.updateOne({ _id }, { $set: { status: 'ACTIVE' } });
+
+      expect(await run(_id)).toBe('failed');
+      expect((await ScheduledTransfer.findById(_id)).status).toBe('FAILED');
+      expect(await available(recipientAccount)).toBe('0');
+    });
+  });
+});
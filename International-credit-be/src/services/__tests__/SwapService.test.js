@@ -0,0 +1,121 @@
+const memoryMongo = require('./support/memoryMongo');
+const { createUser, openAccount, fund } = require('./support/fixtures');
+const config = require('../../config');
+const { Account, Config, Hold, LedgerEntry, SwapQuote } = require('../../models');
+const LedgerService = require('../LedgerService');
+const SwapService = require('../SwapService');
+const { toDecimal } = require('../../utils/money');
+
+const { UC, USDC_MOCK } = config.assets;
+
+// UC to USDC_mock at the Config.fxTable rate of 1:1, less the default 1% swap fee
+describe('SwapService', () => {
+  let user;
+  let fxUsdc;
+
+  const swap = (fields = {}) => SwapService.executeSwap(user._id, {
+    fromAsset: UC,
+    toAsset: USDC_MOCK,
+    amount: '100',
+    ...fields,
+  });
+
+  const balances = async () => {
+    const [uc, usdc] = await Promise.all([
+      LedgerService.getBalance(user._id, UC),
+      LedgerService.getBalance(user._id, USDC_MOCK),
+    ]);
+    return { UC: toDecimal(uc.available).toFixed(), [USDC_MOCK]: toDecimal(usdc.available).toFixed() };
+  };
+
+  beforeAll(() => {
+    memoryMongo.install();
+  });
+
+  afterAll(() => {
+    memoryMongo.restore();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    user = await createUser();
+    await fund(await openAccount(user._id, UC), 500);
+    await openAccount(user._id, USDC_MOCK);
+
+    const desk = await createUser({ role: config.roles.ADMIN_TREASURY });
+    await openAccount(desk._id, UC, 'FX');
+    fxUsdc = await openAccount(desk._id, USDC_MOCK, 'FX');
+    await fund(fxUsdc, 10000);
+  });
+
+  afterEach(async () => {
+    expect(await Hold.countDocuments({ status: 'ACTIVE' })).toBe(0);
+    const invariants = await LedgerService.checkInvariants();
+    expect(invariants.healthy).toBe(true);
+  });
+
+  it('executes a locked quote once', async () => {
+    const quote = await SwapService.lockQuote(user._id, { fromAsset: UC, toAsset: USDC_MOCK, amount: '100' });
+    expect(quote).toMatchObject({ feeAmount: '1', receiveAmount: '99' });
+
+    const { journalId } = await SwapService.executeSwap(user._id, { quoteId: quote.quoteId });
+    await expect(SwapService.executeSwap(user._id, { quoteId: quote.quoteId }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Quote has already been used' });
+
+    const used = await SwapQuote.findById(quote.quoteId);
+    expect(used.usedAt).toBeDefined();
+    expect(used.journalId.toString()).toBe(journalId.toString());
+    expect(await balances()).toEqual({ UC: '400', [USDC_MOCK]: '99' });
+  });
+
+  it('posts a replayed idempotency key only once', async () => {
+    await swap({ idempotencyKey: 'swap-replayed' });
+    await expect(swap({ idempotencyKey: 'swap-replayed' })).rejects.toThrow();
+
+    // The replay's hold is released once its journal collides with the first
+    const ucAccount = await Account.findOne({ userId: user._id, asset: UC });
+    expect(await LedgerEntry.countDocuments({ accountId: ucAccount._id, debit: { $gt: 0 } })).toBe(1);
+    expect((await Hold.find({})).map(hold => hold.status).sort()).toEqual(['CAPTURED', 'RELEASED']);
+    expect(await balances()).toEqual({ UC: '400', [USDC_MOCK]: '99' });
+  });
+
+  it('refuses a swap above the available balance and leaves its quote usable', async () => {
+    const quote = await SwapService.lockQuote(user._id, { fromAsset: UC, toAsset: USDC_MOCK, amount: '600' });
+
+    await expect(SwapService.executeSwap(user._id, { quoteId: quote.quoteId }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Insufficient balance' });
+    expect((await SwapQuote.findById(quote.quoteId)).usedAt).toBeUndefined();
+    expect(await balances()).toEqual({ UC: '500', [USDC_MOCK]: '0' });
+
+    await fund(await Account.findOne({ userId: user._id, asset: UC }), 100);
+    await SwapService.executeSwap(user._id, { quoteId: quote.quoteId });
+    expect(await balances()).toEqual({ UC: '0', [USDC_MOCK]: '594' });
+  });
+
+  it('releases the hold when the swap journal cannot post', async () => {
+    await Account.updateOne({ _id: fxUsdc._id }, { status: 'FROZEN' });
+
+    await expect(swap()).rejects.toMatchObject({ statusCode: 400 });
+    expect((await Hold.findOne({})).status).toBe('RELEASED');
+    expect(await balances()).toEqual({ UC: '500', [USDC_MOCK]: '0' });
+  });
+
+  it('refuses swaps while swaps are paused', async () => {
+    const quote = await SwapService.lockQuote(user._id, { fromAsset: UC, toAsset: USDC_MOCK, amount: '100' });
+    await Config.updateConfig({ paused: { swaps: true } });
+
+    await expect(SwapService.executeSwap(user._id, { quoteId: quote.quoteId })).rejects.toMatchObject({ statusCode: 503 });
+    await expect(swap()).rejects.toMatchObject({ statusCode: 503 });
+    expect(await Hold.countDocuments({})).toBe(0);
+    expect((await SwapQuote.findById(quote.quoteId)).usedAt).toBeUndefined();
+    expect(await balances()).toEqual({ UC: '500', [USDC_MOCK]: '0' });
+  });
+
+  it('refuses a locked quote once the rate has moved beyond the slippage limit', async () => {
+    const quote = await SwapService.lockQuote(user._id, { fromAsset: UC, toAsset: USDC_MOCK, amount: '100' });
+    await Config.updateConfig({ fxTable: { USDC: 1.05 } });
+
+    await expect(SwapService.executeSwap(user._id, { quoteId: quote.quoteId })).rejects.toMatchObject({ statusCode: 409 });
+    expect(await balances()).toEqual({ UC: '500', [USDC_MOCK]: '0' });
+  });
+});
@@ -0,0 +1,191 @@
+const memoryMongo = require('./support/memoryMongo');
+const { createUser, openAccount, systemAccount, fund } = require('./support/fixtures');
+const config = require('../../config');
+const { Config, Hold, LedgerEntry, Withdrawal } = require('../../models');
+const LedgerService = require('../LedgerService');
+const WithdrawalService = require('../WithdrawalService');
+const { toDecimal } = require('../../utils/money');
+
+// FIAT withdrawals through the simulated bank payout processor
+describe('WithdrawalService', () => {
+  let user;
+  let account;
+  let treasury;
+  let requests = 0;
+
+  const request = (amount, fields = {}) => {
+    requests += 1;
+    return WithdrawalService.requestWithdrawal(user._id, {
+      amount,
+      method: 'FIAT',
+      bankAccount: { accountHolder: 'Dana Seller', accountNumber: 'GB001234', country: 'GB', currency: 'GBP' },
+      idempotencyKey: `withdrawal-${requests}`,
+      ...fields,
+    });
+  };
+
+  const holdOf = async withdrawal => (await Hold.findById(withdrawal.holdId)).status;
+
+  // What a worker that stopped mid-payout leaves behind
+  const stall = (withdrawal, payout = {}) => Withdrawal.updateOne({ _id: withdrawal._id }, {
+    $set: {
+      status: 'PROCESSING',
+      'payout.startedAt': new Date(Date.now() - config.withdrawals.reconcileAfterMs - 1000),
+      ...Object.fromEntries(Object.entries(payout).map(([key, value]) => [`payout.${key}`, value])),
+    },
+  });
+
+  const balance = async () => {
+    const { available, pending } = await LedgerService.getBalance(user._id, account.asset);
+    return { available: toDecimal(available).toFixed(), pending: toDecimal(pending).toFixed() };
+  };
+
+  beforeAll(() => {
+    memoryMongo.install();
+  });
+
+  afterAll(() => {
+    memoryMongo.restore();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    user = await createUser();
+    account = await openAccount(user._id);
+    await fund(account, 500);
+    treasury = await createUser({ role: config.roles.ADMIN_TREASURY });
+  });
+
+  afterEach(async () => {
+    const invariants = await LedgerService.checkInvariants();
+    expect(invariants.healthy).toBe(true);
+  });
+
+  describe('requests', () => {
+    it('returns the same withdrawal when a request is replayed with its idempotency key', async () => {
+      const first = await request('100', { idempotencyKey: 'withdrawal-replayed' });
+      const replayed = await request('100', { idempotencyKey: 'withdrawal-replayed' });
+
+      expect(replayed._id.toString()).toBe(first._id.toString());
+      expect(await Withdrawal.countDocuments({})).toBe(1);
+      expect(await Hold.countDocuments({ status: 'ACTIVE' })).toBe(1);
+      expect(await balance()).toEqual({ available: '400', pending: '100' });
+    });
+
+    it('refuses a request above the available balance without holding anything', async () => {
+      await expect(request('600')).rejects.toMatchObject({ statusCode: 400, message: 'Insufficient balance' });
+
+      expect(await Withdrawal.countDocuments({})).toBe(0);
+      expect(await Hold.countDocuments({})).toBe(0);
+      expect(await balance()).toEqual({ available: '500', pending: '0' });
+    });
+
+    it('releases the hold when the user cancels', async () => {
+      const withdrawal = await request('100');
+      await WithdrawalService.cancelWithdrawal(user._id, withdrawal._id);
+
+      expect(await holdOf(withdrawal)).toBe('RELEASED');
+      expect(await balance()).toEqual({ available: '500', pending: '0' });
+    });
+
+    it('releases the hold when treasury rejects a withdrawal above the approval threshold', async () => {
+      await fund(account, config.withdrawals.approvalThreshold);
+      const withdrawal = await request(String(config.withdrawals.approvalThreshold));
+      expect(withdrawal.status).toBe('PENDING_APPROVAL');
+
+      const rejected = await WithdrawalService.rejectWithdrawal(treasury._id, withdrawal._id, 'Source of funds unclear');
+      expect(rejected.status).toBe('REJECTED');
+      expect(await holdOf(withdrawal)).toBe('RELEASED');
+      expect((await balance()).pending).toBe('0');
+    });
+  });
+
+  describe('payouts', () => {
+    it('captures the hold once the payout is made and does not pay it twice', async () => {
+      const withdrawal = await request('100');
+
+      expect(await WithdrawalService.processApprovedWithdrawals()).toMatchObject({ completed: 1 });
+      expect(await WithdrawalService.processApprovedWithdrawals()).toMatchObject({ completed: 0 });
+      await expect(WithdrawalService.processWithdrawal(withdrawal._id)).rejects.toMatchObject({ statusCode: 409 });
+
+      const completed = await Withdrawal.findById(withdrawal._id);
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.payout.reference).toMatch(/^sim_po_/);
+      expect(await holdOf(withdrawal)).toBe('CAPTURED');
+      expect(await LedgerEntry.countDocuments({ accountId: account._id, debit: { $gt: 0 } })).toBe(1);
+      expect(await balance()).toEqual({ available: '400', pending: '0' });
+    });
+
+    it('releases the hold when the bank declines the payout', async () => {
+      const withdrawal = await request('100', {
+        bankAccount: { accountHolder: 'Dana Seller', accountNumber: 'GB000000', country: 'GB', currency: 'GBP' },
+      });
+
+      expect(await WithdrawalService.processApprovedWithdrawals()).toMatchObject({ failed: 1 });
+      expect((await Withdrawal.findById(withdrawal._id)).payout.error).toBe('Payout declined by the receiving bank');
+      expect(await holdOf(withdrawal)).toBe('RELEASED');
+      expect(await balance()).toEqual({ available: '500', pending: '0' });
+    });
+
+    it('leaves approved withdrawals and their holds alone while withdrawals are paused', async () => {
+      const withdrawal = await request('100');
+      await Config.updateConfig({ paused: { withdrawals: true } });
+
+      expect(await WithdrawalService.processApprovedWithdrawals()).toEqual({ skipped: true, reason: 'Withdrawals are paused' });
+      expect((await Withdrawal.findById(withdrawal._id)).status).toBe('APPROVED');
+      expect(await holdOf(withdrawal)).toBe('ACTIVE');
+
+      await Config.updateConfig({ paused: { withdrawals: false } });
+      expect(await WithdrawalService.processApprovedWithdrawals()).toMatchObject({ completed: 1 });
+    });
+  });
+
+  describe('reconciliation', () => {
+    it('completes a stalled withdrawal whose payout was recorded, capturing the hold once', async () => {
+      const withdrawal = await request('100');
+      await stall(withdrawal, { processor: 'FIAT', reference: 'sim_po_recorded', completedAt: new Date() });
+
+      expect(await WithdrawalService.processApprovedWithdrawals()).toMatchObject({ completed: 1 });
+      await expect(WithdrawalService.reconcileWithdrawal(withdrawal._id)).rejects.toMatchObject({ statusCode: 409 });
+
+      const completed = await Withdrawal.findById(withdrawal._id);
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.payout.reference).toBe('sim_po_recorded');
+      expect(await holdOf(withdrawal)).toBe('CAPTURED');
+      expect(await balance()).toEqual({ available: '400', pending: '0' });
+      // The SYSTEM account funded 500 and took back the 100 paid out
+      expect((await LedgerService.calculateBalanceFromLedger((await systemAccount())._id)).toFixed()).toBe('-400');
+    });
+
+    it('keeps the hold on a stalled payout nobody can confirm until treasury resolves it', async () => {
+      const withdrawal = await request('100');
+      await stall(withdrawal);
+
+      expect(await WithdrawalService.processApprovedWithdrawals()).toMatchObject({ unresolved: 1 });
+      expect(await holdOf(withdrawal)).toBe('ACTIVE');
+
+      const resolved = await WithdrawalService.resolveWithdrawal(treasury._id, withdrawal._id, {
+        outcome: 'FAILED',
+        note: 'Bank confirmed the payout was never sent',
+      });
+      expect(resolved.status).toBe('FAILED');
+      expect(await holdOf(withdrawal)).toBe('RELEASED');
+      expect(await balance()).toEqual({ available: '500', pending: '0' });
+    });
+  });
+
+  describe('while withdrawals are paused', () => {
+    it.each([
+      ['withdrawals', { paused: { withdrawals: true } }],
+      ['the whole system', { paused: { system: true } }],
+    ])('refuses requests when %s is paused, before holding any funds', async (label, updates) => {
+      await Config.updateConfig(updates);
+
+      await expect(request('100')).rejects.toMatchObject({ statusCode: 503 });
+
+      expect(await Withdrawal.countDocuments({})).toBe(0);
+      expect(await Hold.countDocuments({})).toBe(0);
+      expect(await balance()).toEqual({ available: '500', pending: '0' });
+    });
+  });
+});
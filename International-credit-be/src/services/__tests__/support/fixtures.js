@@ -0,0 +1,55 @@
+const config = require('../../../config');
+const { User, Account } = require('../../../models');
+const LedgerService = require('../../LedgerService');
+
+/**
+ * Users, accounts and balances for service tests running on memoryMongo.
+ */
+
+let users = 0;
+
+// A KYC approved end user unless `fields` says otherwise
+const createUser = (fields = {}) => {
+  users += 1;
+  return User.create({
+    fullName: `Test User ${users}`,
+    email: `user${users}@example.test`,
+    password: 'Passw0rd!',
+    kycStatus: config.kycStatus.APPROVED,
+    ...fields,
+  });
+};
+
+// checkInvariants expects every USER account to have a Balance row, so one is written up front
+const openAccount = async (userId, asset = config.assets.UC, accountType = 'USER') => {
+  const account = await Account.create({ userId, asset, accountType });
+  await LedgerService.updateBalance(account._id);
+  return account;
+};
+
+// The asset's SYSTEM account, opened under a treasury admin the first time
+const systemAccount = async (asset = config.assets.UC) => {
+  const existing = await Account.findOne({ accountType: 'SYSTEM', asset });
+  if (existing) {
+    return existing;
+  }
+  const treasury = await createUser({ role: config.roles.ADMIN_TREASURY });
+  return openAccount(treasury._id, asset, 'SYSTEM');
+};
+
+// Credit `amount` to an account from its asset's SYSTEM account
+const fund = async (account, amount) => {
+  const source = await systemAccount(account.asset);
+  const meta = { type: config.transactionTypes.DEPOSIT, description: 'Test funding' };
+  return LedgerService.createJournal([
+    { accountId: source._id, debit: String(amount), meta },
+    { accountId: account._id, credit: String(amount), meta },
+  ], { transactionType: config.transactionTypes.DEPOSIT });
+};
+
+module.exports = {
+  createUser,
+  openAccount,
+  systemAccount,
+  fund,
+};
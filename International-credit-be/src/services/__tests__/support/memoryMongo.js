@@ -0,0 +1,1189 @@
+const mongoose = require('mongoose');
+const { Decimal } = require('../../../utils/money');
+
+/**
+ * In-memory stand-in for the MongoDB driver, for service tests that have no database.
+ *
+ * Only the driver collection behind each mongoose model is replaced, so models,
+ * queries, casting, defaults, getters, middleware and populate are the real ones.
+ * Filters, updates and aggregation pipelines are evaluated here for the subset of
+ * operators the services use; anything else throws so a test cannot pass by accident.
+ * Sessions run transactions with an undo log, and unique indexes declared on the
+ * schemas are enforced with E11000 errors.
+ */
+
+const isBson = (value, type) => value !== null && typeof value === 'object' && value._bsontype === type;
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+  (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+
+const isOperatorObject = value => isPlainObject(value) && Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+// Stored documents are copied on the way in and out; ObjectId and Decimal128 are immutable
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value instanceof Map) {
+    return Object.fromEntries([...value].map(([key, item]) => [key, clone(item)]));
+  }
+  // Subdocuments mongoose hands to the driver serialize themselves, as they do for BSON
+  if (value && typeof value === 'object' && !value._bsontype && typeof value.toBSON === 'function') {
+    return clone(value.toBSON());
+  }
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) {
+        copy[key] = clone(item);
+      }
+    }
+    return copy;
+  }
+  return value;
+};
+
+// Decimal128 is immutable, so each stored value is parsed once
+const decimals = new WeakMap();
+
+// BSON values in a form that compares with === or Decimal, so '5' matches an ObjectId's hex
+const normalize = (value) => {
+  if (isBson(value, 'ObjectId')) {
+    return value.toHexString();
+  }
+  if (isBson(value, 'Decimal128')) {
+    if (!decimals.has(value)) {
+      decimals.set(value, new Decimal(value.toString()));
+    }
+    return decimals.get(value);
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value instanceof mongoose.Document) {
+    return normalize(value._id);
+  }
+  return value;
+};
+
+const isNumeric = value => typeof value === 'number' || Decimal.isBigNumber(value);
+
+// Mongo's cross-type sort order, reduced to the types the services store
+const typeRank = (value) => {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  if (isNumeric(value)) {
+    return 1;
+  }
+  if (typeof value === 'string') {
+    return 2;
+  }
+  if (isPlainObject(value)) {
+    return 3;
+  }
+  if (Array.isArray(value)) {
+    return 4;
+  }
+  if (typeof value === 'boolean') {
+    return 5;
+  }
+  return 6;
+};
+
+const compare = (left, right) => {
+  const a = normalize(left);
+  const b = normalize(right);
+  if (isNumeric(a) && isNumeric(b)) {
+    return new Decimal(a).comparedTo(new Decimal(b));
+  }
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) {
+    return rankA < rankB ? -1 : 1;
+  }
+  if (rankA === 0) {
+    return 0;
+  }
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+      const result = compare(a[i], b[i]);
+      if (result) {
+        return result;
+      }
+    }
+    return a.length - b.length && (a.length < b.length ? -1 : 1);
+  }
+  if (isPlainObject(a)) {
+    return compare(JSON.stringify(keyOf(a)), JSON.stringify(keyOf(b)));
+  }
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+};
+
+const equals = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+      a.every((item, i) => equals(item, b[i]));
+  }
+  if (isPlainObject(a) || isPlainObject(b)) {
+    if (!isPlainObject(a) || !isPlainObject(b)) {
+      return false;
+    }
+    const keys = Object.keys(a).filter(key => a[key] !== undefined);
+    return keys.length === Object.keys(b).filter(key => b[key] !== undefined).length &&
+      keys.every(key => equals(a[key], b[key]));
+  }
+  return compare(a, b) === 0 && typeRank(normalize(a)) === typeRank(normalize(b));
+};
+
+// A JSON-able key for index maps and $group ids
+const keyOf = (value) => {
+  const normalized = normalize(value);
+  if (Decimal.isBigNumber(normalized)) {
+    return { $decimal: normalized.toFixed() };
+  }
+  if (Array.isArray(normalized)) {
+    return normalized.map(keyOf);
+  }
+  if (isPlainObject(normalized)) {
+    return Object.fromEntries(Object.keys(normalized).sort().map(key => [key, keyOf(normalized[key])]));
+  }
+  return normalized === undefined ? null : normalized;
+};
+
+const indexKey = values => JSON.stringify(values.map(keyOf));
+
+// Values at a dotted path, descending into arrays the way Mongo queries do
+const valuesAt = (doc, path) => {
+  let values = [doc];
+  for (const part of path.split('.')) {
+    values = values.flatMap((value) => {
+      if (Array.isArray(value)) {
+        if (/^\d+$/.test(part)) {
+          return [value[Number(part)]];
+        }
+        return value.flatMap(item => (isPlainObject(item) ? valuesAt(item, part) : []));
+      }
+      return [isPlainObject(value) ? value[part] : undefined];
+    });
+  }
+  return values;
+};
+
+// Candidates a condition is tested against: each value, and each element of array values
+const candidatesAt = (doc, path) => valuesAt(doc, path).flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const toRegExp = (pattern, options) => (pattern instanceof RegExp ? pattern : new RegExp(pattern, options || ''));
+
+const matchOperator = (doc, path, op, operand, condition) => {
+  const candidates = candidatesAt(doc, path);
+  const present = candidates.filter(value => value !== undefined);
+
+  switch (op) {
+    case '$eq':
+      return matchValue(candidates, operand);
+    case '$ne':
+      return !matchValue(candidates, operand);
+    case '$gt':
+      return present.some(value => value !== null && compare(value, operand) > 0 && typeRank(normalize(value)) === typeRank(normalize(operand)));
+    case '$gte':
+      return present.some(value => value !== null && compare(value, operand) >= 0 && typeRank(normalize(value)) === typeRank(normalize(operand)));
+    case '$lt':
+      return present.some(value => value !== null && compare(value, operand) < 0 && typeRank(normalize(value)) === typeRank(normalize(operand)));
+    case '$lte':
+      return present.some(value => value !== null && compare(value, operand) <= 0 && typeRank(normalize(value)) === typeRank(normalize(operand)));
+    case '$in':
+      return operand.some(item => matchValue(candidates, item));
+    case '$nin':
+      return !operand.some(item => matchValue(candidates, item));
+    case '$exists':
+      return Boolean(operand) === present.length > 0;
+    case '$regex': {
+      const regex = toRegExp(operand, condition.$options);
+      return present.some(value => typeof value === 'string' && regex.test(value));
+    }
+    case '$options':
+      return true;
+    case '$size':
+      return valuesAt(doc, path).some(value => Array.isArray(value) && value.length === operand);
+    case '$elemMatch':
+      return valuesAt(doc, path).some(value => Array.isArray(value) && value.some(item => (isOperatorObject(operand) && !isPlainObject(item)
+        ? Object.entries(operand).every(([innerOp, innerOperand]) => matchOperator({ item }, 'item', innerOp, innerOperand, operand))
+        : matches(item, operand))));
+    case '$not':
+      return !matchCondition(doc, path, operand);
+    default:
+      throw new Error(`memoryMongo: query operator ${op} is not supported`);
+  }
+};
+
+const matchValue = (candidates, expected) => {
+  if (expected instanceof RegExp) {
+    return candidates.some(value => typeof value === 'string' && expected.test(value));
+  }
+  if (expected === null || expected === undefined) {
+    return candidates.some(value => value === null || value === undefined);
+  }
+  return candidates.some(value => equals(value, expected));
+};
+
+const matchCondition = (doc, path, condition) => {
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([op, operand]) => matchOperator(doc, path, op, operand, condition));
+  }
+  return matchValue(candidatesAt(doc, path), condition);
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  switch (key) {
+    case '$and':
+      return condition.every(part => matches(doc, part));
+    case '$or':
+      return condition.some(part => matches(doc, part));
+    case '$nor':
+      return !condition.some(part => matches(doc, part));
+    case '$expr':
+      return Boolean(evaluate(condition, doc));
+    case '$comment':
+      return true;
+    default:
+      if (key.startsWith('$')) {
+        throw new Error(`memoryMongo: query operator ${key} is not supported`);
+      }
+      return matchCondition(doc, key, condition);
+  }
+});
+
+// Arithmetic stays exact once a Decimal128 is involved, as it does in Mongo
+const arithmetic = (values, fn) => {
+  if (values.some(value => value === null || value === undefined)) {
+    return null;
+  }
+  if (values.some(value => isBson(value, 'Decimal128'))) {
+    const result = values.map(value => new Decimal(normalize(value))).reduce(fn);
+    return mongoose.Types.Decimal128.fromString(result.toFixed());
+  }
+  return values.map(Number).reduce((a, b) => fn(new Decimal(a), new Decimal(b)).toNumber());
+};
+
+const getField = (doc, path) => {
+  const values = valuesAt(doc, path);
+  if (values.length === 1) {
+    return values[0];
+  }
+  return values.filter(value => value !== undefined);
+};
+
+// Aggregation expressions
+const evaluate = (expr, doc, vars = {}) => {
+  if (typeof expr === 'string' && expr.startsWith('$$')) {
+    const [name, ...rest] = expr.slice(2).split('.');
+    const base = name === 'ROOT' || name === 'CURRENT' ? doc : name === 'REMOVE' ? undefined : vars[name];
+    return rest.length ? getField(base, rest.join('.')) : base;
+  }
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    return getField(doc, expr.slice(1));
+  }
+  if (Array.isArray(expr)) {
+    return expr.map(item => evaluate(item, doc, vars));
+  }
+  if (!isPlainObject(expr)) {
+    return expr;
+  }
+
+  const keys = Object.keys(expr);
+  if (keys.length !== 1 || !keys[0].startsWith('$')) {
+    const result = {};
+    for (const key of keys) {
+      const value = evaluate(expr[key], doc, vars);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  const [op] = keys;
+  const raw = expr[op];
+  const args = () => (Array.isArray(raw) ? raw : [raw]).map(item => evaluate(item, doc, vars));
+
+  switch (op) {
+    case '$literal':
+      return raw;
+    case '$eq':
+      return equals(...args());
+    case '$ne':
+      return !equals(...args());
+    case '$gt':
+      return compare(...args()) > 0;
+    case '$gte':
+      return compare(...args()) >= 0;
+    case '$lt':
+      return compare(...args()) < 0;
+    case '$lte':
+      return compare(...args()) <= 0;
+    case '$and':
+      return args().every(Boolean);
+    case '$or':
+      return args().some(Boolean);
+    case '$not':
+      return !args()[0];
+    case '$in': {
+      const [value, list] = args();
+      return list.some(item => equals(item, value));
+    }
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(raw) ? raw : [raw.if, raw.then, raw.else];
+      return evaluate(condition, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars);
+    }
+    case '$ifNull': {
+      const values = args();
+      return values.find(value => value !== null && value !== undefined) ?? values[values.length - 1];
+    }
+    case '$add':
+      return arithmetic(args(), (a, b) => a.plus(b));
+    case '$subtract':
+      return arithmetic(args(), (a, b) => a.minus(b));
+    case '$multiply':
+      return arithmetic(args(), (a, b) => a.times(b));
+    case '$divide':
+      return arithmetic(args(), (a, b) => a.div(b));
+    case '$abs': {
+      const [value] = args();
+      if (value === null || value === undefined) {
+        return null;
+      }
+      return isBson(value, 'Decimal128')
+        ? mongoose.Types.Decimal128.fromString(new Decimal(value.toString()).abs().toFixed())
+        : Math.abs(Number(value));
+    }
+    case '$sum': {
+      const values = args().flat().filter(value => isNumeric(normalize(value)));
+      return values.length ? arithmetic(values, (a, b) => a.plus(b)) : 0;
+    }
+    case '$toDouble': {
+      const [value] = args();
+      return value === null || value === undefined ? null : Number(normalize(value).toString());
+    }
+    case '$toString': {
+      const [value] = args();
+      return value === null || value === undefined ? null : String(normalize(value).toString());
+    }
+    case '$round': {
+      const [value, places = 0] = args();
+      return value === null || value === undefined ? null : Number(new Decimal(normalize(value)).toFixed(places, Decimal.ROUND_HALF_EVEN));
+    }
+    case '$size':
+      return args()[0].length;
+    case '$concat':
+      return args().join('');
+    case '$toLower':
+      return String(args()[0] ?? '').toLowerCase();
+    case '$toUpper':
+      return String(args()[0] ?? '').toUpperCase();
+    default:
+      throw new Error(`memoryMongo: expression operator ${op} is not supported`);
+  }
+};
+
+const accumulate = (op, operand, docs) => {
+  const values = docs.map(doc => evaluate(operand, doc));
+  switch (op) {
+    case '$sum': {
+      const numbers = values.filter(value => isNumeric(normalize(value)));
+      return numbers.length ? arithmetic(numbers, (a, b) => a.plus(b)) : 0;
+    }
+    case '$avg': {
+      const numbers = values.filter(value => isNumeric(normalize(value)));
+      if (!numbers.length) {
+        return null;
+      }
+      const total = numbers.reduce((sum, value) => sum.plus(normalize(value)), new Decimal(0));
+      return numbers.some(value => isBson(value, 'Decimal128'))
+        ? mongoose.Types.Decimal128.fromString(total.div(numbers.length).toFixed())
+        : total.div(numbers.length).toNumber();
+    }
+    case '$min':
+    case '$max': {
+      const present = values.filter(value => value !== null && value !== undefined);
+      if (!present.length) {
+        return null;
+      }
+      return present.reduce((best, value) => ((op === '$min' ? compare(value, best) < 0 : compare(value, best) > 0) ? value : best));
+    }
+    case '$first':
+      return values[0];
+    case '$last':
+      return values[values.length - 1];
+    case '$push':
+      return values.filter(value => value !== undefined);
+    case '$addToSet':
+      return values.filter((value, i) => value !== undefined && values.findIndex(other => equals(other, value)) === i);
+    case '$count':
+      return docs.length;
+    default:
+      throw new Error(`memoryMongo: accumulator ${op} is not supported`);
+  }
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) {
+    return docs;
+  }
+  const fields = Array.isArray(sort) ? sort : Object.entries(sort instanceof Map ? Object.fromEntries(sort) : sort);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of fields) {
+      const dir = direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1;
+      const result = compare(getField(a, path), getField(b, path));
+      if (result) {
+        return result * dir;
+      }
+    }
+    return 0;
+  });
+};
+
+const project = (doc, projection) => {
+  const entries = Object.entries(projection);
+  const inclusive = entries.some(([, value]) => value !== 0 && value !== false);
+  if (!inclusive) {
+    const copy = clone(doc);
+    for (const [key] of entries) {
+      unsetPath(copy, key);
+    }
+    return copy;
+  }
+
+  const result = {};
+  if (projection._id !== 0 && projection._id !== false) {
+    result._id = doc._id;
+  }
+  for (const [key, value] of entries) {
+    if (key === '_id') {
+      continue;
+    }
+    const computed = value === 1 || value === true ? getField(doc, key) : evaluate(value, doc);
+    if (computed !== undefined) {
+      setPath(result, key, clone(computed));
+    }
+  }
+  return result;
+};
+
+const projected = (doc, projection) => (projection && Object.keys(projection).length
+  ? project(doc, projection)
+  : clone(doc));
+
+const runPipeline = (docs, pipeline) => {
+  let results = docs;
+  for (const stage of pipeline) {
+    const [[name, spec]] = Object.entries(stage);
+    switch (name) {
+      case '$match':
+        results = results.filter(doc => matches(doc, spec));
+        break;
+      case '$sort':
+        results = sortDocs(results, spec);
+        break;
+      case '$skip':
+        results = results.slice(spec);
+        break;
+      case '$limit':
+        results = results.slice(0, spec);
+        break;
+      case '$count':
+        results = results.length ? [{ [spec]: results.length }] : [];
+        break;
+      case '$project':
+        results = results.map(doc => project(doc, spec));
+        break;
+      case '$addFields':
+      case '$set':
+        results = results.map((doc) => {
+          const copy = clone(doc);
+          for (const [key, expr] of Object.entries(spec)) {
+            setPath(copy, key, evaluate(expr, doc));
+          }
+          return copy;
+        });
+        break;
+      case '$unwind': {
+        const path = (typeof spec === 'string' ? spec : spec.path).slice(1);
+        const keepEmpty = typeof spec === 'object' && spec.preserveNullAndEmptyArrays;
+        results = results.flatMap((doc) => {
+          const value = getField(doc, path);
+          if (!Array.isArray(value) || !value.length) {
+            return keepEmpty || (value !== undefined && value !== null && !Array.isArray(value)) ? [doc] : [];
+          }
+          return value.map((item) => {
+            const copy = clone(doc);
+            setPath(copy, path, clone(item));
+            return copy;
+          });
+        });
+        break;
+      }
+      case '$group': {
+        const groups = new Map();
+        for (const doc of results) {
+          const id = evaluate(spec._id, doc);
+          const key = JSON.stringify(keyOf(id));
+          if (!groups.has(key)) {
+            groups.set(key, { id, docs: [] });
+          }
+          groups.get(key).docs.push(doc);
+        }
+        results = [...groups.values()].map(({ id, docs: members }) => {
+          const group = { _id: id === undefined ? null : id };
+          for (const [field, accumulator] of Object.entries(spec)) {
+            if (field !== '_id') {
+              const [[op, operand]] = Object.entries(accumulator);
+              group[field] = accumulate(op, operand, members);
+            }
+          }
+          return group;
+        });
+        break;
+      }
+      default:
+        throw new Error(`memoryMongo: aggregation stage ${name} is not supported`);
+    }
+  }
+  return results;
+};
+
+const splitPath = path => path.split('.');
+
+const setPath = (doc, path, value) => {
+  const parts = splitPath(path);
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] === undefined || target[part] === null) {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+  const last = parts[parts.length - 1];
+  if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = value;
+  }
+};
+
+const getPath = (doc, path) => splitPath(path).reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), doc);
+
+const unsetPath = (doc, path) => {
+  const parts = splitPath(path);
+  const parent = parts.length > 1 ? getPath(doc, parts.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') {
+    delete parent[parts[parts.length - 1]];
+  }
+};
+
+// Resolve the positional $ against the array element the filter matched
+const resolvePositional = (doc, path, filter) => {
+  if (!path.includes('$')) {
+    return path;
+  }
+  const [arrayPath] = path.split('.$');
+  const array = getPath(doc, arrayPath) || [];
+  const conditions = Object.entries(filter)
+    .filter(([key]) => key.startsWith(`${arrayPath}.`))
+    .map(([key, condition]) => [key.slice(arrayPath.length + 1), condition]);
+  const index = array.findIndex(item => conditions.every(([subPath, condition]) => matchCondition(item, subPath, condition)));
+  if (index === -1) {
+    throw Object.assign(new Error('The positional operator did not find the match needed from the query.'), { code: 2 });
+  }
+  return path.replace('.$', `.${index}`);
+};
+
+const applyUpdate = (doc, update, { inserting, filter }) => {
+  if (Array.isArray(update)) {
+    throw new Error('memoryMongo: pipeline updates are not supported');
+  }
+
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [rawPath, value] of Object.entries(fields)) {
+      const path = resolvePositional(doc, rawPath, filter);
+      switch (op) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) {
+            setPath(doc, path, clone(value));
+          }
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, arithmetic([getPath(doc, path) ?? (isBson(value, 'Decimal128') ? mongoose.Types.Decimal128.fromString('0') : 0), value], (a, b) => a.plus(b)));
+          break;
+        case '$min':
+        case '$max': {
+          const current = getPath(doc, path);
+          if (current === undefined || (op === '$min' ? compare(value, current) < 0 : compare(value, current) > 0)) {
+            setPath(doc, path, clone(value));
+          }
+          break;
+        }
+        case '$push':
+        case '$addToSet': {
+          const array = getPath(doc, path) || [];
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          for (const item of items) {
+            if (op === '$push' || !array.some(existing => equals(existing, item))) {
+              array.push(clone(item));
+            }
+          }
+          const sliced = isPlainObject(value) && value.$slice !== undefined
+            ? (value.$slice < 0 ? array.slice(value.$slice) : array.slice(0, value.$slice))
+            : array;
+          setPath(doc, path, sliced);
+          break;
+        }
+        case '$pull':
+        case '$pullAll': {
+          const array = getPath(doc, path) || [];
+          const removed = op === '$pullAll' ? value : [value];
+          setPath(doc, path, array.filter(item => !removed.some(condition => (isPlainObject(condition) && isPlainObject(item) && !isOperatorObject(condition)
+            ? matches(item, condition)
+            : isOperatorObject(condition)
+              ? matchCondition({ item }, 'item', condition)
+              : equals(item, condition)))));
+          break;
+        }
+        default:
+          throw new Error(`memoryMongo: update operator ${op} is not supported`);
+      }
+    }
+  }
+  return doc;
+};
+
+// A fresh upserted document takes the filter's plain equality conditions
+const seedFromFilter = (filter) => {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and') {
+      Object.assign(doc, ...condition.map(seedFromFilter));
+    } else if (!key.startsWith('$') && !isOperatorObject(condition) && !(condition instanceof RegExp)) {
+      setPath(doc, key, clone(condition));
+    } else if (isOperatorObject(condition) && '$eq' in condition) {
+      setPath(doc, key, clone(condition.$eq));
+    }
+  }
+  return doc;
+};
+
+const duplicateKeyError = (collection, index, doc) => {
+  const keyValue = Object.fromEntries(index.fields.map(field => [field, getPath(doc, field)]));
+  return Object.assign(
+    new Error(`E11000 duplicate key error collection: ${collection.name} index: ${index.name} dup key: ${JSON.stringify(keyValue)}`),
+    { name: 'MongoServerError', code: 11000, keyPattern: index.key, keyValue }
+  );
+};
+
+class Cursor {
+  constructor(docs) {
+    this.docs = docs;
+    this.position = 0;
+  }
+
+  async toArray() {
+    const docs = this.docs.slice(this.position);
+    this.position = this.docs.length;
+    return docs;
+  }
+
+  async next() {
+    return this.position < this.docs.length ? this.docs[this.position++] : null;
+  }
+
+  async hasNext() {
+    return this.position < this.docs.length;
+  }
+
+  async close() {}
+
+  async *[Symbol.asyncIterator]() {
+    while (this.position < this.docs.length) {
+      yield this.docs[this.position++];
+    }
+  }
+}
+
+class Collection {
+  constructor(name, schema) {
+    this.name = name;
+    this.collectionName = name;
+    this.docs = new Map();
+    // Insertion order of the stored documents, for scans narrowed by an index
+    this.positions = new Map();
+    this.inserted = 0;
+    // Unique indexes are enforced; single-field indexes also narrow equality lookups
+    this.indexes = [{ name: '_id_', key: { _id: 1 }, fields: ['_id'], unique: true, entries: new Map() }];
+    for (const [key, options = {}] of schema ? schema.indexes() : []) {
+      const fields = Object.keys(key);
+      this.indexes.push({
+        name: options.name || fields.map(field => `${field}_${key[field]}`).join('_'),
+        key,
+        fields,
+        unique: Boolean(options.unique),
+        sparse: Boolean(options.sparse),
+        partial: options.partialFilterExpression,
+        entries: new Map(),
+      });
+    }
+    // A compound index also serves lookups on its first field, as its prefix does in MongoDB
+    for (const { fields, partial, sparse } of this.indexes.filter(index => index.fields.length > 1)) {
+      if (!partial && !sparse && !this.indexes.some(index => index.fields.length === 1 && index.fields[0] === fields[0])) {
+        this.indexes.push({ name: `${fields[0]}_prefix`, key: { [fields[0]]: 1 }, fields: [fields[0]], unique: false, entries: new Map() });
+      }
+    }
+  }
+
+  // Keys a document has in an index; single-field indexes are multikey over arrays
+  indexKeys(index, doc) {
+    if (index.partial && !matches(doc, index.partial)) {
+      return [];
+    }
+    if (index.fields.length === 1) {
+      const values = valuesAt(doc, index.fields[0]).flatMap(value => (Array.isArray(value) && value.length ? value : [value]));
+      if (index.sparse && values.every(value => value === undefined)) {
+        return [];
+      }
+      return [...new Set(values.map(value => indexKey([value])))];
+    }
+    const values = index.fields.map(field => getPath(doc, field));
+    if (index.sparse && values.every(value => value === undefined)) {
+      return [];
+    }
+    return [indexKey(values)];
+  }
+
+  // Swap a document's stored version, checking unique indexes before anything changes
+  write(id, before, after, session) {
+    if (after) {
+      for (const index of this.indexes.filter(candidate => candidate.unique)) {
+        for (const key of this.indexKeys(index, after)) {
+          const holders = index.entries.get(key);
+          if (holders && [...holders].some(holder => holder !== id)) {
+            throw duplicateKeyError(this, index, after);
+          }
+        }
+      }
+    }
+
+    session?.record(this, id, before);
+    for (const index of this.indexes) {
+      for (const key of before ? this.indexKeys(index, before) : []) {
+        index.entries.get(key)?.delete(id);
+      }
+      for (const key of after ? this.indexKeys(index, after) : []) {
+        if (!index.entries.has(key)) {
+          index.entries.set(key, new Set());
+        }
+        index.entries.get(key).add(id);
+      }
+    }
+
+    if (after) {
+      if (!this.docs.has(id)) {
+        this.positions.set(id, this.inserted++);
+      }
+      this.docs.set(id, after);
+    } else {
+      this.docs.delete(id);
+      this.positions.delete(id);
+    }
+  }
+
+  restore(id, doc) {
+    this.write(id, this.docs.get(id), doc, null);
+  }
+
+  // Documents matching a filter in insertion order, using an index when one applies
+  scan(filter = {}) {
+    let ids = null;
+    for (const index of this.indexes.filter(candidate => candidate.fields.length === 1 && !candidate.partial && !candidate.sparse)) {
+      const [field] = index.fields;
+      const condition = filter[field];
+      let keys = null;
+      if (condition !== undefined && condition !== null && !isOperatorObject(condition) && !(condition instanceof RegExp) && !Array.isArray(condition) && !isPlainObject(condition)) {
+        keys = [indexKey([condition])];
+      } else if (isOperatorObject(condition) && Object.keys(condition).length === 1 && Array.isArray(condition.$in) &&
+        condition.$in.every(item => item !== null && item !== undefined && !(item instanceof RegExp) && !isPlainObject(item) && !Array.isArray(item))) {
+        keys = condition.$in.map(item => indexKey([item]));
+      }
+      if (keys) {
+        // The most selective index wins
+        const candidates = new Set(keys.flatMap(key => [...(index.entries.get(key) || [])]));
+        if (ids === null || candidates.size < ids.size) {
+          ids = candidates;
+        }
+      }
+    }
+
+    const docs = ids === null
+      ? [...this.docs.values()]
+      : [...ids].sort((a, b) => this.positions.get(a) - this.positions.get(b)).map(id => this.docs.get(id));
+    return docs.filter(doc => matches(doc, filter));
+  }
+
+  findDocs(filter, options = {}) {
+    let docs = sortDocs(this.scan(filter), options.sort);
+    if (options.skip) {
+      docs = docs.slice(options.skip);
+    }
+    if (options.limit) {
+      docs = docs.slice(0, options.limit);
+    }
+    return docs;
+  }
+
+  insert(doc, session) {
+    const stored = clone(doc);
+    if (stored._id === undefined) {
+      stored._id = new mongoose.Types.ObjectId();
+      doc._id = stored._id;
+    }
+    const id = JSON.stringify(keyOf(stored._id));
+    if (this.docs.has(id)) {
+      throw duplicateKeyError(this, this.indexes[0], stored);
+    }
+    this.write(id, null, stored, session);
+    return stored._id;
+  }
+
+  // One document update; returns [before, after, upsertedId]
+  updateDoc(filter, update, options = {}) {
+    const [current] = this.findDocs(filter, { sort: options.sort, limit: 1 });
+    if (!current) {
+      if (!options.upsert) {
+        return [null, null, null];
+      }
+      const seeded = applyUpdate(seedFromFilter(filter), update, { inserting: true, filter });
+      const id = this.insert(seeded, options.session);
+      return [null, clone(this.docs.get(JSON.stringify(keyOf(id)))), id];
+    }
+
+    const id = JSON.stringify(keyOf(current._id));
+    const after = applyUpdate(clone(current), update, { inserting: false, filter });
+    this.write(id, current, after, options.session);
+    return [clone(current), clone(after), null];
+  }
+
+  // Driver API used by mongoose
+
+  find(filter, options = {}) {
+    return new Cursor(this.findDocs(filter, options).map(doc => projected(doc, options.projection)));
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.findDocs(filter, { ...options, limit: 1 });
+    return doc ? projected(doc, options.projection) : null;
+  }
+
+  async countDocuments(filter, options = {}) {
+    return this.findDocs(filter, options).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.size;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    for (const doc of this.scan(filter)) {
+      for (const value of candidatesAt(doc, field).filter(item => item !== undefined && !Array.isArray(item))) {
+        if (!values.some(existing => equals(existing, value))) {
+          values.push(clone(value));
+        }
+      }
+    }
+    return values;
+  }
+
+  async insertOne(doc, options = {}) {
+    const insertedId = this.insert(doc, options.session);
+    return { acknowledged: true, insertedId };
+  }
+
+  async insertMany(docs, options = {}) {
+    const insertedIds = {};
+    docs.forEach((doc, i) => {
+      insertedIds[i] = this.insert(doc, options.session);
+    });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [before, after] = this.updateDoc(filter, update, options);
+    const value = options.returnDocument === 'after' ? after : before;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.findDocs(filter, { sort: options.sort, limit: 1 });
+    if (doc) {
+      this.write(JSON.stringify(keyOf(doc._id)), doc, null, options.session);
+    }
+    const value = doc ? clone(doc) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [before, , upsertedId] = this.updateDoc(filter, update, options);
+    return {
+      acknowledged: true,
+      matchedCount: before ? 1 : 0,
+      modifiedCount: before ? 1 : 0,
+      upsertedCount: upsertedId ? 1 : 0,
+      upsertedId,
+    };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const matched = this.scan(filter);
+    for (const doc of matched) {
+      this.updateDoc({ ...filter, _id: doc._id }, update, { session: options.session });
+    }
+    if (!matched.length && options.upsert) {
+      return this.updateOne(filter, update, options);
+    }
+    return {
+      acknowledged: true,
+      matchedCount: matched.length,
+      modifiedCount: matched.length,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const [current] = this.findDocs(filter, { limit: 1 });
+    if (!current) {
+      if (options.upsert) {
+        const upsertedId = this.insert(replacement, options.session);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    }
+    this.write(JSON.stringify(keyOf(current._id)), current, { ...clone(replacement), _id: current._id }, options.session);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+  }
+
+  async deleteOne(filter, options = {}) {
+    const [doc] = this.findDocs(filter, { limit: 1 });
+    if (doc) {
+      this.write(JSON.stringify(keyOf(doc._id)), doc, null, options.session);
+    }
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter, options = {}) {
+    const docs = this.scan(filter);
+    for (const doc of docs) {
+      this.write(JSON.stringify(keyOf(doc._id)), doc, null, options.session);
+    }
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async bulkWrite(operations, options = {}) {
+    const result = {
+      insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {},
+    };
+    const session = options.session;
+    for (const [i, operation] of operations.entries()) {
+      const [[type, spec]] = Object.entries(operation);
+      let outcome;
+      switch (type) {
+        case 'insertOne':
+          result.insertedIds[i] = (await this.insertOne(spec.document, { session })).insertedId;
+          result.insertedCount += 1;
+          break;
+        case 'updateOne':
+        case 'updateMany':
+          outcome = await this[type](spec.filter, spec.update, { upsert: spec.upsert, session });
+          result.matchedCount += outcome.matchedCount;
+          result.modifiedCount += outcome.modifiedCount;
+          if (outcome.upsertedId) {
+            result.upsertedIds[i] = outcome.upsertedId;
+            result.upsertedCount += 1;
+          }
+          break;
+        case 'replaceOne':
+          outcome = await this.replaceOne(spec.filter, spec.replacement, { upsert: spec.upsert, session });
+          result.matchedCount += outcome.matchedCount;
+          result.modifiedCount += outcome.modifiedCount;
+          break;
+        case 'deleteOne':
+        case 'deleteMany':
+          result.deletedCount += (await this[type](spec.filter, { session })).deletedCount;
+          break;
+        default:
+          throw new Error(`memoryMongo: bulkWrite operation ${type} is not supported`);
+      }
+    }
+    return { ...result, ok: 1, isOk: () => true, getWriteErrors: () => [] };
+  }
+
+  aggregate(pipeline) {
+    // Stages copy what they change, so only the results are copied out; a leading $match
+    // narrows through the indexes
+    const [first] = pipeline;
+    const results = first && first.$match
+      ? runPipeline(this.scan(first.$match), pipeline.slice(1))
+      : runPipeline([...this.docs.values()], pipeline);
+    return new Cursor(results.map(clone));
+  }
+
+  async createIndex() {
+    return null;
+  }
+
+  async createIndexes() {
+    return [];
+  }
+
+  listIndexes() {
+    return new Cursor([]);
+  }
+}
+
+// Writes made with a session inside a transaction keep their before-image until commit
+class Session {
+  constructor() {
+    this.undo = null;
+    this.hasEnded = false;
+    this.transaction = null;
+  }
+
+  inTransaction() {
+    return this.undo !== null;
+  }
+
+  startTransaction() {
+    if (this.undo) {
+      throw new Error('Transaction already in progress');
+    }
+    this.undo = [];
+    this.transaction = { state: 'TRANSACTION_IN_PROGRESS', isActive: true };
+  }
+
+  record(collection, id, before) {
+    if (this.undo) {
+      this.undo.push([collection, id, before ? clone(before) : null]);
+    }
+  }
+
+  async commitTransaction() {
+    this.undo = null;
+    this.transaction = null;
+  }
+
+  async abortTransaction() {
+    const undo = this.undo || [];
+    this.undo = null;
+    this.transaction = null;
+    for (const [collection, id, before] of undo.reverse()) {
+      collection.restore(id, before);
+    }
+  }
+
+  async withTransaction(fn) {
+    this.startTransaction();
+    try {
+      const result = await fn(this);
+      await this.commitTransaction();
+      return result;
+    } catch (error) {
+      await this.abortTransaction();
+      throw error;
+    }
+  }
+
+  async endSession() {
+    if (this.undo) {
+      await this.abortTransaction();
+    }
+    this.hasEnded = true;
+  }
+}
+
+const collections = new Map();
+let originals = null;
+
+const startSession = async () => new Session();
+
+/**
+ * Point every registered model at an empty in-memory collection. Call after the models
+ * (usually via the service under test) have been required.
+ */
+const install = () => {
+  if (!originals) {
+    originals = {
+      startSession: mongoose.startSession,
+      connectionStartSession: mongoose.connection.startSession,
+      modelStartSession: mongoose.Model.startSession,
+    };
+    mongoose.startSession = startSession;
+    mongoose.connection.startSession = startSession;
+    mongoose.Model.startSession = startSession;
+  }
+
+  for (const name of mongoose.modelNames()) {
+    const Model = mongoose.model(name);
+    const collectionName = Model.collection.collectionName;
+    if (!collections.has(collectionName)) {
+      collections.set(collectionName, new Collection(collectionName, Model.schema));
+    }
+    Model.collection.collection = collections.get(collectionName);
+    Model.collection.buffer = false;
+  }
+};
+
+// Empty every collection between tests
+const reset = () => {
+  for (const [name, collection] of collections) {
+    const fresh = new Collection(name, null);
+    collection.docs = fresh.docs;
+    collection.positions = fresh.positions;
+    collection.inserted = 0;
+    for (const index of collection.indexes) {
+      index.entries = new Map();
+    }
+  }
+};
+
+const restore = () => {
+  if (originals) {
+    mongoose.startSession = originals.startSession;
+    mongoose.connection.startSession = originals.connectionStartSession;
+    mongoose.Model.startSession = originals.modelStartSession;
+    originals = null;
+  }
+  for (const name of mongoose.modelNames()) {
+    const Model = mongoose.model(name);
+    Model.collection.collection = null;
+    Model.collection.buffer = true;
+  }
+  collections.clear();
+};
+
+module.exports = {
+  install,
+  reset,
+  restore,
+  startSession,
+};
@@ -0,0 +1,120 @@
+const { XMLParser } = require('fast-xml-parser');
+const { ValidationError } = require('../../utils/errors');
+
+// Elements that may repeat; the rest are read as single nodes
+const REPEATED = new Set(['Stmt', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd', 'Strd']);
+
+const xml = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  // Keep amounts and references as written
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: name => REPEATED.has(name),
+});
+
+const text = node => (node !== null && typeof node === 'object' ? node['#text'] : node) || undefined;
+const dateOf = node => (node && (node.Dt || node.DtTm) ? new Date(node.Dt || node.DtTm) : undefined);
+const accountOf = node => text(node?.Id?.IBAN) || text(node?.Id?.Othr?.Id);
+
+/**
+ * ISO 20022 CAMT.053 bank-to-customer statement (any version). Only booked entries are
+ * read. A batch entry whose transaction details each carry an amount is split into one
+ * entry per transaction, so each payer's reference can be matched on its own.
+ */
+class Camt053StatementParser {
+  constructor() {
+    this.name = 'CAMT053';
+  }
+
+  parse(content) {
+    // Entity declarations are never needed in a statement and can expand without bound
+    if (/<!DOCTYPE/i.test(content)) {
+      throw new ValidationError('CAMT.053 files must not contain a DOCTYPE');
+    }
+
+    let document;
+    try {
+      document = xml.parse(content, true).Document;
+    } catch (error) {
+      throw new ValidationError(`Invalid CAMT.053 XML: ${error.message}`);
+    }
+    const statements = document?.BkToCstmrStmt?.Stmt;
+    if (!statements) {
+      throw new ValidationError('Not a CAMT.053 statement: no BkToCstmrStmt/Stmt element');
+    }
+
+    const entries = [];
+    let position = 0;
+    for (const statement of statements) {
+      const account = accountOf(statement.Acct);
+      for (const entry of statement.Ntry || []) {
+        position += 1;
+        entries.push(...this.parseEntry(entry, { account, statementId: text(statement.Id), position }));
+      }
+    }
+
+    const [first] = statements;
+    return {
+      statementId: statements.map(statement => text(statement.Id)).filter(Boolean).join(',') || null,
+      account: accountOf(first.Acct) || null,
+      from: dateOf({ DtTm: first.FrToDt?.FrDtTm }) || null,
+      to: dateOf({ DtTm: statements[statements.length - 1].FrToDt?.ToDtTm }) || null,
+      entries,
+    };
+  }
+
+  parseEntry(entry, { account, statementId, position }) {
+    const status = text(entry.Sts?.Cd) || text(entry.Sts);
+    if (status !== 'BOOK') {
+      return [];
+    }
+
+    const amountOf = node => text(node?.Amt) || text(node?.AmtDtls?.TxAmt?.Amt);
+    const currencyOf = node => node?.Amt?.Ccy || node?.AmtDtls?.TxAmt?.Amt?.Ccy;
+    const transactions = (entry.NtryDtls || []).flatMap(details => details.TxDtls || []);
+    const split = transactions.length > 1 && transactions.every(transaction => amountOf(transaction));
+    const parts = split ? transactions : [transactions[0] || {}];
+
+    return parts.map((transaction, index) => {
+      const amount = split ? amountOf(transaction) : text(entry.Amt);
+      if (!amount || !/^\d+(\.\d+)?$/.test(amount)) {
+        throw new ValidationError(`Entry ${position}: invalid amount "${amount}"`);
+      }
+
+      const entryRef = text(entry.AcctSvcrRef) || text(entry.NtryRef) || `${statementId}/${position}`;
+      const ref = text(transaction.Refs?.AcctSvcrRef)
+        || text(transaction.Refs?.TxId)
+        || (split ? `${entryRef}/${index + 1}` : entryRef);
+      const endToEndId = text(transaction.Refs?.EndToEndId);
+      const remittance = transaction.RmtInf || {};
+      const remittanceInfo = [
+        ...(remittance.Ustrd || []).map(text),
+        ...(remittance.Strd || []).map(structured => text(structured.CdtrRefInf?.Ref)),
+        text(transaction.AddtlTxInf),
+        text(entry.AddtlNtryInf),
+      ].filter(Boolean).join(' ');
+      const parties = transaction.RltdPties || {};
+
+      return {
+        line: position,
+        ref,
+        account,
+        direction: text(entry.CdtDbtInd) === 'CRDT' ? 'CREDIT' : 'DEBIT',
+        amount,
+        currency: (split ? currencyOf(transaction) : entry.Amt?.Ccy) || entry.Amt?.Ccy,
+        bookedAt: dateOf(entry.BookgDt),
+        valueDate: dateOf(entry.ValDt),
+        remittanceInfo: remittanceInfo || undefined,
+        endToEndId: endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : undefined,
+        payer: {
+          name: text(parties.Dbtr?.Nm) || text(parties.Dbtr?.Pty?.Nm),
+          account: accountOf(parties.DbtrAcct),
+        },
+      };
+    });
+  }
+}
+
+module.exports = new Camt053StatementParser();
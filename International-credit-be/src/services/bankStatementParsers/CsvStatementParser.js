@@ -0,0 +1,90 @@
+const csv = require('../../utils/csv');
+const { ValidationError } = require('../../utils/errors');
+
+const REQUIRED_COLUMNS = ['transaction_id', 'date', 'amount', 'currency'];
+const AMOUNT = /^-?\d+(\.\d+)?$/;
+const RAILS = ['ACH', 'SEPA', 'WIRE'];
+
+/**
+ * Bank statement exported as CSV, one booked entry per row. Required columns are
+ * `transaction_id` (the bank's reference), `date`, `amount` and `currency`; optional
+ * ones are `reference` (remittance information), `payer_name`, `payer_account`,
+ * `account` (the statement account), `value_date`, `rail` and `direction`. A row is
+ * a credit unless `direction` is DEBIT/DBIT or the amount is negative.
+ */
+class CsvStatementParser {
+  constructor() {
+    this.name = 'CSV';
+  }
+
+  parse(content) {
+    const records = csv.parse(content);
+    const missing = records.length ? REQUIRED_COLUMNS.filter(column => !(column in records[0])) : [];
+    if (missing.length) {
+      throw new ValidationError(`Statement CSV is missing the ${missing.join(', ')} column(s)`);
+    }
+
+    const entries = records.map(record => this.parseRecord(record));
+    const dates = entries.map(entry => entry.bookedAt.getTime());
+
+    return {
+      statementId: null,
+      account: entries.find(entry => entry.account)?.account || null,
+      from: dates.length ? new Date(Math.min(...dates)) : null,
+      to: dates.length ? new Date(Math.max(...dates)) : null,
+      entries,
+    };
+  }
+
+  parseRecord(record) {
+    const fail = message => {
+      throw new ValidationError(`Line ${record.line}: ${message}`);
+    };
+
+    if (!record.transaction_id) {
+      fail('transaction_id is required');
+    }
+    if (!AMOUNT.test(record.amount) || Number(record.amount) === 0) {
+      fail(`invalid amount "${record.amount}"`);
+    }
+    if (!/^[A-Za-z]{3}$/.test(record.currency)) {
+      fail(`invalid currency "${record.currency}"`);
+    }
+    const bookedAt = new Date(record.date);
+    if (Number.isNaN(bookedAt.getTime())) {
+      fail(`invalid date "${record.date}"`);
+    }
+    const valueDate = record.value_date ? new Date(record.value_date) : bookedAt;
+    if (Number.isNaN(valueDate.getTime())) {
+      fail(`invalid value_date "${record.value_date}"`);
+    }
+    const rail = record.rail ? record.rail.toUpperCase() : undefined;
+    if (rail && !RAILS.includes(rail)) {
+      fail(`rail must be one of ${RAILS.join(', ')}`);
+    }
+
+    const negative = record.amount.startsWith('-');
+    const direction = ['DEBIT', 'DBIT'].includes((record.direction || '').toUpperCase()) || negative
+      ? 'DEBIT'
+      : 'CREDIT';
+
+    return {
+      line: record.line,
+      ref: record.transaction_id,
+      account: record.account || undefined,
+      direction,
+      amount: negative ? record.amount.slice(1) : record.amount,
+      currency: record.currency.toUpperCase(),
+      bookedAt,
+      valueDate,
+      remittanceInfo: record.reference || undefined,
+      payer: {
+        name: record.payer_name || undefined,
+        account: record.payer_account || undefined,
+      },
+      rail,
+    };
+  }
+}
+
+module.exports = new CsvStatementParser();
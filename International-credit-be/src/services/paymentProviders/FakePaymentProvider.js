@@ -0,0 +1,305 @@
+const Stripe = require('stripe');
+const { v4: uuidv4 } = require('uuid');
+const { NotFoundError, ServiceUnavailableError, ValidationError } = require('../../utils/errors');
+const config = require('../../config');
+
+const fakeId = prefix => `${prefix}_fake_${uuidv4().replace(/-/g, '')}`;
+const now = () => Math.floor(Date.now() / 1000);
+const copy = object => JSON.parse(JSON.stringify(object));
+
+/**
+ * Local stand-in for Stripe, for running the payment flow without Stripe keys. Intents
+ * and refunds live in memory, so they only exist in the process that created them.
+ * Nothing happens to an intent until a test scripts it: each scripting method moves the
+ * intent on and returns the webhook Stripe would send, as `{ event, payload, signature }`
+ * signed with STRIPE_WEBHOOK_SECRET, ready for PaymentService.processWebhook or
+ * POST /payments/webhook. Confirming with the `pm_card_chargeDeclined` test card is
+ * declined outright, and failNextRefund() makes the next refund fail.
+ */
+class FakePaymentProvider {
+  constructor() {
+    this.name = 'fake';
+    // Never selectable in production
+    this.testOnly = true;
+    // Used offline, only for its webhook signing and verification
+    this.signer = new Stripe('sk_test_fake');
+    this.reset();
+  }
+
+  reset() {
+    this.intents = new Map();
+    this.disputes = new Map();
+    this.refunds = new Map();
+    this.refundFailure = null;
+  }
+
+  async createPaymentIntent(params) {
+    if (params.confirm && params.payment_method === 'pm_card_chargeDeclined') {
+      throw new Stripe.errors.StripeCardError({
+        message: 'Your card was declined.',
+        code: 'card_declined',
+        statusCode: 402,
+      });
+    }
+
+    const id = fakeId('pi');
+    const intent = {
+      id,
+      object: 'payment_intent',
+      amount: params.amount,
+      amount_received: 0,
+      currency: params.currency,
+      client_secret: `${id}_secret_${uuidv4().replace(/-/g, '')}`,
+      description: params.description,
+      metadata: { ...params.metadata },
+      payment_method: params.payment_method || null,
+      status: params.confirm ? 'processing' : 'requires_payment_method',
+      last_payment_error: null,
+      charges: { object: 'list', data: [] },
+      created: now(),
+    };
+    this.intents.set(id, intent);
+    return copy(intent);
+  }
+
+  async retrievePaymentIntent(id) {
+    const intent = this.intents.get(id);
+    if (!intent) {
+      throw new Stripe.errors.StripeInvalidRequestError({
+        message: `No such payment_intent: '${id}'`,
+        code: 'resource_missing',
+        statusCode: 404,
+      });
+    }
+    return copy(intent);
+  }
+
+  // Newest first, paged with `starting_after` like Stripe's list endpoints
+  async listPaymentIntents({ created = {}, limit = 10, starting_after: startingAfter } = {}) {
+    let data = [...this.intents.values()]
+      .filter(intent => (created.gte === undefined || intent.created >= created.gte)
+        && (created.lt === undefined || intent.created < created.lt))
+      .sort((a, b) => b.created - a.created);
+    if (startingAfter) {
+      data = data.slice(data.findIndex(intent => intent.id === startingAfter) + 1);
+    }
+
+    return {
+      object: 'list',
+      data: copy(data.slice(0, limit)),
+      has_more: data.length > limit,
+    };
+  }
+
+  async createRefund(params, options = {}) {
+    const replayed = options.idempotencyKey && this.refunds.get(options.idempotencyKey);
+    if (replayed) {
+      return copy(replayed);
+    }
+
+    const intent = this.intents.get(params.payment_intent);
+    if (!intent) {
+      throw new Stripe.errors.StripeInvalidRequestError({
+        message: `No such payment_intent: '${params.payment_intent}'`,
+        code: 'resource_missing',
+        statusCode: 404,
+      });
+    }
+    if (this.refundFailure) {
+      const message = this.refundFailure;
+      this.refundFailure = null;
+      throw new Stripe.errors.StripeInvalidRequestError({ message, code: 'refund_failed', statusCode: 400 });
+    }
+
+    const refund = this.addRefund(intent, params.amount, params);
+    if (options.idempotencyKey) {
+      this.refunds.set(options.idempotencyKey, refund);
+    }
+    return copy(refund);
+  }
+
+  constructEvent(rawBody, signature) {
+    return this.signer.webhooks.constructEvent(rawBody, signature, this.getWebhookSecret());
+  }
+
+  failNextRefund(message = 'Refund declined by the card issuer') {
+    this.refundFailure = message;
+  }
+
+  succeed(intentId, { fee = 0 } = {}) {
+    const intent = this.getIntent(intentId);
+    intent.status = 'succeeded';
+    intent.amount_received = intent.amount;
+    intent.charges.data = [{
+      id: fakeId('ch'),
+      object: 'charge',
+      amount: intent.amount,
+      amount_refunded: 0,
+      currency: intent.currency,
+      payment_intent: intent.id,
+      receipt_url: `https://pay.example.test/receipts/${intent.id}`,
+      balance_transaction: { fee },
+      refunds: { object: 'list', data: [] },
+    }];
+    return this.signEvent('payment_intent.succeeded', intent);
+  }
+
+  fail(intentId, { message = 'Your card was declined.' } = {}) {
+    const intent = this.getIntent(intentId);
+    intent.status = 'requires_payment_method';
+    intent.last_payment_error = { type: 'card_error', code: 'card_declined', message };
+    return this.signEvent('payment_intent.payment_failed', intent);
+  }
+
+  cancel(intentId) {
+    const intent = this.getIntent(intentId);
+    intent.status = 'canceled';
+    return this.signEvent('payment_intent.canceled', intent);
+  }
+
+  // `amount` in cents, defaulting to the whole charge
+  dispute(intentId, { amount, reason = 'fraudulent' } = {}) {
+    const charge = this.getCharge(intentId);
+    const dispute = {
+      id: fakeId('dp'),
+      object: 'dispute',
+      amount: amount || charge.amount,
+      currency: charge.currency,
+      charge: charge.id,
+      payment_intent: intentId,
+      reason,
+      status: 'needs_response',
+      evidence: {},
+      created: now(),
+    };
+    this.disputes.set(intentId, dispute);
+    return this.signEvent('charge.dispute.created', dispute);
+  }
+
+  withdrawDisputeFunds(intentId) {
+    return this.signEvent('charge.dispute.funds_withdrawn', this.getDispute(intentId));
+  }
+
+  closeDispute(intentId, { status = 'won' } = {}) {
+    const dispute = this.getDispute(intentId);
+    dispute.status = status;
+    return this.signEvent('charge.dispute.closed', dispute);
+  }
+
+  /**
+   * A refund made in the Stripe dashboard rather than through createRefund, so it
+   * carries no refundId. `amount` in cents, defaulting to what is left of the charge.
+   */
+  refund(intentId, { amount, reason = 'requested_by_customer' } = {}) {
+    const intent = this.getIntent(intentId);
+    this.addRefund(intent, amount, { reason });
+    return this.signEvent('charge.refunded', this.getCharge(intentId));
+  }
+
+  /**
+   * Script an event by name, for callers that receive it as data (the dev route).
+   * Amounts are in the intent's currency units rather than cents.
+   */
+  script(intentId, name, { amount, ...options } = {}) {
+    const cents = amount === undefined ? undefined : Math.round(amount * 100);
+    switch (name) {
+      case 'succeeded':
+        return this.succeed(intentId, options);
+      case 'failed':
+        return this.fail(intentId, options);
+      case 'canceled':
+        return this.cancel(intentId);
+      case 'dispute.created':
+        return this.dispute(intentId, { ...options, amount: cents });
+      case 'dispute.funds_withdrawn':
+        return this.withdrawDisputeFunds(intentId);
+      case 'dispute.closed':
+        return this.closeDispute(intentId, options);
+      case 'refunded':
+        return this.refund(intentId, { ...options, amount: cents });
+      default:
+        throw new ValidationError(`Unknown fake payment event ${name}`);
+    }
+  }
+
+  addRefund(intent, amount, { reason, metadata } = {}) {
+    const charge = this.getCharge(intent.id);
+    const remaining = charge.amount - charge.amount_refunded;
+    const refundAmount = amount || remaining;
+    if (refundAmount > remaining) {
+      throw new Stripe.errors.StripeInvalidRequestError({
+        message: `Refund amount (${refundAmount}) is greater than unrefunded amount on charge (${remaining})`,
+        code: 'amount_too_large',
+        statusCode: 400,
+      });
+    }
+
+    const refund = {
+      id: fakeId('re'),
+      object: 'refund',
+      amount: refundAmount,
+      currency: charge.currency,
+      charge: charge.id,
+      payment_intent: intent.id,
+      reason: reason || null,
+      metadata: { ...metadata },
+      status: 'succeeded',
+      created: now(),
+    };
+    charge.amount_refunded += refundAmount;
+    charge.refunded = charge.amount_refunded === charge.amount;
+    charge.refunds.data.unshift(refund);
+    return refund;
+  }
+
+  getIntent(intentId) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw new NotFoundError(`Fake payment intent ${intentId} not found`);
+    }
+    return intent;
+  }
+
+  getCharge(intentId) {
+    const [charge] = this.getIntent(intentId).charges.data;
+    if (!charge) {
+      throw new ValidationError(`Fake payment intent ${intentId} has not succeeded`);
+    }
+    return charge;
+  }
+
+  getDispute(intentId) {
+    const dispute = this.disputes.get(intentId);
+    if (!dispute) {
+      throw new ValidationError(`Fake payment intent ${intentId} has no dispute`);
+    }
+    return dispute;
+  }
+
+  getWebhookSecret() {
+    if (!config.stripe.webhookSecret) {
+      throw new ServiceUnavailableError('STRIPE_WEBHOOK_SECRET is required to sign fake webhooks');
+    }
+    return config.stripe.webhookSecret;
+  }
+
+  signEvent(type, object) {
+    const event = {
+      id: fakeId('evt'),
+      object: 'event',
+      type,
+      created: now(),
+      livemode: false,
+      data: { object: copy(object) },
+    };
+    const payload = JSON.stringify(event);
+    const signature = this.signer.webhooks.generateTestHeaderString({
+      payload,
+      secret: this.getWebhookSecret(),
+    });
+
+    return { event, payload, signature };
+  }
+}
+
+module.exports = new FakePaymentProvider();
@@ -0,0 +1,34 @@
+const Stripe = require('stripe');
+const config = require('../../config');
+
+/**
+ * Stripe itself. Errors are Stripe's own, carrying the `type` PaymentService checks.
+ */
+class StripePaymentProvider {
+  constructor() {
+    this.name = 'stripe';
+    this.client = new Stripe(config.stripe.secretKey);
+  }
+
+  createPaymentIntent(params) {
+    return this.client.paymentIntents.create(params);
+  }
+
+  retrievePaymentIntent(id) {
+    return this.client.paymentIntents.retrieve(id);
+  }
+
+  listPaymentIntents(params) {
+    return this.client.paymentIntents.list(params);
+  }
+
+  createRefund(params, options) {
+    return this.client.refunds.create(params, options);
+  }
+
+  constructEvent(rawBody, signature) {
+    return this.client.webhooks.constructEvent(rawBody, signature, config.stripe.webhookSecret);
+  }
+}
+
+module.exports = new StripePaymentProvider();
@@ -0,0 +1,81 @@
+const { ethers } = require('ethers');
+const ChainService = require('../ChainService');
+const { ServiceUnavailableError, ValidationError } = require('../../utils/errors');
+const config = require('../../config');
+
+// IC has 18 decimals and mirrors off-chain UC one to one
+const IC_DECIMALS = 18;
+
+/**
+ * Redeems UC on-chain by calling ICController.burnIc for the user's whitelisted
+ * wallet, which burns the IC and releases the matching ICBTC/ICAUT reserves to it.
+ */
+class ChainRedemptionProcessor {
+  constructor() {
+    this.name = 'ONCHAIN';
+  }
+
+  async payout(withdrawal, { onSubmitted } = {}) {
+    const { reserveManagerPrivateKey } = config.withdrawals;
+    if (!reserveManagerPrivateKey) {
+      throw new ServiceUnavailableError('RESERVE_MANAGER_PRIVATE_KEY is not configured');
+    }
+
+    const address = withdrawal.destination.walletAddress;
+    if (!ethers.isAddress(address)) {
+      throw new ValidationError(`${address} is not an EVM address`);
+    }
+
+    const signer = new ethers.Wallet(reserveManagerPrivateKey, ChainService.getProvider());
+    const controller = ChainService.getContract('ICController').connect(signer);
+
+    if (!await controller.isKycPassed(address)) {
+      throw new ValidationError(`${address} is not KYC approved on ICController`);
+    }
+
+    // The full amount is burned so the wallet's IC keeps mirroring its UC balance;
+    // the fee stays off-chain in the FEE account
+    const amount = ethers.parseUnits(withdrawal.amount, IC_DECIMALS);
+    const tx = await controller.burnIc(address, amount);
+    if (onSubmitted) {
+      await onSubmitted({ txHash: tx.hash });
+    }
+
+    const receipt = await tx.wait();
+
+    return {
+      reference: tx.hash,
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Re-read the outcome of a burnIc submitted by an earlier payout attempt. Resolves to
+   * { state: 'PAID', ... } or { state: 'FAILED', reason } once the receipt has the
+   * configured confirmations, and to null while the transaction is unmined or unknown.
+   */
+  async lookup(withdrawal) {
+    const { txHash } = withdrawal.payout || {};
+    if (!txHash) {
+      return null;
+    }
+
+    const receipt = await ChainService.getProvider().getTransactionReceipt(txHash);
+    if (!receipt || await receipt.confirmations() < config.blockchain.confirmations) {
+      return null;
+    }
+
+    if (receipt.status === 0) {
+      return { state: 'FAILED', reason: `burnIc transaction ${txHash} reverted` };
+    }
+    return {
+      state: 'PAID',
+      reference: txHash,
+      txHash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+}
+
+module.exports = new ChainRedemptionProcessor();
@@ -0,0 +1,26 @@
+const { v4: uuidv4 } = require('uuid');
+const { ServiceUnavailableError } = require('../../utils/errors');
+
+/**
+ * Local stand-in for a bank payout provider. Payouts settle immediately, except to
+ * account numbers ending in 0000, which are declined so the failure path can be exercised.
+ */
+class SimulatedFiatPayoutProcessor {
+  constructor() {
+    this.name = 'FIAT';
+  }
+
+  async payout(withdrawal) {
+    const { accountNumber } = withdrawal.destination.bankAccount;
+
+    if (accountNumber.endsWith('0000')) {
+      throw new ServiceUnavailableError('Payout declined by the receiving bank');
+    }
+
+    return {
+      reference: `sim_po_${uuidv4()}`,
+    };
+  }
+}
+
+module.exports = new SimulatedFiatPayoutProcessor();
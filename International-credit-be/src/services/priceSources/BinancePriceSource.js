@@ -0,0 +1,41 @@
+const axios = require('axios');
+const config = require('../../config');
+
+// PAXG is redeemable for one troy ounce, so PAXGUSDT stands in for XAU
+const SYMBOLS = {
+  BTC: 'BTCUSDT',
+  XAU: 'PAXGUSDT',
+};
+
+class BinancePriceSource {
+  constructor() {
+    this.name = 'binance';
+    this.client = axios.create({
+      baseURL: 'https://api.binance.com/api/v3',
+      timeout: config.pricing.requestTimeoutMs,
+    });
+  }
+
+  async fetchPrices(assets) {
+    const supported = assets.filter(asset => SYMBOLS[asset]);
+
+    return Promise.all(supported.map(async (asset) => {
+      const { data } = await this.client.get('/ticker/24hr', {
+        params: { symbol: SYMBOLS[asset] },
+      });
+      return {
+        asset,
+        price: parseFloat(data.lastPrice),
+        metadata: {
+          volume: parseFloat(data.volume),
+          high24h: parseFloat(data.highPrice),
+          low24h: parseFloat(data.lowPrice),
+          change24h: parseFloat(data.priceChangePercent),
+          rawData: { symbol: data.symbol, closeTime: data.closeTime },
+        },
+      };
+    }));
+  }
+}
+
+module.exports = new BinancePriceSource();
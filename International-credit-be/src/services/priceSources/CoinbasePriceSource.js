@@ -0,0 +1,32 @@
+const axios = require('axios');
+const config = require('../../config');
+
+// Coinbase has no gold market, so this source only quotes BTC
+const PAIRS = {
+  BTC: 'BTC-USD',
+};
+
+class CoinbasePriceSource {
+  constructor() {
+    this.name = 'coinbase';
+    this.client = axios.create({
+      baseURL: 'https://api.coinbase.com/v2',
+      timeout: config.pricing.requestTimeoutMs,
+    });
+  }
+
+  async fetchPrices(assets) {
+    const supported = assets.filter(asset => PAIRS[asset]);
+
+    return Promise.all(supported.map(async (asset) => {
+      const { data } = await this.client.get(`/prices/${PAIRS[asset]}/spot`);
+      return {
+        asset,
+        price: parseFloat(data.data.amount),
+        metadata: { rawData: data.data },
+      };
+    }));
+  }
+}
+
+module.exports = new CoinbasePriceSource();
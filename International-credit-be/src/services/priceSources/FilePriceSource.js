@@ -0,0 +1,26 @@
+const fs = require('fs');
+const config = require('../../config');
+
+/**
+ * Reads prices from a JSON file ({ "BTC": 65000, "XAU": 2400 }) on every poll,
+ * so offline and test setups can move prices by editing the file.
+ */
+class FilePriceSource {
+  constructor() {
+    this.name = 'fixture';
+  }
+
+  async fetchPrices(assets) {
+    const prices = JSON.parse(await fs.promises.readFile(config.pricing.fixtureFile, 'utf8'));
+
+    return assets
+      .filter(asset => typeof prices[asset] === 'number')
+      .map(asset => ({
+        asset,
+        price: prices[asset],
+        metadata: { rawData: { file: config.pricing.fixtureFile } },
+      }));
+  }
+}
+
+module.exports = new FilePriceSource();
@@ -0,0 +1,36 @@
+const axios = require('axios');
+const { ServiceUnavailableError } = require('../../utils/errors');
+const config = require('../../config');
+
+class GoldApiPriceSource {
+  constructor() {
+    this.name = 'goldapi';
+    this.client = axios.create({
+      baseURL: 'https://www.goldapi.io/api',
+      timeout: config.pricing.requestTimeoutMs,
+      headers: { 'x-access-token': config.pricing.goldApiKey },
+    });
+  }
+
+  async fetchPrices(assets) {
+    if (!config.pricing.goldApiKey) {
+      throw new ServiceUnavailableError('GOLDAPI_KEY is not configured');
+    }
+
+    return Promise.all(assets.map(async (asset) => {
+      const { data } = await this.client.get(`/${asset}/USD`);
+      return {
+        asset,
+        price: parseFloat(data.price),
+        metadata: {
+          high24h: data.high_price,
+          low24h: data.low_price,
+          change24h: data.chp,
+          rawData: { timestamp: data.timestamp },
+        },
+      };
+    }));
+  }
+}
+
+module.exports = new GoldApiPriceSource();
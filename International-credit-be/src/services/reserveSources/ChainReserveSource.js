@@ -0,0 +1,82 @@
+const { ethers } = require('ethers');
+const ChainService = require('../ChainService');
+const { Config } = require('../../models');
+const { ServiceUnavailableError } = require('../../utils/errors');
+
+// ICBTC/ICAUT use the ERC20 default of 18 decimals; MockOracle prices carry 8
+const RESERVE_DECIMALS = 18;
+const PRICE_DECIMALS = 8;
+
+const toNumber = (value, decimals) => parseFloat(ethers.formatUnits(value, decimals));
+
+/**
+ * Reads allocated reserves from ICController and prices from the oracle it is wired to.
+ * Cash is held off-chain, so it still comes from Config.reservesData.
+ */
+class ChainReserveSource {
+  constructor() {
+    this.name = 'chain';
+  }
+
+  async read() {
+    const controller = ChainService.getContract('ICController');
+
+    // Pin every call to one block so quantities and prices are consistent
+    const block = await ChainService.getProvider().getBlock('latest');
+    const overrides = { blockTag: block.number };
+
+    const oracleAddress = await controller.oracle(overrides);
+    const oracle = ChainService.getContract('MockOracle', oracleAddress);
+
+    const [reserveInfo, available, prices, systemConfig] = await Promise.all([
+      controller.getReserveInfo(overrides),
+      controller.getAvailableReserves(overrides),
+      oracle.getPrices(overrides),
+      Config.getConfig(),
+    ]);
+
+    if (prices.btc === 0n || prices.gold === 0n) {
+      throw new ServiceUnavailableError('Oracle returned zero prices');
+    }
+
+    // Only called once prices are known to be set, otherwise it reverts
+    const totalValue = await controller.getTotalReserveValue(overrides);
+
+    const asset = (quantity, availableQuantity, price) => {
+      const priceUSD = toNumber(price, PRICE_DECIMALS);
+      const units = toNumber(quantity, RESERVE_DECIMALS);
+      return {
+        quantity: units,
+        available: toNumber(availableQuantity, RESERVE_DECIMALS),
+        priceUSD,
+        valueUSD: units * priceUSD,
+        source: this.name,
+        blockNumber: block.number,
+      };
+    };
+
+    return {
+      reserves: {
+        BBT: asset(reserveInfo.icbtcReserves, available.availableIcbtc, prices.btc),
+        GBT: asset(reserveInfo.icautReserves, available.availableIcaut, prices.gold),
+        cash: {
+          valueUSD: systemConfig.reservesData.cashValue,
+          source: 'manual',
+        },
+      },
+      source: {
+        name: this.name,
+        blockNumber: block.number,
+        blockHash: block.hash,
+        blockTimestamp: new Date(block.timestamp * 1000),
+        contracts: {
+          ICController: (await controller.getAddress()).toLowerCase(),
+          MockOracle: oracleAddress.toLowerCase(),
+        },
+        onChainTotalValueUSD: toNumber(totalValue, RESERVE_DECIMALS),
+      },
+    };
+  }
+}
+
+module.exports = new ChainReserveSource();
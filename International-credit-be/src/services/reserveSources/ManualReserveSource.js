@@ -0,0 +1,45 @@
+const { Config } = require('../../models');
+const PricingService = require('../PricingService');
+
+/**
+ * Reserve quantities maintained by admins in Config.reservesData, priced with the
+ * aggregated price feed, or Config.fxTable when the feed is stale.
+ * Used when no chain is available and as the last-resort fallback.
+ */
+class ManualReserveSource {
+  constructor() {
+    this.name = 'manual';
+  }
+
+  async read() {
+    const systemConfig = await Config.getConfig();
+    const { bbtQuantity, gbtQuantity, cashValue } = systemConfig.reservesData;
+    const [btcPrice, xauPrice] = await Promise.all([
+      PricingService.getReferencePrice('BTC'),
+      PricingService.getReferencePrice('XAU'),
+    ]);
+
+    const asset = (quantity, priceUSD) => ({
+      quantity,
+      priceUSD,
+      valueUSD: quantity * priceUSD,
+      source: this.name,
+    });
+
+    return {
+      reserves: {
+        BBT: asset(bbtQuantity, btcPrice || systemConfig.fxTable.BTC),
+        GBT: asset(gbtQuantity, xauPrice || systemConfig.fxTable.XAU),
+        cash: {
+          valueUSD: cashValue,
+          source: this.name,
+        },
+      },
+      source: {
+        name: this.name,
+      },
+    };
+  }
+}
+
+module.exports = new ManualReserveSource();
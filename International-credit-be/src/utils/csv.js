@@ -0,0 +1,94 @@
+const { ValidationError } = require('./errors');
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and "" for a literal quote.
+// Each row is its cells plus `line`, the 1-based line it starts on.
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  // Blank lines carry no data
+  return rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by the lower-cased header
+ * names. Each object also gets `line`, its 1-based line in the file.
+ */
+const parse = (text) => {
+  const [header, ...rows] = parseRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new ValidationError('CSV is empty');
+  }
+
+  const columns = header.cells.map(name => name.trim().toLowerCase());
+  return rows.map(({ cells, line }) => {
+    const record = { line };
+    columns.forEach((column, position) => {
+      record[column] = (cells[position] ?? '').trim();
+    });
+    return record;
+  });
+};
+
+const escapeField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text for `records`, with `columns` as the header and field order
+const stringify = (columns, records) =>
+  [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(fields => fields.map(escapeField).join(','))
+    .join('\r\n') + '\r\n';
+
+module.exports = {
+  parse,
+  stringify,
+};
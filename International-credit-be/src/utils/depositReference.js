@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Crockford base32: no I, L, O or U, so references survive being read out or retyped
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const PREFIX = 'UC';
+const BODY_LENGTH = 8;
+const LENGTH = PREFIX.length + BODY_LENGTH + 1;
+
+// Weighted sum mod 31: catches one mistyped character or two swapped neighbours,
+// unless the two characters involved are 0 and Z
+const checkCharacter = (body) => {
+  let total = 0;
+  for (let i = 0; i < body.length; i += 1) {
+    total += (i + 1) * ALPHABET.indexOf(body[i]);
+  }
+  return ALPHABET[total % 31];
+};
+
+/**
+ * A new bank deposit reference: UC, eight random characters and a check character,
+ * e.g. UC7K3M9Q2XH.
+ */
+const generate = () => {
+  const bytes = crypto.randomBytes(BODY_LENGTH);
+  const body = Array.from(bytes, byte => ALPHABET[byte % ALPHABET.length]).join('');
+  return `${PREFIX}${body}${checkCharacter(body)}`;
+};
+
+const isValid = (reference) => {
+  const body = reference.slice(PREFIX.length, -1);
+  return reference.length === LENGTH
+    && reference.startsWith(PREFIX)
+    && [...body].every(char => ALPHABET.includes(char))
+    && checkCharacter(body) === reference[reference.length - 1];
+};
+
+/**
+ * Valid deposit references found in free text such as remittance information. Banks
+ * and payers add spaces and dashes, and letters get read as lookalike digits, so the
+ * text is compacted and O, I and L are read as 0, 1 and 1 before checking each
+ * candidate's check character.
+ */
+const extract = (text) => {
+  const compact = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const found = new Set();
+
+  for (let start = compact.indexOf(PREFIX); start !== -1; start = compact.indexOf(PREFIX, start + 1)) {
+    const candidate = PREFIX + compact
+      .slice(start + PREFIX.length, start + LENGTH)
+      .replace(/O/g, '0')
+      .replace(/[IL]/g, '1');
+    if (isValid(candidate)) {
+      found.add(candidate);
+    }
+  }
+
+  return [...found];
+};
+
+module.exports = {
+  generate,
+  isValid,
+  extract,
+};
@@ -0,0 +1,48 @@
+const { ethers } = require('ethers');
+
+// Sorted-pair keccak256 tree, compatible with OpenZeppelin's MerkleProof: proofs
+// are plain sibling lists and need no left/right flags.
+const hashPair = (a, b) =>
+  ethers.keccak256(ethers.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]));
+
+// An unpaired node at the end of a level is promoted unchanged
+const buildLayers = (leaves) => {
+  const layers = [leaves];
+
+  while (layers[layers.length - 1].length > 1) {
+    const level = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    layers.push(next);
+  }
+
+  return layers;
+};
+
+const getRoot = (leaves) => (leaves.length ? buildLayers(leaves).pop()[0] : ethers.ZeroHash);
+
+const getProof = (leaves, index) => {
+  const layers = buildLayers(leaves);
+  const proof = [];
+
+  for (let level = 0; level < layers.length - 1; level += 1) {
+    const sibling = index ^ 1;
+    if (sibling < layers[level].length) {
+      proof.push(layers[level][sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+};
+
+const verifyProof = (leaf, proof, root) => proof.reduce(hashPair, leaf) === root;
+
+module.exports = {
+  hashPair,
+  getRoot,
+  getProof,
+  verifyProof,
+};
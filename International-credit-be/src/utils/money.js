@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const BigNumber = require('bignumber.js');
+const config = require('../config');
+const { ValidationError } = require('./errors');
+
+// Own copy so settings other packages apply to the global BigNumber don't leak in
+const Decimal = BigNumber.clone({ EXPONENTIAL_AT: 1e9 });
+
+const ROUNDING_MODES = {
+  ROUND_UP: Decimal.ROUND_UP,
+  ROUND_DOWN: Decimal.ROUND_DOWN,
+  ROUND_HALF_UP: Decimal.ROUND_HALF_UP,
+  ROUND_HALF_DOWN: Decimal.ROUND_HALF_DOWN,
+  ROUND_HALF_EVEN: Decimal.ROUND_HALF_EVEN,
+};
+
+const roundingMode = () => {
+  const mode = ROUNDING_MODES[config.ledger.roundingMode];
+  if (mode === undefined) {
+    throw new Error(`Unknown ledger rounding mode ${config.ledger.roundingMode}`);
+  }
+  return mode;
+};
+
+/**
+ * Parse an amount from a string, number, Decimal128 or Decimal. Numbers are read
+ * from their shortest decimal form, so 0.1 becomes exactly 0.1.
+ */
+const toDecimal = (value) => {
+  if (value instanceof Decimal) {
+    return value;
+  }
+  if (value === null || value === undefined || value === '') {
+    return new Decimal(0);
+  }
+
+  const decimal = new Decimal(typeof value === 'object' ? value.toString() : value);
+  if (!decimal.isFinite()) {
+    throw new ValidationError(`Invalid amount: ${value}`);
+  }
+  return decimal;
+};
+
+const scaleOf = asset => config.ledger.scales[asset] ?? config.ledger.defaultScale;
+
+// Round to the asset's scale using the configured rounding mode unless one is given
+const roundAmount = (value, asset, mode = roundingMode()) =>
+  toDecimal(value).decimalPlaces(scaleOf(asset), mode);
+
+// Fixed-point string at the asset's scale, e.g. "12.50000000" for UC
+const formatAmount = (value, asset) => roundAmount(value, asset).toFixed(scaleOf(asset));
+
+// Amounts with more decimals than the asset carries are refused rather than rounded
+const assertScale = (value, asset) => {
+  const decimal = toDecimal(value);
+  if (decimal.decimalPlaces() > scaleOf(asset)) {
+    throw new ValidationError(`${asset} amounts have at most ${scaleOf(asset)} decimal places: ${decimal.toFixed()}`);
+  }
+  return decimal;
+};
+
+const sum = values => values.reduce((total, value) => total.plus(toDecimal(value)), new Decimal(0));
+
+// `bps` basis points of `amount`, rounded to the asset's scale
+const applyBps = (amount, bps, asset) => roundAmount(toDecimal(amount).times(bps).div(10000), asset);
+
+const toDecimal128 = value => mongoose.Types.Decimal128.fromString(toDecimal(value).toFixed());
+
+// Schema getter: Decimal128 to a plain decimal string ("0.00000001" rather than "1E-8")
+const decimal128ToString = value => (value ? toDecimal(value).toFixed() : '0');
+
+module.exports = {
+  Decimal,
+  toDecimal,
+  scaleOf,
+  roundAmount,
+  formatAmount,
+  assertScale,
+  sum,
+  applyBps,
+  toDecimal128,
+  decimal128ToString,
+};
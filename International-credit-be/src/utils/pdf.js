@@ -0,0 +1,83 @@
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const CELL_PADDING = 3;
+
+/**
+ * Render a tabular report as a PDF. `columns` are `{ key, label, width?, align? }`,
+ * where width is a share of the page width (columns without one split the rest).
+ * Rows with `_bold` set are printed in bold, for headings and totals. The header row
+ * repeats on every page. Resolves with the PDF as a Buffer.
+ */
+const renderTable = ({ title, subtitle, columns, rows, landscape = false }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: landscape ? 'landscape' : 'portrait',
+      margin: MARGIN,
+      info: { Title: title },
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const pageWidth = doc.page.width - MARGIN * 2;
+    const fixed = columns.reduce((total, column) => total + (column.width || 0), 0);
+    const flexible = columns.filter(column => !column.width).length;
+    const widths = columns.map(column =>
+      (column.width || (1 - fixed) / flexible) * pageWidth);
+
+    const rowHeight = (cells, bold) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(FONT_SIZE);
+      return Math.max(...cells.map((cell, i) =>
+        doc.heightOfString(cell, { width: widths[i] - CELL_PADDING * 2 }))) + CELL_PADDING * 2;
+    };
+
+    const drawRow = (cells, bold) => {
+      const height = rowHeight(cells, bold);
+      let x = MARGIN;
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(FONT_SIZE);
+      cells.forEach((cell, i) => {
+        doc.text(cell, x + CELL_PADDING, y + CELL_PADDING, {
+          width: widths[i] - CELL_PADDING * 2,
+          align: columns[i].align || 'left',
+        });
+        x += widths[i];
+      });
+      doc.moveTo(MARGIN, y + height).lineTo(MARGIN + pageWidth, y + height)
+        .lineWidth(0.25).strokeColor('#cccccc').stroke();
+      doc.x = MARGIN;
+      doc.y = y + height;
+    };
+
+    const header = columns.map(column => column.label);
+    const bottom = () => doc.page.height - MARGIN;
+
+    doc.font('Helvetica-Bold').fontSize(14).text(title);
+    if (subtitle) {
+      doc.font('Helvetica').fontSize(9).fillColor('#555555').text(subtitle).fillColor('black');
+    }
+    doc.moveDown();
+    drawRow(header, true);
+
+    for (const row of rows) {
+      const cells = columns.map(column => {
+        const value = row[column.key];
+        return value === null || value === undefined ? '' : String(value);
+      });
+      if (doc.y + rowHeight(cells, row._bold) > bottom()) {
+        doc.addPage();
+        drawRow(header, true);
+      }
+      drawRow(cells, row._bold);
+    }
+
+    doc.end();
+  });
+
+module.exports = {
+  renderTable,
+};
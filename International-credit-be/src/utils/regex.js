@@ -0,0 +1,6 @@
+// Escape user input for use as a literal inside a $regex or RegExp
+const escapeRegex = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex,
+};
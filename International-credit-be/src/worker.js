@@ -10,6 +10,12 @@ const reconciliationProcessor = require('./workers/reconciliationProcessor');
 const invariantProcessor = require('./workers/invariantProcessor');
 const reservesProcessor = require('./workers/reservesProcessor');
 const cleanupProcessor = require('./workers/cleanupProcessor');
+const governanceProcessor = require('./workers/governanceProcessor');
+const chainIndexerProcessor = require('./workers/chainIndexerProcessor');
+const pricingProcessor = require('./workers/pricingProcessor');
+const withdrawalProcessor = require('./workers/withdrawalProcessor');
+const scheduledTransferProcessor = require('./workers/scheduledTransferProcessor');
+const payoutBatchProcessor = require('./workers/payoutBatchProcessor');
 
 class WorkerService {
   constructor() {
@@ -29,6 +35,12 @@ class WorkerService {
       this.queues.invariants = new Queue('ledger invariants', config.redis.url);
       this.queues.reserves = new Queue('reserves snapshots', config.redis.url);
       this.queues.cleanup = new Queue('data cleanup', config.redis.url);
+      this.queues.governance = new Queue('governance lifecycle', config.redis.url);
+      this.queues.chain = new Queue('chain indexing', config.redis.url);
+      this.queues.pricing = new Queue('price feeds', config.redis.url);
+      this.queues.withdrawals = new Queue('withdrawal payouts', config.redis.url);
+      this.queues.scheduledTransfers = new Queue('scheduled transfers', config.redis.url);
+      this.queues.payouts = new Queue('payout batches', config.redis.url);
 
       // Set up job processors
       this.setupProcessors();
@@ -59,16 +71,19 @@ class WorkerService {
     this.queues.notifications.process('send-bulk-push-notification', 5, notificationProcessor.sendBulkPushNotification);
     this.queues.notifications.process('send-topic-notification', 10, notificationProcessor.sendTopicNotification);
 
-    // Payment reconciliation
+    // Payment and chain reconciliation
     this.queues.reconciliation.process('daily-reconciliation', reconciliationProcessor.dailyReconciliation);
     this.queues.reconciliation.process('stripe-reconciliation', reconciliationProcessor.stripeReconciliation);
+    this.queues.reconciliation.process('chain-reconciliation', reconciliationProcessor.chainReconciliation);
 
     // Ledger invariants
     this.queues.invariants.process('check-invariants', invariantProcessor.checkInvariants);
     this.queues.invariants.process('fix-balance-discrepancy', invariantProcessor.fixBalanceDiscrepancy);
+    this.queues.invariants.process('expire-holds', invariantProcessor.expireHolds);
 
     // Reserves snapshots
-    this.queues.reserves.process('create-snapshot', reservesProcessor.createSnapshot);
+    // Bound because createSnapshot calls its sibling methods through `this`
+    this.queues.reserves.process('create-snapshot', reservesProcessor.createSnapshot.bind(reservesProcessor));
     this.queues.reserves.process('update-collateral-ratio', reservesProcessor.updateCollateralRatio);
 
     // Data cleanup
@@ -76,6 +91,25 @@ class WorkerService {
     this.queues.cleanup.process('cleanup-expired-tokens', cleanupProcessor.cleanupExpiredTokens);
     this.queues.cleanup.process('cleanup-old-receipts', cleanupProcessor.cleanupOldReceipts);
 
+    // Governance proposal lifecycle
+    this.queues.governance.process('process-proposals', governanceProcessor.processProposals);
+
+    // On-chain event indexing
+    this.queues.chain.process('index-governance', chainIndexerProcessor.indexGovernance);
+    this.queues.chain.process('index-events', chainIndexerProcessor.indexEvents);
+
+    // Price feed aggregation
+    this.queues.pricing.process('update-prices', pricingProcessor.updatePrices);
+
+    // Withdrawal payouts
+    this.queues.withdrawals.process('process-withdrawals', withdrawalProcessor.processWithdrawals);
+
+    // Scheduled and recurring transfers
+    this.queues.scheduledTransfers.process('process-scheduled-transfers', scheduledTransferProcessor.processScheduledTransfers);
+
+    // Approved treasury payout batches
+    this.queues.payouts.process('process-payout-batches', payoutBatchProcessor.processPayoutBatches);
+
     logger.info('Job processors registered');
   }
 
@@ -87,6 +121,13 @@ class WorkerService {
       removeOnFail: 20,
     });
 
+    // On-chain IC vs off-chain UC reconciliation every hour
+    this.queues.reconciliation.add('chain-reconciliation', {}, {
+      repeat: { cron: '30 * * * *' },
+      removeOnComplete: 10,
+      removeOnFail: 20,
+    });
+
     // Ledger invariants check every hour
     this.queues.invariants.add('check-invariants', {}, {
       repeat: { cron: '0 * * * *' },
@@ -94,6 +135,13 @@ class WorkerService {
       removeOnFail: 10,
     });
 
+    // Release ledger holds past their expiry
+    this.queues.invariants.add('expire-holds', {}, {
+      repeat: { every: config.holds.expireIntervalMs },
+      removeOnComplete: 10,
+      removeOnFail: 20,
+    });
+
     // Reserves snapshot every 15 minutes
     this.queues.reserves.add('create-snapshot', {}, {
       repeat: { cron: '*/15 * * * *' },
@@ -120,6 +168,55 @@ class WorkerService {
       removeOnFail: 5,
     });
 
+    // Proposal activation, closing and execution every minute
+    this.queues.governance.add('process-proposals', {}, {
+      repeat: { cron: '* * * * *' },
+      removeOnComplete: 10,
+      removeOnFail: 20,
+    });
+
+    // Follow GovernanceController events; each run resumes from its checkpoint
+    this.queues.chain.add('index-governance', {}, {
+      repeat: { every: config.blockchain.pollIntervalMs },
+      removeOnComplete: 10,
+      removeOnFail: 20,
+    });
+
+    // Token, mint/burn and staking events from config.blockchain.indexedEvents
+    this.queues.chain.add('index-events', {}, {
+      repeat: { every: config.blockchain.pollIntervalMs },
+      removeOnComplete: 10,
+      removeOnFail: 20,
+    });
+
+    // Poll price sources and refresh the aggregated feed
+    this.queues.pricing.add('update-prices', {}, {
+      repeat: { every: config.pricing.pollIntervalMs },
+      removeOnComplete: 10,
+      removeOnFail: 20,
+    });
+
+    // Pay out approved withdrawals
+    this.queues.withdrawals.add('process-withdrawals', {}, {
+      repeat: { every: config.withdrawals.processIntervalMs },
+      removeOnComplete: 10,
+      removeOnFail: 20,
+    });
+
+    // Run scheduled transfers that have fallen due
+    this.queues.scheduledTransfers.add('process-scheduled-transfers', {}, {
+      repeat: { every: config.scheduledTransfers.processIntervalMs },
+      removeOnComplete: 10,
+      removeOnFail: 20,
+    });
+
+    // Post payout batches treasury has approved
+    this.queues.payouts.add('process-payout-batches', {}, {
+      repeat: { every: config.payouts.processIntervalMs },
+      removeOnComplete: 10,
+      removeOnFail: 20,
+    });
+
     logger.info('Recurring jobs scheduled');
   }
 
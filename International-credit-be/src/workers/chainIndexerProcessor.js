@@ -0,0 +1,40 @@
+const GovernanceIndexerService = require('../services/GovernanceIndexerService');
+const ChainEventIndexerService = require('../services/ChainEventIndexerService');
+const logger = require('../utils/logger');
+
+class ChainIndexerProcessor {
+  async indexGovernance(job) {
+    try {
+      const result = await GovernanceIndexerService.sync();
+
+      if (result.processed || result.reorg) {
+        logger.info('Governance events indexed', result);
+      }
+
+      return {
+        success: true,
+        ...result,
+      };
+    } catch (error) {
+      logger.error('Governance event indexing failed', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  async indexEvents(job) {
+    const result = await ChainEventIndexerService.sync();
+
+    if (result.processed || result.reorgs || result.failed) {
+      logger.info('Chain events indexed', result);
+    }
+
+    return {
+      success: result.failed === 0,
+      ...result,
+    };
+  }
+}
+
+module.exports = new ChainIndexerProcessor();
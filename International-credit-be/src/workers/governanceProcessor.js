@@ -0,0 +1,26 @@
+const GovernanceService = require('../services/GovernanceService');
+const logger = require('../utils/logger');
+
+class GovernanceProcessor {
+  async processProposals(job) {
+    try {
+      const results = await GovernanceService.processScheduledTransitions();
+
+      if (results.activated || results.finalized || results.executed || results.failed) {
+        logger.info('Governance proposals processed', results);
+      }
+
+      return {
+        success: true,
+        ...results,
+      };
+    } catch (error) {
+      logger.error('Governance proposal processing failed', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new GovernanceProcessor();
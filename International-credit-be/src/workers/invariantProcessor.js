@@ -1,6 +1,7 @@
 const LedgerService = require('../services/LedgerService');
 const { AuditLog } = require('../models');
 const logger = require('../utils/logger');
+const { toDecimal, sum } = require('../utils/money');
 
 class InvariantProcessor {
   async checkInvariants(job) {
@@ -79,6 +80,26 @@ class InvariantProcessor {
     }
   }
 
+  async expireHolds(job) {
+    try {
+      const result = await LedgerService.expireHolds();
+
+      if (result.expired > 0) {
+        logger.info('Expired ledger holds released', result);
+      }
+
+      return {
+        success: true,
+        ...result,
+      };
+    } catch (error) {
+      logger.error('Hold expiry failed', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   async fixBalanceDiscrepancy(job) {
     const { accountId, userId, asset, difference } = job.data;
 
@@ -96,14 +117,15 @@ class InvariantProcessor {
       // Update the balance record
       const updatedBalance = await LedgerService.updateBalance(accountId);
 
-      const actualDifference = Math.abs(updatedBalance - calculatedBalance);
+      const actualDifference = updatedBalance.minus(calculatedBalance).abs().toFixed();
+      const newBalance = updatedBalance.toFixed();
 
-      if (actualDifference < 0.00000001) { // Essentially zero
+      if (updatedBalance.eq(calculatedBalance)) {
         logger.info('Balance discrepancy fixed successfully', {
           accountId,
           userId,
           asset,
-          newBalance: updatedBalance,
+          newBalance,
         });
 
         await AuditLog.logAction({
@@ -115,7 +137,7 @@ class InvariantProcessor {
             userId,
             asset,
             oldDifference: difference,
-            newBalance: updatedBalance,
+            newBalance,
             notes: 'Balance discrepancy automatically fixed',
           },
           result: { success: true },
@@ -125,8 +147,8 @@ class InvariantProcessor {
           success: true,
           accountId,
           fixed: true,
-          newBalance: updatedBalance,
-          difference: 0,
+          newBalance,
+          difference: '0',
         };
       } else {
         // Still has discrepancy - might need manual intervention
@@ -200,16 +222,10 @@ class InvariantProcessor {
         throw new Error(`Journal not found: ${journalId}`);
       }
 
-      let totalDebits = 0;
-      let totalCredits = 0;
-
-      for (const entry of entries) {
-        totalDebits += entry.debit || 0;
-        totalCredits += entry.credit || 0;
-      }
-
-      const difference = Math.abs(totalDebits - totalCredits);
-      const isBalanced = difference < 0.00000001;
+      const totalDebits = sum(entries.map(entry => entry.debit)).toFixed();
+      const totalCredits = sum(entries.map(entry => entry.credit)).toFixed();
+      const difference = toDecimal(totalDebits).minus(totalCredits).abs().toFixed();
+      const isBalanced = toDecimal(difference).isZero();
 
       if (!isBalanced) {
         logger.error('Journal integrity violation', {
@@ -0,0 +1,26 @@
+const PayoutService = require('../services/PayoutService');
+const logger = require('../utils/logger');
+
+class PayoutBatchProcessor {
+  async processPayoutBatches(job) {
+    try {
+      const result = await PayoutService.processApprovedBatches();
+
+      if (result.completed || result.partial || result.failed) {
+        logger.info('Payout batches processed', result);
+      }
+
+      return {
+        success: true,
+        ...result,
+      };
+    } catch (error) {
+      logger.error('Payout batch processing failed', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new PayoutBatchProcessor();
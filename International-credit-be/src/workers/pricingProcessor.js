@@ -0,0 +1,28 @@
+const PricingService = require('../services/PricingService');
+const logger = require('../utils/logger');
+
+class PricingProcessor {
+  async updatePrices(job) {
+    try {
+      const result = await PricingService.updatePrices();
+
+      logger.info('Price feeds updated', {
+        prices: result.prices,
+        failedSources: result.polled.filter(r => r.error).map(r => r.source),
+        keeperUpdates: result.keeper && result.keeper.updates ? result.keeper.updates.length : 0,
+      });
+
+      return {
+        success: Object.keys(result.prices).length > 0,
+        ...result,
+      };
+    } catch (error) {
+      logger.error('Price feed update failed', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new PricingProcessor();
@@ -1,5 +1,5 @@
-const PaymentService = require('../services/PaymentService');
-const { AuditLog } = require('../models');
+const PaymentReconciliationService = require('../services/PaymentReconciliationService');
+const ChainReconciliationService = require('../services/ChainReconciliationService');
 const logger = require('../utils/logger');
 
 class ReconciliationProcessor {
@@ -7,107 +7,63 @@ class ReconciliationProcessor {
     const { date } = job.data;
     const reconciliationDate = date ? new Date(date) : new Date(Date.now() - 24 * 60 * 60 * 1000); // Yesterday
 
-    try {
-      logger.info('Starting daily reconciliation', {
-        date: reconciliationDate.toISOString(),
-      });
-
-      // Perform Stripe reconciliation
-      const reconciliation = await PaymentService.reconcilePayments(
-        'system', // System user ID would be used here
-        reconciliationDate
-      );
-
-      // Log any discrepancies
-      if (reconciliation.discrepancies.length > 0) {
-        logger.warn('Payment discrepancies found', {
-          date: reconciliationDate.toISOString(),
-          discrepancyCount: reconciliation.discrepancies.length,
-          discrepancies: reconciliation.discrepancies,
-        });
-
-        // Create audit log for discrepancies
-        await AuditLog.logAction({
-          actor: null,
-          role: 'system',
-          action: 'RECONCILIATION_DISCREPANCY',
-          object: { type: 'Payment', identifier: 'daily_reconciliation' },
-          metadata: {
-            date: reconciliationDate.toISOString(),
-            discrepancyCount: reconciliation.discrepancies.length,
-            discrepancies: reconciliation.discrepancies,
-            notes: 'Daily payment reconciliation found discrepancies',
-          },
-          result: { success: false },
-        });
-      }
-
-      logger.info('Daily reconciliation completed', {
-        date: reconciliationDate.toISOString(),
-        localCount: reconciliation.localCount,
-        stripeCount: reconciliation.stripeCount,
-        discrepancyCount: reconciliation.discrepancies.length,
-      });
+    // Failures are stored as ERROR reports by the service before rethrowing
+    const report = await PaymentReconciliationService.run({ date: reconciliationDate });
 
-      return {
-        success: true,
-        date: reconciliationDate.toISOString(),
-        ...reconciliation,
-      };
-    } catch (error) {
-      logger.error('Daily reconciliation failed', {
-        date: reconciliationDate.toISOString(),
-        error: error.message,
-      });
-
-      await AuditLog.logAction({
-        actor: null,
-        role: 'system',
-        action: 'RECONCILIATION_ERROR',
-        object: { type: 'Payment', identifier: 'daily_reconciliation' },
-        metadata: {
-          date: reconciliationDate.toISOString(),
-          error: error.message,
-          notes: 'Daily payment reconciliation failed',
-        },
-        result: { success: false, error: error.message },
-      });
-
-      throw error;
-    }
+    return {
+      success: true,
+      reportId: report._id,
+      date: report.from.toISOString(),
+      status: report.status,
+      totals: report.totals,
+      exceptionCount: report.summary.exceptionCount,
+      newCount: report.summary.newCount,
+      clearedCount: report.summary.clearedCount,
+    };
   }
 
   async stripeReconciliation(job) {
     const { startDate, endDate, adminId } = job.data;
 
-    try {
-      logger.info('Starting Stripe reconciliation', {
-        startDate,
-        endDate,
-        adminId,
-      });
+    logger.info('Starting Stripe reconciliation', {
+      startDate,
+      endDate,
+      adminId,
+    });
 
-      const reconciliation = await PaymentService.reconcilePayments(
-        adminId || 'system',
-        new Date(startDate)
-      );
+    // One report per day of the period
+    const reports = [];
+    const day = new Date(startDate);
+    const last = new Date(endDate || startDate);
+    do {
+      reports.push(await PaymentReconciliationService.run({ date: new Date(day), adminId }));
+      day.setDate(day.getDate() + 1);
+    } while (day <= last);
 
-      // Additional Stripe-specific checks could be added here
-      // Such as checking for refunds, disputes, etc.
+    return {
+      success: true,
+      period: { startDate, endDate },
+      reports: reports.map(report => ({
+        reportId: report._id,
+        date: report.from.toISOString(),
+        status: report.status,
+        exceptionCount: report.summary.exceptionCount,
+      })),
+    };
+  }
 
-      return {
-        success: true,
-        period: { startDate, endDate },
-        ...reconciliation,
-      };
-    } catch (error) {
-      logger.error('Stripe reconciliation failed', {
-        startDate,
-        endDate,
-        error: error.message,
-      });
-      throw error;
-    }
+  async chainReconciliation(job) {
+    // Failures are stored as ERROR reports by the service before rethrowing
+    const report = await ChainReconciliationService.run();
+
+    return {
+      success: report.status !== 'ERROR',
+      reportId: report._id,
+      status: report.status,
+      blockNumber: report.blockNumber,
+      discrepancyCount: report.summary.discrepancyCount,
+      criticalCount: report.summary.criticalCount,
+    };
   }
 
   async webhookReconciliation(job) {
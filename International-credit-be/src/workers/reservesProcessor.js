@@ -1,4 +1,6 @@
-const { ReservesSnapshot, Balance, Account, Config } = require('../models');
+const { ReservesSnapshot, Balance, Config } = require('../models');
+const ReservesService = require('../services/ReservesService');
+const ProofOfReservesService = require('../services/ProofOfReservesService');
 const config = require('../config');
 const logger = require('../utils/logger');
 
@@ -7,8 +9,8 @@ class ReservesProcessor {
     try {
       logger.info('Creating reserves snapshot');
 
-      // Get current reserves data (mocked for MVP)
-      const reservesData = await this.calculateReserves();
+      // Get current reserves from the configured source
+      const { reserves: reservesData, source } = await this.calculateReserves();
       
       // Get UC supply
       const ucSupply = await this.calculateUCSupply();
@@ -17,11 +19,12 @@ class ReservesProcessor {
       const ratios = this.calculateRatios(reservesData, ucSupply);
       
       // Determine health status
-      const health = this.assessHealth(ratios);
+      const health = await this.assessHealth(ratios, source);
 
       const snapshot = new ReservesSnapshot({
         timestamp: new Date(),
         reserves: reservesData,
+        source,
         supply: {
           UC: ucSupply,
         },
@@ -30,6 +33,9 @@ class ReservesProcessor {
         calculatedBy: 'system',
       });
 
+      // Publish a Merkle root of user UC balances alongside the reserve figures
+      snapshot.liabilities = await ProofOfReservesService.buildLiabilities(snapshot._id);
+
       await snapshot.save();
 
       // Log warning if unhealthy
@@ -43,6 +49,10 @@ class ReservesProcessor {
 
       logger.info('Reserves snapshot created', {
         timestamp: snapshot.timestamp,
+        source: source.name,
+        blockNumber: source.blockNumber,
+        stale: source.stale,
+        merkleRoot: snapshot.liabilities.merkleRoot,
         collateralPct: ratios.collateralPct,
         reserveRatio: ratios.reserveRatio,
         health: health.status,
@@ -54,6 +64,7 @@ class ReservesProcessor {
         timestamp: snapshot.timestamp,
         ratios,
         health,
+        source,
       };
     } catch (error) {
       logger.error('Failed to create reserves snapshot', {
@@ -64,35 +75,9 @@ class ReservesProcessor {
   }
 
   async calculateReserves() {
-    // In a real implementation, this would fetch actual reserve data
-    // from custody providers, DEXs, or other sources
-    // For MVP, we'll use mock data that can be updated via admin endpoints
-
-    const systemConfig = await Config.getConfig();
-    
-    // Mock prices (in production, would come from oracles)
-    const btcPrice = systemConfig.fxTable.BTC || 50000;
-    const xauPrice = systemConfig.fxTable.XAU || 2000;
-
-    // Mock reserve quantities (could be stored in config or separate collection)
-    const bbtQuantity = 10; // 10 BTC backing tokens
-    const gbtQuantity = 500; // 500 oz Gold backing tokens
-
-    return {
-      BBT: {
-        quantity: bbtQuantity,
-        priceUSD: btcPrice,
-        valueUSD: bbtQuantity * btcPrice,
-      },
-      GBT: {
-        quantity: gbtQuantity,
-        priceUSD: xauPrice,
-        valueUSD: gbtQuantity * xauPrice,
-      },
-      cash: {
-        valueUSD: 50000, // Mock cash reserves
-      },
-    };
+    // Reads from the configured adapter (ICController by default), falling
+    // back to the last good figures flagged as stale
+    return ReservesService.readReserves();
   }
 
   async calculateUCSupply() {
@@ -152,7 +137,7 @@ class ReservesProcessor {
     };
   }
 
-  assessHealth(ratios) {
+  async assessHealth(ratios, source = {}) {
     const systemConfig = await Config.getConfig();
     const { target, minimum, critical } = systemConfig.reserveRatio;
 
@@ -175,6 +160,13 @@ class ReservesProcessor {
       warnings.push('Under-collateralized system');
     }
 
+    if (source.stale) {
+      if (status === 'HEALTHY') {
+        status = 'WARNING';
+      }
+      warnings.push(`Reserve data is stale: ${source.staleReason}`);
+    }
+
     return {
       status,
       warnings,
@@ -195,12 +187,7 @@ class ReservesProcessor {
       // Update system configuration with new reserve amounts
       const systemConfig = await Config.getConfig();
       
-      // This would typically update a separate reserves collection
-      // For now, we'll store it in system config metadata
-      if (!systemConfig.reservesData) {
-        systemConfig.reservesData = {};
-      }
-
+      // Quantities feed the manual reserve source; cash is used by every source
       if (bbtQuantity !== undefined) {
         systemConfig.reservesData.bbtQuantity = bbtQuantity;
       }
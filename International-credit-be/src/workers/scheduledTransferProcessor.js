@@ -0,0 +1,26 @@
+const ScheduledTransferService = require('../services/ScheduledTransferService');
+const logger = require('../utils/logger');
+
+class ScheduledTransferProcessor {
+  async processScheduledTransfers(job) {
+    try {
+      const result = await ScheduledTransferService.processDueTransfers();
+
+      if (result.completed || result.retrying || result.failed) {
+        logger.info('Scheduled transfers processed', result);
+      }
+
+      return {
+        success: true,
+        ...result,
+      };
+    } catch (error) {
+      logger.error('Scheduled transfer processing failed', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new ScheduledTransferProcessor();
@@ -0,0 +1,26 @@
+const WithdrawalService = require('../services/WithdrawalService');
+const logger = require('../utils/logger');
+
+class WithdrawalProcessor {
+  async processWithdrawals(job) {
+    try {
+      const result = await WithdrawalService.processApprovedWithdrawals();
+
+      if (!result.skipped && (result.completed || result.failed || result.unresolved)) {
+        logger.info('Withdrawals processed', result);
+      }
+
+      return {
+        success: true,
+        ...result,
+      };
+    } catch (error) {
+      logger.error('Withdrawal processing failed', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new WithdrawalProcessor();
@@ -26,6 +26,8 @@ import NotFound from "./pages/NotFound";
 import StakePage from "./pages/StakePage";
 import Notification from "./components/settings/Notification";
 import { TransactionPage } from "./pages/TransactionPage";
+import { PayRequestPage } from "./pages/PayRequestPage";
+import { ScheduledTransfersPage } from "./pages/ScheduledTransfersPage";
 import { EmailVerificationPage } from "./pages/EmailVerificationPage";
 import KYC from "./pages/KYC";
 
@@ -102,6 +104,26 @@ const App = () => (
                     </PrivateRoute>
                   }
                 />
+                <Route
+                  path="/wallet/scheduled"
+                  element={
+                    <PrivateRoute>
+                      <PrivateLayout>
+                        <ScheduledTransfersPage />
+                      </PrivateLayout>
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/pay/:code"
+                  element={
+                    <PrivateRoute>
+                      <PrivateLayout>
+                        <PayRequestPage />
+                      </PrivateLayout>
+                    </PrivateRoute>
+                  }
+                />
                 <Route
                   path="/profile"
                   element={
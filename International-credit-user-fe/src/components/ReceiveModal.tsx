@@ -7,6 +7,12 @@ import { useToast } from "@/hooks/use-toast";
 import { useAccount } from "wagmi";
 import { useEffect, useState } from "react";
 import QRCode from "qrcode";
+import { Label } from "@/components/ui/label";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  PaymentRequest,
+  useCreatePaymentRequestMutation,
+} from "@/store/api/transfersApi";
 
 interface ReceiveModalProps {
   isOpen: boolean;
@@ -17,6 +23,13 @@ export const ReceiveModal = ({ isOpen, onClose }: ReceiveModalProps) => {
   const { address } = useAccount();
   const { toast } = useToast();
   const [qrCodeUrl, setQrCodeUrl] = useState<string>("");
+  const [requestAmount, setRequestAmount] = useState("");
+  const [requestNote, setRequestNote] = useState("");
+  const [paymentRequest, setPaymentRequest] = useState<PaymentRequest | null>(
+    null
+  );
+  const [createPaymentRequest, { isLoading: isCreatingRequest }] =
+    useCreatePaymentRequestMutation();
 
   useEffect(() => {
     if (address && isOpen) {
@@ -43,6 +56,45 @@ export const ReceiveModal = ({ isOpen, onClose }: ReceiveModalProps) => {
     }
   };
 
+  const handleCreateRequest = async () => {
+    if (!requestAmount) {
+      toast({ title: "Enter an amount to request", variant: "destructive" });
+      return;
+    }
+
+    try {
+      const request = await createPaymentRequest({
+        amount: requestAmount,
+        asset: "UC",
+        note: requestNote || undefined,
+      }).unwrap();
+      setPaymentRequest(request);
+    } catch (error) {
+      const apiError = error as { data?: { message?: string } };
+      toast({
+        title: "Could not create request",
+        description: apiError?.data?.message || "Please try again",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const copyRequestLink = () => {
+    if (paymentRequest) {
+      navigator.clipboard.writeText(paymentRequest.url);
+      toast({
+        title: "Link Copied",
+        description: "Payment request link copied to clipboard",
+      });
+    }
+  };
+
+  const resetRequest = () => {
+    setPaymentRequest(null);
+    setRequestAmount("");
+    setRequestNote("");
+  };
+
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
       <DialogContent className="max-w-lg mx-auto">
@@ -50,38 +102,120 @@ export const ReceiveModal = ({ isOpen, onClose }: ReceiveModalProps) => {
           <h2 className="text-xl font-semibold">Receive Tokens</h2>
         </div>
 
-        <div className="text-center space-y-6">
-          {/* QR Code */}
-          <div className="w-48 h-48 mx-auto bg-white rounded-lg flex items-center justify-center p-4">
-            {qrCodeUrl ? (
-              <img
-                src={qrCodeUrl}
-                alt="Wallet Address QR Code"
-                className="w-full h-full object-contain"
-              />
-            ) : (
-              <QrCode className="w-24 h-24 text-muted-foreground" />
-            )}
-          </div>
-
-          <div className="space-y-2">
-            <p className="text-sm text-muted-foreground">Your Wallet Address</p>
-            <div className="flex items-center gap-2">
-              <Input
-                value={address || ""}
-                readOnly
-                className="text-center font-mono text-sm"
-              />
-              <Button variant="outline" size="icon" onClick={copyAddress}>
-                <Copy className="w-4 h-4" />
-              </Button>
+        <Tabs defaultValue="address">
+          <TabsList className="grid w-full grid-cols-2 mb-4">
+            <TabsTrigger value="address">Wallet address</TabsTrigger>
+            <TabsTrigger value="request">Request payment</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="address">
+            <div className="text-center space-y-6">
+              {/* QR Code */}
+              <div className="w-48 h-48 mx-auto bg-white rounded-lg flex items-center justify-center p-4">
+                {qrCodeUrl ? (
+                  <img
+                    src={qrCodeUrl}
+                    alt="Wallet Address QR Code"
+                    className="w-full h-full object-contain"
+                  />
+                ) : (
+                  <QrCode className="w-24 h-24 text-muted-foreground" />
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <p className="text-sm text-muted-foreground">Your Wallet Address</p>
+                <div className="flex items-center gap-2">
+                  <Input
+                    value={address || ""}
+                    readOnly
+                    className="text-center font-mono text-sm"
+                  />
+                  <Button variant="outline" size="icon" onClick={copyAddress}>
+                    <Copy className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+
+              <p className="text-xs text-muted-foreground">
+                Share this address to receive tokens
+              </p>
             </div>
-          </div>
+          </TabsContent>
 
-          <p className="text-xs text-muted-foreground">
-            Share this address to receive tokens
-          </p>
-        </div>
+          <TabsContent value="request">
+            {paymentRequest ? (
+              <div className="text-center space-y-6">
+                <div className="w-48 h-48 mx-auto bg-white rounded-lg flex items-center justify-center p-4">
+                  {paymentRequest.qrCode ? (
+                    <img
+                      src={paymentRequest.qrCode}
+                      alt="Payment Request QR Code"
+                      className="w-full h-full object-contain"
+                    />
+                  ) : (
+                    <QrCode className="w-24 h-24 text-muted-foreground" />
+                  )}
+                </div>
+
+                <p className="text-lg font-semibold">
+                  {paymentRequest.amount} {paymentRequest.asset}
+                </p>
+
+                <div className="flex items-center gap-2">
+                  <Input
+                    value={paymentRequest.url}
+                    readOnly
+                    className="text-center font-mono text-sm"
+                  />
+                  <Button variant="outline" size="icon" onClick={copyRequestLink}>
+                    <Copy className="w-4 h-4" />
+                  </Button>
+                </div>
+
+                <p className="text-xs text-muted-foreground">
+                  Expires {new Date(paymentRequest.expiresAt).toLocaleString()}
+                </p>
+
+                <Button variant="outline" className="w-full" onClick={resetRequest}>
+                  New request
+                </Button>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <div>
+                  <Label htmlFor="request-amount">Amount (UC)</Label>
+                  <Input
+                    id="request-amount"
+                    type="number"
+                    placeholder="0.00"
+                    value={requestAmount}
+                    onChange={(e) => setRequestAmount(e.target.value)}
+                  />
+                </div>
+
+                <div>
+                  <Label htmlFor="request-note">Note</Label>
+                  <Input
+                    id="request-note"
+                    placeholder="Optional"
+                    maxLength={200}
+                    value={requestNote}
+                    onChange={(e) => setRequestNote(e.target.value)}
+                  />
+                </div>
+
+                <Button
+                  className="w-full"
+                  onClick={handleCreateRequest}
+                  disabled={isCreatingRequest}
+                >
+                  {isCreatingRequest ? "Creating..." : "Create request link"}
+                </Button>
+              </div>
+            )}
+          </TabsContent>
+        </Tabs>
       </DialogContent>
     </Dialog>
   );
@@ -0,0 +1,133 @@
+import { useState } from "react";
+import { Area, AreaChart, CartesianGrid, XAxis, YAxis } from "recharts";
+import { Loader2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  ChartContainer,
+  ChartTooltip,
+  ChartTooltipContent,
+  type ChartConfig,
+} from "@/components/ui/chart";
+import {
+  useGetReserveHistoryQuery,
+  type HistoryRange,
+} from "@/store/api/reservesApi";
+
+const RANGES: HistoryRange[] = ["24h", "7d", "30d", "1y"];
+
+const chartConfig = {
+  collateralPct: {
+    label: "Collateral %",
+    color: "hsl(var(--primary))",
+  },
+} satisfies ChartConfig;
+
+const formatTick = (timestamp: string, range: HistoryRange) => {
+  const date = new Date(timestamp);
+  return range === "24h"
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+};
+
+export const ReserveHistoryChart = () => {
+  const [range, setRange] = useState<HistoryRange>("7d");
+  const { data: history, isFetching } = useGetReserveHistoryQuery(range);
+
+  const data =
+    history?.points.map((point) => ({
+      timestamp: point.timestamp,
+      collateralPct: Number(point.collateralPct.avg.toFixed(2)),
+    })) || [];
+  const transitions = history?.transitions.slice(-3).reverse() || [];
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="flex items-center justify-between text-base">
+          Collateral History
+          {isFetching && <Loader2 className="w-4 h-4 animate-spin" />}
+        </CardTitle>
+        <div className="flex gap-1">
+          {RANGES.map((value) => (
+            <Button
+              key={value}
+              size="sm"
+              variant={value === range ? "default" : "ghost"}
+              className="h-7 px-3 text-xs"
+              onClick={() => setRange(value)}
+            >
+              {value}
+            </Button>
+          ))}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {data.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-8">
+            No snapshots in this range yet.
+          </p>
+        ) : (
+          <ChartContainer config={chartConfig} className="h-48 w-full">
+            <AreaChart data={data} margin={{ left: -16, right: 8 }}>
+              <CartesianGrid vertical={false} />
+              <XAxis
+                dataKey="timestamp"
+                tickLine={false}
+                axisLine={false}
+                minTickGap={24}
+                tickFormatter={(value) => formatTick(value, range)}
+              />
+              <YAxis
+                tickLine={false}
+                axisLine={false}
+                domain={["auto", "auto"]}
+                tickFormatter={(value) => `${value}%`}
+              />
+              <ChartTooltip
+                content={
+                  <ChartTooltipContent
+                    labelFormatter={(_, payload) =>
+                      payload?.[0]
+                        ? new Date(
+                            payload[0].payload.timestamp
+                          ).toLocaleString()
+                        : ""
+                    }
+                  />
+                }
+              />
+              <Area
+                dataKey="collateralPct"
+                type="monotone"
+                stroke="var(--color-collateralPct)"
+                fill="var(--color-collateralPct)"
+                fillOpacity={0.2}
+              />
+            </AreaChart>
+          </ChartContainer>
+        )}
+
+        {transitions.length > 0 && (
+          <div className="space-y-1">
+            <p className="text-xs text-muted-foreground">Status changes</p>
+            {transitions.map((transition) => (
+              <div
+                key={transition.timestamp}
+                className="flex justify-between text-xs"
+              >
+                <span>
+                  {transition.from ? `${transition.from} → ` : ""}
+                  {transition.to}
+                </span>
+                <span className="text-muted-foreground">
+                  {new Date(transition.timestamp).toLocaleString()}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
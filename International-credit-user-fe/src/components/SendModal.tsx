@@ -10,12 +10,33 @@ import { Address } from "@/lib/Address";
 import { parseUnits, formatUnits } from "viem";
 import { client } from "@/lib/utils";
 import { useRecordTransactionMutation } from "@/store/api/walletApi";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  useGetPaymentRequestQuery,
+  useLazyResolveRecipientQuery,
+  usePayPaymentRequestMutation,
+  useSendTransferMutation,
+} from "@/store/api/transfersApi";
+
 interface SendModalProps {
   isOpen: boolean;
   onClose: () => void;
+  // Code of a payment request to confirm instead of entering a recipient
+  requestCode?: string;
 }
 
-export const SendModal = ({ isOpen, onClose }: SendModalProps) => {
+const apiErrorMessage = (error: unknown, fallback: string) => {
+  if (error && typeof error === "object") {
+    const apiError = error as {
+      data?: { message?: string };
+      message?: string;
+    };
+    return apiError.data?.message || apiError.message || fallback;
+  }
+  return fallback;
+};
+
+export const SendModal = ({ isOpen, onClose, requestCode }: SendModalProps) => {
   const [amount, setAmount] = useState("");
   const [selectedToken, setSelectedToken] = useState("IC");
   const [recipientAddress, setRecipientAddress] = useState("");
@@ -23,6 +44,80 @@ export const SendModal = ({ isOpen, onClose }: SendModalProps) => {
   const { address } = useAccount();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [recordTransaction] = useRecordTransactionMutation();
+  const [recipient, setRecipient] = useState("");
+  const [note, setNote] = useState("");
+  const [resolveRecipient, { data: resolvedRecipient, isFetching: isResolving }] =
+    useLazyResolveRecipientQuery();
+  const [sendTransfer, { isLoading: isTransferring }] =
+    useSendTransferMutation();
+  const { data: paymentRequest, isLoading: isLoadingRequest } =
+    useGetPaymentRequestQuery(requestCode ?? "", {
+      skip: !requestCode || !isOpen,
+    });
+  const [payPaymentRequest, { isLoading: isPaying }] =
+    usePayPaymentRequestMutation();
+
+  const checkRecipient = async () => {
+    if (!recipient.trim()) return;
+    try {
+      await resolveRecipient(recipient.trim()).unwrap();
+    } catch (error) {
+      toast.error(apiErrorMessage(error, "Recipient not found"));
+    }
+  };
+
+  // Internal ledger transfer to another platform user, by email or @handle
+  const handleTransfer = async () => {
+    if (!amount || !recipient.trim()) {
+      toast.error("Please fill all fields");
+      return;
+    }
+
+    try {
+      const result = await sendTransfer({
+        recipient: recipient.trim(),
+        amount,
+        asset: "UC",
+        description: note || undefined,
+        idempotencyKey: crypto.randomUUID(),
+      }).unwrap();
+
+      toast.success("Transfer sent", {
+        description: `You sent ${result.netAmount} UC to ${
+          result.recipient.handle
+            ? `@${result.recipient.handle}`
+            : result.recipient.displayName
+        }`,
+      });
+      setAmount("");
+      setRecipient("");
+      setNote("");
+      onClose();
+    } catch (error) {
+      toast.error("Failed to send transfer", {
+        description: apiErrorMessage(error, "Please try again"),
+      });
+    }
+  };
+
+  const handlePayRequest = async () => {
+    if (!requestCode) return;
+    try {
+      const result = await payPaymentRequest({
+        code: requestCode,
+        idempotencyKey: crypto.randomUUID(),
+      }).unwrap();
+      toast.success("Payment sent", {
+        description: `You paid ${result.amount} ${result.asset}`,
+      });
+      onClose();
+    } catch (error) {
+      toast.error("Failed to pay request", {
+        description: apiErrorMessage(error, "Please try again"),
+      });
+    }
+  };
+
   const handleSend = async () => {
     setIsSubmitting(true);
     if (!amount || !recipientAddress) {
@@ -102,40 +197,157 @@ export const SendModal = ({ isOpen, onClose }: SendModalProps) => {
     <Dialog open={isOpen} onOpenChange={onClose}>
       <DialogContent className="max-w-md mx-auto">
         <div className="flex items-center justify-between mb-2">
-          <h2 className="text-xl font-semibold">Send Tokens</h2>
+          <h2 className="text-xl font-semibold">
+            {requestCode ? "Pay Request" : "Send Tokens"}
+          </h2>
         </div>
 
-        <div className="space-y-4">
-          <div>
-            <Label htmlFor="amount">Amount</Label>
-            <Input
-              id="amount"
-              type="number"
-              placeholder="0.00"
-              value={amount}
-              onChange={(e) => setAmount(e.target.value)}
-            />
-          </div>
+        {requestCode ? (
+          <div className="space-y-4">
+            {isLoadingRequest || !paymentRequest ? (
+              <p className="text-sm text-muted-foreground">
+                {isLoadingRequest ? "Loading request..." : "Request not found"}
+              </p>
+            ) : (
+              <div className="rounded-lg border p-4 space-y-1">
+                <p className="text-sm text-muted-foreground">
+                  {paymentRequest.requester?.handle
+                    ? `@${paymentRequest.requester.handle}`
+                    : paymentRequest.requester?.displayName}{" "}
+                  requests
+                </p>
+                <p className="text-2xl font-semibold">
+                  {paymentRequest.amount} {paymentRequest.asset}
+                </p>
+                {paymentRequest.note && (
+                  <p className="text-sm">{paymentRequest.note}</p>
+                )}
+                {paymentRequest.status !== "OPEN" && (
+                  <p className="text-sm text-destructive">
+                    This request is {paymentRequest.status.toLowerCase()}
+                  </p>
+                )}
+              </div>
+            )}
 
-          <div>
-            <Label htmlFor="recipient">Recipient Address</Label>
-            <Input
-              id="recipient"
-              placeholder="0x..."
-              value={recipientAddress}
-              onChange={(e) => setRecipientAddress(e.target.value)}
-            />
+            <div className="flex gap-3 mt-6">
+              <Button variant="outline" className="flex-1" onClick={onClose}>
+                Cancel
+              </Button>
+              <Button
+                className="flex-1"
+                onClick={handlePayRequest}
+                disabled={isPaying || paymentRequest?.status !== "OPEN"}
+              >
+                {isPaying ? "Paying..." : "Pay"}
+              </Button>
+            </div>
           </div>
-        </div>
+        ) : (
+          <Tabs defaultValue="user">
+            <TabsList className="grid w-full grid-cols-2">
+              <TabsTrigger value="user">Platform user</TabsTrigger>
+              <TabsTrigger value="onchain">Wallet address</TabsTrigger>
+            </TabsList>
 
-        <div className="flex gap-3 mt-6">
-          <Button variant="outline" className="flex-1" onClick={onClose}>
-            Cancel
-          </Button>
-          <Button className="flex-1" onClick={handleSend}>
-            {isSubmitting ? "Sending..." : "Send"}
-          </Button>
-        </div>
+            <TabsContent value="user">
+              <div className="space-y-4">
+                <div>
+                  <Label htmlFor="transfer-recipient">Email or @handle</Label>
+                  <Input
+                    id="transfer-recipient"
+                    placeholder="@alice or alice@example.com"
+                    value={recipient}
+                    onChange={(e) => setRecipient(e.target.value)}
+                    onBlur={checkRecipient}
+                  />
+                  {isResolving ? (
+                    <p className="text-xs text-muted-foreground mt-1">
+                      Looking up recipient...
+                    </p>
+                  ) : (
+                    resolvedRecipient && (
+                      <p className="text-xs text-muted-foreground mt-1">
+                        Sending to {resolvedRecipient.displayName}
+                        {resolvedRecipient.handle &&
+                          ` (@${resolvedRecipient.handle})`}
+                      </p>
+                    )
+                  )}
+                </div>
+
+                <div>
+                  <Label htmlFor="transfer-amount">Amount (UC)</Label>
+                  <Input
+                    id="transfer-amount"
+                    type="number"
+                    placeholder="0.00"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                  />
+                </div>
+
+                <div>
+                  <Label htmlFor="transfer-note">Note</Label>
+                  <Input
+                    id="transfer-note"
+                    placeholder="Optional"
+                    maxLength={200}
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                  />
+                </div>
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <Button variant="outline" className="flex-1" onClick={onClose}>
+                  Cancel
+                </Button>
+                <Button
+                  className="flex-1"
+                  onClick={handleTransfer}
+                  disabled={isTransferring}
+                >
+                  {isTransferring ? "Sending..." : "Send"}
+                </Button>
+              </div>
+            </TabsContent>
+
+            <TabsContent value="onchain">
+              <div className="space-y-4">
+                <div>
+                  <Label htmlFor="amount">Amount</Label>
+                  <Input
+                    id="amount"
+                    type="number"
+                    placeholder="0.00"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                  />
+                </div>
+
+                <div>
+                  <Label htmlFor="recipient">Recipient Address</Label>
+                  <Input
+                    id="recipient"
+                    placeholder="0x..."
+                    value={recipientAddress}
+                    onChange={(e) => setRecipientAddress(e.target.value)}
+                  />
+                </div>
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <Button variant="outline" className="flex-1" onClick={onClose}>
+                  Cancel
+                </Button>
+                <Button className="flex-1" onClick={handleSend}>
+                  {isSubmitting ? "Sending..." : "Send"}
+                </Button>
+              </div>
+            </TabsContent>
+          </Tabs>
+        )}
       </DialogContent>
     </Dialog>
   );
@@ -21,6 +21,7 @@ import { Card, CardContent } from "../ui/card";
 import {
   useGetPaymentQuoteMutation,
   useCreatePaymentIntentMutation,
+  type PaymentQuote,
 } from "@/store/api/paymentsApi";
 import { toast } from "sonner";
 import { useAccount } from "wagmi";
@@ -35,7 +36,7 @@ const BuyModel = ({ tokenoneRefetch }: { tokenoneRefetch: () => void }) => {
   const [fiatAmount, setFiatAmount] = useState<string>("");
   const [fiatCurrency, setFiatCurrency] = useState<string>("USD");
   const [asset, setAsset] = useState<string>("IC");
-  const [quote, setQuote] = useState(null);
+  const [quote, setQuote] = useState<PaymentQuote | null>(null);
   const [clientSecret, setClientSecret] = useState("");
   const [paymentData, setPaymentData] = useState(null);
   const [step, setStep] = useState<"form" | "quote" | "payment">("form");
@@ -57,7 +58,7 @@ const BuyModel = ({ tokenoneRefetch }: { tokenoneRefetch: () => void }) => {
       const response = await getPaymentQuote({
         fiatAmount: parseFloat(fiatAmount),
         fiatCurrency,
-        asset,
+        asset: "UC",
       }).unwrap();
 
       if (response.status === "success") {
@@ -215,7 +216,7 @@ const BuyModel = ({ tokenoneRefetch }: { tokenoneRefetch: () => void }) => {
                     <div className="flex justify-between">
                       <span>You'll receive:</span>
                       <span>
-                        {quote.icAmount} {asset}
+                        {quote.ucAmount} {asset}
                       </span>
                     </div>
                     <div className="flex justify-between">
@@ -240,9 +241,9 @@ const BuyModel = ({ tokenoneRefetch }: { tokenoneRefetch: () => void }) => {
                       </span>
                     </div>
                     <div className="flex justify-between">
-                      <span>Minting Fee:</span>
+                      <span>Fixed Fee:</span>
                       <span>
-                        {Number(quote.fees?.minting || 0)} {fiatCurrency}
+                        {Number(quote.fees?.fixed || 0)} {fiatCurrency}
                       </span>
                     </div>
                     <hr />
@@ -289,8 +290,8 @@ const BuyModel = ({ tokenoneRefetch }: { tokenoneRefetch: () => void }) => {
               <div className="text-center mb-4">
                 <h3 className="font-semibold">Complete Payment</h3>
                 <p className="text-sm text-muted-foreground">
-                  Pay {quote.fiatAmount + quote.fees?.processing + 0.5 || 0}{" "}
-                  {fiatCurrency} to receive {paymentIntentData?.data.icAmount}{" "}
+                  Pay {quote.totalAmount} {quote.fiatCurrency} to receive{" "}
+                  {paymentIntentData?.data.ucAmount}{" "}
                   {asset}
                 </p>
               </div>
@@ -111,8 +111,8 @@ export const RecentTransaction = () => {
             ))
           )}
         </div>
-        {data?.pagination.total > 1 && (
-          <div className="flex items-center justify-center">
+        <div className="flex items-center justify-center">
+          {data?.pagination.total > 1 && (
             <Button
               variant="link"
               className="text-xs"
@@ -122,8 +122,17 @@ export const RecentTransaction = () => {
             >
               View All
             </Button>
-          </div>
-        )}
+          )}
+          <Button
+            variant="link"
+            className="text-xs"
+            onClick={() => {
+              navigate(`/wallet/scheduled`);
+            }}
+          >
+            Scheduled Transfers
+          </Button>
+        </div>
       </CardContent>
     </Card>
   );
@@ -0,0 +1,22 @@
+import { concat, encodePacked, keccak256, parseUnits, type Hex } from "viem";
+
+// Mirrors International-credit-be/src/utils/merkle.js and ProofOfReservesService.hashLeaf
+
+const hashPair = (a: Hex, b: Hex): Hex =>
+  keccak256(concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]));
+
+export const hashLiabilityLeaf = (
+  userId: string,
+  balance: string,
+  nonce: Hex,
+  decimals: number
+): Hex =>
+  keccak256(
+    encodePacked(
+      ["string", "uint256", "bytes32"],
+      [userId, parseUnits(balance, decimals), nonce]
+    )
+  );
+
+export const verifyMerkleProof = (leaf: Hex, proof: Hex[], root: Hex) =>
+  proof.reduce(hashPair, leaf).toLowerCase() === root.toLowerCase();
@@ -0,0 +1,17 @@
+import { useNavigate, useParams } from "react-router-dom";
+import { Header } from "@/components/Header";
+import { SendModal } from "@/components/SendModal";
+
+// Landing page for payment request links and QR codes: /pay/:code
+export const PayRequestPage = () => {
+  const { code } = useParams<{ code: string }>();
+  const navigate = useNavigate();
+
+  return (
+    <div className="min-h-screen bg-background pb-20">
+      <Header title="Pay Request" subtitle="Confirm a payment request" />
+
+      <SendModal isOpen onClose={() => navigate("/")} requestCode={code} />
+    </div>
+  );
+};
@@ -1,109 +1,245 @@
-import { Shield, TrendingUp, Info, Zap } from "lucide-react";
+import { useState } from "react";
+import {
+  Shield,
+  ShieldCheck,
+  ShieldAlert,
+  AlertTriangle,
+  Loader2,
+} from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Progress } from "@/components/ui/progress";
 import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
 import { Header } from "@/components/Header";
+import { ReserveHistoryChart } from "@/components/Reserves/ReserveHistoryChart";
 import { useAppSelector } from "@/hooks/useRedux";
-import { useReadContract } from "wagmi";
-import ICAUTAbi from "@/Abi/ICAUT.json";
-import ICBTCAbi from "@/Abi/ICBTC.json";
-import { formatUnits } from "viem";
 import { formatNumber } from "@/lib/utils";
-import MockOracleAbi from "@/Abi/MockOracle.json";
-import { Address } from "@/lib/Address";
+import { hashLiabilityLeaf, verifyMerkleProof } from "@/lib/merkle";
+import {
+  useGetAttestationQuery,
+  useGetMyProofQuery,
+} from "@/store/api/reservesApi";
+
+type VerificationResult = "verified" | "failed" | null;
+
+const shortHash = (hash?: string) =>
+  hash ? `${hash.slice(0, 10)}…${hash.slice(-8)}` : "-";
+
 export const ReservesPage = () => {
-  const { totalValue, collateralizationRatio, reserves, recentActivity } =
-    useAppSelector((state) => state.reserves);
-
-  const getActivityIcon = (type: string) => {
-    switch (type) {
-      case "addition":
-        return <TrendingUp className="w-4 h-4 text-success" />;
-      case "check":
-        return <Info className="w-4 h-4 text-primary" />;
-      case "update":
-        return <Zap className="w-4 h-4 text-warning" />;
-      default:
-        return <Shield className="w-4 h-4" />;
-    }
-  };
+  const { reserves } = useAppSelector((state) => state.reserves);
+  const [verification, setVerification] = useState<VerificationResult>(null);
+
+  const { data: attestation, isLoading } = useGetAttestationQuery();
+  const { data: myProof, error: myProofError } = useGetMyProofQuery(
+    attestation?.snapshotId,
+    { skip: !attestation }
+  );
+
+  const btcReserve = attestation?.reserves.BBT.valueUSD || 0;
+  const goldReserve = attestation?.reserves.GBT.valueUSD || 0;
+  const totalReserveValue = attestation?.totalReservesUSD || 0;
 
-  //Balance for token one
-  const { data: totalSupplyICBTC, refetch: totalSupplyICBTCRefetch } =
-    useReadContract({
-      functionName: "totalSupply",
-      abi: ICBTCAbi.abi,
-      address: import.meta.env.VITE_ICBTC_TOKEN_ADDRESS || "0x0",
-    });
-
-  //Balance for token two
-  const { data: totalSupplyICAUT, refetch: totalSupplyICAUTRefetch } =
-    useReadContract({
-      functionName: "totalSupply",
-      abi: ICAUTAbi.abi,
-      address: import.meta.env.VITE_ICAUT_TOKEN_ADDRESS || "0x0",
-    });
-
-  const { data: pricevalues, refetch: PricevaluesRefetch } = useReadContract({
-    functionName: "getPrices",
-    abi: MockOracleAbi.abi,
-    address: Address.MOCK_ORACLE_ADDRESS,
-  });
-
-  const btcReserve =
-    Number(formatUnits(totalSupplyICBTC || 0, 18)) *
-    Number(formatUnits(pricevalues?.[0] || 0, 8));
-
-  const goldReserve =
-    Number(formatUnits(totalSupplyICAUT || 0, 18)) *
-    Number(formatUnits(pricevalues?.[1] || 0, 8));
-
-  const totalReserveValue = goldReserve + btcReserve;
-
-  const btcReservePercentage = (btcReserve / totalReserveValue) * 100;
-  const goldReservePercentage = (goldReserve / totalReserveValue) * 100;
+  const btcReservePercentage = totalReserveValue
+    ? (btcReserve / totalReserveValue) * 100
+    : 0;
+  const goldReservePercentage = totalReserveValue
+    ? (goldReserve / totalReserveValue) * 100
+    : 0;
+  const collateralPct = attestation?.ratios.collateralPct || 0;
+
+  // Recompute the leaf from its fields and fold the proof up to the published root
+  const handleVerify = () => {
+    if (!attestation || !myProof) return;
+
+    const { leaf, proof, decimals } = myProof;
+    const leafHash = hashLiabilityLeaf(
+      leaf.userId,
+      leaf.balance,
+      leaf.nonce,
+      decimals
+    );
+    const valid =
+      leafHash.toLowerCase() === leaf.hash.toLowerCase() &&
+      verifyMerkleProof(
+        leafHash,
+        proof,
+        attestation.liabilities.merkleRoot as `0x${string}`
+      );
+
+    setVerification(valid ? "verified" : "failed");
+  };
 
   return (
     <div className="min-h-screen bg-background pb-20">
       <Header
         title="Reserve Transparency"
-        subtitle="Real-time collateral backing"
+        subtitle="Attested collateral backing"
       />
 
-      <div className="px-6 -mt-4 max-w-md mx-auto">
-        {/* Total Reserve Value */}
-        <Card className="mb-6 shadow-elevated">
-          <CardContent className="p-6 text-center">
-            <p className="text-muted-foreground text-sm mb-2">
-              Total Reserve Value
-            </p>
-            <h2 className="text-4xl font-bold mb-6">
-              {formatNumber(totalReserveValue)}
-            </h2>
-
-            <div className="flex justify-center gap-8">
-              {reserves.map((reserve) => (
-                <div key={reserve.type} className="text-center">
-                  <div
-                    className={`${reserve.IconclassName} w-12 h-12  rounded-full flex items-center justify-center mb-2 mx-auto`}
-                  >
-                    <span className="text-2xl">{reserve.icon}</span>
+      <div className="px-6 -mt-4 max-w-md mx-auto space-y-6">
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="w-8 h-8 animate-spin text-primary" />
+          </div>
+        ) : !attestation ? (
+          <Card className="shadow-elevated">
+            <CardContent className="p-6 text-center text-muted-foreground">
+              No reserves attestation has been published yet.
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            {/* Total Reserve Value */}
+            <Card className="shadow-elevated">
+              <CardContent className="p-6 text-center">
+                <p className="text-muted-foreground text-sm mb-2">
+                  Total Reserve Value
+                </p>
+                <h2 className="text-4xl font-bold mb-6">
+                  {formatNumber(totalReserveValue)}
+                </h2>
+
+                <div className="flex justify-center gap-8">
+                  {reserves.map((reserve) => (
+                    <div key={reserve.type} className="text-center">
+                      <div
+                        className={`${reserve.IconclassName} w-12 h-12  rounded-full flex items-center justify-center mb-2 mx-auto`}
+                      >
+                        <span className="text-2xl">{reserve.icon}</span>
+                      </div>
+                      <p className="text-sm font-medium">
+                        {reserve.type === "BTC"
+                          ? `${btcReservePercentage.toFixed(0)}% BTC`
+                          : `${goldReservePercentage.toFixed(0)}% Gold`}
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        {reserve.type === "BTC"
+                          ? formatNumber(btcReserve)
+                          : formatNumber(goldReserve)}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+
+                <p className="text-xs text-muted-foreground mt-6">
+                  Snapshot {new Date(attestation.timestamp).toLocaleString()}
+                  {attestation.source.blockNumber !== undefined &&
+                    ` · block ${attestation.source.blockNumber}`}
+                </p>
+                {attestation.source.stale && (
+                  <div className="flex items-center justify-center gap-2 mt-2 text-xs text-warning">
+                    <AlertTriangle className="w-3 h-3" />
+                    Reserve source unavailable, showing last known figures
                   </div>
-                  <p className="text-sm font-medium">
-                    {reserve.type === "BTC"
-                      ? `${btcReservePercentage?.toFixed(0) || 0}% BTC`
-                      : `${goldReservePercentage?.toFixed(0) || 0}% Gold`}
-                  </p>
-                  <p className="text-xs text-muted-foreground">
-                    {reserve.type === "BTC"
-                      ? formatNumber(btcReserve)
-                      : formatNumber(goldReserve)}
-                  </p>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Collateralization */}
+            <Card>
+              <CardHeader className="pb-2">
+                <CardTitle className="flex items-center justify-between text-base">
+                  Collateralization
+                  <Badge
+                    variant={
+                      attestation.health.status === "HEALTHY"
+                        ? "default"
+                        : "destructive"
+                    }
+                  >
+                    {attestation.health.status}
+                  </Badge>
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">Reserves / UC</span>
+                  <span className="font-medium">
+                    {collateralPct.toFixed(1)}%
+                  </span>
+                </div>
+                <Progress value={Math.min(collateralPct, 100)} />
+                <div className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">
+                    UC liabilities ({attestation.liabilities.leafCount} holders)
+                  </span>
+                  <span className="font-medium">
+                    {formatNumber(attestation.liabilities.totalUC)}
+                  </span>
                 </div>
-              ))}
-            </div>
-          </CardContent>
-        </Card>
+                <div className="flex justify-between text-xs">
+                  <span className="text-muted-foreground">Merkle root</span>
+                  <span className="font-mono">
+                    {shortHash(attestation.liabilities.merkleRoot)}
+                  </span>
+                </div>
+              </CardContent>
+            </Card>
+
+            <ReserveHistoryChart />
+
+            {/* Liability Proof */}
+            <Card>
+              <CardHeader className="pb-2">
+                <CardTitle className="flex items-center gap-2 text-base">
+                  <Shield className="w-4 h-4" />
+                  Your Liability Proof
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {myProof ? (
+                  <>
+                    <div className="flex justify-between text-sm">
+                      <span className="text-muted-foreground">
+                        Your UC balance
+                      </span>
+                      <span className="font-medium">
+                        {Number(myProof.leaf.balance).toLocaleString()} UC
+                      </span>
+                    </div>
+                    <div className="flex justify-between text-xs">
+                      <span className="text-muted-foreground">Leaf hash</span>
+                      <span className="font-mono">
+                        {shortHash(myProof.leaf.hash)}
+                      </span>
+                    </div>
+                    <div className="flex justify-between text-xs">
+                      <span className="text-muted-foreground">Proof length</span>
+                      <span>{myProof.proof.length} hashes</span>
+                    </div>
+
+                    {verification === "verified" && (
+                      <div className="flex items-center gap-2 text-sm text-success">
+                        <ShieldCheck className="w-4 h-4" />
+                        Your balance is included in the published liabilities
+                      </div>
+                    )}
+                    {verification === "failed" && (
+                      <div className="flex items-center gap-2 text-sm text-destructive">
+                        <ShieldAlert className="w-4 h-4" />
+                        Proof does not match the published Merkle root
+                      </div>
+                    )}
+
+                    <Button
+                      className="w-full"
+                      variant="outline"
+                      onClick={handleVerify}
+                    >
+                      Verify Inclusion
+                    </Button>
+                  </>
+                ) : (
+                  <p className="text-sm text-muted-foreground">
+                    {myProofError
+                      ? "You held no UC when this attestation was taken."
+                      : "Loading your proof..."}
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
       </div>
     </div>
   );
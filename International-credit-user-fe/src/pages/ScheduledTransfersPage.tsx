@@ -0,0 +1,380 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { format } from "date-fns";
+import { ArrowLeft, Loader2, Pause, Play, X } from "lucide-react";
+import { toast } from "sonner";
+import { Header } from "@/components/Header";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  ScheduleFrequency,
+  ScheduleStatus,
+  ScheduledTransfer,
+  useCreateScheduledTransferMutation,
+  useGetScheduledTransfersQuery,
+  useUpdateScheduledTransferMutation,
+} from "@/store/api/transfersApi";
+
+const apiErrorMessage = (error: unknown, fallback: string) => {
+  if (error && typeof error === "object") {
+    const apiError = error as {
+      data?: { message?: string };
+      message?: string;
+    };
+    return apiError.data?.message || apiError.message || fallback;
+  }
+  return fallback;
+};
+
+const frequencyLabels: Record<ScheduleFrequency, string> = {
+  ONCE: "Once",
+  WEEKLY: "Weekly",
+  MONTHLY: "Monthly",
+};
+
+const statusVariants: Record<
+  ScheduleStatus,
+  "default" | "secondary" | "destructive" | "outline"
+> = {
+  ACTIVE: "default",
+  PAUSED: "secondary",
+  COMPLETED: "outline",
+  CANCELED: "outline",
+  FAILED: "destructive",
+};
+
+const formatDate = (value?: string) =>
+  value ? format(new Date(value), "MMM d, yyyy HH:mm") : "—";
+
+export const ScheduledTransfersPage = () => {
+  const navigate = useNavigate();
+  const [recipient, setRecipient] = useState("");
+  const [amount, setAmount] = useState("");
+  const [description, setDescription] = useState("");
+  const [frequency, setFrequency] = useState<ScheduleFrequency>("MONTHLY");
+  const [startAt, setStartAt] = useState("");
+  const [endDate, setEndDate] = useState("");
+  const [maxRuns, setMaxRuns] = useState("");
+
+  const { data, isLoading, error } = useGetScheduledTransfersQuery();
+  const [createSchedule, { isLoading: isCreating }] =
+    useCreateScheduledTransferMutation();
+  const [updateSchedule, { isLoading: isUpdating }] =
+    useUpdateScheduledTransferMutation();
+
+  const resetForm = () => {
+    setRecipient("");
+    setAmount("");
+    setDescription("");
+    setFrequency("MONTHLY");
+    setStartAt("");
+    setEndDate("");
+    setMaxRuns("");
+  };
+
+  const handleCreate = async () => {
+    if (!recipient.trim() || !amount || !startAt) {
+      toast.error("Enter a recipient, amount and start date");
+      return;
+    }
+
+    try {
+      await createSchedule({
+        recipient: recipient.trim(),
+        amount,
+        description: description.trim() || undefined,
+        frequency,
+        // datetime-local has no timezone; send it as the user's local time
+        startAt: new Date(startAt).toISOString(),
+        endDate:
+          frequency !== "ONCE" && endDate
+            ? new Date(endDate).toISOString()
+            : undefined,
+        maxRuns:
+          frequency !== "ONCE" && maxRuns ? Number(maxRuns) : undefined,
+      }).unwrap();
+      toast.success("Transfer scheduled");
+      resetForm();
+    } catch (err) {
+      toast.error(apiErrorMessage(err, "Failed to schedule transfer"));
+    }
+  };
+
+  const handleAction = async (
+    schedule: ScheduledTransfer,
+    action: "pause" | "resume" | "cancel"
+  ) => {
+    try {
+      await updateSchedule({ id: schedule._id, action }).unwrap();
+      toast.success(
+        action === "pause"
+          ? "Schedule paused"
+          : action === "resume"
+          ? "Schedule resumed"
+          : "Schedule canceled"
+      );
+    } catch (err) {
+      toast.error(apiErrorMessage(err, `Failed to ${action} schedule`));
+    }
+  };
+
+  const recipientLabel = (schedule: ScheduledTransfer) =>
+    schedule.recipientId?.handle
+      ? `@${schedule.recipientId.handle}`
+      : schedule.recipient;
+
+  return (
+    <div className="min-h-screen bg-background pb-20">
+      <Header
+        title="Scheduled Transfers"
+        subtitle="Send to platform users on a schedule"
+        rightElement={
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => navigate(-1)}
+            className="text-white hover:bg-white/20"
+          >
+            <ArrowLeft className="w-4 h-4" />
+          </Button>
+        }
+      />
+
+      <div className="px-6 mt-6 max-w-md mx-auto space-y-6">
+        <Card className="shadow-sm">
+          <CardHeader>
+            <CardTitle className="text-base">New schedule</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="schedule-recipient">Recipient</Label>
+              <Input
+                id="schedule-recipient"
+                placeholder="Email, @handle or wallet address"
+                value={recipient}
+                onChange={(e) => setRecipient(e.target.value)}
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="schedule-amount">Amount (UC)</Label>
+                <Input
+                  id="schedule-amount"
+                  type="number"
+                  min="0"
+                  placeholder="0.00"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Frequency</Label>
+                <Select
+                  value={frequency}
+                  onValueChange={(value) =>
+                    setFrequency(value as ScheduleFrequency)
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(frequencyLabels).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="schedule-start">
+                {frequency === "ONCE" ? "Send on" : "First transfer"}
+              </Label>
+              <Input
+                id="schedule-start"
+                type="datetime-local"
+                value={startAt}
+                onChange={(e) => setStartAt(e.target.value)}
+              />
+            </div>
+
+            {frequency !== "ONCE" && (
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-2">
+                  <Label htmlFor="schedule-end">End date (optional)</Label>
+                  <Input
+                    id="schedule-end"
+                    type="date"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="schedule-max-runs">
+                    Transfers (optional)
+                  </Label>
+                  <Input
+                    id="schedule-max-runs"
+                    type="number"
+                    min="1"
+                    placeholder="Unlimited"
+                    value={maxRuns}
+                    onChange={(e) => setMaxRuns(e.target.value)}
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="schedule-description">Note (optional)</Label>
+              <Input
+                id="schedule-description"
+                maxLength={200}
+                placeholder="Rent, allowance…"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+              />
+            </div>
+
+            <Button
+              className="w-full"
+              onClick={handleCreate}
+              disabled={isCreating}
+            >
+              {isCreating && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Schedule transfer
+            </Button>
+          </CardContent>
+        </Card>
+
+        <div>
+          <h2 className="text-lg font-semibold mb-3">My schedules</h2>
+
+          {isLoading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader2 className="w-8 h-8 animate-spin text-primary" />
+            </div>
+          ) : error ? (
+            <p className="text-sm text-muted-foreground text-center py-12">
+              Failed to load scheduled transfers
+            </p>
+          ) : !data?.schedules.length ? (
+            <p className="text-sm text-muted-foreground text-center py-12">
+              No scheduled transfers yet
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {data.schedules.map((schedule) => {
+                const lastRun = schedule.runs[schedule.runs.length - 1];
+                const isOpen =
+                  schedule.status === "ACTIVE" || schedule.status === "PAUSED";
+
+                return (
+                  <Card key={schedule._id} className="shadow-sm">
+                    <CardContent className="p-4 space-y-3">
+                      <div className="flex items-start justify-between">
+                        <div>
+                          <p className="font-medium text-sm">
+                            {schedule.amount} {schedule.asset} to{" "}
+                            {recipientLabel(schedule)}
+                          </p>
+                          <p className="text-xs text-muted-foreground">
+                            {frequencyLabels[schedule.frequency]}
+                            {schedule.description &&
+                              ` · ${schedule.description}`}
+                          </p>
+                        </div>
+                        <Badge
+                          variant={statusVariants[schedule.status]}
+                          className="text-xs capitalize"
+                        >
+                          {schedule.status.toLowerCase()}
+                        </Badge>
+                      </div>
+
+                      <div className="text-xs text-muted-foreground space-y-1">
+                        {schedule.status === "ACTIVE" && (
+                          <p>Next transfer: {formatDate(schedule.nextRunAt)}</p>
+                        )}
+                        <p>
+                          Sent {schedule.runCount}
+                          {schedule.maxRuns ? ` of ${schedule.maxRuns}` : ""}
+                          {schedule.endDate &&
+                            ` · ends ${formatDate(schedule.endDate)}`}
+                        </p>
+                        {lastRun && (
+                          <p>
+                            Last run {formatDate(lastRun.executedAt)}:{" "}
+                            {lastRun.status === "COMPLETED"
+                              ? "sent"
+                              : `failed${lastRun.error ? ` (${lastRun.error})` : ""}`}
+                          </p>
+                        )}
+                        {schedule.lastError &&
+                          schedule.attempts > 0 &&
+                          schedule.status === "ACTIVE" && (
+                            <p className="text-orange-600">
+                              Retrying: {schedule.lastError}
+                            </p>
+                          )}
+                      </div>
+
+                      {isOpen && (
+                        <div className="flex gap-2">
+                          {schedule.status === "ACTIVE" ? (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              disabled={isUpdating}
+                              onClick={() => handleAction(schedule, "pause")}
+                            >
+                              <Pause className="w-3 h-3 mr-1" />
+                              Pause
+                            </Button>
+                          ) : (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              disabled={isUpdating}
+                              onClick={() => handleAction(schedule, "resume")}
+                            >
+                              <Play className="w-3 h-3 mr-1" />
+                              Resume
+                            </Button>
+                          )}
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={isUpdating}
+                            onClick={() => handleAction(schedule, "cancel")}
+                          >
+                            <X className="w-3 h-3 mr-1" />
+                            Cancel
+                          </Button>
+                        </div>
+                      )}
+                    </CardContent>
+                  </Card>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -54,7 +54,6 @@ export interface ProposalSummary {
 export interface BlockchainInfo {
   serviceInitialized: boolean;
   contractAddress: string;
-  rpcUrl: string;
   syncedProposals: number;
   failedSyncs: number;
   totalProposalsToSync: number;
@@ -158,7 +157,7 @@ export const governanceApi = createApi({
         sortBy = "createdAt",
         sortOrder = "desc",
       } = {}) => ({
-        url: `/governance/proposals?page=${page}&limit=${limit}&sortBy=${sortBy}&sortOrder=${sortOrder}`,
+        url: `/governance/proposals?source=chain&page=${page}&limit=${limit}&sortBy=${sortBy}&sortOrder=${sortOrder}`,
         method: "GET",
       }),
       providesTags: ["Proposal"],
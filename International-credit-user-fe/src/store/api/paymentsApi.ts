@@ -8,23 +8,26 @@ export interface PaymentQuoteRequest {
   asset: string;
 }
 
-export interface PaymentQuoteResponse {
-  success: boolean;
-  data: {
-    fiatAmount: number;
-    fiatCurrency: string;
-    asset: string;
-    tokenAmount: number;
-    exchangeRate: number;
-    fees: {
-      processingFee: number;
-      networkFee: number;
-      totalFees: number;
-    };
-    total: number;
-    quoteId: string;
-    expiresAt: string;
+// Decimal amounts arrive as strings; `totalAmount` (amount plus fees) is what the card is charged
+export interface PaymentQuote {
+  quoteId: string;
+  fiatAmount: string;
+  fiatCurrency: string;
+  asset: string;
+  ucAmount: string;
+  exchangeRate: string;
+  fees: {
+    processing: string;
+    fixed: string;
+    total: string;
   };
+  totalAmount: string;
+  expiresAt: string;
+}
+
+export interface PaymentQuoteResponse {
+  status: string;
+  data: PaymentQuote;
   message?: string;
 }
 
@@ -40,7 +43,10 @@ export interface PaymentIntentResponse {
     clientSecret: string;
     paymentId: string;
     stripePaymentIntentId: string;
-    ucAmount: number;
+    quoteId: string;
+    fiatAmount: number;
+    fiatCurrency: string;
+    ucAmount: string;
     exchangeRate: number;
   };
 }
@@ -0,0 +1,163 @@
+import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
+import { API_CONFIG, tokenUtils } from "@/lib/api";
+
+export interface ReserveAsset {
+  quantity: number;
+  available?: number;
+  priceUSD: number;
+  valueUSD: number;
+  source?: string;
+  blockNumber?: number;
+}
+
+export interface ReserveSource {
+  name: string;
+  blockNumber?: number;
+  blockHash?: string;
+  blockTimestamp?: string;
+  stale: boolean;
+  staleReason?: string;
+  staleSince?: string;
+}
+
+export interface ReserveLiabilities {
+  merkleRoot: string;
+  totalUC: number;
+  leafCount: number;
+  decimals: number;
+}
+
+export interface ReservesAttestation {
+  snapshotId: string;
+  timestamp: string;
+  reserves: {
+    BBT: ReserveAsset;
+    GBT: ReserveAsset;
+    cash: { valueUSD: number; source?: string };
+  };
+  totalReservesUSD: number;
+  supply: {
+    UC: { total: number; circulating: number };
+  };
+  liabilities: ReserveLiabilities;
+  ratios: {
+    collateralPct: number;
+    reserveRatio: number;
+  };
+  health: {
+    status: "HEALTHY" | "WARNING" | "CRITICAL";
+    warnings: string[];
+  };
+  source: ReserveSource;
+}
+
+export interface LiabilityLeaf {
+  userId: string;
+  balance: string;
+  nonce: `0x${string}`;
+  hash: `0x${string}`;
+  index: number;
+}
+
+export interface LiabilityProof {
+  snapshotId: string;
+  timestamp: string;
+  merkleRoot: `0x${string}`;
+  leafCount: number;
+  decimals: number;
+  leaf: LiabilityLeaf;
+  proof: `0x${string}`[];
+}
+
+export type HistoryRange = "24h" | "7d" | "30d" | "1y";
+
+export interface Ohlc {
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  avg: number;
+}
+
+export interface ReserveHistoryPoint {
+  timestamp: string;
+  collateralPct: Ohlc;
+  reserveRatio: Ohlc;
+  totalReservesUSD: number;
+  ucSupply: number;
+  status: ReservesAttestation["health"]["status"];
+  count: number;
+}
+
+export interface HealthTransition {
+  timestamp: string;
+  from: ReservesAttestation["health"]["status"] | null;
+  to: ReservesAttestation["health"]["status"];
+  warnings: string[];
+}
+
+export interface ReserveHistory {
+  range: HistoryRange;
+  from: string;
+  to: string;
+  bucketMs: number;
+  points: ReserveHistoryPoint[];
+  transitions: HealthTransition[];
+}
+
+interface ApiResponse<T> {
+  status: string;
+  data: T;
+}
+
+export const reservesApi = createApi({
+  reducerPath: "reservesApi",
+  baseQuery: fetchBaseQuery({
+    baseUrl: API_CONFIG.BASE_URL,
+    prepareHeaders: (headers) => {
+      headers.set("Content-Type", "application/json");
+      headers.set("Accept", "application/json");
+      // Add ngrok bypass header
+      headers.set("ngrok-skip-browser-warning", "true");
+
+      // Add authorization header if token exists
+      const token = tokenUtils.getAccessToken();
+      if (token && !tokenUtils.isTokenExpired(token)) {
+        headers.set("Authorization", `Bearer ${token}`);
+      }
+
+      return headers;
+    },
+  }),
+  tagTypes: ["Attestation"],
+  endpoints: (builder) => ({
+    getAttestation: builder.query<ReservesAttestation, void>({
+      query: () => "/reserves/attestation",
+      providesTags: ["Attestation"],
+      transformResponse: (response: ApiResponse<ReservesAttestation>) =>
+        response.data,
+    }),
+
+    getMyProof: builder.query<LiabilityProof, string | undefined>({
+      query: (snapshotId) =>
+        snapshotId
+          ? `/reserves/attestation/my-proof?snapshotId=${snapshotId}`
+          : "/reserves/attestation/my-proof",
+      providesTags: ["Attestation"],
+      transformResponse: (response: ApiResponse<LiabilityProof>) =>
+        response.data,
+    }),
+
+    getReserveHistory: builder.query<ReserveHistory, HistoryRange>({
+      query: (range) => `/reserves/history?range=${range}`,
+      transformResponse: (response: ApiResponse<ReserveHistory>) =>
+        response.data,
+    }),
+  }),
+});
+
+export const {
+  useGetAttestationQuery,
+  useGetMyProofQuery,
+  useGetReserveHistoryQuery,
+} = reservesApi;
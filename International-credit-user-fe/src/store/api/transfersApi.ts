@@ -0,0 +1,290 @@
+import { createApi, fetchBaseQuery } from "@reduxjs/toolkit/query/react";
+import { API_CONFIG, tokenUtils } from "@/lib/api";
+
+export type LedgerAsset =
+  | "UC"
+  | "USDC_mock"
+  | "USDT_mock"
+  | "BBT_mock"
+  | "GBT_mock";
+
+export interface TransferRecipient {
+  userId: string;
+  kind: "email" | "handle" | "wallet" | "request";
+  handle?: string;
+  displayName: string;
+  walletAddress?: string;
+}
+
+export interface TransferResult {
+  journalId: string;
+  amount: string;
+  netAmount: string;
+  feeAmount: string;
+  asset: LedgerAsset;
+  status: string;
+  recipient: TransferRecipient;
+}
+
+export interface SendTransferRequest {
+  recipient: string;
+  amount: string;
+  asset: LedgerAsset;
+  description?: string;
+  idempotencyKey: string;
+}
+
+export type PaymentRequestStatus =
+  | "OPEN"
+  | "PAYING"
+  | "PAID"
+  | "CANCELED"
+  | "EXPIRED";
+
+export interface PaymentRequest {
+  id: string;
+  code: string;
+  url: string;
+  // PNG data URL, only returned when the request is created
+  qrCode?: string;
+  amount: string;
+  asset: LedgerAsset;
+  note?: string;
+  status: PaymentRequestStatus;
+  expiresAt: string;
+  paidAt?: string;
+  journalId?: string;
+  requester?: TransferRecipient;
+  createdAt: string;
+}
+
+export interface CreatePaymentRequest {
+  amount: string;
+  asset?: LedgerAsset;
+  note?: string;
+}
+
+export type ScheduleFrequency = "ONCE" | "WEEKLY" | "MONTHLY";
+
+export type ScheduleStatus =
+  | "ACTIVE"
+  | "PAUSED"
+  | "COMPLETED"
+  | "CANCELED"
+  | "FAILED";
+
+export interface ScheduledTransferRun {
+  occurrence: number;
+  scheduledFor: string;
+  status: "COMPLETED" | "FAILED";
+  journalId?: string;
+  attempts?: number;
+  error?: string;
+  executedAt: string;
+}
+
+export interface ScheduledTransfer {
+  _id: string;
+  recipient: string;
+  recipientId?: { _id: string; fullName: string; handle?: string };
+  amount: string;
+  asset: LedgerAsset;
+  description?: string;
+  frequency: ScheduleFrequency;
+  startAt: string;
+  endDate?: string;
+  maxRuns?: number;
+  status: ScheduleStatus;
+  nextRunAt?: string;
+  attempts: number;
+  runCount: number;
+  lastError?: string;
+  runs: ScheduledTransferRun[];
+  createdAt: string;
+}
+
+export interface CreateScheduledTransfer {
+  recipient: string;
+  amount: string;
+  asset?: LedgerAsset;
+  description?: string;
+  frequency: ScheduleFrequency;
+  startAt: string;
+  endDate?: string;
+  maxRuns?: number;
+}
+
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+interface ApiResponse<T> {
+  status: string;
+  data: T;
+}
+
+export const transfersApi = createApi({
+  reducerPath: "transfersApi",
+  baseQuery: fetchBaseQuery({
+    baseUrl: API_CONFIG.BASE_URL,
+    prepareHeaders: (headers) => {
+      headers.set("Content-Type", "application/json");
+      headers.set("Accept", "application/json");
+      // Add ngrok bypass header
+      headers.set("ngrok-skip-browser-warning", "true");
+
+      // Add authorization header if token exists
+      const token = tokenUtils.getAccessToken();
+      if (token && !tokenUtils.isTokenExpired(token)) {
+        headers.set("Authorization", `Bearer ${token}`);
+      }
+
+      return headers;
+    },
+  }),
+  tagTypes: ["PaymentRequest", "ScheduledTransfer"],
+  endpoints: (builder) => ({
+    resolveRecipient: builder.query<TransferRecipient, string>({
+      query: (recipient) => ({
+        url: "/ledger/recipients/resolve",
+        params: { recipient },
+      }),
+      transformResponse: (
+        response: ApiResponse<{ recipient: TransferRecipient }>
+      ) => response.data.recipient,
+    }),
+
+    sendTransfer: builder.mutation<TransferResult, SendTransferRequest>({
+      query: (body) => ({
+        url: "/ledger/transfer",
+        method: "POST",
+        body,
+      }),
+      transformResponse: (response: ApiResponse<TransferResult>) =>
+        response.data,
+    }),
+
+    createPaymentRequest: builder.mutation<
+      PaymentRequest,
+      CreatePaymentRequest
+    >({
+      query: (body) => ({
+        url: "/payment-requests",
+        method: "POST",
+        body,
+      }),
+      invalidatesTags: ["PaymentRequest"],
+      transformResponse: (
+        response: ApiResponse<{ request: PaymentRequest }>
+      ) => response.data.request,
+    }),
+
+    getPaymentRequests: builder.query<PaymentRequest[], PaymentRequestStatus | void>({
+      query: (status) => ({
+        url: "/payment-requests",
+        params: status ? { status } : undefined,
+      }),
+      providesTags: ["PaymentRequest"],
+      transformResponse: (
+        response: ApiResponse<{ requests: PaymentRequest[] }>
+      ) => response.data.requests,
+    }),
+
+    getPaymentRequest: builder.query<PaymentRequest, string>({
+      query: (code) => `/payment-requests/${code}`,
+      providesTags: ["PaymentRequest"],
+      transformResponse: (
+        response: ApiResponse<{ request: PaymentRequest }>
+      ) => response.data.request,
+    }),
+
+    payPaymentRequest: builder.mutation<
+      TransferResult & { request: PaymentRequest },
+      { code: string; idempotencyKey: string }
+    >({
+      query: ({ code, idempotencyKey }) => ({
+        url: `/payment-requests/${code}/pay`,
+        method: "POST",
+        body: { idempotencyKey },
+      }),
+      invalidatesTags: ["PaymentRequest"],
+      transformResponse: (
+        response: ApiResponse<TransferResult & { request: PaymentRequest }>
+      ) => response.data,
+    }),
+
+    cancelPaymentRequest: builder.mutation<PaymentRequest, string>({
+      query: (id) => ({
+        url: `/payment-requests/${id}/cancel`,
+        method: "POST",
+      }),
+      invalidatesTags: ["PaymentRequest"],
+      transformResponse: (
+        response: ApiResponse<{ request: PaymentRequest }>
+      ) => response.data.request,
+    }),
+
+    getScheduledTransfers: builder.query<
+      { schedules: ScheduledTransfer[]; pagination: Pagination },
+      { status?: ScheduleStatus; page?: number; limit?: number } | void
+    >({
+      query: (params) => ({
+        url: "/scheduled-transfers",
+        params: params || undefined,
+      }),
+      providesTags: ["ScheduledTransfer"],
+      transformResponse: (
+        response: ApiResponse<{
+          schedules: ScheduledTransfer[];
+          pagination: Pagination;
+        }>
+      ) => response.data,
+    }),
+
+    createScheduledTransfer: builder.mutation<
+      ScheduledTransfer,
+      CreateScheduledTransfer
+    >({
+      query: (body) => ({
+        url: "/scheduled-transfers",
+        method: "POST",
+        body,
+      }),
+      invalidatesTags: ["ScheduledTransfer"],
+      transformResponse: (
+        response: ApiResponse<{ schedule: ScheduledTransfer }>
+      ) => response.data.schedule,
+    }),
+
+    // pause, resume or cancel
+    updateScheduledTransfer: builder.mutation<
+      ScheduledTransfer,
+      { id: string; action: "pause" | "resume" | "cancel" }
+    >({
+      query: ({ id, action }) => ({
+        url: `/scheduled-transfers/${id}/${action}`,
+        method: "POST",
+      }),
+      invalidatesTags: ["ScheduledTransfer"],
+      transformResponse: (
+        response: ApiResponse<{ schedule: ScheduledTransfer }>
+      ) => response.data.schedule,
+    }),
+  }),
+});
+
+export const {
+  useLazyResolveRecipientQuery,
+  useSendTransferMutation,
+  useCreatePaymentRequestMutation,
+  useGetPaymentRequestsQuery,
+  useGetPaymentRequestQuery,
+  usePayPaymentRequestMutation,
+  useCancelPaymentRequestMutation,
+  useGetScheduledTransfersQuery,
+  useCreateScheduledTransferMutation,
+  useUpdateScheduledTransferMutation,
+} = transfersApi;
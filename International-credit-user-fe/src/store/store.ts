@@ -10,6 +10,8 @@ import { userProfileApi } from "./api/userProfileApi";
 import { governanceApi } from "./api/governanceApi";
 import { paymentsApi } from "./api/paymentsApi";
 import { kycApi } from "./api/kycApi";
+import { reservesApi } from "./api/reservesApi";
+import { transfersApi } from "./api/transfersApi";
 import { rtkQueryGlobalErrorMiddleware } from "@/lib/api";
 
 export const store = configureStore({
@@ -26,6 +28,8 @@ export const store = configureStore({
     [governanceApi.reducerPath]: governanceApi.reducer,
     [paymentsApi.reducerPath]: paymentsApi.reducer,
     [kycApi.reducerPath]: kycApi.reducer,
+    [reservesApi.reducerPath]: reservesApi.reducer,
+    [transfersApi.reducerPath]: transfersApi.reducer,
   },
   // Add the RTK Query middleware and error handling
   middleware: (getDefaultMiddleware) =>
@@ -36,6 +40,8 @@ export const store = configureStore({
       governanceApi.middleware,
       paymentsApi.middleware,
       kycApi.middleware,
+      reservesApi.middleware,
+      transfersApi.middleware,
       rtkQueryGlobalErrorMiddleware
     ),
 });